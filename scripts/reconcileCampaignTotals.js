@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+
+/**
+ * Campaign Totals Reconciliation Script
+ *
+ * Recomputes campaigns.postcards_sent and campaigns.total_cost from the
+ * newmover and transactions tables (see reconcile_campaign_totals() in
+ * supabase/migrations) and reports every campaign that has drifted.
+ *
+ * Usage:
+ *   SUPABASE_URL=... SUPABASE_SERVICE_ROLE_KEY=... npm run db:reconcile-totals [-- --apply]
+ *
+ * Without --apply nothing is written.
+ */
+
+import process from 'process';
+import { createClient } from '@supabase/supabase-js';
+
+const supabaseUrl = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL;
+const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+const apply = process.argv.includes('--apply');
+
+async function reconcileCampaignTotals() {
+  if (!supabaseUrl || !serviceRoleKey) {
+    console.error('❌ SUPABASE_URL (or VITE_SUPABASE_URL) and SUPABASE_SERVICE_ROLE_KEY must be set');
+    process.exit(1);
+  }
+
+  const supabase = createClient(supabaseUrl, serviceRoleKey);
+
+  console.log(`🔍 Reconciling campaign totals${apply ? ' (applying fixes)' : ' (dry run)'}...`);
+
+  const { data: discrepancies, error } = await supabase.rpc('reconcile_campaign_totals', {
+    p_apply: apply
+  });
+
+  if (error) {
+    console.error('❌ Reconciliation failed:', error.message);
+    process.exit(1);
+  }
+
+  if (!discrepancies || discrepancies.length === 0) {
+    console.log('✅ All campaign totals match newmover and transactions');
+    return;
+  }
+
+  console.table(discrepancies.map(row => ({
+    campaign: row.campaign_name || row.campaign_id,
+    postcards_sent: `${row.stored_postcards_sent} → ${row.actual_postcards_sent}`,
+    total_cost: `$${Number(row.stored_total_cost).toFixed(2)} → $${Number(row.actual_total_cost).toFixed(2)}`
+  })));
+
+  if (apply) {
+    console.log(`✅ Updated ${discrepancies.length} campaign(s)`);
+  } else {
+    console.log(`⚠️  ${discrepancies.length} campaign(s) out of sync. Re-run with --apply to fix them.`);
+    process.exitCode = 2;
+  }
+}
+
+reconcileCampaignTotals();
@@ -0,0 +1,256 @@
+#!/usr/bin/env node
+
+/**
+ * Print-Ready Postcard PDF Renderer
+ *
+ * Renders a saved Fabric.js design (front/back page JSON) into the PDF PostGrid
+ * mails (src/utils/postcardPdf.js). This is the only place print PDFs are
+ * made: saving a design in the editor uploads the design JSON and clears
+ * postcard_print_url, and the render worker (--watch) picks the campaign up.
+ * Uses fabric/node, which needs the `canvas` and `jsdom` packages (optional
+ * dependencies in package.json, since canvas builds native code).
+ *
+ * Usage:
+ *   Render a design file or URL locally (regression tests):
+ *     npm run render:postcard-pdf -- --design design.json --out postcard.pdf [--size 6x4]
+ *
+ *   Merge-field text is written to <out>.merge.json, not into the PDF.
+ *
+ *   Render and upload the PDF for campaigns, then store postcard_print_url
+ *   and postcard_merge_layout:
+ *     SUPABASE_URL=... SUPABASE_SERVICE_ROLE_KEY=... CLOUDINARY_URL=... \
+ *       npm run render:postcard-pdf -- --campaign <campaign-id> [--size 6x4]
+ *     ... npm run render:postcard-pdf -- --missing
+ *
+ *   Run the render worker: render missing PDFs every 30 seconds (or --watch N)
+ *     ... npm run render:postcard-pdf:watch
+ *
+ * --missing renders every campaign with a design but no print PDF.
+ * Campaigns render at their own postcard_size unless --size is given.
+ */
+
+import fs from 'fs/promises';
+import process from 'process';
+import { Buffer } from 'buffer';
+import { createClient } from '@supabase/supabase-js';
+import { v2 as cloudinary } from 'cloudinary';
+import { DEFAULT_PRINT_SIZE, getPrintSpec, renderPostcardPdf } from '../src/utils/postcardPdf.js';
+
+const supabaseUrl = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL;
+const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const DEFAULT_WATCH_SECONDS = 30;
+
+function getArg(name) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? null : process.argv[index + 1];
+}
+
+async function loadFabric() {
+  try {
+    // fabric/node loads without it but cannot draw
+    await import('canvas');
+    return await import('fabric/node');
+  } catch (error) {
+    console.error('❌ Could not load fabric/node. Install the optional `canvas` and `jsdom` packages (npm install canvas jsdom) and retry.');
+    console.error(`   ${error.message}`);
+    process.exit(1);
+  }
+}
+
+async function loadDesign(source) {
+  if (/^https?:\/\//.test(source)) {
+    const response = await fetch(source);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch design: ${response.status} ${response.statusText}`);
+    }
+    return await response.json();
+  }
+
+  return JSON.parse(await fs.readFile(source, 'utf8'));
+}
+
+async function renderToFile(fabric, designSource, outPath, size) {
+  const design = await loadDesign(designSource);
+  const { pdf, mergeLayout } = await renderPostcardPdf(fabric, design, { size });
+  const spec = getPrintSpec(size);
+
+  await fs.writeFile(outPath, pdf);
+
+  console.log(`✅ ${outPath}: ${size}, 2 pages at ${spec.widthPx}x${spec.heightPx}px (${(pdf.length / 1024).toFixed(1)} KB)`);
+
+  if (mergeLayout.length > 0) {
+    const layoutPath = outPath.replace(/\.pdf$/i, '') + '.merge.json';
+    await fs.writeFile(layoutPath, JSON.stringify(mergeLayout, null, 2));
+    console.log(`✅ ${layoutPath}: ${mergeLayout.length} merge field text object(s)`);
+  }
+}
+
+async function renderCampaign(fabric, supabase, campaign, sizeOverride) {
+  const size = sizeOverride || campaign.postcard_size || DEFAULT_PRINT_SIZE;
+  const design = await loadDesign(campaign.postcard_design_url);
+
+  if (design.editor !== 'fabric.js') {
+    console.log(`   ⏭️  ${campaign.campaign_name}: not a Fabric.js design, skipped`);
+    return false;
+  }
+
+  const { pdf, mergeLayout } = await renderPostcardPdf(fabric, design, { size });
+
+  // Next to the design's other assets (see cloudinaryService.uploadCampaignAssets)
+  const upload = await cloudinary.uploader.upload(
+    `data:application/pdf;base64,${Buffer.from(pdf).toString('base64')}`,
+    {
+      resource_type: 'raw',
+      folder: `postcards/${campaign.user_id}/campaigns/${campaign.id}/print`,
+      public_id: `print_${Date.now()}.pdf`
+    }
+  );
+
+  // Only fill in the PDF if the design hasn't been re-saved meanwhile
+  const { data: updated, error } = await supabase
+    .from('campaigns')
+    .update({
+      postcard_print_url: upload.secure_url,
+      postcard_merge_layout: mergeLayout.length > 0 ? mergeLayout : null
+    })
+    .eq('id', campaign.id)
+    .eq('postcard_design_url', campaign.postcard_design_url)
+    .select('id');
+
+  if (error) throw error;
+
+  if (!updated || updated.length === 0) {
+    console.log(`   ⏭️  ${campaign.campaign_name}: design changed while rendering, skipped`);
+    return false;
+  }
+
+  console.log(`   ✅ ${campaign.campaign_name} (${size}): ${upload.secure_url}`);
+  return true;
+}
+
+function createServiceClient() {
+  if (!supabaseUrl || !serviceRoleKey) {
+    console.error('❌ SUPABASE_URL (or VITE_SUPABASE_URL) and SUPABASE_SERVICE_ROLE_KEY must be set');
+    process.exit(1);
+  }
+
+  if (!process.env.CLOUDINARY_URL) {
+    console.error('❌ CLOUDINARY_URL must be set');
+    process.exit(1);
+  }
+
+  return createClient(supabaseUrl, serviceRoleKey);
+}
+
+/**
+ * Render the requested campaigns (--campaign) or every one missing a PDF.
+ * Designs in `skip` (failed or skipped before) are left alone until they are
+ * re-saved, and this run's failures and skips are added to it.
+ * @returns {Promise<Object>} { rendered, failed }
+ */
+async function renderCampaigns(fabric, supabase, sizeOverride, skip = new Set()) {
+  const campaignId = getArg('campaign');
+
+  let query = supabase
+    .from('campaigns')
+    .select('id, user_id, campaign_name, postcard_design_url, postcard_size')
+    .not('postcard_design_url', 'is', null);
+
+  query = campaignId ? query.eq('id', campaignId) : query.is('postcard_print_url', null);
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to load campaigns: ${error.message}`);
+  }
+
+  const campaigns = data.filter(campaign => !skip.has(campaign.postcard_design_url));
+  if (campaigns.length === 0) return { rendered: 0, failed: 0 };
+
+  console.log(`🖨️  Rendering print PDFs for ${campaigns.length} campaign(s) at ${sizeOverride || 'their postcard size'}...`);
+
+  let rendered = 0;
+  let failed = 0;
+
+  for (const campaign of campaigns) {
+    try {
+      if (await renderCampaign(fabric, supabase, campaign, sizeOverride)) {
+        rendered++;
+      } else {
+        skip.add(campaign.postcard_design_url);
+      }
+    } catch (error) {
+      failed++;
+      skip.add(campaign.postcard_design_url);
+      console.error(`   ❌ ${campaign.campaign_name} (${campaign.id}): ${error.message}`);
+    }
+  }
+
+  console.log(`✅ Rendered ${rendered}, failed ${failed}`);
+  return { rendered, failed };
+}
+
+/**
+ * Render worker: keep rendering campaigns whose design was saved without a
+ * print PDF. A design that fails is retried only once it is saved again.
+ */
+async function watchCampaigns(fabric, supabase, sizeOverride, intervalSeconds) {
+  const failedDesigns = new Set();
+  let stopping = false;
+
+  const stop = () => { stopping = true; };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+
+  console.log(`👀 Render worker started, checking every ${intervalSeconds}s`);
+
+  while (!stopping) {
+    try {
+      await renderCampaigns(fabric, supabase, sizeOverride, failedDesigns);
+    } catch (error) {
+      console.error('❌', error.message);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, intervalSeconds * 1000));
+  }
+
+  console.log('👋 Render worker stopped');
+}
+
+async function main() {
+  const size = getArg('size');
+  const design = getArg('design');
+
+  if (size) getPrintSpec(size); // Reject unknown sizes before loading anything
+
+  const watch = process.argv.includes('--watch');
+
+  if (!design && !getArg('campaign') && !process.argv.includes('--missing') && !watch) {
+    console.error('Usage: renderPostcardPdf.js --design <file|url> --out <file.pdf> | --campaign <id> | --missing | --watch [seconds] [--size 6x4]');
+    process.exit(1);
+  }
+
+  const fabric = await loadFabric();
+
+  if (design) {
+    await renderToFile(fabric, design, getArg('out') || 'postcard.pdf', size || DEFAULT_PRINT_SIZE);
+    return;
+  }
+
+  const supabase = createServiceClient();
+
+  if (watch) {
+    const seconds = parseInt(getArg('watch')) || DEFAULT_WATCH_SECONDS;
+    await watchCampaigns(fabric, supabase, size, seconds);
+    return;
+  }
+
+  const { failed } = await renderCampaigns(fabric, supabase, size);
+  if (failed > 0) process.exit(1);
+}
+
+main().catch(error => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
@@ -35,6 +35,9 @@ import AdminUsers from './pages/admin/AdminUsers'
 import AdminUserDetails from './pages/admin/AdminUserDetails'
 import AdminTransactions from './pages/admin/AdminTransactions'
 import AdminActivity from './pages/admin/AdminActivity'
+import AdminOutbox from './pages/admin/AdminOutbox'
+import AdminSuppressions from './pages/admin/AdminSuppressions'
+import AdminStripeEvents from './pages/admin/AdminStripeEvents'
 import AdminProtectedRoute from './components/admin/AdminProtectedRoute'
 import './App.css'
 
@@ -59,6 +62,9 @@ function App() {
           <Route path="users/:userId" element={<AdminUserDetails />} />
           <Route path="transactions" element={<AdminTransactions />} />
           <Route path="activity" element={<AdminActivity />} />
+          <Route path="outbox" element={<AdminOutbox />} />
+          <Route path="suppressions" element={<AdminSuppressions />} />
+          <Route path="stripe-events" element={<AdminStripeEvents />} />
           <Route index element={<Navigate to="/admin/dashboard" replace />} />
         </Route>
 
@@ -1,17 +1,42 @@
 import { useEffect, useRef, useState, forwardRef, useImperativeHandle } from 'react';
 import { Canvas, IText, Rect, Circle, FabricImage as Image } from 'fabric';
-import { Type, Square, Circle as CircleIcon, Trash2, ArrowLeft, Download, Upload, Save } from 'lucide-react';
+import { Type, Square, Circle as CircleIcon, Trash2, ArrowLeft, Download, Upload, Save, ShieldCheck, AlertCircle, AlertTriangle, Braces } from 'lucide-react';
 import { loadPSDToCanvas } from '../../utils/agPsdLoader';
+import { DEFAULT_PRINT_SIZE, getPrintSpec, PRINT_DPI } from '../../utils/postcardPdf';
+import {
+  MERGE_FIELDS,
+  SAMPLE_MOVERS,
+  applyMergeFields,
+  generateOfferCode,
+  hasMergeFields,
+  mergeFieldToken,
+  resolveMergeValues
+} from '../../utils/mergeFields';
+import { drawPrintGuides, fitCanvasToPrintSize, getPrintGuides, preflightDesign } from '../../utils/printPreflight';
 import CollapsibleSection from './CollapsibleSection';
 import useFabricPages from '../../hooks/useFabricPages';
 import useResizableSidebar from '../../hooks/useResizableSidebar';
 import fabricCloudinaryService from '../../services/fabricCloudinaryService';
 import supabaseCompanyService from '../../supabase/api/companyService';
 import campaignService from '../../supabase/api/campaignService';
+import newMoverService from '../../supabase/api/newMoverService';
 import toast from 'react-hot-toast';
 import './FabricEditor.css';
 
-const FabricEditor = forwardRef(({ selectedTemplate, onBack, onSave, campaignId, mode, currentPage: externalCurrentPage, onPSDAnalysis }, ref) => {
+// Put merge fields back on text objects showing sample values. Text the user
+// edited during the preview is kept as edited.
+function restoreMergeFields(canvas, previews) {
+  previews.forEach(({ original, preview }, obj) => {
+    if (obj.text === preview) {
+      obj.set('text', original);
+      obj.setCoords();
+    }
+  });
+  previews.clear();
+  canvas?.requestRenderAll();
+}
+
+const FabricEditor = forwardRef(({ selectedTemplate, onBack, onSave, campaignId, mode, currentPage: externalCurrentPage, onPSDAnalysis, postcardSize = DEFAULT_PRINT_SIZE }, ref) => {
   const canvasRef = useRef(null);
   const fabricCanvasRef = useRef(null);
   const fileInputRef = useRef(null);
@@ -37,6 +62,18 @@ const FabricEditor = forwardRef(({ selectedTemplate, onBack, onSave, campaignId,
   // Saving state
   const [isSaving, setIsSaving] = useState(false);
 
+  // Print preflight: guides overlay and the last check's issues (null = not run)
+  const [showGuides, setShowGuides] = useState(true);
+  const [preflightIssues, setPreflightIssues] = useState(null);
+  const [isCheckingPrint, setIsCheckingPrint] = useState(false);
+
+  // Merge fields: movers to preview with, and the text objects being previewed
+  // (object -> { original, preview } text)
+  const [sampleMovers, setSampleMovers] = useState(SAMPLE_MOVERS);
+  const [previewMoverIndex, setPreviewMoverIndex] = useState(0);
+  const [isPreviewingMerge, setIsPreviewingMerge] = useState(false);
+  const mergePreviewsRef = useRef(new Map());
+
   // Multi-page hook (front/back postcards)
   const {
     currentPage: hookCurrentPage,
@@ -237,7 +274,153 @@ const FabricEditor = forwardRef(({ selectedTemplate, onBack, onSave, campaignId,
     }
   }, [currentPage]);
 
+  // Load the campaign's movers to preview merge fields with
+  useEffect(() => {
+    let cancelled = false;
+
+    newMoverService.getSampleMovers(campaignId)
+      .then(result => {
+        if (!cancelled && result.data.length > 0) {
+          setSampleMovers(result.data);
+          setPreviewMoverIndex(0);
+        }
+      })
+      .catch(error => console.warn('[Merge] Using built-in sample movers:', error.message));
+
+    return () => { cancelled = true; };
+  }, [campaignId]);
+
+  // A page change ends the merge preview
+  useEffect(() => {
+    restoreMergeFields(fabricCanvasRef.current, mergePreviewsRef.current);
+    setIsPreviewingMerge(false);
+  }, [currentPage]);
+
+  // Show every merge field text on the canvas with a sample mover's values
+  const applyMergePreview = async (mover) => {
+    const canvas = fabricCanvasRef.current;
+    if (!canvas) return;
+
+    const previews = mergePreviewsRef.current;
+    const offerCode = await generateOfferCode(campaignId || 'preview', mover.id);
+    const values = resolveMergeValues(mover, { offerCode });
+
+    canvas.getObjects().forEach(obj => {
+      if (!(obj instanceof IText)) return;
+
+      const original = previews.get(obj)?.original ?? obj.text;
+      if (!hasMergeFields(original)) return;
+
+      const preview = applyMergeFields(original, values);
+      obj.set('text', preview);
+      obj.setCoords();
+      previews.set(obj, { original, preview });
+    });
+
+    canvas.requestRenderAll();
+  };
+
+  const endMergePreview = () => {
+    restoreMergeFields(fabricCanvasRef.current, mergePreviewsRef.current);
+    setIsPreviewingMerge(false);
+  };
+
+  const handleToggleMergePreview = async (enabled) => {
+    if (!enabled) {
+      endMergePreview();
+      return;
+    }
+
+    setIsPreviewingMerge(true);
+    await applyMergePreview(sampleMovers[previewMoverIndex] || sampleMovers[0]);
+  };
+
+  const handleSelectPreviewMover = async (index) => {
+    setPreviewMoverIndex(index);
+    if (isPreviewingMerge) {
+      await applyMergePreview(sampleMovers[index]);
+    }
+  };
+
+  // Insert a merge field at the cursor of the selected text, or as new text
+  const handleInsertMergeField = (key) => {
+    const canvas = fabricCanvasRef.current;
+    if (!canvas) return;
+
+    endMergePreview();
+
+    const token = mergeFieldToken(key);
+    const active = canvas.getActiveObject();
+
+    if (active instanceof IText) {
+      const start = active.isEditing ? active.selectionStart : active.text.length;
+      const end = active.isEditing ? active.selectionEnd : start;
+      const separator = !active.isEditing && active.text && !/\s$/.test(active.text) ? ' ' : '';
+
+      if (active.isEditing) active.exitEditing();
+
+      active.set('text', active.text.slice(0, start) + separator + token + active.text.slice(end));
+      active.setCoords();
+      canvas.requestRenderAll();
+      canvas.fire('object:modified', { target: active });
+      return;
+    }
+
+    const text = new IText(token, {
+      left: 100,
+      top: 100,
+      fontSize: 24,
+      fill: '#000000',
+      editable: true,
+    });
+
+    applyModeToObject(text, editorMode);
+
+    canvas.add(text);
+    canvas.setActiveObject(text);
+    canvas.renderAll();
+    updateLayersList(canvas);
+  };
+
   // Save design handler
+  // Check every page that will be printed; returns the issues found
+  const runPreflight = async () => {
+    const canvas = fabricCanvasRef.current;
+
+    const issues = await preflightDesign(
+      {
+        ...getAllPagesJSON(),
+        canvasSize: { width: canvas.getWidth(), height: canvas.getHeight() }
+      },
+      { size: postcardSize }
+    );
+
+    setPreflightIssues(issues);
+    return issues;
+  };
+
+  const handleCheckPrint = async () => {
+    if (!fabricCanvasRef.current) return;
+
+    setIsCheckingPrint(true);
+    try {
+      await runPreflight();
+    } catch (error) {
+      console.error('[Preflight] Check failed:', error);
+      toast.error('Could not check the design: ' + error.message);
+    } finally {
+      setIsCheckingPrint(false);
+    }
+  };
+
+  // Select the layer an issue points at, if it's on the page being edited
+  const selectPreflightIssue = (issue) => {
+    if (!fabricCanvasRef.current || issue.page !== hookCurrentPage) return;
+
+    const obj = fabricCanvasRef.current.getObjects()[issue.objectIndex];
+    if (obj) selectLayer(obj);
+  };
+
   const handleSaveDesign = async () => {
     if (!fabricCanvasRef.current) {
       toast.error('Editor not ready. Please try again.');
@@ -249,10 +432,23 @@ const FabricEditor = forwardRef(({ selectedTemplate, onBack, onSave, campaignId,
       return null;
     }
 
+    // Save the merge fields, not the sample values
+    endMergePreview();
+
     setIsSaving(true);
     const saveToast = toast.loading('Saving your design...');
 
     try {
+      // Print problems must be fixed before the design can be saved
+      const issues = await runPreflight();
+      const blocking = issues.filter(issue => issue.severity === 'error');
+
+      if (blocking.length > 0) {
+        throw new Error(
+          `Fix ${blocking.length} print ${blocking.length === 1 ? 'issue' : 'issues'} before saving (see Print Check): ${blocking[0].message}`
+        );
+      }
+
       // Get all pages data
       const pagesData = getAllPagesJSON();
 
@@ -285,7 +481,8 @@ const FabricEditor = forwardRef(({ selectedTemplate, onBack, onSave, campaignId,
         throw new Error(updateResult.error || 'Failed to update campaign');
       }
 
-      toast.success('Design saved successfully!', { id: saveToast });
+      // The render worker creates the print PDF for the new design
+      toast.success('Design saved! The print-ready PDF will be ready shortly.', { id: saveToast });
 
       // Callback to parent
       if (onSave) {
@@ -518,6 +715,28 @@ const FabricEditor = forwardRef(({ selectedTemplate, onBack, onSave, campaignId,
     }
   }, [selectedTemplate, psdLoaded]);
 
+  // Draw bleed, trim, safe-zone and address-block guides over the design.
+  // Only the on-screen canvas gets them; exports render to their own context.
+  useEffect(() => {
+    const canvas = fabricCanvasRef.current;
+    if (!canvas || !showGuides) return;
+
+    const drawGuides = ({ ctx }) => {
+      if (ctx !== canvas.contextContainer) return;
+
+      const guides = getPrintGuides({ width: canvas.getWidth(), height: canvas.getHeight() }, postcardSize);
+      drawPrintGuides(ctx, guides, currentPage);
+    };
+
+    canvas.on('after:render', drawGuides);
+    canvas.requestRenderAll();
+
+    return () => {
+      canvas.off('after:render', drawGuides);
+      canvas.requestRenderAll();
+    };
+  }, [showGuides, currentPage, postcardSize, loading]);
+
   const loadTemplate = async (canvas) => {
     try {
       setLoading(true);
@@ -542,6 +761,9 @@ const FabricEditor = forwardRef(({ selectedTemplate, onBack, onSave, campaignId,
         const psdResult = await loadPSDToCanvas(psdPath, canvas, currentPage);
         console.log('PSD Result:', psdResult);
 
+        // Match the canvas to the campaign's postcard size
+        fitCanvasToPrintSize(canvas, postcardSize);
+
         // Store if PSD is double-sided
         if (psdResult && psdResult.isDoubleSided !== undefined) {
           setPsdIsDoubleSided(psdResult.isDoubleSided);
@@ -594,9 +816,10 @@ const FabricEditor = forwardRef(({ selectedTemplate, onBack, onSave, campaignId,
       canvas.clear();
       canvas.backgroundColor = '#ffffff';
 
-      // Calculate canvas dimensions based on selectedTemplate
-      const width = (selectedTemplate?.dimensions?.width || 6) * 100;
-      const height = (selectedTemplate?.dimensions?.height || 4) * 100;
+      // Canvas covers the postcard's bleed box at 100px per inch
+      const spec = getPrintSpec(postcardSize);
+      const width = Math.round(spec.widthPx / PRINT_DPI * 100);
+      const height = Math.round(spec.heightPx / PRINT_DPI * 100);
 
       canvas.setWidth(Math.min(width, 1400));
       canvas.setHeight(Math.min(height, 1000));
@@ -945,6 +1168,7 @@ const FabricEditor = forwardRef(({ selectedTemplate, onBack, onSave, campaignId,
       // Load PSD file with current page
       const psdResult = await loadPSDToCanvas(file, fabricCanvasRef.current, currentPage);
       console.log('Uploaded PSD Result:', psdResult);
+      fitCanvasToPrintSize(fabricCanvasRef.current, postcardSize);
 
       // Store if PSD is double-sided
       if (psdResult && psdResult.isDoubleSided !== undefined) {
@@ -1050,6 +1274,113 @@ const FabricEditor = forwardRef(({ selectedTemplate, onBack, onSave, campaignId,
                   )}
                 </div>
               </CollapsibleSection>
+
+              <CollapsibleSection title="Print Check" defaultOpen={true}>
+                <div className="preflight-panel">
+                  <label className="preflight-toggle">
+                    <input
+                      type="checkbox"
+                      checked={showGuides}
+                      onChange={(e) => setShowGuides(e.target.checked)}
+                    />
+                    Show print guides
+                  </label>
+
+                  {showGuides && (
+                    <div className="preflight-legend">
+                      <span><i className="preflight-swatch bleed" />Bleed</span>
+                      <span><i className="preflight-swatch trim" />Trim</span>
+                      <span><i className="preflight-swatch safe" />Safe zone</span>
+                      {currentPage === 'back' && (
+                        <span><i className="preflight-swatch address" />Address area</span>
+                      )}
+                    </div>
+                  )}
+
+                  <button
+                    className="tool-btn"
+                    onClick={handleCheckPrint}
+                    disabled={isCheckingPrint || isSaving}
+                  >
+                    <ShieldCheck size={18} />
+                    <span>{isCheckingPrint ? 'Checking...' : 'Check Design'}</span>
+                  </button>
+
+                  {preflightIssues && preflightIssues.length === 0 && (
+                    <p className="preflight-ok">No print problems found</p>
+                  )}
+
+                  {preflightIssues && preflightIssues.length > 0 && (
+                    <ul className="preflight-issues">
+                      {preflightIssues.map((issue, index) => (
+                        <li
+                          key={index}
+                          className={`preflight-issue ${issue.severity}`}
+                          onClick={() => selectPreflightIssue(issue)}
+                        >
+                          {issue.severity === 'error' ? <AlertCircle size={14} /> : <AlertTriangle size={14} />}
+                          <span>
+                            <strong>{issue.page === 'back' ? 'Back' : 'Front'}</strong> {issue.message}
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+
+                  <p className="preflight-hint">
+                    Errors must be fixed before the design can be saved. Keep text inside the green safe zone.
+                  </p>
+                </div>
+              </CollapsibleSection>
+
+              <CollapsibleSection title="Personalize" defaultOpen={false}>
+                <div className="merge-panel">
+                  <p className="merge-hint">
+                    Insert a field into the selected text, or as new text. Each postcard is printed with its recipient's details.
+                  </p>
+
+                  <div className="merge-fields">
+                    {MERGE_FIELDS.map(field => (
+                      <button
+                        key={field.key}
+                        className="merge-field-btn"
+                        onClick={() => handleInsertMergeField(field.key)}
+                        title={field.fallback ? `Prints "${field.fallback}" when unknown` : undefined}
+                      >
+                        <Braces size={12} />
+                        <span>{field.label}</span>
+                      </button>
+                    ))}
+                  </div>
+
+                  <label className="preflight-toggle">
+                    <input
+                      type="checkbox"
+                      checked={isPreviewingMerge}
+                      onChange={(e) => handleToggleMergePreview(e.target.checked)}
+                    />
+                    Preview with sample mover
+                  </label>
+
+                  {isPreviewingMerge && (
+                    <select
+                      className="merge-sample-select"
+                      value={previewMoverIndex}
+                      onChange={(e) => handleSelectPreviewMover(Number(e.target.value))}
+                    >
+                      {sampleMovers.map((mover, index) => (
+                        <option key={mover.id} value={index}>
+                          {mover.full_name || 'No name'}{mover.city ? ` (${mover.city})` : ''}
+                        </option>
+                      ))}
+                    </select>
+                  )}
+
+                  <p className="merge-hint">
+                    Add a fallback with a bar, e.g. {'{{first_name|Friend}}'}. Missing names print as Neighbor.
+                  </p>
+                </div>
+              </CollapsibleSection>
             </>
           )}
 
@@ -7,6 +7,9 @@ import {
   Users,
   Activity,
   CreditCard,
+  Inbox,
+  ShieldOff,
+  Zap,
   LogOut
 } from 'lucide-react';
 import toast from 'react-hot-toast';
@@ -72,6 +75,21 @@ const AdminLayout = () => {
       icon: CreditCard,
       label: 'Transactions'
     },
+    {
+      path: '/admin/outbox',
+      icon: Inbox,
+      label: 'Mail Outbox'
+    },
+    {
+      path: '/admin/suppressions',
+      icon: ShieldOff,
+      label: 'Do Not Mail'
+    },
+    {
+      path: '/admin/stripe-events',
+      icon: Zap,
+      label: 'Stripe Events'
+    },
     {
       path: '/admin/activity',
       icon: Activity,
@@ -0,0 +1,131 @@
+import React, { useEffect, useState } from 'react';
+import { ChevronDown, ChevronRight } from 'lucide-react';
+import mailTrackingService, { MAIL_PIECE_STATUSES } from '../../supabase/api/mailTrackingService';
+import './MailPieceTracker.css';
+
+const formatDateTime = (value) => value
+  ? new Date(value).toLocaleString('en-US', { month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit' })
+  : '';
+
+const StatusBadge = ({ status }) => (
+  <span className={`mail-piece-status mail-piece-status-${status}`}>
+    {MAIL_PIECE_STATUSES[status]?.label || status}
+  </span>
+);
+
+/**
+ * Status history of one postcard, loaded when it is expanded
+ */
+const MailPieceTimeline = ({ postcardId }) => {
+  const [events, setEvents] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    mailTrackingService.getMailPieceEvents(postcardId)
+      .then(data => {
+        if (!cancelled) setEvents(data);
+      })
+      .catch(() => {
+        if (!cancelled) setEvents([]);
+      });
+
+    return () => { cancelled = true; };
+  }, [postcardId]);
+
+  if (events === null) {
+    return <p className="mail-piece-timeline-empty">Loading history...</p>;
+  }
+
+  if (events.length === 0) {
+    return <p className="mail-piece-timeline-empty">No tracking updates from PostGrid yet.</p>;
+  }
+
+  return (
+    <ol className="mail-piece-timeline">
+      {events.map((event, index) => (
+        <li key={index} className={`mail-piece-timeline-step mail-piece-status-${event.status}`}>
+          <span className="mail-piece-timeline-label">{MAIL_PIECE_STATUSES[event.status]?.label || event.status}</span>
+          <span className="mail-piece-timeline-description">{MAIL_PIECE_STATUSES[event.status]?.description}</span>
+          <span className="mail-piece-timeline-date">{formatDateTime(event.occurredAt)}</span>
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+/**
+ * Mailed postcards of a campaign with their delivery status; each row expands
+ * into the postcard's status timeline
+ */
+const MailPieceTracker = ({ campaign }) => {
+  const [pieces, setPieces] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [expandedId, setExpandedId] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    mailTrackingService.getCampaignMailPieces(campaign)
+      .then(data => {
+        if (!cancelled) setPieces(data);
+      })
+      .catch(error => console.error('[MailPieceTracker] Failed to load mailed postcards:', error))
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => { cancelled = true; };
+  }, [campaign]);
+
+  const counts = pieces.reduce((totals, piece) => {
+    totals[piece.status] = (totals[piece.status] || 0) + 1;
+    return totals;
+  }, {});
+
+  if (isLoading) {
+    return <p className="mail-piece-empty">Loading mailed postcards...</p>;
+  }
+
+  if (pieces.length === 0) {
+    return <p className="mail-piece-empty">No postcards mailed yet.</p>;
+  }
+
+  return (
+    <div className="mail-piece-tracker">
+      <div className="mail-piece-summary">
+        {Object.keys(MAIL_PIECE_STATUSES).filter(status => counts[status]).map(status => (
+          <span key={status} className="mail-piece-summary-item">
+            <StatusBadge status={status} /> {counts[status]}
+          </span>
+        ))}
+      </div>
+
+      <ul className="mail-piece-list">
+        {pieces.map(piece => {
+          const isExpanded = expandedId === piece.postcardId;
+
+          return (
+            <li key={piece.postcardId} className="mail-piece-row">
+              <button
+                className="mail-piece-row-header"
+                onClick={() => setExpandedId(isExpanded ? null : piece.postcardId)}
+              >
+                {isExpanded ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+                <span className="mail-piece-recipient">
+                  <span className="mail-piece-name">{piece.name}</span>
+                  <span className="mail-piece-address">{piece.address}</span>
+                </span>
+                <span className="mail-piece-date">{formatDateTime(piece.statusUpdatedAt || piece.mailedAt)}</span>
+                <StatusBadge status={piece.status} />
+              </button>
+              {isExpanded && <MailPieceTimeline postcardId={piece.postcardId} />}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default MailPieceTracker;
@@ -0,0 +1,69 @@
+import React, { useEffect, useState } from 'react';
+import pricingService from '../../supabase/api/pricingService';
+import { MAIL_CLASS_OPTIONS, POSTCARD_SIZE_OPTIONS } from '../../utils/postcardOptions';
+import { formatPrice } from '../../utils/pricing';
+import './PostcardOptions.css';
+
+/**
+ * Postcard size and mail class picker, with the user's price per postcard
+ * for the current choice
+ */
+const PostcardOptions = ({ postcardSize, mailClass, onChange }) => {
+  const [unitPrice, setUnitPrice] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    pricingService.getUnitPrice({ postcardSize, mailClass }).then(price => {
+      if (!cancelled) setUnitPrice(price);
+    });
+
+    return () => { cancelled = true; };
+  }, [postcardSize, mailClass]);
+
+  return (
+    <div className="postcard-options">
+      <div className="postcard-options-group">
+        <h3 className="postcard-options-title">Postcard Size</h3>
+        <div className="postcard-options-cards">
+          {POSTCARD_SIZE_OPTIONS.map(option => (
+            <button
+              key={option.value}
+              type="button"
+              className={`postcard-option-card ${postcardSize === option.value ? 'selected' : ''}`}
+              onClick={() => onChange({ postcardSize: option.value, mailClass })}
+            >
+              <span className="postcard-option-label">{option.label}</span>
+              <span className="postcard-option-description">{option.description}</span>
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="postcard-options-group">
+        <h3 className="postcard-options-title">Delivery</h3>
+        <div className="postcard-options-cards">
+          {MAIL_CLASS_OPTIONS.map(option => (
+            <button
+              key={option.value}
+              type="button"
+              className={`postcard-option-card ${mailClass === option.value ? 'selected' : ''}`}
+              onClick={() => onChange({ postcardSize, mailClass: option.value })}
+            >
+              <span className="postcard-option-label">{option.label}</span>
+              <span className="postcard-option-description">{option.description}</span>
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {unitPrice !== null && (
+        <p className="postcard-options-price">
+          {formatPrice(unitPrice)} per postcard
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default PostcardOptions;
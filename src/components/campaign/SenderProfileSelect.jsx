@@ -0,0 +1,59 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import senderProfileService from '../../supabase/api/senderProfileService';
+import './PostcardOptions.css';
+
+/**
+ * Return address picker for a campaign
+ * An empty value mails from the user's default profile.
+ */
+const SenderProfileSelect = ({ value, onChange }) => {
+  const [profiles, setProfiles] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    senderProfileService.getSenderProfiles()
+      .then(data => {
+        if (!cancelled) setProfiles(data);
+      })
+      .catch(error => console.error('[SenderProfileSelect] Failed to load sender profiles:', error))
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => { cancelled = true; };
+  }, []);
+
+  const defaultProfile = profiles.find(profile => profile.isDefault);
+
+  return (
+    <div className="postcard-options-group">
+      <h3 className="postcard-options-title">Return Address</h3>
+      {!isLoading && profiles.length === 0 ? (
+        <p className="postcard-options-hint">
+          No return address yet. <Link to="/settings">Add one in Settings → Business</Link> to print it on your postcards.
+        </p>
+      ) : (
+        <select
+          className="postcard-options-select"
+          value={value || ''}
+          onChange={(e) => onChange(e.target.value || null)}
+          disabled={isLoading}
+        >
+          <option value="">
+            {defaultProfile ? `Default: ${defaultProfile.name}` : 'Default return address'}
+          </option>
+          {profiles.filter(profile => !profile.isDefault).map(profile => (
+            <option key={profile.id} value={profile.id}>
+              {profile.name} ({profile.city}, {profile.state})
+            </option>
+          ))}
+        </select>
+      )}
+    </div>
+  );
+};
+
+export default SenderProfileSelect;
@@ -1,20 +1,62 @@
 import React, { useState, useEffect } from 'react';
-import { Layers, Check, ExternalLink, MapPin, DollarSign, Send, AlertCircle, CreditCard, Plus, Trash2, Star, Receipt, Calendar, Loader } from 'lucide-react';
+import { Layers, Check, ExternalLink, MapPin, DollarSign, Send, AlertCircle, CreditCard, Plus, Trash2, Star, Receipt, Calendar, Loader, Zap, Wallet, Download, Mail } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { loadStripe } from '@stripe/stripe-js';
 import { Elements, CardElement, useStripe, useElements } from '@stripe/react-stripe-js';
 import ConfirmationModal from '../common/ConfirmationModal';
 import { paymentService } from '../../supabase/api/paymentService';
 import campaignService from '../../supabase/api/campaignService';
+import pricingService from '../../supabase/api/pricingService';
+import walletService from '../../supabase/api/walletService';
+import statementService from '../../supabase/api/statementService';
+import mailTrackingService, { MAIL_PIECE_ADJUSTMENT_METHODS, MAIL_PIECE_STATUSES } from '../../supabase/api/mailTrackingService';
+import { getRecentStatementMonths } from '../../utils/statements';
+import { PRICING } from '../../utils/pricing';
 import toast from 'react-hot-toast';
 import './BillingTab.css';
 
 const stripePromise = loadStripe(import.meta.env.VITE_STRIPE_PUBLISHABLE_KEY);
 
+// Top-up amounts offered, in postcards at the user's current price
+const WALLET_TOP_UP_POSTCARDS = [25, 100, 250];
+
+const WALLET_ENTRY_LABELS = {
+  top_up: 'Balance top-up',
+  debit: 'New mover postcard',
+  refund: 'Postcard refund',
+  top_up_refund: 'Top-up refunded to card',
+  adjustment: 'Balance adjustment',
+  credit: 'Postcard credit'
+};
+
+const ADJUSTMENT_POLICY_LABELS = {
+  refund: 'refunded to how you paid',
+  credit: 'credited to your balance',
+  none: 'not refunded'
+};
+
+const adjustmentOutcome = (adjustment) => {
+  if (adjustment.status === 'completed') return MAIL_PIECE_ADJUSTMENT_METHODS[adjustment.method];
+  if (adjustment.status === 'skipped') return 'Not charged';
+  return 'In progress';
+};
+
 const BillingTab = ({ activeTab }) => {
   const [isLoading, setIsLoading] = useState(true);
   const [isLoadingPortal, setIsLoadingPortal] = useState(false);
   const [zipAggregation, setZipAggregation] = useState(null);
+  const [priceQuote, setPriceQuote] = useState(null);
+  const [billingMode, setBillingMode] = useState(null);
+  const [isSavingBillingMode, setIsSavingBillingMode] = useState(false);
+  const [wallet, setWallet] = useState(null);
+  const [walletLedger, setWalletLedger] = useState([]);
+  const [adjustments, setAdjustments] = useState([]);
+  const [adjustmentPolicies, setAdjustmentPolicies] = useState({});
+  const [topUpInProgress, setTopUpInProgress] = useState(null);
+  const [isSavingCardFallback, setIsSavingCardFallback] = useState(false);
+  const [statementMonths] = useState(() => getRecentStatementMonths(12));
+  const [statementMonth, setStatementMonth] = useState(() => statementMonths[0].value);
+  const [statementAction, setStatementAction] = useState(null);
   const [hasPaymentMethod, setHasPaymentMethod] = useState(false);
   const [isCheckingPayment, setIsCheckingPayment] = useState(true);
 
@@ -37,9 +79,153 @@ const BillingTab = ({ activeTab }) => {
   useEffect(() => {
     if (activeTab === 'Billing') {
       loadPaymentMethods();
+      loadBillingMode();
+      loadWallet();
+      loadAdjustments();
     }
   }, [activeTab]);
 
+  const loadAdjustments = async () => {
+    try {
+      const [adjustmentData, policies] = await Promise.all([
+        mailTrackingService.getAdjustments({ limit: 10 }),
+        mailTrackingService.getAdjustmentPolicies()
+      ]);
+      setAdjustments(adjustmentData);
+      setAdjustmentPolicies(policies);
+    } catch (error) {
+      console.error('Error loading postcard adjustments:', error);
+      setAdjustments([]);
+    }
+  };
+
+  const loadWallet = async () => {
+    try {
+      const [walletData, ledger] = await Promise.all([
+        walletService.getWallet(),
+        walletService.getLedger({ limit: 10 })
+      ]);
+      setWallet(walletData);
+      setWalletLedger(ledger);
+    } catch (error) {
+      console.error('Error loading wallet:', error);
+      setWallet({ exists: false, balance: 0, balanceCents: 0, cardFallback: false });
+      setWalletLedger([]);
+    }
+  };
+
+  const handleTopUp = async (postcardCount) => {
+    if (topUpInProgress) return;
+
+    const unitPriceCents = priceQuote?.unitPriceCents ?? Math.round(PRICING.PRICE_PER_POSTCARD * 100);
+
+    try {
+      setTopUpInProgress(postcardCount);
+
+      const result = await walletService.topUp(postcardCount * unitPriceCents);
+
+      if (result.success) {
+        toast.success(`Added credit for ${postcardCount} postcards`);
+      } else {
+        toast.error(result.error || 'Failed to add credit');
+      }
+    } catch (error) {
+      console.error('Error topping up wallet:', error);
+      toast.error('Failed to add credit');
+    } finally {
+      setTopUpInProgress(null);
+      loadWallet();
+    }
+  };
+
+  const handleCardFallbackChange = async (enabled) => {
+    if (isSavingCardFallback) return;
+
+    try {
+      setIsSavingCardFallback(true);
+
+      const result = await walletService.setCardFallback(enabled);
+
+      if (result.success) {
+        setWallet((current) => ({ ...current, cardFallback: enabled }));
+        toast.success(enabled
+          ? 'Your card will be charged when your balance runs out'
+          : 'Postcards will wait for a top-up when your balance runs out');
+      } else {
+        toast.error(result.error || 'Failed to update card fallback');
+      }
+    } catch (error) {
+      console.error('Error updating card fallback:', error);
+      toast.error('Failed to update card fallback');
+    } finally {
+      setIsSavingCardFallback(false);
+    }
+  };
+
+  const loadBillingMode = async () => {
+    try {
+      const mode = await paymentService.getBillingMode();
+      setBillingMode(mode);
+    } catch (error) {
+      console.error('Error loading billing mode:', error);
+      setBillingMode('immediate');
+    }
+  };
+
+  const handleBillingModeChange = async (mode) => {
+    if (mode === billingMode || isSavingBillingMode) return;
+
+    try {
+      setIsSavingBillingMode(true);
+
+      const result = await paymentService.setBillingMode(mode);
+
+      if (result.success) {
+        setBillingMode(mode);
+        toast.success(mode === 'daily'
+          ? 'Postcards will be billed once a day'
+          : 'Postcards will be billed as they are sent');
+      } else {
+        toast.error(result.error || 'Failed to update billing frequency');
+      }
+    } catch (error) {
+      console.error('Error updating billing mode:', error);
+      toast.error('Failed to update billing frequency');
+    } finally {
+      setIsSavingBillingMode(false);
+    }
+  };
+
+  const handleDownloadStatement = async () => {
+    try {
+      setStatementAction('download');
+
+      const result = await statementService.downloadStatement(statementMonth);
+
+      if (!result.success) {
+        toast.error(result.error || 'Failed to generate statement');
+      }
+    } finally {
+      setStatementAction(null);
+    }
+  };
+
+  const handleEmailStatement = async () => {
+    try {
+      setStatementAction('email');
+
+      const result = await statementService.emailStatement(statementMonth);
+
+      if (result.success) {
+        toast.success(`Statement sent to ${result.email}`);
+      } else {
+        toast.error(result.error || 'Failed to email statement');
+      }
+    } finally {
+      setStatementAction(null);
+    }
+  };
+
   const loadPaymentMethods = async () => {
     try {
       setLoadingMethods(true);
@@ -115,8 +301,13 @@ const BillingTab = ({ activeTab }) => {
     try {
       setIsLoading(true);
 
-      // Get all campaigns
-      const { campaigns } = await campaignService.getCampaigns();
+      // Get all campaigns and the user's current postcard price
+      const [{ campaigns }, quote] = await Promise.all([
+        campaignService.getCampaigns(),
+        pricingService.getQuote(1).then(result => result.quote).catch(() => null)
+      ]);
+      const unitPrice = quote?.unitPrice ?? PRICING.PRICE_PER_POSTCARD;
+      setPriceQuote(quote);
 
       // Aggregate ZIP code usage
       const zipMap = new Map();
@@ -141,7 +332,7 @@ const BillingTab = ({ activeTab }) => {
           const zipData = zipMap.get(zip);
           zipData.campaignCount += 1;
           zipData.totalPostcards += postcardsSent;
-          zipData.totalCost += postcardsSent * 3.00; // $3 per postcard
+          zipData.totalCost += postcardsSent * unitPrice;
           zipMap.set(zip, zipData);
         });
       });
@@ -228,8 +419,11 @@ const BillingTab = ({ activeTab }) => {
         </div>
         <div className="plan-details">
           <div className="plan-price">
-            <span className="price-amount">$3.00</span>
+            <span className="price-amount">${(priceQuote?.unitPrice ?? PRICING.PRICE_PER_POSTCARD).toFixed(2)}</span>
             <span className="price-period">per postcard</span>
+            {priceQuote?.discountPercent > 0 && (
+              <span className="price-discount">{priceQuote.discountPercent}% volume discount this month</span>
+            )}
           </div>
           <p className="plan-description">Only pay for postcards you send. No monthly fees or hidden charges.</p>
           <div className="plan-badge">
@@ -238,6 +432,127 @@ const BillingTab = ({ activeTab }) => {
         </div>
       </div>
 
+      {/* Billing Frequency Section */}
+      <div className="billing-mode-section">
+        <div className="section-header">
+          <div>
+            <h3>Billing Frequency</h3>
+            <p className="section-subtitle">Choose when new mover postcards are charged to your card</p>
+          </div>
+        </div>
+
+        <div className="billing-mode-options">
+          <button
+            type="button"
+            className={`billing-mode-option ${billingMode === 'immediate' ? 'selected' : ''}`}
+            onClick={() => handleBillingModeChange('immediate')}
+            disabled={!billingMode || isSavingBillingMode}
+          >
+            <Zap size={20} />
+            <div>
+              <span className="billing-mode-name">Per postcard</span>
+              <span className="billing-mode-description">Charged as soon as each postcard is sent</span>
+            </div>
+            {billingMode === 'immediate' && <Check size={18} color="#20B2AA" strokeWidth={2} />}
+          </button>
+
+          <button
+            type="button"
+            className={`billing-mode-option ${billingMode === 'daily' ? 'selected' : ''}`}
+            onClick={() => handleBillingModeChange('daily')}
+            disabled={!billingMode || isSavingBillingMode}
+          >
+            <Calendar size={20} />
+            <div>
+              <span className="billing-mode-name">Daily</span>
+              <span className="billing-mode-description">One charge each morning (2am UTC) for the previous day's postcards</span>
+            </div>
+            {billingMode === 'daily' && <Check size={18} color="#20B2AA" strokeWidth={2} />}
+          </button>
+        </div>
+      </div>
+
+      {/* Prepaid Balance Section */}
+      <div className="wallet-section">
+        <div className="section-header">
+          <div>
+            <h3>Prepaid Balance</h3>
+            <p className="section-subtitle">Buy postcard credit upfront; new mover postcards are paid from your balance first</p>
+          </div>
+          <div className="wallet-balance">
+            <Wallet size={20} />
+            <span className="wallet-balance-amount">${(wallet?.balance ?? 0).toFixed(2)}</span>
+          </div>
+        </div>
+
+        <div className="wallet-top-up-options">
+          {WALLET_TOP_UP_POSTCARDS.map((postcardCount) => (
+            <button
+              key={postcardCount}
+              type="button"
+              className="wallet-top-up-option"
+              onClick={() => handleTopUp(postcardCount)}
+              disabled={!wallet || !hasPaymentMethod || topUpInProgress !== null}
+            >
+              {topUpInProgress === postcardCount ? (
+                <Loader className="spinner-icon" size={18} />
+              ) : (
+                <Plus size={18} />
+              )}
+              <div>
+                <span className="billing-mode-name">{postcardCount} postcards</span>
+                <span className="billing-mode-description">
+                  ${(postcardCount * (priceQuote?.unitPrice ?? PRICING.PRICE_PER_POSTCARD)).toFixed(2)} charged to your default card
+                </span>
+              </div>
+            </button>
+          ))}
+        </div>
+
+        {!hasPaymentMethod && !isCheckingPayment && (
+          <p className="wallet-note">Add a payment method below to buy credit.</p>
+        )}
+
+        {wallet?.exists && (
+          <label className="wallet-card-fallback">
+            <input
+              type="checkbox"
+              checked={wallet.cardFallback}
+              onChange={(e) => handleCardFallbackChange(e.target.checked)}
+              disabled={isSavingCardFallback}
+            />
+            <span>
+              Charge my card when my balance runs out
+              <span className="billing-mode-description">
+                Otherwise new movers wait and are mailed once you add credit
+              </span>
+            </span>
+          </label>
+        )}
+
+        {walletLedger.length > 0 && (
+          <div className="wallet-ledger">
+            <h4>Balance History</h4>
+            {walletLedger.map((entry) => (
+              <div key={entry.id} className="wallet-ledger-row">
+                <div>
+                  <span className="wallet-ledger-description">
+                    {entry.description || WALLET_ENTRY_LABELS[entry.type] || entry.type}
+                  </span>
+                  <span className="wallet-ledger-date">
+                    {new Date(entry.createdAt).toLocaleDateString()}
+                  </span>
+                </div>
+                <span className={`wallet-ledger-amount ${entry.amount < 0 ? 'debit' : 'credit'}`}>
+                  {entry.amount < 0 ? '-' : '+'}${Math.abs(entry.amount).toFixed(2)}
+                </span>
+                <span className="wallet-ledger-balance">${entry.balanceAfter.toFixed(2)}</span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
       {/* Payment Methods Section */}
       <div className="payment-methods-section">
         <div className="section-header">
@@ -434,6 +749,86 @@ const BillingTab = ({ activeTab }) => {
         </motion.button>
       </div>
 
+      {/* Undeliverable Postcards Section */}
+      <div className="adjustments-section">
+        <div className="section-header">
+          <div>
+            <h3>Undeliverable Postcards</h3>
+            <p className="section-subtitle">
+              Cancelled postcards are {ADJUSTMENT_POLICY_LABELS[adjustmentPolicies.cancelled || 'none']};
+              postcards returned to sender are {ADJUSTMENT_POLICY_LABELS[adjustmentPolicies.returned_to_sender || 'none']}
+            </p>
+          </div>
+        </div>
+
+        {adjustments.length > 0 ? (
+          <div className="wallet-ledger">
+            {adjustments.map((adjustment) => (
+              <div key={adjustment.id} className="wallet-ledger-row">
+                <div>
+                  <span className="wallet-ledger-description">
+                    {MAIL_PIECE_STATUSES[adjustment.mailPieceStatus]?.label || adjustment.mailPieceStatus}
+                    {adjustment.campaignName ? ` - ${adjustment.campaignName}` : ''}
+                  </span>
+                  <span className="wallet-ledger-date">
+                    {new Date(adjustment.createdAt).toLocaleDateString()} · {adjustmentOutcome(adjustment)}
+                  </span>
+                </div>
+                <span className="wallet-ledger-amount credit">
+                  {adjustment.status === 'skipped' ? '' : `+$${adjustment.amount.toFixed(2)}`}
+                </span>
+                <span className="wallet-ledger-balance">{adjustment.postcardId}</span>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="wallet-note">No cancelled or returned postcards.</p>
+        )}
+      </div>
+
+      {/* Monthly Statements Section */}
+      <div className="statements-section">
+        <div className="section-header">
+          <div>
+            <h3>Monthly Statements</h3>
+            <p className="section-subtitle">Every postcard mailed in a month with its recipient city, ZIP, PostGrid ID and charge</p>
+          </div>
+        </div>
+
+        <div className="statements-controls">
+          <select
+            value={statementMonth}
+            onChange={(e) => setStatementMonth(e.target.value)}
+            disabled={statementAction !== null}
+          >
+            {statementMonths.map((month) => (
+              <option key={month.value} value={month.value}>{month.label}</option>
+            ))}
+          </select>
+
+          <button
+            type="button"
+            className="statement-button"
+            onClick={handleDownloadStatement}
+            disabled={statementAction !== null}
+          >
+            {statementAction === 'download' ? <Loader className="spinner-icon" size={16} /> : <Download size={16} />}
+            Download
+          </button>
+
+          <button
+            type="button"
+            className="statement-button"
+            onClick={handleEmailStatement}
+            disabled={statementAction !== null}
+          >
+            {statementAction === 'email' ? <Loader className="spinner-icon" size={16} /> : <Mail size={16} />}
+            Email to me
+          </button>
+        </div>
+        <p className="wallet-note">Statements download as HTML; use your browser's Print → Save as PDF for a PDF copy.</p>
+      </div>
+
       {/* Usage Summary */}
       {isLoading ? (
         <div className="loading-section">
@@ -536,7 +931,10 @@ const BillingTab = ({ activeTab }) => {
 
               <div className="pricing-note">
                 <DollarSign size={14} />
-                <span>All postcards are charged at $3.00 per postcard, per ZIP code.</span>
+                <span>
+                  Postcards are charged at ${(priceQuote?.unitPrice ?? PRICING.PRICE_PER_POSTCARD).toFixed(2)} per postcard, per ZIP code.
+                  Volume discounts apply automatically as your postcards this month add up.
+                </span>
               </div>
             </div>
           )}
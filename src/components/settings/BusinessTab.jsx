@@ -4,6 +4,9 @@ import { useAuth } from '../../contexts/AuthContext';
 import companyService from '../../supabase/api/companyService';
 import toast from 'react-hot-toast';
 import { parseAddress } from '../../utils/addressFormatter';
+import SenderProfiles from './SenderProfiles';
+import SuppressionList from './SuppressionList';
+import HouseholdMailRule from './HouseholdMailRule';
 import './BusinessTab.css';
 
 const BusinessTab = ({ onSave, onCancel }) => {
@@ -334,6 +337,15 @@ const BusinessTab = ({ onSave, onCancel }) => {
         </div>
       </div>
 
+      {/* Return Addresses Section */}
+      <SenderProfiles />
+
+      {/* Do-Not-Mail Section */}
+      <SuppressionList />
+
+      {/* Repeat Mailings Section */}
+      <HouseholdMailRule />
+
       {/* Footer Actions */}
       <div className="settings-footer">
         <button
@@ -0,0 +1,112 @@
+import React, { useState, useEffect } from 'react';
+import { Loader } from 'lucide-react';
+import { getUserProfile, updateUserProfile } from '../../supabase/api/profileService';
+import toast from 'react-hot-toast';
+import './HouseholdMailRule.css';
+
+const DEFAULT_WINDOW_DAYS = 90;
+
+/**
+ * Repeat-mailing rule for the Business settings tab
+ * Each campaign mails a household once; this optionally stops the account's
+ * campaigns from mailing a household another of them mailed within N days.
+ */
+const HouseholdMailRule = () => {
+  const [savedDays, setSavedDays] = useState(null);
+  const [enabled, setEnabled] = useState(false);
+  const [days, setDays] = useState(DEFAULT_WINDOW_DAYS);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const applyDays = (windowDays) => {
+    setSavedDays(windowDays);
+    setEnabled(windowDays !== null);
+    setDays(windowDays ?? DEFAULT_WINDOW_DAYS);
+  };
+
+  useEffect(() => {
+    const loadRule = async () => {
+      const result = await getUserProfile();
+
+      if (result.success) {
+        applyDays(result.profile.householdMailWindowDays);
+      } else {
+        console.error('[HouseholdMailRule] Failed to load profile:', result.error);
+      }
+
+      setIsLoading(false);
+    };
+
+    loadRule();
+  }, []);
+
+  const windowDays = enabled ? Number(days) : null;
+  const isValid = !enabled || (Number.isInteger(windowDays) && windowDays >= 1 && windowDays <= 365);
+  const isDirty = windowDays !== savedDays;
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    const result = await updateUserProfile({ householdMailWindowDays: windowDays });
+    setIsSaving(false);
+
+    if (result.success) {
+      applyDays(result.profile.householdMailWindowDays);
+      toast.success('Repeat mailing rule saved');
+    } else {
+      console.error('[HouseholdMailRule] Save error:', result.error);
+      toast.error('Failed to save repeat mailing rule');
+    }
+  };
+
+  return (
+    <div className="settings-section">
+      <h2 className="section-title">Repeat mailings</h2>
+      <p className="section-description">
+        Each campaign mails a household at most once. You can also keep your campaigns from mailing a household
+        that another of your campaigns or blasts mailed recently.
+      </p>
+
+      {isLoading ? (
+        <div className="household-rule-loading">
+          <Loader size={20} style={{ animation: 'spin 1s linear infinite' }} />
+        </div>
+      ) : (
+        <div className="household-rule">
+          <label className="household-rule-toggle">
+            <input
+              type="checkbox"
+              checked={enabled}
+              onChange={(e) => setEnabled(e.target.checked)}
+            />
+            Don't mail the same household twice within
+            <input
+              type="number"
+              className="form-input household-rule-days"
+              min="1"
+              max="365"
+              value={days}
+              onChange={(e) => setDays(e.target.value)}
+              disabled={!enabled}
+            />
+            days
+          </label>
+
+          {!isValid && <p className="household-rule-error">Enter a number of days between 1 and 365</p>}
+
+          {isDirty && (
+            <div className="household-rule-actions">
+              <button className="cancel-button" onClick={() => applyDays(savedDays)} disabled={isSaving}>
+                Cancel
+              </button>
+              <button className="save-button" onClick={handleSave} disabled={isSaving || !isValid}>
+                {isSaving ? 'Saving...' : 'Save Rule'}
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HouseholdMailRule;
@@ -0,0 +1,217 @@
+import React, { useState, useEffect } from 'react';
+import { MapPin, Plus, Star, Trash2, Edit3, Loader } from 'lucide-react';
+import senderProfileService from '../../supabase/api/senderProfileService';
+import toast from 'react-hot-toast';
+import './SenderProfiles.css';
+
+const ADDRESS_FIELDS = [
+  { field: 'name', label: 'Profile Name', placeholder: 'e.g. Main store', required: true },
+  { field: 'companyName', label: 'Company Name', placeholder: 'Printed on the return address', required: true },
+  { field: 'contactName', label: 'Contact Name', placeholder: 'Optional' },
+  { field: 'addressLine1', label: 'Street Address', placeholder: 'Street address', required: true },
+  { field: 'addressLine2', label: 'Suite / Unit', placeholder: 'Optional' }
+];
+
+const formatProfileAddress = (profile) => [
+  profile.addressLine1,
+  profile.addressLine2,
+  `${profile.city}, ${profile.state} ${profile.zipCode}`
+].filter(Boolean).join(', ');
+
+/**
+ * Return addresses (sender profiles) for the Business settings tab
+ * The default profile is printed on every postcard unless a campaign picks another.
+ */
+const SenderProfiles = () => {
+  const [profiles, setProfiles] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadProfiles = async () => {
+    try {
+      setProfiles(await senderProfileService.getSenderProfiles());
+    } catch (error) {
+      console.error('[SenderProfiles] Failed to load sender profiles:', error);
+      toast.error('Failed to load return addresses');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadProfiles();
+  }, []);
+
+  const handleAdd = async () => {
+    try {
+      setFieldErrors({});
+      setEditing(await senderProfileService.getDraftFromCompany());
+    } catch (error) {
+      console.error('[SenderProfiles] Failed to load company info:', error);
+      setEditing({ name: '', companyName: '', contactName: '', addressLine1: '', addressLine2: '', city: '', state: '', zipCode: '' });
+    }
+  };
+
+  const handleEdit = (profile) => {
+    setFieldErrors({});
+    setEditing({ ...profile });
+  };
+
+  const handleChange = (field, value) => {
+    setEditing(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSave = async () => {
+    try {
+      setIsSaving(true);
+      setFieldErrors({});
+      await senderProfileService.saveSenderProfile(editing);
+      toast.success('Return address saved');
+      setEditing(null);
+      await loadProfiles();
+    } catch (error) {
+      console.error('[SenderProfiles] Save error:', error);
+      setFieldErrors(error.fieldErrors || {});
+      toast.error(error.message || 'Failed to save return address');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleMakeDefault = async (profile) => {
+    try {
+      await senderProfileService.setDefaultSenderProfile(profile.id);
+      toast.success(`${profile.name} is now your default return address`);
+      await loadProfiles();
+    } catch (error) {
+      console.error('[SenderProfiles] Set default error:', error);
+      toast.error('Failed to change default return address');
+    }
+  };
+
+  const handleDelete = async (profile) => {
+    if (!window.confirm(`Delete the return address "${profile.name}"? Campaigns using it will mail from your default address.`)) {
+      return;
+    }
+
+    try {
+      await senderProfileService.deleteSenderProfile(profile.id);
+      toast.success('Return address deleted');
+      await loadProfiles();
+    } catch (error) {
+      console.error('[SenderProfiles] Delete error:', error);
+      toast.error('Failed to delete return address');
+    }
+  };
+
+  const renderInput = (field, placeholder) => (
+    <>
+      <input
+        type="text"
+        className={`form-input ${fieldErrors[field] ? 'sender-profile-input-error' : ''}`}
+        value={editing[field] || ''}
+        onChange={(e) => handleChange(field, e.target.value)}
+        placeholder={placeholder}
+      />
+      {fieldErrors[field] && <p className="sender-profile-field-error">{fieldErrors[field]}</p>}
+    </>
+  );
+
+  return (
+    <div className="settings-section">
+      <h2 className="section-title">Return addresses</h2>
+      <p className="section-description">
+        Printed as the sender on your postcards. Campaigns use the default unless you pick another one.
+      </p>
+
+      {isLoading ? (
+        <div className="sender-profiles-loading">
+          <Loader size={20} style={{ animation: 'spin 1s linear infinite' }} />
+        </div>
+      ) : (
+        <div className="sender-profiles-list">
+          {profiles.length === 0 && !editing && (
+            <p className="sender-profiles-empty">
+              No return address yet. Postcards are mailed without one until you add it.
+            </p>
+          )}
+
+          {profiles.map(profile => (
+            <div key={profile.id} className="sender-profile-card">
+              <MapPin size={18} className="sender-profile-icon" />
+              <div className="sender-profile-details">
+                <div className="sender-profile-name">
+                  {profile.name}
+                  {profile.isDefault && <span className="sender-profile-default">Default</span>}
+                </div>
+                <div className="sender-profile-address">
+                  {profile.companyName}{profile.contactName ? `, ${profile.contactName}` : ''}
+                </div>
+                <div className="sender-profile-address">{formatProfileAddress(profile)}</div>
+              </div>
+              <div className="sender-profile-actions">
+                {!profile.isDefault && (
+                  <button className="sender-profile-action" onClick={() => handleMakeDefault(profile)} title="Make default">
+                    <Star size={16} />
+                  </button>
+                )}
+                <button className="sender-profile-action" onClick={() => handleEdit(profile)} title="Edit">
+                  <Edit3 size={16} />
+                </button>
+                <button className="sender-profile-action danger" onClick={() => handleDelete(profile)} title="Delete">
+                  <Trash2 size={16} />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {editing ? (
+        <div className="sender-profile-form">
+          {ADDRESS_FIELDS.map(({ field, label, placeholder, required }) => (
+            <div key={field} className="form-row">
+              <label className="form-label">
+                {label} {required && <span className="required">*</span>}
+              </label>
+              {renderInput(field, placeholder)}
+            </div>
+          ))}
+
+          <div className="form-row sender-profile-city-row">
+            <div>
+              <label className="form-label">City <span className="required">*</span></label>
+              {renderInput('city', 'City')}
+            </div>
+            <div>
+              <label className="form-label">State <span className="required">*</span></label>
+              {renderInput('state', 'OH')}
+            </div>
+            <div>
+              <label className="form-label">ZIP Code <span className="required">*</span></label>
+              {renderInput('zipCode', '43219')}
+            </div>
+          </div>
+
+          <div className="sender-profile-form-actions">
+            <button className="cancel-button" onClick={() => setEditing(null)} disabled={isSaving}>
+              Cancel
+            </button>
+            <button className="save-button" onClick={handleSave} disabled={isSaving}>
+              {isSaving ? 'Saving...' : 'Save Address'}
+            </button>
+          </div>
+        </div>
+      ) : (
+        <button className="sender-profile-add" onClick={handleAdd} disabled={isLoading}>
+          <Plus size={16} />
+          Add return address
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default SenderProfiles;
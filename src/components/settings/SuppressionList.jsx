@@ -0,0 +1,287 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { ShieldOff, Plus, Trash2, Upload, Download, Loader } from 'lucide-react';
+import suppressionService from '../../supabase/api/suppressionService';
+import { downloadCsv } from '../../utils/csv';
+import {
+  SUPPRESSION_MATCH_TYPES,
+  SUPPRESSION_REASONS,
+  toSuppressionEntry,
+  validateSuppressionEntry,
+  parseSuppressionCsv,
+  suppressionsToCsv,
+  formatSuppressionValue
+} from '../../utils/suppression';
+import toast from 'react-hot-toast';
+import './SuppressionList.css';
+
+const EMPTY_ENTRY = {
+  match_type: 'address',
+  address_line: '',
+  zip_code: '',
+  melissa_address_key: '',
+  reason: 'opt_out',
+  note: ''
+};
+
+/**
+ * Do-not-mail list for the Business settings tab
+ * Movers matching an entry are skipped by every campaign, before they are mailed or charged.
+ */
+const SuppressionList = () => {
+  const fileInputRef = useRef(null);
+
+  const [entries, setEntries] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadEntries = async () => {
+    try {
+      setEntries(await suppressionService.getSuppressions());
+    } catch (error) {
+      console.error('[SuppressionList] Failed to load suppressions:', error);
+      toast.error('Failed to load do-not-mail list');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadEntries();
+  }, []);
+
+  const handleChange = (field, value) => {
+    setEditing(prev => ({ ...prev, [field]: value }));
+  };
+
+  const addEntries = async (newEntries) => {
+    const added = await suppressionService.addSuppressions(newEntries);
+    const skipped = newEntries.length - added;
+
+    toast.success(
+      `${added} ${added === 1 ? 'address' : 'addresses'} added to your do-not-mail list` +
+      (skipped > 0 ? ` (${skipped} already on it)` : '')
+    );
+    await loadEntries();
+  };
+
+  const handleSave = async () => {
+    const entry = toSuppressionEntry(editing);
+    const validationError = validateSuppressionEntry(entry);
+
+    if (validationError) {
+      toast.error(validationError);
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      await addEntries([entry]);
+      setEditing(null);
+    } catch (error) {
+      console.error('[SuppressionList] Save error:', error);
+      toast.error(error.message || 'Failed to add to do-not-mail list');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const { entries: imported, errors } = parseSuppressionCsv(await file.text());
+
+    if (errors.length > 0) {
+      toast.error(`${errors.length} invalid ${errors.length === 1 ? 'row' : 'rows'} skipped. ${errors.slice(0, 3).join('; ')}`);
+    }
+
+    if (imported.length === 0) {
+      if (errors.length === 0) toast.error('No addresses found in the file');
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      await addEntries(imported);
+    } catch (error) {
+      console.error('[SuppressionList] Import error:', error);
+      toast.error(error.message || 'Failed to import do-not-mail list');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleExport = () => {
+    downloadCsv(suppressionsToCsv(entries), `do-not-mail-${new Date().toISOString().split('T')[0]}.csv`);
+  };
+
+  const handleDelete = async (entry) => {
+    if (!window.confirm(`Remove ${formatSuppressionValue(entry)} from your do-not-mail list? Campaigns may mail it again.`)) {
+      return;
+    }
+
+    try {
+      await suppressionService.deleteSuppression(entry.id);
+      toast.success('Removed from do-not-mail list');
+      await loadEntries();
+    } catch (error) {
+      console.error('[SuppressionList] Delete error:', error);
+      toast.error('Failed to remove from do-not-mail list');
+    }
+  };
+
+  return (
+    <div className="settings-section">
+      <h2 className="section-title">Do-not-mail list</h2>
+      <p className="section-description">
+        Addresses your campaigns never mail, such as opt-outs and existing customers. Matching movers are skipped
+        and not charged. Import a CSV with the columns type, address_line, zip_code, melissa_address_key, reason and note.
+      </p>
+
+      {isLoading ? (
+        <div className="suppression-list-loading">
+          <Loader size={20} style={{ animation: 'spin 1s linear infinite' }} />
+        </div>
+      ) : (
+        <div className="suppression-list">
+          {entries.length === 0 && !editing && (
+            <p className="suppression-list-empty">No addresses on your do-not-mail list.</p>
+          )}
+
+          {entries.map(entry => (
+            <div key={entry.id} className="suppression-entry">
+              <ShieldOff size={16} className="suppression-entry-icon" />
+              <div className="suppression-entry-details">
+                <div className="suppression-entry-value">{formatSuppressionValue(entry)}</div>
+                <div className="suppression-entry-meta">
+                  {SUPPRESSION_MATCH_TYPES[entry.match_type]} · {SUPPRESSION_REASONS[entry.reason] || entry.reason}
+                  {entry.note ? ` · ${entry.note}` : ''}
+                </div>
+              </div>
+              <button className="suppression-entry-delete" onClick={() => handleDelete(entry)} title="Remove">
+                <Trash2 size={16} />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {editing ? (
+        <div className="suppression-form">
+          <div className="form-row suppression-form-row">
+            <div>
+              <label className="form-label">Match by</label>
+              <select
+                className="form-input"
+                value={editing.match_type}
+                onChange={(e) => handleChange('match_type', e.target.value)}
+              >
+                {Object.entries(SUPPRESSION_MATCH_TYPES).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="form-label">Reason</label>
+              <select
+                className="form-input"
+                value={editing.reason}
+                onChange={(e) => handleChange('reason', e.target.value)}
+              >
+                {Object.entries(SUPPRESSION_REASONS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {editing.match_type === 'address' && (
+            <div className="form-row">
+              <label className="form-label">Street Address <span className="required">*</span></label>
+              <input
+                type="text"
+                className="form-input"
+                value={editing.address_line}
+                onChange={(e) => handleChange('address_line', e.target.value)}
+                placeholder="123 Main St Apt 4"
+              />
+            </div>
+          )}
+
+          {editing.match_type === 'address_key' ? (
+            <div className="form-row">
+              <label className="form-label">Melissa Address Key <span className="required">*</span></label>
+              <input
+                type="text"
+                className="form-input"
+                value={editing.melissa_address_key}
+                onChange={(e) => handleChange('melissa_address_key', e.target.value)}
+              />
+            </div>
+          ) : (
+            <div className="form-row">
+              <label className="form-label">
+                {editing.match_type === 'zip4' ? 'ZIP+4' : 'ZIP Code'} <span className="required">*</span>
+              </label>
+              <input
+                type="text"
+                className="form-input"
+                value={editing.zip_code}
+                onChange={(e) => handleChange('zip_code', e.target.value)}
+                placeholder={editing.match_type === 'zip4' ? '43219-1234' : '43219'}
+              />
+            </div>
+          )}
+
+          <div className="form-row">
+            <label className="form-label">Note</label>
+            <input
+              type="text"
+              className="form-input"
+              value={editing.note}
+              onChange={(e) => handleChange('note', e.target.value)}
+              placeholder="Optional"
+            />
+          </div>
+
+          <div className="suppression-form-actions">
+            <button className="cancel-button" onClick={() => setEditing(null)} disabled={isSaving}>
+              Cancel
+            </button>
+            <button className="save-button" onClick={handleSave} disabled={isSaving}>
+              {isSaving ? 'Saving...' : 'Add to List'}
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="suppression-list-actions">
+          <button className="suppression-list-button" onClick={() => setEditing({ ...EMPTY_ENTRY })} disabled={isLoading}>
+            <Plus size={16} />
+            Add address
+          </button>
+          <button className="suppression-list-button" onClick={() => fileInputRef.current?.click()} disabled={isLoading || isSaving}>
+            <Upload size={16} />
+            Import CSV
+          </button>
+          {entries.length > 0 && (
+            <button className="suppression-list-button" onClick={handleExport}>
+              <Download size={16} />
+              Export CSV
+            </button>
+          )}
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".csv,text/csv"
+            onChange={handleImport}
+            hidden
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SuppressionList;
@@ -13,12 +13,23 @@ import {
   Mail,
   Target,
   TrendingUp,
-  MapPin
+  MapPin,
+  CalendarClock,
+  XCircle
 } from 'lucide-react';
 import DashboardLayout from '../components/layout/DashboardLayout';
 import ConfirmationModal from '../components/common/ConfirmationModal';
+import MailPieceTracker from '../components/campaign/MailPieceTracker';
 import campaignService from '../supabase/api/campaignService';
 import newMoverService from '../supabase/api/newMoverService';
+import { getUserProfile } from '../supabase/api/profileService';
+import {
+  formatInTimeZone,
+  resolveTimeZone,
+  utcToZonedDateTime,
+  zonedDateTimeToUtc
+} from '../utils/timezone';
+import { ADDRESS_ISSUES, ADDRESS_VERIFICATION_STATUSES } from '../utils/addressFormatter';
 import toast from 'react-hot-toast';
 import './CampaignDetails.css';
 
@@ -34,6 +45,14 @@ const CampaignDetails = () => {
   const [showAllMovers, setShowAllMovers] = useState(false);
   const [showDeleteModal, setShowDeleteModal] = useState(false);
   const [isDeleting, setIsDeleting] = useState(false);
+  const [budgetUsage, setBudgetUsage] = useState(null);
+  const [userTimeZone, setUserTimeZone] = useState(resolveTimeZone());
+  const [isRescheduling, setIsRescheduling] = useState(false);
+  const [rescheduleDate, setRescheduleDate] = useState('');
+  const [rescheduleTime, setRescheduleTime] = useState('');
+  const [isSavingSchedule, setIsSavingSchedule] = useState(false);
+  const [showCancelBlastModal, setShowCancelBlastModal] = useState(false);
+  const [isCancellingBlast, setIsCancellingBlast] = useState(false);
 
   // Load campaign data
   useEffect(() => {
@@ -50,6 +69,14 @@ const CampaignDetails = () => {
 
         // Load new movers data
         await loadNewMoversData(result.campaign);
+        await loadBudgetUsage();
+
+        if (result.campaign.is_blast) {
+          const profileResult = await getUserProfile();
+          if (profileResult.success) {
+            setUserTimeZone(resolveTimeZone(profileResult.profile.timezone));
+          }
+        }
       } else {
         setError('Campaign not found');
       }
@@ -62,6 +89,18 @@ const CampaignDetails = () => {
     }
   };
 
+  const loadBudgetUsage = async () => {
+    try {
+      const result = await campaignService.getBudgetUsage(campaignId);
+      if (result.success) {
+        setBudgetUsage(result.usage);
+      }
+    } catch (error) {
+      // Budget usage is informational; the rest of the page still works without it
+      console.error('Error loading budget usage:', error);
+    }
+  };
+
   const loadNewMoversData = async (campaignData) => {
     try {
       setNewMoversLoading(true);
@@ -138,6 +177,54 @@ const CampaignDetails = () => {
     setShowDeleteModal(true);
   };
 
+  // A blast keeps the time zone it was scheduled in; older blasts use the user's
+  const blastTimeZone = campaign?.scheduled_timezone || userTimeZone;
+
+  const handleStartReschedule = () => {
+    const { date, time } = utcToZonedDateTime(campaign.scheduled_send_date, blastTimeZone);
+    setRescheduleDate(date);
+    setRescheduleTime(time);
+    setIsRescheduling(true);
+  };
+
+  const handleSaveReschedule = async () => {
+    if (!rescheduleDate || !rescheduleTime) {
+      toast.error('Please select a date and time');
+      return;
+    }
+
+    try {
+      setIsSavingSchedule(true);
+      const scheduledAt = zonedDateTimeToUtc(rescheduleDate, rescheduleTime, blastTimeZone);
+      const result = await campaignService.rescheduleBlast(campaignId, scheduledAt.toISOString(), blastTimeZone);
+
+      setCampaign(result.campaign);
+      setIsRescheduling(false);
+      toast.success('Blast rescheduled');
+    } catch (error) {
+      console.error('Error rescheduling blast:', error);
+      toast.error(error.error || 'Failed to reschedule blast');
+    } finally {
+      setIsSavingSchedule(false);
+    }
+  };
+
+  const confirmCancelBlast = async () => {
+    try {
+      setIsCancellingBlast(true);
+      const result = await campaignService.cancelBlast(campaignId);
+
+      setCampaign(result.campaign);
+      toast.success('Blast cancelled');
+    } catch (error) {
+      console.error('Error cancelling blast:', error);
+      toast.error(error.error || 'Failed to cancel blast');
+    } finally {
+      setIsCancellingBlast(false);
+      setShowCancelBlastModal(false);
+    }
+  };
+
   const confirmDelete = async () => {
     try {
       setIsDeleting(true);
@@ -184,6 +271,10 @@ const CampaignDetails = () => {
     );
   }
 
+  // The dispatcher claims a blast by setting blast_started_at; after that it can't change
+  const isPendingBlast = campaign.is_blast && campaign.status === 'scheduled';
+  const canChangeBlast = isPendingBlast && !campaign.blast_started_at;
+
   const deliveryRate = campaign.postcards_sent > 0
     ? ((campaign.postcards_delivered / campaign.postcards_sent) * 100).toFixed(1)
     : 0;
@@ -214,10 +305,12 @@ const CampaignDetails = () => {
               <Copy size={18} />
               Duplicate
             </button>
-            <button onClick={handleToggleStatus} className="action-btn toggle">
-              {campaign.status === 'active' ? <Pause size={18} /> : <Play size={18} />}
-              {campaign.status === 'active' ? 'Pause' : 'Activate'}
-            </button>
+            {!campaign.is_blast && (
+              <button onClick={handleToggleStatus} className="action-btn toggle">
+                {campaign.status === 'active' ? <Pause size={18} /> : <Play size={18} />}
+                {campaign.status === 'active' ? 'Pause' : 'Activate'}
+              </button>
+            )}
             <button onClick={handleDelete} className="action-btn delete">
               <Trash2 size={18} />
               Delete
@@ -307,6 +400,97 @@ const CampaignDetails = () => {
 
           {/* Right Column - Details and Analytics */}
           <div className="campaign-right-column">
+            {/* Scheduled Blast */}
+            {isPendingBlast && campaign.scheduled_send_date && (
+              <motion.div
+                className="campaign-info-card blast-schedule-card"
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                transition={{ duration: 0.3, delay: 0.15 }}
+              >
+                <h3>Scheduled Blast</h3>
+                <div className="info-grid">
+                  <div className="info-row">
+                    <span className="info-label">
+                      <CalendarClock size={16} />
+                      Sends
+                    </span>
+                    <span className="info-value">
+                      {formatInTimeZone(campaign.scheduled_send_date, blastTimeZone)}
+                    </span>
+                  </div>
+                </div>
+
+                {campaign.approval_status !== 'approved' && (
+                  <p className="blast-schedule-note">
+                    Waiting for approval. If approval comes after the scheduled time, the blast is sent right away.
+                  </p>
+                )}
+
+                {campaign.blast_started_at && (
+                  <p className="blast-schedule-note">
+                    This blast is being sent and can no longer be rescheduled or cancelled.
+                  </p>
+                )}
+
+                {campaign.blast_last_error && !campaign.blast_started_at && (
+                  <p className="blast-schedule-note blast-schedule-warning">
+                    On hold: {campaign.blast_last_error}
+                  </p>
+                )}
+
+                {canChangeBlast && (isRescheduling ? (
+                  <div className="blast-reschedule-form">
+                    <div className="blast-reschedule-inputs">
+                      <input
+                        type="date"
+                        value={rescheduleDate}
+                        onChange={(e) => setRescheduleDate(e.target.value)}
+                        min={utcToZonedDateTime(new Date(), blastTimeZone).date}
+                        className="blast-reschedule-input"
+                      />
+                      <input
+                        type="time"
+                        value={rescheduleTime}
+                        onChange={(e) => setRescheduleTime(e.target.value)}
+                        className="blast-reschedule-input"
+                      />
+                    </div>
+                    <p className="blast-schedule-note">
+                      Times are in {blastTimeZone.replace(/_/g, ' ')}.
+                    </p>
+                    <div className="blast-schedule-actions">
+                      <button
+                        onClick={handleSaveReschedule}
+                        className="action-btn edit"
+                        disabled={isSavingSchedule}
+                      >
+                        {isSavingSchedule ? 'Saving...' : 'Save'}
+                      </button>
+                      <button
+                        onClick={() => setIsRescheduling(false)}
+                        className="action-btn duplicate"
+                        disabled={isSavingSchedule}
+                      >
+                        Cancel
+                      </button>
+                    </div>
+                  </div>
+                ) : (
+                  <div className="blast-schedule-actions">
+                    <button onClick={handleStartReschedule} className="action-btn toggle">
+                      <CalendarClock size={18} />
+                      Reschedule
+                    </button>
+                    <button onClick={() => setShowCancelBlastModal(true)} className="action-btn delete">
+                      <XCircle size={18} />
+                      Cancel Blast
+                    </button>
+                  </div>
+                ))}
+              </motion.div>
+            )}
+
             {/* Campaign Information */}
             <motion.div
               className="campaign-info-card"
@@ -371,6 +555,47 @@ const CampaignDetails = () => {
                     {campaign.payment_status.charAt(0).toUpperCase() + campaign.payment_status.slice(1)}
                   </span>
                 </div>
+
+                <div className="info-row">
+                  <span className="info-label">
+                    <DollarSign size={16} />
+                    Monthly Budget
+                  </span>
+                  <span className="info-value">
+                    {campaign.monthly_budget_cap !== null && campaign.monthly_budget_cap !== undefined ? (
+                      <>
+                        ${(budgetUsage?.spentThisMonth || 0).toFixed(2)} of ${parseFloat(campaign.monthly_budget_cap).toFixed(2)}
+                        {budgetUsage && budgetUsage.spentThisMonth + budgetUsage.unitPrice > parseFloat(campaign.monthly_budget_cap) && (
+                          <span className="budget-cap-reached">Cap reached</span>
+                        )}
+                      </>
+                    ) : (
+                      'No cap'
+                    )}
+                  </span>
+                </div>
+
+                <div className="info-row">
+                  <span className="info-label">
+                    <Mail size={16} />
+                    Max Postcards per Poll
+                  </span>
+                  <span className="info-value">
+                    {campaign.max_postcards_per_poll || 'No limit'}
+                  </span>
+                </div>
+
+                {budgetUsage?.queuedCount > 0 && (
+                  <div className="info-row">
+                    <span className="info-label">
+                      <Calendar size={16} />
+                      Queued Movers
+                    </span>
+                    <span className="info-value">
+                      {budgetUsage.queuedCount.toLocaleString()} waiting for budget
+                    </span>
+                  </div>
+                )}
               </div>
             </motion.div>
 
@@ -432,6 +657,7 @@ const CampaignDetails = () => {
                           <th>Address</th>
                           <th>City, State ZIP</th>
                           <th>Move Date</th>
+                          <th>Address Check</th>
                           <th>Sent Postcards</th>
                         </tr>
                       </thead>
@@ -447,6 +673,20 @@ const CampaignDetails = () => {
                                 ? new Date(mover.move_effective_date).toLocaleDateString()
                                 : 'N/A'}
                             </td>
+                            <td className="verification-cell">
+                              {mover.address_verification_status ? (
+                                <span
+                                  className={`verification-badge verification-${mover.address_verification_status}`}
+                                  title={(mover.address_verification_issues || [])
+                                    .map(issue => ADDRESS_ISSUES[issue] || issue)
+                                    .join(', ')}
+                                >
+                                  {ADDRESS_VERIFICATION_STATUSES[mover.address_verification_status]}
+                                </span>
+                              ) : (
+                                <span className="verification-pending">Not checked yet</span>
+                              )}
+                            </td>
                             <td className="sent-cell">No</td>
                           </tr>
                         ))}
@@ -468,6 +708,19 @@ const CampaignDetails = () => {
                 )}
               </motion.div>
             )}
+
+            {/* Delivery tracking from PostGrid webhooks */}
+            <motion.div
+              className="campaign-addresses-card"
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ duration: 0.3, delay: 0.6 }}
+            >
+              <div className="addresses-header">
+                <h3>Delivery Tracking</h3>
+              </div>
+              <MailPieceTracker campaign={campaign} />
+            </motion.div>
           </div>
         </div>
       </div>
@@ -493,6 +746,27 @@ const CampaignDetails = () => {
         isLoading={isDeleting}
         loadingText="Deleting..."
       />
+
+      <ConfirmationModal
+        isOpen={showCancelBlastModal}
+        onClose={() => setShowCancelBlastModal(false)}
+        onConfirm={confirmCancelBlast}
+        title="Cancel Blast"
+        message={
+          campaign ? (
+            <>
+              Cancel <strong>{campaign.campaign_name}</strong>? No postcards will be sent and you won't be charged.
+            </>
+          ) : (
+            'Cancel this blast? No postcards will be sent and you won\'t be charged.'
+          )
+        }
+        confirmText="Cancel Blast"
+        cancelText="Keep Blast"
+        severity="warning"
+        isLoading={isCancellingBlast}
+        loadingText="Cancelling..."
+      />
     </DashboardLayout>
   );
 };
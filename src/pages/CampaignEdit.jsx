@@ -5,8 +5,10 @@ import { Edit3, CheckCircle, XCircle, AlertCircle } from 'lucide-react';
 import DashboardLayout from '../components/layout/DashboardLayout';
 import Breadcrumb from '../components/common/Breadcrumb';
 import FabricEditor from '../components/PostcardEditor/FabricEditor';
+import SenderProfileSelect from '../components/campaign/SenderProfileSelect';
 import campaignService from '../supabase/api/campaignService';
 import newMoverService from '../supabase/api/newMoverService';
+import pricingService from '../supabase/api/pricingService';
 import toast from 'react-hot-toast';
 
 const CampaignEdit = () => {
@@ -21,7 +23,10 @@ const CampaignEdit = () => {
 
   const [formData, setFormData] = useState({
     campaign_name: '',
-    target_zip_codes: ''
+    target_zip_codes: '',
+    monthly_budget_cap: '',
+    max_postcards_per_poll: '',
+    sender_profile_id: null
   });
 
   useEffect(() => {
@@ -37,7 +42,10 @@ const CampaignEdit = () => {
         setCampaign(result.campaign);
         setFormData({
           campaign_name: result.campaign.campaign_name || '',
-          target_zip_codes: (result.campaign.target_zip_codes || []).join(', ')
+          target_zip_codes: (result.campaign.target_zip_codes || []).join(', '),
+          monthly_budget_cap: result.campaign.monthly_budget_cap ?? '',
+          max_postcards_per_poll: result.campaign.max_postcards_per_poll ?? '',
+          sender_profile_id: result.campaign.sender_profile_id || null
         });
       } else {
         toast.error('Campaign not found');
@@ -79,7 +87,10 @@ const CampaignEdit = () => {
         return;
       }
 
-      const result = await newMoverService.validateZipCodes(zipCodes);
+      const result = await newMoverService.validateZipCodes(
+        zipCodes,
+        pricingService.campaignQuoteOptions(campaign)
+      );
       setZipValidation(result);
 
       if (result.allValid) {
@@ -116,10 +127,31 @@ const CampaignEdit = () => {
         return;
       }
 
+      // Parse spend limits (blank = no limit)
+      const budgetCap = String(formData.monthly_budget_cap).trim() === ''
+        ? null
+        : parseFloat(formData.monthly_budget_cap);
+      const maxPerPoll = String(formData.max_postcards_per_poll).trim() === ''
+        ? null
+        : parseInt(formData.max_postcards_per_poll, 10);
+
+      if (budgetCap !== null && (isNaN(budgetCap) || budgetCap < 0)) {
+        toast.error('Monthly budget cap must be a positive dollar amount');
+        return;
+      }
+
+      if (maxPerPoll !== null && (isNaN(maxPerPoll) || maxPerPoll < 1)) {
+        toast.error('Max postcards per poll must be at least 1');
+        return;
+      }
+
       // Update campaign
       const updates = {
         campaign_name: formData.campaign_name,
         target_zip_codes: zipCodes,
+        monthly_budget_cap: budgetCap,
+        max_postcards_per_poll: maxPerPoll,
+        sender_profile_id: formData.sender_profile_id,
         status: 'draft', // Set back to draft when edited
       };
 
@@ -212,6 +244,7 @@ const CampaignEdit = () => {
             onBack={handleCloseEditor}
             onSave={handleSavePostcard}
             campaignId={campaignId}
+            postcardSize={campaign.postcard_size}
           />
         </div>
       </DashboardLayout>
@@ -345,6 +378,58 @@ const CampaignEdit = () => {
               </div>
             </div>
 
+            <div className="card-section">
+              <h3 className="section-title">Spend Limits</h3>
+
+              <div className="form-row">
+                <div className="form-group">
+                  <label className="form-label">Monthly Budget Cap ($)</label>
+                  <input
+                    type="number"
+                    name="monthly_budget_cap"
+                    className="form-input"
+                    value={formData.monthly_budget_cap}
+                    onChange={handleInputChange}
+                    placeholder="No cap"
+                    min="0"
+                    step="0.01"
+                  />
+                  <p className="form-help">
+                    Maximum spent on new mover postcards per calendar month, at your current postcard price
+                  </p>
+                </div>
+
+                <div className="form-group">
+                  <label className="form-label">Max Postcards per Poll</label>
+                  <input
+                    type="number"
+                    name="max_postcards_per_poll"
+                    className="form-input"
+                    value={formData.max_postcards_per_poll}
+                    onChange={handleInputChange}
+                    placeholder="No limit"
+                    min="1"
+                    step="1"
+                  />
+                  <p className="form-help">
+                    Limit how many postcards go out each time we check for new movers
+                  </p>
+                </div>
+              </div>
+
+              <p className="form-help">
+                New movers found over a limit are queued, not dropped, and mailed once the next period starts.
+                Leave blank for no limit.
+              </p>
+            </div>
+
+            <div className="card-section">
+              <SenderProfileSelect
+                value={formData.sender_profile_id}
+                onChange={senderProfileId => setFormData(prev => ({ ...prev, sender_profile_id: senderProfileId }))}
+              />
+            </div>
+
             <div className="card-section">
               <div className="section-header">
                 <h3 className="section-title">Postcard Design</h3>
@@ -581,6 +666,17 @@ const CampaignEdit = () => {
           margin-bottom: 0;
         }
 
+        .form-row {
+          display: grid;
+          grid-template-columns: 1fr 1fr;
+          gap: 16px;
+          margin-bottom: 12px;
+        }
+
+        .form-row .form-group {
+          margin-bottom: 0;
+        }
+
         .form-label {
           display: block;
           font-size: 14px;
@@ -951,6 +1047,10 @@ const CampaignEdit = () => {
             gap: 16px;
           }
 
+          .form-row {
+            grid-template-columns: 1fr;
+          }
+
           .validation-summary {
             flex-direction: column;
           }
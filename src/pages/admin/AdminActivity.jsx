@@ -22,7 +22,10 @@ import {
   Target,
   Users,
   ChevronDown,
-  X
+  X,
+  ShieldOff,
+  Upload,
+  RotateCcw
 } from 'lucide-react';
 import { adminActivityService } from '../../supabase/api/adminService';
 import toast from 'react-hot-toast';
@@ -158,7 +161,11 @@ const AdminActivity = () => {
       payment_method_removed: <Trash2 size={20} />,
       transaction_succeeded: <DollarSign size={20} />,
       transaction_failed: <XCircle size={20} />,
-      transaction_refunded: <DollarSign size={20} />
+      transaction_refunded: <DollarSign size={20} />,
+      suppression_added: <ShieldOff size={20} />,
+      suppression_imported: <Upload size={20} />,
+      suppression_removed: <Trash2 size={20} />,
+      stripe_event_replayed: <RotateCcw size={20} />
     };
 
     return iconMap[actionType] || <ActivityIcon size={20} />;
@@ -181,7 +188,11 @@ const AdminActivity = () => {
       payment_method_removed: 'warning',
       transaction_succeeded: 'success',
       transaction_failed: 'error',
-      transaction_refunded: 'warning'
+      transaction_refunded: 'warning',
+      suppression_added: 'warning',
+      suppression_imported: 'warning',
+      suppression_removed: 'info',
+      stripe_event_replayed: 'info'
     };
 
     return colorMap[actionType] || 'default';
@@ -246,7 +257,7 @@ const AdminActivity = () => {
       case 'user_unblocked':
         return `Unblocked user. Reason: ${metadata.unblock_reason || 'Not specified'}`;
       case 'polling_completed':
-        return `Polling completed: ${metadata.campaigns_processed || 0} campaigns processed, ${metadata.new_movers_discovered || 0} new movers discovered, ${metadata.postcards_sent || 0} postcards sent${metadata.errors_count > 0 ? `, ${metadata.errors_count} errors` : ''}`;
+        return `Polling completed: ${metadata.campaigns_processed || 0} campaigns processed, ${metadata.new_movers_discovered || 0} new movers discovered, ${metadata.postcards_sent || 0} postcards sent${metadata.pages_fetched !== undefined ? `, ${metadata.pages_fetched} pages fetched${metadata.page_cap_reached ? ' (page cap reached)' : ''}` : ''}${metadata.errors_count > 0 ? `, ${metadata.errors_count} errors` : ''}`;
       case 'payment_method_added':
         return `Added payment method: ${metadata.card_brand?.toUpperCase() || 'Card'} ending in ${metadata.card_last4 || '****'}${metadata.is_default ? ' (set as default)' : ''}`;
       case 'payment_method_failed':
@@ -261,6 +272,14 @@ const AdminActivity = () => {
         return `Payment failed: $${metadata.amount_dollars?.toFixed(2) || '0.00'} for ${metadata.billing_reason?.replace(/_/g, ' ') || 'campaign'}. Error: ${metadata.failure_message || metadata.failure_code || 'Unknown error'}`;
       case 'transaction_refunded':
         return `Refund processed: $${metadata.refund_amount_dollars?.toFixed(2) || '0.00'} ${metadata.refund_status === 'partially_refunded' ? '(partial)' : ''} for original payment of $${metadata.original_amount_dollars?.toFixed(2) || '0.00'}`;
+      case 'suppression_added':
+        return `Added to do-not-mail list: ${metadata.address_line ? `${metadata.address_line}, ${metadata.zip_code}` : metadata.melissa_address_key || metadata.zip_code || 'entry'} (${metadata.reason?.replace(/_/g, ' ') || 'no reason'})`;
+      case 'suppression_imported':
+        return `Imported do-not-mail CSV: ${metadata.added || 0} of ${metadata.submitted || 0} entries added`;
+      case 'suppression_removed':
+        return `Removed from do-not-mail list: ${metadata.address_line ? `${metadata.address_line}, ${metadata.zip_code}` : metadata.melissa_address_key || metadata.zip_code || 'entry'}`;
+      case 'stripe_event_replayed':
+        return `Replayed Stripe event ${metadata.event_type || ''} (${metadata.event_id || 'unknown'}): ${metadata.previous_status || '?'} → ${metadata.status || '?'}${metadata.error ? `. Error: ${metadata.error}` : ''}`;
       default:
         return formatActionType(log.action_type);
     }
@@ -315,8 +334,19 @@ const AdminActivity = () => {
         { value: 'transaction_succeeded', label: 'Payment Success' },
         { value: 'transaction_failed', label: 'Payment Error' },
         { value: 'transaction_refunded', label: 'Refunds' },
+        { value: 'stripe_event_replayed', label: 'Stripe Replays' },
         { value: 'polling_completed', label: 'Polling' }
       ]
+    },
+    {
+      id: 'suppression',
+      label: 'Do-Not-Mail Actions',
+      icon: <ShieldOff size={18} />,
+      filters: [
+        { value: 'suppression_added', label: 'Added' },
+        { value: 'suppression_imported', label: 'Imported' },
+        { value: 'suppression_removed', label: 'Removed' }
+      ]
     }
   ];
 
@@ -19,19 +19,24 @@ import {
   XCircle,
   PauseCircle,
   PlayCircle,
-  Trash2
+  Trash2,
+  Truck
 } from 'lucide-react';
 import { adminCampaignService } from '../../supabase/api/adminService';
 import { newMoverService } from '../../supabase/api/newMoverService';
+import pricingService from '../../supabase/api/pricingService';
 import {
   approveCampaign,
   rejectCampaign,
   pauseCampaign,
   resumeCampaign,
   deleteCampaign,
+  connectProvider,
+  PROVIDERS,
   getCurrentAdminId
 } from '../../supabase/api/adminActions';
 import PollingStatusBadge from '../../components/admin/PollingStatusBadge';
+import MailPieceTracker from '../../components/campaign/MailPieceTracker';
 import toast from 'react-hot-toast';
 import './AdminCampaignDetails.css';
 
@@ -39,6 +44,7 @@ const AdminCampaignDetails = () => {
   const { campaignId } = useParams();
   const navigate = useNavigate();
   const [campaign, setCampaign] = useState(null);
+  const [unitPrice, setUnitPrice] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [actionLoading, setActionLoading] = useState(null);
@@ -59,6 +65,8 @@ const AdminCampaignDetails = () => {
 
       if (result.success) {
         setCampaign(result.campaign);
+        // The owner's current quote, or the price stored on the campaign
+        setUnitPrice(await pricingService.getCampaignUnitPrice(result.campaign));
       } else {
         setError(result.error || 'Failed to load campaign details');
         toast.error(result.error || 'Failed to load campaign details');
@@ -373,6 +381,33 @@ const AdminCampaignDetails = () => {
     }
   };
 
+  const handleDataProviderChange = async (dataProvider) => {
+    if (!campaign || dataProvider === (campaign.data_provider || 'melissa')) return;
+
+    setActionLoading('data_provider');
+    try {
+      const adminId = await getCurrentAdminId();
+      if (!adminId) {
+        toast.error('Unable to identify admin user');
+        return;
+      }
+
+      const result = await connectProvider(campaignId, adminId, dataProvider);
+
+      if (result.success) {
+        toast.success(`Mover data provider set to ${dataProvider}`);
+        await loadCampaignDetails();
+      } else {
+        toast.error(result.error || 'Failed to change data provider');
+      }
+    } catch (error) {
+      console.error('Error changing data provider:', error);
+      toast.error('Failed to change data provider');
+    } finally {
+      setActionLoading(null);
+    }
+  };
+
   const formatDate = (dateString) => {
     if (!dateString) return 'Not set';
     const date = new Date(dateString);
@@ -729,7 +764,7 @@ const AdminCampaignDetails = () => {
                 <DollarSign size={16} />
                 <div>
                   <span className="admin-details-info-label">Price per Postcard</span>
-                  <span className="admin-details-info-value">{formatCurrency(campaign.price_per_postcard || 3.00)}</span>
+                  <span className="admin-details-info-value">{unitPrice !== null ? formatCurrency(unitPrice) : 'N/A'}</span>
                 </div>
               </div>
               <div className="admin-details-info-item">
@@ -837,6 +872,24 @@ const AdminCampaignDetails = () => {
                   />
                 </div>
               </div>
+              <div className="admin-details-info-item">
+                <Globe size={16} />
+                <div>
+                  <span className="admin-details-info-label">Mover Data Provider</span>
+                  <select
+                    className="admin-details-provider-select"
+                    value={campaign.data_provider || 'melissa'}
+                    onChange={(e) => handleDataProviderChange(e.target.value)}
+                    disabled={actionLoading !== null}
+                  >
+                    {PROVIDERS.data.map((provider) => (
+                      <option key={provider} value={provider}>
+                        {provider === 'fixture' ? 'Fixture (test data)' : 'Melissa'}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
               <div className="admin-details-info-item">
                 <Mail size={16} />
                 <div>
@@ -855,12 +908,26 @@ const AdminCampaignDetails = () => {
             <div style={{ marginTop: '16px', padding: '12px', background: '#F1F5F9', borderRadius: '8px', fontSize: '13px', color: '#475569' }}>
               <strong>How polling works:</strong>
               <ul style={{ marginTop: '8px', marginLeft: '20px', lineHeight: '1.6' }}>
-                <li>System checks Melissa API every {campaign.polling_frequency_hours === 0.5 ? '30 minutes' : `${campaign.polling_frequency_hours || 0.5} hours`} for new movers</li>
+                <li>System checks {campaign.data_provider === 'fixture' ? 'the bundled fixture movers' : 'Melissa API'} every {campaign.polling_frequency_hours === 0.5 ? '30 minutes' : `${campaign.polling_frequency_hours || 0.5} hours`} for new movers</li>
                 <li>When new movers are found, postcards are automatically sent via PostGrid</li>
-                <li>You're charged $3.00 immediately when each postcard is sent</li>
+                <li>The owner is charged {unitPrice !== null ? formatCurrency(unitPrice) : 'their quoted price'} for each postcard mailed</li>
               </ul>
             </div>
           </motion.div>
+
+          {/* Delivery Tracking */}
+          <motion.div
+            className="admin-details-card"
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.45 }}
+          >
+            <h3 className="admin-details-card-title">
+              <Truck size={20} />
+              Delivery Tracking
+            </h3>
+            <MailPieceTracker campaign={campaign} />
+          </motion.div>
         </div>
       </div>
 
@@ -0,0 +1,293 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Inbox,
+  Mail,
+  Send,
+  CreditCard,
+  XCircle,
+  RefreshCw,
+  AlertTriangle,
+  Clock
+} from 'lucide-react';
+import toast from 'react-hot-toast';
+import MetricCard from '../../components/admin/MetricCard';
+import { adminOutboxService, OUTBOX_STALE_MINUTES } from '../../supabase/api/adminService';
+import './AdminOutbox.css';
+
+const STATE_FILTERS = ['stuck', 'discovered', 'mailing', 'mailed', 'charging', 'failed', 'past_due'];
+
+const AdminOutbox = () => {
+  const navigate = useNavigate();
+
+  const [movers, setMovers] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [stateFilter, setStateFilter] = useState('stuck');
+  const [offset, setOffset] = useState(0);
+  const [total, setTotal] = useState(0);
+
+  const pageSize = 50;
+
+  const loadMovers = useCallback(async () => {
+    try {
+      setLoading(true);
+
+      const result = await adminOutboxService.getStuckMovers({
+        state: stateFilter,
+        limit: pageSize,
+        offset
+      });
+
+      if (result.success) {
+        setMovers(result.movers);
+        setCounts(result.counts);
+        setTotal(result.total);
+      } else {
+        toast.error(result.error || 'Failed to load outbox');
+      }
+    } catch (error) {
+      console.error('Error loading outbox:', error);
+      toast.error('Error loading outbox');
+    } finally {
+      setLoading(false);
+    }
+  }, [stateFilter, offset]);
+
+  useEffect(() => {
+    loadMovers();
+  }, [loadMovers]);
+
+  const handleFilterChange = (state) => {
+    setStateFilter(state);
+    setOffset(0);
+  };
+
+  const formatDate = (dateString) => {
+    if (!dateString) return '—';
+    return new Date(dateString).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit',
+      hour12: true
+    });
+  };
+
+  const formatAge = (dateString) => {
+    if (!dateString) return '';
+    const minutes = Math.floor((Date.now() - new Date(dateString).getTime()) / 60000);
+    if (minutes < 60) return `${minutes}m`;
+    if (minutes < 1440) return `${Math.floor(minutes / 60)}h`;
+    return `${Math.floor(minutes / 1440)}d`;
+  };
+
+  const getStateColor = (state) => {
+    const colors = {
+      discovered: 'default',
+      mailing: 'warning',
+      mailed: 'info',
+      charging: 'warning',
+      failed: 'error',
+      past_due: 'warning'
+    };
+    return colors[state] || 'default';
+  };
+
+  // What the poller will do with the row on its next run
+  const getNextStep = (mover) => {
+    switch (mover.outbox_state) {
+      case 'discovered':
+        return 'Mail postcard';
+      case 'mailing':
+        return 'Retry mailing (idempotent)';
+      case 'mailed':
+        return 'Charge card';
+      case 'charging':
+        return 'Retry charge (idempotent)';
+      case 'failed':
+        return mover.postgrid_postcard_id ? 'Needs manual billing' : 'Needs review';
+      case 'past_due':
+        return 'Collected by dunning';
+      default:
+        return '—';
+    }
+  };
+
+  const stuckCount = ['discovered', 'mailing', 'mailed', 'charging']
+    .reduce((sum, state) => sum + (counts[state] || 0), 0);
+  const totalPages = Math.ceil(total / pageSize);
+  const currentPage = Math.floor(offset / pageSize) + 1;
+
+  return (
+    <div className="admin-outbox">
+      <div className="admin-outbox-header">
+        <div>
+          <h1>Mail Outbox</h1>
+          <p>
+            New movers idle for more than {OUTBOX_STALE_MINUTES} minutes between mailing and charging.
+            The poller resumes these on its next run.
+          </p>
+        </div>
+        <button
+          className="admin-btn admin-btn-secondary"
+          onClick={loadMovers}
+          disabled={loading}
+        >
+          <RefreshCw size={18} />
+          Refresh
+        </button>
+      </div>
+
+      <div className="admin-metrics-grid">
+        <MetricCard
+          title="Stuck Before Mailing"
+          value={(counts.discovered || 0) + (counts.mailing || 0)}
+          icon={Send}
+          color="warning"
+          loading={loading}
+        />
+        <MetricCard
+          title="Mailed, Not Charged"
+          value={(counts.mailed || 0) + (counts.charging || 0)}
+          icon={CreditCard}
+          color="warning"
+          loading={loading}
+        />
+        <MetricCard
+          title="Failed"
+          value={counts.failed || 0}
+          icon={XCircle}
+          color="error"
+          loading={loading}
+        />
+        <MetricCard
+          title="Past Due"
+          value={counts.past_due || 0}
+          icon={Clock}
+          color="warning"
+          loading={loading}
+        />
+      </div>
+
+      <div className="admin-filter-tabs">
+        {STATE_FILTERS.map((state) => (
+          <button
+            key={state}
+            className={`admin-filter-tab ${stateFilter === state ? 'active' : ''}`}
+            onClick={() => handleFilterChange(state)}
+          >
+            {state.charAt(0).toUpperCase() + state.slice(1).replace('_', ' ')}
+            {state === 'stuck' ? ` (${stuckCount})` : counts[state] ? ` (${counts[state]})` : ''}
+          </button>
+        ))}
+      </div>
+
+      <div className="admin-outbox-card">
+        {loading ? (
+          <div className="admin-table-loading">
+            {[1, 2, 3, 4, 5].map((i) => (
+              <div key={i} className="admin-table-skeleton"></div>
+            ))}
+          </div>
+        ) : movers.length === 0 ? (
+          <div className="admin-empty-state">
+            <Inbox size={48} />
+            <h3>Outbox is clear</h3>
+            <p>No movers are stuck in this state</p>
+          </div>
+        ) : (
+          <>
+            <div className="admin-outbox-table-container">
+              <table className="admin-outbox-table">
+                <thead>
+                  <tr>
+                    <th>Mover</th>
+                    <th>Campaign</th>
+                    <th>State</th>
+                    <th>Since</th>
+                    <th>Attempts</th>
+                    <th>Next Step</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {movers.map((mover) => (
+                    <tr key={mover.id}>
+                      <td>
+                        <div className="admin-outbox-mover">
+                          <span className="admin-outbox-mover-name">{mover.full_name}</span>
+                          <span className="admin-outbox-mover-address">
+                            {mover.address_line}, {mover.city}, {mover.state} {mover.zip_code}
+                          </span>
+                        </div>
+                      </td>
+                      <td>
+                        {mover.campaign_name ? (
+                          <button
+                            className="admin-outbox-link"
+                            onClick={() => navigate(`/admin/campaigns/${mover.campaign_id}`)}
+                          >
+                            {mover.campaign_name}
+                          </button>
+                        ) : (
+                          <span className="admin-outbox-muted">—</span>
+                        )}
+                      </td>
+                      <td>
+                        <div className={`admin-status-badge status-${getStateColor(mover.outbox_state)}`}>
+                          {mover.outbox_state === 'failed' ? <AlertTriangle size={14} /> : <Mail size={14} />}
+                          {mover.outbox_state}
+                        </div>
+                        {mover.outbox_last_error && (
+                          <span className="admin-outbox-error" title={mover.outbox_last_error}>
+                            {mover.outbox_last_error}
+                          </span>
+                        )}
+                      </td>
+                      <td className="admin-outbox-date">
+                        {formatDate(mover.outbox_state_changed_at)}
+                        <span className="admin-outbox-muted">{formatAge(mover.outbox_state_changed_at)} ago</span>
+                      </td>
+                      <td>{mover.outbox_attempts}</td>
+                      <td>{getNextStep(mover)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {totalPages > 1 && (
+              <div className="admin-pagination">
+                <button
+                  className="admin-pagination-btn"
+                  onClick={() => setOffset(offset - pageSize)}
+                  disabled={currentPage === 1}
+                >
+                  Previous
+                </button>
+
+                <span className="admin-pagination-info">
+                  Page {currentPage} of {totalPages}
+                  <span className="admin-pagination-total">
+                    ({total} total)
+                  </span>
+                </span>
+
+                <button
+                  className="admin-pagination-btn"
+                  onClick={() => setOffset(offset + pageSize)}
+                  disabled={currentPage === totalPages}
+                >
+                  Next
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminOutbox;
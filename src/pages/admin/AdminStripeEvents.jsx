@@ -0,0 +1,356 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Zap,
+  Search,
+  RefreshCw,
+  RotateCcw,
+  ChevronDown,
+  ChevronRight,
+  CheckCircle,
+  XCircle,
+  MinusCircle,
+  Clock
+} from 'lucide-react';
+import toast from 'react-hot-toast';
+import MetricCard from '../../components/admin/MetricCard';
+import { adminStripeEventService, STRIPE_EVENT_STATUSES } from '../../supabase/api/adminService';
+import './AdminStripeEvents.css';
+
+const AdminStripeEvents = () => {
+  const [events, setEvents] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [offset, setOffset] = useState(0);
+  const [total, setTotal] = useState(0);
+  const [expandedId, setExpandedId] = useState(null);
+  const [payloads, setPayloads] = useState({});
+  const [replayingId, setReplayingId] = useState(null);
+
+  const pageSize = 50;
+
+  const loadEvents = useCallback(async () => {
+    try {
+      setLoading(true);
+
+      const result = await adminStripeEventService.getStripeEvents({
+        search: searchQuery,
+        status: statusFilter,
+        limit: pageSize,
+        offset
+      });
+
+      if (result.success) {
+        setEvents(result.events);
+        setCounts(result.counts);
+        setTotal(result.total);
+      } else {
+        toast.error(result.error || 'Failed to load Stripe events');
+      }
+    } catch (error) {
+      console.error('Error loading Stripe events:', error);
+      toast.error('Error loading Stripe events');
+    } finally {
+      setLoading(false);
+    }
+  }, [searchQuery, statusFilter, offset]);
+
+  useEffect(() => {
+    const timer = setTimeout(loadEvents, 300);
+    return () => clearTimeout(timer);
+  }, [loadEvents]);
+
+  const handleStatusChange = (status) => {
+    setStatusFilter(status);
+    setOffset(0);
+  };
+
+  const toggleExpanded = async (event) => {
+    if (expandedId === event.id) {
+      setExpandedId(null);
+      return;
+    }
+
+    setExpandedId(event.id);
+
+    if (!payloads[event.id]) {
+      const result = await adminStripeEventService.getStripeEvent(event.id);
+      if (result.success) {
+        setPayloads(prev => ({ ...prev, [event.id]: result.event.payload }));
+      } else {
+        toast.error(result.error || 'Failed to load event payload');
+      }
+    }
+  };
+
+  const handleReplay = async (event) => {
+    if (!window.confirm(`Replay ${event.type} (${event.id})? Its handler runs again; anything it already recorded is skipped.`)) {
+      return;
+    }
+
+    try {
+      setReplayingId(event.id);
+      const result = await adminStripeEventService.replayStripeEvent(event.id);
+      toast.success(`Event ${result.event?.status || 'replayed'}`);
+    } catch (error) {
+      toast.error(`Replay failed: ${error.message}`);
+    } finally {
+      setReplayingId(null);
+      await loadEvents();
+    }
+  };
+
+  const formatDate = (dateString) => {
+    if (!dateString) return '—';
+    return new Date(dateString).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit',
+      second: '2-digit',
+      hour12: true
+    });
+  };
+
+  const getStatusColor = (status) => {
+    const colors = {
+      received: 'default',
+      processing: 'warning',
+      processed: 'success',
+      ignored: 'info',
+      failed: 'error'
+    };
+    return colors[status] || 'default';
+  };
+
+  const getStatusIcon = (status) => {
+    switch (status) {
+      case 'processed':
+        return <CheckCircle size={14} />;
+      case 'failed':
+        return <XCircle size={14} />;
+      case 'ignored':
+        return <MinusCircle size={14} />;
+      default:
+        return <Clock size={14} />;
+    }
+  };
+
+  const totalPages = Math.ceil(total / pageSize);
+  const currentPage = Math.floor(offset / pageSize) + 1;
+
+  return (
+    <div className="admin-stripe-events">
+      <div className="admin-stripe-events-header">
+        <div>
+          <h1>Stripe Events</h1>
+          <p>
+            Every verified Stripe webhook event and how it was handled. Failed events are retried by
+            Stripe; replay one once its cause is fixed, or an ignored one once there is something to do.
+          </p>
+        </div>
+        <button
+          className="admin-btn admin-btn-secondary"
+          onClick={loadEvents}
+          disabled={loading}
+        >
+          <RefreshCw size={18} />
+          Refresh
+        </button>
+      </div>
+
+      <div className="admin-metrics-grid">
+        <MetricCard
+          title="Processed"
+          value={counts.processed || 0}
+          icon={CheckCircle}
+          color="success"
+          loading={loading}
+        />
+        <MetricCard
+          title="Ignored"
+          value={counts.ignored || 0}
+          icon={MinusCircle}
+          color="info"
+          loading={loading}
+        />
+        <MetricCard
+          title="Failed"
+          value={counts.failed || 0}
+          icon={XCircle}
+          color="error"
+          loading={loading}
+        />
+      </div>
+
+      <div className="admin-stripe-events-filters">
+        <div className="admin-search-box">
+          <Search size={18} />
+          <input
+            type="text"
+            placeholder="Search event ID, type or object ID..."
+            value={searchQuery}
+            onChange={(e) => {
+              setSearchQuery(e.target.value);
+              setOffset(0);
+            }}
+          />
+        </div>
+
+        <div className="admin-filter-tabs">
+          {['all', ...STRIPE_EVENT_STATUSES].map((status) => (
+            <button
+              key={status}
+              className={`admin-filter-tab ${statusFilter === status ? 'active' : ''}`}
+              onClick={() => handleStatusChange(status)}
+            >
+              {status === 'all' ? 'All' : status.charAt(0).toUpperCase() + status.slice(1)}
+              {status !== 'all' && counts[status] ? ` (${counts[status]})` : ''}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="admin-stripe-events-card">
+        {loading ? (
+          <div className="admin-table-loading">
+            {[1, 2, 3, 4, 5].map((i) => (
+              <div key={i} className="admin-table-skeleton"></div>
+            ))}
+          </div>
+        ) : events.length === 0 ? (
+          <div className="admin-empty-state">
+            <Zap size={48} />
+            <h3>No events</h3>
+            <p>No Stripe events match these filters</p>
+          </div>
+        ) : (
+          <>
+            <div className="admin-stripe-events-table-container">
+              <table className="admin-stripe-events-table">
+                <thead>
+                  <tr>
+                    <th></th>
+                    <th>Event</th>
+                    <th>Object</th>
+                    <th>Outcome</th>
+                    <th>Received</th>
+                    <th>Attempts</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {events.map((event) => (
+                    <React.Fragment key={event.id}>
+                      <tr>
+                        <td>
+                          <button
+                            className="admin-stripe-events-toggle"
+                            onClick={() => toggleExpanded(event)}
+                            title={expandedId === event.id ? 'Hide payload' : 'Show payload'}
+                          >
+                            {expandedId === event.id ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+                          </button>
+                        </td>
+                        <td>
+                          <div className="admin-stripe-events-event">
+                            <span className="admin-stripe-events-type">{event.type}</span>
+                            <span className="admin-stripe-events-id">
+                              {event.id}
+                              {!event.livemode && <span className="admin-stripe-events-test">test</span>}
+                            </span>
+                          </div>
+                        </td>
+                        <td className="admin-stripe-events-id">{event.object_id || '—'}</td>
+                        <td>
+                          <div className={`admin-status-badge status-${getStatusColor(event.status)}`}>
+                            {getStatusIcon(event.status)}
+                            {event.status}
+                          </div>
+                          {event.error && (
+                            <span className="admin-stripe-events-error" title={event.error}>
+                              {event.error}
+                            </span>
+                          )}
+                          {!event.error && event.note && (
+                            <span className="admin-stripe-events-note" title={event.note}>
+                              {event.note}
+                            </span>
+                          )}
+                        </td>
+                        <td className="admin-stripe-events-date">
+                          {formatDate(event.received_at)}
+                          {event.last_replayed_at && (
+                            <span className="admin-stripe-events-muted">
+                              Replayed {formatDate(event.last_replayed_at)}
+                            </span>
+                          )}
+                        </td>
+                        <td>{event.attempts}</td>
+                        <td>
+                          <button
+                            className="admin-stripe-events-replay"
+                            onClick={() => handleReplay(event)}
+                            disabled={replayingId === event.id || event.status === 'processing'}
+                            title="Replay event"
+                          >
+                            <RotateCcw size={14} />
+                            {replayingId === event.id ? 'Replaying...' : 'Replay'}
+                          </button>
+                        </td>
+                      </tr>
+                      {expandedId === event.id && (
+                        <tr className="admin-stripe-events-payload-row">
+                          <td colSpan={7}>
+                            {payloads[event.id] ? (
+                              <pre className="admin-stripe-events-payload">
+                                {JSON.stringify(payloads[event.id], null, 2)}
+                              </pre>
+                            ) : (
+                              <span className="admin-stripe-events-muted">Loading payload...</span>
+                            )}
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {totalPages > 1 && (
+              <div className="admin-pagination">
+                <button
+                  className="admin-pagination-btn"
+                  onClick={() => setOffset(offset - pageSize)}
+                  disabled={currentPage === 1}
+                >
+                  Previous
+                </button>
+
+                <span className="admin-pagination-info">
+                  Page {currentPage} of {totalPages}
+                  <span className="admin-pagination-total">
+                    ({total} total)
+                  </span>
+                </span>
+
+                <button
+                  className="admin-pagination-btn"
+                  onClick={() => setOffset(offset + pageSize)}
+                  disabled={currentPage === totalPages}
+                >
+                  Next
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminStripeEvents;
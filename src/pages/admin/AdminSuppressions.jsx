@@ -0,0 +1,431 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  ShieldOff,
+  Search,
+  Plus,
+  Upload,
+  Download,
+  Trash2,
+  RefreshCw
+} from 'lucide-react';
+import toast from 'react-hot-toast';
+import { adminSuppressionService } from '../../supabase/api/adminService';
+import { addGlobalSuppressions, removeGlobalSuppression, getCurrentAdminId } from '../../supabase/api/adminActions';
+import { downloadCsv } from '../../utils/csv';
+import {
+  SUPPRESSION_MATCH_TYPES,
+  SUPPRESSION_REASONS,
+  toSuppressionEntry,
+  validateSuppressionEntry,
+  parseSuppressionCsv,
+  suppressionsToCsv,
+  formatSuppressionValue
+} from '../../utils/suppression';
+import './AdminSuppressions.css';
+
+const EMPTY_FORM = {
+  match_type: 'address',
+  address_line: '',
+  zip_code: '',
+  melissa_address_key: '',
+  reason: 'opt_out',
+  note: ''
+};
+
+const AdminSuppressions = () => {
+  const fileInputRef = useRef(null);
+
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [reasonFilter, setReasonFilter] = useState('all');
+  const [offset, setOffset] = useState(0);
+  const [total, setTotal] = useState(0);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+
+  const pageSize = 50;
+
+  const loadEntries = useCallback(async () => {
+    try {
+      setLoading(true);
+
+      const result = await adminSuppressionService.getGlobalSuppressions({
+        search: searchQuery,
+        reason: reasonFilter,
+        limit: pageSize,
+        offset
+      });
+
+      if (result.success) {
+        setEntries(result.entries);
+        setTotal(result.total);
+      } else {
+        toast.error(result.error || 'Failed to load do-not-mail list');
+      }
+    } catch (error) {
+      console.error('Error loading suppressions:', error);
+      toast.error('Error loading do-not-mail list');
+    } finally {
+      setLoading(false);
+    }
+  }, [searchQuery, reasonFilter, offset]);
+
+  useEffect(() => {
+    const timer = setTimeout(loadEntries, 300);
+    return () => clearTimeout(timer);
+  }, [loadEntries]);
+
+  const handleReasonChange = (reason) => {
+    setReasonFilter(reason);
+    setOffset(0);
+  };
+
+  const saveEntries = async (newEntries, source) => {
+    const adminId = await getCurrentAdminId();
+    if (!adminId) {
+      toast.error('Admin session not found');
+      return false;
+    }
+
+    const result = await addGlobalSuppressions(newEntries, adminId, source);
+
+    if (!result.success) {
+      toast.error(result.error || 'Failed to update do-not-mail list');
+      return false;
+    }
+
+    toast.success(
+      `${result.added} ${result.added === 1 ? 'entry' : 'entries'} added` +
+      (result.skipped > 0 ? `, ${result.skipped} already on the list` : '')
+    );
+    await loadEntries();
+    return true;
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+
+    const entry = toSuppressionEntry(form);
+    const error = validateSuppressionEntry(entry);
+    if (error) {
+      toast.error(error);
+      return;
+    }
+
+    setSaving(true);
+    if (await saveEntries([entry], 'manual')) {
+      setForm(EMPTY_FORM);
+      setShowForm(false);
+    }
+    setSaving(false);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const { entries: imported, errors } = parseSuppressionCsv(await file.text());
+
+    if (errors.length > 0) {
+      toast.error(`${errors.length} invalid ${errors.length === 1 ? 'row' : 'rows'} skipped. ${errors.slice(0, 3).join('; ')}`);
+    }
+
+    if (imported.length === 0) {
+      if (errors.length === 0) toast.error('No entries found in the file');
+      return;
+    }
+
+    setSaving(true);
+    await saveEntries(imported, 'csv');
+    setSaving(false);
+  };
+
+  const handleExport = async () => {
+    const result = await adminSuppressionService.getAllGlobalSuppressions();
+
+    if (!result.success) {
+      toast.error(result.error || 'Failed to export do-not-mail list');
+      return;
+    }
+
+    downloadCsv(suppressionsToCsv(result.entries), `do-not-mail-${new Date().toISOString().split('T')[0]}.csv`);
+    toast.success('Do-not-mail list exported');
+  };
+
+  const handleRemove = async (entry) => {
+    if (!window.confirm(`Remove ${formatSuppressionValue(entry)} from the global do-not-mail list? It can be mailed again.`)) {
+      return;
+    }
+
+    const adminId = await getCurrentAdminId();
+    const result = await removeGlobalSuppression(entry, adminId);
+
+    if (result.success) {
+      toast.success('Entry removed');
+      await loadEntries();
+    } else {
+      toast.error(result.error || 'Failed to remove entry');
+    }
+  };
+
+  const formatDate = (dateString) => {
+    if (!dateString) return '—';
+    return new Date(dateString).toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric'
+    });
+  };
+
+  const totalPages = Math.ceil(total / pageSize);
+  const currentPage = Math.floor(offset / pageSize) + 1;
+
+  return (
+    <div className="admin-suppressions">
+      <div className="admin-suppressions-header">
+        <div>
+          <h1>Do Not Mail</h1>
+          <p>
+            Addresses on the global list are never mailed for any account. The poller and blast
+            dispatcher check this list, and each account's own list, before every postcard.
+          </p>
+        </div>
+        <div className="admin-suppressions-actions">
+          <button
+            className="admin-btn admin-btn-secondary"
+            onClick={loadEntries}
+            disabled={loading}
+          >
+            <RefreshCw size={18} />
+            Refresh
+          </button>
+          <button
+            className="admin-btn admin-btn-secondary"
+            onClick={handleExport}
+          >
+            <Download size={18} />
+            Export CSV
+          </button>
+          <button
+            className="admin-btn admin-btn-secondary"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={saving}
+          >
+            <Upload size={18} />
+            Import CSV
+          </button>
+          <button
+            className="admin-btn admin-btn-primary"
+            onClick={() => setShowForm(!showForm)}
+          >
+            <Plus size={18} />
+            Add Entry
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".csv,text/csv"
+            onChange={handleImport}
+            hidden
+          />
+        </div>
+      </div>
+
+      {showForm && (
+        <form
+          className="admin-suppressions-form"
+          onSubmit={handleAdd}
+        >
+          <label>
+            Match by
+            <select
+              value={form.match_type}
+              onChange={(e) => setForm({ ...form, match_type: e.target.value })}
+            >
+              {Object.entries(SUPPRESSION_MATCH_TYPES).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </label>
+
+          {form.match_type === 'address' && (
+            <label className="admin-suppressions-form-wide">
+              Street address
+              <input
+                type="text"
+                value={form.address_line}
+                onChange={(e) => setForm({ ...form, address_line: e.target.value })}
+                placeholder="123 Main St Apt 4"
+              />
+            </label>
+          )}
+
+          {form.match_type === 'address_key' ? (
+            <label className="admin-suppressions-form-wide">
+              Melissa address key
+              <input
+                type="text"
+                value={form.melissa_address_key}
+                onChange={(e) => setForm({ ...form, melissa_address_key: e.target.value })}
+              />
+            </label>
+          ) : (
+            <label>
+              {form.match_type === 'zip4' ? 'ZIP+4' : 'ZIP code'}
+              <input
+                type="text"
+                value={form.zip_code}
+                onChange={(e) => setForm({ ...form, zip_code: e.target.value })}
+                placeholder={form.match_type === 'zip4' ? '90210-1234' : '90210'}
+              />
+            </label>
+          )}
+
+          <label>
+            Reason
+            <select
+              value={form.reason}
+              onChange={(e) => setForm({ ...form, reason: e.target.value })}
+            >
+              {Object.entries(SUPPRESSION_REASONS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </label>
+
+          <label className="admin-suppressions-form-wide">
+            Note
+            <input
+              type="text"
+              value={form.note}
+              onChange={(e) => setForm({ ...form, note: e.target.value })}
+              placeholder="Optional"
+            />
+          </label>
+
+          <div className="admin-suppressions-form-actions">
+            <button type="button" className="admin-btn admin-btn-secondary" onClick={() => setShowForm(false)}>
+              Cancel
+            </button>
+            <button type="submit" className="admin-btn admin-btn-primary" disabled={saving}>
+              {saving ? 'Saving...' : 'Add to List'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="admin-suppressions-filters">
+        <div className="admin-search-box">
+          <Search size={18} />
+          <input
+            type="text"
+            placeholder="Search address, ZIP, address key or note..."
+            value={searchQuery}
+            onChange={(e) => {
+              setSearchQuery(e.target.value);
+              setOffset(0);
+            }}
+          />
+        </div>
+
+        <div className="admin-filter-tabs">
+          {['all', ...Object.keys(SUPPRESSION_REASONS)].map((reason) => (
+            <button
+              key={reason}
+              className={`admin-filter-tab ${reasonFilter === reason ? 'active' : ''}`}
+              onClick={() => handleReasonChange(reason)}
+            >
+              {reason === 'all' ? 'All' : SUPPRESSION_REASONS[reason]}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="admin-suppressions-card">
+        {loading ? (
+          <div className="admin-table-loading">
+            {[1, 2, 3, 4, 5].map((i) => (
+              <div key={i} className="admin-table-skeleton"></div>
+            ))}
+          </div>
+        ) : entries.length === 0 ? (
+          <div className="admin-empty-state">
+            <ShieldOff size={48} />
+            <h3>No entries</h3>
+            <p>Nothing on the global do-not-mail list matches</p>
+          </div>
+        ) : (
+          <>
+            <div className="admin-suppressions-table-container">
+              <table className="admin-suppressions-table">
+                <thead>
+                  <tr>
+                    <th>Matches</th>
+                    <th>Type</th>
+                    <th>Reason</th>
+                    <th>Added</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {entries.map((entry) => (
+                    <tr key={entry.id}>
+                      <td>
+                        <span className="admin-suppressions-value">{formatSuppressionValue(entry)}</span>
+                        {entry.note && <span className="admin-suppressions-note">{entry.note}</span>}
+                      </td>
+                      <td>{SUPPRESSION_MATCH_TYPES[entry.match_type]}</td>
+                      <td>{SUPPRESSION_REASONS[entry.reason] || entry.reason}</td>
+                      <td className="admin-suppressions-date">{formatDate(entry.created_at)}</td>
+                      <td>
+                        <button
+                          className="admin-suppressions-remove"
+                          onClick={() => handleRemove(entry)}
+                          title="Remove from list"
+                        >
+                          <Trash2 size={16} />
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {totalPages > 1 && (
+              <div className="admin-pagination">
+                <button
+                  className="admin-pagination-btn"
+                  onClick={() => setOffset(offset - pageSize)}
+                  disabled={currentPage === 1}
+                >
+                  Previous
+                </button>
+
+                <span className="admin-pagination-info">
+                  Page {currentPage} of {totalPages}
+                  <span className="admin-pagination-total">
+                    ({total} total)
+                  </span>
+                </span>
+
+                <button
+                  className="admin-pagination-btn"
+                  onClick={() => setOffset(offset + pageSize)}
+                  disabled={currentPage === totalPages}
+                >
+                  Next
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminSuppressions;
@@ -14,12 +14,24 @@ import {
   RefreshCw,
   ExternalLink,
   Calendar,
-  TestTube
+  TestTube,
+  FileText,
+  Mail
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 import ConfirmationModal from '../../components/common/ConfirmationModal';
 import MetricCard from '../../components/admin/MetricCard';
 import { adminTransactionService } from '../../supabase/api/adminService';
+import statementService from '../../supabase/api/statementService';
+import { getRecentStatementMonths } from '../../utils/statements';
+import { dollarsToCents } from '../../utils/pricing';
+import {
+  REFUND_REASONS,
+  describeRefund,
+  getRefundableCents,
+  isRefundable,
+  validateRefund
+} from '../../utils/refunds';
 import './AdminTransactions.css';
 
 const AdminTransactions = () => {
@@ -31,11 +43,21 @@ const AdminTransactions = () => {
   const [loading, setLoading] = useState(true);
   const [exporting, setExporting] = useState(false);
 
-  // Refund modal state
+  // Refund modal state ('form' to enter the refund, 'confirm' to review it)
   const [showRefundModal, setShowRefundModal] = useState(false);
   const [transactionToRefund, setTransactionToRefund] = useState(null);
+  const [refundForm, setRefundForm] = useState({ amount: '', reason: '', note: '' });
+  const [refundStep, setRefundStep] = useState('form');
+  const [refundError, setRefundError] = useState(null);
+  const [refundHistory, setRefundHistory] = useState([]);
   const [isRefunding, setIsRefunding] = useState(false);
 
+  // Monthly statements
+  const [statementMonths] = useState(() => getRecentStatementMonths(12));
+  const [statementMonth, setStatementMonth] = useState(() => statementMonths[1].value);
+  const [generatingStatements, setGeneratingStatements] = useState(null);
+  const [showSendStatementsModal, setShowSendStatementsModal] = useState(false);
+
   // Filters
   const [filters, setFilters] = useState({
     status: searchParams.get('status') || '',
@@ -161,38 +183,93 @@ const AdminTransactions = () => {
     }
   };
 
-  const handleRefund = (transaction) => {
+  const handleGenerateStatements = async (send) => {
+    try {
+      setGeneratingStatements(send ? 'email' : 'download');
+
+      const result = await statementService.generateStatements(statementMonth, {
+        send,
+        download: !send,
+        isTestMode: filters.isTestMode
+      });
+
+      if (!result.success) {
+        toast.error(result.error || 'Failed to generate statements');
+      } else if (result.generated === 0) {
+        toast('No billing activity for that month');
+      } else if (result.failed.length > 0) {
+        toast.error(`${result.failed.length} of ${result.generated + result.failed.length} statements failed`);
+      } else {
+        toast.success(send
+          ? `Emailed ${result.sent} statements`
+          : `Generated ${result.generated} statements`);
+      }
+    } catch (error) {
+      console.error('Statement generation error:', error);
+      toast.error('Error generating statements');
+    } finally {
+      setGeneratingStatements(null);
+      setShowSendStatementsModal(false);
+    }
+  };
+
+  const handleRefund = async (transaction) => {
     setTransactionToRefund(transaction);
+    setRefundForm({
+      amount: (getRefundableCents(transaction) / 100).toFixed(2),
+      reason: '',
+      note: ''
+    });
+    setRefundStep('form');
+    setRefundError(null);
+    setRefundHistory([]);
     setShowRefundModal(true);
+
+    try {
+      setRefundHistory(await adminTransactionService.getTransactionRefunds(transaction.id));
+    } catch (error) {
+      console.error('Refund history error:', error);
+    }
   };
 
-  const confirmRefund = async () => {
-    if (!transactionToRefund) return;
+  const closeRefundModal = () => {
+    if (isRefunding) return;
+    setShowRefundModal(false);
+    setTransactionToRefund(null);
+  };
 
-    const reason = window.prompt('Enter refund reason (required):');
-    if (!reason || reason.trim() === '') {
-      toast.error('Refund reason is required');
-      return;
+  const reviewRefund = () => {
+    const error = validateRefund(refundForm, getRefundableCents(transactionToRefund));
+    setRefundError(error);
+    if (!error) {
+      setRefundStep('confirm');
     }
+  };
+
+  const confirmRefund = async () => {
+    if (!transactionToRefund) return;
 
     try {
       setIsRefunding(true);
-      const result = await adminTransactionService.refundTransaction(transactionToRefund.id, reason);
+      const result = await adminTransactionService.refundTransaction(transactionToRefund.id, {
+        amountCents: dollarsToCents(parseFloat(refundForm.amount)),
+        reason: refundForm.reason,
+        note: refundForm.note.trim()
+      });
 
-      if (result.success) {
-        toast.success('Transaction refunded successfully');
-        loadTransactions();
-        loadStats();
-      } else {
-        toast.error(result.error || 'Failed to refund transaction');
-      }
+      toast.success(result.emailed
+        ? `${result.message}; customer emailed`
+        : `${result.message}; the customer email could not be sent`);
+      setShowRefundModal(false);
+      setTransactionToRefund(null);
+      loadTransactions();
+      loadStats();
     } catch (error) {
       console.error('Refund error:', error);
-      toast.error('Error processing refund');
+      setRefundError(error.message || 'Error processing refund');
+      setRefundStep('form');
     } finally {
       setIsRefunding(false);
-      setShowRefundModal(false);
-      setTransactionToRefund(null);
     }
   };
 
@@ -221,7 +298,8 @@ const AdminTransactions = () => {
       succeeded: 'success',
       processing: 'warning',
       failed: 'error',
-      refunded: 'info'
+      refunded: 'info',
+      partially_refunded: 'info'
     };
     return colors[status] || 'default';
   };
@@ -231,7 +309,8 @@ const AdminTransactions = () => {
       succeeded: CheckCircle,
       processing: Clock,
       failed: XCircle,
-      refunded: RefreshCw
+      refunded: RefreshCw,
+      partially_refunded: RefreshCw
     };
     return icons[status] || AlertTriangle;
   };
@@ -241,7 +320,11 @@ const AdminTransactions = () => {
       campaign_approval: 'Campaign Approval',
       new_mover_addition: 'New Mover Addition',
       manual_charge: 'Manual Charge',
-      retry: 'Payment Retry'
+      retry: 'Payment Retry',
+      daily_batch: 'Daily Batch',
+      blast_send: 'Blast',
+      wallet_top_up: 'Balance Top-Up',
+      wallet_debit: 'Paid from Balance'
     };
     return labels[reason] || reason;
   };
@@ -253,6 +336,39 @@ const AdminTransactions = () => {
       <div className="admin-transactions-header">
 
         <div className="admin-transactions-actions">
+          <select
+            className="admin-statement-month"
+            value={statementMonth}
+            onChange={(e) => setStatementMonth(e.target.value)}
+            disabled={generatingStatements !== null}
+          >
+            {statementMonths.map((month) => (
+              <option key={month.value} value={month.value}>{month.label}</option>
+            ))}
+          </select>
+
+          <motion.button
+            className="admin-btn admin-btn-secondary"
+            onClick={() => handleGenerateStatements(false)}
+            disabled={generatingStatements !== null}
+            whileHover={{ scale: 1.02 }}
+            whileTap={{ scale: 0.98 }}
+          >
+            <FileText size={18} />
+            {generatingStatements === 'download' ? 'Generating...' : 'Download Statements'}
+          </motion.button>
+
+          <motion.button
+            className="admin-btn admin-btn-secondary"
+            onClick={() => setShowSendStatementsModal(true)}
+            disabled={generatingStatements !== null}
+            whileHover={{ scale: 1.02 }}
+            whileTap={{ scale: 0.98 }}
+          >
+            <Mail size={18} />
+            Email Statements
+          </motion.button>
+
           <motion.button
             className="admin-btn admin-btn-primary"
             onClick={handleExportCSV}
@@ -341,6 +457,7 @@ const AdminTransactions = () => {
               <option value="processing">Processing</option>
               <option value="failed">Failed</option>
               <option value="refunded">Refunded</option>
+              <option value="partially_refunded">Partially Refunded</option>
             </select>
           </div>
 
@@ -478,6 +595,11 @@ const AdminTransactions = () => {
                               {tx.new_mover_count} postcards
                             </span>
                           )}
+                          {tx.refund_amount_cents > 0 && (
+                            <span className="admin-tx-meta admin-tx-refunded">
+                              {formatCurrency(tx.refund_amount_cents)} refunded
+                            </span>
+                          )}
                         </td>
 
                         <td className="admin-tx-reason">
@@ -500,7 +622,7 @@ const AdminTransactions = () => {
                         <td className="admin-tx-status">
                           <div className={`admin-status-badge status-${getStatusColor(tx.status)}`}>
                             <StatusIcon size={14} />
-                            {tx.status}
+                            {tx.status.replace(/_/g, ' ')}
                           </div>
                           {tx.failure_message && (
                             <span className="admin-tx-error" title={tx.failure_message}>
@@ -532,7 +654,7 @@ const AdminTransactions = () => {
                               </button>
                             )}
 
-                            {tx.status === 'succeeded' && !tx.refunded_at && (
+                            {isRefundable(tx) && (
                               <button
                                 className="admin-tx-action-btn admin-tx-action-refund"
                                 onClick={() => handleRefund(tx)}
@@ -598,30 +720,122 @@ const AdminTransactions = () => {
         </div>
       </motion.div>
 
+      {/* Refund Prompt */}
+      {showRefundModal && transactionToRefund && (
+        <div className="admin-modal-overlay" onClick={closeRefundModal}>
+          <motion.div
+            className="admin-modal admin-refund-modal"
+            onClick={(e) => e.stopPropagation()}
+            initial={{ opacity: 0, scale: 0.9 }}
+            animate={{ opacity: 1, scale: 1 }}
+          >
+            <h3>Refund Transaction</h3>
+            <p>
+              {formatCurrency(transactionToRefund.amount_cents)} from{' '}
+              {transactionToRefund.profile?.full_name || transactionToRefund.profile?.email || 'this customer'}
+              {transactionToRefund.refund_amount_cents > 0 && (
+                <> · {formatCurrency(getRefundableCents(transactionToRefund))} left to refund</>
+              )}
+            </p>
+
+            {refundHistory.length > 0 && (
+              <ul className="admin-refund-history">
+                {refundHistory.map((refund) => (
+                  <li key={refund.id}>
+                    <span>{formatDate(refund.created_at)}</span>
+                    <strong>{formatCurrency(refund.amount_cents)}</strong>
+                    <span>{describeRefund(refund)}</span>
+                    <span className={`admin-refund-status admin-refund-status-${refund.status}`}>
+                      {refund.status}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {refundStep === 'form' ? (
+              <div className="admin-refund-form">
+                <label>
+                  Amount (USD)
+                  <input
+                    type="number"
+                    min="0.01"
+                    step="0.01"
+                    max={(getRefundableCents(transactionToRefund) / 100).toFixed(2)}
+                    value={refundForm.amount}
+                    onChange={(e) => setRefundForm({ ...refundForm, amount: e.target.value })}
+                  />
+                </label>
+
+                <label>
+                  Reason
+                  <select
+                    value={refundForm.reason}
+                    onChange={(e) => setRefundForm({ ...refundForm, reason: e.target.value })}
+                  >
+                    <option value="">Choose a reason...</option>
+                    {Object.entries(REFUND_REASONS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </label>
+
+                <label>
+                  Note {refundForm.reason === 'other' ? '(required)' : '(optional, shown to the customer)'}
+                  <textarea
+                    placeholder="Explain the refund..."
+                    value={refundForm.note}
+                    onChange={(e) => setRefundForm({ ...refundForm, note: e.target.value })}
+                    rows={3}
+                  />
+                </label>
+              </div>
+            ) : (
+              <div className="admin-refund-summary">
+                Refund <strong>{formatCurrency(dollarsToCents(parseFloat(refundForm.amount)))}</strong> to{' '}
+                {transactionToRefund.billing_reason === 'wallet_debit'
+                  ? "the customer's balance"
+                  : transactionToRefund.payment_method_last4
+                    ? `${transactionToRefund.payment_method_brand} ••••${transactionToRefund.payment_method_last4}`
+                    : 'the card'}
+                {' '}for "{refundForm.note.trim() || REFUND_REASONS[refundForm.reason]}"? The customer will be emailed.
+                This action cannot be undone.
+              </div>
+            )}
+
+            {refundError && <div className="admin-refund-error">{refundError}</div>}
+
+            <div className="admin-modal-actions">
+              <button
+                className="admin-modal-btn cancel"
+                onClick={refundStep === 'confirm' ? () => setRefundStep('form') : closeRefundModal}
+                disabled={isRefunding}
+              >
+                {refundStep === 'confirm' ? 'Back' : 'Cancel'}
+              </button>
+              <button
+                className="admin-modal-btn confirm refund"
+                onClick={refundStep === 'confirm' ? confirmRefund : reviewRefund}
+                disabled={isRefunding}
+              >
+                {isRefunding ? 'Refunding...' : refundStep === 'confirm' ? 'Refund' : 'Review Refund'}
+              </button>
+            </div>
+          </motion.div>
+        </div>
+      )}
+
       <ConfirmationModal
-        isOpen={showRefundModal}
-        onClose={() => {
-          setShowRefundModal(false);
-          setTransactionToRefund(null);
-        }}
-        onConfirm={confirmRefund}
-        title="Refund Transaction"
-        message={
-          transactionToRefund ? (
-            <>
-              Are you sure you want to refund this transaction of{' '}
-              <strong>${(transactionToRefund.amount / 100).toFixed(2)}</strong>?
-              This action cannot be undone.
-            </>
-          ) : (
-            'Are you sure you want to refund this transaction? This action cannot be undone.'
-          )
-        }
-        confirmText="Refund Transaction"
+        isOpen={showSendStatementsModal}
+        onClose={() => setShowSendStatementsModal(false)}
+        onConfirm={() => handleGenerateStatements(true)}
+        title="Email Monthly Statements"
+        message={`Email a ${statementMonths.find((m) => m.value === statementMonth)?.label} statement to every customer with billing activity that month?`}
+        confirmText="Email Statements"
         cancelText="Cancel"
-        severity="warning"
-        isLoading={isRefunding}
-        loadingText="Refunding..."
+        severity="info"
+        isLoading={generatingStatements === 'email'}
+        loadingText="Sending..."
       />
     </div>
   );
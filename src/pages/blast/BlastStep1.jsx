@@ -57,7 +57,12 @@ const BlastStep1 = () => {
       templateId: selectedCampaign.template_id,
       templateName: selectedCampaign.template_name,
       postcardDesignUrl: selectedCampaign.postcard_design_url,
-      postcardPreviewUrl: selectedCampaign.postcard_preview_url
+      postcardPreviewUrl: selectedCampaign.postcard_preview_url,
+      postcardPrintUrl: selectedCampaign.postcard_print_url,
+      postcardMergeLayout: selectedCampaign.postcard_merge_layout,
+      postcardSize: selectedCampaign.postcard_size,
+      mailClass: selectedCampaign.mail_class,
+      senderProfileId: selectedCampaign.sender_profile_id
     }));
 
     navigate('/blast/step2');
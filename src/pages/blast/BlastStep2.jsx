@@ -106,6 +106,7 @@ const BlastStep2 = () => {
           selectedTemplate={templateData}
           onBack={handleCloseEditor}
           onSave={handleSavePostcard}
+          postcardSize={blastData.postcardSize}
         />
       </div>
     );
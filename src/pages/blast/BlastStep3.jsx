@@ -65,7 +65,10 @@ const BlastStep3 = () => {
       setValidatingZips(true);
       toast.loading('Validating ZIP codes...', { id: 'validate-zips' });
 
-      const result = await newMoverService.validateZipCodes(parsed.zipCodes);
+      const result = await newMoverService.validateZipCodes(parsed.zipCodes, {
+        postcardSize: blastData.postcardSize,
+        mailClass: blastData.mailClass
+      });
 
       if (result.success) {
         setZipValidation(result);
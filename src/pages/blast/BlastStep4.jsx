@@ -3,6 +3,8 @@ import { useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { ChevronLeft, Calendar, Clock, Send, CalendarClock } from 'lucide-react';
 import ProcessLayout from '../../components/process/ProcessLayout';
+import { getUserProfile } from '../../supabase/api/profileService';
+import { resolveTimeZone, utcToZonedDateTime, zonedDateTimeToUtc } from '../../utils/timezone';
 import toast from 'react-hot-toast';
 
 const BlastStep4 = () => {
@@ -11,6 +13,7 @@ const BlastStep4 = () => {
   const [deliveryOption, setDeliveryOption] = useState('now'); // 'now' or 'scheduled'
   const [scheduledDate, setScheduledDate] = useState('');
   const [scheduledTime, setScheduledTime] = useState('');
+  const [timeZone, setTimeZone] = useState(resolveTimeZone());
 
   const totalSteps = 5;
 
@@ -26,14 +29,22 @@ const BlastStep4 = () => {
     const data = JSON.parse(savedBlastData);
     setBlastData(data);
 
-    // Set minimum date/time to now
-    const now = new Date();
-    const tomorrow = new Date(now);
-    tomorrow.setDate(tomorrow.getDate() + 1);
+    // Default to 9:00 AM tomorrow; returning from step 5 keeps the earlier choice
+    if (data.deliveryOption === 'scheduled' && data.scheduledDate && data.scheduledTime) {
+      setDeliveryOption('scheduled');
+      setScheduledDate(data.scheduledDate);
+      setScheduledTime(data.scheduledTime);
+    } else {
+      setScheduledDate(utcToZonedDateTime(Date.now() + 24 * 60 * 60 * 1000, resolveTimeZone()).date);
+      setScheduledTime('09:00');
+    }
 
-    const minDate = tomorrow.toISOString().split('T')[0];
-    setScheduledDate(minDate);
-    setScheduledTime('09:00');
+    // Scheduled times are entered in the user's profile time zone
+    getUserProfile().then((result) => {
+      if (result.success) {
+        setTimeZone(resolveTimeZone(result.profile.timezone));
+      }
+    });
   }, [navigate]);
 
   const handleBack = () => {
@@ -53,7 +64,7 @@ const BlastStep4 = () => {
       }
 
       // Validate that the scheduled time is in the future
-      const scheduledDateTime = new Date(`${scheduledDate}T${scheduledTime}`);
+      const scheduledDateTime = zonedDateTimeToUtc(scheduledDate, scheduledTime, timeZone);
       const now = new Date();
 
       if (scheduledDateTime <= now) {
@@ -62,14 +73,17 @@ const BlastStep4 = () => {
       }
     }
 
-    // Save scheduling data
+    // Save scheduling data (scheduledDateTime is the UTC instant the blast is sent)
     const updatedBlastData = {
       ...blastData,
       step: 4,
       deliveryOption,
       scheduledDate: deliveryOption === 'scheduled' ? scheduledDate : null,
       scheduledTime: deliveryOption === 'scheduled' ? scheduledTime : null,
-      scheduledDateTime: deliveryOption === 'scheduled' ? `${scheduledDate}T${scheduledTime}` : null
+      scheduledDateTime: deliveryOption === 'scheduled'
+        ? zonedDateTimeToUtc(scheduledDate, scheduledTime, timeZone).toISOString()
+        : null,
+      scheduledTimeZone: deliveryOption === 'scheduled' ? timeZone : null
     };
 
     sessionStorage.setItem('blastData', JSON.stringify(updatedBlastData));
@@ -77,15 +91,13 @@ const BlastStep4 = () => {
   };
 
   const getMinDate = () => {
-    const tomorrow = new Date();
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    return tomorrow.toISOString().split('T')[0];
+    return utcToZonedDateTime(Date.now() + 24 * 60 * 60 * 1000, timeZone).date;
   };
 
   const getMaxDate = () => {
     const maxDate = new Date();
     maxDate.setMonth(maxDate.getMonth() + 3); // Max 3 months in future
-    return maxDate.toISOString().split('T')[0];
+    return utcToZonedDateTime(maxDate, timeZone).date;
   };
 
   if (!blastData) {
@@ -246,6 +258,10 @@ const BlastStep4 = () => {
               </div>
             </div>
 
+            <p className="datetime-timezone">
+              Times are in {timeZone.replace(/_/g, ' ')}. You can change your time zone in your profile.
+            </p>
+
             <div className="datetime-info">
               <div className="info-icon">ℹ️</div>
               <div className="info-text">
@@ -450,6 +466,12 @@ const BlastStep4 = () => {
           box-shadow: 0 0 0 3px rgba(59, 130, 246, 0.1);
         }
 
+        .datetime-timezone {
+          margin: 0 0 16px 0;
+          font-size: 13px;
+          color: #4b5563;
+        }
+
         .datetime-info {
           display: flex;
           gap: 12px;
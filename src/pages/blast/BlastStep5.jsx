@@ -5,6 +5,8 @@ import { ChevronLeft, Calendar, MapPin, Send, CalendarClock, CheckCircle } from
 import ProcessLayout from '../../components/process/ProcessLayout';
 import campaignService from '../../supabase/api/campaignService';
 import toast from 'react-hot-toast';
+import { PRICING } from '../../utils/pricing';
+import { formatInTimeZone } from '../../utils/timezone';
 
 const BlastStep5 = () => {
   const navigate = useNavigate();
@@ -39,13 +41,20 @@ const BlastStep5 = () => {
       toast.loading('Creating your blast...', { id: 'launch-blast' });
 
       // Prepare blast data for API
+      // "Send now" blasts are scheduled for the current time, so the
+      // dispatch-scheduled-blasts function mails them once approved
       const blastPayload = {
         name: `${blastData.campaignName} - Blast ${new Date().toLocaleDateString()}`,
-        status: blastData.deliveryOption === 'now' ? 'active' : 'scheduled',
+        status: 'scheduled',
         template_id: blastData.templateId,
         template_name: blastData.templateName,
         postcard_design_url: blastData.postcardDesignUrl,
         postcard_preview_url: blastData.postcardPreviewUrl,
+        postcard_print_url: blastData.postcardPrintUrl,
+        postcard_merge_layout: blastData.postcardMergeLayout || null,
+        postcard_size: blastData.postcardSize,
+        mail_class: blastData.mailClass,
+        sender_profile_id: blastData.senderProfileId || null,
         targeting_type: 'zip_codes',
         target_zip_codes: blastData.zipCodes,
         new_mover_ids: blastData.newMoverIds || [],
@@ -53,7 +62,8 @@ const BlastStep5 = () => {
         postcards_sent: 0,
         price_per_postcard: blastData.flatRate,
         payment_status: 'pending',
-        scheduled_send_date: blastData.scheduledDateTime || null,
+        scheduled_send_date: blastData.scheduledDateTime || new Date().toISOString(),
+        scheduled_timezone: blastData.scheduledTimeZone || null,
         source_campaign_id: blastData.sourceCampaignId,
         is_blast: true
       };
@@ -94,16 +104,7 @@ const BlastStep5 = () => {
   const formatScheduledTime = () => {
     if (!blastData?.scheduledDateTime) return '';
 
-    const date = new Date(blastData.scheduledDateTime);
-    return date.toLocaleString('en-US', {
-      weekday: 'long',
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric',
-      hour: 'numeric',
-      minute: '2-digit',
-      hour12: true
-    });
+    return formatInTimeZone(blastData.scheduledDateTime, blastData.scheduledTimeZone);
   };
 
   if (!blastData) {
@@ -237,7 +238,7 @@ const BlastStep5 = () => {
 
             <div className="detail-item">
               <div className="detail-label">Rate per Postcard</div>
-              <div className="detail-value detail-price">${blastData.flatRate?.toFixed(2) || '3.00'}</div>
+              <div className="detail-value detail-price">${(blastData.flatRate ?? PRICING.PRICE_PER_POSTCARD).toFixed(2)}</div>
             </div>
           </div>
         </div>
@@ -6,9 +6,12 @@ import ProcessLayout from '../../components/process/ProcessLayout';
 import LoadingScreen from '../../components/onboarding/LoadingScreen';
 import OnboardingFooter from '../../components/onboarding/OnboardingFooter';
 import TemplateCardSkeleton from '../../components/common/TemplateCardSkeleton';
+import PostcardOptions from '../../components/campaign/PostcardOptions';
+import SenderProfileSelect from '../../components/campaign/SenderProfileSelect';
 import supabaseCompanyService from '../../supabase/api/companyService';
 import campaignService from '../../supabase/api/campaignService';
 import toast from 'react-hot-toast';
+import { DEFAULT_MAIL_CLASS, DEFAULT_POSTCARD_SIZE, getPostcardSizeOption } from '../../utils/postcardOptions';
 import '../onboarding/onboarding-step2-redesign.css';
 
 const CampaignStep2 = () => {
@@ -21,6 +24,12 @@ const CampaignStep2 = () => {
   const [isLoading, setIsLoading] = useState(true);
   const [showProductDetails, setShowProductDetails] = useState(false);
   const [error, setError] = useState(null);
+  const [postcardOptions, setPostcardOptions] = useState(() => {
+    const saved = localStorage.getItem('campaignPostcardOptions');
+    return saved
+      ? JSON.parse(saved)
+      : { postcardSize: DEFAULT_POSTCARD_SIZE, mailClass: DEFAULT_MAIL_CLASS };
+  });
 
   const totalSteps = 5;
 
@@ -170,7 +179,10 @@ const CampaignStep2 = () => {
         // Update existing campaign with template information
         const updateData = {
           template_id: selectedTemplate.id,
-          template_name: selectedTemplate.name
+          template_name: selectedTemplate.name,
+          postcard_size: postcardOptions.postcardSize,
+          mail_class: postcardOptions.mailClass,
+          sender_profile_id: postcardOptions.senderProfileId || null
         };
 
         const result = await campaignService.updateCampaign(campaignId, updateData);
@@ -184,6 +196,7 @@ const CampaignStep2 = () => {
         // Store campaign ID and template data for Step 3
         localStorage.setItem('currentCampaignId', campaignId);
         localStorage.setItem('campaignSelectedTemplate', JSON.stringify(selectedTemplate));
+        localStorage.setItem('campaignPostcardOptions', JSON.stringify(postcardOptions));
         localStorage.setItem('currentCampaignStep', '3');
 
         toast.success('Template saved!', { id: 'save-template' });
@@ -428,7 +441,7 @@ const CampaignStep2 = () => {
           {showProductDetails && (
             <div className="step2-details-content">
               <ul>
-                <li>Dimension: 5.3" x 7.5" (Professional Postcard Size)</li>
+                <li>Dimension: {getPostcardSizeOption(postcardOptions.postcardSize).label} (plus 0.125" bleed on every edge)</li>
                 <li>Format: High-resolution PSD templates with editable elements</li>
                 <li>Editing: Advanced IMG.LY editor with Simple and Professional modes</li>
                 <li>Export: PDF and PNG formats available</li>
@@ -438,6 +451,19 @@ const CampaignStep2 = () => {
           )}
         </div>
 
+        <PostcardOptions
+          postcardSize={postcardOptions.postcardSize}
+          mailClass={postcardOptions.mailClass}
+          onChange={options => setPostcardOptions(prev => ({ ...prev, ...options }))}
+        />
+
+        <div className="postcard-options">
+          <SenderProfileSelect
+            value={postcardOptions.senderProfileId}
+            onChange={senderProfileId => setPostcardOptions(prev => ({ ...prev, senderProfileId }))}
+          />
+        </div>
+
         {/* Templates Grid */}
         <div className="step2-templates-grid">
           {isLoading ? (
@@ -3,6 +3,7 @@ import { useNavigate } from 'react-router-dom';
 import toast from 'react-hot-toast';
 import ProcessLayout from '../../components/process/ProcessLayout';
 import FabricEditor from '../../components/PostcardEditor/FabricEditor';
+import { DEFAULT_POSTCARD_SIZE } from '../../utils/postcardOptions';
 
 const CampaignStep3 = () => {
   const navigate = useNavigate();
@@ -11,6 +12,7 @@ const CampaignStep3 = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [campaignId, setCampaignId] = useState(null);
+  const [postcardSize, setPostcardSize] = useState(DEFAULT_POSTCARD_SIZE);
 
   // Editor state (lifted up for ProcessLayout integration)
   const [editorMode, setEditorMode] = useState('simple');
@@ -41,6 +43,11 @@ const CampaignStep3 = () => {
           return;
         }
 
+        const savedPostcardOptions = localStorage.getItem('campaignPostcardOptions');
+        if (savedPostcardOptions) {
+          setPostcardSize(JSON.parse(savedPostcardOptions).postcardSize || DEFAULT_POSTCARD_SIZE);
+        }
+
         const selectedTemplate = JSON.parse(savedTemplate);
         console.log('Selected template from Campaign Step 2:', selectedTemplate);
 
@@ -224,6 +231,7 @@ const CampaignStep3 = () => {
           mode={editorMode}
           currentPage={currentPage}
           onPSDAnalysis={handlePSDAnalysis}
+          postcardSize={postcardSize}
         />
       </div>
 
@@ -58,7 +58,11 @@ const CampaignStep4 = () => {
       setValidatingZips(true);
       toast.loading('Validating ZIP codes...', { id: 'validate-zips' });
 
-      const result = await newMoverService.validateZipCodes(parsed.zipCodes);
+      const savedPostcardOptions = localStorage.getItem('campaignPostcardOptions');
+      const result = await newMoverService.validateZipCodes(
+        parsed.zipCodes,
+        savedPostcardOptions ? JSON.parse(savedPostcardOptions) : {}
+      );
 
       if (result.success) {
         setZipValidation(result);
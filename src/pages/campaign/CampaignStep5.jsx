@@ -4,10 +4,16 @@ import { motion } from 'framer-motion';
 import { ChevronLeft } from 'lucide-react';
 import { useAuth } from '../../contexts/AuthContext';
 import ProcessLayout from '../../components/process/ProcessLayout';
-import { formatPrice } from '../../utils/pricing';
+import { PRICING, formatPrice } from '../../utils/pricing';
 import campaignService from '../../supabase/api/campaignService';
 import { paymentService } from '../../supabase/api/paymentService';
 import toast from 'react-hot-toast';
+import {
+  DEFAULT_MAIL_CLASS,
+  DEFAULT_POSTCARD_SIZE,
+  getMailClassOption,
+  getPostcardSizeOption
+} from '../../utils/postcardOptions';
 
 const CampaignStep5 = () => {
   const navigate = useNavigate();
@@ -18,6 +24,10 @@ const CampaignStep5 = () => {
   const [companyData, setCompanyData] = useState(null);
   const [isActivating, setIsActivating] = useState(false);
   const [previewUrl, setPreviewUrl] = useState(null);
+  const [postcardOptions, setPostcardOptions] = useState({
+    postcardSize: DEFAULT_POSTCARD_SIZE,
+    mailClass: DEFAULT_MAIL_CLASS
+  });
 
   const totalSteps = 5;
 
@@ -29,6 +39,12 @@ const CampaignStep5 = () => {
       setSelectedTemplate(JSON.parse(savedTemplate));
     }
 
+    // Load postcard size and mail class from Step 2
+    const savedPostcardOptions = localStorage.getItem('campaignPostcardOptions');
+    if (savedPostcardOptions) {
+      setPostcardOptions(JSON.parse(savedPostcardOptions));
+    }
+
     // Load targeting data
     const savedTargeting = sessionStorage.getItem('campaignTargetingData');
     if (savedTargeting) {
@@ -85,7 +101,7 @@ const CampaignStep5 = () => {
         new_mover_ids: targetingData.newMoverIds || [],
         total_recipients: targetingData.totalRecipients || 0,
         postcards_sent: 0,
-        price_per_postcard: targetingData.flatRate || 3.00,
+        price_per_postcard: targetingData.flatRate || PRICING.PRICE_PER_POSTCARD,
         payment_status: 'pending',
         launched_at: new Date().toISOString(),
         // Enable polling for continuous new mover discovery
@@ -149,7 +165,7 @@ const CampaignStep5 = () => {
         new_mover_ids: targetingData.newMoverIds || [],
         total_recipients: targetingData.totalRecipients || 0,
         postcards_sent: 0,
-        price_per_postcard: targetingData.flatRate || 3.00,
+        price_per_postcard: targetingData.flatRate || PRICING.PRICE_PER_POSTCARD,
         payment_status: 'pending',
         // Enable polling for continuous new mover discovery (even for drafts)
         polling_enabled: targetingData.pollingEnabled !== false, // Default true
@@ -267,6 +283,14 @@ const CampaignStep5 = () => {
                 <div className="package-label">Template</div>
                 <div className="package-value">{selectedTemplate?.name || 'Custom Template'}</div>
               </div>
+              <div className="package-row">
+                <div className="package-label">Size</div>
+                <div className="package-value">{getPostcardSizeOption(postcardOptions.postcardSize).label}</div>
+              </div>
+              <div className="package-row">
+                <div className="package-label">Delivery</div>
+                <div className="package-value">{getMailClassOption(postcardOptions.mailClass).label}</div>
+              </div>
               <div className="package-row">
                 <div className="package-label">Business</div>
                 <div className="package-value">{companyData?.brandData?.name || 'Your Business'}</div>
@@ -283,14 +307,14 @@ const CampaignStep5 = () => {
               </div>
               <div className="package-row">
                 <div className="package-label">Rate per Postcard</div>
-                <div className="package-value package-price">${targetingData?.flatRate?.toFixed(2) || '3.00'}</div>
+                <div className="package-value package-price">${(targetingData?.flatRate ?? PRICING.PRICE_PER_POSTCARD).toFixed(2)}</div>
               </div>
             </div>
           </div>
 
           <div className="campaign-note">
             {targetingData?.zipsWithData > 0
-              ? `Your postcards will be sent to new movers in ${targetingData.zipsWithData} ZIP code${targetingData.zipsWithData !== 1 ? 's' : ''} at $${targetingData?.flatRate?.toFixed(2) || '3.00'} per postcard`
+              ? `Your postcards will be sent to new movers in ${targetingData.zipsWithData} ZIP code${targetingData.zipsWithData !== 1 ? 's' : ''} at $${(targetingData?.flatRate ?? PRICING.PRICE_PER_POSTCARD).toFixed(2)} per postcard`
               : 'No targeting data available'}
           </div>
         </div>
@@ -3,7 +3,7 @@ import { useNavigate } from 'react-router-dom';
 import { ChevronLeft } from 'lucide-react';
 import { useAuth } from '../../contexts/AuthContext';
 import OnboardingLayout from '../../components/onboarding/OnboardingLayout';
-import { formatPrice } from '../../utils/pricing';
+import { PRICING, formatPrice } from '../../utils/pricing';
 import campaignService from '../../supabase/api/campaignService';
 import { paymentService } from '../../supabase/api/paymentService';
 import onboardingService from '../../supabase/api/onboardingService';
@@ -145,7 +145,7 @@ const OnboardingStep6 = () => {
         new_mover_ids: targetingData.newMoverIds || [],
         total_recipients: targetingData.totalRecipients || 0,
         postcards_sent: 0,
-        price_per_postcard: targetingData.flatRate || 3.00,
+        price_per_postcard: targetingData.flatRate || PRICING.PRICE_PER_POSTCARD,
         payment_status: 'paid' // Mark as paid since payment method exists
       };
 
@@ -216,7 +216,7 @@ const OnboardingStep6 = () => {
         new_mover_ids: targetingData.newMoverIds || [],
         total_recipients: targetingData.totalRecipients || 0,
         postcards_sent: 0,
-        price_per_postcard: targetingData.flatRate || 3.00,
+        price_per_postcard: targetingData.flatRate || PRICING.PRICE_PER_POSTCARD,
         payment_status: 'pending'
       };
 
@@ -281,7 +281,7 @@ const OnboardingStep6 = () => {
       steps={steps}
       currentStep={6}
       footerMessage={targetingData?.zipsWithData > 0
-        ? `Your postcards will be sent to new movers in ${targetingData.zipsWithData} ZIP code${targetingData.zipsWithData !== 1 ? 's' : ''} at $${targetingData?.flatRate?.toFixed(2) || '3.00'} per postcard`
+        ? `Your postcards will be sent to new movers in ${targetingData.zipsWithData} ZIP code${targetingData.zipsWithData !== 1 ? 's' : ''} at $${(targetingData?.flatRate ?? PRICING.PRICE_PER_POSTCARD).toFixed(2)} per postcard`
         : 'Ready to launch your campaign'}
       onContinue={handleActivate}
       continueText={isActivating ? 'Processing...' : 'Activate'}
@@ -353,7 +353,7 @@ const OnboardingStep6 = () => {
               </div>
               <div className="package-row">
                 <div className="package-label">Rate per Postcard</div>
-                <div className="package-value package-price">${targetingData?.flatRate?.toFixed(2) || '3.00'}</div>
+                <div className="package-value package-price">${(targetingData?.flatRate ?? PRICING.PRICE_PER_POSTCARD).toFixed(2)}</div>
               </div>
             </div>
           </div>
@@ -385,7 +385,7 @@ const OnboardingStep6 = () => {
 
           <div className="campaign-note">
             {targetingData?.zipsWithData > 0
-              ? `Your postcards will be sent to new movers in ${targetingData.zipsWithData} ZIP code${targetingData.zipsWithData !== 1 ? 's' : ''} at $${targetingData?.flatRate?.toFixed(2) || '3.00'} per postcard`
+              ? `Your postcards will be sent to new movers in ${targetingData.zipsWithData} ZIP code${targetingData.zipsWithData !== 1 ? 's' : ''} at $${(targetingData?.flatRate ?? PRICING.PRICE_PER_POSTCARD).toFixed(2)} per postcard`
               : 'No targeting data available'}
           </div>
         </div>
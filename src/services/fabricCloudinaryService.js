@@ -3,13 +3,16 @@ import cloudinaryService from './cloudinaryService';
 /**
  * Fabric.js Cloudinary Service
  * Handles saving and loading Fabric.js canvas designs to/from Cloudinary
- * Saves as JSON format (instead of IMG.LY's .scene format)
+ * Saves as JSON format (instead of IMG.LY's .scene format). The print-ready
+ * PDF that PostGrid mails is rendered from that JSON by the render worker
+ * (scripts/renderPostcardPdf.js), not in the browser.
  */
 
 const fabricCloudinaryService = {
   /**
    * Save complete fabric.js design to Cloudinary
-   * Saves both the JSON state and PNG preview
+   * Saves the JSON state and PNG preview. The campaign's print PDF (and its
+   * merge layout) is rendered server-side once the design URL is saved.
    * @param {fabric.Canvas} canvas - Fabric canvas instance
    * @param {Object} pagesData - Multi-page data from useFabricPages hook
    * @param {string} campaignId - Campaign ID
@@ -24,6 +27,11 @@ const fabricCloudinaryService = {
         version: '1.0',
         editor: 'fabric.js',
         timestamp: new Date().toISOString(),
+        // The print renderer scales this area to the postcard's bleed box
+        canvasSize: {
+          width: canvas.getWidth(),
+          height: canvas.getHeight()
+        },
         ...pagesData // Includes pages, currentPage, isDoubleSided
       };
 
@@ -4,6 +4,7 @@
 import { supabase } from '../integration/client';
 import * as emailService from './emailService';
 import * as notificationService from './notificationService';
+import pricingService from './pricingService';
 
 // ============================================
 // CAMPAIGN ACTIONS
@@ -20,7 +21,7 @@ export const approveCampaign = async (campaignId, adminId) => {
     // First, check if user has payment method
     const { data: campaign, error: campaignError } = await supabase
       .from('campaigns')
-      .select('user_id, campaign_name, postcards_sent, total_recipients, payment_status')
+      .select('user_id, campaign_name, postcards_sent, total_recipients, payment_status, is_blast, scheduled_send_date, postcard_size, mail_class, price_per_postcard')
       .eq('id', campaignId)
       .single();
 
@@ -66,16 +67,26 @@ export const approveCampaign = async (campaignId, adminId) => {
     try {
       const approvedAt = new Date().toISOString();
 
+      // Blasts stay scheduled: dispatch-scheduled-blasts mails them once at
+      // scheduled_send_date and charges for what was mailed. Only ongoing
+      // campaigns poll for new movers.
       await supabase
         .from('campaigns')
-        .update({
-          approval_status: 'approved',
-          status: 'active',
-          polling_enabled: true,
-          polling_frequency_hours: 0.5,
-          approved_at: approvedAt,
-          approved_by: adminId
-        })
+        .update(campaign.is_blast
+          ? {
+              approval_status: 'approved',
+              polling_enabled: false,
+              approved_at: approvedAt,
+              approved_by: adminId
+            }
+          : {
+              approval_status: 'approved',
+              status: 'active',
+              polling_enabled: true,
+              polling_frequency_hours: 0.5,
+              approved_at: approvedAt,
+              approved_by: adminId
+            })
         .eq('id', campaignId);
 
       // Log admin activity
@@ -106,7 +117,9 @@ export const approveCampaign = async (campaignId, adminId) => {
             campaign.user_id,
             'campaign_approved',
             'Campaign Approved!',
-            `Your campaign "${campaign.campaign_name}" is now live and active.`,
+            campaign.is_blast
+              ? `Your blast "${campaign.campaign_name}" is approved and will be sent at its scheduled time.`
+              : `Your campaign "${campaign.campaign_name}" is now live and active.`,
             `/campaign/${campaignId}/details`
           );
         }
@@ -115,13 +128,28 @@ export const approveCampaign = async (campaignId, adminId) => {
         // Don't fail the approval if notification fails
       }
 
+      if (campaign.is_blast) {
+        return {
+          success: true,
+          message: `✅ Blast approved successfully!\n\n` +
+                   `Postcards will be sent via PostGrid at the scheduled time ` +
+                   `(${new Date(campaign.scheduled_send_date).toLocaleString()})\n` +
+                   `The user is charged once for every postcard mailed`,
+          campaign: campaign
+        };
+      }
+
+      const unitPrice = await pricingService.getCampaignUnitPrice(campaign);
+
       return {
         success: true,
         message: `✅ Campaign approved successfully!\n\n` +
                  `Polling enabled: Checks for new movers every 30 minutes\n` +
                  `First poll will run within the next poll cycle\n` +
                  `Postcards will be sent automatically via PostGrid\n` +
-                 `You'll be charged $3.00 immediately when each postcard is sent`,
+                 (unitPrice !== null
+                   ? `The user is charged $${unitPrice.toFixed(2)} for each postcard mailed`
+                   : `The user is charged their quoted price for each postcard mailed`),
         campaign: campaign
       };
 
@@ -384,20 +412,40 @@ export const deleteCampaign = async (campaignId, adminId) => {
   }
 };
 
+/**
+ * Providers an admin can connect to a campaign, by kind: the mail provider
+ * that prints postcards, and the mover data provider the poller pulls from
+ * (data must match supabase/functions/_shared/moverProviders.ts)
+ */
+export const PROVIDERS = {
+  mail: ['lob', 'postgrid', 'clicksend'],
+  data: ['melissa', 'fixture']
+};
+
+// Campaign columns each kind of provider is stored in
+const PROVIDER_COLUMNS = {
+  mail: { provider: 'provider', connectedAt: 'provider_connected_at' },
+  data: { provider: 'data_provider', connectedAt: 'data_provider_connected_at' }
+};
+
 /**
  * Connect a provider to a campaign
+ * The fixture data provider serves sample movers and is only honoured by the poller in PostGrid test mode
+ * @param {string} provider - Any name in PROVIDERS; its kind picks the column
  */
 export const connectProvider = async (campaignId, adminId, provider) => {
   try {
-    if (!provider || !['lob', 'postgrid', 'clicksend'].includes(provider)) {
+    const kind = Object.keys(PROVIDERS).find(key => PROVIDERS[key].includes(provider));
+    if (!kind) {
       return { success: false, error: 'Invalid provider' };
     }
 
+    const columns = PROVIDER_COLUMNS[kind];
     const { data, error } = await supabase
       .from('campaigns')
       .update({
-        provider,
-        provider_connected_at: new Date().toISOString()
+        [columns.provider]: provider,
+        [columns.connectedAt]: new Date().toISOString()
       })
       .eq('id', campaignId)
       .select()
@@ -411,7 +459,8 @@ export const connectProvider = async (campaignId, adminId, provider) => {
     // Log admin activity
     await logAdminActivity(adminId, 'provider_connected', 'campaign', campaignId, {
       campaign_name: data.campaign_name,
-      provider
+      provider,
+      provider_kind: kind
     });
 
     return { success: true, campaign: data };
@@ -421,6 +470,88 @@ export const connectProvider = async (campaignId, adminId, provider) => {
   }
 };
 
+// ============================================
+// GLOBAL SUPPRESSION LIST
+// ============================================
+
+/**
+ * Add entries to the global do-not-mail list. Entries already on the list are skipped.
+ * @param {Array} entries - From toSuppressionEntry() / parseSuppressionCsv()
+ * @param {string} adminId - Admin user ID
+ * @param {string} source - 'manual' or 'csv'
+ */
+export const addGlobalSuppressions = async (entries, adminId, source = 'manual') => {
+  try {
+    if (!entries || entries.length === 0) {
+      return { success: false, error: 'No entries to add' };
+    }
+
+    const { data, error } = await supabase
+      .from('suppression_entries')
+      .upsert(
+        entries.map(entry => ({ ...entry, user_id: null, created_by: adminId })),
+        { onConflict: 'user_id,match_type,match_value', ignoreDuplicates: true }
+      )
+      .select('id, match_type, address_line, zip_code, melissa_address_key, reason');
+
+    if (error) {
+      console.error('Error adding global suppressions:', error);
+      return { success: false, error: error.message };
+    }
+
+    const added = data || [];
+
+    // Log admin activity
+    if (source === 'csv') {
+      await logAdminActivity(adminId, 'suppression_imported', 'suppression_list', null, {
+        submitted: entries.length,
+        added: added.length
+      });
+    } else if (added.length > 0) {
+      await logAdminActivity(adminId, 'suppression_added', 'suppression_entry', added[0].id, added[0]);
+    }
+
+    return { success: true, added: added.length, skipped: entries.length - added.length };
+  } catch (error) {
+    console.error('Error in addGlobalSuppressions:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Remove an entry from the global do-not-mail list
+ * @param {Object} entry - suppression_entries row
+ * @param {string} adminId - Admin user ID
+ */
+export const removeGlobalSuppression = async (entry, adminId) => {
+  try {
+    const { error } = await supabase
+      .from('suppression_entries')
+      .delete()
+      .eq('id', entry.id)
+      .is('user_id', null);
+
+    if (error) {
+      console.error('Error removing global suppression:', error);
+      return { success: false, error: error.message };
+    }
+
+    // Log admin activity
+    await logAdminActivity(adminId, 'suppression_removed', 'suppression_entry', entry.id, {
+      match_type: entry.match_type,
+      address_line: entry.address_line,
+      zip_code: entry.zip_code,
+      melissa_address_key: entry.melissa_address_key,
+      reason: entry.reason
+    });
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error in removeGlobalSuppression:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 // ============================================
 // HELPER FUNCTIONS
 // ============================================
@@ -501,6 +632,8 @@ export default {
   resumeCampaign,
   deleteCampaign,
   connectProvider,
+  addGlobalSuppressions,
+  removeGlobalSuppression,
   getCurrentAdminId,
   checkIsAdmin
 };
@@ -3,6 +3,9 @@
 // Phase 2: Will add write operations after database schema updates
 
 import { supabase } from '../integration/client';
+import { invokeEdgeFunction } from './edgeFunctions';
+import * as emailService from './emailService';
+import { describeRefund } from '../../utils/refunds';
 
 // ============================================
 // CAMPAIGN QUERIES (READ-ONLY)
@@ -376,12 +379,24 @@ export const adminUserService = {
   // Approve campaign
   approveCampaign: async (campaignId) => {
     try {
+      const { data: campaign, error: fetchError } = await supabase
+        .from('campaigns')
+        .select('is_blast')
+        .eq('id', campaignId)
+        .single();
+
+      if (fetchError) {
+        console.error('Error fetching campaign:', fetchError);
+        return { success: false, error: fetchError.message };
+      }
+
+      // Blasts stay scheduled until dispatch-scheduled-blasts sends them
       const { error } = await supabase
         .from('campaigns')
         .update({
           approval_status: 'approved',
           approved_at: new Date().toISOString(),
-          status: 'active'
+          ...(campaign.is_blast ? {} : { status: 'active' })
         })
         .eq('id', campaignId);
 
@@ -833,11 +848,11 @@ export const adminTransactionService = {
         isTestMode,
       } = filters;
 
-      // Build query for succeeded transactions
+      // Build query for succeeded (and partially refunded) transactions
       let query = supabase
         .from('transactions')
-        .select('amount_dollars, created_at, billing_reason')
-        .eq('status', 'succeeded');
+        .select('amount_dollars, refund_amount_cents, created_at, billing_reason')
+        .in('status', ['succeeded', 'partially_refunded']);
 
       if (dateFrom) {
         query = query.gte('created_at', dateFrom);
@@ -883,8 +898,11 @@ export const adminTransactionService = {
 
       if (processingError) throw processingError;
 
+      // Partially refunded transactions count for what was kept
+      const netDollars = (tx) => parseFloat(tx.amount_dollars) - (tx.refund_amount_cents || 0) / 100;
+
       // Calculate stats
-      const totalRevenue = succeededTransactions.reduce((sum, tx) => sum + parseFloat(tx.amount_dollars), 0);
+      const totalRevenue = succeededTransactions.reduce((sum, tx) => sum + netDollars(tx), 0);
       const transactionCount = succeededTransactions.length;
       const averageTransactionAmount = transactionCount > 0 ? totalRevenue / transactionCount : 0;
 
@@ -895,7 +913,7 @@ export const adminTransactionService = {
           acc[reason] = { count: 0, revenue: 0 };
         }
         acc[reason].count++;
-        acc[reason].revenue += parseFloat(tx.amount_dollars);
+        acc[reason].revenue += netDollars(tx);
         return acc;
       }, {});
 
@@ -905,7 +923,7 @@ export const adminTransactionService = {
         if (!acc[date]) {
           acc[date] = 0;
         }
-        acc[date] += parseFloat(tx.amount_dollars);
+        acc[date] += netDollars(tx);
         return acc;
       }, {});
 
@@ -969,83 +987,72 @@ export const adminTransactionService = {
   },
 
   /**
-   * Refund a transaction
+   * Refund all or part of a transaction and email the customer
+   * Wallet-paid transactions are credited back to the wallet, card payments
+   * are refunded through Stripe (refund-transaction Edge Function)
    * @param {string} transactionId - Transaction ID
-   * @param {string} reason - Refund reason
-   * @returns {Promise<Object>} Refund result
+   * @param {Object} refund - { amountCents, reason (REFUND_REASONS key), note }
+   * @returns {Promise<Object>} { success, message, refund, transaction, emailed }
    */
-  async refundTransaction(transactionId, reason) {
+  async refundTransaction(transactionId, { amountCents, reason, note = '' }) {
     try {
-      // Get transaction details
-      const { data: transaction, error: txError } = await supabase
-        .from('transactions')
-        .select('*')
-        .eq('id', transactionId)
-        .single();
-
-      if (txError || !transaction) {
-        throw new Error('Transaction not found');
-      }
-
-      if (transaction.status !== 'succeeded') {
-        throw new Error('Can only refund succeeded transactions');
-      }
-
-      if (transaction.status === 'refunded' || transaction.status === 'partially_refunded') {
-        throw new Error('Transaction already refunded');
-      }
-
-      // Create refund via Stripe (through Edge Function or direct API)
-      // For now, we'll create a simple implementation
-      // In production, you'd want a dedicated Edge Function for refunds
-
-      const stripe = await import('https://esm.sh/stripe@11.1.0?target=deno');
-      const stripeClient = new stripe.default(Deno.env.get('STRIPE_SECRET_KEY'), {
-        apiVersion: '2024-11-20.acacia',
+      const result = await invokeEdgeFunction('refund-transaction', {
+        transactionId,
+        amountCents,
+        reason,
+        note,
       });
 
-      const refund = await stripeClient.refunds.create({
-        payment_intent: transaction.stripe_payment_intent_id,
-        reason: 'requested_by_customer',
-        metadata: {
-          refund_reason: reason,
-          refunded_by: 'admin',
-        },
-      });
+      // Tell the customer; the refund stands even if the email fails
+      let emailed = false;
+      try {
+        const { data: userProfile } = await supabase
+          .from('profile')
+          .select('email')
+          .eq('user_id', result.transaction.user_id)
+          .single();
 
-      // Update transaction record
-      const { error: updateError } = await supabase
-        .from('transactions')
-        .update({
-          status: 'refunded',
-          refunded_at: new Date().toISOString(),
-          refund_reason: reason,
-          refund_amount_cents: refund.amount,
-          updated_at: new Date().toISOString(),
-        })
-        .eq('id', transactionId);
+        if (userProfile?.email) {
+          const emailResult = await emailService.sendRefundIssuedEmail(userProfile.email, {
+            amountCents: result.refund.amount_cents,
+            originalAmountCents: result.transaction.amount_cents,
+            method: result.refund.method,
+            reason: describeRefund(result.refund),
+            cardBrand: result.transaction.payment_method_brand,
+            cardLast4: result.transaction.payment_method_last4,
+            fullyRefunded: result.transaction.status === 'refunded',
+          });
+          emailed = emailResult.success;
+        }
+      } catch (emailError) {
+        console.error('[Admin Transactions] Error sending refund email:', emailError);
+      }
 
-      if (updateError) throw updateError;
+      return { ...result, emailed };
+    } catch (error) {
+      console.error('[Admin Transactions] Error refunding transaction:', error);
+      throw error;
+    }
+  },
 
-      // Update campaign if applicable
-      if (transaction.campaign_id) {
-        await supabase
-          .from('campaigns')
-          .update({
-            payment_status: 'refunded',
-            updated_at: new Date().toISOString(),
-          })
-          .eq('id', transaction.campaign_id);
-      }
+  /**
+   * Get every refund of a transaction, oldest first
+   * @param {string} transactionId - Transaction ID
+   * @returns {Promise<Array>} transaction_refunds rows
+   */
+  async getTransactionRefunds(transactionId) {
+    try {
+      const { data, error } = await supabase
+        .from('transaction_refunds')
+        .select('*')
+        .eq('transaction_id', transactionId)
+        .order('created_at', { ascending: true });
 
-      return {
-        success: true,
-        message: 'Transaction refunded successfully',
-        refundId: refund.id,
-      };
+      if (error) throw error;
 
+      return data || [];
     } catch (error) {
-      console.error('[Admin Transactions] Error refunding transaction:', error);
+      console.error('[Admin Transactions] Error fetching refunds:', error);
       throw error;
     }
   },
@@ -1109,6 +1116,275 @@ export const adminTransactionService = {
   },
 };
 
+// ============================================================================
+// ADMIN MAIL OUTBOX SERVICE
+// ============================================================================
+
+// Movers pass through these states in the poller (see poll-melissa-new-movers)
+export const OUTBOX_INTERMEDIATE_STATES = ['discovered', 'mailing', 'mailed', 'charging'];
+
+// Movers the poller has given up on: failed needs an admin, past_due is owed and left to dunning
+export const OUTBOX_PARKED_STATES = ['failed', 'past_due'];
+
+// Matches the poller's OUTBOX_STALE_MINUTES default
+export const OUTBOX_STALE_MINUTES = 15;
+
+export const adminOutboxService = {
+  /**
+   * Get movers stuck in an intermediate outbox state (or failed / past due)
+   * @param {Object} filters - state ('stuck' | 'failed' | 'past_due' | a single state), limit, offset
+   * @returns {Promise<Object>} Movers with campaign names and per-state counts
+   */
+  async getStuckMovers(filters = {}) {
+    try {
+      const { state = 'stuck', limit = 50, offset = 0 } = filters;
+      const staleBefore = new Date(Date.now() - OUTBOX_STALE_MINUTES * 60 * 1000).toISOString();
+
+      let query = supabase
+        .from('newmover')
+        .select(
+          'id, campaign_id, full_name, address_line, city, state, zip_code, outbox_state, outbox_state_changed_at, outbox_attempts, outbox_last_error, postgrid_postcard_id, transaction_id',
+          { count: 'exact' }
+        )
+        .order('outbox_state_changed_at', { ascending: true })
+        .range(offset, offset + limit - 1);
+
+      if (OUTBOX_PARKED_STATES.includes(state)) {
+        query = query.eq('outbox_state', state);
+      } else if (OUTBOX_INTERMEDIATE_STATES.includes(state)) {
+        query = query.eq('outbox_state', state).lt('outbox_state_changed_at', staleBefore);
+      } else {
+        query = query.in('outbox_state', OUTBOX_INTERMEDIATE_STATES).lt('outbox_state_changed_at', staleBefore);
+      }
+
+      const { data: movers, error, count } = await query;
+
+      if (error) {
+        console.error('[Admin Outbox] Error fetching stuck movers:', error);
+        return { success: false, error: error.message };
+      }
+
+      // Attach campaign names
+      const campaignIds = [...new Set((movers || []).map(mover => mover.campaign_id).filter(Boolean))];
+      let campaignMap = {};
+
+      if (campaignIds.length > 0) {
+        const { data: campaigns } = await supabase
+          .from('campaigns')
+          .select('id, campaign_name')
+          .in('id', campaignIds);
+
+        campaignMap = (campaigns || []).reduce((acc, campaign) => {
+          acc[campaign.id] = campaign.campaign_name;
+          return acc;
+        }, {});
+      }
+
+      // Per-state counts of stuck rows for the summary cards
+      const { data: stateRows } = await supabase
+        .from('newmover')
+        .select('outbox_state, outbox_state_changed_at')
+        .in('outbox_state', [...OUTBOX_INTERMEDIATE_STATES, ...OUTBOX_PARKED_STATES]);
+
+      const counts = (stateRows || []).reduce((acc, row) => {
+        if (OUTBOX_PARKED_STATES.includes(row.outbox_state) || new Date(row.outbox_state_changed_at) < new Date(staleBefore)) {
+          acc[row.outbox_state] = (acc[row.outbox_state] || 0) + 1;
+        }
+        return acc;
+      }, {});
+
+      return {
+        success: true,
+        movers: (movers || []).map(mover => ({
+          ...mover,
+          campaign_name: campaignMap[mover.campaign_id] || null
+        })),
+        total: count || 0,
+        counts
+      };
+    } catch (error) {
+      console.error('[Admin Outbox] Error in getStuckMovers:', error);
+      return { success: false, error: error.message };
+    }
+  },
+};
+
+// ============================================
+// GLOBAL SUPPRESSION LIST (READ-ONLY)
+// ============================================
+
+const SUPPRESSION_COLUMNS = 'id, match_type, address_line, zip_code, melissa_address_key, reason, note, created_by, created_at';
+
+export const adminSuppressionService = {
+  /**
+   * Get global do-not-mail entries (user_id NULL)
+   * @param {Object} filters - search, reason ('all' or a reason), limit, offset
+   * @returns {Promise<Object>} Entries and total count
+   */
+  async getGlobalSuppressions(filters = {}) {
+    try {
+      const { search = '', reason = 'all', limit = 50, offset = 0 } = filters;
+
+      let query = supabase
+        .from('suppression_entries')
+        .select(SUPPRESSION_COLUMNS, { count: 'exact' })
+        .is('user_id', null)
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (reason !== 'all') {
+        query = query.eq('reason', reason);
+      }
+
+      if (search.trim()) {
+        const term = search.trim().replace(/[%,()]/g, ' ');
+        query = query.or(`address_line.ilike.%${term}%,zip_code.ilike.%${term}%,melissa_address_key.ilike.%${term}%,note.ilike.%${term}%`);
+      }
+
+      const { data, error, count } = await query;
+
+      if (error) {
+        console.error('[Admin Suppressions] Error fetching global suppressions:', error);
+        return { success: false, error: error.message };
+      }
+
+      return { success: true, entries: data || [], total: count || 0 };
+    } catch (error) {
+      console.error('[Admin Suppressions] Error in getGlobalSuppressions:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  /**
+   * Get the whole global list, for CSV export
+   * @returns {Promise<Object>} All entries
+   */
+  async getAllGlobalSuppressions() {
+    try {
+      const { data, error } = await supabase
+        .from('suppression_entries')
+        .select(SUPPRESSION_COLUMNS)
+        .is('user_id', null)
+        .order('created_at', { ascending: false });
+
+      if (error) {
+        console.error('[Admin Suppressions] Error exporting global suppressions:', error);
+        return { success: false, error: error.message };
+      }
+
+      return { success: true, entries: data || [] };
+    } catch (error) {
+      console.error('[Admin Suppressions] Error in getAllGlobalSuppressions:', error);
+      return { success: false, error: error.message };
+    }
+  },
+};
+
+// ============================================
+// STRIPE EVENT LEDGER
+// ============================================
+
+// stripe_events.status values (see the stripe_events migration)
+export const STRIPE_EVENT_STATUSES = ['received', 'processing', 'processed', 'ignored', 'failed'];
+
+const STRIPE_EVENT_COLUMNS = 'id, type, object_id, livemode, status, attempts, error, note, stripe_created_at, received_at, processed_at, last_replayed_at';
+
+export const adminStripeEventService = {
+  /**
+   * Get recent Stripe webhook events, newest first
+   * @param {Object} filters - search (event ID, type or object ID), status ('all' or a status), limit, offset
+   * @returns {Promise<Object>} Events, total count and per-status counts
+   */
+  async getStripeEvents(filters = {}) {
+    try {
+      const { search = '', status = 'all', limit = 50, offset = 0 } = filters;
+
+      let query = supabase
+        .from('stripe_events')
+        .select(STRIPE_EVENT_COLUMNS, { count: 'exact' })
+        .order('received_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (status !== 'all') {
+        query = query.eq('status', status);
+      }
+
+      if (search.trim()) {
+        const term = search.trim().replace(/[%,()]/g, ' ');
+        query = query.or(`id.ilike.%${term}%,type.ilike.%${term}%,object_id.ilike.%${term}%`);
+      }
+
+      const { data, error, count } = await query;
+
+      if (error) {
+        console.error('[Admin Stripe Events] Error fetching events:', error);
+        return { success: false, error: error.message };
+      }
+
+      // Per-status counts for the filter tabs
+      const statusCounts = await Promise.all(
+        STRIPE_EVENT_STATUSES.map(async (eventStatus) => {
+          const { count: statusCount } = await supabase
+            .from('stripe_events')
+            .select('id', { count: 'exact', head: true })
+            .eq('status', eventStatus);
+          return [eventStatus, statusCount || 0];
+        })
+      );
+
+      return {
+        success: true,
+        events: data || [],
+        total: count || 0,
+        counts: Object.fromEntries(statusCounts)
+      };
+    } catch (error) {
+      console.error('[Admin Stripe Events] Error in getStripeEvents:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  /**
+   * Get one event with its full payload
+   * @param {string} eventId - Stripe event ID
+   * @returns {Promise<Object>} Event
+   */
+  async getStripeEvent(eventId) {
+    try {
+      const { data, error } = await supabase
+        .from('stripe_events')
+        .select('*')
+        .eq('id', eventId)
+        .single();
+
+      if (error) {
+        console.error('[Admin Stripe Events] Error fetching event:', error);
+        return { success: false, error: error.message };
+      }
+
+      return { success: true, event: data };
+    } catch (error) {
+      console.error('[Admin Stripe Events] Error in getStripeEvent:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  /**
+   * Run a stored event through the webhook handlers again
+   * (replay-stripe-event Edge Function)
+   * @param {string} eventId - Stripe event ID
+   * @returns {Promise<Object>} { success, event } - throws when the replay fails
+   */
+  async replayStripeEvent(eventId) {
+    try {
+      return await invokeEdgeFunction('replay-stripe-event', { eventId });
+    } catch (error) {
+      console.error('[Admin Stripe Events] Error replaying event:', error);
+      throw error;
+    }
+  },
+};
+
 export default {
   campaigns: adminCampaignService,
   users: adminUserService,
@@ -1116,5 +1392,8 @@ export default {
   campaignActions: adminCampaignActions,
   userActions: adminUserActions,
   activity: adminActivityService,
-  transactions: adminTransactionService
+  transactions: adminTransactionService,
+  outbox: adminOutboxService,
+  suppressions: adminSuppressionService,
+  stripeEvents: adminStripeEventService
 };
@@ -1,4 +1,7 @@
 import { supabase } from "../integration/client";
+import pricingService from "./pricingService";
+import { PRICING } from "../../utils/pricing";
+import { DEFAULT_MAIL_CLASS, DEFAULT_POSTCARD_SIZE } from "../../utils/postcardOptions";
 
 /**
  * Campaign Service
@@ -39,6 +42,11 @@ const campaignService = {
         template_name: campaignData.template_name || null,
         postcard_design_url: campaignData.postcard_design_url || null,
         postcard_preview_url: campaignData.postcard_preview_url || null,
+        postcard_print_url: campaignData.postcard_print_url || null,
+        postcard_merge_layout: campaignData.postcard_merge_layout || null,
+        postcard_size: campaignData.postcard_size || DEFAULT_POSTCARD_SIZE,
+        mail_class: campaignData.mail_class || DEFAULT_MAIL_CLASS,
+        sender_profile_id: campaignData.sender_profile_id || null,
 
         // Targeting
         targeting_type: campaignData.targeting_type || 'zip_codes',
@@ -51,8 +59,14 @@ const campaignService = {
         postcards_sent: campaignData.postcards_sent || 0,
         new_mover_ids: campaignData.new_mover_ids || [],
 
+        // Blasts (one-off sends to new_mover_ids, mailed by dispatch-scheduled-blasts)
+        is_blast: campaignData.is_blast || false,
+        source_campaign_id: campaignData.source_campaign_id || null,
+        scheduled_send_date: campaignData.scheduled_send_date || null,
+        scheduled_timezone: campaignData.scheduled_timezone || null,
+
         // Pricing
-        price_per_postcard: campaignData.price_per_postcard || 3.00,
+        price_per_postcard: campaignData.price_per_postcard || PRICING.PRICE_PER_POSTCARD,
         total_cost: campaignData.total_cost || 0,
         payment_status: campaignData.payment_status || 'pending',
         payment_intent_id: campaignData.payment_intent_id || null,
@@ -299,8 +313,12 @@ const campaignService = {
    */
   async saveCampaignDesign(campaignId, designUrl, previewUrl = null) {
     try {
+      // Clear the previous design's PDF so it is never mailed with the new
+      // design; the render worker (scripts/renderPostcardPdf.js) renders it
       const updates = {
-        postcard_design_url: designUrl
+        postcard_design_url: designUrl,
+        postcard_print_url: null,
+        postcard_merge_layout: null
       };
 
       if (previewUrl) {
@@ -366,6 +384,92 @@ const campaignService = {
     }
   },
 
+  /**
+   * Move a scheduled blast to a new send time
+   * Only blasts the dispatcher has not started can be rescheduled.
+   * @param {string} campaignId - Blast campaign ID
+   * @param {string} scheduledSendDate - New send time as an ISO string (UTC instant)
+   * @param {string} scheduledTimezone - IANA time zone the time was chosen in
+   * @returns {Promise<Object>} Updated campaign
+   */
+  async rescheduleBlast(campaignId, scheduledSendDate, scheduledTimezone) {
+    try {
+      if (new Date(scheduledSendDate) <= new Date()) {
+        throw new Error('Scheduled time must be in the future');
+      }
+
+      return await this.updateScheduledBlast(campaignId, {
+        scheduled_send_date: scheduledSendDate,
+        scheduled_timezone: scheduledTimezone
+      });
+    } catch (error) {
+      console.error('Error rescheduling blast:', error);
+      throw {
+        error: error.error || error.message || 'Failed to reschedule blast',
+        statusCode: error.statusCode || 400
+      };
+    }
+  },
+
+  /**
+   * Cancel a scheduled blast before it is sent
+   * @param {string} campaignId - Blast campaign ID
+   * @returns {Promise<Object>} Updated campaign
+   */
+  async cancelBlast(campaignId) {
+    try {
+      return await this.updateScheduledBlast(campaignId, {
+        status: 'cancelled',
+        cancelled_at: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error cancelling blast:', error);
+      throw {
+        error: error.error || error.message || 'Failed to cancel blast',
+        statusCode: error.statusCode || 400
+      };
+    }
+  },
+
+  /**
+   * Update a blast only while it is still waiting to be sent. The dispatcher
+   * claims a blast by setting blast_started_at, so the filters make this a
+   * compare-and-set against a send that is already under way.
+   * @param {string} campaignId - Blast campaign ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object>} Updated campaign
+   */
+  async updateScheduledBlast(campaignId, updates) {
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+    if (userError || !user) {
+      throw new Error('User not authenticated');
+    }
+
+    const { data, error } = await supabase
+      .from('campaigns')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', campaignId)
+      .eq('user_id', user.id)
+      .eq('is_blast', true)
+      .eq('status', 'scheduled')
+      .is('blast_started_at', null)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      throw new Error('This blast is already being sent and can no longer be changed');
+    }
+
+    return {
+      success: true,
+      campaign: data,
+      message: 'Blast updated successfully'
+    };
+  },
+
   /**
    * Delete a campaign (soft delete)
    * @param {string} campaignId - Campaign ID
@@ -489,6 +593,62 @@ const campaignService = {
     }
   },
 
+  /**
+   * Get month-to-date spend against a campaign's budget caps
+   * Mirrors the poller: spend = postcards mailed this calendar month (UTC) x the user's current postcard price
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<Object>} Spend, postcards mailed this month and queued movers
+   */
+  async getBudgetUsage(campaignId) {
+    try {
+      const now = new Date();
+      const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString();
+
+      const { count: postcardsThisMonth, error: sentError } = await supabase
+        .from('newmover')
+        .select('id', { count: 'exact', head: true })
+        .eq('campaign_id', campaignId)
+        .eq('postcard_sent', true)
+        .gte('postcard_sent_at', monthStart);
+
+      if (sentError) throw sentError;
+
+      const { count: queuedCount, error: queuedError } = await supabase
+        .from('newmover')
+        .select('id', { count: 'exact', head: true })
+        .eq('campaign_id', campaignId)
+        .eq('outbox_state', 'queued');
+
+      if (queuedError) throw queuedError;
+
+      const { data: campaign, error: campaignError } = await supabase
+        .from('campaigns')
+        .select('postcard_size, mail_class')
+        .eq('id', campaignId)
+        .single();
+
+      if (campaignError) throw campaignError;
+
+      const { quote } = await pricingService.getQuote(1, pricingService.campaignQuoteOptions(campaign));
+
+      return {
+        success: true,
+        usage: {
+          postcardsThisMonth: postcardsThisMonth || 0,
+          spentThisMonth: Number(((postcardsThisMonth || 0) * quote.unitPrice).toFixed(2)),
+          unitPrice: quote.unitPrice,
+          queuedCount: queuedCount || 0
+        }
+      };
+    } catch (error) {
+      console.error('Error fetching budget usage:', error);
+      throw {
+        error: error.message || 'Failed to fetch budget usage',
+        statusCode: error.statusCode || 400
+      };
+    }
+  },
+
   /**
    * Update payment status for a campaign
    * @param {string} campaignId - Campaign ID
@@ -607,9 +767,13 @@ const campaignService = {
         throw new Error('Campaign not found');
       }
 
-      // Calculate total cost
-      const totalCost = (campaign.postcards_sent || campaign.total_recipients || 0) * 3.00;
-      const totalCostCents = Math.round(totalCost * 100);
+      // Calculate total cost from the campaign owner's pricing
+      const { quote } = await pricingService.getQuote(
+        campaign.postcards_sent || campaign.total_recipients || 0,
+        { userId: campaign.user_id, ...pricingService.campaignQuoteOptions(campaign) }
+      );
+      const totalCost = quote.total;
+      const totalCostCents = quote.totalCents;
 
       if (totalCostCents < 50) {
         throw new Error('Campaign cost must be at least $0.50');
@@ -747,8 +911,12 @@ const campaignService = {
 
       // Calculate new mover count and cost
       const newMoverCount = newMoverData.length;
-      const additionalCost = newMoverCount * 3.00;
-      const additionalCostCents = Math.round(additionalCost * 100);
+      const { quote } = await pricingService.getQuote(newMoverCount, {
+        userId: user.id,
+        ...pricingService.campaignQuoteOptions(campaign)
+      });
+      const additionalCost = quote.total;
+      const additionalCostCents = quote.totalCents;
 
       console.log(`[Campaign Service] Adding ${newMoverCount} new movers, cost: $${additionalCost.toFixed(2)}`);
 
@@ -0,0 +1,46 @@
+import { supabase } from '../integration/client';
+
+/**
+ * Edge Function calls with the signed-in user's token
+ * Third-party calls that need a secret key (Stripe, PostGrid, Melissa) go
+ * through Edge Functions; no secret belongs in VITE_* variables.
+ */
+
+/**
+ * Invoke an Edge Function as the current user
+ * Non-2xx responses throw with the function's own { error } message
+ * @param {string} name - Edge Function name
+ * @param {Object} body - JSON body
+ * @returns {Promise<Object>} Parsed response body
+ */
+export async function invokeEdgeFunction(name, body = {}) {
+  const { data: { session } } = await supabase.auth.getSession();
+
+  if (!session) {
+    throw new Error('Not authenticated');
+  }
+
+  const { data: response, error } = await supabase.functions.invoke(name, {
+    body,
+    headers: {
+      Authorization: `Bearer ${session.access_token}`,
+    },
+  });
+
+  if (error) {
+    // FunctionsHttpError keeps the Response, which carries the real message
+    let details = null;
+    try {
+      details = await error.context?.json();
+    } catch {
+      // Not a JSON body (e.g. relay or network errors)
+    }
+    throw new Error(details?.error || error.message);
+  }
+
+  if (response?.error) {
+    throw new Error(response.error);
+  }
+
+  return response;
+}
@@ -1,4 +1,6 @@
 import { supabase } from '../integration/client';
+import { renderStatementHtml, escapeHtml } from '../../utils/statements';
+import { formatPrice } from '../../utils/pricing';
 
 /**
  * Email Service - Handles all email notifications via Supabase Edge Function + Resend
@@ -347,6 +349,42 @@ export const sendPaymentFailedEmail = async (userEmail, paymentData) => {
   );
 };
 
+/**
+ * Refund Issued Email
+ * @param {Object} refundData - { amountCents, originalAmountCents, method ('stripe_refund' | 'wallet_refund'), reason, cardBrand, cardLast4, fullyRefunded }
+ */
+export const sendRefundIssuedEmail = async (userEmail, refundData) => {
+  const destination = refundData.method === 'wallet_refund'
+    ? 'your MovePost balance'
+    : refundData.cardLast4
+      ? `your ${escapeHtml(refundData.cardBrand || 'card')} ending in ${escapeHtml(refundData.cardLast4)}`
+      : 'your card';
+
+  const content = `
+    <div class="card">
+      <div class="card-icon">↩</div>
+      <h1>We've Issued a Refund</h1>
+      <p>We've refunded <strong>${formatPrice(refundData.amountCents / 100)}</strong> to ${destination}.</p>
+      <p><strong>Details:</strong></p>
+      <ul style="color: #4a5568; line-height: 1.8;">
+        <li>Original payment: ${formatPrice(refundData.originalAmountCents / 100)}${refundData.fullyRefunded ? ' (fully refunded)' : ''}</li>
+        <li>Reason: ${escapeHtml(refundData.reason)}</li>
+        <li>Date: ${new Date().toLocaleDateString()}</li>
+      </ul>
+      <p>${refundData.method === 'wallet_refund'
+        ? 'The amount is available in your balance right away.'
+        : 'Card refunds usually appear on your statement within 5-10 business days.'}</p>
+      <a href="${FRONTEND_URL}/settings/billing" class="cta-button">View Billing</a>
+    </div>
+  `;
+
+  return await sendEmail(
+    userEmail,
+    'Your MovePost Refund',
+    getEmailTemplate(content, '#10B981')
+  );
+};
+
 /**
  * Payment Requires 3D Secure Email
  */
@@ -422,6 +460,36 @@ export const sendAdminPaymentIssueEmail = async (adminEmail, issueData) => {
   );
 };
 
+/**
+ * Monthly Statement Email
+ * @param {string} userEmail - Recipient
+ * @param {Object} statement - From buildStatement() (utils/statements.js)
+ */
+export const sendMonthlyStatementEmail = async (userEmail, statement) => {
+  const content = `
+    <div class="card">
+      <div class="card-icon">🧾</div>
+      <h1>Your ${escapeHtml(statement.period.label)} Statement</h1>
+      <p>Here is every postcard we mailed for you in ${escapeHtml(statement.period.label)} and every payment on your account.</p>
+      <ul style="color: #4a5568; line-height: 1.8;">
+        <li>Postcards mailed: ${statement.totals.postcardCount}</li>
+        <li>Postcard charges: ${formatPrice(statement.totals.postcardCharges)}</li>
+        <li>Card payments: ${formatPrice(statement.totals.cardPayments)}</li>
+      </ul>
+      <a href="${FRONTEND_URL}/settings/billing" class="cta-button">Download Statement</a>
+    </div>
+    <div style="background: white; padding: 24px; overflow-x: auto;">
+      ${renderStatementHtml(statement)}
+    </div>
+  `;
+
+  return await sendEmail(
+    userEmail,
+    `🧾 Your MovePost Statement - ${statement.period.label}`,
+    getEmailTemplate(content, '#20B2AA')
+  );
+};
+
 export default {
   sendCampaignApprovedEmail,
   sendCampaignRejectedEmail,
@@ -431,6 +499,8 @@ export default {
   sendUserUnblockedEmail,
   sendPaymentFailedEmail,
   sendPaymentRequiresActionEmail,
+  sendRefundIssuedEmail,
   sendAdminNewCampaignEmail,
   sendAdminPaymentIssueEmail,
+  sendMonthlyStatementEmail,
 };
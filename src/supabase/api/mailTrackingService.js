@@ -0,0 +1,177 @@
+import { supabase } from "../integration/client";
+import { centsToDollars } from "../../utils/pricing";
+
+/**
+ * Mail Tracking Service
+ * Delivery status of mailed postcards, kept current by the postgrid-webhook
+ * Edge Function, each postcard's status history (mail_piece_events) and the
+ * refunds or credits for postcards that were cancelled or returned
+ * (mail_piece_adjustments)
+ */
+
+export const MAIL_PIECE_STATUSES = {
+  ready: { label: 'Ready', description: 'Waiting for the print run' },
+  printing: { label: 'Printing', description: 'In production' },
+  processed_for_delivery: { label: 'In the mail', description: 'Handed to USPS' },
+  completed: { label: 'Delivered', description: 'Delivered by USPS' },
+  returned_to_sender: { label: 'Returned', description: 'Returned to sender by USPS' },
+  cancelled: { label: 'Cancelled', description: 'Cancelled before printing' }
+};
+
+export const MAIL_PIECE_ADJUSTMENT_METHODS = {
+  stripe_refund: 'Refunded to card',
+  wallet_refund: 'Refunded to balance',
+  wallet_credit: 'Credited to balance',
+  waived: 'Removed from daily charge'
+};
+
+const MOVER_COLUMNS = 'id, full_name, address_line, city, state, zip_code';
+
+function toMailPiece(mover, piece) {
+  return {
+    moverId: mover?.id || piece.new_mover_id,
+    name: mover?.full_name || 'Resident',
+    address: mover ? `${mover.address_line}, ${mover.city}, ${mover.state} ${mover.zip_code}` : '',
+    postcardId: piece.postgrid_postcard_id,
+    status: piece.postgrid_status || 'ready',
+    statusUpdatedAt: piece.postgrid_status_updated_at,
+    mailedAt: piece.mailed_at || piece.postcard_sent_at
+  };
+}
+
+const mailTrackingService = {
+  /**
+   * Get the postcards a campaign (or blast) has mailed, newest first
+   * @param {Object} campaign - Campaign with id and is_blast
+   * @param {number} limit - Maximum number of postcards (default: 200)
+   * @returns {Promise<Array>} { moverId, name, address, postcardId, status, statusUpdatedAt, mailedAt }
+   */
+  async getCampaignMailPieces(campaign, limit = 200) {
+    if (!campaign.is_blast) {
+      const { data, error } = await supabase
+        .from('newmover')
+        .select(`${MOVER_COLUMNS}, postgrid_postcard_id, postgrid_status, postgrid_status_updated_at, postcard_sent_at`)
+        .eq('campaign_id', campaign.id)
+        .not('postgrid_postcard_id', 'is', null)
+        .order('postcard_sent_at', { ascending: false })
+        .limit(limit);
+
+      if (error) {
+        console.error('[mailTrackingService] Error getting mailed postcards:', error);
+        throw error;
+      }
+
+      return (data || []).map(mover => toMailPiece(mover, mover));
+    }
+
+    const { data: recipients, error } = await supabase
+      .from('blast_recipients')
+      .select('new_mover_id, postgrid_postcard_id, postgrid_status, postgrid_status_updated_at, mailed_at')
+      .eq('campaign_id', campaign.id)
+      .not('postgrid_postcard_id', 'is', null)
+      .order('mailed_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      console.error('[mailTrackingService] Error getting blast recipients:', error);
+      throw error;
+    }
+
+    if (!recipients || recipients.length === 0) return [];
+
+    const { data: movers, error: moversError } = await supabase
+      .from('newmover')
+      .select(MOVER_COLUMNS)
+      .in('id', recipients.map(recipient => recipient.new_mover_id));
+
+    if (moversError) {
+      console.error('[mailTrackingService] Error getting blast movers:', moversError);
+      throw moversError;
+    }
+
+    const moversById = new Map((movers || []).map(mover => [mover.id, mover]));
+    return recipients.map(recipient => toMailPiece(moversById.get(recipient.new_mover_id), recipient));
+  },
+
+  /**
+   * Get a postcard's status history, oldest first
+   * @param {string} postcardId - PostGrid postcard ID
+   * @returns {Promise<Array>} { status, imbStatus, occurredAt }
+   */
+  async getMailPieceEvents(postcardId) {
+    const { data, error } = await supabase
+      .from('mail_piece_events')
+      .select('status, imb_status, occurred_at')
+      .eq('postgrid_postcard_id', postcardId)
+      .order('occurred_at', { ascending: true });
+
+    if (error) {
+      console.error('[mailTrackingService] Error getting mail piece events:', error);
+      throw error;
+    }
+
+    return (data || []).map(event => ({
+      status: event.status,
+      imbStatus: event.imb_status,
+      occurredAt: event.occurred_at
+    }));
+  },
+
+  /**
+   * Get the current user's refunds and credits for cancelled or returned
+   * postcards, newest first
+   * @param {Object} options
+   * @param {number} options.limit - Maximum number of adjustments (default: 20)
+   * @returns {Promise<Array>} Adjustments with amounts in dollars
+   */
+  async getAdjustments({ limit = 20 } = {}) {
+    const { data: { session }, error: sessionError } = await supabase.auth.getSession();
+
+    if (sessionError || !session) {
+      throw new Error('Not authenticated');
+    }
+
+    const { data, error } = await supabase
+      .from('mail_piece_adjustments')
+      .select('id, postgrid_postcard_id, mail_piece_status, action, method, status, amount_cents, error, created_at, campaigns(campaign_name)')
+      .eq('user_id', session.user.id)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      console.error('[mailTrackingService] Error getting adjustments:', error);
+      throw error;
+    }
+
+    return (data || []).map(adjustment => ({
+      id: adjustment.id,
+      postcardId: adjustment.postgrid_postcard_id,
+      campaignName: adjustment.campaigns?.campaign_name || null,
+      mailPieceStatus: adjustment.mail_piece_status,
+      action: adjustment.action,
+      method: adjustment.method,
+      status: adjustment.status,
+      amount: centsToDollars(adjustment.amount_cents),
+      createdAt: adjustment.created_at
+    }));
+  },
+
+  /**
+   * Get what happens to cancelled and returned postcards
+   * @returns {Promise<Object>} Map of mail piece status to 'refund', 'credit' or 'none'
+   */
+  async getAdjustmentPolicies() {
+    const { data, error } = await supabase
+      .from('mail_piece_adjustment_policies')
+      .select('mail_piece_status, action');
+
+    if (error) {
+      console.error('[mailTrackingService] Error getting adjustment policies:', error);
+      throw error;
+    }
+
+    return Object.fromEntries((data || []).map(policy => [policy.mail_piece_status, policy.action]));
+  }
+};
+
+export default mailTrackingService;
@@ -2,9 +2,12 @@
 
 import { supabase } from "../integration/client"
 import { parseMultipleZipCodes, isValidZipCode } from "../../utils/zipCode"
+import pricingService from "./pricingService"
+import { invokeEdgeFunction } from "./edgeFunctions"
 
-const MELISSA_API_URL = 'https://dataretriever.melissadata.net/web/V1/NewMovers/doLookup'
-const MELISSA_CUSTOMER_ID = import.meta.env.VITE_MELISSA_CUSTOMER_ID || 'k1QaFUgJ-EgAmdhd6lEhRF**'
+// Pagination defaults for fetchAndSave (mirrors POLL_PAGE_SIZE in the poller)
+const MELISSA_RECORDS_PER_PAGE = 100
+const DEFAULT_MAX_PAGES_PER_ZIP = 20
 
 /**
  * Helper function to handle Supabase errors
@@ -17,74 +20,21 @@ function handleSupabaseError(error) {
 
 export const newMoverService = {
   /**
-   * Fetch new movers from Melissa API
+   * Fetch one page of new movers for a ZIP code (melissa-lookup Edge Function)
+   * @param {string} zipCode - ZIP code to look up
+   * @param {number} page - 1-based page number
+   * @param {number} pageSize - Page size (max 100)
+   * @returns {Promise<Object>} { movers, page, totalRecords, hasMore }
    */
-  async fetchFromMelissa(zipCodes, page = 1) {
+  async fetchFromMelissa(zipCode, page = 1, pageSize = MELISSA_RECORDS_PER_PAGE) {
     try {
-      const response = await fetch(MELISSA_API_URL, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json'
-        },
-        body: JSON.stringify({
-          customerid: MELISSA_CUSTOMER_ID,
-          includes: {
-            zips: zipCodes.map(zip => ({ zip }))
-          },
-          columns: [
-            'fullname',
-            'melissaaddresskey',
-            'AddressLine',
-            'MoveEffectiveDate',
-            'PhoneNumber',
-            'city',
-            'PreviousAddressLine',
-            'PreviousZIPCode',
-            'state'
-          ],
-          pagination: { page }
-        })
-      })
-
-      if (!response.ok) {
-        throw new Error(`Melissa API error: ${response.statusText}`)
-      }
-
-      const data = await response.json()
-      return data
+      return await invokeEdgeFunction('melissa-lookup', { zipCode, page, pageSize })
     } catch (error) {
       console.error('Error fetching from Melissa API:', error)
       throw error
     }
   },
 
-  /**
-   * Transform Melissa API data to Supabase format
-   * Note: Melissa API returns field names exactly as requested in the 'columns' array
-   */
-  transformMelissaData(melissaResults, searchedZipCode) {
-    return melissaResults.map(mover => {
-      // Log first mover to see actual field names returned by API
-      if (melissaResults.indexOf(mover) === 0) {
-        console.log('📋 Sample Melissa API response fields:', Object.keys(mover));
-      }
-
-      return {
-        melissa_address_key: mover.melissaaddresskey || mover.MelissaAddressKey,
-        full_name: mover.fullname || mover.FullName,
-        address_line: mover.AddressLine,
-        city: mover.city || mover.City,
-        state: mover.state || mover.State,
-        zip_code: searchedZipCode,
-        previous_address_line: mover.PreviousAddressLine || null,
-        previous_zip_code: mover.PreviousZIPCode || null,
-        phone_number: mover.PhoneNumber || null,
-        move_effective_date: mover.MoveEffectiveDate ? new Date(mover.MoveEffectiveDate).toISOString() : null,
-      };
-    });
-  },
-
   /**
    * Save new movers to Supabase
    */
@@ -136,11 +86,13 @@ export const newMoverService = {
   /**
    * Fetch from Melissa API and save to Supabase in one operation
    * Now supports ZIP code ranges and multiple formats
+   * Walks every result page per ZIP until exhausted or maxPagesPerZip is hit
    * @param {Array|string} zipCodes - Array of ZIP codes or string with ranges (e.g., "10001-10005, 10010")
-   * @param {number} page - Page number for pagination
-   * @returns {Promise<Object>} Result with saved data and count
+   * @param {Object} options - Pagination options
+   * @param {number} options.maxPagesPerZip - Page cap per ZIP (default: 20)
+   * @returns {Promise<Object>} Result with saved data, count and per-ZIP page counts
    */
-  async fetchAndSave(zipCodes, page = 1) {
+  async fetchAndSave(zipCodes, { maxPagesPerZip = DEFAULT_MAX_PAGES_PER_ZIP } = {}) {
     try {
       // Parse and validate ZIP codes (supports ranges)
       let processedZipCodes = [];
@@ -177,10 +129,33 @@ export const newMoverService = {
 
       console.log(`Processing ${processedZipCodes.length} ZIP codes:`, processedZipCodes);
 
-      // Fetch from Melissa API
-      const melissaData = await this.fetchFromMelissa(processedZipCodes, page)
+      // Fetch every page for each ZIP so busy ZIPs don't lose movers past page 1
+      const allTransformedData = []
+      const pagesByZip = {}
+      const truncatedZips = []
 
-      if (!melissaData.Results || melissaData.Results.length === 0) {
+      for (const zipCode of processedZipCodes) {
+        let page = 1
+        let hasMore = true
+
+        while (hasMore && page <= maxPagesPerZip) {
+          const result = await this.fetchFromMelissa(zipCode, page)
+          const movers = result.movers || []
+
+          allTransformedData.push(...movers)
+
+          hasMore = movers.length > 0 && result.hasMore
+          pagesByZip[zipCode] = page
+          page++
+        }
+
+        if (hasMore) {
+          console.warn(`ZIP ${zipCode} has more than ${maxPagesPerZip} pages of movers; stopped at the page cap`);
+          truncatedZips.push(zipCode);
+        }
+      }
+
+      if (allTransformedData.length === 0) {
         return {
           success: true,
           message: 'No new movers found for the specified zip codes',
@@ -188,17 +163,12 @@ export const newMoverService = {
           count: 0,
           zipCodes: processedZipCodes,
           zipCodeCount: processedZipCodes.length,
+          pagesByZip,
+          truncatedZips,
           data: []
         }
       }
 
-      // Transform data for each zip code
-      const allTransformedData = []
-      processedZipCodes.forEach(zipCode => {
-        const transformed = this.transformMelissaData(melissaData.Results, zipCode)
-        allTransformedData.push(...transformed)
-      })
-
       // Log sample transformed record for debugging
       if (allTransformedData.length > 0) {
         console.log('📋 Sample transformed record:', allTransformedData[0]);
@@ -217,6 +187,8 @@ export const newMoverService = {
           count: 0,
           zipCodes: processedZipCodes,
           zipCodeCount: processedZipCodes.length,
+          pagesByZip,
+          truncatedZips,
           data: []
         };
       }
@@ -230,6 +202,8 @@ export const newMoverService = {
         count: savedData.length,
         zipCodes: processedZipCodes,
         zipCodeCount: processedZipCodes.length,
+        pagesByZip,
+        truncatedZips,
         data: savedData
       }
     } catch (error) {
@@ -382,6 +356,47 @@ export const newMoverService = {
     }
   },
 
+  /**
+   * Get a few new movers to preview merge fields with
+   * Uses the campaign's own movers, falling back to the most recent movers
+   * @param {string} campaignId - Campaign ID (optional)
+   * @param {number} limit - Maximum number of records to return
+   * @returns {Promise<Object>} New movers data
+   */
+  async getSampleMovers(campaignId, limit = 5) {
+    try {
+      const columns = 'id, full_name, address_line, city, state, zip_code, move_effective_date'
+
+      if (campaignId) {
+        const { data, error } = await supabase
+          .from('newmover')
+          .select(columns)
+          .eq('campaign_id', campaignId)
+          .order('move_effective_date', { ascending: false })
+          .limit(limit)
+
+        handleSupabaseError(error)
+
+        if (data && data.length > 0) {
+          return { success: true, data }
+        }
+      }
+
+      const { data, error } = await supabase
+        .from('newmover')
+        .select(columns)
+        .order('move_effective_date', { ascending: false })
+        .limit(limit)
+
+      handleSupabaseError(error)
+
+      return { success: true, data: data || [] }
+    } catch (error) {
+      console.error('Error getting sample new movers:', error)
+      throw error
+    }
+  },
+
   /**
    * Update a new mover record
    */
@@ -445,9 +460,10 @@ export const newMoverService = {
    * Validate ZIP codes using cache-first approach with Melissa API
    * Checks validated_zipcodes cache first, then calls Melissa API if needed
    * @param {Array|String} zipCodes - Array of ZIP codes or comma-separated string
+   * @param {Object} pricingOptions - { postcardSize, mailClass } to quote flatRate for
    * @returns {Promise<Object>} Validation results with status per ZIP
    */
-  async validateZipCodes(zipCodes) {
+  async validateZipCodes(zipCodes, pricingOptions = {}) {
     try {
       // Parse and validate ZIP codes if string input
       let processedZipCodes = [];
@@ -544,6 +560,7 @@ export const newMoverService = {
       const invalidZips = validationResults.filter(r => !r.isValid);
       const zipsWithData = validationResults.filter(r => r.hasData);
       const zipsWithoutData = validationResults.filter(r => !r.hasData);
+      const flatRate = await pricingService.getUnitPrice(pricingOptions);
 
       return {
         success: true,
@@ -554,7 +571,7 @@ export const newMoverService = {
         zipsWithoutData: zipsWithoutData.length,
         allValid: invalidZips.length === 0,
         results: validationResults,
-        flatRate: 3.00 // Current flat rate per postcard
+        flatRate // Current user's price per postcard (server-side pricing)
       };
     } catch (error) {
       console.error('Error validating ZIP codes:', error);
@@ -589,33 +606,10 @@ export const newMoverService = {
 
       console.log(`Checking Melissa API for new movers in ${zipCode}...`);
 
-      // Call Melissa New Movers API to check if data exists
-      const response = await fetch(MELISSA_API_URL, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json'
-        },
-        body: JSON.stringify({
-          customerid: MELISSA_CUSTOMER_ID,
-          includes: {
-            zips: [{ zip: zipCode }]
-          },
-          columns: ['melissaaddresskey'], // Minimal column to check existence
-          pagination: {
-            page: 1,
-            recordsPerPage: 1 // Just need to know if data exists
-          }
-        })
-      });
-
-      if (!response.ok) {
-        throw new Error(`Melissa API error: ${response.statusText}`);
-      }
-
-      const data = await response.json();
-      const hasData = data.Results && data.Results.length > 0;
-      const dataCount = data.TotalRecords || 0;
+      // Just need to know if data exists
+      const result = await this.fetchFromMelissa(zipCode, 1, 1);
+      const hasData = result.movers.length > 0;
+      const dataCount = result.totalRecords || 0;
 
       if (hasData) {
         console.log(`✓ ${zipCode} has ${dataCount} new movers`);
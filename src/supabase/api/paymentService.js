@@ -1,8 +1,5 @@
 import { supabase } from "../integration/client";
 import { dollarsToCents } from "../../utils/pricing";
-import Stripe from "stripe";
-
-const stripekey = new Stripe(import.meta.env.VITE_STRIPE_SECRET_KEY);
 
 export const paymentService = {
   /**
@@ -239,10 +236,10 @@ export const paymentService = {
    * @deprecated Use chargeCampaign() instead
    */
   async chargeForCampaign(postcardCount, campaignData = {}) {
-    const { calculatePostcardCost } = await import('../../utils/pricing');
+    const { default: pricingService } = await import('./pricingService');
 
-    const pricing = calculatePostcardCost(postcardCount);
-    const amountCents = Math.round(pricing.total * 100);
+    const { quote } = await pricingService.getQuote(postcardCount, pricingService.campaignQuoteOptions(campaignData));
+    const amountCents = quote.totalCents;
 
     const metadata = {
       billing_reason: 'campaign_launch',
@@ -493,21 +490,8 @@ export const paymentService = {
         return { success: false, error: 'Payment method setup failed' };
       }
 
-      const paymentMethod = await stripekey.paymentMethods.retrieve(
-        setupIntent.payment_method 
-      );
-
-      // Add payment method details to setupIntent object for addPaymentMethod
-      setupIntent.payment_method_details = {
-        card: {
-          brand: paymentMethod?.card?.brand ,
-          last4: paymentMethod?.card?.last4,
-          exp_month: paymentMethod?.card?.exp_month,
-          exp_year: paymentMethod?.card?.exp_year,
-        }
-      };
-      // Add the payment method to database
-      await this.addPaymentMethod(setupIntent);
+      // Card details are read and saved server-side (needs the Stripe secret key)
+      await this.confirmSetupIntent(setupIntent.id);
 
       return { success: true };
     } catch (error) {
@@ -586,6 +570,76 @@ export const paymentService = {
     }
   },
 
+  /**
+   * Get how new mover postcards are billed for the current user
+   * @returns {Promise<string>} 'immediate' (per postcard) or 'daily' (one charge per day)
+   */
+  async getBillingMode() {
+    const { data: { session }, error: sessionError } = await supabase.auth.getSession();
+
+    if (sessionError || !session) {
+      throw new Error('Not authenticated');
+    }
+
+    const { data: customer, error } = await supabase
+      .from('customers')
+      .select('billing_mode')
+      .eq('user_id', session.user.id)
+      .maybeSingle();
+
+    if (error) {
+      console.error('[paymentService] Error getting billing mode:', error);
+      throw error;
+    }
+
+    return customer?.billing_mode || 'immediate';
+  },
+
+  /**
+   * Choose between immediate (per postcard) and daily batch billing
+   * @param {string} billingMode - 'immediate' or 'daily'
+   */
+  async setBillingMode(billingMode) {
+    const { data: { session }, error: sessionError } = await supabase.auth.getSession();
+
+    if (sessionError || !session) {
+      return { success: false, error: 'Not authenticated' };
+    }
+
+    try {
+      const { error } = await supabase.rpc('set_billing_mode', {
+        p_billing_mode: billingMode
+      });
+
+      if (error) {
+        console.error('[paymentService] Error setting billing mode:', error);
+        return { success: false, error: error.message };
+      }
+
+      try {
+        await supabase.from('admin_activity_logs').insert({
+          admin_id: null,
+          user_id: session.user.id,
+          action_type: 'billing_mode_changed',
+          target_type: 'user',
+          target_id: session.user.id,
+          metadata: {
+            billing_mode: billingMode,
+            timestamp: new Date().toISOString(),
+          },
+        });
+      } catch (logError) {
+        console.error('[paymentService] Failed to create activity log:', logError.message);
+        // Don't fail the operation if logging fails
+      }
+
+      return { success: true, billingMode };
+    } catch (error) {
+      console.error('[paymentService] Error setting billing mode:', error);
+      return { success: false, error: error.message || 'Failed to update billing mode' };
+    }
+  },
+
   /**
    * Set a payment method as default
    * @param {string} paymentMethodId - Payment method ID
@@ -624,11 +678,14 @@ export const paymentService = {
         .update({ is_default: false })
         .eq('customer_id', customer.id);
 
-      // Set the selected payment method as default
+      // Set the selected payment method as default; choosing a card again
+      // lets new-mover postcards try it even if it was declined recently
       const { error } = await supabase
         .from('payment_methods')
         .update({
           is_default: true,
+          last_failed_at: null,
+          last_failure_reason: null,
           updated_at: new Date().toISOString()
         })
         .eq('id', paymentMethodId)
@@ -0,0 +1,123 @@
+import { supabase } from "../integration/client";
+import { PRICING, centsToDollars } from "../../utils/pricing";
+import { DEFAULT_MAIL_CLASS } from "../../utils/postcardOptions";
+
+export const DEFAULT_POSTCARD_SIZE = '6x4';
+
+/**
+ * Pricing Service
+ * Fetches postcard prices from the server-side pricing model
+ * (quote_postcard_price() - the same function the edge functions use)
+ */
+const pricingService = {
+  /**
+   * Get a price quote for postcards
+   * Applies the user's plan or price override, the mail class adjustment and
+   * the volume discount tier for their cumulative postcards mailed this
+   * calendar month (UTC)
+   * @param {number} quantity - Number of postcards being priced (default: 1)
+   * @param {Object} options
+   * @param {string} options.userId - User to price for (default: current user; admins may pass any user)
+   * @param {string} options.postcardSize - Postcard size (default: 6x4)
+   * @param {string} options.mailClass - Mail class (default: first_class)
+   * @returns {Promise<Object>} Quote with prices in dollars
+   */
+  async getQuote(quantity = 1, { userId, postcardSize = DEFAULT_POSTCARD_SIZE, mailClass = DEFAULT_MAIL_CLASS } = {}) {
+    try {
+      let quoteUserId = userId;
+
+      if (!quoteUserId) {
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+        if (userError || !user) {
+          throw new Error('User not authenticated');
+        }
+
+        quoteUserId = user.id;
+      }
+
+      const { data, error } = await supabase.rpc('quote_postcard_price', {
+        p_user_id: quoteUserId,
+        p_quantity: quantity,
+        p_postcard_size: postcardSize,
+        p_mail_class: mailClass
+      });
+
+      if (error) throw error;
+
+      return {
+        success: true,
+        quote: {
+          planId: data.plan_id,
+          postcardSize: data.postcard_size,
+          mailClass: data.mail_class,
+          priceSource: data.price_source,
+          sizePrice: centsToDollars(data.size_price_cents),
+          mailClassAdjustment: centsToDollars(data.mail_class_adjustment_cents),
+          basePrice: centsToDollars(data.base_price_cents),
+          monthlyVolume: data.monthly_volume,
+          discountPercent: Number(data.discount_percent),
+          unitPrice: centsToDollars(data.unit_price_cents),
+          unitPriceCents: data.unit_price_cents,
+          quantity: data.quantity,
+          total: centsToDollars(data.total_cents),
+          totalCents: data.total_cents
+        }
+      };
+    } catch (error) {
+      console.error('Error fetching price quote:', error);
+      throw {
+        error: error.message || 'Failed to fetch price quote',
+        statusCode: error.statusCode || 400
+      };
+    }
+  },
+
+  /**
+   * Quote options for a campaign's own size and mail class
+   * @param {Object} campaign - Campaign with postcard_size and mail_class
+   * @returns {Object} { postcardSize, mailClass } for getQuote
+   */
+  campaignQuoteOptions(campaign) {
+    return {
+      postcardSize: campaign?.postcard_size || DEFAULT_POSTCARD_SIZE,
+      mailClass: campaign?.mail_class || DEFAULT_MAIL_CLASS
+    };
+  },
+
+  /**
+   * Per-postcard price for display, falling back to the default plan price
+   * when no quote can be fetched (e.g. signed out)
+   * @param {Object} options - Same options as getQuote
+   * @returns {Promise<number>} Price per postcard in dollars
+   */
+  async getUnitPrice(options = {}) {
+    try {
+      const { quote } = await this.getQuote(1, options);
+      return quote.unitPrice;
+    } catch {
+      return PRICING.PRICE_PER_POSTCARD;
+    }
+  },
+
+  /**
+   * Per-postcard price a campaign's owner pays: a quote for the owner at the
+   * campaign's size and mail class, else the price stored on the campaign
+   * @param {Object} campaign - Campaign with user_id, postcard_size, mail_class, price_per_postcard
+   * @returns {Promise<number|null>} Price per postcard in dollars, null if unknown
+   */
+  async getCampaignUnitPrice(campaign) {
+    try {
+      const { quote } = await this.getQuote(1, {
+        userId: campaign.user_id,
+        ...this.campaignQuoteOptions(campaign)
+      });
+      return quote.unitPrice;
+    } catch {
+      const stored = parseFloat(campaign.price_per_postcard);
+      return Number.isFinite(stored) ? stored : null;
+    }
+  }
+};
+
+export default pricingService;
@@ -42,6 +42,7 @@ export const getUserProfile = async () => {
         language: data.language || 'en',
         notifications: data.email_notifications !== false,
         twoFactorEnabled: data.two_factor_enabled || false,
+        householdMailWindowDays: data.household_mail_window_days ?? null,
         lastLogin: data.last_sign_in_at,
         createdAt: data.created_at
       }
@@ -74,6 +75,7 @@ export const updateUserProfile = async (updates) => {
       timezone: updates.timezone,
       language: updates.language,
       email_notifications: updates.notifications,
+      household_mail_window_days: updates.householdMailWindowDays,
       updated_at: new Date().toISOString()
     };
 
@@ -110,6 +112,7 @@ export const updateUserProfile = async (updates) => {
         language: data.language || 'en',
         notifications: data.email_notifications !== false,
         twoFactorEnabled: data.two_factor_enabled || false,
+        householdMailWindowDays: data.household_mail_window_days ?? null,
         lastLogin: data.last_sign_in_at,
         createdAt: data.created_at
       }
@@ -0,0 +1,207 @@
+import { supabase } from "../integration/client";
+import companyService from "./companyService";
+import { normalizeAddress, parseAddress, validateAddress } from "../../utils/addressFormatter";
+
+/**
+ * Sender Profile Service
+ * Named return addresses printed as the `from` block of every postcard.
+ * A campaign mails from its sender_profile_id, or from the user's default
+ * profile when it has none.
+ */
+
+const PROFILE_COLUMNS = 'id, name, company_name, contact_name, address_line1, address_line2, city, state, zip_code, country_code, is_default, created_at';
+
+function fromRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    companyName: row.company_name,
+    contactName: row.contact_name || '',
+    addressLine1: row.address_line1,
+    addressLine2: row.address_line2 || '',
+    city: row.city,
+    state: row.state,
+    zipCode: row.zip_code,
+    countryCode: row.country_code,
+    isDefault: row.is_default,
+    createdAt: row.created_at
+  };
+}
+
+async function getUserId() {
+  const { data: { session }, error: sessionError } = await supabase.auth.getSession();
+
+  if (sessionError || !session) {
+    throw new Error('Not authenticated');
+  }
+
+  return session.user.id;
+}
+
+const senderProfileService = {
+  /**
+   * Get the current user's sender profiles, default first
+   * @returns {Promise<Array>} Profiles
+   */
+  async getSenderProfiles() {
+    const userId = await getUserId();
+
+    const { data, error } = await supabase
+      .from('sender_profiles')
+      .select(PROFILE_COLUMNS)
+      .eq('user_id', userId)
+      .order('is_default', { ascending: false })
+      .order('name', { ascending: true });
+
+    if (error) {
+      console.error('[senderProfileService] Error getting sender profiles:', error);
+      throw error;
+    }
+
+    return (data || []).map(fromRow);
+  },
+
+  /**
+   * A new, unsaved profile filled in from the company info
+   * @returns {Promise<Object>} Draft profile (address fields may be empty)
+   */
+  async getDraftFromCompany() {
+    const company = await companyService.getCompanyInfo();
+    const address = parseAddress(company?.location || company?.street_address);
+    const parsed = address && typeof address === 'object' ? address : {};
+
+    return {
+      name: 'Main address',
+      companyName: company?.name || '',
+      contactName: '',
+      addressLine1: parsed.street || parsed.streetAddress || (typeof address === 'string' ? address : ''),
+      addressLine2: '',
+      city: parsed.city || '',
+      state: parsed.state || parsed.province || '',
+      zipCode: parsed.postalCode || parsed.zipCode || parsed.zip || '',
+      isDefault: false
+    };
+  },
+
+  /**
+   * Normalize, validate and save a profile (insert without id, update with one)
+   * The user's first profile becomes their default.
+   * @param {Object} profile - Profile fields (camelCase, as returned by getSenderProfiles)
+   * @returns {Promise<Object>} Saved profile
+   * @throws {Error} With fieldErrors ({ field: message }) when the address is invalid
+   */
+  async saveSenderProfile(profile) {
+    const userId = await getUserId();
+    const address = normalizeAddress(profile);
+    const fieldErrors = validateAddress(address);
+
+    if (!profile.name?.trim()) {
+      fieldErrors.name = 'Profile name is required';
+    }
+
+    if (!profile.companyName?.trim()) {
+      fieldErrors.companyName = 'Company name is required';
+    }
+
+    if (Object.keys(fieldErrors).length > 0) {
+      const error = new Error('Please fix the highlighted fields');
+      error.fieldErrors = fieldErrors;
+      throw error;
+    }
+
+    const record = {
+      name: profile.name.trim(),
+      company_name: profile.companyName.trim(),
+      contact_name: profile.contactName?.trim() || null,
+      address_line1: address.addressLine1,
+      address_line2: address.addressLine2 || null,
+      city: address.city,
+      state: address.state,
+      zip_code: address.zipCode,
+      country_code: address.countryCode,
+      updated_at: new Date().toISOString()
+    };
+
+    const query = profile.id
+      ? supabase.from('sender_profiles').update(record).eq('id', profile.id)
+      : supabase.from('sender_profiles').insert([{ ...record, user_id: userId }]);
+
+    const { data, error } = await query.select(PROFILE_COLUMNS).single();
+
+    if (error) {
+      console.error('[senderProfileService] Error saving sender profile:', error);
+      throw error;
+    }
+
+    const { count } = await supabase
+      .from('sender_profiles')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId)
+      .eq('is_default', true);
+
+    if (count === 0) {
+      await this.setDefaultSenderProfile(data.id);
+      data.is_default = true;
+    }
+
+    return fromRow(data);
+  },
+
+  /**
+   * Make a profile the user's default return address
+   * @param {string} profileId - Sender profile ID
+   */
+  async setDefaultSenderProfile(profileId) {
+    const { error } = await supabase.rpc('set_default_sender_profile', {
+      p_profile_id: profileId
+    });
+
+    if (error) {
+      console.error('[senderProfileService] Error setting default sender profile:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a profile. Campaigns using it fall back to the default profile;
+   * deleting the default makes the next remaining profile the default.
+   * @param {string} profileId - Sender profile ID
+   */
+  async deleteSenderProfile(profileId) {
+    const { error } = await supabase
+      .from('sender_profiles')
+      .delete()
+      .eq('id', profileId);
+
+    if (error) {
+      console.error('[senderProfileService] Error deleting sender profile:', error);
+      throw error;
+    }
+
+    const remaining = await this.getSenderProfiles();
+
+    if (remaining.length > 0 && !remaining.some(profile => profile.isDefault)) {
+      await this.setDefaultSenderProfile(remaining[0].id);
+    }
+  },
+
+  /**
+   * PostGrid contact for a profile (the postcard's `from` block)
+   * @param {Object} profile - From getSenderProfiles()
+   * @returns {Object} PostGrid contact
+   */
+  toPostgridContact(profile) {
+    return {
+      companyName: profile.companyName,
+      ...(profile.contactName && { firstName: profile.contactName }),
+      addressLine1: profile.addressLine1,
+      ...(profile.addressLine2 && { addressLine2: profile.addressLine2 }),
+      city: profile.city,
+      provinceOrState: profile.state,
+      postalOrZip: profile.zipCode,
+      countryCode: profile.countryCode || 'US'
+    };
+  }
+};
+
+export default senderProfileService;
@@ -0,0 +1,326 @@
+import { supabase } from "../integration/client";
+import { adminTransactionService } from "./adminService";
+import { sendMonthlyStatementEmail } from "./emailService";
+import {
+  buildStatement,
+  getStatementPeriod,
+  renderStatementDocument
+} from "../../utils/statements";
+
+/**
+ * Trigger a browser download of an HTML document
+ */
+const downloadHtml = (html, filename) => {
+  const blob = new Blob([html], { type: 'text/html' });
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  window.URL.revokeObjectURL(url);
+};
+
+/**
+ * Statement Service
+ * Per-user monthly statements built from transactions, mailed movers and their
+ * pending_charges rows (see utils/statements.js for the layout)
+ */
+const statementService = {
+  /**
+   * Build one user's statement for a month
+   * @param {string} month - Month as YYYY-MM (UTC)
+   * @param {Object} options
+   * @param {string} options.userId - User (default: current user; admins may pass any user)
+   * @returns {Promise<Object>} Statement from buildStatement()
+   */
+  async getStatement(month, { userId } = {}) {
+    const period = getStatementPeriod(month);
+
+    let statementUserId = userId;
+
+    if (!statementUserId) {
+      const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+      if (userError || !user) {
+        throw new Error('User not authenticated');
+      }
+
+      statementUserId = user.id;
+    }
+
+    const { data: profile } = await supabase
+      .from('profile')
+      .select('email, full_name')
+      .eq('user_id', statementUserId)
+      .maybeSingle();
+
+    const { data: transactions, error: txError } = await supabase
+      .from('transactions')
+      .select('*, campaigns!left(campaign_name)')
+      .eq('user_id', statementUserId)
+      .gte('created_at', period.start)
+      .lt('created_at', period.end)
+      .order('created_at', { ascending: true });
+
+    if (txError) throw txError;
+
+    const { data: campaigns, error: campaignsError } = await supabase
+      .from('campaigns')
+      .select('id, campaign_name, is_blast')
+      .eq('user_id', statementUserId);
+
+    if (campaignsError) throw campaignsError;
+
+    let postcards = [];
+
+    if (campaigns && campaigns.length > 0) {
+      const campaignNames = Object.fromEntries(campaigns.map(c => [c.id, c.campaign_name]));
+
+      const { data: movers, error: moversError } = await supabase
+        .from('newmover')
+        .select('id, campaign_id, city, state, zip_code, postgrid_postcard_id, postcard_sent_at, transaction_id')
+        .in('campaign_id', campaigns.map(c => c.id))
+        .eq('postcard_sent', true)
+        .gte('postcard_sent_at', period.start)
+        .lt('postcard_sent_at', period.end)
+        .order('postcard_sent_at', { ascending: true });
+
+      if (moversError) throw moversError;
+
+      postcards = (movers || []).map(mover => ({
+        ...mover,
+        campaign_name: campaignNames[mover.campaign_id]
+      }));
+
+      const blastIds = campaigns.filter(c => c.is_blast).map(c => c.id);
+
+      if (blastIds.length > 0) {
+        postcards.push(...await this.getBlastPostcards(blastIds, campaignNames, period));
+        postcards.sort((a, b) => a.postcard_sent_at.localeCompare(b.postcard_sent_at));
+      }
+    }
+
+    // The poller records one pending_charges row per mailed postcard, on the day it is mailed
+    const { data: charges, error: chargesError } = await supabase
+      .from('pending_charges')
+      .select('amount_cents, processed, failed_at, stripe_payment_intent_id, metadata')
+      .eq('user_id', statementUserId)
+      .gte('scheduled_for', period.start.split('T')[0])
+      .lt('scheduled_for', period.end.split('T')[0]);
+
+    if (chargesError) throw chargesError;
+
+    return buildStatement({
+      customer: {
+        userId: statementUserId,
+        name: profile?.full_name || '',
+        email: profile?.email || ''
+      },
+      period,
+      transactions: transactions || [],
+      postcards,
+      charges: charges || []
+    });
+  },
+
+  /**
+   * Postcards mailed by blasts in a period, shaped like newmover rows
+   * A blast tracks its sends in blast_recipients and is paid by one transaction.
+   * @param {Array} blastIds - The user's blast campaign IDs
+   * @param {Object} campaignNames - Campaign name by ID
+   * @param {Object} period - From getStatementPeriod()
+   * @returns {Promise<Array>} Postcard rows with blast: true
+   */
+  async getBlastPostcards(blastIds, campaignNames, period) {
+    const { data: recipients, error: recipientsError } = await supabase
+      .from('blast_recipients')
+      .select('campaign_id, new_mover_id, postgrid_postcard_id, mailed_at')
+      .in('campaign_id', blastIds)
+      .eq('state', 'mailed')
+      .gte('mailed_at', period.start)
+      .lt('mailed_at', period.end);
+
+    if (recipientsError) throw recipientsError;
+    if (!recipients || recipients.length === 0) return [];
+
+    const { data: movers, error: moversError } = await supabase
+      .from('newmover')
+      .select('id, city, state, zip_code')
+      .in('id', [...new Set(recipients.map(r => r.new_mover_id))]);
+
+    if (moversError) throw moversError;
+
+    const { data: blastTransactions, error: txError } = await supabase
+      .from('transactions')
+      .select('id, campaign_id, status, billing_reason, amount_cents, new_mover_count')
+      .in('campaign_id', blastIds)
+      .in('billing_reason', ['blast_send', 'wallet_debit']);
+
+    if (txError) throw txError;
+
+    const moversById = Object.fromEntries((movers || []).map(m => [m.id, m]));
+    const transactionsByBlast = Object.fromEntries((blastTransactions || []).map(t => [t.campaign_id, t]));
+
+    return recipients.map(recipient => ({
+      ...moversById[recipient.new_mover_id],
+      id: `${recipient.campaign_id}:${recipient.new_mover_id}`,
+      campaign_id: recipient.campaign_id,
+      campaign_name: campaignNames[recipient.campaign_id],
+      postgrid_postcard_id: recipient.postgrid_postcard_id,
+      postcard_sent_at: recipient.mailed_at,
+      blast: true,
+      blast_transaction: transactionsByBlast[recipient.campaign_id] || null
+    }));
+  },
+
+  /**
+   * Download a statement as an HTML file (printable to PDF from the browser)
+   * @param {string} month - Month as YYYY-MM
+   * @param {Object} options - Same options as getStatement
+   */
+  async downloadStatement(month, options = {}) {
+    try {
+      const statement = await this.getStatement(month, options);
+      downloadHtml(renderStatementDocument([statement]), `movepost_statement_${month}.html`);
+      return { success: true, statement };
+    } catch (error) {
+      console.error('[statementService] Error downloading statement:', error);
+      return { success: false, error: error.message || 'Failed to generate statement' };
+    }
+  },
+
+  /**
+   * Email a statement to the user's profile email
+   * @param {string} month - Month as YYYY-MM
+   * @param {Object} options - Same options as getStatement
+   */
+  async emailStatement(month, options = {}) {
+    try {
+      const statement = await this.getStatement(month, options);
+
+      if (!statement.customer.email) {
+        throw new Error('No email address on file');
+      }
+
+      const result = await sendMonthlyStatementEmail(statement.customer.email, statement);
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      return { success: true, email: statement.customer.email };
+    } catch (error) {
+      console.error('[statementService] Error emailing statement:', error);
+      return { success: false, error: error.message || 'Failed to email statement' };
+    }
+  },
+
+  /**
+   * Admin: build statements for every user billed in a month
+   * @param {string} month - Month as YYYY-MM
+   * @param {Object} options
+   * @param {boolean} options.send - Email each statement to its user (default: false)
+   * @param {boolean} options.download - Download all statements as one HTML file (default: false)
+   * @param {boolean} options.isTestMode - Only users with test (true) or live (false) transactions
+   * @returns {Promise<Object>} { success, generated, sent, failed[] }
+   */
+  async generateStatements(month, { send = false, download = false, isTestMode } = {}) {
+    try {
+      const period = getStatementPeriod(month);
+
+      const { transactions } = await adminTransactionService.getTransactions({
+        dateFrom: period.start,
+        dateTo: period.end,
+        isTestMode,
+        limit: 10000,
+        offset: 0
+      });
+
+      // Users on daily billing may have postcards mailed this month but billed next month
+      let chargesQuery = supabase
+        .from('pending_charges')
+        .select('user_id')
+        .gte('scheduled_for', period.start.split('T')[0])
+        .lt('scheduled_for', period.end.split('T')[0]);
+
+      if (isTestMode !== undefined) {
+        chargesQuery = chargesQuery.eq('is_test_mode', isTestMode);
+      }
+
+      const { data: charges, error: chargesError } = await chargesQuery;
+
+      if (chargesError) throw chargesError;
+
+      const userIds = [...new Set([
+        ...transactions
+          // getTransactions' dateTo is inclusive
+          .filter(t => t.created_at < period.end)
+          .map(t => t.user_id),
+        ...(charges || []).map(c => c.user_id)
+      ].filter(Boolean))];
+
+      const statements = [];
+      const failed = [];
+      let sent = 0;
+
+      for (const userId of userIds) {
+        try {
+          const statement = await this.getStatement(month, { userId });
+          statements.push(statement);
+
+          if (send) {
+            if (!statement.customer.email) {
+              throw new Error('No email address on file');
+            }
+
+            const result = await sendMonthlyStatementEmail(statement.customer.email, statement);
+
+            if (!result.success) {
+              throw new Error(result.error);
+            }
+
+            sent++;
+          }
+        } catch (error) {
+          console.error(`[statementService] Statement failed for user ${userId}:`, error);
+          failed.push({ userId, error: error.message });
+        }
+      }
+
+      if (download && statements.length > 0) {
+        downloadHtml(renderStatementDocument(statements), `movepost_statements_${month}.html`);
+      }
+
+      try {
+        const { data: { user } } = await supabase.auth.getUser();
+
+        await supabase.from('admin_activity_logs').insert({
+          admin_id: user?.id || null,
+          user_id: null,
+          action_type: 'statements_generated',
+          target_type: 'system',
+          target_id: null,
+          metadata: {
+            month,
+            generated: statements.length,
+            sent,
+            failed: failed.length > 0 ? failed : undefined,
+            timestamp: new Date().toISOString(),
+          },
+        });
+      } catch (logError) {
+        console.error('[statementService] Failed to create activity log:', logError.message);
+        // Don't fail the operation if logging fails
+      }
+
+      return { success: true, generated: statements.length, sent, failed };
+    } catch (error) {
+      console.error('[statementService] Error generating statements:', error);
+      return { success: false, error: error.message || 'Failed to generate statements' };
+    }
+  }
+};
+
+export default statementService;
@@ -0,0 +1,85 @@
+import { supabase } from "../integration/client";
+
+/**
+ * Suppression Service
+ * The current user's do-not-mail list. Movers matching an entry here (or on
+ * the global list admins manage) are never mailed or charged.
+ */
+
+export const SUPPRESSION_COLUMNS = 'id, user_id, match_type, match_value, address_line, zip_code, melissa_address_key, reason, note, created_at';
+
+async function getUserId() {
+  const { data: { session }, error: sessionError } = await supabase.auth.getSession();
+
+  if (sessionError || !session) {
+    throw new Error('Not authenticated');
+  }
+
+  return session.user.id;
+}
+
+const suppressionService = {
+  /**
+   * Get the current user's suppression entries, newest first
+   * @returns {Promise<Array>} Entries
+   */
+  async getSuppressions() {
+    const userId = await getUserId();
+
+    const { data, error } = await supabase
+      .from('suppression_entries')
+      .select(SUPPRESSION_COLUMNS)
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('[suppressionService] Error getting suppressions:', error);
+      throw error;
+    }
+
+    return data || [];
+  },
+
+  /**
+   * Add entries to the current user's list. Entries already on the list are
+   * skipped.
+   * @param {Array} entries - From toSuppressionEntry() / parseSuppressionCsv()
+   * @returns {Promise<number>} Number of entries added
+   */
+  async addSuppressions(entries) {
+    const userId = await getUserId();
+
+    const { data, error } = await supabase
+      .from('suppression_entries')
+      .upsert(
+        entries.map(entry => ({ ...entry, user_id: userId, created_by: userId })),
+        { onConflict: 'user_id,match_type,match_value', ignoreDuplicates: true }
+      )
+      .select('id');
+
+    if (error) {
+      console.error('[suppressionService] Error adding suppressions:', error);
+      throw error;
+    }
+
+    return data?.length || 0;
+  },
+
+  /**
+   * Remove an entry from the current user's list
+   * @param {string} entryId - Suppression entry ID
+   */
+  async deleteSuppression(entryId) {
+    const { error } = await supabase
+      .from('suppression_entries')
+      .delete()
+      .eq('id', entryId);
+
+    if (error) {
+      console.error('[suppressionService] Error deleting suppression:', error);
+      throw error;
+    }
+  }
+};
+
+export default suppressionService;
@@ -0,0 +1,179 @@
+import { supabase } from "../integration/client";
+import { centsToDollars } from "../../utils/pricing";
+
+/**
+ * Wallet Service
+ * Prepaid postcard balance: top-ups are charged to the default card through
+ * the create-payment-intent Edge Function, and the new mover poller pays for
+ * each postcard from the balance (see wallet_ledger for every change)
+ */
+const walletService = {
+  /**
+   * Get the current user's wallet
+   * @returns {Promise<Object>} { exists, balance, balanceCents, cardFallback }
+   * exists is false until the first top-up; until then postcards are charged to the card
+   */
+  async getWallet() {
+    const { data: { session }, error: sessionError } = await supabase.auth.getSession();
+
+    if (sessionError || !session) {
+      throw new Error('Not authenticated');
+    }
+
+    const { data: wallet, error } = await supabase
+      .from('wallets')
+      .select('balance_cents, card_fallback')
+      .eq('user_id', session.user.id)
+      .maybeSingle();
+
+    if (error) {
+      console.error('[walletService] Error getting wallet:', error);
+      throw error;
+    }
+
+    return {
+      exists: !!wallet,
+      balance: centsToDollars(wallet?.balance_cents || 0),
+      balanceCents: wallet?.balance_cents || 0,
+      cardFallback: wallet?.card_fallback || false
+    };
+  },
+
+  /**
+   * Get the current user's balance history, newest first
+   * @param {Object} options
+   * @param {number} options.limit - Entries per page (default: 20)
+   * @param {number} options.offset - Entries to skip (default: 0)
+   * @returns {Promise<Array>} Ledger entries with amounts in dollars
+   */
+  async getLedger({ limit = 20, offset = 0 } = {}) {
+    const { data: { session }, error: sessionError } = await supabase.auth.getSession();
+
+    if (sessionError || !session) {
+      throw new Error('Not authenticated');
+    }
+
+    const { data, error } = await supabase
+      .from('wallet_ledger')
+      .select('id, entry_type, amount_cents, balance_after_cents, description, campaign_id, created_at')
+      .eq('user_id', session.user.id)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      console.error('[walletService] Error getting wallet ledger:', error);
+      throw error;
+    }
+
+    return (data || []).map((entry) => ({
+      id: entry.id,
+      type: entry.entry_type,
+      amount: centsToDollars(entry.amount_cents),
+      balanceAfter: centsToDollars(entry.balance_after_cents),
+      description: entry.description,
+      campaignId: entry.campaign_id,
+      createdAt: entry.created_at
+    }));
+  },
+
+  /**
+   * Add credit by charging the default payment method
+   * @param {number} amountCents - Amount to add in cents (minimum 50)
+   * @returns {Promise<Object>} { success, balanceCents, status, error }
+   */
+  async topUp(amountCents) {
+    const { data: { session }, error: sessionError } = await supabase.auth.getSession();
+
+    if (sessionError || !session) {
+      return { success: false, error: 'Not authenticated' };
+    }
+
+    try {
+      const { data: customer, error: customerError } = await supabase
+        .from('customers')
+        .select('id, stripe_customer_id')
+        .eq('user_id', session.user.id)
+        .single();
+
+      if (customerError || !customer) {
+        throw new Error('No customer record found. Please add a payment method first.');
+      }
+
+      const { data: paymentMethod, error: pmError } = await supabase
+        .from('payment_methods')
+        .select('stripe_payment_method_id')
+        .eq('customer_id', customer.id)
+        .eq('is_default', true)
+        .single();
+
+      if (pmError || !paymentMethod) {
+        throw new Error('No payment method on file. Please add a payment method first.');
+      }
+
+      const isTestMode = import.meta.env.VITE_STRIPE_PUBLISHABLE_KEY?.includes('_test_') || false;
+
+      const { data: response, error } = await supabase.functions.invoke('create-payment-intent', {
+        body: {
+          amount: amountCents,
+          description: 'Postcard balance top-up',
+          metadata: {
+            billing_reason: 'wallet_top_up',
+          },
+          customerId: customer.stripe_customer_id,
+          paymentMethodId: paymentMethod.stripe_payment_method_id,
+          isTestMode: isTestMode,
+          idempotencyKey: `wallet_top_up_${session.user.id}_${Date.now()}`,
+        },
+        headers: {
+          Authorization: `Bearer ${session.access_token}`,
+        },
+      });
+
+      if (error) throw error;
+
+      if (!response?.success) {
+        return { success: false, error: response?.error || 'Top-up failed' };
+      }
+
+      if (response.status !== 'succeeded') {
+        return {
+          success: false,
+          status: response.status,
+          error: response.requiresAction
+            ? 'Your bank needs to confirm this payment. Credit is added once it is confirmed.'
+            : response.message
+        };
+      }
+
+      return { success: true, status: response.status, balanceCents: response.walletBalanceCents };
+    } catch (error) {
+      console.error('[walletService] Error topping up wallet:', error);
+      return { success: false, error: error.message || 'Failed to add credit' };
+    }
+  },
+
+  /**
+   * Choose whether postcards are charged to the card when the balance runs out
+   * (otherwise new movers wait until the balance is topped up)
+   * @param {boolean} enabled
+   */
+  async setCardFallback(enabled) {
+    try {
+      const { error } = await supabase.rpc('set_wallet_card_fallback', {
+        p_enabled: enabled
+      });
+
+      if (error) {
+        console.error('[walletService] Error setting card fallback:', error);
+        return { success: false, error: error.message };
+      }
+
+      return { success: true, cardFallback: enabled };
+    } catch (error) {
+      console.error('[walletService] Error setting card fallback:', error);
+      return { success: false, error: error.message || 'Failed to update card fallback' };
+    }
+  }
+};
+
+export default walletService;
@@ -162,9 +162,337 @@ export const formatAddressShort = (address) => {
   return '';
 };
 
+// USPS state and territory codes, keyed by name
+export const US_STATES = {
+  'alabama': 'AL', 'alaska': 'AK', 'arizona': 'AZ', 'arkansas': 'AR',
+  'california': 'CA', 'colorado': 'CO', 'connecticut': 'CT', 'delaware': 'DE',
+  'district of columbia': 'DC', 'florida': 'FL', 'georgia': 'GA', 'hawaii': 'HI',
+  'idaho': 'ID', 'illinois': 'IL', 'indiana': 'IN', 'iowa': 'IA',
+  'kansas': 'KS', 'kentucky': 'KY', 'louisiana': 'LA', 'maine': 'ME',
+  'maryland': 'MD', 'massachusetts': 'MA', 'michigan': 'MI', 'minnesota': 'MN',
+  'mississippi': 'MS', 'missouri': 'MO', 'montana': 'MT', 'nebraska': 'NE',
+  'nevada': 'NV', 'new hampshire': 'NH', 'new jersey': 'NJ', 'new mexico': 'NM',
+  'new york': 'NY', 'north carolina': 'NC', 'north dakota': 'ND', 'ohio': 'OH',
+  'oklahoma': 'OK', 'oregon': 'OR', 'pennsylvania': 'PA', 'rhode island': 'RI',
+  'south carolina': 'SC', 'south dakota': 'SD', 'tennessee': 'TN', 'texas': 'TX',
+  'utah': 'UT', 'vermont': 'VT', 'virginia': 'VA', 'washington': 'WA',
+  'west virginia': 'WV', 'wisconsin': 'WI', 'wyoming': 'WY',
+  'puerto rico': 'PR', 'guam': 'GU', 'virgin islands': 'VI',
+  'american samoa': 'AS', 'northern mariana islands': 'MP'
+};
+
+const US_STATE_CODES = new Set(Object.values(US_STATES));
+
+const collapseWhitespace = (value) => (value || '').trim().replace(/\s+/g, ' ');
+
+/**
+ * Normalize a US mailing address: trims and collapses whitespace, turns state
+ * names into USPS codes and formats ZIP / ZIP+4
+ * @param {object} address - { addressLine1, addressLine2, city, state, zipCode }
+ * @returns {object} Normalized copy (countryCode is always 'US')
+ */
+export const normalizeAddress = (address = {}) => {
+  const state = collapseWhitespace(address.state);
+  const zipDigits = (address.zipCode || '').replace(/[^0-9]/g, '');
+
+  return {
+    addressLine1: collapseWhitespace(address.addressLine1),
+    addressLine2: collapseWhitespace(address.addressLine2),
+    city: collapseWhitespace(address.city),
+    state: US_STATES[state.toLowerCase().replace(/\./g, '')] || state.toUpperCase(),
+    zipCode: zipDigits.length === 9
+      ? `${zipDigits.slice(0, 5)}-${zipDigits.slice(5)}`
+      : zipDigits.length === 5 ? zipDigits : collapseWhitespace(address.zipCode),
+    countryCode: 'US'
+  };
+};
+
+/**
+ * Validate a normalized US mailing address
+ * @param {object} address - From normalizeAddress()
+ * @returns {object} Field errors, e.g. { state: 'Enter a US state' } (empty when valid)
+ */
+export const validateAddress = (address) => {
+  const errors = {};
+
+  if (!address.addressLine1) {
+    errors.addressLine1 = 'Street address is required';
+  } else if (standardizeStreetLine(address.addressLine1).issues.includes('missing_primary_number')) {
+    errors.addressLine1 = 'Include the house or building number, or a PO Box';
+  }
+
+  if (!address.city) {
+    errors.city = 'City is required';
+  }
+
+  if (!US_STATE_CODES.has(address.state)) {
+    errors.state = 'Enter a US state, e.g. OH or Ohio';
+  }
+
+  if (!/^\d{5}(-\d{4})?$/.test(address.zipCode)) {
+    errors.zipCode = 'Enter a 5-digit ZIP or ZIP+4';
+  }
+
+  return errors;
+};
+
+// ============================================================================
+// USPS STANDARDIZATION
+// ============================================================================
+// CASS-style rules from USPS Publication 28, applied to every mover before it
+// is mailed. Mirrored by supabase/functions/_shared/addressStandardization.ts
+// (the poller and blast dispatcher); supabase/functions/tests/
+// addressStandardization.test.ts checks the two agree.
+
+// Street suffixes: standard abbreviation -> other spellings
+const STREET_SUFFIX_SPELLINGS = {
+  ALY: ['ALLEY', 'ALLEE', 'ALLY'], ANX: ['ANNEX', 'ANEX', 'ANNX'], ARC: ['ARCADE'],
+  AVE: ['AVENUE', 'AV', 'AVEN', 'AVENU', 'AVN', 'AVNUE'], BCH: ['BEACH'], BLF: ['BLUFF', 'BLUF'],
+  BLVD: ['BOULEVARD', 'BOUL', 'BOULV'], BND: ['BEND'], BR: ['BRANCH', 'BRNCH'], BRG: ['BRIDGE', 'BRDGE'],
+  BRK: ['BROOK'], BTM: ['BOTTOM', 'BOT', 'BOTTM'], BYP: ['BYPASS', 'BYPA', 'BYPAS', 'BYPS'],
+  CIR: ['CIRCLE', 'CIRC', 'CIRCL', 'CRCL', 'CRCLE'], CLB: ['CLUB'], CLF: ['CLIFF'], CMN: ['COMMON'],
+  COR: ['CORNER'], CORS: ['CORNERS'], CP: ['CAMP', 'CMP'], CPE: ['CAPE'], CRES: ['CRESCENT', 'CRSENT', 'CRSNT'],
+  CRK: ['CREEK'], CRSE: ['COURSE'], CSWY: ['CAUSEWAY', 'CAUSWA'], CT: ['COURT'],
+  CTR: ['CENTER', 'CEN', 'CENT', 'CENTR', 'CENTRE', 'CNTER', 'CNTR'], CTS: ['COURTS'], CURV: ['CURVE'],
+  CV: ['COVE'], CYN: ['CANYON', 'CANYN', 'CNYN'], DL: ['DALE'], DR: ['DRIVE', 'DRIV', 'DRV'],
+  EST: ['ESTATE'], ESTS: ['ESTATES'], EXPY: ['EXPRESSWAY', 'EXP', 'EXPR', 'EXPRESS', 'EXPW'],
+  EXT: ['EXTENSION', 'EXTN', 'EXTNSN'], FLD: ['FIELD'], FLDS: ['FIELDS'], FLS: ['FALLS'], FLT: ['FLAT'],
+  FLTS: ['FLATS'], FRD: ['FORD'], FRK: ['FORK'], FRKS: ['FORKS'], FRST: ['FOREST', 'FORESTS'],
+  FRY: ['FERRY', 'FRRY'], FT: ['FORT', 'FRT'], FWY: ['FREEWAY', 'FREEWY', 'FRWAY', 'FRWY'],
+  GDN: ['GARDEN', 'GARDN', 'GRDEN', 'GRDN'], GDNS: ['GARDENS', 'GRDNS'], GLN: ['GLEN'], GRN: ['GREEN'],
+  GRV: ['GROVE', 'GROV'], GTWY: ['GATEWAY', 'GATEWY', 'GATWAY', 'GTWAY'], HBR: ['HARBOR', 'HARB', 'HARBR', 'HRBOR'],
+  HL: ['HILL'], HLS: ['HILLS'], HOLW: ['HOLLOW', 'HLLW', 'HOLLOWS', 'HOLWS'], HTS: ['HEIGHTS', 'HT'],
+  HVN: ['HAVEN'], HWY: ['HIGHWAY', 'HIGHWY', 'HIWAY', 'HIWY', 'HWAY'], IS: ['ISLAND', 'ISLND'],
+  ISS: ['ISLANDS', 'ISLNDS'], JCT: ['JUNCTION', 'JCTION', 'JCTN', 'JUNCTN', 'JUNCTON'], KNL: ['KNOLL', 'KNOL'],
+  LK: ['LAKE'], LKS: ['LAKES'], LN: ['LANE'], LNDG: ['LANDING', 'LNDNG'], LOOP: ['LOOPS'], MDW: ['MEADOW'],
+  MDWS: ['MEADOWS', 'MEDOWS'], ML: ['MILL'], MLS: ['MILLS'], MNR: ['MANOR'], MSN: ['MISSION', 'MISSN', 'MSSN'],
+  MT: ['MOUNT', 'MNT'], MTN: ['MOUNTAIN', 'MNTAIN', 'MNTN', 'MOUNTIN', 'MTIN'], ORCH: ['ORCHARD', 'ORCHRD'],
+  PARK: ['PRK', 'PARKS'], PASS: [], PATH: ['PATHS'], PIKE: ['PIKES'],
+  PKWY: ['PARKWAY', 'PARKWY', 'PKWAY', 'PKY', 'PARKWAYS', 'PKWYS'], PL: ['PLACE'], PLN: ['PLAIN'],
+  PLNS: ['PLAINS'], PLZ: ['PLAZA', 'PLZA'], PNE: ['PINE'], PNES: ['PINES'], PR: ['PRAIRIE', 'PRR'],
+  PT: ['POINT'], PTS: ['POINTS'], RD: ['ROAD'], RDG: ['RIDGE', 'RDGE'], RDS: ['ROADS'],
+  RIV: ['RIVER', 'RVR', 'RIVR'], RNCH: ['RANCH', 'RANCHES', 'RNCHS'], ROW: [], RTE: ['ROUTE'], RUN: [],
+  SHR: ['SHORE', 'SHOAR'], SHRS: ['SHORES', 'SHOARS'], SPG: ['SPRING', 'SPNG', 'SPRNG'],
+  SPGS: ['SPRINGS', 'SPNGS', 'SPRNGS'], SQ: ['SQUARE', 'SQR', 'SQRE', 'SQU'], ST: ['STREET', 'STRT', 'STR'],
+  STA: ['STATION', 'STATN', 'STN'], STS: ['STREETS'], TER: ['TERRACE', 'TERR'],
+  TPKE: ['TURNPIKE', 'TRNPK', 'TURNPK'], TRCE: ['TRACE', 'TRACES'], TRL: ['TRAIL', 'TRAILS', 'TRLS'],
+  VIS: ['VISTA', 'VIST', 'VST', 'VSTA'], VLG: ['VILLAGE', 'VILL', 'VILLAG', 'VILLG', 'VILLIAGE'],
+  VLY: ['VALLEY', 'VALLY', 'VLLY'], VW: ['VIEW'], WALK: ['WALKS'], WAY: ['WY'], XING: ['CROSSING', 'CRSSNG']
+};
+
+const DIRECTIONAL_SPELLINGS = {
+  N: ['NORTH'], S: ['SOUTH'], E: ['EAST'], W: ['WEST'],
+  NE: ['NORTHEAST'], NW: ['NORTHWEST'], SE: ['SOUTHEAST'], SW: ['SOUTHWEST']
+};
+
+// Secondary unit designators ("#" is used when the designator is unknown)
+const UNIT_DESIGNATOR_SPELLINGS = {
+  APT: ['APARTMENT'], BLDG: ['BUILDING'], BSMT: ['BASEMENT'], DEPT: ['DEPARTMENT'], FL: ['FLOOR'],
+  FRNT: ['FRONT'], HNGR: ['HANGAR'], KEY: [], LBBY: ['LOBBY'], LOT: [], LOWR: ['LOWER'], OFC: ['OFFICE'],
+  PH: ['PENTHOUSE'], PIER: [], REAR: [], RM: ['ROOM'], SIDE: [], SLIP: [], SPC: ['SPACE'], STE: ['SUITE'],
+  STOP: [], TRLR: ['TRAILER'], UNIT: [], UPPR: ['UPPER']
+};
+
+// Designators that don't take a unit number
+const UNITS_WITHOUT_NUMBER = new Set(['BSMT', 'FRNT', 'LBBY', 'LOWR', 'OFC', 'PH', 'REAR', 'SIDE', 'UPPR']);
+
+const toLookup = (spellings) => Object.entries(spellings).reduce((lookup, [standard, others]) => {
+  lookup[standard] = standard;
+  others.forEach(other => { lookup[other] = standard; });
+  return lookup;
+}, {});
+
+const STREET_SUFFIXES = toLookup(STREET_SUFFIX_SPELLINGS);
+const DIRECTIONALS = toLookup(DIRECTIONAL_SPELLINGS);
+const UNIT_DESIGNATORS = toLookup(UNIT_DESIGNATOR_SPELLINGS);
+
+const PO_BOX_PATTERN = /^(?:P\s?O\s?B(?:OX|X)?|POST\s+OFFICE\s+BOX|POST\s+BOX|BOX)\s*(\S*)$/;
+const RURAL_ROUTE_PATTERN = /^(?:RURAL\s+(?:ROUTE|RTE|RT)|R\s?R|R\s?F\s?D|(?:ROUTE|RTE|RT)(?=\s*\d+\s+BO?X))\s*(\d+)(?:\s+BO?X\s*(\S+))?$/;
+const HIGHWAY_CONTRACT_PATTERN = /^(?:H(?:IGH)?WA?Y\s+CONTRACT|H\s?C|STAR\s+ROUTE)\s*(\d+)(?:\s+BO?X\s*(\S+))?$/;
+const GLUED_UNIT_PATTERN = /^(APT|BLDG|FL|LOT|RM|SPC|STE|TRLR|UNIT)(\d+[A-Z]?)$/;
+
+export const ADDRESS_ISSUES = {
+  missing_street: 'No street address',
+  missing_primary_number: 'No house number',
+  missing_unit_number: 'Unit number missing',
+  missing_box_number: 'Box number missing',
+  missing_city: 'No city',
+  invalid_state: 'Unknown state',
+  invalid_zip: 'Invalid ZIP code'
+};
+
+// Issues that make a mailing undeliverable; the others are only flagged
+export const UNDELIVERABLE_ADDRESS_ISSUES = [
+  'missing_street', 'missing_primary_number', 'missing_box_number', 'missing_city', 'invalid_state', 'invalid_zip'
+];
+
+export const ADDRESS_VERIFICATION_STATUSES = {
+  verified: 'Verified',
+  corrected: 'Corrected',
+  standardized: 'Standardized',
+  undeliverable: 'Undeliverable'
+};
+
+const isUnitIdentifier = (token) => /\d/.test(token || '') || /^[A-Z]$/.test(token || '');
+
+/**
+ * Standardize a street line to USPS style: uppercase, no punctuation, standard
+ * suffix, directional and unit abbreviations, and PO Box / rural route /
+ * highway contract forms ("RR 2 BOX 15")
+ * @param {string} line - e.g. "123 North Main Street, Apt. 4B"
+ * @returns {object} { line: "123 N MAIN ST APT 4B", primaryNumber, unit, issues }
+ */
+export const standardizeStreetLine = (line) => {
+  const cleaned = collapseWhitespace(
+    (line || '').toUpperCase().replace(/'/g, '').replace(/#/g, ' # ').replace(/[^A-Z0-9#/\- ]/g, ' ')
+  );
+
+  if (!cleaned) {
+    return { line: '', primaryNumber: null, unit: null, issues: ['missing_street'] };
+  }
+
+  const compact = collapseWhitespace(cleaned.replace(/#/g, ' '));
+
+  const poBox = compact.match(PO_BOX_PATTERN);
+  if (poBox) {
+    return {
+      line: collapseWhitespace(`PO BOX ${poBox[1]}`),
+      primaryNumber: poBox[1] || null,
+      unit: null,
+      issues: poBox[1] ? [] : ['missing_box_number']
+    };
+  }
+
+  const route = compact.match(RURAL_ROUTE_PATTERN) || compact.match(HIGHWAY_CONTRACT_PATTERN);
+  if (route) {
+    const prefix = compact.match(RURAL_ROUTE_PATTERN) ? 'RR' : 'HC';
+    return {
+      line: `${prefix} ${route[1]}${route[2] ? ` BOX ${route[2]}` : ''}`,
+      primaryNumber: route[2] || null,
+      unit: null,
+      issues: route[2] ? [] : ['missing_box_number']
+    };
+  }
+
+  const tokens = cleaned.split(' ').flatMap(token => {
+    const glued = token.match(GLUED_UNIT_PATTERN);
+    return glued ? [glued[1], glued[2]] : [token];
+  });
+  const issues = [];
+
+  // Primary number, including a fraction ("123 1/2")
+  let streetStart = 0;
+  let primaryNumber = null;
+  if (/\d/.test(tokens[0])) {
+    streetStart = /^\d+\/\d+$/.test(tokens[1] || '') ? 2 : 1;
+    primaryNumber = tokens.slice(0, streetStart).join(' ');
+  } else {
+    issues.push('missing_primary_number');
+  }
+
+  // Secondary unit: a designator followed by an identifier, or a designator
+  // that ends the line right after a suffix or directional
+  let unitStart = tokens.length;
+  for (let i = streetStart + 1; i < tokens.length; i++) {
+    const token = tokens[i];
+    const designator = token === '#' ? '#' : UNIT_DESIGNATORS[token];
+    if (!designator) continue;
+
+    const previous = tokens[i - 1];
+    const endsLine = i === tokens.length - 1 && (STREET_SUFFIXES[previous] || DIRECTIONALS[previous]);
+    if (token === '#' || isUnitIdentifier(tokens[i + 1]) || endsLine) {
+      unitStart = i;
+      break;
+    }
+  }
+
+  let unit = null;
+  if (unitStart < tokens.length) {
+    const designator = tokens[unitStart] === '#' ? '#' : UNIT_DESIGNATORS[tokens[unitStart]];
+    const identifier = tokens.slice(unitStart + 1).filter(token => token !== '#').join(' ');
+
+    if (!identifier && !UNITS_WITHOUT_NUMBER.has(designator)) {
+      issues.push('missing_unit_number');
+    }
+    // A stray "#" is dropped
+    if (identifier) unit = `${designator} ${identifier}`;
+    else if (designator !== '#') unit = designator;
+  }
+
+  // Street name: post-directional, suffix and pre-directional, outside in,
+  // never abbreviating the last word of the name itself ("NORTH ST")
+  const street = tokens.slice(streetStart, unitStart);
+  let postDirectional = null;
+  let suffix = null;
+  let preDirectional = null;
+
+  if (street.length >= 2 && DIRECTIONALS[street[street.length - 1]]) {
+    postDirectional = DIRECTIONALS[street.pop()];
+  }
+  if (street.length >= 2 && STREET_SUFFIXES[street[street.length - 1]]) {
+    suffix = STREET_SUFFIXES[street.pop()];
+  }
+  if (street.length >= 2 && DIRECTIONALS[street[0]]) {
+    preDirectional = DIRECTIONALS[street.shift()];
+  }
+
+  if (street.length === 0) {
+    issues.push('missing_street');
+  }
+
+  return {
+    line: [primaryNumber, preDirectional, ...street, suffix, postDirectional, unit].filter(Boolean).join(' '),
+    primaryNumber,
+    unit,
+    issues
+  };
+};
+
+/**
+ * Standardize a full US mailing address and list what is wrong with it
+ * (see ADDRESS_ISSUES). ZIPs that lost their leading zero in a spreadsheet
+ * are padded back.
+ * @param {object} address - { addressLine1, addressLine2, city, state, zipCode }
+ * @returns {object} { address: standardized copy, issues, deliverable }
+ */
+export const standardizeAddress = (address = {}) => {
+  const street = standardizeStreetLine(
+    [address.addressLine1, address.addressLine2].filter(Boolean).join(' ')
+  );
+  const issues = [...street.issues];
+
+  const city = collapseWhitespace(address.city).toUpperCase().replace(/[^A-Z0-9 '-]/g, '');
+  if (!city) issues.push('missing_city');
+
+  const stateInput = collapseWhitespace(address.state).replace(/\./g, '');
+  const state = US_STATES[stateInput.toLowerCase()] || stateInput.toUpperCase();
+  if (!US_STATE_CODES.has(state)) issues.push('invalid_state');
+
+  let zipDigits = (address.zipCode || '').replace(/[^0-9]/g, '');
+  if (zipDigits.length === 4 || zipDigits.length === 8) zipDigits = `0${zipDigits}`;
+  if (zipDigits.length !== 5 && zipDigits.length !== 9) issues.push('invalid_zip');
+
+  return {
+    address: {
+      addressLine1: street.unit ? street.line.slice(0, -street.unit.length).trim() : street.line,
+      addressLine2: street.unit || '',
+      city,
+      state,
+      zipCode: zipDigits.length === 9 ? `${zipDigits.slice(0, 5)}-${zipDigits.slice(5)}` : zipDigits,
+      countryCode: 'US'
+    },
+    issues,
+    deliverable: !issues.some(issue => UNDELIVERABLE_ADDRESS_ISSUES.includes(issue))
+  };
+};
+
 export default {
   parseAddress,
   formatAddress,
   formatAddressMultiLine,
   formatAddressShort,
+  normalizeAddress,
+  validateAddress,
+  standardizeStreetLine,
+  standardizeAddress,
 };
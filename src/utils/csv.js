@@ -0,0 +1,96 @@
+/**
+ * CSV helpers for list imports and exports
+ */
+
+/**
+ * Parse CSV text into rows of cells. Handles quoted cells with commas,
+ * newlines and doubled quotes; blank lines are dropped.
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of cells
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  row.push(cell);
+  rows.push(row);
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse CSV text with a header row into objects keyed by lowercased header
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} One object per data row, with its row number (header = 1) as `row`
+ */
+export function parseCsvRecords(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+
+  const keys = header.map(name => name.trim().toLowerCase().replace(/\s+/g, '_'));
+
+  return rows.map((cells, index) => ({
+    row: index + 2,
+    ...Object.fromEntries(keys.map((key, column) => [key, (cells[column] || '').trim()]))
+  }));
+}
+
+/**
+ * Build CSV text, quoting every cell
+ * @param {Array<string>} headers - Header row
+ * @param {Array<Array>} rows - Data rows; null and undefined become empty cells
+ * @returns {string} CSV text
+ */
+export function toCsv(headers, rows) {
+  const quote = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+  return [headers, ...rows].map(row => row.map(quote).join(',')).join('\n');
+}
+
+/**
+ * Download CSV text as a file
+ * @param {string} csv - CSV text
+ * @param {string} filename - File name
+ */
+export function downloadCsv(csv, filename) {
+  const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  window.URL.revokeObjectURL(url);
+}
@@ -0,0 +1,162 @@
+/**
+ * Postcard Merge Fields
+ * Text in a design can carry merge fields such as {{first_name}} or
+ * {{city|your new neighborhood}} (text after | overrides the default
+ * fallback). Each recipient gets their own values at send time; see
+ * supabase/functions/_shared/mergeValues.ts, which must resolve values the
+ * same way (supabase/functions/tests/mergeFields.test.ts checks this).
+ *
+ * No extensionless imports: scripts/renderPostcardPdf.js loads this in Node.
+ */
+
+export const MERGE_FIELDS = [
+  { key: 'first_name', label: 'First Name', fallback: 'Neighbor' },
+  { key: 'last_name', label: 'Last Name', fallback: '' },
+  { key: 'full_name', label: 'Full Name', fallback: 'Neighbor' },
+  { key: 'street', label: 'Street Address', fallback: '' },
+  { key: 'city', label: 'City', fallback: 'your new neighborhood' },
+  { key: 'state', label: 'State', fallback: '' },
+  { key: 'zip_code', label: 'ZIP Code', fallback: '' },
+  { key: 'move_date', label: 'Move Date', fallback: 'recently' },
+  { key: 'offer_code', label: 'Offer Code', fallback: '' }
+];
+
+// Mailing-list stand-ins for a missing name
+const PLACEHOLDER_NAMES = ['resident', 'current resident', 'occupant', 'current occupant', 'homeowner'];
+
+// Crockford base32: no I, L, O or U to misread
+const OFFER_CODE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+const fieldPattern = () => /\{\{\s*([a-z_]+)\s*(?:\|([^}]*))?\}\}/g;
+
+/**
+ * Sample movers for previewing a design when the campaign has none yet
+ */
+export const SAMPLE_MOVERS = [
+  {
+    id: 'sample-1',
+    full_name: 'Jordan Rivera',
+    address_line: '1428 Elm Street',
+    city: 'Austin',
+    state: 'TX',
+    zip_code: '78701',
+    move_effective_date: '2026-09-14T00:00:00.000Z'
+  },
+  {
+    id: 'sample-2',
+    full_name: 'Current Resident',
+    address_line: '77 Harbor View Dr',
+    city: null,
+    state: 'FL',
+    zip_code: '33139',
+    move_effective_date: null
+  }
+];
+
+/**
+ * Merge field token for a field key, e.g. '{{first_name}}'
+ */
+export function mergeFieldToken(key) {
+  return `{{${key}}}`;
+}
+
+/**
+ * Whether text contains any merge field
+ */
+export function hasMergeFields(text) {
+  return typeof text === 'string' && fieldPattern().test(text);
+}
+
+/**
+ * Merge field keys in text that aren't known fields (they'd print blank)
+ * @param {string} text
+ * @returns {string[]} Unknown keys
+ */
+export function getUnknownMergeFields(text) {
+  if (typeof text !== 'string') return [];
+
+  const known = new Set(MERGE_FIELDS.map(field => field.key));
+  return [...text.matchAll(fieldPattern())]
+    .map(match => match[1])
+    .filter(key => !known.has(key));
+}
+
+/**
+ * Deterministic per-recipient offer code: the same campaign and mover always
+ * get the same code, so retried sends print the code that was recorded
+ * @param {string} campaignId
+ * @param {string} moverId
+ * @returns {Promise<string>} 8-character code
+ */
+export async function generateOfferCode(campaignId, moverId) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${campaignId}:${moverId}`));
+  const bytes = new Uint8Array(digest);
+  let bits = 0n;
+
+  // First 40 bits -> 8 base32 characters
+  for (let i = 0; i < 5; i++) {
+    bits = (bits << 8n) | BigInt(bytes[i]);
+  }
+
+  let code = '';
+  for (let i = 7; i >= 0; i--) {
+    code += OFFER_CODE_ALPHABET[Number((bits >> BigInt(i * 5)) & 31n)];
+  }
+
+  return code;
+}
+
+function formatMoveDate(value) {
+  if (!value) return null;
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+
+  return date.toLocaleDateString('en-US', {
+    month: 'long',
+    day: 'numeric',
+    year: 'numeric',
+    timeZone: 'UTC'
+  });
+}
+
+/**
+ * Merge values for one recipient; missing values are null (fallbacks apply)
+ * @param {Object} mover - newmover row
+ * @param {Object} options
+ * @param {string} options.offerCode - From generateOfferCode()
+ * @returns {Object} Value by field key
+ */
+export function resolveMergeValues(mover, { offerCode = null } = {}) {
+  const fullName = (mover.full_name || '').trim().replace(/\s+/g, ' ');
+  const hasName = fullName && !PLACEHOLDER_NAMES.includes(fullName.toLowerCase());
+  const [firstName, ...lastNames] = hasName ? fullName.split(' ') : [];
+
+  return {
+    first_name: firstName || null,
+    last_name: lastNames.join(' ') || null,
+    full_name: hasName ? fullName : null,
+    street: mover.address_line || null,
+    city: mover.city || null,
+    state: mover.state || null,
+    zip_code: mover.zip_code || null,
+    move_date: formatMoveDate(mover.move_effective_date),
+    offer_code: offerCode
+  };
+}
+
+/**
+ * Substitute merge fields in text
+ * @param {string} text - Text with {{field}} or {{field|fallback}} tokens
+ * @param {Object} values - From resolveMergeValues()
+ * @returns {string} Personalized text
+ */
+export function applyMergeFields(text, values) {
+  return text.replace(fieldPattern(), (_, key, customFallback) => {
+    const value = values[key];
+    if (value) return value;
+    if (customFallback !== undefined) return customFallback.trim();
+
+    return MERGE_FIELDS.find(field => field.key === key)?.fallback ?? '';
+  });
+}
@@ -0,0 +1,55 @@
+/**
+ * Postcard Product Options
+ * Sizes and mail classes a campaign can choose (campaigns.postcard_size and
+ * campaigns.mail_class). Print dimensions for each size are in
+ * utils/postcardPdf.js; prices come from quote_postcard_price().
+ */
+
+import { DEFAULT_PRINT_SIZE } from './postcardPdf';
+
+export const DEFAULT_POSTCARD_SIZE = DEFAULT_PRINT_SIZE;
+export const DEFAULT_MAIL_CLASS = 'first_class';
+
+export const POSTCARD_SIZE_OPTIONS = [
+  { value: '6x4', label: '6" x 4"', description: 'Classic postcard' },
+  { value: '9x6', label: '9" x 6"', description: 'Jumbo: more room for your offer' },
+  { value: '11x6', label: '11" x 6"', description: 'Panoramic: stands out in the mailbox' }
+];
+
+// postgrid: request fields PostGrid needs for the class
+export const MAIL_CLASS_OPTIONS = [
+  {
+    value: 'standard',
+    label: 'Standard',
+    description: 'USPS Marketing Mail, 3-10 business days',
+    postgrid: { mailingClass: 'standard_class', express: false }
+  },
+  {
+    value: 'first_class',
+    label: 'First Class',
+    description: 'USPS First-Class Mail, 2-5 business days',
+    postgrid: { mailingClass: 'first_class', express: false }
+  },
+  {
+    value: 'express',
+    label: 'Express',
+    description: 'Printed first, then First-Class Mail',
+    postgrid: { mailingClass: 'first_class', express: true }
+  }
+];
+
+/**
+ * Size option for a campaigns.postcard_size value (default size if unknown)
+ */
+export function getPostcardSizeOption(value) {
+  return POSTCARD_SIZE_OPTIONS.find(option => option.value === value) ||
+    POSTCARD_SIZE_OPTIONS.find(option => option.value === DEFAULT_POSTCARD_SIZE);
+}
+
+/**
+ * Mail class option for a campaigns.mail_class value (default class if unknown)
+ */
+export function getMailClassOption(value) {
+  return MAIL_CLASS_OPTIONS.find(option => option.value === value) ||
+    MAIL_CLASS_OPTIONS.find(option => option.value === DEFAULT_MAIL_CLASS);
+}
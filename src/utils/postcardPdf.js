@@ -0,0 +1,311 @@
+/**
+ * Print-Ready Postcard PDFs
+ * Renders a saved Fabric.js design (the JSON written by fabricCloudinaryService)
+ * into the two-page PDF PostGrid prints: front then back, 300 DPI, with 0.125"
+ * bleed on every edge, at the exact size of the PostGrid postcard product.
+ *
+ * The editor canvas stands for the full bleed area: it is scaled to cover the
+ * bleed box (centered, cropping any aspect-ratio difference), so backgrounds
+ * run past the cut line and content within BLEED_INCHES of the canvas edge is
+ * trimmed off.
+ *
+ * Text containing merge fields ({{first_name}}, see utils/mergeFields.js) is
+ * left out of the page images and returned as a merge layout instead, which
+ * the send functions stamp onto the PDF per recipient.
+ *
+ * PDFs are rendered server-side by the render worker, which passes in
+ * 'fabric/node' (see scripts/renderPostcardPdf.js). The editor and print
+ * preflight only use the print spec and layout helpers, so this module takes
+ * the Fabric.js module as an argument and imports nothing that needs a bundler.
+ */
+
+import { hasMergeFields } from './mergeFields.js';
+
+export const PRINT_DPI = 300;
+export const BLEED_INCHES = 0.125;
+export const DEFAULT_PRINT_SIZE = '6x4';
+
+// Trim sizes in inches, keyed by PostGrid postcard size (width x height)
+export const POSTCARD_PRINT_SIZES = {
+  '6x4': { width: 6, height: 4 },
+  '9x6': { width: 9, height: 6 },
+  '11x6': { width: 11, height: 6 }
+};
+
+const POINTS_PER_INCH = 72;
+const JPEG_QUALITY = 0.92;
+
+/**
+ * Pixel and point dimensions of a postcard size, bleed included
+ * @param {string} size - PostGrid size, e.g. '6x4'
+ * @returns {Object} { size, trimWidthIn, trimHeightIn, bleedIn, widthPx, heightPx, bleedPx, widthPt, heightPt, bleedPt }
+ */
+export function getPrintSpec(size = DEFAULT_PRINT_SIZE) {
+  const trim = POSTCARD_PRINT_SIZES[size];
+
+  if (!trim) {
+    throw new Error(`Unsupported postcard size: ${size}`);
+  }
+
+  const widthIn = trim.width + BLEED_INCHES * 2;
+  const heightIn = trim.height + BLEED_INCHES * 2;
+
+  return {
+    size,
+    trimWidthIn: trim.width,
+    trimHeightIn: trim.height,
+    bleedIn: BLEED_INCHES,
+    widthPx: Math.round(widthIn * PRINT_DPI),
+    heightPx: Math.round(heightIn * PRINT_DPI),
+    bleedPx: BLEED_INCHES * PRINT_DPI,
+    widthPt: widthIn * POINTS_PER_INCH,
+    heightPt: heightIn * POINTS_PER_INCH,
+    bleedPt: BLEED_INCHES * POINTS_PER_INCH
+  };
+}
+
+/**
+ * Where a design canvas lands on the print page
+ * @param {Object} designSize - { width, height } of the editor canvas
+ * @param {Object} spec - From getPrintSpec()
+ * @returns {Object} { scale, offsetX, offsetY } in print pixels
+ */
+export function getPrintLayout(designSize, spec) {
+  const scale = Math.max(spec.widthPx / designSize.width, spec.heightPx / designSize.height);
+
+  return {
+    scale,
+    offsetX: (spec.widthPx - designSize.width * scale) / 2,
+    offsetY: (spec.heightPx - designSize.height * scale) / 2
+  };
+}
+
+/**
+ * Editor canvas size a design was saved at
+ * Designs saved before canvasSize was recorded fall back to the extent of
+ * their objects, measured after loading.
+ */
+function getSavedDesignSize(designJSON) {
+  const { width, height } = designJSON.canvasSize || {};
+  return width > 0 && height > 0 ? { width, height } : null;
+}
+
+function measureObjects(canvas) {
+  let width = 0;
+  let height = 0;
+
+  canvas.getObjects().forEach(obj => {
+    const rect = obj.getBoundingRect();
+    width = Math.max(width, rect.left + rect.width);
+    height = Math.max(height, rect.top + rect.height);
+  });
+
+  return width > 0 && height > 0 ? { width, height } : null;
+}
+
+function dataURLToBytes(dataURL) {
+  const binary = atob(dataURL.split(',')[1]);
+  const bytes = new Uint8Array(binary.length);
+
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+
+  return bytes;
+}
+
+function isMergeText(fabric, obj) {
+  return obj instanceof fabric.FabricText && hasMergeFields(obj.text);
+}
+
+/**
+ * Where a merge-field text object prints, in PDF points from the page's
+ * top-left corner
+ */
+function getMergeLayoutItem(fabric, obj, page, layout) {
+  const toPt = POINTS_PER_INCH / PRINT_DPI;
+  const [topLeft] = obj.getCoords();
+  const fontSize = obj.fontSize * Math.abs(obj.scaleY) * layout.scale * toPt;
+  const fontWeight = String(obj.fontWeight);
+
+  return {
+    page,
+    text: obj.text,
+    x: (topLeft.x * layout.scale + layout.offsetX) * toPt,
+    y: (topLeft.y * layout.scale + layout.offsetY) * toPt,
+    width: obj.width * Math.abs(obj.scaleX) * layout.scale * toPt,
+    fontSize,
+    // Same line metrics Fabric renders with
+    baseline: fontSize * (obj._fontSizeMult - obj._fontSizeFraction),
+    lineHeight: fontSize * obj.lineHeight * obj._fontSizeMult,
+    fontFamily: obj.fontFamily,
+    bold: fontWeight === 'bold' || Number(fontWeight) >= 600,
+    italic: obj.fontStyle === 'italic' || obj.fontStyle === 'oblique',
+    color: typeof obj.fill === 'string' ? new fabric.Color(obj.fill).toHex() : '000000',
+    align: ['center', 'right'].includes(obj.textAlign) ? obj.textAlign : 'left',
+    angle: obj.angle || 0,
+    wrap: obj instanceof fabric.Textbox,
+    opacity: obj.opacity
+  };
+}
+
+/**
+ * Render one page of a design to a JPEG at print resolution
+ * @param {Object} fabric - Fabric.js module ('fabric' or 'fabric/node')
+ * @param {Object|null} pageJSON - canvas.toJSON() of the page; null renders a blank page
+ * @param {Object} spec - From getPrintSpec()
+ * @param {Object|null} designSize - Editor canvas size, if known
+ * @param {string} page - 'front' or 'back', for merge layout items
+ * @returns {Promise<Object>} { jpeg, designSize, mergeLayout }
+ */
+async function renderPage(fabric, pageJSON, spec, designSize, page) {
+  const canvas = new fabric.StaticCanvas(undefined, {
+    width: spec.widthPx,
+    height: spec.heightPx,
+    enableRetinaScaling: false,
+    renderOnAddRemove: false
+  });
+
+  try {
+    if (pageJSON) {
+      await canvas.loadFromJSON(pageJSON);
+    }
+
+    const size = designSize || measureObjects(canvas) || { width: spec.widthPx, height: spec.heightPx };
+    const layout = getPrintLayout(size, spec);
+
+    // JPEG has no alpha; anything not painted prints white
+    if (!canvas.backgroundColor) {
+      canvas.backgroundColor = '#ffffff';
+    }
+
+    canvas.setViewportTransform([layout.scale, 0, 0, layout.scale, layout.offsetX, layout.offsetY]);
+
+    const mergeLayout = canvas.getObjects()
+      .filter(obj => obj.visible && isMergeText(fabric, obj))
+      .map(obj => getMergeLayoutItem(fabric, obj, page, layout));
+
+    const jpeg = dataURLToBytes(canvas.toDataURL({
+      format: 'jpeg',
+      quality: JPEG_QUALITY,
+      multiplier: 1,
+      filter: obj => !isMergeText(fabric, obj)
+    }));
+
+    return { jpeg, designSize: size, mergeLayout };
+  } finally {
+    await canvas.dispose();
+  }
+}
+
+/**
+ * Assemble a PDF with one full-bleed JPEG per page
+ * MediaBox and BleedBox are the bleed size; TrimBox is the finished card.
+ * @param {Uint8Array[]} jpegs - Page images at spec.widthPx x spec.heightPx
+ * @param {Object} spec - From getPrintSpec()
+ * @returns {Uint8Array} PDF file
+ */
+export function buildPrintPdf(jpegs, spec) {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+
+  const write = (data) => {
+    const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+
+  const num = (n) => String(Number(n.toFixed(3)));
+  const w = num(spec.widthPt);
+  const h = num(spec.heightPt);
+  const trimBox = [spec.bleedPt, spec.bleedPt, spec.widthPt - spec.bleedPt, spec.heightPt - spec.bleedPt].map(num).join(' ');
+
+  // Objects: 1 catalog, 2 page tree, then page / contents / image per page
+  const pageId = (i) => 3 + i * 3;
+  const objectCount = 2 + jpegs.length * 3;
+
+  const object = (id, body) => {
+    offsets[id] = length;
+    write(`${id} 0 obj\n${body}\nendobj\n`);
+  };
+
+  write('%PDF-1.4\n');
+  write(new Uint8Array([0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a])); // binary marker comment
+
+  object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+  object(2, `<< /Type /Pages /Kids [${jpegs.map((_, i) => `${pageId(i)} 0 R`).join(' ')}] /Count ${jpegs.length} >>`);
+
+  jpegs.forEach((jpeg, i) => {
+    const id = pageId(i);
+    const content = `q\n${w} 0 0 ${h} 0 0 cm\n/Im0 Do\nQ\n`;
+
+    object(id, [
+      '<< /Type /Page /Parent 2 0 R',
+      `/MediaBox [0 0 ${w} ${h}] /BleedBox [0 0 ${w} ${h}] /TrimBox [${trimBox}]`,
+      `/Resources << /XObject << /Im0 ${id + 2} 0 R >> >>`,
+      `/Contents ${id + 1} 0 R >>`
+    ].join(' '));
+
+    object(id + 1, `<< /Length ${encoder.encode(content).length} >>\nstream\n${content}endstream`);
+
+    offsets[id + 2] = length;
+    write(`${id + 2} 0 obj\n<< /Type /XObject /Subtype /Image /Width ${spec.widthPx} /Height ${spec.heightPx} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n`);
+    write(jpeg);
+    write('\nendstream\nendobj\n');
+  });
+
+  const xrefOffset = length;
+  write(`xref\n0 ${objectCount + 1}\n0000000000 65535 f \n`);
+
+  for (let id = 1; id <= objectCount; id++) {
+    write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+  }
+
+  write(`trailer\n<< /Size ${objectCount + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+  const pdf = new Uint8Array(length);
+  let position = 0;
+
+  chunks.forEach(chunk => {
+    pdf.set(chunk, position);
+    position += chunk.length;
+  });
+
+  return pdf;
+}
+
+/**
+ * Render a saved design to a print-ready PDF
+ * Single-sided designs get a blank white back, which PostGrid prints the
+ * address block on.
+ * @param {Object} fabric - Fabric.js module ('fabric' or 'fabric/node')
+ * @param {Object} designJSON - Saved design: { pages: { front, back }, isDoubleSided, canvasSize }
+ * @param {Object} options
+ * @param {string} options.size - PostGrid size (default: 6x4)
+ * @returns {Promise<Object>} { pdf, mergeLayout } - the PDF file without
+ *   merge-field text, and that text's layout (empty if the design has none)
+ */
+export async function renderPostcardPdf(fabric, designJSON, { size = DEFAULT_PRINT_SIZE } = {}) {
+  if (!designJSON?.pages?.front) {
+    throw new Error('Design has no front page');
+  }
+
+  const spec = getPrintSpec(size);
+
+  // The back is laid out like the front so both sides share one scale
+  const front = await renderPage(fabric, designJSON.pages.front, spec, getSavedDesignSize(designJSON), 'front');
+  const back = await renderPage(
+    fabric,
+    designJSON.isDoubleSided ? designJSON.pages.back : null,
+    spec,
+    front.designSize,
+    'back'
+  );
+
+  return {
+    pdf: buildPrintPdf([front.jpeg, back.jpeg], spec),
+    mergeLayout: [...front.mergeLayout, ...back.mergeLayout]
+  };
+}
@@ -1,11 +1,16 @@
 /**
  * Pricing Configuration and Utilities
  * Central location for all pricing-related constants and calculations
+ *
+ * Actual prices are stored server-side (see quote_postcard_price() in
+ * supabase/migrations) and fetched with pricingService.getQuote(). The values
+ * below mirror the default 'standard' plan and are only used for display
+ * before a quote has loaded.
  */
 
 // Pricing Constants
 export const PRICING = {
-  PRICE_PER_POSTCARD: 3.00,  // $3.00 per postcard as specified
+  PRICE_PER_POSTCARD: 3.00,  // Default plan price for a 6x4 postcard
   CURRENCY: 'USD',
   CURRENCY_SYMBOL: '$',
 
@@ -13,9 +18,9 @@ export const PRICING = {
   MIN_POSTCARDS: 1,
   MAX_POSTCARDS: 10000,
 
-  // Discount tiers (optional - for future use)
+  // Volume discount tiers, chosen by postcards mailed this calendar month
   DISCOUNT_TIERS: [
-    { min: 100, max: 499, discount: 0 },      // No discount
+    { min: 0, max: 499, discount: 0 },        // No discount
     { min: 500, max: 999, discount: 0.05 },   // 5% discount
     { min: 1000, max: 4999, discount: 0.10 }, // 10% discount
     { min: 5000, max: Infinity, discount: 0.15 } // 15% discount
@@ -26,29 +31,37 @@ export const PRICING = {
  * Calculate total cost for postcards
  * @param {number} postcardCount - Number of postcards to send
  * @param {boolean} applyDiscounts - Whether to apply volume discounts (default: false)
+ * @param {Object} options - Optional server pricing
+ * @param {number} options.basePrice - Per-postcard price from a quote (default: PRICING.PRICE_PER_POSTCARD)
+ * @param {number} options.monthlyVolume - Postcards already mailed this month; the tier is
+ *   chosen on monthlyVolume + postcardCount, like quote_postcard_price()
  * @returns {Object} Pricing breakdown
  */
-export function calculatePostcardCost(postcardCount, applyDiscounts = false) {
+export function calculatePostcardCost(postcardCount, applyDiscounts = false, options = {}) {
+  const basePrice = options.basePrice ?? PRICING.PRICE_PER_POSTCARD;
+  const monthlyVolume = options.monthlyVolume || 0;
+
   if (!postcardCount || postcardCount < 1) {
     return {
       count: 0,
-      basePrice: PRICING.PRICE_PER_POSTCARD,
+      basePrice,
       subtotal: 0,
       discount: 0,
       discountPercent: 0,
       total: 0,
-      perPostcard: PRICING.PRICE_PER_POSTCARD
+      perPostcard: basePrice
     };
   }
 
-  const subtotal = postcardCount * PRICING.PRICE_PER_POSTCARD;
+  const subtotal = postcardCount * basePrice;
   let discount = 0;
   let discountPercent = 0;
 
   // Apply volume discounts if enabled
   if (applyDiscounts) {
+    const cumulativeVolume = monthlyVolume + postcardCount;
     const tier = PRICING.DISCOUNT_TIERS.find(
-      t => postcardCount >= t.min && postcardCount <= t.max
+      t => cumulativeVolume >= t.min && cumulativeVolume <= t.max
     );
 
     if (tier && tier.discount > 0) {
@@ -61,7 +74,7 @@ export function calculatePostcardCost(postcardCount, applyDiscounts = false) {
 
   return {
     count: postcardCount,
-    basePrice: PRICING.PRICE_PER_POSTCARD,
+    basePrice,
     subtotal: Number(subtotal.toFixed(2)),
     discount: Number(discount.toFixed(2)),
     discountPercent: discountPercent,
@@ -0,0 +1,336 @@
+/**
+ * Print Preflight
+ * Checks a Fabric.js postcard design against the print layout before it is
+ * saved: text must sit inside the safe zone, the back must keep the USPS
+ * address/indicia area clear, and images, font sizes and text contrast must
+ * hold up at 300 DPI. Merge fields must be ones the send functions can fill.
+ *
+ * Guides and checks work in editor canvas coordinates, mapped to the printed
+ * card with the same layout the PDF renderer uses (see utils/postcardPdf.js).
+ */
+
+import { Color, FabricImage, FabricText, StaticCanvas } from 'fabric';
+import { getUnknownMergeFields } from './mergeFields';
+import { getPrintLayout, getPrintSpec, PRINT_DPI } from './postcardPdf';
+
+// Keep text this far inside the trim line so the cutter can't clip it
+export const SAFE_MARGIN_INCHES = 0.125;
+
+// Back-page area PostGrid prints the recipient address, return address and
+// postage indicia into, anchored to the bottom-right safe-zone corner
+export const ADDRESS_BLOCK_INCHES = {
+  '6x4': { width: 3.5, height: 2 },
+  '9x6': { width: 4, height: 2.5 },
+  '11x6': { width: 4, height: 2.5 }
+};
+
+export const PREFLIGHT_LIMITS = {
+  minImageDpi: 150,         // error below
+  recommendedImageDpi: 250, // warning below
+  minFontPt: 6,             // error below
+  recommendedFontPt: 8,     // warning below
+  minContrast: 3            // warning below (WCAG ratio, 1-21)
+};
+
+// Objects covering this much of the card are backgrounds, which may run under
+// the address block
+const BACKGROUND_COVERAGE = 0.95;
+
+/**
+ * Print guides for a design canvas, in canvas coordinates
+ * @param {Object} designSize - { width, height } of the editor canvas
+ * @param {string} size - PostGrid size, e.g. '6x4'
+ * @returns {Object} { bleed, trim, safe, addressBlock, printScale } - rects are
+ *   { left, top, width, height }; printScale converts canvas px to print px
+ */
+export function getPrintGuides(designSize, size) {
+  const spec = getPrintSpec(size);
+  const layout = getPrintLayout(designSize, spec);
+
+  // Print-pixel rect (inset from the bleed edge) -> canvas rect
+  const toCanvas = (insetPx) => ({
+    left: (insetPx - layout.offsetX) / layout.scale,
+    top: (insetPx - layout.offsetY) / layout.scale,
+    width: (spec.widthPx - insetPx * 2) / layout.scale,
+    height: (spec.heightPx - insetPx * 2) / layout.scale
+  });
+
+  const safe = toCanvas(spec.bleedPx + SAFE_MARGIN_INCHES * PRINT_DPI);
+  const block = ADDRESS_BLOCK_INCHES[size];
+  const blockWidth = block.width * PRINT_DPI / layout.scale;
+  const blockHeight = block.height * PRINT_DPI / layout.scale;
+
+  return {
+    bleed: toCanvas(0),
+    trim: toCanvas(spec.bleedPx),
+    safe,
+    addressBlock: {
+      left: safe.left + safe.width - blockWidth,
+      top: safe.top + safe.height - blockHeight,
+      width: blockWidth,
+      height: blockHeight
+    },
+    printScale: layout.scale
+  };
+}
+
+/**
+ * Reshape an editor canvas to a postcard size's proportions
+ * Keeps the canvas width and sets the height from the size's bleed box, then
+ * scales the objects to cover the new canvas (centered) - the same cover
+ * layout the PDF renderer uses, so what prints doesn't move, but the guides
+ * now frame the whole canvas.
+ * @param {fabric.Canvas} canvas - Editor canvas with a page loaded
+ * @param {string} size - PostGrid size, e.g. '6x4'
+ */
+export function fitCanvasToPrintSize(canvas, size) {
+  const spec = getPrintSpec(size);
+  const oldWidth = canvas.getWidth();
+  const oldHeight = canvas.getHeight();
+  const width = oldWidth;
+  const height = Math.round(width * spec.heightPx / spec.widthPx);
+
+  if (height === oldHeight) return;
+
+  const scale = Math.max(width / oldWidth, height / oldHeight);
+  const offsetX = (width - oldWidth * scale) / 2;
+  const offsetY = (height - oldHeight * scale) / 2;
+
+  canvas.setDimensions({ width, height });
+
+  canvas.getObjects().forEach(obj => {
+    obj.set({
+      left: obj.left * scale + offsetX,
+      top: obj.top * scale + offsetY,
+      scaleX: obj.scaleX * scale,
+      scaleY: obj.scaleY * scale
+    });
+    obj.setCoords();
+  });
+
+  canvas.requestRenderAll();
+}
+
+/**
+ * Draw print guides onto a canvas 2D context (canvas coordinates)
+ * Bleed is dashed red, trim solid red, safe zone dashed green; the address
+ * block is shaded on the back page.
+ * @param {CanvasRenderingContext2D} ctx - Context to draw on
+ * @param {Object} guides - From getPrintGuides()
+ * @param {string} page - 'front' or 'back'
+ */
+export function drawPrintGuides(ctx, guides, page) {
+  const strokeRect = (rect, color, dash) => {
+    ctx.setLineDash(dash);
+    ctx.strokeStyle = color;
+    ctx.strokeRect(rect.left, rect.top, rect.width, rect.height);
+  };
+
+  ctx.save();
+  ctx.lineWidth = 1;
+
+  if (page === 'back') {
+    const block = guides.addressBlock;
+    ctx.fillStyle = 'rgba(59, 130, 246, 0.15)';
+    ctx.fillRect(block.left, block.top, block.width, block.height);
+    strokeRect(block, '#3B82F6', []);
+    ctx.fillStyle = '#3B82F6';
+    ctx.font = '11px sans-serif';
+    ctx.fillText('Address & postage area', block.left + 6, block.top + 14);
+  }
+
+  strokeRect(guides.bleed, '#EF4444', [4, 4]);
+  strokeRect(guides.trim, '#EF4444', []);
+  strokeRect(guides.safe, '#10B981', [6, 3]);
+
+  ctx.restore();
+}
+
+function contains(outer, inner) {
+  return inner.left >= outer.left &&
+    inner.top >= outer.top &&
+    inner.left + inner.width <= outer.left + outer.width &&
+    inner.top + inner.height <= outer.top + outer.height;
+}
+
+function overlaps(a, b) {
+  return a.left < b.left + b.width &&
+    b.left < a.left + a.width &&
+    a.top < b.top + b.height &&
+    b.top < a.top + a.height;
+}
+
+function isTextObject(obj) {
+  return obj instanceof FabricText || Boolean(obj.psdMetadata?.isTextLayer);
+}
+
+function describeObject(obj) {
+  if (obj.name) return obj.name;
+  if (obj instanceof FabricText) return `"${obj.text.slice(0, 24)}"`;
+  return obj instanceof FabricImage ? 'Image' : 'Shape';
+}
+
+// WCAG relative luminance of an [r, g, b] color
+function luminance([r, g, b]) {
+  const channel = (c) => {
+    const s = c / 255;
+    return s <= 0.03928 ? s / 12.92 : Math.pow((s + 0.055) / 1.055, 2.4);
+  };
+
+  return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+}
+
+function contrastRatio(a, b) {
+  const [light, dark] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+  return (light + 0.05) / (dark + 0.05);
+}
+
+// Average color of a rect of image data, sampling every 4th pixel each way
+function averageColor(imageData, rect) {
+  const left = Math.max(0, Math.floor(rect.left));
+  const top = Math.max(0, Math.floor(rect.top));
+  const right = Math.min(imageData.width, Math.ceil(rect.left + rect.width));
+  const bottom = Math.min(imageData.height, Math.ceil(rect.top + rect.height));
+  const sum = [0, 0, 0];
+  let count = 0;
+
+  for (let y = top; y < bottom; y += 4) {
+    for (let x = left; x < right; x += 4) {
+      const i = (y * imageData.width + x) * 4;
+      sum[0] += imageData.data[i];
+      sum[1] += imageData.data[i + 1];
+      sum[2] += imageData.data[i + 2];
+      count++;
+    }
+  }
+
+  return count > 0 ? sum.map(c => c / count) : null;
+}
+
+// What the canvas looks like with its text removed, for contrast checks.
+// Null if the canvas can't be read back (cross-origin images).
+function renderWithoutText(canvas) {
+  try {
+    const el = canvas.toCanvasElement(1, { filter: obj => !isTextObject(obj) });
+    return el.getContext('2d').getImageData(0, 0, el.width, el.height);
+  } catch (error) {
+    console.warn('[Preflight] Contrast check skipped:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Check one page of a design on a Fabric canvas
+ * @param {fabric.StaticCanvas} canvas - Canvas holding the page
+ * @param {Object} options
+ * @param {string} options.page - 'front' or 'back'
+ * @param {string} options.size - PostGrid size, e.g. '6x4'
+ * @param {Object} options.designSize - Editor canvas size (default: this canvas's size)
+ * @returns {Array} Issues: { page, objectIndex, severity ('error'|'warning'), check, message }
+ */
+export function checkPage(canvas, { page, size, designSize }) {
+  const guides = getPrintGuides(designSize || { width: canvas.getWidth(), height: canvas.getHeight() }, size);
+  const trimArea = guides.trim.width * guides.trim.height;
+  const issues = [];
+  let background;
+
+  const add = (obj, index, severity, check, message) => {
+    issues.push({ page, objectIndex: index, severity, check, message: `${describeObject(obj)}: ${message}` });
+  };
+
+  canvas.getObjects().forEach((obj, index) => {
+    if (!obj.visible || obj.opacity === 0) return;
+
+    const bounds = obj.getBoundingRect();
+
+    // Entirely in the bleed or the cropped margin: never printed
+    if (!overlaps(bounds, guides.trim)) return;
+
+    if (isTextObject(obj) && !contains(guides.safe, bounds)) {
+      add(obj, index, 'error', 'safe_zone', 'text runs outside the safe zone and may be trimmed');
+    }
+
+    const isBackground = bounds.width * bounds.height >= trimArea * BACKGROUND_COVERAGE;
+
+    if (page === 'back' && !isBackground && overlaps(bounds, guides.addressBlock)) {
+      add(obj, index, 'error', 'address_block', 'overlaps the address & postage area');
+    }
+
+    if (obj instanceof FabricImage) {
+      const dpi = Math.round(PRINT_DPI / (Math.max(Math.abs(obj.scaleX), Math.abs(obj.scaleY)) * guides.printScale));
+
+      if (dpi < PREFLIGHT_LIMITS.minImageDpi) {
+        add(obj, index, 'error', 'image_resolution', `prints at ${dpi} DPI (needs ${PREFLIGHT_LIMITS.minImageDpi}+)`);
+      } else if (dpi < PREFLIGHT_LIMITS.recommendedImageDpi) {
+        add(obj, index, 'warning', 'image_resolution', `prints at ${dpi} DPI and may look soft`);
+      }
+    }
+
+    if (obj instanceof FabricText) {
+      const unknown = getUnknownMergeFields(obj.text);
+
+      if (unknown.length > 0) {
+        add(obj, index, 'error', 'merge_field', `unknown merge field ${unknown.map(key => `{{${key}}}`).join(', ')}`);
+      }
+
+      const points = obj.fontSize * Math.abs(obj.scaleY) * guides.printScale / PRINT_DPI * 72;
+      const rounded = Math.round(points * 10) / 10;
+
+      if (points < PREFLIGHT_LIMITS.minFontPt) {
+        add(obj, index, 'error', 'font_size', `${rounded}pt text is too small to print (min ${PREFLIGHT_LIMITS.minFontPt}pt)`);
+      } else if (points < PREFLIGHT_LIMITS.recommendedFontPt) {
+        add(obj, index, 'warning', 'font_size', `${rounded}pt text may be hard to read`);
+      }
+
+      if (typeof obj.fill === 'string' && obj.text.trim()) {
+        if (background === undefined) background = renderWithoutText(canvas);
+
+        const behind = background && averageColor(background, bounds);
+        const [r, g, b, a] = new Color(obj.fill).getSource();
+
+        if (behind && a > 0) {
+          const ratio = contrastRatio([r, g, b], behind);
+
+          if (ratio < PREFLIGHT_LIMITS.minContrast) {
+            add(obj, index, 'warning', 'contrast', `low contrast with its background (${ratio.toFixed(1)}:1)`);
+          }
+        }
+      }
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * Check every page of a saved design, the same pages the print PDF renders
+ * @param {Object} designJSON - { pages: { front, back }, isDoubleSided, canvasSize }
+ * @param {Object} options
+ * @param {string} options.size - PostGrid size, e.g. '6x4'
+ * @returns {Promise<Array>} Issues from checkPage(), front first
+ */
+export async function preflightDesign(designJSON, { size }) {
+  const { width, height } = designJSON.canvasSize;
+  const pages = designJSON.isDoubleSided ? ['front', 'back'] : ['front'];
+  const issues = [];
+
+  for (const page of pages) {
+    if (!designJSON.pages?.[page]) continue;
+
+    const canvas = new StaticCanvas(undefined, {
+      width,
+      height,
+      enableRetinaScaling: false,
+      renderOnAddRemove: false
+    });
+
+    try {
+      await canvas.loadFromJSON(designJSON.pages[page]);
+      issues.push(...checkPage(canvas, { page, size }));
+    } finally {
+      await canvas.dispose();
+    }
+  }
+
+  return issues;
+}
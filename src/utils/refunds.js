@@ -0,0 +1,75 @@
+/**
+ * Refund Utilities
+ * Reason picklist and amount helpers for admin refunds. Mirrors
+ * REFUND_REASONS in supabase/functions/_shared/transactionRefunds.ts;
+ * keep the two in step.
+ */
+
+import { dollarsToCents, formatPrice } from './pricing';
+
+export const REFUND_REASONS = {
+  customer_request: 'Customer request',
+  duplicate_charge: 'Duplicate charge',
+  billing_error: 'Billing error',
+  postcard_not_delivered: 'Postcard not delivered',
+  service_issue: 'Service or print quality issue',
+  fraudulent: 'Fraudulent charge',
+  other: 'Other'
+};
+
+export const REFUNDABLE_TRANSACTION_STATUSES = ['succeeded', 'partially_refunded'];
+
+/**
+ * What is left to refund on a transaction, in cents
+ * @param {Object} transaction - { amount_cents, refund_amount_cents }
+ * @returns {number}
+ */
+export const getRefundableCents = (transaction) => {
+  return Math.max(0, (transaction?.amount_cents || 0) - (transaction?.refund_amount_cents || 0));
+};
+
+/**
+ * Whether an admin can refund (more of) a transaction
+ * Wallet-paid transactions are refunded to the wallet, others need a Stripe payment
+ */
+export const isRefundable = (transaction) => {
+  return REFUNDABLE_TRANSACTION_STATUSES.includes(transaction?.status) &&
+    (transaction.billing_reason === 'wallet_debit' || Boolean(transaction.stripe_payment_intent_id)) &&
+    getRefundableCents(transaction) > 0;
+};
+
+/**
+ * The refund's note, or its reason label when there is none
+ * @param {Object} refund - transaction_refunds row
+ */
+export const describeRefund = (refund) => {
+  return refund.note || REFUND_REASONS[refund.reason] || refund.reason;
+};
+
+/**
+ * Check a refund form
+ * @param {Object} form - { amount (dollars, as typed), reason, note }
+ * @param {number} refundableCents - What is left to refund
+ * @returns {string|null} Error message, or null if valid
+ */
+export const validateRefund = ({ amount, reason, note }, refundableCents) => {
+  const amountCents = dollarsToCents(parseFloat(amount));
+
+  if (amountCents <= 0) {
+    return 'Enter an amount greater than $0.00';
+  }
+
+  if (amountCents > refundableCents) {
+    return `At most ${formatPrice(refundableCents / 100)} can be refunded`;
+  }
+
+  if (!REFUND_REASONS[reason]) {
+    return 'Choose a refund reason';
+  }
+
+  if (reason === 'other' && !note?.trim()) {
+    return 'Add a note explaining the refund';
+  }
+
+  return null;
+};
@@ -0,0 +1,335 @@
+/**
+ * Monthly Statement Utilities
+ * Builds and renders per-user monthly statements: every postcard mailed in the
+ * month (recipient city/ZIP, PostGrid ID, charge) and every card payment.
+ *
+ * statementService loads the data; rendering is plain HTML with inline styles
+ * so the same markup can be downloaded (and printed to PDF from the browser)
+ * and emailed.
+ */
+
+import { formatPrice, centsToDollars } from './pricing';
+
+export const BILLING_REASON_LABELS = {
+  campaign_approval: 'Campaign Approval',
+  campaign_launch: 'Campaign Launch',
+  new_mover_addition: 'New Mover Postcard',
+  daily_batch: 'Daily Postcard Batch',
+  blast_send: 'Blast',
+  wallet_top_up: 'Balance Top-Up',
+  wallet_debit: 'Paid from Balance',
+  manual_charge: 'Manual Charge',
+  retry: 'Payment Retry'
+};
+
+/**
+ * Get the UTC date range for a statement month
+ * @param {string} month - Month as YYYY-MM
+ * @returns {Object} { month, start, end, label } - end is exclusive (first day of the next month)
+ */
+export function getStatementPeriod(month) {
+  const match = /^(\d{4})-(\d{2})$/.exec(month || '');
+
+  if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+    throw new Error(`Invalid statement month: ${month}`);
+  }
+
+  const year = Number(match[1]);
+  const monthIndex = Number(match[2]) - 1;
+  const start = new Date(Date.UTC(year, monthIndex, 1));
+  const end = new Date(Date.UTC(year, monthIndex + 1, 1));
+
+  return {
+    month,
+    start: start.toISOString(),
+    end: end.toISOString(),
+    label: start.toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' })
+  };
+}
+
+/**
+ * List recent statement months, newest first
+ * @param {number} count - Number of months (default: 12)
+ * @returns {Array} [{ value: 'YYYY-MM', label: 'Month YYYY' }]
+ */
+export function getRecentStatementMonths(count = 12) {
+  const now = new Date();
+
+  return Array.from({ length: count }, (_, i) => {
+    const date = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - i, 1));
+    const value = date.toISOString().slice(0, 7);
+    return { value, label: getStatementPeriod(value).label };
+  });
+}
+
+/**
+ * How a mailed postcard was paid for, from its pending_charges row
+ * (the poller writes one per mailed postcard, however it was billed)
+ */
+function getPostcardPayment(charge, transaction) {
+  if (transaction?.status === 'refunded') return 'Refunded';
+  if (!charge) return 'Not billed';
+  if (charge.failed_at) return 'Payment failed';
+  if (!charge.processed) return 'Pending';
+  if (charge.metadata?.paid_from_wallet) return 'Balance';
+  if (charge.stripe_payment_intent_id) return 'Daily batch';
+  return 'Card';
+}
+
+/**
+ * How a postcard mailed by a blast was paid for, from the blast's single
+ * transaction (see dispatch-scheduled-blasts)
+ */
+function getBlastPostcardPayment(transaction) {
+  if (!transaction) return 'Pending';
+  if (transaction.status === 'refunded') return 'Refunded';
+  if (transaction.status === 'failed') return 'Payment failed';
+  if (transaction.billing_reason === 'wallet_debit') return 'Balance';
+  return 'Card';
+}
+
+/**
+ * Assemble a statement from raw rows
+ * @param {Object} data
+ * @param {Object} data.customer - { userId, name, email }
+ * @param {Object} data.period - From getStatementPeriod()
+ * @param {Array} data.transactions - transactions rows created in the month
+ * @param {Array} data.postcards - newmover rows mailed in the month (with campaign_name);
+ *   postcards mailed by blasts carry blast: true and their blast's transaction
+ * @param {Array} data.charges - pending_charges rows for those postcards
+ * @returns {Object} Statement with postcard lines, payment lines and totals (dollars)
+ */
+export function buildStatement({ customer, period, transactions = [], postcards = [], charges = [] }) {
+  const chargesByMover = {};
+  for (const charge of charges) {
+    const moverId = charge.metadata?.new_mover_id;
+    if (moverId) chargesByMover[moverId] = charge;
+  }
+
+  const transactionsById = {};
+  for (const transaction of transactions) {
+    transactionsById[transaction.id] = transaction;
+  }
+
+  const postcardLines = postcards.map((mover) => {
+    if (mover.blast) {
+      const transaction = mover.blast_transaction;
+
+      return {
+        id: mover.id,
+        date: mover.postcard_sent_at,
+        campaignName: mover.campaign_name || '',
+        city: mover.city || '',
+        state: mover.state || '',
+        zipCode: mover.zip_code || '',
+        postgridId: mover.postgrid_postcard_id || '',
+        amount: transaction?.new_mover_count
+          ? centsToDollars(transaction.amount_cents / transaction.new_mover_count)
+          : null,
+        payment: getBlastPostcardPayment(transaction)
+      };
+    }
+
+    const charge = chargesByMover[mover.id];
+    const payment = getPostcardPayment(charge, transactionsById[mover.transaction_id]);
+
+    return {
+      id: mover.id,
+      date: mover.postcard_sent_at,
+      campaignName: mover.campaign_name || '',
+      city: mover.city || '',
+      state: mover.state || '',
+      zipCode: mover.zip_code || '',
+      postgridId: mover.postgrid_postcard_id || '',
+      amount: charge ? centsToDollars(charge.amount_cents) : null,
+      payment
+    };
+  });
+
+  // Wallet debits are already listed as postcards; everything else hit the card
+  const paymentLines = transactions
+    .filter((transaction) => transaction.billing_reason !== 'wallet_debit')
+    .map((transaction) => ({
+      id: transaction.id,
+      date: transaction.created_at,
+      description: [
+        BILLING_REASON_LABELS[transaction.billing_reason] || transaction.billing_reason || 'Payment',
+        transaction.campaigns?.campaign_name
+      ].filter(Boolean).join(' - '),
+      amount: centsToDollars(transaction.amount_cents),
+      refunded: centsToDollars(transaction.refund_amount_cents || 0),
+      status: transaction.status,
+      card: transaction.payment_method_last4
+        ? `${transaction.payment_method_brand || 'Card'} •••• ${transaction.payment_method_last4}`
+        : '',
+      receiptUrl: transaction.receipt_url || null
+    }));
+
+  const sum = (lines, key) => lines.reduce((total, line) => total + (line[key] || 0), 0);
+  const billedPostcards = postcardLines.filter((line) => line.payment !== 'Refunded');
+  const settledPayments = paymentLines.filter((line) => line.status !== 'failed');
+
+  return {
+    customer,
+    period,
+    generatedAt: new Date().toISOString(),
+    postcards: postcardLines,
+    payments: paymentLines,
+    totals: {
+      postcardCount: postcardLines.length,
+      postcardCharges: sum(billedPostcards, 'amount'),
+      pendingCharges: sum(postcardLines.filter((line) => line.payment === 'Pending'), 'amount'),
+      paidFromBalance: sum(postcardLines.filter((line) => line.payment === 'Balance'), 'amount'),
+      cardPayments: sum(settledPayments, 'amount'),
+      refunds: sum(paymentLines, 'refunded')
+    }
+  };
+}
+
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const formatStatementDate = (dateString) => {
+  if (!dateString) return '';
+  return new Date(dateString).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    timeZone: 'UTC'
+  });
+};
+
+const CELL = 'padding: 8px 10px; border-bottom: 1px solid #e2e8f0; text-align: left; font-size: 13px;';
+const HEAD = `${CELL} background: #f7fafc; color: #4a5568; font-weight: 600;`;
+const AMOUNT = 'text-align: right; white-space: nowrap;';
+
+/**
+ * Render one statement as an HTML fragment (no <html>/<body>)
+ * @param {Object} statement - From buildStatement()
+ * @returns {string} HTML
+ */
+export function renderStatementHtml(statement) {
+  const { customer, period, postcards, payments, totals } = statement;
+
+  const postcardRows = postcards.length > 0
+    ? postcards.map((line) => `
+        <tr>
+          <td style="${CELL}">${escapeHtml(formatStatementDate(line.date))}</td>
+          <td style="${CELL}">${escapeHtml(line.campaignName)}</td>
+          <td style="${CELL}">${escapeHtml([line.city, line.state].filter(Boolean).join(', '))}</td>
+          <td style="${CELL}">${escapeHtml(line.zipCode)}</td>
+          <td style="${CELL} font-family: monospace;">${escapeHtml(line.postgridId)}</td>
+          <td style="${CELL}">${escapeHtml(line.payment)}</td>
+          <td style="${CELL} ${AMOUNT}">${line.amount === null ? '—' : formatPrice(line.amount)}</td>
+        </tr>`).join('')
+    : `<tr><td style="${CELL}" colspan="7">No postcards were mailed this month.</td></tr>`;
+
+  const paymentRows = payments.length > 0
+    ? payments.map((line) => `
+        <tr>
+          <td style="${CELL}">${escapeHtml(formatStatementDate(line.date))}</td>
+          <td style="${CELL}">${escapeHtml(line.description)}</td>
+          <td style="${CELL}">${escapeHtml(line.card)}</td>
+          <td style="${CELL}">${escapeHtml(line.status)}${line.refunded > 0 ? ` (${formatPrice(line.refunded)} refunded)` : ''}</td>
+          <td style="${CELL} ${AMOUNT}">${formatPrice(line.amount)}</td>
+        </tr>`).join('')
+    : `<tr><td style="${CELL}" colspan="5">No card payments this month.</td></tr>`;
+
+  const summaryRow = (label, value) => `
+    <tr>
+      <td style="padding: 4px 0; color: #4a5568; font-size: 14px;">${label}</td>
+      <td style="padding: 4px 0; font-size: 14px; font-weight: 600; ${AMOUNT}">${value}</td>
+    </tr>`;
+
+  return `
+    <div class="statement" style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif; color: #2d3748;">
+      <table style="width: 100%; border-collapse: collapse; margin-bottom: 24px;">
+        <tr>
+          <td style="vertical-align: top;">
+            <div style="font-size: 22px; font-weight: 700; color: #20B2AA;">MovePost</div>
+            <div style="font-size: 18px; font-weight: 600; margin-top: 4px;">Statement for ${escapeHtml(period.label)}</div>
+          </td>
+          <td style="vertical-align: top; text-align: right; font-size: 13px; color: #4a5568;">
+            <div style="font-weight: 600; color: #1a202c;">${escapeHtml(customer.name || customer.email)}</div>
+            <div>${escapeHtml(customer.email)}</div>
+            <div>Generated ${escapeHtml(formatStatementDate(statement.generatedAt))}</div>
+          </td>
+        </tr>
+      </table>
+
+      <table style="width: 100%; max-width: 360px; border-collapse: collapse; margin-bottom: 24px;">
+        ${summaryRow('Postcards mailed', totals.postcardCount)}
+        ${summaryRow('Postcard charges', formatPrice(totals.postcardCharges))}
+        ${totals.paidFromBalance > 0 ? summaryRow('Paid from prepaid balance', formatPrice(totals.paidFromBalance)) : ''}
+        ${totals.pendingCharges > 0 ? summaryRow('Not yet billed', formatPrice(totals.pendingCharges)) : ''}
+        ${summaryRow('Card payments', formatPrice(totals.cardPayments))}
+        ${totals.refunds > 0 ? summaryRow('Refunds', `-${formatPrice(totals.refunds)}`) : ''}
+      </table>
+
+      <h3 style="font-size: 15px; margin: 0 0 8px 0;">Postcards</h3>
+      <table style="width: 100%; border-collapse: collapse; margin-bottom: 24px;">
+        <thead>
+          <tr>
+            <th style="${HEAD}">Mailed</th>
+            <th style="${HEAD}">Campaign</th>
+            <th style="${HEAD}">Recipient City</th>
+            <th style="${HEAD}">ZIP</th>
+            <th style="${HEAD}">PostGrid ID</th>
+            <th style="${HEAD}">Paid With</th>
+            <th style="${HEAD} ${AMOUNT}">Charge</th>
+          </tr>
+        </thead>
+        <tbody>${postcardRows}</tbody>
+      </table>
+
+      <h3 style="font-size: 15px; margin: 0 0 8px 0;">Card Payments</h3>
+      <table style="width: 100%; border-collapse: collapse;">
+        <thead>
+          <tr>
+            <th style="${HEAD}">Date</th>
+            <th style="${HEAD}">Description</th>
+            <th style="${HEAD}">Card</th>
+            <th style="${HEAD}">Status</th>
+            <th style="${HEAD} ${AMOUNT}">Amount</th>
+          </tr>
+        </thead>
+        <tbody>${paymentRows}</tbody>
+      </table>
+    </div>`;
+}
+
+/**
+ * Render statements as a standalone HTML document, one per printed page
+ * @param {Array} statements - From buildStatement()
+ * @returns {string} HTML document
+ */
+export function renderStatementDocument(statements) {
+  const title = statements.length === 1
+    ? `MovePost Statement - ${statements[0].period.label}`
+    : `MovePost Statements - ${statements[0]?.period.label || ''}`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { margin: 0; padding: 32px; background: white; }
+    .statement + .statement { margin-top: 48px; }
+    @media print {
+      body { padding: 0; }
+      .statement + .statement { margin-top: 0; page-break-before: always; }
+    }
+  </style>
+</head>
+<body>
+${statements.map(renderStatementHtml).join('\n')}
+</body>
+</html>`;
+}
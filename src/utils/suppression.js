@@ -0,0 +1,142 @@
+/**
+ * Suppression List Utilities
+ * Entry types, labels and CSV import/export for do-not-mail lists.
+ * Matching itself happens in the database (find_suppression), which
+ * normalizes addresses on save; street lines are USPS-standardized here
+ * first so "123 North Main Street" matches a mover at "123 N MAIN ST".
+ */
+
+import { parseCsvRecords, toCsv } from './csv';
+import { standardizeStreetLine } from './addressFormatter';
+
+export const SUPPRESSION_MATCH_TYPES = {
+  address: 'Address',
+  address_key: 'Melissa address key',
+  zip4: 'ZIP+4'
+};
+
+export const SUPPRESSION_REASONS = {
+  opt_out: 'Opted out',
+  existing_customer: 'Existing customer',
+  legal: 'Legal request',
+  returned_mail: 'Returned mail',
+  other: 'Other'
+};
+
+export const SUPPRESSION_CSV_COLUMNS = ['type', 'address_line', 'zip_code', 'melissa_address_key', 'reason', 'note'];
+
+const ZIP_PATTERN = /^\d{5}(-?\d{4})?$/;
+const ZIP4_PATTERN = /^\d{5}-?\d{4}$/;
+
+/**
+ * Check an entry's fields for its match type
+ * @param {Object} entry - { match_type, address_line, zip_code, melissa_address_key, reason }
+ * @returns {string|null} Error message, or null if valid
+ */
+export const validateSuppressionEntry = (entry) => {
+  if (!SUPPRESSION_MATCH_TYPES[entry.match_type]) {
+    return `Unknown type "${entry.match_type}"`;
+  }
+
+  if (entry.reason && !SUPPRESSION_REASONS[entry.reason]) {
+    return `Unknown reason "${entry.reason}"`;
+  }
+
+  switch (entry.match_type) {
+    case 'address':
+      if (!entry.address_line) return 'Street address is required';
+      if (!ZIP_PATTERN.test(entry.zip_code || '')) return 'A valid ZIP code is required';
+      return null;
+    case 'address_key':
+      return entry.melissa_address_key ? null : 'Melissa address key is required';
+    case 'zip4':
+      return ZIP4_PATTERN.test(entry.zip_code || '') ? null : 'A ZIP+4 (e.g. 90210-1234) is required';
+    default:
+      return null;
+  }
+};
+
+/**
+ * Build a savable entry from form or CSV fields, inferring the type when
+ * it isn't given (address key, then full address, then ZIP+4)
+ * @param {Object} fields - Raw fields
+ * @returns {Object} Entry
+ */
+export const toSuppressionEntry = (fields) => {
+  const addressLine = fields.address_line?.trim() || '';
+  const zipCode = fields.zip_code?.trim() || '';
+  const addressKey = fields.melissa_address_key?.trim() || '';
+
+  let matchType = fields.match_type || fields.type?.trim().toLowerCase();
+  if (!matchType) {
+    if (addressKey) matchType = 'address_key';
+    else if (addressLine) matchType = 'address';
+    else matchType = 'zip4';
+  }
+
+  return {
+    match_type: matchType,
+    address_line: matchType === 'address' ? standardizeStreetLine(addressLine).line : null,
+    zip_code: matchType === 'address_key' ? null : zipCode,
+    melissa_address_key: matchType === 'address_key' ? addressKey : null,
+    reason: fields.reason?.trim().toLowerCase() || 'opt_out',
+    note: fields.note?.trim() || null
+  };
+};
+
+/**
+ * Parse a suppression CSV (columns as in SUPPRESSION_CSV_COLUMNS; `type`
+ * and `reason` may be left blank)
+ * @param {string} text - CSV text
+ * @returns {{ entries: Array, errors: Array<string> }} Valid entries and per-row errors
+ */
+export const parseSuppressionCsv = (text) => {
+  const entries = [];
+  const errors = [];
+
+  parseCsvRecords(text).forEach(record => {
+    const entry = toSuppressionEntry(record);
+    const error = validateSuppressionEntry(entry);
+
+    if (error) {
+      errors.push(`Row ${record.row}: ${error}`);
+    } else {
+      entries.push(entry);
+    }
+  });
+
+  return { entries, errors };
+};
+
+/**
+ * Build a suppression CSV that parseSuppressionCsv can import again
+ * @param {Array} entries - suppression_entries rows
+ * @returns {string} CSV text
+ */
+export const suppressionsToCsv = (entries) => toCsv(
+  SUPPRESSION_CSV_COLUMNS,
+  entries.map(entry => [
+    entry.match_type,
+    entry.address_line,
+    entry.zip_code,
+    entry.melissa_address_key,
+    entry.reason,
+    entry.note
+  ])
+);
+
+/**
+ * What an entry matches, for display
+ * @param {Object} entry - suppression_entries row
+ * @returns {string} e.g. "123 Main St, 90210"
+ */
+export const formatSuppressionValue = (entry) => {
+  switch (entry.match_type) {
+    case 'address':
+      return `${entry.address_line}, ${entry.zip_code}`;
+    case 'address_key':
+      return entry.melissa_address_key;
+    default:
+      return entry.zip_code;
+  }
+};
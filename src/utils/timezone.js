@@ -0,0 +1,137 @@
+/**
+ * Time Zone Utilities
+ * Converts between wall-clock times in a user's IANA time zone and UTC
+ * instants, using only Intl (no time zone database is bundled)
+ */
+
+/**
+ * Check whether a string is an IANA time zone Intl understands
+ * @param {string} timeZone - e.g. 'America/Chicago'
+ * @returns {boolean} True if valid
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Time zone to schedule in: the profile's time zone, else the browser's.
+ * profileService reports 'UTC' when the user never picked one, and the
+ * Profile page only offers US zones, so 'UTC' is treated as unset.
+ * @param {string} profileTimeZone - profile.timezone
+ * @returns {string} IANA time zone
+ */
+export function resolveTimeZone(profileTimeZone) {
+  if (profileTimeZone && profileTimeZone !== 'UTC' && isValidTimeZone(profileTimeZone)) {
+    return profileTimeZone;
+  }
+
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * Wall-clock parts of an instant in a time zone
+ * @param {Date|string} instant - Date or ISO string
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { year, month, day, hour, minute, second } (month is 1-12)
+ */
+export function getZonedParts(instant, timeZone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+
+  const parts = Object.fromEntries(
+    formatter.formatToParts(new Date(instant))
+      .filter(part => part.type !== 'literal')
+      .map(part => [part.type, parseInt(part.value, 10)])
+  );
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second
+  };
+}
+
+/**
+ * Milliseconds a time zone is ahead of UTC at an instant
+ */
+function getOffsetMs(instant, timeZone) {
+  const p = getZonedParts(instant, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - (new Date(instant).getTime() - new Date(instant).getMilliseconds());
+}
+
+/**
+ * Convert a wall-clock date and time in a time zone to a UTC instant
+ * A time skipped by a DST change resolves an hour early (2:30 AM on
+ * spring-forward day becomes 1:30 AM standard time).
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:mm
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} The instant
+ */
+export function zonedDateTimeToUtc(date, time, timeZone) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Guess with the offset at the wall-clock time read as UTC, then correct
+  // once in case a DST change lies between the guess and the answer
+  const guess = wallClockAsUtc - getOffsetMs(wallClockAsUtc, timeZone);
+  const corrected = wallClockAsUtc - getOffsetMs(guess, timeZone);
+
+  return new Date(corrected);
+}
+
+/**
+ * Split an instant into the YYYY-MM-DD and HH:mm inputs for a time zone
+ * @param {Date|string} instant - Date or ISO string
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { date, time }
+ */
+export function utcToZonedDateTime(instant, timeZone) {
+  const p = getZonedParts(instant, timeZone);
+  const pad = (n) => String(n).padStart(2, '0');
+
+  return {
+    date: `${p.year}-${pad(p.month)}-${pad(p.day)}`,
+    time: `${pad(p.hour)}:${pad(p.minute)}`
+  };
+}
+
+/**
+ * Format an instant for display in a time zone, with the zone's abbreviation
+ * @param {Date|string} instant - Date or ISO string
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} e.g. 'Tuesday, November 3, 2026 at 9:00 AM CST'
+ */
+export function formatInTimeZone(instant, timeZone) {
+  return new Date(instant).toLocaleString('en-US', {
+    timeZone,
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: true,
+    timeZoneName: 'short'
+  });
+}
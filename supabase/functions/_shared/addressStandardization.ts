@@ -0,0 +1,278 @@
+/**
+ * ADDRESS STANDARDIZATION
+ *
+ * CASS-style rules from USPS Publication 28, run on every mover before it is
+ * mailed (through the offline "rules" verifier in addressVerification.ts,
+ * and as the fallback when a remote verifier is unavailable): uppercase, no
+ * punctuation, standard street suffix, directional and unit abbreviations,
+ * PO Box / rural route / highway contract forms, ZIP and ZIP+4, plus the
+ * issues that make a piece undeliverable.
+ *
+ * Mirrors the USPS standardization in src/utils/addressFormatter.js;
+ * tests/addressStandardization.test.ts runs both on the same addresses.
+ */
+
+export interface MailingAddress {
+  address_line: string
+  city: string
+  state: string
+  zip_code: string
+  zip_plus4?: string | null
+}
+
+export interface StandardizedStreetLine {
+  line: string
+  primary_number: string | null
+  unit: string | null
+  issues: string[]
+}
+
+export interface StandardizedAddress {
+  address: MailingAddress
+  issues: string[]
+  deliverable: boolean
+}
+
+// Street suffixes: standard abbreviation -> other spellings
+const STREET_SUFFIX_SPELLINGS: Record<string, string[]> = {
+  ALY: ['ALLEY', 'ALLEE', 'ALLY'], ANX: ['ANNEX', 'ANEX', 'ANNX'], ARC: ['ARCADE'],
+  AVE: ['AVENUE', 'AV', 'AVEN', 'AVENU', 'AVN', 'AVNUE'], BCH: ['BEACH'], BLF: ['BLUFF', 'BLUF'],
+  BLVD: ['BOULEVARD', 'BOUL', 'BOULV'], BND: ['BEND'], BR: ['BRANCH', 'BRNCH'], BRG: ['BRIDGE', 'BRDGE'],
+  BRK: ['BROOK'], BTM: ['BOTTOM', 'BOT', 'BOTTM'], BYP: ['BYPASS', 'BYPA', 'BYPAS', 'BYPS'],
+  CIR: ['CIRCLE', 'CIRC', 'CIRCL', 'CRCL', 'CRCLE'], CLB: ['CLUB'], CLF: ['CLIFF'], CMN: ['COMMON'],
+  COR: ['CORNER'], CORS: ['CORNERS'], CP: ['CAMP', 'CMP'], CPE: ['CAPE'], CRES: ['CRESCENT', 'CRSENT', 'CRSNT'],
+  CRK: ['CREEK'], CRSE: ['COURSE'], CSWY: ['CAUSEWAY', 'CAUSWA'], CT: ['COURT'],
+  CTR: ['CENTER', 'CEN', 'CENT', 'CENTR', 'CENTRE', 'CNTER', 'CNTR'], CTS: ['COURTS'], CURV: ['CURVE'],
+  CV: ['COVE'], CYN: ['CANYON', 'CANYN', 'CNYN'], DL: ['DALE'], DR: ['DRIVE', 'DRIV', 'DRV'],
+  EST: ['ESTATE'], ESTS: ['ESTATES'], EXPY: ['EXPRESSWAY', 'EXP', 'EXPR', 'EXPRESS', 'EXPW'],
+  EXT: ['EXTENSION', 'EXTN', 'EXTNSN'], FLD: ['FIELD'], FLDS: ['FIELDS'], FLS: ['FALLS'], FLT: ['FLAT'],
+  FLTS: ['FLATS'], FRD: ['FORD'], FRK: ['FORK'], FRKS: ['FORKS'], FRST: ['FOREST', 'FORESTS'],
+  FRY: ['FERRY', 'FRRY'], FT: ['FORT', 'FRT'], FWY: ['FREEWAY', 'FREEWY', 'FRWAY', 'FRWY'],
+  GDN: ['GARDEN', 'GARDN', 'GRDEN', 'GRDN'], GDNS: ['GARDENS', 'GRDNS'], GLN: ['GLEN'], GRN: ['GREEN'],
+  GRV: ['GROVE', 'GROV'], GTWY: ['GATEWAY', 'GATEWY', 'GATWAY', 'GTWAY'], HBR: ['HARBOR', 'HARB', 'HARBR', 'HRBOR'],
+  HL: ['HILL'], HLS: ['HILLS'], HOLW: ['HOLLOW', 'HLLW', 'HOLLOWS', 'HOLWS'], HTS: ['HEIGHTS', 'HT'],
+  HVN: ['HAVEN'], HWY: ['HIGHWAY', 'HIGHWY', 'HIWAY', 'HIWY', 'HWAY'], IS: ['ISLAND', 'ISLND'],
+  ISS: ['ISLANDS', 'ISLNDS'], JCT: ['JUNCTION', 'JCTION', 'JCTN', 'JUNCTN', 'JUNCTON'], KNL: ['KNOLL', 'KNOL'],
+  LK: ['LAKE'], LKS: ['LAKES'], LN: ['LANE'], LNDG: ['LANDING', 'LNDNG'], LOOP: ['LOOPS'], MDW: ['MEADOW'],
+  MDWS: ['MEADOWS', 'MEDOWS'], ML: ['MILL'], MLS: ['MILLS'], MNR: ['MANOR'], MSN: ['MISSION', 'MISSN', 'MSSN'],
+  MT: ['MOUNT', 'MNT'], MTN: ['MOUNTAIN', 'MNTAIN', 'MNTN', 'MOUNTIN', 'MTIN'], ORCH: ['ORCHARD', 'ORCHRD'],
+  PARK: ['PRK', 'PARKS'], PASS: [], PATH: ['PATHS'], PIKE: ['PIKES'],
+  PKWY: ['PARKWAY', 'PARKWY', 'PKWAY', 'PKY', 'PARKWAYS', 'PKWYS'], PL: ['PLACE'], PLN: ['PLAIN'],
+  PLNS: ['PLAINS'], PLZ: ['PLAZA', 'PLZA'], PNE: ['PINE'], PNES: ['PINES'], PR: ['PRAIRIE', 'PRR'],
+  PT: ['POINT'], PTS: ['POINTS'], RD: ['ROAD'], RDG: ['RIDGE', 'RDGE'], RDS: ['ROADS'],
+  RIV: ['RIVER', 'RVR', 'RIVR'], RNCH: ['RANCH', 'RANCHES', 'RNCHS'], ROW: [], RTE: ['ROUTE'], RUN: [],
+  SHR: ['SHORE', 'SHOAR'], SHRS: ['SHORES', 'SHOARS'], SPG: ['SPRING', 'SPNG', 'SPRNG'],
+  SPGS: ['SPRINGS', 'SPNGS', 'SPRNGS'], SQ: ['SQUARE', 'SQR', 'SQRE', 'SQU'], ST: ['STREET', 'STRT', 'STR'],
+  STA: ['STATION', 'STATN', 'STN'], STS: ['STREETS'], TER: ['TERRACE', 'TERR'],
+  TPKE: ['TURNPIKE', 'TRNPK', 'TURNPK'], TRCE: ['TRACE', 'TRACES'], TRL: ['TRAIL', 'TRAILS', 'TRLS'],
+  VIS: ['VISTA', 'VIST', 'VST', 'VSTA'], VLG: ['VILLAGE', 'VILL', 'VILLAG', 'VILLG', 'VILLIAGE'],
+  VLY: ['VALLEY', 'VALLY', 'VLLY'], VW: ['VIEW'], WALK: ['WALKS'], WAY: ['WY'], XING: ['CROSSING', 'CRSSNG'],
+}
+
+const DIRECTIONAL_SPELLINGS: Record<string, string[]> = {
+  N: ['NORTH'], S: ['SOUTH'], E: ['EAST'], W: ['WEST'],
+  NE: ['NORTHEAST'], NW: ['NORTHWEST'], SE: ['SOUTHEAST'], SW: ['SOUTHWEST'],
+}
+
+// Secondary unit designators ("#" is used when the designator is unknown)
+const UNIT_DESIGNATOR_SPELLINGS: Record<string, string[]> = {
+  APT: ['APARTMENT'], BLDG: ['BUILDING'], BSMT: ['BASEMENT'], DEPT: ['DEPARTMENT'], FL: ['FLOOR'],
+  FRNT: ['FRONT'], HNGR: ['HANGAR'], KEY: [], LBBY: ['LOBBY'], LOT: [], LOWR: ['LOWER'], OFC: ['OFFICE'],
+  PH: ['PENTHOUSE'], PIER: [], REAR: [], RM: ['ROOM'], SIDE: [], SLIP: [], SPC: ['SPACE'], STE: ['SUITE'],
+  STOP: [], TRLR: ['TRAILER'], UNIT: [], UPPR: ['UPPER'],
+}
+
+// Designators that don't take a unit number
+const UNITS_WITHOUT_NUMBER = new Set(['BSMT', 'FRNT', 'LBBY', 'LOWR', 'OFC', 'PH', 'REAR', 'SIDE', 'UPPR'])
+
+function toLookup(spellings: Record<string, string[]>): Record<string, string> {
+  const lookup: Record<string, string> = {}
+  for (const [standard, others] of Object.entries(spellings)) {
+    lookup[standard] = standard
+    for (const other of others) lookup[other] = standard
+  }
+  return lookup
+}
+
+const STREET_SUFFIXES = toLookup(STREET_SUFFIX_SPELLINGS)
+const DIRECTIONALS = toLookup(DIRECTIONAL_SPELLINGS)
+const UNIT_DESIGNATORS = toLookup(UNIT_DESIGNATOR_SPELLINGS)
+
+const PO_BOX_PATTERN = /^(?:P\s?O\s?B(?:OX|X)?|POST\s+OFFICE\s+BOX|POST\s+BOX|BOX)\s*(\S*)$/
+const RURAL_ROUTE_PATTERN = /^(?:RURAL\s+(?:ROUTE|RTE|RT)|R\s?R|R\s?F\s?D|(?:ROUTE|RTE|RT)(?=\s*\d+\s+BO?X))\s*(\d+)(?:\s+BO?X\s*(\S+))?$/
+const HIGHWAY_CONTRACT_PATTERN = /^(?:H(?:IGH)?WA?Y\s+CONTRACT|H\s?C|STAR\s+ROUTE)\s*(\d+)(?:\s+BO?X\s*(\S+))?$/
+const GLUED_UNIT_PATTERN = /^(APT|BLDG|FL|LOT|RM|SPC|STE|TRLR|UNIT)(\d+[A-Z]?)$/
+
+// Issues that make a mailing undeliverable; the others are only flagged
+export const UNDELIVERABLE_ADDRESS_ISSUES = [
+  'missing_street', 'missing_primary_number', 'missing_box_number', 'missing_city', 'invalid_state', 'invalid_zip',
+]
+
+const US_STATES: Record<string, string> = {
+  'alabama': 'AL', 'alaska': 'AK', 'arizona': 'AZ', 'arkansas': 'AR',
+  'california': 'CA', 'colorado': 'CO', 'connecticut': 'CT', 'delaware': 'DE',
+  'district of columbia': 'DC', 'florida': 'FL', 'georgia': 'GA', 'hawaii': 'HI',
+  'idaho': 'ID', 'illinois': 'IL', 'indiana': 'IN', 'iowa': 'IA',
+  'kansas': 'KS', 'kentucky': 'KY', 'louisiana': 'LA', 'maine': 'ME',
+  'maryland': 'MD', 'massachusetts': 'MA', 'michigan': 'MI', 'minnesota': 'MN',
+  'mississippi': 'MS', 'missouri': 'MO', 'montana': 'MT', 'nebraska': 'NE',
+  'nevada': 'NV', 'new hampshire': 'NH', 'new jersey': 'NJ', 'new mexico': 'NM',
+  'new york': 'NY', 'north carolina': 'NC', 'north dakota': 'ND', 'ohio': 'OH',
+  'oklahoma': 'OK', 'oregon': 'OR', 'pennsylvania': 'PA', 'rhode island': 'RI',
+  'south carolina': 'SC', 'south dakota': 'SD', 'tennessee': 'TN', 'texas': 'TX',
+  'utah': 'UT', 'vermont': 'VT', 'virginia': 'VA', 'washington': 'WA',
+  'west virginia': 'WV', 'wisconsin': 'WI', 'wyoming': 'WY',
+  'puerto rico': 'PR', 'guam': 'GU', 'virgin islands': 'VI',
+  'american samoa': 'AS', 'northern mariana islands': 'MP',
+}
+
+const US_STATE_CODES = new Set(Object.values(US_STATES))
+
+function collapseWhitespace(value: string | null | undefined): string {
+  return (value || '').trim().replace(/\s+/g, ' ')
+}
+
+function isUnitIdentifier(token: string | undefined): boolean {
+  return /\d/.test(token || '') || /^[A-Z]$/.test(token || '')
+}
+
+/**
+ * Standardize a street line, e.g. "123 North Main Street, Apt. 4B" -> "123 N MAIN ST APT 4B"
+ */
+export function standardizeStreetLine(line: string | null | undefined): StandardizedStreetLine {
+  const cleaned = collapseWhitespace(
+    (line || '').toUpperCase().replace(/'/g, '').replace(/#/g, ' # ').replace(/[^A-Z0-9#/\- ]/g, ' ')
+  )
+
+  if (!cleaned) {
+    return { line: '', primary_number: null, unit: null, issues: ['missing_street'] }
+  }
+
+  const compact = collapseWhitespace(cleaned.replace(/#/g, ' '))
+
+  const poBox = compact.match(PO_BOX_PATTERN)
+  if (poBox) {
+    return {
+      line: collapseWhitespace(`PO BOX ${poBox[1]}`),
+      primary_number: poBox[1] || null,
+      unit: null,
+      issues: poBox[1] ? [] : ['missing_box_number'],
+    }
+  }
+
+  const route = compact.match(RURAL_ROUTE_PATTERN) || compact.match(HIGHWAY_CONTRACT_PATTERN)
+  if (route) {
+    const prefix = compact.match(RURAL_ROUTE_PATTERN) ? 'RR' : 'HC'
+    return {
+      line: `${prefix} ${route[1]}${route[2] ? ` BOX ${route[2]}` : ''}`,
+      primary_number: route[2] || null,
+      unit: null,
+      issues: route[2] ? [] : ['missing_box_number'],
+    }
+  }
+
+  const tokens = cleaned.split(' ').flatMap(token => {
+    const glued = token.match(GLUED_UNIT_PATTERN)
+    return glued ? [glued[1], glued[2]] : [token]
+  })
+  const issues: string[] = []
+
+  // Primary number, including a fraction ("123 1/2")
+  let streetStart = 0
+  let primaryNumber: string | null = null
+  if (/\d/.test(tokens[0])) {
+    streetStart = /^\d+\/\d+$/.test(tokens[1] || '') ? 2 : 1
+    primaryNumber = tokens.slice(0, streetStart).join(' ')
+  } else {
+    issues.push('missing_primary_number')
+  }
+
+  // Secondary unit: a designator followed by an identifier, or a designator
+  // that ends the line right after a suffix or directional
+  let unitStart = tokens.length
+  for (let i = streetStart + 1; i < tokens.length; i++) {
+    const token = tokens[i]
+    const designator = token === '#' ? '#' : UNIT_DESIGNATORS[token]
+    if (!designator) continue
+
+    const previous = tokens[i - 1]
+    const endsLine = i === tokens.length - 1 && (STREET_SUFFIXES[previous] || DIRECTIONALS[previous])
+    if (token === '#' || isUnitIdentifier(tokens[i + 1]) || endsLine) {
+      unitStart = i
+      break
+    }
+  }
+
+  let unit: string | null = null
+  if (unitStart < tokens.length) {
+    const designator = tokens[unitStart] === '#' ? '#' : UNIT_DESIGNATORS[tokens[unitStart]]
+    const identifier = tokens.slice(unitStart + 1).filter(token => token !== '#').join(' ')
+
+    if (!identifier && !UNITS_WITHOUT_NUMBER.has(designator)) {
+      issues.push('missing_unit_number')
+    }
+    // A stray "#" is dropped
+    if (identifier) unit = `${designator} ${identifier}`
+    else if (designator !== '#') unit = designator
+  }
+
+  // Street name: post-directional, suffix and pre-directional, outside in,
+  // never abbreviating the last word of the name itself ("NORTH ST")
+  const street = tokens.slice(streetStart, unitStart)
+  let postDirectional: string | null = null
+  let suffix: string | null = null
+  let preDirectional: string | null = null
+
+  if (street.length >= 2 && DIRECTIONALS[street[street.length - 1]]) {
+    postDirectional = DIRECTIONALS[street.pop()!]
+  }
+  if (street.length >= 2 && STREET_SUFFIXES[street[street.length - 1]]) {
+    suffix = STREET_SUFFIXES[street.pop()!]
+  }
+  if (street.length >= 2 && DIRECTIONALS[street[0]]) {
+    preDirectional = DIRECTIONALS[street.shift()!]
+  }
+
+  if (street.length === 0) {
+    issues.push('missing_street')
+  }
+
+  return {
+    line: [primaryNumber, preDirectional, ...street, suffix, postDirectional, unit].filter(Boolean).join(' '),
+    primary_number: primaryNumber,
+    unit,
+    issues,
+  }
+}
+
+/**
+ * Standardize a mover's address; ZIPs that lost their leading zero in a
+ * spreadsheet are padded back and a ZIP+4 is split into zip_plus4
+ */
+export function standardizeMailingAddress(address: MailingAddress): StandardizedAddress {
+  const street = standardizeStreetLine(address.address_line)
+  const issues = [...street.issues]
+
+  const city = collapseWhitespace(address.city).toUpperCase().replace(/[^A-Z0-9 '-]/g, '')
+  if (!city) issues.push('missing_city')
+
+  const stateInput = collapseWhitespace(address.state).replace(/\./g, '')
+  const state = US_STATES[stateInput.toLowerCase()] || stateInput.toUpperCase()
+  if (!US_STATE_CODES.has(state)) issues.push('invalid_state')
+
+  let zipDigits = `${address.zip_code || ''}${address.zip_plus4 || ''}`.replace(/[^0-9]/g, '')
+  if (zipDigits.length === 4 || zipDigits.length === 8) zipDigits = `0${zipDigits}`
+  if (zipDigits.length !== 5 && zipDigits.length !== 9) issues.push('invalid_zip')
+
+  return {
+    address: {
+      address_line: street.line,
+      city,
+      state,
+      zip_code: zipDigits.slice(0, 5),
+      zip_plus4: zipDigits.length === 9 ? zipDigits.slice(5) : null,
+    },
+    issues,
+    deliverable: !issues.some(issue => UNDELIVERABLE_ADDRESS_ISSUES.includes(issue)),
+  }
+}
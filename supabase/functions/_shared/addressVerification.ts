@@ -0,0 +1,242 @@
+/**
+ * ADDRESS VERIFICATION
+ *
+ * Every mover is verified once, right before its first postcard (poller and
+ * blast dispatcher). A verifier standardizes the address and decides whether
+ * it can be delivered; the outcome is stored on the newmover row:
+ *   - verified_address: what to mail to (standardized, ZIP+4 when known)
+ *   - address_verification_status: verified | corrected | standardized | undeliverable
+ *   - address_verifier, address_verification_issues, address_verified_at
+ * The provider's address_line / city / state / zip_code are left as
+ * delivered, so household keys and suppression matches keep working.
+ * Undeliverable movers are never mailed or charged.
+ *
+ * Verifiers:
+ * - rules: offline USPS Publication 28 rules (see addressStandardization.ts)
+ * - postgrid: PostGrid address verification (CASS), needs
+ *   POSTGRID_ADDRESS_VERIFICATION_API_KEY
+ *
+ * ADDRESS_VERIFIER picks one; without it, postgrid is used when its key is
+ * set. If PostGrid can't be reached the rules verifier stands in, so an
+ * outage never holds up mail.
+ */
+
+import { standardizeMailingAddress, type MailingAddress } from './addressStandardization.ts'
+
+export type AddressVerifierName = 'rules' | 'postgrid'
+
+export type AddressVerificationStatus = 'verified' | 'corrected' | 'standardized' | 'undeliverable'
+
+export interface AddressVerification {
+  status: AddressVerificationStatus
+  verifier: AddressVerifierName
+  address: MailingAddress
+  issues: string[]
+}
+
+export interface AddressVerifier {
+  name: AddressVerifierName
+  verify(address: MailingAddress): Promise<AddressVerification>
+}
+
+/** The newmover columns verification reads and writes */
+export interface VerifiableMover extends MailingAddress {
+  id: string
+  verified_address?: MailingAddress | null
+  address_verification_status?: AddressVerificationStatus | null
+  address_verification_issues?: string[] | null
+  address_verified_at?: string | null
+}
+
+// ============================================================================
+// RULES VERIFIER
+// ============================================================================
+
+function createRulesVerifier(): AddressVerifier {
+  return {
+    name: 'rules',
+
+    async verify(address) {
+      const { address: standardized, issues, deliverable } = standardizeMailingAddress(address)
+
+      return {
+        status: deliverable ? 'standardized' : 'undeliverable',
+        verifier: 'rules',
+        address: standardized,
+        issues,
+      }
+    },
+  }
+}
+
+// ============================================================================
+// POSTGRID VERIFIER
+// ============================================================================
+
+const POSTGRID_VERIFICATION_URL = 'https://api.postgrid.com/v1/addver/verifications'
+
+const POSTGRID_STATUSES: Record<string, AddressVerificationStatus> = {
+  verified: 'verified',
+  corrected: 'corrected',
+  failed: 'undeliverable',
+}
+
+function createPostgridVerifier(): AddressVerifier {
+  const apiKey = Deno.env.get('POSTGRID_ADDRESS_VERIFICATION_API_KEY') || ''
+
+  return {
+    name: 'postgrid',
+
+    async verify(address) {
+      if (!apiKey) {
+        throw new Error('POSTGRID_ADDRESS_VERIFICATION_API_KEY not configured')
+      }
+
+      const response = await fetch(POSTGRID_VERIFICATION_URL, {
+        method: 'POST',
+        headers: {
+          'x-api-key': apiKey,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          address: {
+            line1: address.address_line,
+            city: address.city,
+            provinceOrState: address.state,
+            postalOrZip: address.zip_plus4 ? `${address.zip_code}-${address.zip_plus4}` : address.zip_code,
+            country: 'us',
+          },
+        }),
+      })
+
+      const body = await response.json().catch(() => null)
+      if (!response.ok || body?.status !== 'success') {
+        throw new Error(`PostGrid address verification error: ${body?.message || response.statusText}`)
+      }
+
+      const data = body.data || {}
+      const status = POSTGRID_STATUSES[data.status]
+      if (!status) {
+        throw new Error(`PostGrid address verification returned unknown status: ${data.status}`)
+      }
+
+      // errors is keyed by field, e.g. { line1: ['Missing unit number'] }
+      const issues = Object.values(data.errors || {}).flat().map(String)
+
+      if (status === 'undeliverable') {
+        return { status, verifier: 'postgrid', address: standardizeMailingAddress(address).address, issues }
+      }
+
+      const zipDigits = String(data.postalOrZip || '').replace(/[^0-9]/g, '')
+
+      return {
+        status,
+        verifier: 'postgrid',
+        address: {
+          address_line: [data.line1, data.line2].filter(Boolean).join(' '),
+          city: data.city || address.city,
+          state: data.provinceOrState || address.state,
+          zip_code: zipDigits.slice(0, 5),
+          zip_plus4: data.zipPlus4 || (zipDigits.length === 9 ? zipDigits.slice(5) : null),
+        },
+        issues,
+      }
+    },
+  }
+}
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+const verifierFactories: Record<AddressVerifierName, () => AddressVerifier> = {
+  rules: createRulesVerifier,
+  postgrid: createPostgridVerifier,
+}
+
+const verifierInstances: Partial<Record<AddressVerifierName, AddressVerifier>> = {}
+
+export function isAddressVerifierName(name: unknown): name is AddressVerifierName {
+  return typeof name === 'string' && name in verifierFactories
+}
+
+/**
+ * Get a verifier by name, or the configured one (ADDRESS_VERIFIER)
+ */
+export function getAddressVerifier(name?: string | null): AddressVerifier {
+  const verifierName = name ||
+    Deno.env.get('ADDRESS_VERIFIER') ||
+    (Deno.env.get('POSTGRID_ADDRESS_VERIFICATION_API_KEY') ? 'postgrid' : 'rules')
+
+  if (!isAddressVerifierName(verifierName)) {
+    throw new Error(`Unknown address verifier: ${verifierName}`)
+  }
+
+  if (!verifierInstances[verifierName]) {
+    verifierInstances[verifierName] = verifierFactories[verifierName]()
+  }
+
+  return verifierInstances[verifierName]!
+}
+
+// ============================================================================
+// MOVERS
+// ============================================================================
+
+/**
+ * Verify a mover unless it already was (by an earlier run or the other
+ * sender) and save the outcome on its newmover row. Returns the mover with
+ * the verification columns filled in.
+ */
+export async function verifyMoverAddress<T extends VerifiableMover>(
+  supabase: any,
+  mover: T,
+  verifier: AddressVerifier
+): Promise<T> {
+  if (mover.address_verified_at) return mover
+
+  let verification: AddressVerification
+  try {
+    verification = await verifier.verify(mover)
+  } catch (error: any) {
+    if (verifier.name === 'rules') throw error
+
+    console.error(`   ⚠️  ${verifier.name} address verification failed, using rules:`, error.message)
+    verification = await getAddressVerifier('rules').verify(mover)
+  }
+
+  const fields = {
+    verified_address: verification.address,
+    address_verification_status: verification.status,
+    address_verifier: verification.verifier,
+    address_verification_issues: verification.issues,
+    address_verified_at: new Date().toISOString(),
+  }
+
+  const { error } = await supabase
+    .from('newmover')
+    .update(fields)
+    .eq('id', mover.id)
+
+  if (error) {
+    throw new Error(`Failed to save address verification: ${error.message}`)
+  }
+
+  return { ...mover, ...fields }
+}
+
+export function isUndeliverable(mover: VerifiableMover): boolean {
+  return mover.address_verification_status === 'undeliverable'
+}
+
+export function describeUndeliverable(mover: VerifiableMover): string {
+  const issues = mover.address_verification_issues || []
+  return `Undeliverable address${issues.length ? ` (${issues.join(', ')})` : ''}`
+}
+
+/**
+ * The mover with its verified address in place of the provider's, for mailing
+ */
+export function toMailingAddress<T extends VerifiableMover>(mover: T): T {
+  return mover.verified_address ? { ...mover, ...mover.verified_address } : mover
+}
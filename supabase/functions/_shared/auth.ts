@@ -0,0 +1,79 @@
+/**
+ * REQUEST AUTHENTICATION
+ *
+ * For Edge Functions the app calls with the signed-in user's JWT
+ * (supabase.functions.invoke). Roles come from profile.role, as in
+ * AdminProtectedRoute: 'admin' and 'super_admin' are admins, and blocked
+ * profiles are refused. Pass a service role client; the token is verified
+ * with auth.getUser().
+ */
+
+export const ADMIN_ROLES = ['admin', 'super_admin']
+
+export interface AuthenticatedUser {
+  id: string
+  email: string | null
+  role: string | null
+  isAdmin: boolean
+}
+
+/**
+ * Missing or invalid credentials (401) or a role that may not do this (403)
+ */
+export class AuthError extends Error {
+  status: number
+
+  constructor(message: string, status = 401) {
+    super(message)
+    this.name = 'AuthError'
+    this.status = status
+  }
+}
+
+export async function authenticateRequest(req: Request, supabase: any): Promise<AuthenticatedUser> {
+  const authHeader = req.headers.get('Authorization')
+  if (!authHeader) {
+    throw new AuthError('Unauthorized: Missing authorization header')
+  }
+
+  const token = authHeader.replace('Bearer ', '').trim()
+  const { data: { user }, error: authError } = await supabase.auth.getUser(token)
+
+  if (authError || !user) {
+    throw new AuthError('Unauthorized: Invalid token')
+  }
+
+  const { data: profile, error: profileError } = await supabase
+    .from('profile')
+    .select('role, is_blocked')
+    .eq('user_id', user.id)
+    .maybeSingle()
+
+  if (profileError) {
+    throw new Error(`Failed to load profile: ${profileError.message}`)
+  }
+
+  if (profile?.is_blocked) {
+    throw new AuthError('Forbidden: Account is blocked', 403)
+  }
+
+  return {
+    id: user.id,
+    email: user.email ?? null,
+    role: profile?.role ?? null,
+    isAdmin: ADMIN_ROLES.includes(profile?.role),
+  }
+}
+
+export function requireAdmin(user: AuthenticatedUser): void {
+  if (!user.isAdmin) {
+    throw new AuthError('Forbidden: Admin access required', 403)
+  }
+}
+
+/**
+ * HTTP status for an error thrown while handling a request
+ */
+export function errorStatus(error: any): number {
+  return error instanceof AuthError ? error.status : 500
+}
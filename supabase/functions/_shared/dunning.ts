@@ -0,0 +1,85 @@
+/**
+ * PAYMENT DUNNING
+ *
+ * A mailed postcard the poller could not charge for becomes an open
+ * payment_receivables row, and its owner's dunning_accounts row goes
+ * past_due. process-dunning then notifies the user, retries the open balance
+ * on a schedule and pauses their campaigns after too many failures, until the
+ * balance is collected. Needs a service role client.
+ */
+
+export interface DunningAccount {
+  user_id: string
+  status: 'current' | 'past_due'
+  opened_at: string
+  failed_attempts: number
+  notices_sent: number
+  next_attempt_at: string | null
+  last_attempt_at: string | null
+  last_error: string | null
+  last_notice_at: string | null
+  campaigns_paused_at: string | null
+  resolved_at: string | null
+}
+
+export interface ReceivableInput {
+  userId: string
+  campaignId: string | null
+  newMoverId: string
+  amountCents: number
+  failureReason: string
+}
+
+/**
+ * Record what a mailed, uncharged postcard owes and put its owner into
+ * dunning. Safe to repeat for the same mover.
+ */
+export async function openReceivable(supabase: any, input: ReceivableInput): Promise<DunningAccount> {
+  const { error: receivableError } = await supabase
+    .from('payment_receivables')
+    .upsert({
+      user_id: input.userId,
+      campaign_id: input.campaignId,
+      new_mover_id: input.newMoverId,
+      amount_cents: input.amountCents,
+      failure_reason: input.failureReason,
+    }, { onConflict: 'new_mover_id', ignoreDuplicates: true })
+
+  if (receivableError) {
+    throw new Error(`Failed to record receivable: ${receivableError.message}`)
+  }
+
+  const { data: account, error: accountError } = await supabase
+    .rpc('open_dunning_account', { p_user_id: input.userId })
+
+  if (accountError) {
+    throw new Error(`Failed to open dunning: ${accountError.message}`)
+  }
+
+  return account
+}
+
+/**
+ * The user's dunning row, or null when they have never been past due
+ */
+export async function getDunningAccount(supabase: any, userId: string): Promise<DunningAccount | null> {
+  const { data, error } = await supabase
+    .from('dunning_accounts')
+    .select('*')
+    .eq('user_id', userId)
+    .maybeSingle()
+
+  if (error) {
+    throw new Error(`Failed to load dunning status: ${error.message}`)
+  }
+
+  return data
+}
+
+/**
+ * Whether dunning has paused the account: nothing new may be mailed for it
+ * until the balance is collected
+ */
+export function isDunningPaused(account: DunningAccount | null): boolean {
+  return account?.status === 'past_due' && Boolean(account.campaigns_paused_at)
+}
@@ -0,0 +1,67 @@
+/**
+ * Sample movers for the fixture mover provider (see ../moverProviders.ts).
+ * Kept as a module rather than a data file so it is bundled with every
+ * function that imports the providers when they are deployed.
+ */
+
+export interface FixtureMover {
+  address_key: string
+  full_name?: string
+  address_line: string
+  city: string
+  state: string
+  zip_code: string
+  previous_address_line?: string
+  previous_zip_code?: string
+  phone_number?: string
+  /** ISO date; omitted entries are treated as moving in "now" so they always pass the cutoff */
+  move_effective_date?: string
+}
+
+export const FIXTURE_MOVERS: FixtureMover[] = [
+  {
+    address_key: 'fixture-10001-0001',
+    full_name: 'Jordan Rivera',
+    address_line: '245 W 25th St Apt 4B',
+    city: 'New York',
+    state: 'NY',
+    zip_code: '10001',
+    previous_address_line: '88 Court St',
+    previous_zip_code: '11201',
+  },
+  {
+    address_key: 'fixture-10001-0002',
+    full_name: 'Casey Morgan',
+    address_line: '310 W 30th St',
+    city: 'New York',
+    state: 'NY',
+    zip_code: '10001',
+    phone_number: '2125550142',
+  },
+  {
+    address_key: 'fixture-10001-0003',
+    address_line: '12 W 29th St Unit 7',
+    city: 'New York',
+    state: 'NY',
+    zip_code: '10001',
+  },
+  {
+    address_key: 'fixture-10002-0001',
+    full_name: 'Sam Patel',
+    address_line: '55 Orchard St',
+    city: 'New York',
+    state: 'NY',
+    zip_code: '10002',
+    previous_address_line: '1200 Pacific St',
+    previous_zip_code: '11216',
+  },
+  {
+    address_key: 'fixture-90210-0001',
+    full_name: 'Alex Chen',
+    address_line: '9500 Wilshire Blvd',
+    city: 'Beverly Hills',
+    state: 'CA',
+    zip_code: '90210',
+    move_effective_date: '2024-01-15',
+  },
+]
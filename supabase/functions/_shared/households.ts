@@ -0,0 +1,87 @@
+/**
+ * HOUSEHOLD DE-DUPLICATION
+ *
+ * One postcard per household per campaign, and optionally per account:
+ * campaign_movers links every mover to the campaigns that picked it up
+ * (unique per campaign and household), and accounts can set
+ * profile.household_mail_window_days to stop their campaigns from mailing a
+ * household another of their campaigns mailed within that many days.
+ *
+ * The poller links movers as it saves them (blasts are linked by a trigger
+ * on blast_recipients); both senders call findHouseholdConflict() right
+ * before mailing, next to the suppression check. Household keys are computed
+ * in the database (mover_household_key) so every caller agrees on them.
+ *
+ * campaign_movers only records which campaigns have a household; the send
+ * itself (outbox state, postcard, charge) is the newmover row whose
+ * campaign_id is the mailing campaign, one row per campaign.
+ */
+
+export interface HouseholdConflict {
+  conflict: 'campaign' | 'account'
+  campaign_id: string
+  campaign_name: string | null
+  mailed_at: string | null
+  window_days: number | null
+}
+
+export async function campaignHasHousehold(
+  supabase: any,
+  campaignId: string,
+  mover: { address_line: string; zip_code: string; melissa_address_key?: string | null }
+): Promise<boolean> {
+  const { data, error } = await supabase.rpc('campaign_has_household', {
+    p_campaign_id: campaignId,
+    p_address_key: mover.melissa_address_key || null,
+    p_address_line: mover.address_line,
+    p_zip_code: mover.zip_code,
+  })
+
+  if (error) {
+    throw new Error(`Failed to check campaign households: ${error.message}`)
+  }
+
+  return data === true
+}
+
+/**
+ * Link a saved mover to a campaign. False when the campaign already has the household.
+ */
+export async function linkCampaignMover(supabase: any, campaignId: string, newMoverId: string): Promise<boolean> {
+  const { data, error } = await supabase.rpc('link_campaign_mover', {
+    p_campaign_id: campaignId,
+    p_new_mover_id: newMoverId,
+  })
+
+  if (error) {
+    throw new Error(`Failed to link mover to campaign: ${error.message}`)
+  }
+
+  return data === true
+}
+
+export async function findHouseholdConflict(
+  supabase: any,
+  campaignId: string,
+  newMoverId: string
+): Promise<HouseholdConflict | null> {
+  const { data, error } = await supabase.rpc('find_household_conflict', {
+    p_campaign_id: campaignId,
+    p_new_mover_id: newMoverId,
+  })
+
+  if (error) {
+    throw new Error(`Failed to check household mailings: ${error.message}`)
+  }
+
+  return data?.[0] || null
+}
+
+export function describeHouseholdConflict(conflict: HouseholdConflict): string {
+  if (conflict.conflict === 'campaign') {
+    return 'Household already in this campaign'
+  }
+
+  const mailedOn = conflict.mailed_at ? conflict.mailed_at.split('T')[0] : 'recently'
+  return `Household mailed by "${conflict.campaign_name || conflict.campaign_id}" on ${mailedOn} (within ${conflict.window_days} days)`
+}
@@ -0,0 +1,367 @@
+/**
+ * MAIL PIECE ADJUSTMENTS
+ *
+ * Refunds or credits postcards that were paid for but never delivered:
+ * cancelled before printing, or returned_to_sender by USPS. postgrid-webhook
+ * calls adjustMailPiece() when a postcard reaches either status; what happens
+ * is set per status in mail_piece_adjustment_policies (refund, credit or
+ * none). Each postcard gets at most one mail_piece_adjustments row, linking it
+ * to the charge it was paid with and to the refund or credit, so repeated
+ * events never adjust twice. Needs a service role client.
+ *
+ * Refunds follow the payment, as an admin refund from the transactions page
+ * does: wallet-paid postcards are credited back to the wallet, card charges
+ * are refunded through Stripe (the stripe-webhook charge.refunded handler
+ * then updates the transaction). Blasts are charged once for all their
+ * postcards, so a blast postcard refunds its share of that charge.
+ *
+ * Credits only go to users who already have a wallet. Anyone else is refunded
+ * instead: a credit would create their wallet without card fallback, and the
+ * poller would then hold every new mover until they topped up.
+ */
+
+import { applyWalletEntry } from './wallet.ts'
+
+export type MailPieceAdjustmentAction = 'refund' | 'credit' | 'none'
+
+export const ADJUSTED_MAIL_PIECE_STATUSES = ['cancelled', 'returned_to_sender']
+
+const ADJUSTMENT_REASONS: Record<string, string> = {
+  cancelled: 'Postcard cancelled',
+  returned_to_sender: 'Postcard returned to sender',
+}
+
+// A refund may only come out of a charge that went through
+const REFUNDABLE_TRANSACTION_STATUSES = ['succeeded', 'partially_refunded']
+
+interface MailPiece {
+  userId: string
+  campaignId: string
+  newMoverId: string
+  isBlast: boolean
+}
+
+interface MailPieceCharge {
+  transaction: {
+    id: string
+    billing_reason: string
+    status: string
+    stripe_payment_intent_id: string
+  } | null
+  pendingCharge: { id: string; processed: boolean } | null
+  amountCents: number
+}
+
+const TRANSACTION_COLUMNS = 'id, billing_reason, status, stripe_payment_intent_id, amount_cents, new_mover_count'
+
+// ============================================================================
+// LOOKUPS
+// ============================================================================
+
+/**
+ * The mover and campaign (or blast) a postcard was mailed for
+ */
+async function findMailPiece(supabase: any, postcardId: string): Promise<MailPiece | null> {
+  const { data: recipient } = await supabase
+    .from('blast_recipients')
+    .select('campaign_id, new_mover_id')
+    .eq('postgrid_postcard_id', postcardId)
+    .maybeSingle()
+
+  let piece: { campaign_id: string; new_mover_id: string } | null = recipient
+  let isBlast = true
+
+  if (!piece) {
+    isBlast = false
+
+    const { data: mover } = await supabase
+      .from('newmover')
+      .select('id, campaign_id')
+      .eq('postgrid_postcard_id', postcardId)
+      .maybeSingle()
+
+    piece = mover ? { campaign_id: mover.campaign_id, new_mover_id: mover.id } : null
+  }
+
+  if (!piece) return null
+
+  const { data: campaign, error } = await supabase
+    .from('campaigns')
+    .select('user_id')
+    .eq('id', piece.campaign_id)
+    .single()
+
+  if (error || !campaign) {
+    throw new Error(`Campaign ${piece.campaign_id} not found`)
+  }
+
+  return {
+    userId: campaign.user_id,
+    campaignId: piece.campaign_id,
+    newMoverId: piece.new_mover_id,
+    isBlast,
+  }
+}
+
+/**
+ * What a postcard was paid with and its price, or null if it was never charged
+ */
+async function findMailPieceCharge(supabase: any, piece: MailPiece): Promise<MailPieceCharge | null> {
+  // A blast is one charge for all its postcards
+  if (piece.isBlast) {
+    const { data: transaction } = await supabase
+      .from('transactions')
+      .select(TRANSACTION_COLUMNS)
+      .eq('campaign_id', piece.campaignId)
+      .in('billing_reason', ['blast_send', 'wallet_debit'])
+      .order('created_at', { ascending: true })
+      .limit(1)
+      .maybeSingle()
+
+    if (!transaction) return null
+
+    return {
+      transaction,
+      pendingCharge: null,
+      amountCents: Math.round(transaction.amount_cents / (transaction.new_mover_count || 1)),
+    }
+  }
+
+  const { data: transaction } = await supabase
+    .from('transactions')
+    .select(TRANSACTION_COLUMNS)
+    .eq('metadata->>new_mover_id', piece.newMoverId)
+    .in('billing_reason', ['new_mover_addition', 'wallet_debit'])
+    .order('created_at', { ascending: true })
+    .limit(1)
+    .maybeSingle()
+
+  if (transaction) {
+    return { transaction, pendingCharge: null, amountCents: transaction.amount_cents }
+  }
+
+  // Daily billing: the postcard is a pending charge, billed or not yet
+  const { data: pendingCharge } = await supabase
+    .from('pending_charges')
+    .select('id, processed, transaction_id, amount_cents')
+    .eq('metadata->>new_mover_id', piece.newMoverId)
+    .maybeSingle()
+
+  if (!pendingCharge) return null
+
+  let batchTransaction = null
+  if (pendingCharge.processed && pendingCharge.transaction_id) {
+    const { data } = await supabase
+      .from('transactions')
+      .select(TRANSACTION_COLUMNS)
+      .eq('id', pendingCharge.transaction_id)
+      .maybeSingle()
+
+    batchTransaction = data
+  }
+
+  return {
+    transaction: batchTransaction,
+    pendingCharge: { id: pendingCharge.id, processed: pendingCharge.processed },
+    amountCents: pendingCharge.amount_cents,
+  }
+}
+
+/**
+ * Whether the user pays from a prepaid wallet (has a wallets row)
+ */
+async function hasWallet(supabase: any, userId: string): Promise<boolean> {
+  const { data: wallet, error } = await supabase
+    .from('wallets')
+    .select('user_id')
+    .eq('user_id', userId)
+    .maybeSingle()
+
+  if (error) {
+    throw new Error(`Failed to load wallet: ${error.message}`)
+  }
+
+  return Boolean(wallet)
+}
+
+// ============================================================================
+// ADJUSTMENTS
+// ============================================================================
+
+/**
+ * Take a postcard out of the daily batch it hasn't been billed in yet
+ */
+async function waivePendingCharge(supabase: any, pendingChargeId: string): Promise<void> {
+  const { data: deleted, error } = await supabase
+    .from('pending_charges')
+    .delete()
+    .eq('id', pendingChargeId)
+    .eq('processed', false)
+    .select('id')
+
+  if (error) {
+    throw new Error(`Failed to remove pending charge: ${error.message}`)
+  }
+
+  if (!deleted || deleted.length === 0) {
+    // Billed by the daily batch in the meantime; the postcard's next event refunds it
+    throw new Error('Pending charge was billed while being removed')
+  }
+}
+
+async function refundToCard(
+  stripe: any,
+  charge: MailPieceCharge,
+  postcardId: string,
+  reason: string
+): Promise<string> {
+  const refund = await stripe.refunds.create(
+    {
+      payment_intent: charge.transaction!.stripe_payment_intent_id,
+      amount: charge.amountCents,
+      reason: 'requested_by_customer',
+      metadata: {
+        refund_reason: reason,
+        refunded_by: 'mail_piece_adjustment',
+        postgrid_postcard_id: postcardId,
+      },
+    },
+    { idempotencyKey: `mail_piece_${postcardId}_refund` }
+  )
+
+  return refund.id
+}
+
+/**
+ * Apply the adjustment policy to a postcard that reached an undeliverable
+ * status. Returns its mail_piece_adjustments row, or null when the policy is
+ * "none" or the postcard isn't ours. Failures are recorded on the row (status
+ * failed) and retried on the postcard's next event rather than thrown.
+ */
+export async function adjustMailPiece(
+  supabase: any,
+  stripe: any,
+  postcardId: string,
+  mailPieceStatus: string
+): Promise<any | null> {
+  const { data: policy, error: policyError } = await supabase
+    .from('mail_piece_adjustment_policies')
+    .select('action')
+    .eq('mail_piece_status', mailPieceStatus)
+    .maybeSingle()
+
+  if (policyError) {
+    throw new Error(`Failed to load adjustment policy: ${policyError.message}`)
+  }
+
+  const action: MailPieceAdjustmentAction = policy?.action || 'none'
+  if (action === 'none') return null
+
+  const { data: existing } = await supabase
+    .from('mail_piece_adjustments')
+    .select('*')
+    .eq('postgrid_postcard_id', postcardId)
+    .maybeSingle()
+
+  if (existing && (existing.status === 'completed' || existing.status === 'skipped')) {
+    return existing
+  }
+
+  const piece = await findMailPiece(supabase, postcardId)
+  if (!piece) {
+    console.log(`   ⏭️  Postcard ${postcardId} not found, nothing to adjust`)
+    return null
+  }
+
+  const charge = await findMailPieceCharge(supabase, piece)
+  const reason = ADJUSTMENT_REASONS[mailPieceStatus] || 'Postcard not delivered'
+
+  const { data: adjustment, error: upsertError } = await supabase
+    .from('mail_piece_adjustments')
+    .upsert({
+      postgrid_postcard_id: postcardId,
+      user_id: piece.userId,
+      campaign_id: piece.campaignId,
+      new_mover_id: piece.newMoverId,
+      mail_piece_status: mailPieceStatus,
+      action,
+      status: charge ? 'pending' : 'skipped',
+      amount_cents: charge?.amountCents || 0,
+      transaction_id: charge?.transaction?.id || null,
+      pending_charge_id: charge?.pendingCharge?.id || null,
+      error: charge ? null : 'No charge found for this postcard',
+      updated_at: new Date().toISOString(),
+    }, { onConflict: 'postgrid_postcard_id' })
+    .select()
+    .single()
+
+  if (upsertError) {
+    throw new Error(`Failed to record adjustment: ${upsertError.message}`)
+  }
+
+  if (!charge) {
+    console.log(`   ⏭️  Postcard ${postcardId} was never charged, nothing to adjust`)
+    return adjustment
+  }
+
+  const outcome: Record<string, unknown> = {}
+
+  try {
+    if (charge.pendingCharge && !charge.pendingCharge.processed) {
+      await waivePendingCharge(supabase, charge.pendingCharge.id)
+      outcome.method = 'waived'
+    } else if (action === 'credit' && await hasWallet(supabase, piece.userId)) {
+      const entry = await applyWalletEntry(supabase, {
+        userId: piece.userId,
+        type: 'credit',
+        amountCents: charge.amountCents,
+        idempotencyKey: `mail_piece_credit:${postcardId}`,
+        campaignId: piece.campaignId,
+        newMoverId: piece.newMoverId,
+        transactionId: charge.transaction?.id || null,
+        description: `Credit: ${reason}`,
+        metadata: { postgrid_postcard_id: postcardId },
+      })
+      outcome.method = 'wallet_credit'
+      outcome.wallet_ledger_id = entry.entry_id
+    } else if (!charge.transaction || !REFUNDABLE_TRANSACTION_STATUSES.includes(charge.transaction.status)) {
+      throw new Error(`Charge is ${charge.transaction?.status || 'not billed yet'}, cannot refund`)
+    } else if (charge.transaction.billing_reason === 'wallet_debit') {
+      const { data: entry, error: refundError } = await supabase.rpc('refund_mail_piece_to_wallet', {
+        p_transaction_id: charge.transaction.id,
+        p_postcard_id: postcardId,
+        p_amount_cents: charge.amountCents,
+        p_new_mover_id: piece.newMoverId,
+        p_reason: reason,
+      })
+
+      if (refundError) throw refundError
+      outcome.method = 'wallet_refund'
+      outcome.wallet_ledger_id = entry?.entry_id || null
+    } else {
+      outcome.method = 'stripe_refund'
+      outcome.stripe_refund_id = await refundToCard(stripe, charge, postcardId, reason)
+    }
+
+    console.log(`   💸 Postcard ${postcardId}: ${outcome.method} of ${charge.amountCents} cents (${reason})`)
+
+    Object.assign(outcome, { status: 'completed', error: null, completed_at: new Date().toISOString() })
+  } catch (error: any) {
+    console.error(`   ❌ Adjustment for postcard ${postcardId} failed: ${error.message}`)
+    Object.assign(outcome, { status: 'failed', error: error.message })
+  }
+
+  const { data: updated, error: updateError } = await supabase
+    .from('mail_piece_adjustments')
+    .update({ ...outcome, updated_at: new Date().toISOString() })
+    .eq('id', adjustment.id)
+    .select()
+    .single()
+
+  if (updateError) {
+    // The refund or credit went through; the next event finds it by its idempotency key
+    throw new Error(`Failed to record adjustment outcome: ${updateError.message}`)
+  }
+
+  return updated
+}
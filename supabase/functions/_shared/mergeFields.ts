@@ -0,0 +1,163 @@
+/**
+ * POSTCARD MERGE FIELDS
+ *
+ * Per-recipient personalization for the poller and the blast dispatcher.
+ * Design text like "Welcome to {{city}}, {{first_name}}!" is left out of the
+ * campaign's print PDF when it is rendered; the campaign's
+ * postcard_merge_layout records where that text goes. Before each send the
+ * recipient's values (mergeValues.ts) are substituted and the text is drawn
+ * onto a copy of the PDF.
+ */
+
+import { PDFDocument, StandardFonts, degrees, rgb } from 'https://esm.sh/pdf-lib@1.17.1'
+import { applyMergeFields, type MergeValues } from './mergeValues.ts'
+
+/**
+ * One merge-field text object, in PDF points from the page's top-left corner
+ * (written by src/utils/postcardPdf.js)
+ */
+export interface MergeLayoutItem {
+  page: 'front' | 'back'
+  text: string
+  x: number
+  y: number
+  width: number
+  fontSize: number
+  /** First baseline below the top edge */
+  baseline: number
+  lineHeight: number
+  fontFamily: string
+  bold: boolean
+  italic: boolean
+  /** RRGGBB */
+  color: string
+  align: 'left' | 'center' | 'right'
+  angle: number
+  /** Textbox: wraps at width */
+  wrap: boolean
+  opacity: number
+}
+
+/**
+ * Whether a layout uses {{offer_code}}, i.e. a code must be generated and stored
+ */
+export function usesOfferCode(layout: MergeLayoutItem[]): boolean {
+  return layout.some(item => /\{\{\s*offer_code\s*(\||\}\})/.test(item.text))
+}
+
+// ============================================================================
+// PDF STAMPING
+// ============================================================================
+
+// Standard PDF fonts closest to the design's font family
+function standardFontFor(item: MergeLayoutItem): string {
+  const family = item.fontFamily || ''
+  const style = (item.bold ? 'Bold' : '') + (item.italic ? 'Oblique' : '')
+
+  if (/courier|mono/i.test(family)) {
+    return StandardFonts[`Courier${style}` as keyof typeof StandardFonts]
+  }
+
+  if (/times|georgia|garamond|serif/i.test(family) && !/sans/i.test(family)) {
+    const timesStyle = (item.bold ? 'Bold' : '') + (item.italic ? 'Italic' : '')
+    return StandardFonts[`TimesRoman${timesStyle}` as keyof typeof StandardFonts]
+  }
+
+  return StandardFonts[`Helvetica${style}` as keyof typeof StandardFonts]
+}
+
+// Standard fonts only encode WinAnsi; drop what they can't draw
+function toWinAnsi(text: string): string {
+  return text
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, '-')
+    .replace(/…/g, '...')
+    .replace(/[^\x20-\x7E\xA0-\xFF]/g, '')
+}
+
+function wrapLine(line: string, maxWidth: number, measure: (text: string) => number): string[] {
+  const words = line.split(' ')
+  const lines: string[] = []
+  let current = ''
+
+  for (const word of words) {
+    const candidate = current ? `${current} ${word}` : word
+
+    if (current && measure(candidate) > maxWidth) {
+      lines.push(current)
+      current = word
+    } else {
+      current = candidate
+    }
+  }
+
+  lines.push(current)
+  return lines
+}
+
+/**
+ * Draw a recipient's merge field text onto a copy of the campaign's print PDF
+ * @param basePdf - The campaign's print PDF (without merge-field text)
+ * @param layout - The campaign's postcard_merge_layout
+ * @param values - From resolveMergeValues()
+ * @returns The personalized PDF
+ */
+export async function personalizePdf(
+  basePdf: Uint8Array,
+  layout: MergeLayoutItem[],
+  values: MergeValues
+): Promise<Uint8Array> {
+  const doc = await PDFDocument.load(basePdf)
+  const pages = doc.getPages()
+  const fonts = new Map<string, any>()
+
+  for (const item of layout) {
+    const page = pages[item.page === 'back' ? 1 : 0]
+    if (!page) continue
+
+    const fontName = standardFontFor(item)
+    if (!fonts.has(fontName)) {
+      fonts.set(fontName, await doc.embedFont(fontName))
+    }
+    const font = fonts.get(fontName)
+
+    const measure = (text: string) => font.widthOfTextAtSize(text, item.fontSize)
+    const lines = applyMergeFields(item.text, values)
+      .split('\n')
+      .map(toWinAnsi)
+      .flatMap(line => item.wrap ? wrapLine(line, item.width, measure) : [line])
+
+    // Unwrapped text grows to fit, like Fabric's IText
+    const boxWidth = item.wrap ? item.width : Math.max(item.width, ...lines.map(measure))
+    const color = parseInt(item.color, 16)
+    const radians = (item.angle * Math.PI) / 180
+    const cos = Math.cos(radians)
+    const sin = Math.sin(radians)
+    const pageHeight = page.getHeight()
+
+    lines.forEach((line, i) => {
+      if (!line) return
+
+      const lineWidth = measure(line)
+      const dx = item.align === 'center'
+        ? (boxWidth - lineWidth) / 2
+        : item.align === 'right' ? boxWidth - lineWidth : 0
+      const dy = item.baseline + i * item.lineHeight
+
+      // Offset from the object's top-left corner, rotated with the object
+      // (clockwise, y down), then flipped into PDF coordinates (y up)
+      page.drawText(line, {
+        x: item.x + dx * cos - dy * sin,
+        y: pageHeight - (item.y + dx * sin + dy * cos),
+        size: item.fontSize,
+        font,
+        color: rgb(((color >> 16) & 255) / 255, ((color >> 8) & 255) / 255, (color & 255) / 255),
+        opacity: item.opacity ?? 1,
+        rotate: degrees(-item.angle),
+      })
+    })
+  }
+
+  return await doc.save()
+}
@@ -0,0 +1,110 @@
+/**
+ * MERGE FIELD VALUES
+ *
+ * Each recipient's merge field values and their substitution into design
+ * text, for mergeFields.ts and the senders. Resolves values the same way as
+ * src/utils/mergeFields.js (the editor preview); tests/mergeFields.test.ts
+ * runs both on the same recipients.
+ */
+
+export const MERGE_FIELD_FALLBACKS: Record<string, string> = {
+  first_name: 'Neighbor',
+  last_name: '',
+  full_name: 'Neighbor',
+  street: '',
+  city: 'your new neighborhood',
+  state: '',
+  zip_code: '',
+  move_date: 'recently',
+  offer_code: '',
+}
+
+// Mailing-list stand-ins for a missing name
+const PLACEHOLDER_NAMES = ['resident', 'current resident', 'occupant', 'current occupant', 'homeowner']
+
+// Crockford base32: no I, L, O or U to misread
+const OFFER_CODE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ'
+
+const fieldPattern = () => /\{\{\s*([a-z_]+)\s*(?:\|([^}]*))?\}\}/g
+
+export interface MergeRecipient {
+  full_name: string | null
+  address_line: string | null
+  city: string | null
+  state: string | null
+  zip_code: string | null
+  move_effective_date?: string | null
+}
+
+export type MergeValues = Record<string, string | null>
+
+/**
+ * Deterministic per-recipient offer code: the same campaign (or blast) and
+ * mover always get the same code, so a retried send prints the code that was
+ * recorded for it
+ */
+export async function generateOfferCode(campaignId: string, moverId: string): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${campaignId}:${moverId}`))
+  const bytes = new Uint8Array(digest)
+  let bits = 0n
+
+  // First 40 bits -> 8 base32 characters
+  for (let i = 0; i < 5; i++) {
+    bits = (bits << 8n) | BigInt(bytes[i])
+  }
+
+  let code = ''
+  for (let i = 7; i >= 0; i--) {
+    code += OFFER_CODE_ALPHABET[Number((bits >> BigInt(i * 5)) & 31n)]
+  }
+
+  return code
+}
+
+function formatMoveDate(value: string | null | undefined): string | null {
+  if (!value) return null
+
+  const date = new Date(value)
+  if (isNaN(date.getTime())) return null
+
+  return date.toLocaleDateString('en-US', {
+    month: 'long',
+    day: 'numeric',
+    year: 'numeric',
+    timeZone: 'UTC',
+  })
+}
+
+/**
+ * Merge values for one recipient; missing values are null (fallbacks apply)
+ */
+export function resolveMergeValues(mover: MergeRecipient, offerCode: string | null = null): MergeValues {
+  const fullName = (mover.full_name || '').trim().replace(/\s+/g, ' ')
+  const hasName = fullName !== '' && !PLACEHOLDER_NAMES.includes(fullName.toLowerCase())
+  const [firstName, ...lastNames] = hasName ? fullName.split(' ') : []
+
+  return {
+    first_name: firstName || null,
+    last_name: lastNames.join(' ') || null,
+    full_name: hasName ? fullName : null,
+    street: mover.address_line || null,
+    city: mover.city || null,
+    state: mover.state || null,
+    zip_code: mover.zip_code || null,
+    move_date: formatMoveDate(mover.move_effective_date),
+    offer_code: offerCode,
+  }
+}
+
+/**
+ * Substitute {{field}} / {{field|fallback}} tokens in text
+ */
+export function applyMergeFields(text: string, values: MergeValues): string {
+  return text.replace(fieldPattern(), (_, key: string, customFallback?: string) => {
+    const value = values[key]
+    if (value) return value
+    if (customFallback !== undefined) return customFallback.trim()
+
+    return MERGE_FIELD_FALLBACKS[key] ?? ''
+  })
+}
@@ -0,0 +1,342 @@
+/**
+ * MOVER DATA PROVIDERS
+ *
+ * Shared by the Edge Functions that pull new mover data. Every provider
+ * fetches movers for a ZIP code and normalizes them into NewMoverRecord rows,
+ * so the poller never has to know where the data came from.
+ *
+ * Providers:
+ * - melissa: Melissa New Movers API (production)
+ * - fixture: sample movers (fixtures/newMovers.ts), for exercising the pipeline offline
+ *
+ * Campaigns pick their provider via campaigns.data_provider (set by the
+ * connectProvider admin action). Missing values fall back to melissa.
+ */
+
+import { FIXTURE_MOVERS, type FixtureMover } from './fixtures/newMovers.ts'
+
+export type MoverProviderName = 'melissa' | 'fixture'
+
+export const DEFAULT_MOVER_PROVIDER: MoverProviderName = 'melissa'
+
+export interface NewMoverRecord {
+  melissa_address_key: string
+  full_name: string
+  address_line: string
+  city: string
+  state: string
+  zip_code: string
+  previous_address_line: string | null
+  previous_zip_code: string | null
+  phone_number: string | null
+  move_effective_date: string | null
+  campaign_id: string
+  data_provider: MoverProviderName
+  discovered_at: string
+  postcard_sent: boolean
+}
+
+export interface ProviderQuota {
+  used: number | null
+  remaining: number | null
+}
+
+export interface MoverFetchResult {
+  movers: NewMoverRecord[]
+  page: number
+  totalRecords: number | null
+  hasMore: boolean
+  quota: ProviderQuota | null
+}
+
+export interface MoverFetchOptions {
+  zipCode: string
+  campaignId: string
+  /** 1-based page number */
+  page?: number
+  /** Movers per page; providers fall back to their own default */
+  pageSize?: number
+}
+
+export interface MoverDataProvider {
+  name: MoverProviderName
+  /** True when the provider returns sample data that must never reach live mail */
+  isTestData: boolean
+  fetchMovers(options: MoverFetchOptions): Promise<MoverFetchResult>
+}
+
+export type MoverProviderErrorCode =
+  | 'not_configured'
+  | 'quota_exceeded'
+  | 'request_failed'
+  | 'invalid_response'
+
+/**
+ * Error raised by providers so callers can react to the failure kind
+ * (e.g. stop polling a provider for the rest of the run on quota_exceeded)
+ */
+export class MoverProviderError extends Error {
+  provider: MoverProviderName
+  code: MoverProviderErrorCode
+  status: number | null
+
+  constructor(
+    provider: MoverProviderName,
+    code: MoverProviderErrorCode,
+    message: string,
+    status: number | null = null
+  ) {
+    super(message)
+    this.name = 'MoverProviderError'
+    this.provider = provider
+    this.code = code
+    this.status = status
+  }
+}
+
+// ============================================================================
+// MELISSA PROVIDER
+// ============================================================================
+
+const MELISSA_API_URL = 'https://dataretriever.melissadata.net/web/V1/NewMovers/doLookup'
+const MELISSA_DEFAULT_PAGE_SIZE = 100
+
+interface MelissaMover {
+  melissaaddresskey?: string
+  MelissaAddressKey?: string
+  fullname?: string
+  FullName?: string
+  AddressLine: string
+  city?: string
+  City?: string
+  state?: string
+  State?: string
+  MoveEffectiveDate?: string
+  PhoneNumber?: string
+  PreviousAddressLine?: string
+  PreviousZIPCode?: string
+}
+
+function createMelissaProvider(): MoverDataProvider {
+  const customerId = Deno.env.get('MELISSA_CUSTOMER_ID') || ''
+
+  return {
+    name: 'melissa',
+    isTestData: false,
+
+    async fetchMovers({ zipCode, campaignId, page = 1, pageSize = MELISSA_DEFAULT_PAGE_SIZE }) {
+      if (!customerId) {
+        throw new MoverProviderError('melissa', 'not_configured', 'MELISSA_CUSTOMER_ID not configured')
+      }
+
+      let response: Response
+      try {
+        response = await fetch(MELISSA_API_URL, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json'
+          },
+          body: JSON.stringify({
+            customerid: customerId,
+            includes: {
+              zips: [{ zip: zipCode }]
+            },
+            columns: [
+              'fullname',
+              'melissaaddresskey',
+              'AddressLine',
+              'MoveEffectiveDate',
+              'PhoneNumber',
+              'city',
+              'PreviousAddressLine',
+              'PreviousZIPCode',
+              'state'
+            ],
+            pagination: { page, recordsPerPage: pageSize }
+          })
+        })
+      } catch (error: any) {
+        throw new MoverProviderError('melissa', 'request_failed', `Melissa API unreachable: ${error.message}`)
+      }
+
+      if (response.status === 402 || response.status === 429) {
+        throw new MoverProviderError(
+          'melissa',
+          'quota_exceeded',
+          `Melissa API quota exceeded: ${response.statusText}`,
+          response.status
+        )
+      }
+
+      if (!response.ok) {
+        throw new MoverProviderError(
+          'melissa',
+          'request_failed',
+          `Melissa API error: ${response.statusText}`,
+          response.status
+        )
+      }
+
+      let data: any
+      try {
+        data = await response.json()
+      } catch (_error) {
+        throw new MoverProviderError('melissa', 'invalid_response', 'Melissa API returned invalid JSON')
+      }
+
+      const results: MelissaMover[] = data.Results || []
+      const totalRecords = typeof data.TotalRecords === 'number' ? data.TotalRecords : null
+
+      return {
+        movers: results.map(mover => normalizeMelissaMover(mover, zipCode, campaignId)),
+        page,
+        totalRecords,
+        // Without TotalRecords, a full page is the only hint that another one follows
+        hasMore: totalRecords !== null
+          ? page * pageSize < totalRecords
+          : results.length >= pageSize,
+        quota: data.TotalCreditsUsed !== undefined || data.CreditsRemaining !== undefined
+          ? {
+              used: data.TotalCreditsUsed ?? null,
+              remaining: data.CreditsRemaining ?? null,
+            }
+          : null,
+      }
+    },
+  }
+}
+
+/**
+ * Transform a Melissa result into a newmover row
+ */
+function normalizeMelissaMover(
+  mover: MelissaMover,
+  searchedZipCode: string,
+  campaignId: string
+): NewMoverRecord {
+  return {
+    melissa_address_key: mover.melissaaddresskey || mover.MelissaAddressKey || '',
+    full_name: mover.fullname || mover.FullName || 'Resident',
+    address_line: mover.AddressLine || '',
+    city: mover.city || mover.City || '',
+    state: mover.state || mover.State || '',
+    zip_code: searchedZipCode,
+    previous_address_line: mover.PreviousAddressLine || null,
+    previous_zip_code: mover.PreviousZIPCode || null,
+    phone_number: mover.PhoneNumber || null,
+    move_effective_date: mover.MoveEffectiveDate
+      ? new Date(mover.MoveEffectiveDate).toISOString()
+      : null,
+    campaign_id: campaignId,
+    data_provider: 'melissa',
+    discovered_at: new Date().toISOString(),
+    postcard_sent: false,
+  }
+}
+
+// ============================================================================
+// FIXTURE PROVIDER
+// ============================================================================
+
+/**
+ * Serves the bundled FIXTURE_MOVERS (fixtures/newMovers.ts).
+ * MOVER_FIXTURE_PATH swaps in a JSON file ({ "movers": FixtureMover[] }) for
+ * local runs; deployed functions can only read what is bundled with them.
+ * MOVER_FIXTURE_PAGE_SIZE is the page size when the caller does not pass one
+ * (the poller always passes POLL_PAGE_SIZE).
+ */
+function createFixtureProvider(): MoverDataProvider {
+  const fixturePath = Deno.env.get('MOVER_FIXTURE_PATH')
+  const defaultPageSize = parseInt(Deno.env.get('MOVER_FIXTURE_PAGE_SIZE') || '25')
+
+  let cache: FixtureMover[] | null = fixturePath ? null : FIXTURE_MOVERS
+
+  async function loadFixture(): Promise<FixtureMover[]> {
+    if (cache) return cache
+
+    let raw: string
+    try {
+      raw = await Deno.readTextFile(fixturePath)
+    } catch (error: any) {
+      throw new MoverProviderError('fixture', 'not_configured', `Fixture file not readable (${fixturePath}): ${error.message}`)
+    }
+
+    try {
+      const parsed = JSON.parse(raw)
+      cache = Array.isArray(parsed) ? parsed : parsed.movers || []
+    } catch (_error) {
+      throw new MoverProviderError('fixture', 'invalid_response', `Fixture file is not valid JSON: ${fixturePath}`)
+    }
+
+    return cache!
+  }
+
+  return {
+    name: 'fixture',
+    isTestData: true,
+
+    async fetchMovers({ zipCode, campaignId, page = 1, pageSize = defaultPageSize }) {
+      const all = (await loadFixture()).filter(mover => mover.zip_code === zipCode)
+      const start = (page - 1) * pageSize
+      const slice = all.slice(start, start + pageSize)
+
+      return {
+        movers: slice.map(mover => ({
+          melissa_address_key: mover.address_key,
+          full_name: mover.full_name || 'Resident',
+          address_line: mover.address_line,
+          city: mover.city,
+          state: mover.state,
+          zip_code: mover.zip_code,
+          previous_address_line: mover.previous_address_line || null,
+          previous_zip_code: mover.previous_zip_code || null,
+          phone_number: mover.phone_number || null,
+          move_effective_date: mover.move_effective_date
+            ? new Date(mover.move_effective_date).toISOString()
+            : new Date().toISOString(),
+          campaign_id: campaignId,
+          data_provider: 'fixture',
+          discovered_at: new Date().toISOString(),
+          postcard_sent: false,
+        })),
+        page,
+        totalRecords: all.length,
+        hasMore: start + pageSize < all.length,
+        quota: null,
+      }
+    },
+  }
+}
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+const providerFactories: Record<MoverProviderName, () => MoverDataProvider> = {
+  melissa: createMelissaProvider,
+  fixture: createFixtureProvider,
+}
+
+const providerInstances: Partial<Record<MoverProviderName, MoverDataProvider>> = {}
+
+export function isMoverProviderName(name: unknown): name is MoverProviderName {
+  return typeof name === 'string' && name in providerFactories
+}
+
+/**
+ * Get the provider instance for a campaign's data_provider value
+ */
+export function getMoverProvider(name?: string | null): MoverDataProvider {
+  const providerName = name || DEFAULT_MOVER_PROVIDER
+
+  if (!isMoverProviderName(providerName)) {
+    throw new Error(`Unknown mover data provider: ${providerName}`)
+  }
+
+  if (!providerInstances[providerName]) {
+    providerInstances[providerName] = providerFactories[providerName]()
+  }
+
+  return providerInstances[providerName]!
+}
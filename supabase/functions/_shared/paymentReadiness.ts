@@ -0,0 +1,119 @@
+/**
+ * PAYMENT READINESS
+ *
+ * Whether an account's default card can be charged, checked before a
+ * postcard is mailed: the card must exist, must not be expired and must not
+ * have been declined recently. Declines are recorded on the payment_methods
+ * row (last_failed_at) by whoever sees them: the poller, and stripe-webhook
+ * for every other charge. Needs a service role client.
+ */
+
+export interface PaymentReadiness {
+  usable: boolean
+  /** Why the card can't be used; null when it can */
+  reason: string | null
+  stripeCustomerId: string | null
+  stripePaymentMethodId: string | null
+}
+
+/**
+ * Cards are valid through the last day of their expiry month
+ */
+export function isCardExpired(expMonth: number, expYear: number, now = new Date()): boolean {
+  const currentYear = now.getUTCFullYear()
+  const currentMonth = now.getUTCMonth() + 1
+
+  return expYear < currentYear || (expYear === currentYear && expMonth < currentMonth)
+}
+
+/**
+ * Check the user's default card. A decline blocks the card for
+ * failureHoldHours, or until a payment on it succeeds or the user makes it
+ * their default again.
+ */
+export async function checkDefaultCard(
+  supabase: any,
+  userId: string,
+  { failureHoldHours }: { failureHoldHours: number }
+): Promise<PaymentReadiness> {
+  const { data: customer, error: customerError } = await supabase
+    .from('customers')
+    .select('id, stripe_customer_id')
+    .eq('user_id', userId)
+    .maybeSingle()
+
+  if (customerError) {
+    throw new Error(`Failed to load customer: ${customerError.message}`)
+  }
+
+  if (!customer) {
+    return { usable: false, reason: 'No payment method on file', stripeCustomerId: null, stripePaymentMethodId: null }
+  }
+
+  const { data: paymentMethod, error: pmError } = await supabase
+    .from('payment_methods')
+    .select('stripe_payment_method_id, card_exp_month, card_exp_year, last_failed_at, last_failure_reason')
+    .eq('customer_id', customer.id)
+    .eq('is_default', true)
+    .maybeSingle()
+
+  if (pmError) {
+    throw new Error(`Failed to load payment method: ${pmError.message}`)
+  }
+
+  const readiness: PaymentReadiness = {
+    usable: false,
+    reason: null,
+    stripeCustomerId: customer.stripe_customer_id,
+    stripePaymentMethodId: paymentMethod?.stripe_payment_method_id || null,
+  }
+
+  if (!paymentMethod) {
+    return { ...readiness, reason: 'No payment method on file' }
+  }
+
+  if (isCardExpired(paymentMethod.card_exp_month, paymentMethod.card_exp_year)) {
+    return { ...readiness, reason: 'Payment method has expired' }
+  }
+
+  const holdUntil = paymentMethod.last_failed_at &&
+    new Date(paymentMethod.last_failed_at).getTime() + failureHoldHours * 60 * 60 * 1000
+
+  if (holdUntil && holdUntil > Date.now()) {
+    return { ...readiness, reason: `Card declined recently: ${paymentMethod.last_failure_reason || 'payment failed'}` }
+  }
+
+  return { ...readiness, usable: true }
+}
+
+/**
+ * Record a decline on a card (by Stripe payment method ID)
+ */
+export async function flagPaymentMethod(supabase: any, stripePaymentMethodId: string, reason: string): Promise<void> {
+  const { error } = await supabase
+    .from('payment_methods')
+    .update({
+      last_failed_at: new Date().toISOString(),
+      last_failure_reason: reason.slice(0, 500),
+    })
+    .eq('stripe_payment_method_id', stripePaymentMethodId)
+
+  if (error) {
+    throw new Error(`Failed to flag payment method: ${error.message}`)
+  }
+}
+
+/**
+ * Clear a card's decline once a payment on it has gone through
+ */
+export async function clearPaymentMethodFlag(supabase: any, stripePaymentMethodId: string): Promise<void> {
+  const { error } = await supabase
+    .from('payment_methods')
+    .update({ last_failed_at: null, last_failure_reason: null })
+    .eq('stripe_payment_method_id', stripePaymentMethodId)
+    .not('last_failed_at', 'is', null)
+
+  if (error) {
+    throw new Error(`Failed to clear payment method flag: ${error.message}`)
+  }
+}
@@ -0,0 +1,175 @@
+/**
+ * POSTGRID POSTCARDS
+ *
+ * Edge Function access to the PostGrid print & mail API, shared by the new
+ * mover poller and the scheduled blast dispatcher. Every send carries an
+ * Idempotency-Key derived from what is being mailed, so retrying a send that
+ * may already have reached PostGrid never prints a second postcard.
+ */
+
+import { DEFAULT_MAIL_CLASS, DEFAULT_POSTCARD_SIZE } from './pricing.ts'
+
+export const POSTGRID_API_URL = 'https://api.postgrid.com/print-mail/v1'
+
+export interface PostcardRecipient {
+  full_name: string | null
+  address_line: string
+  city: string
+  state: string
+  zip_code: string
+  /** Add-on from address verification (see addressVerification.ts) */
+  zip_plus4?: string | null
+  phone_number?: string | null
+}
+
+/** A PostGrid address; the sender needs a companyName or firstName */
+export interface PostgridContact {
+  companyName?: string
+  firstName?: string
+  lastName?: string
+  addressLine1: string
+  addressLine2?: string
+  city: string
+  provinceOrState: string
+  postalOrZip: string
+  countryCode: string
+  phoneNumber?: string
+}
+
+export interface SendPostcardOptions {
+  apiKey: string
+  /** Front/back PDF */
+  designUrl: string
+  /** Personalized PDF to upload instead of designUrl (see mergeFields.ts) */
+  pdf?: Uint8Array
+  description: string
+  idempotencyKey: string
+  size?: string
+  /** 'standard', 'first_class' or 'express' (campaigns.mail_class) */
+  mailClass?: string
+  /** Return address (see senderProfiles.ts); omitted when null */
+  from?: PostgridContact | null
+  metadata?: Record<string, unknown>
+}
+
+/**
+ * The print-ready PDF to mail for a campaign, or null if it has none.
+ * postcard_design_url is normally the editor's Fabric.js JSON, which PostGrid
+ * cannot print; it is only used when it already points at a PDF.
+ */
+export function getPrintPdfUrl(campaign: {
+  postcard_print_url?: string | null
+  postcard_design_url?: string | null
+}): string | null {
+  if (campaign.postcard_print_url) return campaign.postcard_print_url
+
+  const designUrl = campaign.postcard_design_url
+  if (designUrl && /\.pdf($|\?)/i.test(designUrl)) {
+    return designUrl
+  }
+
+  return null
+}
+
+/**
+ * PostGrid request fields for a campaign mail class
+ */
+export function getPostgridMailOptions(mailClass: string): { mailingClass: string; express: boolean } {
+  switch (mailClass) {
+    case 'standard':
+      return { mailingClass: 'standard_class', express: false }
+    case 'first_class':
+      return { mailingClass: 'first_class', express: false }
+    case 'express':
+      return { mailingClass: 'first_class', express: true }
+    default:
+      throw new Error(`Unknown mail class: ${mailClass}`)
+  }
+}
+
+/**
+ * Test keys print nothing and charge nothing
+ */
+export function isPostgridTestKey(apiKey: string): boolean {
+  return apiKey.startsWith('test_')
+}
+
+// PostGrid's form encoding of nested fields: to[firstName], metadata[key]
+function toFormData(fields: Record<string, unknown>, pdf: Uint8Array): FormData {
+  const form = new FormData()
+
+  for (const [key, value] of Object.entries(fields)) {
+    if (value && typeof value === 'object') {
+      for (const [nestedKey, nestedValue] of Object.entries(value)) {
+        form.append(`${key}[${nestedKey}]`, String(nestedValue))
+      }
+    } else {
+      form.append(key, String(value))
+    }
+  }
+
+  form.append('pdf', new Blob([pdf], { type: 'application/pdf' }), 'postcard.pdf')
+  return form
+}
+
+/**
+ * Create a postcard. Returns PostGrid's postcard object; throws on API errors.
+ * Mails designUrl, or uploads options.pdf when it is given.
+ */
+export async function sendPostcard(
+  recipient: PostcardRecipient,
+  {
+    apiKey,
+    designUrl,
+    pdf,
+    description,
+    idempotencyKey,
+    size = DEFAULT_POSTCARD_SIZE,
+    mailClass = DEFAULT_MAIL_CLASS,
+    from = null,
+    metadata = {},
+  }: SendPostcardOptions
+): Promise<any> {
+  // Parse full name into first/last name
+  const nameParts = (recipient.full_name || 'Resident').trim().split(' ')
+  const firstName = nameParts[0] || 'Resident'
+  const lastName = nameParts.slice(1).join(' ') || ''
+
+  const fields: Record<string, unknown> = {
+    to: {
+      firstName: firstName,
+      lastName: lastName,
+      addressLine1: recipient.address_line,
+      city: recipient.city,
+      provinceOrState: recipient.state,
+      postalOrZip: recipient.zip_plus4 ? `${recipient.zip_code}-${recipient.zip_plus4}` : recipient.zip_code,
+      countryCode: 'US',
+      ...(recipient.phone_number && { phoneNumber: recipient.phone_number }),
+    },
+    ...(from && { from }),
+    size,
+    description,
+    ...getPostgridMailOptions(mailClass),
+    metadata,
+  }
+
+  // fetch sets the multipart Content-Type (with its boundary) for FormData
+  const response = await fetch(`${POSTGRID_API_URL}/postcards`, {
+    method: 'POST',
+    headers: {
+      'x-api-key': apiKey,
+      ...(!pdf && { 'Content-Type': 'application/json' }),
+      'Idempotency-Key': idempotencyKey,
+    },
+    body: pdf ? toFormData(fields, pdf) : JSON.stringify({ ...fields, pdf: designUrl }),
+  })
+
+  if (!response.ok) {
+    const errorData = await response.json()
+    throw new Error(
+      `PostGrid API error: ${errorData.error?.message || response.statusText}`
+    )
+  }
+
+  return await response.json()
+}
@@ -0,0 +1,82 @@
+/**
+ * POSTCARD PRICING
+ *
+ * Edge Function access to the server-side pricing model. Prices live in the
+ * pricing_plans / pricing_plan_prices / pricing_discount_tiers /
+ * user_pricing_overrides tables and are resolved by the quote_postcard_price()
+ * database function, which the frontend (pricingService.getQuote) calls too,
+ * so both sides always agree on what a postcard costs.
+ *
+ * A quote applies, in order: the user's per-postcard override or their plan's
+ * price for the postcard size, the plan's adjustment for the mail class, then
+ * the plan's volume discount tier for the user's cumulative postcards mailed
+ * this calendar month (UTC).
+ */
+
+export const DEFAULT_POSTCARD_SIZE = '6x4'
+export const DEFAULT_MAIL_CLASS = 'first_class'
+
+export interface PostcardQuote {
+  plan_id: string
+  postcard_size: string
+  mail_class: string
+  price_source: 'plan' | 'override'
+  size_price_cents: number
+  mail_class_adjustment_cents: number
+  base_price_cents: number
+  monthly_volume: number
+  discount_percent: number
+  unit_price_cents: number
+  quantity: number
+  total_cents: number
+}
+
+export interface PostcardQuoteOptions {
+  /** Postcards being priced; also counts toward the volume tier */
+  quantity?: number
+  postcardSize?: string
+  mailClass?: string
+}
+
+/**
+ * Quote options for a campaign's own size and mail class
+ */
+export function campaignQuoteOptions(campaign: {
+  postcard_size?: string | null
+  mail_class?: string | null
+}): PostcardQuoteOptions {
+  return {
+    postcardSize: campaign.postcard_size || DEFAULT_POSTCARD_SIZE,
+    mailClass: campaign.mail_class || DEFAULT_MAIL_CLASS,
+  }
+}
+
+/**
+ * Price postcards for a user. Throws when no price is configured, since
+ * charging a guessed amount is worse than not charging.
+ */
+export async function getPostcardQuote(
+  supabase: any,
+  userId: string,
+  { quantity = 1, postcardSize = DEFAULT_POSTCARD_SIZE, mailClass = DEFAULT_MAIL_CLASS }: PostcardQuoteOptions = {}
+): Promise<PostcardQuote> {
+  const { data, error } = await supabase.rpc('quote_postcard_price', {
+    p_user_id: userId,
+    p_quantity: quantity,
+    p_postcard_size: postcardSize,
+    p_mail_class: mailClass,
+  })
+
+  if (error || !data) {
+    throw new Error(`Failed to price postcards for user ${userId}: ${error?.message || 'no quote returned'}`)
+  }
+
+  return {
+    ...data,
+    discount_percent: Number(data.discount_percent),
+  }
+}
+
+export function centsToDollars(cents: number): number {
+  return Math.round(cents) / 100
+}
@@ -0,0 +1,79 @@
+/**
+ * SENDER PROFILES
+ *
+ * Return addresses for the poller and the blast dispatcher. A campaign (or
+ * blast) mails from its sender_profile_id, or from its owner's default
+ * profile when it has none (or the chosen one was deleted). Users without a
+ * profile mail with no `from` block, as before profiles existed.
+ *
+ * Profiles are normalized and validated when they are saved
+ * (src/supabase/api/senderProfileService.js).
+ */
+
+import type { PostgridContact } from './postgrid.ts'
+
+export interface SenderProfile {
+  id: string
+  company_name: string
+  contact_name: string | null
+  address_line1: string
+  address_line2: string | null
+  city: string
+  state: string
+  zip_code: string
+  country_code: string
+}
+
+const PROFILE_COLUMNS = 'id, company_name, contact_name, address_line1, address_line2, city, state, zip_code, country_code'
+
+/**
+ * The profile a campaign mails from, or null if its owner has none
+ */
+export async function getCampaignSenderProfile(
+  supabase: any,
+  campaign: { user_id: string; sender_profile_id?: string | null }
+): Promise<SenderProfile | null> {
+  if (campaign.sender_profile_id) {
+    const { data, error } = await supabase
+      .from('sender_profiles')
+      .select(PROFILE_COLUMNS)
+      .eq('id', campaign.sender_profile_id)
+      .eq('user_id', campaign.user_id)
+      .maybeSingle()
+
+    if (error) {
+      throw new Error(`Failed to load sender profile: ${error.message}`)
+    }
+
+    if (data) return data
+  }
+
+  const { data, error } = await supabase
+    .from('sender_profiles')
+    .select(PROFILE_COLUMNS)
+    .eq('user_id', campaign.user_id)
+    .eq('is_default', true)
+    .maybeSingle()
+
+  if (error) {
+    throw new Error(`Failed to load default sender profile: ${error.message}`)
+  }
+
+  return data
+}
+
+/**
+ * PostGrid contact for a profile (the postcard's `from` block)
+ */
+export function toPostgridContact(profile: SenderProfile): PostgridContact {
+  return {
+    companyName: profile.company_name,
+    ...(profile.contact_name && { firstName: profile.contact_name }),
+    addressLine1: profile.address_line1,
+    ...(profile.address_line2 && { addressLine2: profile.address_line2 }),
+    city: profile.city,
+    provinceOrState: profile.state,
+    postalOrZip: profile.zip_code,
+    countryCode: profile.country_code || 'US',
+  }
+}
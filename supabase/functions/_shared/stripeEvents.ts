@@ -0,0 +1,874 @@
+/**
+ * STRIPE EVENTS
+ *
+ * The stripe_events ledger and the handlers behind stripe-webhook. Every
+ * verified event is stored by its ID and claimed (claim_stripe_event RPC)
+ * before it is handled, so a Stripe retry of an event that was already
+ * processed, or a second delivery while the first is still running, never
+ * applies it twice. replay-stripe-event runs a stored event through the same
+ * handlers again.
+ *
+ * Handlers are safe to repeat: the transactions they record carry the
+ * event's ID (transactions.stripe_event_id is unique) and a handler whose
+ * transaction already exists stops there, and refunds are reconciled from
+ * Stripe's charge (syncChargeRefunds). Needs a service role client.
+ */
+
+import Stripe from 'https://esm.sh/stripe@14?target=denonext'
+import { creditTopUp } from './wallet.ts'
+import { describeRefund, syncChargeRefunds } from './transactionRefunds.ts'
+import { clearPaymentMethodFlag, flagPaymentMethod } from './paymentReadiness.ts'
+
+const supabaseUrl = Deno.env.get('SUPABASE_URL') || ''
+const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') || ''
+
+export type StripeEventStatus = 'received' | 'processing' | 'processed' | 'ignored' | 'failed'
+
+export interface StripeEventClaim {
+  claimed: boolean
+  /** The event's status before this claim */
+  status: StripeEventStatus
+  attempts: number
+}
+
+export interface StripeEventOutcome {
+  status: 'processed' | 'ignored' | 'failed'
+  note?: string | null
+  error?: string | null
+}
+
+// ============================================================================
+// LEDGER
+// ============================================================================
+
+/**
+ * Store the event if it's new and claim it for handling. Not claimed when it
+ * was already processed or ignored (unless force, for replays) or another
+ * delivery is handling it right now.
+ */
+export async function claimStripeEvent(
+  supabase: any,
+  event: Stripe.Event,
+  { force = false }: { force?: boolean } = {}
+): Promise<StripeEventClaim> {
+  const { data, error } = await supabase.rpc('claim_stripe_event', {
+    p_event: event,
+    p_force: force,
+  })
+
+  if (error) {
+    throw new Error(`Failed to claim Stripe event ${event.id}: ${error.message}`)
+  }
+
+  return data
+}
+
+/**
+ * Record how handling a claimed event ended. Logs rather than throws, so a
+ * ledger write can't turn a handled event into a failed delivery.
+ */
+export async function finishStripeEvent(
+  supabase: any,
+  eventId: string,
+  outcome: StripeEventOutcome,
+  { replayedBy }: { replayedBy?: string } = {}
+) {
+  const now = new Date().toISOString()
+
+  const { error } = await supabase
+    .from('stripe_events')
+    .update({
+      status: outcome.status,
+      note: outcome.note || null,
+      error: outcome.error || null,
+      processed_at: outcome.status === 'failed' ? null : now,
+      ...(replayedBy && { last_replayed_at: now, last_replayed_by: replayedBy }),
+      updated_at: now,
+    })
+    .eq('id', eventId)
+
+  if (error) {
+    console.error(`⚠️ Failed to record outcome of Stripe event ${eventId}:`, error.message)
+  }
+}
+
+// ============================================================================
+// DISPATCH
+// ============================================================================
+
+/**
+ * Run an event's handler. Throws when the handler fails.
+ */
+export async function processStripeEvent(
+  supabase: any,
+  stripe: Stripe,
+  event: Stripe.Event
+): Promise<StripeEventOutcome> {
+  switch (event.type) {
+    case 'payment_intent.succeeded':
+      return await handlePaymentSuccess(event.data.object as Stripe.PaymentIntent, event.id, supabase)
+
+    case 'payment_intent.payment_failed':
+      return await handlePaymentFailed(event.data.object as Stripe.PaymentIntent, event.id, supabase)
+
+    case 'payment_intent.requires_action':
+      return await handleRequiresAction(event.data.object as Stripe.PaymentIntent, event.id, supabase)
+
+    case 'charge.refunded':
+      return await handleRefund(event.data.object as Stripe.Charge, stripe, supabase)
+
+    case 'payment_method.attached':
+      return handlePaymentMethodAttached(event.data.object as Stripe.PaymentMethod)
+
+    case 'payment_method.detached':
+      return handlePaymentMethodDetached(event.data.object as Stripe.PaymentMethod)
+
+    default:
+      console.log(`Unhandled event type: ${event.type}`)
+      return { status: 'ignored', note: 'Unhandled event type' }
+  }
+}
+
+/**
+ * The card a PaymentIntent was charged to or declined on
+ */
+function paymentIntentCardId(paymentIntent: Stripe.PaymentIntent): string | null {
+  const paymentMethod = paymentIntent.payment_method || paymentIntent.last_payment_error?.payment_method
+  return typeof paymentMethod === 'string' ? paymentMethod : paymentMethod?.id || null
+}
+
+/**
+ * A transaction this event already recorded, if any
+ */
+async function findEventTransaction(supabase: any, eventId: string) {
+  const { data, error } = await supabase
+    .from('transactions')
+    .select('*')
+    .eq('stripe_event_id', eventId)
+    .maybeSingle()
+
+  if (error) {
+    throw new Error(`Failed to look up transaction for event ${eventId}: ${error.message}`)
+  }
+
+  return data
+}
+
+// ============================================================================
+// HANDLER: Payment Intent Succeeded
+// ============================================================================
+async function handlePaymentSuccess(
+  paymentIntent: Stripe.PaymentIntent,
+  eventId: string,
+  supabase: any
+): Promise<StripeEventOutcome> {
+  console.log(`💰 Payment succeeded: ${paymentIntent.id}`)
+
+  const campaignId = paymentIntent.metadata.campaign_id
+  const userId = paymentIntent.metadata.user_id
+  const billingReason = paymentIntent.metadata.billing_reason || 'campaign_approval'
+  const newMoverCount = parseInt(paymentIntent.metadata.new_mover_count || '0')
+  const isTestMode = paymentIntent.metadata.is_test_mode === 'true'
+
+  const charge = paymentIntent.charges?.data[0]
+  const paymentMethod = charge?.payment_method_details
+
+  // ============================================================================
+  // ALREADY HANDLED?
+  // ============================================================================
+  // The transaction is this handler's receipt: if it exists, an earlier
+  // delivery or replay got past the only step that can fail
+  const existing = await findEventTransaction(supabase, eventId)
+  if (existing) {
+    console.log(`↩️ Event ${eventId} already recorded as transaction ${existing.id}`)
+    return { status: 'processed', note: `Already recorded as transaction ${existing.id}` }
+  }
+
+  try {
+    // ============================================================================
+    // CREDIT WALLET (balance top-ups)
+    // ============================================================================
+    // Usually already credited by create-payment-intent; the idempotency key
+    // makes this a no-op then. Done first so a failed insert below can't skip it.
+    if (billingReason === 'wallet_top_up') {
+      const credit = await creditTopUp(supabase, {
+        userId,
+        amountCents: paymentIntent.amount,
+        paymentIntentId: paymentIntent.id,
+      })
+      console.log(`👛 Wallet top-up ${credit.duplicate ? 'already credited' : 'credited'}: balance ${credit.balance_cents} cents`)
+    }
+
+    // ============================================================================
+    // INSERT TRANSACTION RECORD
+    // ============================================================================
+    const { data: transaction, error: txError } = await supabase
+      .from('transactions')
+      .insert({
+        user_id: userId,
+        campaign_id: campaignId || null,
+        stripe_payment_intent_id: paymentIntent.id,
+        stripe_charge_id: charge?.id || null,
+        stripe_event_id: eventId,
+        stripe_customer_id: paymentIntent.customer as string,
+        amount_cents: paymentIntent.amount,
+        amount_dollars: paymentIntent.amount / 100,
+        currency: paymentIntent.currency,
+        status: 'succeeded',
+        billing_reason: billingReason,
+        new_mover_count: newMoverCount > 0 ? newMoverCount : null,
+        payment_method_last4: paymentMethod?.card?.last4 || null,
+        payment_method_brand: paymentMethod?.card?.brand || null,
+        receipt_url: charge?.receipt_url || null,
+        is_test_mode: isTestMode,
+        metadata: paymentIntent.metadata,
+      })
+      .select()
+      .single()
+
+    if (txError) {
+      console.error('Error inserting transaction:', txError)
+      throw txError
+    }
+
+    console.log(`✅ Transaction recorded: ${transaction.id}`)
+
+    // ============================================================================
+    // CLEAR THE CARD'S DECLINE FLAG
+    // ============================================================================
+    // The poller holds back postcards on a recently declined card
+    // (see _shared/paymentReadiness.ts); this one works again
+    const cardId = paymentIntentCardId(paymentIntent)
+    if (cardId) {
+      try {
+        await clearPaymentMethodFlag(supabase, cardId)
+      } catch (flagError: any) {
+        console.error(`   ⚠️  ${flagError.message}`)
+      }
+    }
+
+    // ============================================================================
+    // LOG SUCCESSFUL TRANSACTION TO ACTIVITY LOGS
+    // ============================================================================
+    try {
+      await supabase.from('admin_activity_logs').insert({
+        admin_id: null,
+        user_id: userId,
+        action_type: 'transaction_succeeded',
+        target_type: 'transaction',
+        target_id: transaction.id,
+        metadata: {
+          amount_dollars: transaction.amount_dollars,
+          billing_reason: billingReason,
+          new_mover_count: newMoverCount > 0 ? newMoverCount : null,
+          campaign_id: campaignId,
+          stripe_payment_intent_id: paymentIntent.id,
+          payment_method_last4: paymentMethod?.card?.last4,
+          payment_method_brand: paymentMethod?.card?.brand,
+          is_test_mode: isTestMode,
+          timestamp: new Date().toISOString(),
+        },
+      })
+      console.log('   📝 Activity log created for successful transaction')
+    } catch (logError: any) {
+      console.error('   ⚠️  Failed to create activity log:', logError.message)
+      // Don't fail the transaction if logging fails
+    }
+
+    // ============================================================================
+    // UPDATE CAMPAIGN STATUS
+    // ============================================================================
+    if (campaignId) {
+      const { error: campaignError } = await supabase
+        .from('campaigns')
+        .update({
+          payment_status: 'paid',
+          payment_intent_id: paymentIntent.id,
+          paid_at: new Date().toISOString(),
+          payment_requires_action: false,
+          payment_action_url: null,
+          updated_at: new Date().toISOString(),
+        })
+        .eq('id', campaignId)
+
+      if (campaignError) {
+        console.error('Error updating campaign:', campaignError)
+      } else {
+        console.log(`✅ Campaign ${campaignId} marked as paid`)
+      }
+    }
+
+    // ============================================================================
+    // UPDATE PENDING CHARGES (if this was a batched charge)
+    // ============================================================================
+    // Only the rows linked to this PaymentIntent by process-pending-charges.
+    // Other unprocessed rows for the same campaign still need billing.
+    if (billingReason === 'daily_batch') {
+      const { error: pendingError } = await supabase
+        .from('pending_charges')
+        .update({
+          processed: true,
+          processed_at: new Date().toISOString(),
+        })
+        .eq('stripe_payment_intent_id', paymentIntent.id)
+        .eq('processed', false)
+
+      if (pendingError) {
+        console.error('Error updating pending charges:', pendingError)
+      } else {
+        console.log(`✅ Pending charges marked as processed`)
+      }
+    }
+
+    // ============================================================================
+    // SEND EMAIL NOTIFICATION (optional)
+    // ============================================================================
+    // You can implement email notification here using Supabase Auth
+    // or a third-party service like SendGrid
+
+    return { status: 'processed' }
+  } catch (error) {
+    console.error('Error handling payment success:', error)
+    throw error
+  }
+}
+
+// ============================================================================
+// HANDLER: Payment Intent Failed
+// ============================================================================
+async function handlePaymentFailed(
+  paymentIntent: Stripe.PaymentIntent,
+  eventId: string,
+  supabase: any
+): Promise<StripeEventOutcome> {
+  console.log(`❌ Payment failed: ${paymentIntent.id}`)
+
+  const campaignId = paymentIntent.metadata.campaign_id
+  const userId = paymentIntent.metadata.user_id
+  const billingReason = paymentIntent.metadata.billing_reason || 'campaign_approval'
+  const newMoverCount = parseInt(paymentIntent.metadata.new_mover_count || '0')
+  const isTestMode = paymentIntent.metadata.is_test_mode === 'true'
+
+  const charge = paymentIntent.charges?.data[0]
+  const failureCode = charge?.failure_code || paymentIntent.last_payment_error?.code
+  const failureMessage = charge?.failure_message || paymentIntent.last_payment_error?.message
+
+  // ============================================================================
+  // ALREADY HANDLED?
+  // ============================================================================
+  // The transaction is this handler's receipt: if it exists, an earlier
+  // delivery or replay got past the only step that can fail
+  const existing = await findEventTransaction(supabase, eventId)
+  if (existing) {
+    console.log(`↩️ Event ${eventId} already recorded as transaction ${existing.id}`)
+    return { status: 'processed', note: `Already recorded as transaction ${existing.id}` }
+  }
+
+  try {
+    // ============================================================================
+    // INSERT FAILED TRANSACTION RECORD
+    // ============================================================================
+    const { error: txError } = await supabase
+      .from('transactions')
+      .insert({
+        user_id: userId,
+        campaign_id: campaignId || null,
+        stripe_payment_intent_id: paymentIntent.id,
+        stripe_charge_id: charge?.id || null,
+        stripe_event_id: eventId,
+        stripe_customer_id: paymentIntent.customer as string,
+        amount_cents: paymentIntent.amount,
+        amount_dollars: paymentIntent.amount / 100,
+        currency: paymentIntent.currency,
+        status: 'failed',
+        billing_reason: billingReason,
+        new_mover_count: newMoverCount > 0 ? newMoverCount : null,
+        failure_code: failureCode || null,
+        failure_message: failureMessage || null,
+        is_test_mode: isTestMode,
+        metadata: paymentIntent.metadata,
+      })
+
+    if (txError) {
+      console.error('Error inserting failed transaction:', txError)
+      throw txError
+    }
+
+    console.log(`✅ Failed transaction recorded`)
+
+    // ============================================================================
+    // FLAG THE DECLINED CARD
+    // ============================================================================
+    // The poller holds back postcards on it for a while (see _shared/paymentReadiness.ts)
+    const cardId = paymentIntentCardId(paymentIntent)
+    if (cardId && paymentIntent.last_payment_error?.type === 'card_error') {
+      try {
+        await flagPaymentMethod(supabase, cardId, `Card declined: ${failureCode || failureMessage || 'payment failed'}`)
+      } catch (flagError: any) {
+        console.error(`   ⚠️  ${flagError.message}`)
+      }
+    }
+
+    // ============================================================================
+    // LOG FAILED TRANSACTION TO ACTIVITY LOGS
+    // ============================================================================
+    try {
+      await supabase.from('admin_activity_logs').insert({
+        admin_id: null,
+        user_id: userId,
+        action_type: 'transaction_failed',
+        target_type: 'transaction',
+        target_id: null,
+        metadata: {
+          amount_dollars: paymentIntent.amount / 100,
+          billing_reason: billingReason,
+          new_mover_count: newMoverCount > 0 ? newMoverCount : null,
+          campaign_id: campaignId,
+          stripe_payment_intent_id: paymentIntent.id,
+          failure_code: failureCode,
+          failure_message: failureMessage,
+          is_test_mode: isTestMode,
+          timestamp: new Date().toISOString(),
+        },
+      })
+      console.log('   📝 Activity log created for failed transaction')
+    } catch (logError: any) {
+      console.error('   ⚠️  Failed to create activity log:', logError.message)
+      // Don't fail the webhook if logging fails
+    }
+
+    // ============================================================================
+    // UPDATE CAMPAIGN STATUS TO FAILED
+    // ============================================================================
+    if (campaignId) {
+      const { error: campaignError } = await supabase
+        .from('campaigns')
+        .update({
+          payment_status: 'failed',
+          payment_intent_id: paymentIntent.id,
+          updated_at: new Date().toISOString(),
+        })
+        .eq('id', campaignId)
+
+      if (campaignError) {
+        console.error('Error updating campaign to failed:', campaignError)
+      } else {
+        console.log(`✅ Campaign ${campaignId} marked as payment failed`)
+      }
+
+      // Get user email and campaign for notification
+      const { data: user } = await supabase
+        .from('profile')
+        .select('email, full_name')
+        .eq('user_id', userId)
+        .single()
+
+      // A failed postcard charge goes to dunning (process-dunning), which sends its own notices
+      if (user && billingReason !== 'new_mover_addition') {
+        console.log(`📧 Sending payment failure notification to: ${user.email}`)
+
+        // Get campaign details
+        const { data: campaign } = await supabase
+          .from('campaigns')
+          .select('campaign_name')
+          .eq('id', campaignId)
+          .single()
+
+        // Send payment failed email
+        try {
+          const emailResponse = await fetch(`${supabaseUrl}/functions/v1/send-email`, {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+              'Authorization': `Bearer ${supabaseServiceKey}`,
+            },
+            body: JSON.stringify({
+              to: user.email,
+              subject: 'Payment Failed - Action Required',
+              html: getPaymentFailedEmailTemplate(
+                user.full_name || user.email,
+                campaign?.campaign_name || 'your campaign',
+                failureMessage || 'Your payment could not be processed.',
+                campaignId
+              )
+            })
+          })
+
+          if (!emailResponse.ok) {
+            console.error('Failed to send payment failed email:', await emailResponse.text())
+          } else {
+            console.log('✅ Payment failed email sent successfully')
+          }
+        } catch (emailError: any) {
+          console.error('Error sending payment failed email:', emailError.message)
+        }
+      }
+    }
+
+    return { status: 'processed' }
+  } catch (error) {
+    console.error('Error handling payment failure:', error)
+    throw error
+  }
+}
+
+// ============================================================================
+// HANDLER: Payment Requires Action (3D Secure)
+// ============================================================================
+async function handleRequiresAction(
+  paymentIntent: Stripe.PaymentIntent,
+  eventId: string,
+  supabase: any
+): Promise<StripeEventOutcome> {
+  console.log(`🔐 Payment requires action: ${paymentIntent.id}`)
+
+  const campaignId = paymentIntent.metadata.campaign_id
+  const userId = paymentIntent.metadata.user_id
+  const isTestMode = paymentIntent.metadata.is_test_mode === 'true'
+
+  // ============================================================================
+  // ALREADY HANDLED?
+  // ============================================================================
+  // The transaction is this handler's receipt: if it exists, an earlier
+  // delivery or replay got past the only step that can fail
+  const existing = await findEventTransaction(supabase, eventId)
+  if (existing) {
+    console.log(`↩️ Event ${eventId} already recorded as transaction ${existing.id}`)
+    return { status: 'processed', note: `Already recorded as transaction ${existing.id}` }
+  }
+
+  try {
+    // ============================================================================
+    // INSERT PROCESSING TRANSACTION RECORD
+    // ============================================================================
+    const { error: txError } = await supabase
+      .from('transactions')
+      .insert({
+        user_id: userId,
+        campaign_id: campaignId || null,
+        stripe_payment_intent_id: paymentIntent.id,
+        stripe_event_id: eventId,
+        stripe_customer_id: paymentIntent.customer as string,
+        amount_cents: paymentIntent.amount,
+        amount_dollars: paymentIntent.amount / 100,
+        currency: paymentIntent.currency,
+        status: 'processing',
+        billing_reason: paymentIntent.metadata.billing_reason || 'campaign_approval',
+        is_test_mode: isTestMode,
+        metadata: paymentIntent.metadata,
+      })
+
+    if (txError) {
+      console.error('Error inserting processing transaction:', txError)
+      throw txError
+    }
+
+    // ============================================================================
+    // UPDATE CAMPAIGN WITH ACTION URL
+    // ============================================================================
+    if (campaignId) {
+      const actionUrl = paymentIntent.next_action?.redirect_to_url?.url
+
+      const { error: campaignError } = await supabase
+        .from('campaigns')
+        .update({
+          payment_status: 'processing',
+          payment_intent_id: paymentIntent.id,
+          payment_requires_action: true,
+          payment_action_url: actionUrl || null,
+          updated_at: new Date().toISOString(),
+        })
+        .eq('id', campaignId)
+
+      if (campaignError) {
+        console.error('Error updating campaign with action required:', campaignError)
+      } else {
+        console.log(`✅ Campaign ${campaignId} marked as requiring action`)
+      }
+
+      // Get user email and campaign for notification
+      const { data: user } = await supabase
+        .from('profile')
+        .select('email, full_name')
+        .eq('user_id', userId)
+        .single()
+
+      if (user && actionUrl) {
+        console.log(`📧 Sending 3D Secure notification to: ${user.email}`)
+        console.log(`🔗 Action URL: ${actionUrl}`)
+
+        // Get campaign details
+        const { data: campaign } = await supabase
+          .from('campaigns')
+          .select('campaign_name')
+          .eq('id', campaignId)
+          .single()
+
+        // Send 3D Secure email
+        try {
+          const emailResponse = await fetch(`${supabaseUrl}/functions/v1/send-email`, {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+              'Authorization': `Bearer ${supabaseServiceKey}`,
+            },
+            body: JSON.stringify({
+              to: user.email,
+              subject: 'Action Required: Complete Payment Authentication',
+              html: getPaymentRequiresActionEmailTemplate(
+                user.full_name || user.email,
+                campaign?.campaign_name || 'your campaign',
+                actionUrl
+              )
+            })
+          })
+
+          if (!emailResponse.ok) {
+            console.error('Failed to send 3D Secure email:', await emailResponse.text())
+          } else {
+            console.log('✅ 3D Secure email sent successfully')
+          }
+        } catch (emailError: any) {
+          console.error('Error sending 3D Secure email:', emailError.message)
+        }
+      }
+    }
+
+    return { status: 'processed' }
+  } catch (error) {
+    console.error('Error handling requires action:', error)
+    throw error
+  }
+}
+
+// ============================================================================
+// HANDLER: Charge Refunded
+// ============================================================================
+async function handleRefund(
+  charge: Stripe.Charge,
+  stripe: Stripe,
+  supabase: any
+): Promise<StripeEventOutcome> {
+  console.log(`💸 Charge refunded: ${charge.id}`)
+
+  const paymentIntentId = charge.payment_intent as string
+
+  try {
+    // Find the transaction
+    const { data: transaction, error: findError } = await supabase
+      .from('transactions')
+      .select('*')
+      .eq('stripe_payment_intent_id', paymentIntentId)
+      .single()
+
+    // Replay from the Stripe Events page once the payment is recorded
+    if (findError || !transaction) {
+      console.error('Transaction not found for refund:', findError)
+      return { status: 'ignored', note: `No transaction for payment ${paymentIntentId}` }
+    }
+
+    // ============================================================================
+    // RECONCILE REFUNDS
+    // ============================================================================
+    // Records each refund of the charge and takes the refund total from
+    // Stripe, so admin refunds (refund-transaction, which already ran this),
+    // mail piece adjustments and dashboard refunds all end up the same way.
+    // Also reverses refunded top-ups and marks a campaign refunded once the
+    // charge that paid for it is.
+    const sync = await syncChargeRefunds(supabase, stripe, transaction, charge.id)
+    console.log(`✅ Transaction ${transaction.id} is ${sync.status} (${sync.refundAmountCents} cents refunded)`)
+
+    // ============================================================================
+    // LOG REFUND TO ACTIVITY LOGS
+    // ============================================================================
+    // Admin refunds were logged by refund-transaction; only log the others
+    for (const refund of sync.discovered) {
+      try {
+        await supabase.from('admin_activity_logs').insert({
+          admin_id: null,
+          user_id: transaction.user_id,
+          action_type: 'transaction_refunded',
+          target_type: 'transaction',
+          target_id: transaction.id,
+          metadata: {
+            original_amount_dollars: transaction.amount_dollars,
+            refund_amount_dollars: refund.amount_cents / 100,
+            refund_status: sync.status,
+            refund_reason: describeRefund(refund),
+            campaign_id: transaction.campaign_id,
+            stripe_payment_intent_id: paymentIntentId,
+            stripe_charge_id: charge.id,
+            stripe_refund_id: refund.stripe_refund_id,
+            timestamp: new Date().toISOString(),
+          },
+        })
+        console.log('   📝 Activity log created for refund')
+      } catch (logError: any) {
+        console.error('   ⚠️  Failed to create activity log:', logError.message)
+        // Don't fail the webhook if logging fails
+      }
+    }
+
+    return { status: 'processed', note: `Transaction ${transaction.id} is ${sync.status}` }
+  } catch (error) {
+    console.error('Error handling refund:', error)
+    throw error
+  }
+}
+
+// ============================================================================
+// HANDLER: Payment Method Attached
+// ============================================================================
+function handlePaymentMethodAttached(paymentMethod: Stripe.PaymentMethod): StripeEventOutcome {
+  console.log(`💳 Payment method attached: ${paymentMethod.id}`)
+
+  // This event is already handled by the confirm-setup-intent function
+  // We're just logging it here for audit purposes
+
+  // You could implement additional logging or analytics here
+  return { status: 'ignored', note: 'Saved by confirm-setup-intent' }
+}
+
+// ============================================================================
+// HANDLER: Payment Method Detached
+// ============================================================================
+function handlePaymentMethodDetached(paymentMethod: Stripe.PaymentMethod): StripeEventOutcome {
+  console.log(`🗑️ Payment method detached: ${paymentMethod.id}`)
+
+  // The payment_methods table should be updated via frontend API calls
+  // This is just for logging/audit purposes
+
+  // You could implement additional cleanup or logging here
+  return { status: 'ignored', note: 'Removed through the app' }
+}
+
+// ============================================================================
+// EMAIL TEMPLATES
+// ============================================================================
+
+/**
+ * Email template for payment failed
+ */
+function getPaymentFailedEmailTemplate(
+  userName: string,
+  campaignName: string,
+  failureReason: string,
+  campaignId: string
+): string {
+  const frontendUrl = Deno.env.get('FRONTEND_URL') || 'http://localhost:5174'
+
+  return `
+    <!DOCTYPE html>
+    <html>
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <style>
+          body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; background-color: #f5f5f5; }
+          .container { max-width: 600px; margin: 40px auto; background: white; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 6px rgba(0,0,0,0.1); }
+          .header { background: linear-gradient(135deg, #dc2626 0%, #b91c1c 100%); padding: 40px 30px; text-align: center; }
+          .logo { width: 160px; height: auto; margin-bottom: 20px; }
+          .header-text { color: white; font-size: 24px; font-weight: 600; margin: 0; }
+          .content { padding: 40px 30px; }
+          .card { background: #fee2e2; border-left: 4px solid #dc2626; padding: 20px; border-radius: 8px; margin: 20px 0; }
+          .card-title { font-size: 18px; font-weight: 600; color: #991b1b; margin: 0 0 10px 0; }
+          .card-text { color: #7f1d1d; margin: 0; font-size: 14px; }
+          .greeting { font-size: 16px; margin-bottom: 20px; color: #333; }
+          .message { color: #666; line-height: 1.8; margin: 20px 0; }
+          .cta-button { display: inline-block; background: #dc2626; color: white !important; text-decoration: none; padding: 14px 32px; border-radius: 8px; font-weight: 600; margin: 20px 0; transition: background 0.3s; }
+          .cta-button:hover { background: #b91c1c; }
+          .footer { background: #f9fafb; padding: 30px; text-align: center; color: #6b7280; font-size: 14px; border-top: 1px solid #e5e7eb; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <div class="header-text">Payment Failed</div>
+          </div>
+          <div class="content">
+            <div class="greeting">Hi ${userName},</div>
+            <div class="message">
+              We attempted to process your payment for <strong>${campaignName}</strong>, but it was unsuccessful.
+            </div>
+            <div class="card">
+              <div class="card-title">Failure Reason:</div>
+              <div class="card-text">${failureReason}</div>
+            </div>
+            <div class="message">
+              To continue with your campaign, please update your payment method or try again.
+            </div>
+            <a href="${frontendUrl}/settings?tab=billing" class="cta-button">Update Payment Method</a>
+            <div class="message" style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #e5e7eb; font-size: 14px; color: #6b7280;">
+              If you need assistance, please contact our support team.
+            </div>
+          </div>
+          <div class="footer">
+            © ${new Date().getFullYear()} MovePost. All rights reserved.
+          </div>
+        </div>
+      </body>
+    </html>
+  `
+}
+
+/**
+ * Email template for payment requires action (3D Secure)
+ */
+function getPaymentRequiresActionEmailTemplate(
+  userName: string,
+  campaignName: string,
+  actionUrl: string
+): string {
+  return `
+    <!DOCTYPE html>
+    <html>
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <style>
+          body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; background-color: #f5f5f5; }
+          .container { max-width: 600px; margin: 40px auto; background: white; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 6px rgba(0,0,0,0.1); }
+          .header { background: linear-gradient(135deg, #2563eb 0%, #1d4ed8 100%); padding: 40px 30px; text-align: center; }
+          .logo { width: 160px; height: auto; margin-bottom: 20px; }
+          .header-text { color: white; font-size: 24px; font-weight: 600; margin: 0; }
+          .content { padding: 40px 30px; }
+          .card { background: #dbeafe; border-left: 4px solid #2563eb; padding: 20px; border-radius: 8px; margin: 20px 0; }
+          .card-title { font-size: 18px; font-weight: 600; color: #1e40af; margin: 0 0 10px 0; }
+          .card-text { color: #1e3a8a; margin: 0; font-size: 14px; }
+          .greeting { font-size: 16px; margin-bottom: 20px; color: #333; }
+          .message { color: #666; line-height: 1.8; margin: 20px 0; }
+          .cta-button { display: inline-block; background: #2563eb; color: white !important; text-decoration: none; padding: 14px 32px; border-radius: 8px; font-weight: 600; margin: 20px 0; transition: background 0.3s; }
+          .cta-button:hover { background: #1d4ed8; }
+          .footer { background: #f9fafb; padding: 30px; text-align: center; color: #6b7280; font-size: 14px; border-top: 1px solid #e5e7eb; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <div class="header-text">Action Required</div>
+          </div>
+          <div class="content">
+            <div class="greeting">Hi ${userName},</div>
+            <div class="message">
+              Your payment for <strong>${campaignName}</strong> requires additional authentication to complete the transaction.
+            </div>
+            <div class="card">
+              <div class="card-title">🔐 3D Secure Authentication</div>
+              <div class="card-text">Your bank requires you to verify this payment for security purposes.</div>
+            </div>
+            <div class="message">
+              Please click the button below to complete the authentication process:
+            </div>
+            <a href="${actionUrl}" class="cta-button">Complete Authentication</a>
+            <div class="message" style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #e5e7eb; font-size: 14px; color: #6b7280;">
+              This is a security measure required by your bank to protect your card from unauthorized use.
+            </div>
+          </div>
+          <div class="footer">
+            © ${new Date().getFullYear()} MovePost. All rights reserved.
+          </div>
+        </div>
+      </body>
+    </html>
+  `
+}
@@ -0,0 +1,61 @@
+/**
+ * SUPPRESSION LISTS
+ *
+ * Do-not-mail check for the poller and the blast dispatcher, run before every
+ * postcard. A mover is suppressed when it matches an entry on its campaign
+ * owner's list or on the global list (suppression_entries), by address,
+ * Melissa address key or ZIP+4. Matching is done by find_suppression() in
+ * the database so it normalizes exactly like the entries were saved; verified
+ * movers are also checked at their standardized address and ZIP+4 (see
+ * addressVerification.ts). Entries are standardized by the app
+ * (src/utils/suppression.js); tests/suppression.test.ts checks the two meet.
+ */
+
+export interface SuppressionMatch {
+  id: string
+  scope: 'account' | 'global'
+  match_type: 'address' | 'address_key' | 'zip4'
+  reason: string
+}
+
+export async function findSuppression(
+  supabase: any,
+  userId: string,
+  mover: {
+    address_line: string
+    zip_code: string
+    melissa_address_key?: string | null
+    verified_address?: { address_line: string; zip_code: string; zip_plus4?: string | null } | null
+  }
+): Promise<SuppressionMatch | null> {
+  // The provider's address, then the verified one (standardized, with ZIP+4)
+  const verified = mover.verified_address
+  const addresses = [{ address_line: mover.address_line, zip_code: mover.zip_code }]
+  if (verified) {
+    addresses.push({
+      address_line: verified.address_line,
+      zip_code: verified.zip_plus4 ? `${verified.zip_code}-${verified.zip_plus4}` : verified.zip_code,
+    })
+  }
+
+  for (const address of addresses) {
+    const { data, error } = await supabase.rpc('find_suppression', {
+      p_user_id: userId,
+      p_address_line: address.address_line,
+      p_zip_code: address.zip_code,
+      p_address_key: mover.melissa_address_key || null,
+    })
+
+    if (error) {
+      throw new Error(`Failed to check suppression lists: ${error.message}`)
+    }
+
+    if (data?.[0]) return data[0]
+  }
+
+  return null
+}
+
+export function describeSuppression(match: SuppressionMatch): string {
+  return `Suppressed by ${match.scope} list (${match.match_type}, ${match.reason})`
+}
@@ -0,0 +1,216 @@
+/**
+ * TRANSACTION REFUNDS
+ *
+ * Every refund of a transaction has a transaction_refunds row. Admin refunds
+ * (refund-transaction) create theirs up front and link the Stripe refund to
+ * it through metadata.transaction_refund_id; refunds made anywhere else
+ * (Stripe dashboard, mail piece adjustments) get one when
+ * syncChargeRefunds() first sees them.
+ *
+ * For card charges Stripe is the source of truth: syncChargeRefunds() takes
+ * the refund total and status from the charge, so refund-transaction and the
+ * stripe-webhook charge.refunded handler can both run it, in either order,
+ * and agree. Wallet-paid transactions are refunded by the
+ * refund_wallet_payment() database function instead. Needs a service role
+ * client.
+ */
+
+import { applyWalletEntry } from './wallet.ts'
+
+export type RefundReason =
+  | 'customer_request'
+  | 'duplicate_charge'
+  | 'billing_error'
+  | 'postcard_not_delivered'
+  | 'service_issue'
+  | 'fraudulent'
+  | 'other'
+
+/**
+ * Refund reason picklist. Mirrors REFUND_REASONS in src/utils/refunds.js
+ * (tests/refund-transaction.test.ts compares them) and the
+ * transaction_refunds reason check.
+ */
+export const REFUND_REASONS: Record<RefundReason, { label: string; stripeReason: string }> = {
+  customer_request: { label: 'Customer request', stripeReason: 'requested_by_customer' },
+  duplicate_charge: { label: 'Duplicate charge', stripeReason: 'duplicate' },
+  billing_error: { label: 'Billing error', stripeReason: 'requested_by_customer' },
+  postcard_not_delivered: { label: 'Postcard not delivered', stripeReason: 'requested_by_customer' },
+  service_issue: { label: 'Service or print quality issue', stripeReason: 'requested_by_customer' },
+  fraudulent: { label: 'Fraudulent charge', stripeReason: 'fraudulent' },
+  other: { label: 'Other', stripeReason: 'requested_by_customer' },
+}
+
+// A refund may only come out of a charge that went through
+export const REFUNDABLE_TRANSACTION_STATUSES = ['succeeded', 'partially_refunded']
+
+// Charges that pay for a whole campaign (campaigns.payment_status). Per-mover
+// and batch charges pay for single postcards, so refunding one leaves the
+// campaign paid.
+const CAMPAIGN_PAYMENT_BILLING_REASONS = ['campaign_approval', 'campaign_launch', 'blast_send']
+
+// Stripe refund status -> transaction_refunds.status
+const REFUND_STATUSES: Record<string, string> = {
+  pending: 'pending',
+  requires_action: 'pending',
+  succeeded: 'succeeded',
+  failed: 'failed',
+  canceled: 'canceled',
+}
+
+export function isRefundReason(reason: unknown): reason is RefundReason {
+  return typeof reason === 'string' && reason in REFUND_REASONS
+}
+
+/**
+ * The note, or the reason's label when there is none
+ */
+export function describeRefund(refund: { reason: string; note?: string | null }): string {
+  return refund.note || REFUND_REASONS[refund.reason as RefundReason]?.label || refund.reason
+}
+
+/**
+ * What is left to refund on a transaction, in cents
+ */
+export function refundableCents(transaction: { amount_cents: number; refund_amount_cents?: number | null }): number {
+  return Math.max(0, transaction.amount_cents - (transaction.refund_amount_cents || 0))
+}
+
+/**
+ * The picklist reason of a refund made outside the admin page
+ */
+function reasonFromStripe(refund: any): RefundReason {
+  const code = refund.metadata?.refund_reason_code
+  if (isRefundReason(code)) return code
+  if (refund.metadata?.refunded_by === 'mail_piece_adjustment') return 'postcard_not_delivered'
+  if (refund.reason === 'duplicate') return 'duplicate_charge'
+  if (refund.reason === 'fraudulent') return 'fraudulent'
+  return 'other'
+}
+
+export interface ChargeRefundSync {
+  status: string
+  refundAmountCents: number
+  fullyRefunded: boolean
+  /** transaction_refunds rows created for refunds made outside the admin page */
+  discovered: any[]
+}
+
+/**
+ * Bring a card transaction's refunds in line with Stripe: record each refund
+ * of the charge, take the refund total and status from the charge, reverse
+ * refunded wallet top-ups and, for a charge that paid for a whole campaign,
+ * mark the campaign refunded once nothing is left. Safe to repeat.
+ */
+export async function syncChargeRefunds(
+  supabase: any,
+  stripe: any,
+  transaction: any,
+  chargeId: string
+): Promise<ChargeRefundSync> {
+  const charge = await stripe.charges.retrieve(chargeId)
+  const { data: refunds } = await stripe.refunds.list({ charge: chargeId, limit: 100 })
+  const discovered: any[] = []
+
+  for (const refund of refunds) {
+    const fields = {
+      stripe_refund_id: refund.id,
+      status: REFUND_STATUSES[refund.status] || 'pending',
+      error: refund.failure_reason || null,
+      updated_at: new Date().toISOString(),
+    }
+
+    const linkedRefundId = refund.metadata?.transaction_refund_id
+
+    if (!linkedRefundId) {
+      const { data: inserted, error: insertError } = await supabase
+        .from('transaction_refunds')
+        .upsert({
+          ...fields,
+          transaction_id: transaction.id,
+          user_id: transaction.user_id,
+          campaign_id: transaction.campaign_id,
+          amount_cents: refund.amount,
+          reason: reasonFromStripe(refund),
+          note: refund.metadata?.refund_reason || null,
+          method: 'stripe_refund',
+          refunded_by: null,
+          created_at: new Date(refund.created * 1000).toISOString(),
+        }, { onConflict: 'stripe_refund_id', ignoreDuplicates: true })
+        .select()
+
+      if (insertError) {
+        throw new Error(`Failed to record refund ${refund.id}: ${insertError.message}`)
+      }
+
+      discovered.push(...(inserted || []))
+    }
+
+    const { error: updateError } = await supabase
+      .from('transaction_refunds')
+      .update(fields)
+      .eq(linkedRefundId ? 'id' : 'stripe_refund_id', linkedRefundId || refund.id)
+
+    if (updateError) {
+      throw new Error(`Failed to update refund ${refund.id}: ${updateError.message}`)
+    }
+
+    // Money refunded to the card comes back out of the wallet, never more than is left
+    if (transaction.billing_reason === 'wallet_top_up' && ['pending', 'succeeded'].includes(fields.status)) {
+      const reversal = await applyWalletEntry(supabase, {
+        userId: transaction.user_id,
+        type: 'top_up_refund',
+        amountCents: -refund.amount,
+        idempotencyKey: `top_up_refund:${refund.id}`,
+        transactionId: transaction.id,
+        stripePaymentIntentId: transaction.stripe_payment_intent_id,
+        description: 'Top-up refunded to card',
+        allowPartial: true,
+      })
+
+      if (!reversal.duplicate) {
+        console.log(`👛 Wallet debited ${-reversal.amount_cents} cents for refunded top-up (balance ${reversal.balance_cents} cents)`)
+      }
+    }
+  }
+
+  const refundAmountCents = charge.amount_refunded || 0
+  const status = charge.refunded
+    ? 'refunded'
+    : refundAmountCents > 0 ? 'partially_refunded' : transaction.status
+
+  const { error: txError } = await supabase
+    .from('transactions')
+    .update({
+      status,
+      refund_amount_cents: refundAmountCents,
+      // refunded_at is the latest refund
+      ...(refundAmountCents > (transaction.refund_amount_cents || 0) && { refunded_at: new Date().toISOString() }),
+      updated_at: new Date().toISOString(),
+    })
+    .eq('id', transaction.id)
+
+  if (txError) {
+    throw new Error(`Failed to update transaction refund status: ${txError.message}`)
+  }
+
+  if (
+    transaction.campaign_id &&
+    charge.refunded &&
+    CAMPAIGN_PAYMENT_BILLING_REASONS.includes(transaction.billing_reason)
+  ) {
+    const { error: campaignError } = await supabase
+      .from('campaigns')
+      .update({
+        payment_status: 'refunded',
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', transaction.campaign_id)
+
+    if (campaignError) {
+      console.error('Error updating campaign refund status:', campaignError)
+    }
+  }
+
+  return { status, refundAmountCents, fullyRefunded: Boolean(charge.refunded), discovered }
+}
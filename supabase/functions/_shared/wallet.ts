@@ -0,0 +1,77 @@
+/**
+ * PREPAID WALLET
+ *
+ * Edge Function access to the wallet ledger (wallets / wallet_ledger tables).
+ * Every balance change goes through the wallet_apply_entry() database
+ * function, which locks the wallet, never lets the balance go negative and
+ * ignores repeats of an idempotency key. That lets the same top-up be recorded
+ * by create-payment-intent and again by the Stripe webhook without crediting
+ * twice. Needs a service role client.
+ */
+
+export type WalletEntryType = 'top_up' | 'debit' | 'refund' | 'top_up_refund' | 'adjustment' | 'credit'
+
+export interface WalletEntry {
+  userId: string
+  type: WalletEntryType
+  /** Signed: positive credits the wallet, negative debits it */
+  amountCents: number
+  idempotencyKey: string
+  campaignId?: string | null
+  newMoverId?: string | null
+  transactionId?: string | null
+  stripePaymentIntentId?: string | null
+  description?: string | null
+  metadata?: Record<string, unknown>
+  /** Debit whatever is left when the balance can't cover the full amount */
+  allowPartial?: boolean
+}
+
+export interface WalletEntryResult {
+  /** False when a debit was larger than the balance */
+  applied: boolean
+  /** True when the idempotency key had already been used */
+  duplicate: boolean
+  entry_id: string | null
+  amount_cents: number
+  balance_cents: number
+}
+
+export async function applyWalletEntry(supabase: any, entry: WalletEntry): Promise<WalletEntryResult> {
+  const { data, error } = await supabase.rpc('wallet_apply_entry', {
+    p_user_id: entry.userId,
+    p_entry_type: entry.type,
+    p_amount_cents: entry.amountCents,
+    p_idempotency_key: entry.idempotencyKey,
+    p_campaign_id: entry.campaignId ?? null,
+    p_new_mover_id: entry.newMoverId ?? null,
+    p_transaction_id: entry.transactionId ?? null,
+    p_stripe_payment_intent_id: entry.stripePaymentIntentId ?? null,
+    p_description: entry.description ?? null,
+    p_metadata: entry.metadata ?? {},
+    p_allow_partial: entry.allowPartial ?? false,
+  })
+
+  if (error || !data) {
+    throw new Error(`Failed to apply ${entry.type} to wallet of user ${entry.userId}: ${error?.message || 'no result'}`)
+  }
+
+  return data
+}
+
+/**
+ * Credit a succeeded top-up PaymentIntent to the wallet (once per PaymentIntent)
+ */
+export async function creditTopUp(
+  supabase: any,
+  { userId, amountCents, paymentIntentId }: { userId: string; amountCents: number; paymentIntentId: string }
+): Promise<WalletEntryResult> {
+  return await applyWalletEntry(supabase, {
+    userId,
+    type: 'top_up',
+    amountCents,
+    idempotencyKey: `top_up:${paymentIntentId}`,
+    stripePaymentIntentId: paymentIntentId,
+    description: 'Balance top-up',
+  })
+}
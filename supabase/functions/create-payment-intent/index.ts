@@ -1,6 +1,7 @@
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
 import Stripe from 'https://esm.sh/stripe@14?target=denonext'
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { creditTopUp } from '../_shared/wallet.ts'
 
 // Initialize Stripe with stable API version (matches working Edge Functions)
 const stripe = new Stripe(Deno.env.get('STRIPE_SECRET_KEY') || '', {
@@ -75,6 +76,9 @@ serve(async (req) => {
       idempotencyKey
     } = await req.json()
 
+    // Prepaid balance top-ups are credited to the customer's wallet on success
+    const isWalletTopUp = metadata?.billing_reason === 'wallet_top_up'
+
     // ============================================================================
     // VALIDATE INPUT
     // ============================================================================
@@ -90,6 +94,10 @@ serve(async (req) => {
       throw new Error('Payment method ID is required')
     }
 
+    if (isWalletTopUp && campaignId) {
+      throw new Error('Balance top-ups cannot be tied to a campaign')
+    }
+
     // ============================================================================
     // VALIDATE CUSTOMER OWNERSHIP
     // ============================================================================
@@ -183,6 +191,8 @@ serve(async (req) => {
         campaign_id: campaignId || '',
         is_test_mode: isTestMode.toString(),
         ...metadata,
+        // A top-up belongs to the wallet owner, even when an admin makes it
+        ...(isWalletTopUp ? { user_id: customer.user_id, initiated_by: user.id } : {}),
       },
     }
 
@@ -206,6 +216,33 @@ serve(async (req) => {
       amount: paymentIntent.amount,
     })
 
+    // ============================================================================
+    // CREDIT WALLET (balance top-ups)
+    // ============================================================================
+    // The stripe-webhook credits it too (same idempotency key), which covers
+    // top-ups that only succeed later
+    let walletBalanceCents: number | null = null
+
+    if (isWalletTopUp && paymentIntent.status === 'succeeded') {
+      const serviceClient = createClient(
+        Deno.env.get('SUPABASE_URL') ?? '',
+        Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''
+      )
+
+      try {
+        const credit = await creditTopUp(serviceClient, {
+          userId: customer.user_id,
+          amountCents: paymentIntent.amount,
+          paymentIntentId: paymentIntent.id,
+        })
+        walletBalanceCents = credit.balance_cents
+        console.log('Wallet credited:', { userId: customer.user_id, balanceCents: walletBalanceCents })
+      } catch (walletError: any) {
+        // Payment went through; the webhook retries the credit
+        console.error('Error crediting wallet:', walletError)
+      }
+    }
+
     let responseMessage = ''
     let requiresAction = false
 
@@ -244,6 +281,7 @@ serve(async (req) => {
         actionUrl: paymentIntent.next_action?.redirect_to_url?.url || null,
         chargeId: paymentIntent.charges?.data[0]?.id || null,
         receiptUrl: paymentIntent.charges?.data[0]?.receipt_url || null,
+        walletBalanceCents,
       }),
       {
         headers: { ...corsHeaders, 'Content-Type': 'application/json' },
@@ -0,0 +1,1007 @@
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import Stripe from 'https://esm.sh/stripe@14?target=denonext'
+import {
+  campaignQuoteOptions,
+  centsToDollars,
+  DEFAULT_MAIL_CLASS,
+  DEFAULT_POSTCARD_SIZE,
+  getPostcardQuote,
+} from '../_shared/pricing.ts'
+import { applyWalletEntry } from '../_shared/wallet.ts'
+import { getPrintPdfUrl, isPostgridTestKey, sendPostcard } from '../_shared/postgrid.ts'
+import { getCampaignSenderProfile, toPostgridContact } from '../_shared/senderProfiles.ts'
+import { describeSuppression, findSuppression } from '../_shared/suppression.ts'
+import { describeHouseholdConflict, findHouseholdConflict } from '../_shared/households.ts'
+import {
+  describeUndeliverable,
+  getAddressVerifier,
+  isUndeliverable,
+  toMailingAddress,
+  verifyMoverAddress,
+} from '../_shared/addressVerification.ts'
+import {
+  personalizePdf,
+  usesOfferCode,
+  type MergeLayoutItem,
+} from '../_shared/mergeFields.ts'
+import { generateOfferCode, resolveMergeValues } from '../_shared/mergeValues.ts'
+
+/**
+ * SCHEDULED BLAST DISPATCH FUNCTION
+ *
+ * Sends blasts (campaigns.is_blast) whose scheduled_send_date has passed.
+ * Designed to run every 5 minutes via cron.
+ *
+ * Flow:
+ * 1. Claim approved blasts that are due (status 'scheduled', blast_started_at
+ *    unset), plus blasts whose dispatcher stopped heartbeating mid-send
+ *    - A user paying only from their wallet must have enough balance for the
+ *      whole blast; otherwise it is released with blast_last_error and waits
+ * 2. Record one blast_recipients row per mover in new_mover_ids
+ * 3. Mail each pending recipient via PostGrid (one Idempotency-Key per blast
+ *    and mover, so a resumed send never prints twice), personalized with the
+ *    mover's merge field values when the design has any; failures are
+ *    retried by later runs up to BLAST_MAX_ATTEMPTS. Addresses are verified
+ *    first and undeliverable ones skipped (state 'undeliverable', see
+ *    _shared/addressVerification.ts). Movers on the owner's or the global
+ *    suppression list, second movers of a household and households the owner
+ *    mailed within their repeat-mailing window are skipped (state
+ *    'suppressed', see _shared/households.ts)
+ * 4. Once no recipient is left to retry, charge once for the postcards
+ *    mailed: from the prepaid wallet when it covers the total, otherwise one
+ *    Stripe PaymentIntent (price from _shared/pricing.ts)
+ * 5. Create transaction record, update campaign totals (atomic
+ *    increment_campaign_totals RPC) and mark the blast completed
+ */
+
+// Initialize environment variables
+const supabaseUrl = Deno.env.get('SUPABASE_URL') || ''
+const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') || ''
+const postgridApiKey = Deno.env.get('POSTGRID_API_KEY') || ''
+
+// How long a claimed blast may go without a heartbeat before another run takes it over
+const BLAST_STALE_MINUTES = parseInt(Deno.env.get('BLAST_STALE_MINUTES') || '15')
+// Send attempts per recipient before it is marked failed for good
+const BLAST_MAX_ATTEMPTS = parseInt(Deno.env.get('BLAST_MAX_ATTEMPTS') || '3')
+const BLASTS_PER_RUN = 10
+const HEARTBEAT_EVERY = 20
+
+// Address verifier (ADDRESS_VERIFIER: 'postgrid' or 'rules')
+const addressVerifier = getAddressVerifier()
+
+// Stripe rejects charges below $0.50
+const STRIPE_MINIMUM_CENTS = 50
+
+// Initialize Stripe
+const stripe = new Stripe(Deno.env.get('STRIPE_SECRET_KEY') || '', {
+  apiVersion: '2023-10-16',
+  httpClient: Stripe.createFetchHttpClient(),
+})
+
+interface Blast {
+  id: string
+  user_id: string
+  campaign_name: string
+  postcard_design_url: string | null
+  postcard_print_url: string | null
+  postcard_merge_layout: MergeLayoutItem[] | null
+  postcard_size: string | null
+  mail_class: string | null
+  sender_profile_id: string | null
+  new_mover_ids: string[] | null
+  scheduled_send_date: string
+  blast_started_at: string | null
+  blast_heartbeat_at: string | null
+}
+
+interface BlastRecipient {
+  id: string
+  new_mover_id: string
+  state: 'pending' | 'mailing' | 'mailed' | 'failed' | 'suppressed' | 'undeliverable'
+  attempts: number
+}
+
+interface BlastCharge {
+  transactionId: string
+  amountCents: number
+  paymentReference: string
+  paidFromWallet: boolean
+  created: boolean
+}
+
+/**
+ * The blast was mailed but could not be paid for. Not retried automatically:
+ * the blast is completed with payment_status 'failed' for an admin to retry.
+ */
+class BlastChargeError extends Error {
+  constructor(message: string) {
+    super(message)
+    this.name = 'BlastChargeError'
+  }
+}
+
+const BLAST_COLUMNS = 'id, user_id, campaign_name, postcard_design_url, postcard_print_url, postcard_merge_layout, postcard_size, mail_class, sender_profile_id, new_mover_ids, scheduled_send_date, blast_started_at, blast_heartbeat_at'
+
+// ============================================================================
+// CLAIMING
+// ============================================================================
+// Claims are compare-and-set updates, so two overlapping runs never send the
+// same blast and a user's reschedule/cancel (which requires blast_started_at
+// to be unset) never races a send.
+
+async function claimDueBlasts(supabase: any): Promise<Blast[]> {
+  const now = new Date().toISOString()
+
+  const { data: due, error: dueError } = await supabase
+    .from('campaigns')
+    .select(BLAST_COLUMNS)
+    .eq('is_blast', true)
+    .eq('status', 'scheduled')
+    .eq('approval_status', 'approved')
+    .is('blast_started_at', null)
+    .lte('scheduled_send_date', now)
+    .order('scheduled_send_date', { ascending: true })
+    .limit(BLASTS_PER_RUN)
+
+  if (dueError) {
+    throw new Error(`Failed to fetch due blasts: ${dueError.message}`)
+  }
+
+  const claimed: Blast[] = []
+
+  for (const blast of (due || []) as Blast[]) {
+    const { data, error } = await supabase
+      .from('campaigns')
+      .update({ blast_started_at: now, blast_heartbeat_at: now, blast_last_error: null })
+      .eq('id', blast.id)
+      .eq('status', 'scheduled')
+      .is('blast_started_at', null)
+      .select(BLAST_COLUMNS)
+      .maybeSingle()
+
+    if (error) {
+      console.error(`   ⚠️  Failed to claim blast ${blast.id}:`, error)
+    } else if (data) {
+      claimed.push(data)
+    }
+  }
+
+  return claimed
+}
+
+async function claimStaleBlasts(supabase: any): Promise<Blast[]> {
+  const staleBefore = new Date(Date.now() - BLAST_STALE_MINUTES * 60 * 1000).toISOString()
+
+  const { data: stale, error: staleError } = await supabase
+    .from('campaigns')
+    .select(BLAST_COLUMNS)
+    .eq('is_blast', true)
+    .eq('status', 'scheduled')
+    .not('blast_started_at', 'is', null)
+    .lt('blast_heartbeat_at', staleBefore)
+    .limit(BLASTS_PER_RUN)
+
+  if (staleError) {
+    throw new Error(`Failed to fetch stalled blasts: ${staleError.message}`)
+  }
+
+  const claimed: Blast[] = []
+
+  for (const blast of (stale || []) as Blast[]) {
+    const { data, error } = await supabase
+      .from('campaigns')
+      .update({ blast_heartbeat_at: new Date().toISOString() })
+      .eq('id', blast.id)
+      .eq('blast_heartbeat_at', blast.blast_heartbeat_at)
+      .select(BLAST_COLUMNS)
+      .maybeSingle()
+
+    if (error) {
+      console.error(`   ⚠️  Failed to take over blast ${blast.id}:`, error)
+    } else if (data) {
+      claimed.push(data)
+    }
+  }
+
+  return claimed
+}
+
+async function heartbeat(supabase: any, blastId: string): Promise<void> {
+  await supabase
+    .from('campaigns')
+    .update({ blast_heartbeat_at: new Date().toISOString() })
+    .eq('id', blastId)
+}
+
+/**
+ * Give a claimed blast back to the schedule, e.g. while the wallet is too low
+ */
+async function releaseBlast(supabase: any, blastId: string, reason: string): Promise<void> {
+  await supabase
+    .from('campaigns')
+    .update({
+      blast_started_at: null,
+      blast_heartbeat_at: null,
+      blast_last_error: reason,
+    })
+    .eq('id', blastId)
+}
+
+// ============================================================================
+// PAYMENT SOURCE
+// ============================================================================
+// Mirrors the poller: users who have topped up pay from their wallet, and the
+// card is only charged when the wallet can't cover the blast and they opted
+// into card fallback.
+
+/**
+ * Whether a blast may start mailing. Only wallet users without card fallback
+ * are ever held.
+ */
+async function canStartBlast(supabase: any, blast: Blast): Promise<{ ok: boolean; reason?: string }> {
+  const { data: wallet, error } = await supabase
+    .from('wallets')
+    .select('balance_cents, card_fallback')
+    .eq('user_id', blast.user_id)
+    .maybeSingle()
+
+  if (error) {
+    throw new Error(`Failed to load wallet: ${error.message}`)
+  }
+
+  if (!wallet || wallet.card_fallback) {
+    return { ok: true }
+  }
+
+  const quantity = new Set(blast.new_mover_ids || []).size
+  if (quantity === 0) return { ok: true }
+
+  const quote = await getPostcardQuote(supabase, blast.user_id, { ...campaignQuoteOptions(blast), quantity })
+
+  if (wallet.balance_cents < quote.total_cents) {
+    return {
+      ok: false,
+      reason: `Wallet balance too low: $${centsToDollars(quote.total_cents).toFixed(2)} needed for ${quantity} postcards`,
+    }
+  }
+
+  return { ok: true }
+}
+
+/**
+ * The blast's card PaymentIntent from an earlier attempt, if any
+ */
+async function findBlastPaymentIntent(blastId: string): Promise<Stripe.PaymentIntent | null> {
+  const search = await stripe.paymentIntents.search({
+    query: `metadata['campaign_id']:'${blastId}' AND metadata['billing_reason']:'blast_send'`,
+    limit: 1,
+  })
+
+  return search.data[0] || null
+}
+
+// ============================================================================
+// RECIPIENTS
+// ============================================================================
+
+async function seedRecipients(supabase: any, blast: Blast): Promise<void> {
+  const moverIds = [...new Set(blast.new_mover_ids || [])]
+
+  for (let i = 0; i < moverIds.length; i += 500) {
+    const rows = moverIds.slice(i, i + 500).map(moverId => ({
+      campaign_id: blast.id,
+      new_mover_id: moverId,
+    }))
+
+    const { error } = await supabase
+      .from('blast_recipients')
+      .upsert(rows, { onConflict: 'campaign_id,new_mover_id', ignoreDuplicates: true })
+
+    if (error) {
+      throw new Error(`Failed to record blast recipients: ${error.message}`)
+    }
+  }
+}
+
+async function loadRecipients(supabase: any, blastId: string): Promise<BlastRecipient[]> {
+  const recipients: BlastRecipient[] = []
+  const pageSize = 1000
+
+  for (let offset = 0; ; offset += pageSize) {
+    const { data, error } = await supabase
+      .from('blast_recipients')
+      .select('id, new_mover_id, state, attempts')
+      .eq('campaign_id', blastId)
+      .order('created_at', { ascending: true })
+      .range(offset, offset + pageSize - 1)
+
+    if (error) {
+      throw new Error(`Failed to load blast recipients: ${error.message}`)
+    }
+
+    recipients.push(...(data || []))
+    if (!data || data.length < pageSize) break
+  }
+
+  return recipients
+}
+
+/**
+ * A 'mailing' row was interrupted mid-send; retrying it is safe because the
+ * PostGrid Idempotency-Key returns the postcard that was already created
+ */
+function isSendable(recipient: BlastRecipient): boolean {
+  return recipient.state === 'pending' ||
+    ((recipient.state === 'mailing' || recipient.state === 'failed') && recipient.attempts < BLAST_MAX_ATTEMPTS)
+}
+
+async function mailRecipients(supabase: any, blast: Blast, recipients: BlastRecipient[], results: any): Promise<void> {
+  const sendable = recipients.filter(isSendable)
+  if (sendable.length === 0) return
+
+  console.log(`   📬 Mailing ${sendable.length} of ${recipients.length} recipients...`)
+
+  const movers = new Map<string, any>()
+  const moverIds = sendable.map(r => r.new_mover_id)
+
+  for (let i = 0; i < moverIds.length; i += 200) {
+    const { data, error } = await supabase
+      .from('newmover')
+      .select('id, full_name, address_line, city, state, zip_code, melissa_address_key, move_effective_date, verified_address, address_verification_status, address_verification_issues, address_verified_at')
+      .in('id', moverIds.slice(i, i + 200))
+
+    if (error) {
+      throw new Error(`Failed to load movers: ${error.message}`)
+    }
+
+    for (const mover of data || []) movers.set(mover.id, mover)
+  }
+
+  // Designs with merge fields are stamped per recipient onto the print PDF
+  const printUrl = getPrintPdfUrl(blast)!
+  const mergeLayout = blast.postcard_merge_layout?.length ? blast.postcard_merge_layout : null
+  let basePdf: Uint8Array | null = null
+
+  const senderProfile = await getCampaignSenderProfile(supabase, blast)
+  const from = senderProfile ? toPostgridContact(senderProfile) : null
+  if (!from) {
+    console.log('   ⚠️  No return address, mailing without one')
+  }
+
+  for (const [index, recipient] of sendable.entries()) {
+    if (index > 0 && index % HEARTBEAT_EVERY === 0) {
+      await heartbeat(supabase, blast.id)
+    }
+
+    let mover = movers.get(recipient.new_mover_id)
+    const attempts = recipient.attempts + 1
+
+    if (!mover) {
+      await supabase
+        .from('blast_recipients')
+        .update({
+          state: 'failed',
+          attempts: BLAST_MAX_ATTEMPTS,
+          last_error: 'Mover not found',
+          updated_at: new Date().toISOString(),
+        })
+        .eq('id', recipient.id)
+
+      recipient.state = 'failed'
+      recipient.attempts = BLAST_MAX_ATTEMPTS
+      results.postcards_failed++
+      continue
+    }
+
+    await supabase
+      .from('blast_recipients')
+      .update({ state: 'mailing', attempts, updated_at: new Date().toISOString() })
+      .eq('id', recipient.id)
+
+    try {
+      mover = await verifyMoverAddress(supabase, mover, addressVerifier)
+      if (isUndeliverable(mover)) {
+        console.log(`   📭 ${describeUndeliverable(mover)}, not mailing mover ${mover.id}`)
+
+        await supabase
+          .from('blast_recipients')
+          .update({
+            state: 'undeliverable',
+            last_error: describeUndeliverable(mover),
+            updated_at: new Date().toISOString(),
+          })
+          .eq('id', recipient.id)
+
+        recipient.state = 'undeliverable'
+        results.postcards_undeliverable++
+        continue
+      }
+
+      const suppression = await findSuppression(supabase, blast.user_id, mover)
+      if (suppression) {
+        console.log(`   🚫 ${describeSuppression(suppression)}, not mailing mover ${mover.id}`)
+
+        await supabase
+          .from('blast_recipients')
+          .update({
+            state: 'suppressed',
+            suppression_entry_id: suppression.id,
+            last_error: describeSuppression(suppression),
+            updated_at: new Date().toISOString(),
+          })
+          .eq('id', recipient.id)
+
+        recipient.state = 'suppressed'
+        results.postcards_suppressed++
+        continue
+      }
+
+      const householdConflict = await findHouseholdConflict(supabase, blast.id, mover.id)
+      if (householdConflict) {
+        console.log(`   🏠 ${describeHouseholdConflict(householdConflict)}, not mailing mover ${mover.id}`)
+
+        await supabase
+          .from('blast_recipients')
+          .update({
+            state: 'suppressed',
+            last_error: describeHouseholdConflict(householdConflict),
+            updated_at: new Date().toISOString(),
+          })
+          .eq('id', recipient.id)
+
+        recipient.state = 'suppressed'
+        results.postcards_household_skipped++
+        continue
+      }
+
+      let pdf: Uint8Array | undefined
+      let offerCode: string | null = null
+
+      if (mergeLayout) {
+        if (!basePdf) {
+          const response = await fetch(printUrl)
+          if (!response.ok) {
+            throw new Error(`Failed to fetch print PDF: ${response.status} ${response.statusText}`)
+          }
+          basePdf = new Uint8Array(await response.arrayBuffer())
+        }
+
+        offerCode = usesOfferCode(mergeLayout) ? await generateOfferCode(blast.id, mover.id) : null
+        pdf = await personalizePdf(basePdf, mergeLayout, resolveMergeValues(mover, offerCode))
+      }
+
+      const postcard = await sendPostcard(toMailingAddress(mover), {
+        apiKey: postgridApiKey,
+        designUrl: printUrl,
+        pdf,
+        description: blast.campaign_name || 'Blast',
+        idempotencyKey: `blast_${blast.id}_${mover.id}_mail`,
+        size: blast.postcard_size || DEFAULT_POSTCARD_SIZE,
+        mailClass: blast.mail_class || DEFAULT_MAIL_CLASS,
+        from,
+        metadata: {
+          campaign_id: blast.id,
+          user_id: blast.user_id,
+          new_mover_id: mover.id,
+          blast: true,
+        },
+      })
+
+      await supabase
+        .from('blast_recipients')
+        .update({
+          state: 'mailed',
+          postgrid_postcard_id: postcard.id,
+          postgrid_status: postcard.status,
+          postgrid_status_updated_at: new Date().toISOString(),
+          ...(offerCode && { offer_code: offerCode }),
+          mailed_at: new Date().toISOString(),
+          last_error: null,
+          updated_at: new Date().toISOString(),
+        })
+        .eq('id', recipient.id)
+
+      recipient.state = 'mailed'
+      results.postcards_sent++
+    } catch (error: any) {
+      console.error(`   ❌ Postcard failed for mover ${mover.id}:`, error.message)
+
+      await supabase
+        .from('blast_recipients')
+        .update({
+          state: 'failed',
+          last_error: error.message.slice(0, 1000),
+          updated_at: new Date().toISOString(),
+        })
+        .eq('id', recipient.id)
+
+      recipient.state = 'failed'
+      results.postcards_failed++
+    }
+
+    recipient.attempts = attempts
+  }
+}
+
+// ============================================================================
+// CHARGING
+// ============================================================================
+
+/**
+ * Pay for a blast's mailed postcards. Safe to call again for the same blast:
+ * the wallet entry, PaymentIntent and transaction are all keyed by the blast.
+ */
+async function chargeBlast(supabase: any, blast: Blast, mailedCount: number): Promise<BlastCharge> {
+  const isTestMode = isPostgridTestKey(postgridApiKey)
+
+  let quote
+  try {
+    quote = await getPostcardQuote(supabase, blast.user_id, { ...campaignQuoteOptions(blast), quantity: mailedCount })
+  } catch (quoteError: any) {
+    throw new BlastChargeError(quoteError.message)
+  }
+
+  // ============================================================================
+  // 1. PAY FROM THE WALLET
+  // ============================================================================
+  const { data: wallet } = await supabase
+    .from('wallets')
+    .select('card_fallback')
+    .eq('user_id', blast.user_id)
+    .maybeSingle()
+
+  const earlierIntent = wallet ? await findBlastPaymentIntent(blast.id) : null
+
+  if (wallet && !earlierIntent) {
+    let entry
+    try {
+      entry = await applyWalletEntry(supabase, {
+        userId: blast.user_id,
+        type: 'debit',
+        amountCents: -quote.total_cents,
+        idempotencyKey: `blast:${blast.id}`,
+        campaignId: blast.id,
+        description: `Blast - ${blast.campaign_name} (${mailedCount} postcards)`,
+        metadata: {
+          postcard_count: mailedCount,
+          pricing_plan_id: quote.plan_id,
+        },
+      })
+    } catch (debitError: any) {
+      throw new BlastChargeError(debitError.message)
+    }
+
+    if (entry.applied) {
+      const amount = Math.abs(entry.amount_cents)
+      console.log(`   👛 Paid from wallet: $${centsToDollars(amount).toFixed(2)} ($${centsToDollars(entry.balance_cents).toFixed(2)} left)`)
+
+      const paymentReference = `wallet_${entry.entry_id}`
+      const recorded = await recordTransaction(supabase, blast, {
+        paymentReference,
+        amountCents: amount,
+        status: 'succeeded',
+        billingReason: 'wallet_debit',
+        mailedCount,
+        isTestMode,
+        metadata: { wallet_ledger_id: entry.entry_id },
+      })
+
+      await supabase
+        .from('wallet_ledger')
+        .update({ transaction_id: recorded.transactionId })
+        .eq('id', entry.entry_id)
+
+      return { ...recorded, amountCents: amount, paymentReference, paidFromWallet: true }
+    }
+
+    if (!wallet.card_fallback) {
+      throw new BlastChargeError('Wallet balance too low and card fallback is off')
+    }
+
+    console.log(`   👛 Wallet balance too low, falling back to card`)
+  }
+
+  // ============================================================================
+  // 2. CHARGE THE CARD
+  // ============================================================================
+  if (quote.total_cents < STRIPE_MINIMUM_CENTS) {
+    throw new BlastChargeError(`Blast total of ${quote.total_cents} cents is below the Stripe minimum`)
+  }
+
+  const { data: customer, error: customerError } = await supabase
+    .from('customers')
+    .select('id, stripe_customer_id')
+    .eq('user_id', blast.user_id)
+    .maybeSingle()
+
+  if (customerError || !customer) {
+    throw new BlastChargeError(`Customer not found for user ${blast.user_id}`)
+  }
+
+  const { data: paymentMethod, error: pmError } = await supabase
+    .from('payment_methods')
+    .select('stripe_payment_method_id')
+    .eq('customer_id', customer.id)
+    .eq('is_default', true)
+    .maybeSingle()
+
+  if (pmError || !paymentMethod) {
+    throw new BlastChargeError(`Payment method not found for customer ${customer.id}`)
+  }
+
+  console.log(`   💳 Creating Stripe PaymentIntent for $${centsToDollars(quote.total_cents).toFixed(2)} (${mailedCount} postcards, ${quote.plan_id})...`)
+
+  let paymentIntent: Stripe.PaymentIntent
+
+  try {
+    paymentIntent = earlierIntent || await stripe.paymentIntents.create(
+      {
+        amount: quote.total_cents,
+        currency: 'usd',
+        customer: customer.stripe_customer_id,
+        payment_method: paymentMethod.stripe_payment_method_id,
+        off_session: true,
+        confirm: true,
+        error_on_requires_action: false,
+        description: `Blast - ${blast.campaign_name}`,
+        metadata: {
+          user_id: blast.user_id,
+          campaign_id: blast.id,
+          billing_reason: 'blast_send',
+          postcard_count: mailedCount.toString(),
+          pricing_plan_id: quote.plan_id,
+          is_test_mode: isTestMode.toString(),
+        },
+      },
+      { idempotencyKey: `blast_${blast.id}_charge` }
+    )
+  } catch (error: any) {
+    if (error.type === 'StripeCardError') {
+      console.error(`   💳 Card Error: ${error.code} - ${error.message}`)
+      throw new BlastChargeError(`Card declined: ${error.code || error.message}`)
+    }
+    throw new BlastChargeError(`Charge failed: ${error.message}`)
+  }
+
+  console.log(`   ✅ PaymentIntent ${earlierIntent ? 'reused' : 'created'}: ${paymentIntent.id} (${paymentIntent.status})`)
+
+  if (paymentIntent.status !== 'succeeded' && paymentIntent.status !== 'processing') {
+    throw new BlastChargeError(`PaymentIntent ${paymentIntent.id} ended in status ${paymentIntent.status}`)
+  }
+
+  const recorded = await recordTransaction(supabase, blast, {
+    paymentReference: paymentIntent.id,
+    amountCents: paymentIntent.amount,
+    status: paymentIntent.status === 'succeeded' ? 'succeeded' : 'processing',
+    billingReason: 'blast_send',
+    mailedCount,
+    isTestMode,
+    stripeChargeId: paymentIntent.charges?.data[0]?.id || null,
+    stripeCustomerId: customer.stripe_customer_id,
+  })
+
+  return { ...recorded, amountCents: paymentIntent.amount, paymentReference: paymentIntent.id, paidFromWallet: false }
+}
+
+async function recordTransaction(
+  supabase: any,
+  blast: Blast,
+  payment: {
+    paymentReference: string
+    amountCents: number
+    status: string
+    billingReason: string
+    mailedCount: number
+    isTestMode: boolean
+    stripeChargeId?: string | null
+    stripeCustomerId?: string
+    metadata?: Record<string, unknown>
+  }
+): Promise<{ transactionId: string; created: boolean }> {
+  const { data: existingTransaction } = await supabase
+    .from('transactions')
+    .select('id')
+    .eq('stripe_payment_intent_id', payment.paymentReference)
+    .maybeSingle()
+
+  if (existingTransaction) {
+    return { transactionId: existingTransaction.id, created: false }
+  }
+
+  const { data: transaction, error: txError } = await supabase
+    .from('transactions')
+    .insert({
+      user_id: blast.user_id,
+      campaign_id: blast.id,
+      stripe_payment_intent_id: payment.paymentReference,
+      stripe_charge_id: payment.stripeChargeId || null,
+      stripe_customer_id: payment.stripeCustomerId || null,
+      amount_cents: payment.amountCents,
+      amount_dollars: centsToDollars(payment.amountCents),
+      currency: 'usd',
+      status: payment.status,
+      billing_reason: payment.billingReason,
+      new_mover_count: payment.mailedCount,
+      is_test_mode: payment.isTestMode,
+      metadata: {
+        campaign_name: blast.campaign_name,
+        blast: true,
+        postcard_count: payment.mailedCount,
+        ...payment.metadata,
+      },
+    })
+    .select()
+    .single()
+
+  if (txError) {
+    // Payment went through; the next run finds the payment and only inserts the record
+    throw new Error(`Transaction record creation failed: ${txError.message}`)
+  }
+
+  console.log(`   💰 Transaction recorded: ${transaction.id} ($${centsToDollars(payment.amountCents).toFixed(2)})`)
+
+  return { transactionId: transaction.id, created: true }
+}
+
+// ============================================================================
+// DISPATCH ONE BLAST
+// ============================================================================
+
+async function dispatchBlast(supabase: any, blast: Blast, isTakeover: boolean, results: any): Promise<void> {
+  console.log(`\n📣 Blast ${blast.id} (${blast.campaign_name}) scheduled for ${blast.scheduled_send_date}${isTakeover ? ' [resumed]' : ''}`)
+
+  if (!blast.postcard_design_url) {
+    await releaseBlast(supabase, blast.id, 'No postcard design')
+    throw new Error('Blast has no postcard design')
+  }
+
+  if (!getPrintPdfUrl(blast)) {
+    await releaseBlast(supabase, blast.id, 'No print-ready PDF for the postcard design')
+    throw new Error('Blast has no print-ready PDF')
+  }
+
+  // Hold only blasts that have not started mailing yet
+  const { count: startedCount } = await supabase
+    .from('blast_recipients')
+    .select('id', { count: 'exact', head: true })
+    .eq('campaign_id', blast.id)
+    .in('state', ['mailing', 'mailed'])
+
+  if (!startedCount) {
+    const start = await canStartBlast(supabase, blast)
+
+    if (!start.ok) {
+      console.log(`   ⏸️  Held: ${start.reason}`)
+      await releaseBlast(supabase, blast.id, start.reason!)
+      results.blasts_held++
+      return
+    }
+  }
+
+  await seedRecipients(supabase, blast)
+
+  const recipients = await loadRecipients(supabase, blast.id)
+  await mailRecipients(supabase, blast, recipients, results)
+
+  // Failed sends with attempts left are retried once this blast goes stale
+  const retryable = recipients.filter(isSendable).length
+  if (retryable > 0) {
+    console.log(`   🔁 ${retryable} recipients will be retried in ${BLAST_STALE_MINUTES} minutes`)
+    results.blasts_retrying++
+    return
+  }
+
+  const mailedCount = recipients.filter(r => r.state === 'mailed').length
+  const completedAt = new Date().toISOString()
+
+  if (mailedCount === 0) {
+    await supabase
+      .from('campaigns')
+      .update({ status: 'completed', blast_completed_at: completedAt, blast_last_error: 'No postcards could be mailed' })
+      .eq('id', blast.id)
+
+    results.blasts_completed++
+    return
+  }
+
+  try {
+    const charge = await chargeBlast(supabase, blast, mailedCount)
+
+    if (charge.created) {
+      const { error } = await supabase.rpc('increment_campaign_totals', {
+        p_campaign_id: blast.id,
+        p_postcards_sent: mailedCount,
+        p_total_cost: centsToDollars(charge.amountCents),
+      })
+
+      if (error) {
+        // Not fatal: reconcile_campaign_totals() recomputes counters from blast_recipients/transactions
+        console.error(`   ⚠️  Failed to update campaign totals:`, error)
+      }
+    }
+
+    await supabase
+      .from('campaigns')
+      .update({
+        status: 'completed',
+        blast_completed_at: completedAt,
+        blast_last_error: null,
+        payment_status: 'paid',
+        payment_intent_id: charge.paymentReference,
+        paid_at: completedAt,
+      })
+      .eq('id', blast.id)
+
+    results.amount_charged_cents += charge.amountCents
+    if (charge.paidFromWallet) results.wallet_debits++
+  } catch (error: any) {
+    if (!(error instanceof BlastChargeError)) throw error
+
+    console.error(`   ❌ Blast charge failed:`, error.message)
+
+    // Postcards are out; record them so an admin retry charges for exactly these
+    await supabase.rpc('increment_campaign_totals', {
+      p_campaign_id: blast.id,
+      p_postcards_sent: mailedCount,
+      p_total_cost: 0,
+    })
+
+    await supabase
+      .from('campaigns')
+      .update({
+        status: 'completed',
+        blast_completed_at: completedAt,
+        blast_last_error: error.message.slice(0, 1000),
+        payment_status: 'failed',
+      })
+      .eq('id', blast.id)
+
+    results.charges_failed++
+    results.errors.push({ campaign_id: blast.id, error: error.message })
+
+    try {
+      await supabase.from('admin_activity_logs').insert({
+        admin_id: null, // System-generated event
+        user_id: blast.user_id,
+        action_type: 'blast_charge_failed',
+        target_type: 'campaign',
+        target_id: blast.id,
+        metadata: {
+          campaign_name: blast.campaign_name,
+          postcards_mailed: mailedCount,
+          error: error.message,
+          timestamp: new Date().toISOString(),
+        },
+      })
+    } catch (logError: any) {
+      console.error('   ⚠️  Failed to create activity log:', logError.message)
+    }
+  }
+
+  console.log(`   ✅ Blast completed: ${mailedCount} postcards mailed`)
+  results.blasts_completed++
+}
+
+/**
+ * Main handler
+ */
+serve(async (req) => {
+  const supabase = createClient(supabaseUrl, supabaseServiceKey)
+
+  try {
+    console.log('🚀 Starting scheduled blast dispatch...')
+    console.log(`   Timestamp: ${new Date().toISOString()}`)
+
+    const results = {
+      blasts_found: 0,
+      blasts_completed: 0,
+      blasts_retrying: 0,
+      blasts_held: 0,
+      postcards_sent: 0,
+      postcards_failed: 0,
+      postcards_suppressed: 0,
+      postcards_household_skipped: 0,
+      postcards_undeliverable: 0,
+      amount_charged_cents: 0,
+      wallet_debits: 0,
+      charges_failed: 0,
+      errors: [] as any[],
+    }
+
+    // ============================================================================
+    // CLAIM BLASTS
+    // ============================================================================
+    const stale = await claimStaleBlasts(supabase)
+    const due = await claimDueBlasts(supabase)
+    results.blasts_found = stale.length + due.length
+
+    console.log(`📊 ${due.length} due blasts, ${stale.length} resumed`)
+
+    // ============================================================================
+    // DISPATCH EACH BLAST
+    // ============================================================================
+    for (const [blast, isTakeover] of [
+      ...stale.map(b => [b, true] as const),
+      ...due.map(b => [b, false] as const),
+    ]) {
+      try {
+        await dispatchBlast(supabase, blast, isTakeover, results)
+      } catch (error: any) {
+        // Left claimed; the next run after BLAST_STALE_MINUTES picks it up again
+        console.error(`   ❌ Blast ${blast.id} failed:`, error)
+        results.errors.push({ campaign_id: blast.id, error: error.message })
+      }
+    }
+
+    // ============================================================================
+    // RETURN RESULTS
+    // ============================================================================
+    const response = {
+      success: true,
+      message: 'Blast dispatch completed',
+      timestamp: new Date().toISOString(),
+      blasts_found: results.blasts_found,
+      blasts_completed: results.blasts_completed,
+      blasts_retrying: results.blasts_retrying,
+      blasts_held: results.blasts_held,
+      postcards_sent: results.postcards_sent,
+      postcards_failed: results.postcards_failed,
+      postcards_suppressed: results.postcards_suppressed,
+      postcards_household_skipped: results.postcards_household_skipped,
+      postcards_undeliverable: results.postcards_undeliverable,
+      amount_charged: centsToDollars(results.amount_charged_cents),
+      wallet_debits: results.wallet_debits,
+      charges_failed: results.charges_failed,
+      errors: results.errors,
+    }
+
+    console.log('\n✅ Blast dispatch complete!')
+    console.log(`   Blasts completed: ${results.blasts_completed} (${results.blasts_retrying} retrying, ${results.blasts_held} held)`)
+    console.log(`   Postcards sent: ${results.postcards_sent} (${results.postcards_failed} failed, ${results.postcards_suppressed} suppressed, ${results.postcards_household_skipped} duplicate households, ${results.postcards_undeliverable} undeliverable)`)
+
+    // ============================================================================
+    // LOG DISPATCH ACTIVITY FOR ADMIN DASHBOARD
+    // ============================================================================
+    if (results.blasts_found > 0) {
+      try {
+        await supabase.from('admin_activity_logs').insert({
+          admin_id: null, // System-generated event
+          user_id: null,
+          action_type: 'blast_dispatch_completed',
+          target_type: 'system',
+          target_id: null,
+          metadata: {
+            blasts_found: results.blasts_found,
+            blasts_completed: results.blasts_completed,
+            blasts_retrying: results.blasts_retrying,
+            blasts_held: results.blasts_held,
+            postcards_sent: results.postcards_sent,
+            postcards_failed: results.postcards_failed,
+            amount_charged: response.amount_charged,
+            errors_count: results.errors.length,
+            timestamp: new Date().toISOString(),
+          },
+        })
+        console.log('   📝 Activity log created')
+      } catch (logError: any) {
+        console.error('   ⚠️  Failed to create activity log:', logError.message)
+      }
+    }
+
+    return new Response(JSON.stringify(response), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+    })
+  } catch (error: any) {
+    console.error('❌ Fatal error:', error)
+    return new Response(
+      JSON.stringify({
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString(),
+      }),
+      { status: 500, headers: { 'Content-Type': 'application/json' } }
+    )
+  }
+})
@@ -0,0 +1,139 @@
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { getMoverProvider, MoverProviderError } from '../_shared/moverProviders.ts'
+import { ADMIN_ROLES, AuthError, authenticateRequest, errorStatus, type AuthenticatedUser } from '../_shared/auth.ts'
+
+/**
+ * MELISSA LOOKUP FUNCTION
+ *
+ * New mover lookups for the app (newMoverService: ZIP validation in the
+ * campaign and blast wizards, fetchAndSave during onboarding), so the Melissa
+ * customer ID stays server-side. Lookups run before the campaign they are for
+ * exists, so access goes by role: customers ('user', or no role set) and
+ * admins. Every lookup is billed by Melissa, so customers get
+ * MELISSA_LOOKUP_LIMIT lookups per MELISSA_LOOKUP_WINDOW_MINUTES
+ * (consume_melissa_lookup); admins are not limited.
+ *
+ * Flow:
+ * 1. Authenticate the caller and check their role
+ * 2. Count the lookup against the caller's limit (429 once it is used up)
+ * 3. Fetch one page of movers for a ZIP through the melissa provider
+ *    (_shared/moverProviders.ts, the same code the poller uses)
+ * 4. Return the normalized movers; the caller attaches them to a campaign
+ *
+ * Body: { zipCode, page = 1, pageSize = 100 (max 100) }
+ */
+
+const supabaseUrl = Deno.env.get('SUPABASE_URL') || ''
+const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') || ''
+
+const LOOKUP_LIMIT = parseInt(Deno.env.get('MELISSA_LOOKUP_LIMIT') || '300')
+const LOOKUP_WINDOW_MINUTES = parseInt(Deno.env.get('MELISSA_LOOKUP_WINDOW_MINUTES') || '60')
+
+// Profiles without a role are customers (see profileService)
+const LOOKUP_ROLES = ['user', ...ADMIN_ROLES]
+
+const MAX_PAGE_SIZE = 100
+const ZIP_CODE_PATTERN = /^\d{5}(-\d{4})?$/
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+}
+
+function jsonResponse(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  })
+}
+
+function requireLookupRole(user: AuthenticatedUser): void {
+  if (!LOOKUP_ROLES.includes(user.role ?? 'user')) {
+    throw new AuthError('Forbidden: Mover lookups are not available for this account', 403)
+  }
+}
+
+/**
+ * Counts one lookup against the user's limit; null if it is allowed,
+ * otherwise the seconds until the user may look up again
+ */
+async function consumeLookup(supabase: any, user: AuthenticatedUser): Promise<number | null> {
+  if (user.isAdmin) return null
+
+  const { data, error } = await supabase.rpc('consume_melissa_lookup', {
+    p_user_id: user.id,
+    p_limit: LOOKUP_LIMIT,
+    p_window_minutes: LOOKUP_WINDOW_MINUTES,
+  })
+
+  if (error) {
+    throw new Error(`Failed to check lookup limit: ${error.message}`)
+  }
+
+  return data?.allowed ? null : (data?.retry_after_seconds ?? LOOKUP_WINDOW_MINUTES * 60)
+}
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  const supabase = createClient(supabaseUrl, supabaseServiceKey)
+
+  try {
+    const user = await authenticateRequest(req, supabase)
+    requireLookupRole(user)
+
+    const { zipCode, page = 1, pageSize = MAX_PAGE_SIZE } = await req.json()
+
+    if (!ZIP_CODE_PATTERN.test(String(zipCode || ''))) {
+      return jsonResponse({ success: false, error: 'Invalid ZIP code format' }, 400)
+    }
+
+    const retryAfterSeconds = await consumeLookup(supabase, user)
+    if (retryAfterSeconds !== null) {
+      console.log(`⚠️ Melissa lookup limit reached for user ${user.id}`)
+      return jsonResponse({
+        success: false,
+        error: `Mover lookup limit reached (${LOOKUP_LIMIT} per ${LOOKUP_WINDOW_MINUTES} minutes). Try again later.`,
+        code: 'rate_limited',
+        retryAfterSeconds,
+      }, 429)
+    }
+
+    const pageNumber = Math.max(1, parseInt(page) || 1)
+    const recordsPerPage = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(pageSize) || MAX_PAGE_SIZE))
+
+    const result = await getMoverProvider('melissa').fetchMovers({
+      zipCode,
+      campaignId: '',
+      page: pageNumber,
+      pageSize: recordsPerPage,
+    })
+
+    // Campaign and outbox fields are the caller's to set
+    const movers = result.movers.map(({ campaign_id, discovered_at, postcard_sent, ...mover }) => mover)
+
+    return jsonResponse({
+      success: true,
+      zipCode,
+      page: result.page,
+      totalRecords: result.totalRecords,
+      hasMore: result.hasMore,
+      movers,
+    })
+  } catch (error: any) {
+    console.error('❌ Melissa lookup failed:', error)
+
+    if (error instanceof MoverProviderError) {
+      return jsonResponse(
+        { success: false, error: error.message, code: error.code },
+        error.code === 'quota_exceeded' ? 429 : 502
+      )
+    }
+
+    return jsonResponse({ success: false, error: error.message }, errorStatus(error))
+  }
+})
@@ -1,33 +1,116 @@
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
 import Stripe from 'https://esm.sh/stripe@14?target=denonext'
+import {
+  getMoverProvider,
+  MoverProviderError,
+  type MoverProviderName,
+  type NewMoverRecord,
+} from '../_shared/moverProviders.ts'
+import {
+  campaignQuoteOptions,
+  centsToDollars,
+  DEFAULT_MAIL_CLASS,
+  DEFAULT_POSTCARD_SIZE,
+  getPostcardQuote,
+} from '../_shared/pricing.ts'
+import { applyWalletEntry } from '../_shared/wallet.ts'
+import { getDunningAccount, isDunningPaused, openReceivable, type DunningAccount } from '../_shared/dunning.ts'
+import { checkDefaultCard, flagPaymentMethod, type PaymentReadiness } from '../_shared/paymentReadiness.ts'
+import { getPrintPdfUrl, sendPostcard as sendPostgridPostcard, type PostgridContact } from '../_shared/postgrid.ts'
+import { getCampaignSenderProfile, toPostgridContact } from '../_shared/senderProfiles.ts'
+import { describeSuppression, findSuppression } from '../_shared/suppression.ts'
+import {
+  describeUndeliverable,
+  getAddressVerifier,
+  isUndeliverable,
+  toMailingAddress,
+  verifyMoverAddress,
+  type AddressVerificationStatus,
+} from '../_shared/addressVerification.ts'
+import type { MailingAddress } from '../_shared/addressStandardization.ts'
+import {
+  campaignHasHousehold,
+  describeHouseholdConflict,
+  findHouseholdConflict,
+  linkCampaignMover,
+} from '../_shared/households.ts'
+import {
+  personalizePdf,
+  usesOfferCode,
+  type MergeLayoutItem,
+} from '../_shared/mergeFields.ts'
+import { generateOfferCode, resolveMergeValues } from '../_shared/mergeValues.ts'
 
 /**
  * MELISSA NEW MOVER POLLING FUNCTION
  *
- * This Edge Function polls Melissa API for new mover data for active campaigns.
+ * This Edge Function polls the campaign's mover data provider (Melissa by default,
+ * see _shared/moverProviders.ts) for new mover data for active campaigns.
  * Designed to run every 30 minutes via cron.
  *
  * Flow:
  * 1. Query active campaigns with polling_enabled=true
- * 2. For each campaign, fetch Melissa data for campaign's ZIP codes
+ * 2. For each campaign, fetch mover data for campaign's ZIP codes from its provider
  * 3. Filter for movers discovered after last_polled_at (or approved_at for first poll)
+ * 0. Resume movers earlier runs left unfinished (see MOVER OUTBOX below)
  * 4. For each new mover:
- *    - Save to newmover table
- *    - Send postcard via PostGrid
- *    - Charge user immediately via Stripe ($3.00)
+ *    - Skip households the campaign already has, then save to newmover
+ *      and link the mover to the campaign (see _shared/households.ts)
+ *    - Standardize and verify the address once (PostGrid verification or
+ *      offline USPS rules); undeliverable addresses are parked in outbox
+ *      state 'undeliverable' (see _shared/addressVerification.ts)
+ *    - Skip movers on the owner's or the global suppression list, and
+ *      households the owner mailed within their repeat-mailing window
+ *      (outbox state 'suppressed', see _shared/suppression.ts)
+ *    - Check the user's prepaid wallet, their default card when the card
+ *      will pay (see PAYMENT CHECK below) and the campaign's budget caps
+ *      (movers that can't be paid for or are over a cap are queued for a
+ *      later run), then walk the outbox state machine
+ *      (discovered -> mailing -> mailed -> charging -> charged / failed),
+ *      checking the address, suppressions and household again before mailing
+ *    - With PRESEND_AUTHORIZATION on, authorize the price on the card; a
+ *      decline sends the mover back to the queue
+ *    - Send postcard via PostGrid (personalized with the mover's merge field
+ *      values when the design has any, see _shared/mergeFields.ts)
+ *    - Pay from the user's prepaid wallet (see PREPAID WALLET below); otherwise
+ *      charge immediately via Stripe (price from _shared/pricing.ts), or for
+ *      accounts on daily billing record an unprocessed pending charge
+ *      (charging -> batched) for process-pending-charges
+ *    - A charge that can't be made is owed as a receivable (charging ->
+ *      past_due) and collected by process-dunning (see _shared/dunning.ts);
+ *      while dunning has an account's campaigns paused its movers are queued
  *    - Create transaction record
  *    - Create pending_charges audit record
- *    - Update campaign totals
- * 5. Update campaign last_polled_at timestamp
+ *    - Update campaign totals (atomic increment_campaign_totals RPC)
+ * 5. Walk every result page per ZIP (capped per run, progress saved in
+ *    campaign_zip_poll_progress so the next run resumes)
+ * 6. Once every ZIP is exhausted, advance campaign last_polled_at
  */
 
 // Initialize environment variables
 const supabaseUrl = Deno.env.get('SUPABASE_URL') || ''
 const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') || ''
-const melissaCustomerId = Deno.env.get('MELISSA_CUSTOMER_ID') || ''
 const postgridApiKey = Deno.env.get('POSTGRID_API_KEY') || ''
-const postgridApiUrl = 'https://api.postgrid.com/print-mail/v1'
+
+// Pagination: movers per provider page, and total pages fetched per run across all campaigns
+const PAGE_SIZE = parseInt(Deno.env.get('POLL_PAGE_SIZE') || '100')
+const MAX_PAGES_PER_RUN = parseInt(Deno.env.get('POLL_MAX_PAGES_PER_RUN') || '50')
+
+// Outbox: how long a mailing/charging row may sit before it counts as stuck, and retry limits
+const OUTBOX_STALE_MINUTES = parseInt(Deno.env.get('OUTBOX_STALE_MINUTES') || '15')
+const OUTBOX_MAX_ATTEMPTS = parseInt(Deno.env.get('OUTBOX_MAX_ATTEMPTS') || '3')
+const OUTBOX_RESUME_LIMIT = 100
+
+// Pre-send payment check: whether to authorize the price on the card before
+// mailing, how long a decline blocks a card, and how long a mover may wait for
+// a usable card before it is skipped
+const PRESEND_AUTHORIZATION = Deno.env.get('PRESEND_AUTHORIZATION') === 'true'
+const CARD_FAILURE_HOLD_HOURS = parseInt(Deno.env.get('CARD_FAILURE_HOLD_HOURS') || '24')
+const PAYMENT_MAX_DEFER_DAYS = parseInt(Deno.env.get('PAYMENT_MAX_DEFER_DAYS') || '30')
+
+// Address verifier (ADDRESS_VERIFIER: 'postgrid' or 'rules')
+const addressVerifier = getAddressVerifier()
 
 // Initialize Stripe
 const stripe = new Stripe(Deno.env.get('STRIPE_SECRET_KEY') || '', {
@@ -35,150 +118,193 @@ const stripe = new Stripe(Deno.env.get('STRIPE_SECRET_KEY') || '', {
   httpClient: Stripe.createFetchHttpClient(),
 })
 
-const MELISSA_API_URL = 'https://dataretriever.melissadata.net/web/V1/NewMovers/doLookup'
-
 interface Campaign {
   id: string
   user_id: string
   campaign_name: string
   target_zip_codes: string[]
   last_polled_at: string | null
+  approved_at: string | null
   created_at: string
   postcard_design_url: string
+  postcard_print_url: string | null
+  postcard_merge_layout: MergeLayoutItem[] | null
+  postcard_size: string | null
+  mail_class: string | null
+  sender_profile_id: string | null
   postcards_sent: number
   total_cost: number
+  data_provider: string | null
+  monthly_budget_cap: number | null
+  max_postcards_per_poll: number | null
 }
 
-interface MelissaMover {
-  melissaaddresskey?: string
-  MelissaAddressKey?: string
-  fullname?: string
-  FullName?: string
-  AddressLine: string
-  city?: string
-  City?: string
-  state?: string
-  State?: string
-  MoveEffectiveDate?: string
-  PhoneNumber?: string
-  PreviousAddressLine?: string
-  PreviousZIPCode?: string
-}
-
-interface NewMoverRecord {
-  melissa_address_key: string
-  full_name: string
-  address_line: string
-  city: string
-  state: string
-  zip_code: string
-  previous_address_line: string | null
-  previous_zip_code: string | null
-  phone_number: string | null
-  move_effective_date: string | null
+/**
+ * Spend limits for one campaign, loaded once per run and updated as postcards are reserved
+ */
+interface CampaignBudget {
+  monthly_cap: number | null
+  spent_this_month: number
+  /** User's current per-postcard price in dollars (0 when there is no monthly cap) */
+  unit_price: number
+  max_per_poll: number | null
+  sent_this_poll: number
+}
+
+/**
+ * A user's prepaid balance, loaded once per run and updated as postcards are let through
+ */
+interface WalletState {
+  balance_cents: number
+  card_fallback: boolean
+  /** Price of the postcards let through this run but not debited yet */
+  held_cents: number
+}
+
+type OutboxState =
+  | 'queued'
+  | 'discovered'
+  | 'mailing'
+  | 'mailed'
+  | 'charging'
+  | 'batched'
+  | 'charged'
+  | 'failed'
+  | 'suppressed'
+  | 'undeliverable'
+  | 'past_due'
+  | 'payment_skipped'
+
+type PaymentCheckStatus = 'passed' | 'authorized' | 'deferred' | 'skipped'
+
+/**
+ * Outcome of checking the card before a mover is mailed
+ */
+interface PaymentCheck {
+  status: PaymentCheckStatus
+  reason: string | null
+}
+
+type BillingMode = 'immediate' | 'daily'
+
+interface OutboxMover extends NewMoverRecord {
+  id: string
+  outbox_state: OutboxState
+  outbox_state_changed_at: string | null
+  outbox_attempts: number
+  outbox_last_error: string | null
+  postgrid_postcard_id: string | null
+  queued_until: string | null
+  verified_address: MailingAddress | null
+  address_verification_status: AddressVerificationStatus | null
+  address_verification_issues: string[] | null
+  address_verified_at: string | null
+  payment_check_status: PaymentCheckStatus | null
+  payment_deferred_since: string | null
+  payment_authorization_id: string | null
+}
+
+/**
+ * Charge failure; permanent failures (declined card, no payment method) are not retried
+ */
+class ChargeError extends Error {
+  permanent: boolean
+
+  constructor(message: string, permanent: boolean) {
+    super(message)
+    this.name = 'ChargeError'
+    this.permanent = permanent
+  }
+}
+
+interface ZipPollProgress {
   campaign_id: string
-  discovered_at: string
-  postcard_sent: boolean
+  zip_code: string
+  next_page: number
+  pages_fetched: number
+  completed: boolean
+  cutoff_date: string
+  sweep_started_at: string
+}
+
+// Campaign print PDFs fetched this run, by URL (personalized sends only)
+const printPdfCache = new Map<string, Promise<Uint8Array>>()
+
+async function fetchPrintPdf(url: string): Promise<Uint8Array> {
+  const response = await fetch(url)
+  if (!response.ok) {
+    throw new Error(`Failed to fetch print PDF: ${response.status} ${response.statusText}`)
+  }
+  return new Uint8Array(await response.arrayBuffer())
 }
 
 /**
- * Fetch new movers from Melissa API
+ * Stamp a mover's merge field values onto the campaign's print PDF.
+ * Null when the design has no merge fields and the PDF is mailed as is.
  */
-async function fetchFromMelissa(zipCodes: string[], page = 1): Promise<MelissaMover[]> {
-  try {
-    const response = await fetch(MELISSA_API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Accept': 'application/json'
-      },
-      body: JSON.stringify({
-        customerid: melissaCustomerId,
-        includes: {
-          zips: zipCodes.map(zip => ({ zip }))
-        },
-        columns: [
-          'fullname',
-          'melissaaddresskey',
-          'AddressLine',
-          'MoveEffectiveDate',
-          'PhoneNumber',
-          'city',
-          'PreviousAddressLine',
-          'PreviousZIPCode',
-          'state'
-        ],
-        pagination: { page }
-      })
-    })
+async function personalizePostcard(
+  mover: OutboxMover,
+  printUrl: string,
+  campaign: Campaign
+): Promise<{ pdf: Uint8Array; offerCode: string | null } | null> {
+  const layout = campaign.postcard_merge_layout
+  if (!layout || layout.length === 0) return null
 
-    if (!response.ok) {
-      throw new Error(`Melissa API error: ${response.statusText}`)
-    }
+  if (!printPdfCache.has(printUrl)) {
+    printPdfCache.set(printUrl, fetchPrintPdf(printUrl))
+  }
 
-    const data = await response.json()
-    return data.Results || []
+  let basePdf: Uint8Array
+  try {
+    basePdf = await printPdfCache.get(printUrl)!
   } catch (error) {
-    console.error('Error fetching from Melissa API:', error)
+    printPdfCache.delete(printUrl)
     throw error
   }
+
+  const offerCode = usesOfferCode(layout) ? await generateOfferCode(campaign.id, mover.id) : null
+  const pdf = await personalizePdf(basePdf, layout, resolveMergeValues(mover, offerCode))
+
+  return { pdf, offerCode }
 }
 
 /**
- * Transform Melissa data to Supabase format
+ * Load (once per run) the return address a campaign mails from
  */
-function transformMelissaData(
-  melissaResults: MelissaMover[],
-  searchedZipCode: string,
-  campaignId: string
-): NewMoverRecord[] {
-  return melissaResults.map(mover => ({
-    melissa_address_key: mover.melissaaddresskey || mover.MelissaAddressKey || '',
-    full_name: mover.fullname || mover.FullName || 'Resident',
-    address_line: mover.AddressLine || '',
-    city: mover.city || mover.City || '',
-    state: mover.state || mover.State || '',
-    zip_code: searchedZipCode,
-    previous_address_line: mover.PreviousAddressLine || null,
-    previous_zip_code: mover.PreviousZIPCode || null,
-    phone_number: mover.PhoneNumber || null,
-    move_effective_date: mover.MoveEffectiveDate
-      ? new Date(mover.MoveEffectiveDate).toISOString()
-      : null,
-    campaign_id: campaignId,
-    discovered_at: new Date().toISOString(),
-    postcard_sent: false,
-  }))
+async function getCampaignSender(supabase: any, campaign: Campaign, results: any): Promise<PostgridContact | null> {
+  if (!(campaign.id in results.senders)) {
+    const profile = await getCampaignSenderProfile(supabase, campaign)
+    results.senders[campaign.id] = profile ? toPostgridContact(profile) : null
+
+    if (!profile) {
+      console.log(`   ⚠️  No return address for ${campaign.campaign_name}, mailing without one`)
+    }
+  }
+
+  return results.senders[campaign.id]
 }
 
 /**
  * Send postcard via PostGrid API
+ * Uploads `pdf` (a personalized copy) when given, otherwise mails designUrl
  */
 async function sendPostcard(
   recipient: any,
   designUrl: string,
-  campaign: Campaign
+  campaign: Campaign,
+  from: PostgridContact | null,
+  pdf?: Uint8Array
 ): Promise<any> {
-  // Parse full name into first/last name
-  const nameParts = (recipient.full_name || 'Resident').trim().split(' ')
-  const firstName = nameParts[0] || 'Resident'
-  const lastName = nameParts.slice(1).join(' ') || ''
-
-  const requestBody = {
-    to: {
-      firstName: firstName,
-      lastName: lastName,
-      addressLine1: recipient.address_line,
-      city: recipient.city,
-      provinceOrState: recipient.state,
-      postalOrZip: recipient.zip_code,
-      countryCode: 'US',
-      ...(recipient.phone_number && { phoneNumber: recipient.phone_number }),
-    },
-    size: '6x4',
-    pdf: designUrl,
+  return await sendPostgridPostcard(recipient, {
+    apiKey: postgridApiKey,
+    designUrl,
+    pdf,
+    from,
     description: campaign.campaign_name || 'New Mover Campaign',
-    express: false,
+    // One postcard per mover, even when a stuck "mailing" row is retried
+    idempotencyKey: `newmover_${recipient.id}_mail`,
+    size: campaign.postcard_size || DEFAULT_POSTCARD_SIZE,
+    mailClass: campaign.mail_class || DEFAULT_MAIL_CLASS,
     metadata: {
       campaign_id: campaign.id,
       user_id: campaign.user_id,
@@ -186,120 +312,182 @@ async function sendPostcard(
       melissa_address_key: recipient.melissa_address_key,
       move_effective_date: recipient.move_effective_date,
     },
-  }
+  })
+}
 
-  const response = await fetch(`${postgridApiUrl}/postcards`, {
-    method: 'POST',
-    headers: {
-      'x-api-key': postgridApiKey,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify(requestBody),
+interface ChargeResult {
+  transactionId: string
+  amountCents: number
+}
+
+/**
+ * Find the PaymentIntent an earlier charge attempt created for a mover, if any.
+ * A pre-send authorization only counts once it is captured: an open one
+ * (requires_capture) hasn't charged the card, and a released one never will.
+ */
+async function findMoverPaymentIntent(moverId: string): Promise<Stripe.PaymentIntent | null> {
+  const existing = await stripe.paymentIntents.search({
+    query: `metadata['new_mover_id']:'${moverId}' AND -status:'canceled' AND -status:'requires_capture'`,
+    limit: 1,
   })
+  return existing.data[0] || null
+}
 
-  if (!response.ok) {
-    const errorData = await response.json()
-    throw new Error(
-      `PostGrid API error: ${errorData.error?.message || response.statusText}`
+/**
+ * Capture the authorization placed on the card before a mover was mailed.
+ * Returns null when it is gone (released, or expired after 7 days) and the
+ * postcard has to be charged afresh.
+ */
+async function captureAuthorization(mover: OutboxMover): Promise<Stripe.PaymentIntent | null> {
+  let paymentIntent = await stripe.paymentIntents.retrieve(mover.payment_authorization_id!)
+
+  if (paymentIntent.status === 'requires_capture') {
+    paymentIntent = await stripe.paymentIntents.capture(
+      paymentIntent.id,
+      {},
+      { idempotencyKey: `newmover_${mover.id}_capture` }
     )
+    console.log(`   🔐 Captured card authorization: ${paymentIntent.id} (${paymentIntent.status})`)
   }
 
-  return await response.json()
+  return paymentIntent.status === 'canceled' ? null : paymentIntent
 }
 
 /**
- * Charge user immediately when postcard is sent
- * Returns transaction_id on success, null on failure
+ * Charge user for a mailed postcard at their quoted price
+ * Returns the transaction and amount charged on success, throws ChargeError on failure.
+ * Safe to call again for the same mover: the Stripe idempotency key is derived
+ * from the mover, and a retry first looks for a PaymentIntent an earlier
+ * (crashed) attempt already created. A mover authorized before mailing is
+ * charged by capturing that authorization.
  */
 async function chargeImmediately(
   campaign: Campaign,
-  newMoverId: string,
-  melissaAddressKey: string,
+  mover: OutboxMover,
   postgridPostcardId: string,
-  supabase: any
-): Promise<string | null> {
+  supabase: any,
+  isRetry: boolean
+): Promise<ChargeResult> {
   try {
-    console.log(`   💳 Charging user for new mover: ${melissaAddressKey}`)
+    console.log(`   💳 Charging user for new mover: ${mover.melissa_address_key}`)
 
-    // ============================================================================
-    // 1. GET CUSTOMER AND PAYMENT METHOD
-    // ============================================================================
-    const { data: customer, error: customerError } = await supabase
-      .from('customers')
-      .select('id, stripe_customer_id')
-      .eq('user_id', campaign.user_id)
-      .maybeSingle()
+    let paymentIntent: Stripe.PaymentIntent | null = null
 
-    if (customerError || !customer) {
-      console.error(`   ❌ Customer not found for user ${campaign.user_id}:`, customerError)
-      return null
+    if (mover.payment_authorization_id) {
+      paymentIntent = await captureAuthorization(mover)
     }
 
-    const { data: paymentMethod, error: pmError } = await supabase
-      .from('payment_methods')
-      .select('stripe_payment_method_id')
-      .eq('customer_id', customer.id)
-      .eq('is_default', true)
-      .maybeSingle()
+    if (!paymentIntent) {
+      // ============================================================================
+      // 1. GET CUSTOMER AND PAYMENT METHOD
+      // ============================================================================
+      const { data: customer, error: customerError } = await supabase
+        .from('customers')
+        .select('id, stripe_customer_id')
+        .eq('user_id', campaign.user_id)
+        .maybeSingle()
+
+      if (customerError || !customer) {
+        throw new ChargeError(`Customer not found for user ${campaign.user_id}`, true)
+      }
 
-    if (pmError || !paymentMethod) {
-      console.error(`   ❌ Payment method not found for customer ${customer.id}:`, pmError)
-      return null
-    }
+      const { data: paymentMethod, error: pmError } = await supabase
+        .from('payment_methods')
+        .select('stripe_payment_method_id')
+        .eq('customer_id', customer.id)
+        .eq('is_default', true)
+        .maybeSingle()
 
-    // ============================================================================
-    // 2. CREATE STRIPE PAYMENT INTENT
-    // ============================================================================
-    const amount = 300 // $3.00 in cents
-    const idempotencyKey = `campaign_${campaign.id}_mover_${newMoverId}_${Date.now()}`
+      if (pmError || !paymentMethod) {
+        throw new ChargeError(`Payment method not found for customer ${customer.id}`, true)
+      }
 
-    console.log(`   💳 Creating Stripe PaymentIntent for $3.00...`)
+      // ============================================================================
+      // 2. CREATE STRIPE PAYMENT INTENT (OR REUSE ONE FROM A CRASHED ATTEMPT)
+      // ============================================================================
+      if (isRetry) {
+        paymentIntent = await findMoverPaymentIntent(mover.id)
 
-    const paymentIntentParams: Stripe.PaymentIntentCreateParams = {
-      amount: amount,
-      currency: 'usd',
-      customer: customer.stripe_customer_id,
-      payment_method: paymentMethod.stripe_payment_method_id,
-      off_session: true,
-      confirm: true,
-      error_on_requires_action: false,
-      description: `New Mover Postcard - ${campaign.campaign_name}`,
-      metadata: {
-        user_id: campaign.user_id,
-        campaign_id: campaign.id,
-        new_mover_id: newMoverId,
-        melissa_address_key: melissaAddressKey,
-        postgrid_postcard_id: postgridPostcardId,
-        billing_reason: 'new_mover_addition',
-        is_test_mode: postgridApiKey.startsWith('test_').toString(),
-      },
-    }
+        if (paymentIntent) {
+          console.log(`   ♻️  Reusing PaymentIntent from earlier attempt: ${paymentIntent.id}`)
+        }
+      }
 
-    const paymentIntent = await stripe.paymentIntents.create(
-      paymentIntentParams,
-      { idempotencyKey }
-    )
+      if (!paymentIntent) {
+        let quote
+        try {
+          quote = await getPostcardQuote(supabase, campaign.user_id, campaignQuoteOptions(campaign))
+        } catch (quoteError: any) {
+          throw new ChargeError(quoteError.message, false)
+        }
+
+        console.log(`   💳 Creating Stripe PaymentIntent for $${centsToDollars(quote.unit_price_cents).toFixed(2)} (${quote.plan_id}, ${quote.discount_percent}% volume discount)...`)
+
+        const paymentIntentParams: Stripe.PaymentIntentCreateParams = {
+          amount: quote.unit_price_cents,
+          currency: 'usd',
+          customer: customer.stripe_customer_id,
+          payment_method: paymentMethod.stripe_payment_method_id,
+          off_session: true,
+          confirm: true,
+          error_on_requires_action: false,
+          description: `New Mover Postcard - ${campaign.campaign_name}`,
+          metadata: {
+            user_id: campaign.user_id,
+            campaign_id: campaign.id,
+            new_mover_id: mover.id,
+            melissa_address_key: mover.melissa_address_key,
+            postgrid_postcard_id: postgridPostcardId,
+            billing_reason: 'new_mover_addition',
+            pricing_plan_id: quote.plan_id,
+            is_test_mode: postgridApiKey.startsWith('test_').toString(),
+          },
+        }
 
-    console.log(`   ✅ PaymentIntent created: ${paymentIntent.id} (${paymentIntent.status})`)
+        paymentIntent = await stripe.paymentIntents.create(
+          paymentIntentParams,
+          { idempotencyKey: `newmover_${mover.id}_charge` }
+        )
+
+        console.log(`   ✅ PaymentIntent created: ${paymentIntent.id} (${paymentIntent.status})`)
+      }
+    }
+
+    if (paymentIntent.status !== 'succeeded' && paymentIntent.status !== 'processing') {
+      throw new ChargeError(`PaymentIntent ${paymentIntent.id} ended in status ${paymentIntent.status}`, true)
+    }
 
     // ============================================================================
     // 3. CREATE TRANSACTION RECORD
     // ============================================================================
+    // The PaymentIntent amount is what was actually charged, even if a reused
+    // intent was priced before the user's tier or override changed
+    const amount = paymentIntent.amount
+
+    const { data: existingTransaction } = await supabase
+      .from('transactions')
+      .select('id')
+      .eq('stripe_payment_intent_id', paymentIntent.id)
+      .maybeSingle()
+
+    if (existingTransaction) {
+      return { transactionId: existingTransaction.id, amountCents: amount }
+    }
+
     const transactionData = {
       user_id: campaign.user_id,
       campaign_id: campaign.id,
       stripe_payment_intent_id: paymentIntent.id,
       stripe_charge_id: paymentIntent.charges?.data[0]?.id || null,
       amount_cents: amount,
-      amount_dollars: 3.00,
+      amount_dollars: centsToDollars(amount),
       currency: 'usd',
-      status: paymentIntent.status === 'succeeded' ? 'succeeded' :
-              paymentIntent.status === 'processing' ? 'processing' : 'failed',
+      status: paymentIntent.status === 'succeeded' ? 'succeeded' : 'processing',
       billing_reason: 'new_mover_addition',
       is_test_mode: postgridApiKey.startsWith('test_'),
       metadata: {
-        new_mover_id: newMoverId,
-        melissa_address_key: melissaAddressKey,
+        new_mover_id: mover.id,
+        melissa_address_key: mover.melissa_address_key,
         postgrid_postcard_id: postgridPostcardId,
         campaign_name: campaign.campaign_name,
       },
@@ -312,273 +500,1575 @@ async function chargeImmediately(
       .single()
 
     if (txError) {
-      console.error(`   ⚠️  Transaction record creation failed:`, txError)
-      // Payment succeeded but transaction record failed - log but don't fail
-      return null
+      // Payment went through; the retry will find the PaymentIntent and only insert the record
+      throw new ChargeError(`Transaction record creation failed: ${txError.message}`, false)
     }
 
-    console.log(`   💰 Transaction recorded: ${transaction.id} ($3.00)`)
+    console.log(`   💰 Transaction recorded: ${transaction.id} ($${centsToDollars(amount).toFixed(2)})`)
 
-    return transaction.id
+    return { transactionId: transaction.id, amountCents: amount }
 
   } catch (error: any) {
-    console.error(`   ❌ Charge failed:`, error)
+    if (error instanceof ChargeError) {
+      throw error
+    }
 
     // Handle Stripe errors gracefully
     if (error.type === 'StripeCardError') {
       console.error(`   💳 Card Error: ${error.code} - ${error.message}`)
+
+      if (error.payment_method?.id) {
+        try {
+          await flagPaymentMethod(supabase, error.payment_method.id, `Card declined: ${error.code || error.message}`)
+        } catch (flagError: any) {
+          console.error(`   ⚠️  ${flagError.message}`)
+        }
+      }
+
+      throw new ChargeError(`Card declined: ${error.code || error.message}`, true)
     } else if (error.type === 'StripeInvalidRequestError') {
       console.error(`   ⚠️  Invalid Request: ${error.message}`)
+      throw new ChargeError(`Invalid Stripe request: ${error.message}`, true)
     } else if (error.type === 'StripeAPIError') {
       console.error(`   🔥 Stripe API Error: ${error.message}`)
     }
 
-    return null
+    throw new ChargeError(`Charge failed: ${error.message}`, false)
   }
 }
 
 /**
- * Process a single campaign
+ * Add to a campaign's counters in the database (never from a value read earlier in the run)
  */
-async function processCampaign(
-  campaign: Campaign,
+async function incrementCampaignTotals(
   supabase: any,
-  results: any
+  campaignId: string,
+  { postcardsSent = 0, totalCost = 0 }: { postcardsSent?: number; totalCost?: number }
 ): Promise<void> {
-  console.log(`\n📬 Processing campaign: ${campaign.campaign_name} (${campaign.id})`)
-  console.log(`   ZIP codes: ${campaign.target_zip_codes.join(', ')}`)
+  const { error } = await supabase.rpc('increment_campaign_totals', {
+    p_campaign_id: campaignId,
+    p_postcards_sent: postcardsSent,
+    p_total_cost: totalCost,
+  })
 
-  try {
-    // Determine cutoff date for new movers
-    // Use last_polled_at if available, otherwise approved_at (to only send to NEW movers after approval)
-    const cutoffDate = campaign.last_polled_at || campaign.approved_at || campaign.created_at
-    const cutoffSource = campaign.last_polled_at ? 'last_polled_at' : campaign.approved_at ? 'approved_at' : 'created_at'
-    console.log(`   Cutoff date (${cutoffSource}): ${cutoffDate}`)
+  if (error) {
+    // Not fatal: reconcile_campaign_totals() recomputes counters from newmover/transactions
+    console.error(`   ⚠️  Failed to update campaign totals:`, error)
+  }
+}
 
-    let newMoversCount = 0
+/**
+ * Load (once per run) whether a user is billed per postcard or in a daily batch
+ */
+async function getBillingMode(supabase: any, userId: string, results: any): Promise<BillingMode> {
+  if (results.billing_modes[userId]) {
+    return results.billing_modes[userId]
+  }
 
-    // Process each ZIP code
-    for (const zipCode of campaign.target_zip_codes) {
-      console.log(`   🔍 Fetching Melissa data for ZIP: ${zipCode}`)
+  const { data: customer, error } = await supabase
+    .from('customers')
+    .select('billing_mode')
+    .eq('user_id', userId)
+    .maybeSingle()
 
-      // Fetch from Melissa API
-      const melissaResults = await fetchFromMelissa([zipCode], 1)
-      console.log(`   Found ${melissaResults.length} movers from Melissa for ${zipCode}`)
+  if (error) {
+    throw new Error(`Failed to load billing mode: ${error.message}`)
+  }
 
-      if (melissaResults.length === 0) {
-        continue
-      }
+  const mode: BillingMode = customer?.billing_mode === 'daily' ? 'daily' : 'immediate'
+  results.billing_modes[userId] = mode
+  return mode
+}
 
-      // Transform data
-      const transformedMovers = transformMelissaData(melissaResults, zipCode, campaign.id)
+/**
+ * Record a mailed postcard as an unprocessed pending charge for the daily batch
+ */
+async function scheduleBatchedCharge(
+  campaign: Campaign,
+  mover: OutboxMover,
+  supabase: any
+): Promise<void> {
+  const { data: existingCharge } = await supabase
+    .from('pending_charges')
+    .select('id')
+    .eq('metadata->>new_mover_id', mover.id)
+    .maybeSingle()
 
-      // Filter for movers discovered after cutoff date
-      const newMovers = transformedMovers.filter(mover => {
-        if (!mover.move_effective_date) return false
-        return new Date(mover.move_effective_date) > new Date(cutoffDate)
-      })
+  if (existingCharge) return
 
-      console.log(`   ${newMovers.length} new movers since last poll`)
+  const quote = await getPostcardQuote(supabase, campaign.user_id, campaignQuoteOptions(campaign))
 
-      // Process each new mover
-      for (const mover of newMovers) {
-        try {
-          // Check if mover already exists (by melissa_address_key)
-          const { data: existing } = await supabase
-            .from('newmover')
-            .select('id')
-            .eq('melissa_address_key', mover.melissa_address_key)
-            .single()
-
-          if (existing) {
-            console.log(`   ⏭️  Skipping existing mover: ${mover.melissa_address_key}`)
-            continue
-          }
+  const { error } = await supabase
+    .from('pending_charges')
+    .insert({
+      campaign_id: campaign.id,
+      user_id: campaign.user_id,
+      new_mover_count: 1,
+      amount_cents: quote.unit_price_cents,
+      amount_dollars: centsToDollars(quote.unit_price_cents),
+      billing_reason: 'new_mover_addition',
+      scheduled_for: new Date().toISOString().split('T')[0],
+      processed: false,
+      is_test_mode: postgridApiKey.startsWith('test_'),
+      metadata: {
+        new_mover_id: mover.id,
+        melissa_address_key: mover.melissa_address_key,
+        postgrid_postcard_id: mover.postgrid_postcard_id,
+        campaign_name: campaign.campaign_name,
+        pricing_plan_id: quote.plan_id,
+      },
+    })
 
-          // Save new mover to database
-          const { data: savedMover, error: saveError } = await supabase
-            .from('newmover')
-            .insert(mover)
-            .select()
-            .single()
-
-          if (saveError) {
-            console.error(`   ❌ Error saving mover:`, saveError)
-            results.errors.push({
-              campaign_id: campaign.id,
-              error: `Failed to save mover: ${saveError.message}`,
-              mover: mover.melissa_address_key,
-            })
-            continue
-          }
+  if (error) {
+    throw new Error(`Failed to schedule pending charge: ${error.message}`)
+  }
+}
 
-          console.log(`   ✅ Saved new mover: ${savedMover.full_name}`)
-
-          // Send postcard via PostGrid
-          try {
-            const postcardResult = await sendPostcard(
-              savedMover,
-              campaign.postcard_design_url,
-              campaign
-            )
-
-            console.log(`   📮 Postcard sent via PostGrid: ${postcardResult.id}`)
-
-            // Charge immediately via Stripe
-            const transactionId = await chargeImmediately(
-              campaign,
-              savedMover.id,
-              savedMover.melissa_address_key,
-              postcardResult.id,
-              supabase
-            )
-
-            // Update new mover with PostGrid and transaction details
-            const moverUpdate: any = {
-              postcard_sent: true,
-              postcard_sent_at: new Date().toISOString(),
-              postgrid_postcard_id: postcardResult.id,
-              postgrid_status: postcardResult.status,
-            }
+// ============================================================================
+// PREPAID WALLET
+// ============================================================================
+// Users who have topped up (wallets row, see _shared/wallet.ts) pay for
+// each postcard from their balance. When the balance can't cover a postcard,
+// the card is charged only if they opted into wallets.card_fallback; otherwise
+// the mover is queued before anything is mailed and retried every poll until
+// the wallet is topped up.
 
-            if (transactionId) {
-              moverUpdate.transaction_id = transactionId
-            }
+/**
+ * Load (once per run) a user's wallet, or null when they have never topped up
+ */
+async function getWallet(supabase: any, userId: string, results: any): Promise<WalletState | null> {
+  if (userId in results.wallets) {
+    return results.wallets[userId]
+  }
 
-            await supabase
-              .from('newmover')
-              .update(moverUpdate)
-              .eq('id', savedMover.id)
-
-            // Create pending_charges record for audit trail (already processed)
-            if (transactionId) {
-              await supabase
-                .from('pending_charges')
-                .insert({
-                  campaign_id: campaign.id,
-                  user_id: campaign.user_id,
-                  new_mover_count: 1,
-                  amount_cents: 300,
-                  amount_dollars: 3.00,
-                  billing_reason: 'new_mover_addition',
-                  scheduled_for: new Date().toISOString().split('T')[0],
-                  processed: true, // Already charged immediately
-                  processed_at: new Date().toISOString(),
-                  is_test_mode: postgridApiKey.startsWith('test_'),
-                  metadata: {
-                    new_mover_id: savedMover.id,
-                    melissa_address_key: savedMover.melissa_address_key,
-                    postgrid_postcard_id: postcardResult.id,
-                    transaction_id: transactionId,
-                    charged_immediately: true,
-                  },
-                })
-            }
+  const { data, error } = await supabase
+    .from('wallets')
+    .select('balance_cents, card_fallback')
+    .eq('user_id', userId)
+    .maybeSingle()
 
-            // Update campaign totals
-            await supabase
-              .from('campaigns')
-              .update({
-                postcards_sent: campaign.postcards_sent + 1,
-                total_cost: campaign.total_cost + 3.00,
-              })
-              .eq('id', campaign.id)
+  if (error) {
+    throw new Error(`Failed to load wallet: ${error.message}`)
+  }
 
-            newMoversCount++
-            results.postcards_sent++
-          } catch (postcardError: any) {
-            console.error(`   ❌ Error sending postcard:`, postcardError)
-            results.errors.push({
-              campaign_id: campaign.id,
-              error: `Failed to send postcard: ${postcardError.message}`,
-              mover: savedMover.full_name,
-            })
-          }
-        } catch (moverError: any) {
-          console.error(`   ❌ Error processing mover:`, moverError)
-          results.errors.push({
-            campaign_id: campaign.id,
-            error: `Failed to process mover: ${moverError.message}`,
-          })
-        }
-      }
+  let wallet: WalletState | null = null
+
+  if (data) {
+    wallet = {
+      balance_cents: data.balance_cents,
+      card_fallback: data.card_fallback,
+      held_cents: 0,
     }
+  }
 
-    // Update campaign last_polled_at
-    await supabase
-      .from('campaigns')
-      .update({ last_polled_at: new Date().toISOString() })
-      .eq('id', campaign.id)
+  results.wallets[userId] = wallet
+  return wallet
+}
 
-    console.log(`   ✨ Campaign processing complete. ${newMoversCount} new postcards sent.`)
-    results.campaigns_processed++
-  } catch (error: any) {
-    console.error(`   ❌ Error processing campaign:`, error)
-    results.errors.push({
-      campaign_id: campaign.id,
-      error: `Campaign processing failed: ${error.message}`,
-    })
+/**
+ * Load (once per run) a campaign's per-postcard price; campaigns of one user
+ * can differ by postcard size and mail class
+ */
+async function getCampaignUnitPriceCents(supabase: any, campaign: Campaign, results: any): Promise<number> {
+  if (!(campaign.id in results.unit_prices)) {
+    const quote = await getPostcardQuote(supabase, campaign.user_id, campaignQuoteOptions(campaign))
+    results.unit_prices[campaign.id] = quote.unit_price_cents
   }
+
+  return results.unit_prices[campaign.id]
 }
 
 /**
- * Main handler
+ * Whether a postcard may be mailed without the wallet covering it
  */
-serve(async (req) => {
-  const supabase = createClient(supabaseUrl, supabaseServiceKey)
+function walletCanCover(wallet: WalletState | null, unitPriceCents: number): boolean {
+  return !wallet || wallet.card_fallback ||
+    wallet.balance_cents - wallet.held_cents >= unitPriceCents
+}
+
+/**
+ * Pay for a mailed postcard from the user's wallet.
+ * Returns null when the card should be charged instead (no wallet, or an empty
+ * wallet with card fallback on); throws ChargeError when the wallet is empty
+ * and card fallback is off. Safe to call again for the same mover: the ledger
+ * entry and transaction are keyed by the mover.
+ */
+async function debitWallet(
+  campaign: Campaign,
+  mover: OutboxMover,
+  supabase: any,
+  results: any,
+  isRetry: boolean
+): Promise<ChargeResult | null> {
+  const wallet = await getWallet(supabase, campaign.user_id, results)
+  if (!wallet) return null
+
+  const idempotencyKey = `debit:${mover.id}`
+
+  if (isRetry) {
+    // An earlier attempt may have fallen back to the card before a top-up
+    // landed; finish that charge rather than paying twice
+    const { data: earlierDebit } = await supabase
+      .from('wallet_ledger')
+      .select('id')
+      .eq('idempotency_key', idempotencyKey)
+      .maybeSingle()
+
+    if (!earlierDebit && await findMoverPaymentIntent(mover.id)) return null
+  }
 
+  let quote
   try {
-    console.log('🚀 Starting Melissa new mover polling...')
-    console.log(`   Timestamp: ${new Date().toISOString()}`)
+    quote = await getPostcardQuote(supabase, campaign.user_id, campaignQuoteOptions(campaign))
+  } catch (quoteError: any) {
+    throw new ChargeError(quoteError.message, false)
+  }
 
-    // Validate environment variables
-    if (!melissaCustomerId) {
-      throw new Error('MELISSA_CUSTOMER_ID not configured')
-    }
-    if (!postgridApiKey) {
-      throw new Error('POSTGRID_API_KEY not configured')
-    }
+  let entry
+  try {
+    entry = await applyWalletEntry(supabase, {
+      userId: campaign.user_id,
+      type: 'debit',
+      amountCents: -quote.unit_price_cents,
+      idempotencyKey,
+      campaignId: campaign.id,
+      newMoverId: mover.id,
+      description: `New Mover Postcard - ${campaign.campaign_name}`,
+      metadata: {
+        postgrid_postcard_id: mover.postgrid_postcard_id,
+        pricing_plan_id: quote.plan_id,
+      },
+    })
+  } catch (debitError: any) {
+    throw new ChargeError(debitError.message, false)
+  }
 
-    // ============================================================================
-    // FETCH ACTIVE CAMPAIGNS WITH POLLING ENABLED
-    // ============================================================================
-    const { data: campaigns, error: fetchError } = await supabase
-      .from('campaigns')
-      .select('*')
-      .eq('status', 'active')
-      .eq('polling_enabled', true)
-      .not('target_zip_codes', 'is', null)
-      .not('postcard_design_url', 'is', null)
+  wallet.balance_cents = entry.balance_cents
 
-    if (fetchError) {
-      console.error('Error fetching campaigns:', fetchError)
-      throw fetchError
+  if (!entry.applied) {
+    if (wallet.card_fallback) {
+      console.log(`   👛 Wallet balance too low, falling back to card`)
+      return null
     }
+    throw new ChargeError('Wallet balance too low and card fallback is off', false)
+  }
 
-    if (!campaigns || campaigns.length === 0) {
-      console.log('✅ No active campaigns with polling enabled')
-      return new Response(
-        JSON.stringify({
-          success: true,
-          message: 'No campaigns to poll',
-          campaigns_processed: 0,
-          postcards_sent: 0,
-        }),
-        { status: 200, headers: { 'Content-Type': 'application/json' } }
-      )
-    }
+  const amount = Math.abs(entry.amount_cents)
 
-    console.log(`📊 Found ${campaigns.length} campaigns to poll`)
+  if (!entry.duplicate) {
+    wallet.held_cents = Math.max(0, wallet.held_cents - amount)
+    console.log(`   👛 Paid from wallet: $${centsToDollars(amount).toFixed(2)} ($${centsToDollars(entry.balance_cents).toFixed(2)} left)`)
+  }
 
-    // ============================================================================
-    // PROCESS EACH CAMPAIGN
-    // ============================================================================
-    const results = {
-      campaigns_processed: 0,
-      postcards_sent: 0,
+  // Wallet-paid postcards get a transaction like card charges, so billing
+  // history, refunds and reconciliation treat them the same way
+  const paymentReference = `wallet_${entry.entry_id}`
+
+  const { data: existingTransaction } = await supabase
+    .from('transactions')
+    .select('id')
+    .eq('stripe_payment_intent_id', paymentReference)
+    .maybeSingle()
+
+  if (existingTransaction) {
+    return { transactionId: existingTransaction.id, amountCents: amount }
+  }
+
+  const { data: transaction, error: txError } = await supabase
+    .from('transactions')
+    .insert({
+      user_id: campaign.user_id,
+      campaign_id: campaign.id,
+      stripe_payment_intent_id: paymentReference,
+      amount_cents: amount,
+      amount_dollars: centsToDollars(amount),
+      currency: 'usd',
+      status: 'succeeded',
+      billing_reason: 'wallet_debit',
+      is_test_mode: postgridApiKey.startsWith('test_'),
+      metadata: {
+        new_mover_id: mover.id,
+        melissa_address_key: mover.melissa_address_key,
+        postgrid_postcard_id: mover.postgrid_postcard_id,
+        campaign_name: campaign.campaign_name,
+        wallet_ledger_id: entry.entry_id,
+      },
+    })
+    .select()
+    .single()
+
+  if (txError) {
+    // The debit is kept; the retry finds the ledger entry and only inserts the record
+    throw new ChargeError(`Transaction record creation failed: ${txError.message}`, false)
+  }
+
+  await supabase
+    .from('wallet_ledger')
+    .update({ transaction_id: transaction.id })
+    .eq('id', entry.entry_id)
+
+  results.wallet_debits++
+  return { transactionId: transaction.id, amountCents: amount }
+}
+
+// ============================================================================
+// BUDGET CAPS
+// ============================================================================
+// Month-to-date spend is the number of postcards mailed this calendar month
+// (UTC) times the user's current postcard price. Movers that would go over a
+// limit are saved as 'queued' and sent by a later run instead of being dropped.
+
+function startOfMonth(date = new Date()): Date {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1))
+}
+
+function startOfNextMonth(date = new Date()): Date {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1))
+}
+
+/**
+ * Load (once per run) how much a campaign may still send
+ */
+async function getCampaignBudget(
+  supabase: any,
+  campaign: Campaign,
+  results: any
+): Promise<CampaignBudget> {
+  if (results.budgets[campaign.id]) {
+    return results.budgets[campaign.id]
+  }
+
+  let spentThisMonth = 0
+  let unitPrice = 0
+
+  if (campaign.monthly_budget_cap !== null && campaign.monthly_budget_cap !== undefined) {
+    const quote = await getPostcardQuote(supabase, campaign.user_id, campaignQuoteOptions(campaign))
+    unitPrice = centsToDollars(quote.unit_price_cents)
+
+    const { count, error } = await supabase
+      .from('newmover')
+      .select('id', { count: 'exact', head: true })
+      .eq('campaign_id', campaign.id)
+      .eq('postcard_sent', true)
+      .gte('postcard_sent_at', startOfMonth().toISOString())
+
+    if (error) {
+      throw new Error(`Failed to load month-to-date spend: ${error.message}`)
+    }
+
+    spentThisMonth = (count || 0) * unitPrice
+  }
+
+  const budget: CampaignBudget = {
+    monthly_cap: campaign.monthly_budget_cap ?? null,
+    spent_this_month: spentThisMonth,
+    unit_price: unitPrice,
+    max_per_poll: campaign.max_postcards_per_poll ?? null,
+    sent_this_poll: 0,
+  }
+
+  results.budgets[campaign.id] = budget
+  return budget
+}
+
+/**
+ * Reserve room for one postcard.
+ * Returns null when it fits, otherwise when the mover should be retried.
+ */
+function reserveBudget(budget: CampaignBudget): Date | null {
+  if (budget.monthly_cap !== null && budget.spent_this_month + budget.unit_price > budget.monthly_cap) {
+    return startOfNextMonth()
+  }
+
+  if (budget.max_per_poll !== null && budget.sent_this_poll >= budget.max_per_poll) {
+    return new Date() // next poll
+  }
+
+  budget.spent_this_month += budget.unit_price
+  budget.sent_this_poll++
+  return null
+}
+
+// ============================================================================
+// PAYMENT CHECK
+// ============================================================================
+// A postcard costs printing and postage the moment it is mailed, and is only
+// charged afterwards. Before a mover the card will pay for is mailed, the
+// user's default card must be usable (see _shared/paymentReadiness.ts); with
+// PRESEND_AUTHORIZATION on, the price is also authorized on the card and the
+// authorization is captured once the postcard is out. A mover that can't be
+// paid for is queued and checked again every poll, and skipped (outbox state
+// 'payment_skipped') once it has waited PAYMENT_MAX_DEFER_DAYS. The outcome
+// is kept on the mover (payment_check_*).
+
+/**
+ * Load (once per run) whether the user's default card can be charged
+ */
+async function getPaymentReadiness(supabase: any, userId: string, results: any): Promise<PaymentReadiness> {
+  if (!results.payment_checks[userId]) {
+    results.payment_checks[userId] = await checkDefaultCard(supabase, userId, {
+      failureHoldHours: CARD_FAILURE_HOLD_HOURS,
+    })
+  }
+
+  return results.payment_checks[userId]
+}
+
+/**
+ * Whether the card (rather than the wallet) will pay for the next postcard
+ */
+function paysByCard(wallet: WalletState | null, unitPriceCents: number): boolean {
+  return !wallet || (wallet.card_fallback && wallet.balance_cents - wallet.held_cents < unitPriceCents)
+}
+
+/**
+ * Columns recording a payment check on the mover row
+ */
+function paymentCheckFields(check: PaymentCheck, deferredSince: string | null = null): Record<string, unknown> {
+  const now = new Date().toISOString()
+
+  return {
+    payment_check_status: check.status,
+    payment_check_reason: check.reason,
+    payment_checked_at: now,
+    payment_deferred_since: check.status === 'deferred' ? deferredSince || now : null,
+  }
+}
+
+/**
+ * Whether a mover has waited too long for a usable card to still be worth mailing
+ */
+function paymentDeferredTooLong(mover: OutboxMover): boolean {
+  return Boolean(mover.payment_deferred_since) &&
+    Date.now() - new Date(mover.payment_deferred_since!).getTime() > PAYMENT_MAX_DEFER_DAYS * 24 * 60 * 60 * 1000
+}
+
+/**
+ * Authorize the postcard's price on the user's card before it is mailed.
+ * Returns a decline reason when the card can't pay (nothing should be
+ * mailed), otherwise null. Skipped unless PRESEND_AUTHORIZATION is on and the
+ * card will be charged right after mailing.
+ */
+async function authorizeMover(
+  campaign: Campaign,
+  mover: OutboxMover,
+  supabase: any,
+  results: any
+): Promise<string | null> {
+  if (!PRESEND_AUTHORIZATION) return null
+
+  // A retry reuses the hold an earlier attempt placed
+  if (mover.payment_authorization_id) {
+    const existing = await stripe.paymentIntents.retrieve(mover.payment_authorization_id)
+    if (existing.status === 'requires_capture') return null
+  }
+
+  const wallet = await getWallet(supabase, campaign.user_id, results)
+  const unitPriceCents = await getCampaignUnitPriceCents(supabase, campaign, results)
+
+  if (!paysByCard(wallet, unitPriceCents) || await getBillingMode(supabase, campaign.user_id, results) === 'daily') {
+    return null
+  }
+
+  const readiness = await getPaymentReadiness(supabase, campaign.user_id, results)
+  if (!readiness.usable) return readiness.reason
+
+  console.log(`   🔐 Authorizing $${centsToDollars(unitPriceCents).toFixed(2)} before mailing...`)
+
+  let authorization: Stripe.PaymentIntent
+
+  try {
+    authorization = await stripe.paymentIntents.create(
+      {
+        amount: unitPriceCents,
+        currency: 'usd',
+        customer: readiness.stripeCustomerId!,
+        payment_method: readiness.stripePaymentMethodId!,
+        capture_method: 'manual',
+        off_session: true,
+        confirm: true,
+        error_on_requires_action: false,
+        description: `New Mover Postcard - ${campaign.campaign_name}`,
+        metadata: {
+          user_id: campaign.user_id,
+          campaign_id: campaign.id,
+          new_mover_id: mover.id,
+          melissa_address_key: mover.melissa_address_key,
+          billing_reason: 'new_mover_addition',
+          presend_authorization: 'true',
+          is_test_mode: postgridApiKey.startsWith('test_').toString(),
+        },
+      },
+      // Per card (a new default card gets a fresh attempt) and per released hold
+      { idempotencyKey: `newmover_${mover.id}_auth_${readiness.stripePaymentMethodId}${mover.payment_authorization_id ? `_${mover.payment_authorization_id}` : ''}` }
+    )
+  } catch (error: any) {
+    if (error.type !== 'StripeCardError') throw error
+
+    const reason = `Card declined: ${error.code || error.message}`
+    await recordCardDecline(supabase, campaign.user_id, readiness.stripePaymentMethodId, reason, results)
+    return reason
+  }
+
+  if (authorization.status !== 'requires_capture') {
+    const reason = `Card authorization ended in status ${authorization.status}`
+
+    if (authorization.status !== 'canceled') {
+      await releaseAuthorization(authorization.id)
+    }
+    await recordCardDecline(supabase, campaign.user_id, readiness.stripePaymentMethodId, reason, results)
+    return reason
+  }
+
+  console.log(`   🔐 Card authorized: ${authorization.id}`)
+
+  const { error } = await supabase
+    .from('newmover')
+    .update({
+      payment_authorization_id: authorization.id,
+      ...paymentCheckFields({ status: 'authorized', reason: null }),
+    })
+    .eq('id', mover.id)
+
+  if (error) {
+    // The retry gets the same authorization back from the idempotency key
+    throw new Error(`Failed to save card authorization: ${error.message}`)
+  }
+
+  mover.payment_authorization_id = authorization.id
+  results.payment_authorizations++
+  return null
+}
+
+/**
+ * Release a pre-send authorization that won't be captured
+ */
+async function releaseAuthorization(authorizationId: string): Promise<void> {
+  try {
+    await stripe.paymentIntents.cancel(authorizationId)
+    console.log(`   🔓 Released card authorization ${authorizationId}`)
+  } catch (error: any) {
+    // Not fatal: Stripe releases uncaptured authorizations after 7 days
+    console.error(`   ⚠️  Failed to release card authorization ${authorizationId}:`, error.message)
+  }
+}
+
+/**
+ * Flag a declined card and drop the user's cached check, so their next
+ * mover this run is held back too
+ */
+async function recordCardDecline(
+  supabase: any,
+  userId: string,
+  stripePaymentMethodId: string | null | undefined,
+  reason: string,
+  results: any
+): Promise<void> {
+  delete results.payment_checks[userId]
+
+  if (!stripePaymentMethodId) return
+
+  try {
+    await flagPaymentMethod(supabase, stripePaymentMethodId, reason)
+  } catch (error: any) {
+    // Not fatal: stripe-webhook flags it too when Stripe reports the failure
+    console.error(`   ⚠️  ${error.message}`)
+  }
+}
+
+/**
+ * Send a mover that can't be paid for back to the queue, before anything is mailed
+ */
+async function deferForPayment(
+  supabase: any,
+  mover: OutboxMover,
+  reason: string,
+  results: any
+): Promise<OutboxMover | null> {
+  console.log(`   💳 ${reason}, not mailing ${mover.full_name} yet`)
+
+  const deferred = await transitionMover(supabase, mover, 'queued', {
+    queued_until: new Date().toISOString(), // next poll
+    // Claiming the mover counted an attempt; a card that can't pay is not a failed send
+    outbox_attempts: Math.max(0, mover.outbox_attempts - 1),
+    outbox_last_error: reason,
+    ...paymentCheckFields({ status: 'deferred', reason }, mover.payment_deferred_since),
+  })
+
+  if (deferred) results.movers_payment_deferred++
+  return deferred
+}
+
+/**
+ * Decide whether a mover may be mailed now: the account must not be paused
+ * by dunning, the wallet must be able to pay for it (unless card fallback is
+ * on), the card must be usable when it will pay, and it must fit the
+ * campaign's budget.
+ * Returns a null retryAt when it may, holding its price in the wallet. The
+ * card check's outcome is returned when one ran.
+ */
+async function reserveSend(
+  supabase: any,
+  campaign: Campaign,
+  results: any
+): Promise<{ retryAt: Date | null; reason: string | null; payment: PaymentCheck | null }> {
+  // Holds even if the user reactivates a campaign dunning paused
+  if (!(campaign.user_id in results.dunning)) {
+    results.dunning[campaign.user_id] = await getDunningAccount(supabase, campaign.user_id)
+  }
+
+  if (isDunningPaused(results.dunning[campaign.user_id])) {
+    return { retryAt: new Date(), reason: 'Payment past due', payment: null } // next poll
+  }
+
+  const wallet = await getWallet(supabase, campaign.user_id, results)
+  const unitPriceCents = wallet
+    ? await getCampaignUnitPriceCents(supabase, campaign, results)
+    : 0
+
+  if (!walletCanCover(wallet, unitPriceCents)) {
+    return { retryAt: new Date(), reason: 'Wallet balance too low', payment: null } // next poll
+  }
+
+  let payment: PaymentCheck | null = null
+
+  if (paysByCard(wallet, unitPriceCents)) {
+    const readiness = await getPaymentReadiness(supabase, campaign.user_id, results)
+    payment = { status: readiness.usable ? 'passed' : 'deferred', reason: readiness.reason }
+
+    if (!readiness.usable) {
+      return { retryAt: new Date(), reason: readiness.reason, payment } // next poll
+    }
+  }
+
+  const budget = await getCampaignBudget(supabase, campaign, results)
+  const retryAt = reserveBudget(budget)
+
+  if (retryAt) {
+    return { retryAt, reason: 'Over budget', payment }
+  }
+
+  if (wallet && !wallet.card_fallback) {
+    wallet.held_cents += unitPriceCents
+  }
+
+  return { retryAt: null, reason: null, payment }
+}
+
+/**
+ * Persist how far a sweep got through a ZIP's result pages
+ */
+async function saveZipProgress(supabase: any, progress: ZipPollProgress): Promise<void> {
+  const { error } = await supabase
+    .from('campaign_zip_poll_progress')
+    .upsert(
+      { ...progress, updated_at: new Date().toISOString() },
+      { onConflict: 'campaign_id,zip_code' }
+    )
+
+  if (error) {
+    // Not fatal: worst case the next run re-reads pages and skips existing movers
+    console.error(`   ⚠️  Failed to save polling progress for ${progress.zip_code}:`, error)
+  }
+}
+
+// ============================================================================
+// MOVER OUTBOX
+// ============================================================================
+// Every mover the poller saves moves through a persisted state machine:
+//
+//   discovered -> mailing -> mailed -> charging -> charged
+//                    \                    \
+//                     |-> failed           `-> past_due (owed, see PAST DUE)
+//                     `-> queued (card can't pay, see PAYMENT CHECK)
+//
+// New movers are saved queued (due now) and only released to discovered
+// once screenMover() and reserveSend() have passed them.
+//
+// The state is written before each side effect, so a crash leaves the row in
+// a known place. Rows in discovered/mailed are picked up by the next poll;
+// rows stuck in mailing/charging are retried once they have been idle for
+// OUTBOX_STALE_MINUTES. Both external calls are idempotent per mover.
+
+/**
+ * Move a mover into `to`, but only if nobody else touched it since we read it.
+ * Returns the updated row, or null when another run claimed it first.
+ */
+async function transitionMover(
+  supabase: any,
+  mover: OutboxMover,
+  to: OutboxState,
+  fields: Record<string, unknown> = {}
+): Promise<OutboxMover | null> {
+  let query = supabase
+    .from('newmover')
+    .update({
+      ...fields,
+      outbox_state: to,
+      outbox_state_changed_at: new Date().toISOString(),
+    })
+    .eq('id', mover.id)
+    .eq('outbox_state', mover.outbox_state)
+
+  query = mover.outbox_state_changed_at
+    ? query.eq('outbox_state_changed_at', mover.outbox_state_changed_at)
+    : query.is('outbox_state_changed_at', null)
+
+  const { data, error } = await query.select().maybeSingle()
+
+  if (error) {
+    throw new Error(`Failed to move mover ${mover.id} to ${to}: ${error.message}`)
+  }
+
+  return data
+}
+
+/**
+ * Park a mover in `failed`, or send it back to `retryState` while it has attempts left
+ */
+async function recordStepFailure(
+  supabase: any,
+  mover: OutboxMover,
+  retryState: OutboxState,
+  message: string,
+  permanent: boolean,
+  results: any
+): Promise<OutboxMover | null> {
+  const giveUp = permanent || mover.outbox_attempts >= OUTBOX_MAX_ATTEMPTS
+  const next = await transitionMover(supabase, mover, giveUp ? 'failed' : retryState, {
+    outbox_last_error: message,
+  })
+
+  if (giveUp) {
+    console.error(`   🛑 Mover ${mover.id} failed after ${mover.outbox_attempts} attempt(s): ${message}`)
+    results.outbox_failed++
+  }
+
+  return next
+}
+
+/**
+ * Check a mover may be mailed at all: a deliverable address (verified once),
+ * no suppression list entry and no household conflict. Movers that fail are
+ * parked as undeliverable or suppressed. Runs before reserveSend(), so movers
+ * that are skipped never hold budget or wallet funds, and again right before
+ * mailing. Returns the mover with its address verified, or a null mover and
+ * the state it was left in.
+ */
+async function screenMover(
+  supabase: any,
+  campaign: Campaign,
+  mover: OutboxMover,
+  results: any
+): Promise<{ verified: OutboxMover | null; state: OutboxState }> {
+  const verified = await verifyMoverAddress(supabase, mover, addressVerifier)
+  if (isUndeliverable(verified)) {
+    console.log(`   📭 ${describeUndeliverable(verified)}, not mailing ${mover.full_name}`)
+
+    const parked = await transitionMover(supabase, verified, 'undeliverable', {
+      queued_until: null,
+      outbox_last_error: describeUndeliverable(verified),
+    })
+
+    if (parked) results.movers_undeliverable++
+    return { verified: null, state: parked?.outbox_state || mover.outbox_state }
+  }
+
+  const suppression = await findSuppression(supabase, campaign.user_id, verified)
+  if (suppression) {
+    console.log(`   🚫 ${describeSuppression(suppression)}, not mailing ${mover.full_name}`)
+
+    const suppressed = await transitionMover(supabase, verified, 'suppressed', {
+      queued_until: null,
+      suppression_entry_id: suppression.id,
+      outbox_last_error: describeSuppression(suppression),
+    })
+
+    if (suppressed) results.movers_suppressed++
+    return { verified: null, state: suppressed?.outbox_state || mover.outbox_state }
+  }
+
+  const householdConflict = await findHouseholdConflict(supabase, campaign.id, mover.id)
+  if (householdConflict) {
+    console.log(`   🏠 ${describeHouseholdConflict(householdConflict)}, not mailing ${mover.full_name}`)
+
+    const skipped = await transitionMover(supabase, verified, 'suppressed', {
+      queued_until: null,
+      outbox_last_error: describeHouseholdConflict(householdConflict),
+    })
+
+    if (skipped) results.movers_household_skipped++
+    return { verified: null, state: skipped?.outbox_state || mover.outbox_state }
+  }
+
+  return { verified, state: verified.outbox_state }
+}
+
+/**
+ * Drive a mover forward from whatever state it is in until it is charged,
+ * failed, or claimed by another run. Returns the state it was left in.
+ */
+async function advanceMover(
+  mover: OutboxMover,
+  campaign: Campaign,
+  supabase: any,
+  results: any
+): Promise<OutboxState> {
+  let current: OutboxMover | null = mover
+
+  // ============================================================================
+  // MAIL: discovered -> mailing -> mailed
+  // ============================================================================
+  if (current.outbox_state === 'discovered' || current.outbox_state === 'mailing') {
+    // Movers wait here until the campaign has a PDF PostGrid can print
+    const printUrl = getPrintPdfUrl(campaign)
+    if (!printUrl) {
+      results.errors.push({
+        campaign_id: campaign.id,
+        error: 'Campaign has no print-ready PDF',
+        mover: current.full_name,
+      })
+      return current.outbox_state
+    }
+
+    const claimed = await transitionMover(supabase, current, 'mailing', {
+      outbox_attempts: current.outbox_attempts + 1,
+    })
+    if (!claimed) return current.outbox_state
+
+    try {
+      // Checked on every attempt: an entry added while the mover waited still applies
+      const { verified, state } = await screenMover(supabase, campaign, claimed, results)
+      if (!verified) return state
+
+      // Last step before print and postage are paid for
+      const declineReason = await authorizeMover(campaign, claimed, supabase, results)
+      if (declineReason) {
+        const deferred = await deferForPayment(supabase, claimed, declineReason, results)
+        return deferred?.outbox_state || 'mailing'
+      }
+
+      const personalized = await personalizePostcard(claimed, printUrl, campaign)
+      const postcardResult = await sendPostcard(
+        toMailingAddress(verified),
+        printUrl,
+        campaign,
+        await getCampaignSender(supabase, campaign, results),
+        personalized?.pdf
+      )
+
+      console.log(`   📮 Postcard sent via PostGrid: ${postcardResult.id}`)
+
+      current = await transitionMover(supabase, claimed, 'mailed', {
+        ...(personalized?.offerCode && { offer_code: personalized.offerCode }),
+        postcard_sent: true,
+        postcard_sent_at: new Date().toISOString(),
+        postgrid_postcard_id: postcardResult.id,
+        postgrid_status: postcardResult.status,
+        postgrid_status_updated_at: new Date().toISOString(),
+        outbox_attempts: 0,
+        outbox_last_error: null,
+      })
+      if (!current) return 'mailed'
+
+      await incrementCampaignTotals(supabase, campaign.id, { postcardsSent: 1 })
+      results.postcards_sent++
+    } catch (postcardError: any) {
+      console.error(`   ❌ Error sending postcard:`, postcardError)
+      results.errors.push({
+        campaign_id: campaign.id,
+        error: `Failed to send postcard: ${postcardError.message}`,
+        mover: claimed.full_name,
+      })
+
+      const next = await recordStepFailure(supabase, claimed, 'discovered', postcardError.message, false, results)
+
+      if (next?.outbox_state === 'failed' && claimed.payment_authorization_id) {
+        await releaseAuthorization(claimed.payment_authorization_id)
+      }
+
+      return next?.outbox_state || 'mailing'
+    }
+  }
+
+  // ============================================================================
+  // CHARGE: mailed -> charging -> charged (or batched for daily billing)
+  // ============================================================================
+  if (current.outbox_state === 'mailed' || current.outbox_state === 'charging') {
+    const claimed = await transitionMover(supabase, current, 'charging', {
+      outbox_attempts: current.outbox_attempts + 1,
+    })
+    if (!claimed) return current.outbox_state
+
+    // Attempts reset when the postcard is mailed, so >1 means an earlier charge attempt ran
+    const isRetry = claimed.outbox_attempts > 1
+
+    try {
+      let charge = await debitWallet(campaign, claimed, supabase, results, isRetry)
+      const paidFromWallet = charge !== null
+
+      // A top-up since mailing paid for it after all
+      if (paidFromWallet && claimed.payment_authorization_id) {
+        await releaseAuthorization(claimed.payment_authorization_id)
+      }
+
+      // Daily billing defers card charges to process-pending-charges, unless an
+      // earlier attempt already reached Stripe
+      const deferToBatch = !charge &&
+        await getBillingMode(supabase, campaign.user_id, results) === 'daily' &&
+        !(isRetry && await findMoverPaymentIntent(claimed.id))
+
+      if (deferToBatch) {
+        await scheduleBatchedCharge(campaign, claimed, supabase)
+
+        const batched = await transitionMover(supabase, claimed, 'batched', {
+          outbox_attempts: 0,
+          outbox_last_error: null,
+        })
+
+        if (batched) results.charges_batched++
+        return batched?.outbox_state || 'charging'
+      }
+
+      if (!charge) {
+        charge = await chargeImmediately(
+          campaign,
+          claimed,
+          claimed.postgrid_postcard_id!,
+          supabase,
+          isRetry
+        )
+      }
+
+      const { transactionId, amountCents } = charge
+
+      // Create pending_charges record for audit trail (already processed)
+      const { data: existingCharge } = await supabase
+        .from('pending_charges')
+        .select('id')
+        .eq('metadata->>new_mover_id', claimed.id)
+        .maybeSingle()
+
+      if (!existingCharge) {
+        await supabase
+          .from('pending_charges')
+          .insert({
+            campaign_id: campaign.id,
+            user_id: campaign.user_id,
+            new_mover_count: 1,
+            amount_cents: amountCents,
+            amount_dollars: centsToDollars(amountCents),
+            billing_reason: 'new_mover_addition',
+            scheduled_for: new Date().toISOString().split('T')[0],
+            processed: true, // Already charged immediately or paid from the wallet
+            processed_at: new Date().toISOString(),
+            is_test_mode: postgridApiKey.startsWith('test_'),
+            metadata: {
+              new_mover_id: claimed.id,
+              melissa_address_key: claimed.melissa_address_key,
+              postgrid_postcard_id: claimed.postgrid_postcard_id,
+              transaction_id: transactionId,
+              charged_immediately: !paidFromWallet,
+              paid_from_wallet: paidFromWallet,
+            },
+          })
+      }
+
+      await incrementCampaignTotals(supabase, campaign.id, { totalCost: centsToDollars(amountCents) })
+
+      current = await transitionMover(supabase, claimed, 'charged', {
+        transaction_id: transactionId,
+        outbox_last_error: null,
+      })
+
+      return current?.outbox_state || 'charged'
+    } catch (chargeError: any) {
+      console.error(`   ❌ Charge failed:`, chargeError)
+      results.errors.push({
+        campaign_id: campaign.id,
+        error: `Failed to charge for postcard: ${chargeError.message}`,
+        mover: claimed.full_name,
+      })
+
+      const permanent = chargeError instanceof ChargeError && chargeError.permanent
+
+      // The card may have just been flagged; re-check it for the user's next mover
+      if (permanent) delete results.payment_checks[campaign.user_id]
+
+      // The postcard is in the mail either way: once retries are over it is owed
+      if (permanent || claimed.outbox_attempts >= OUTBOX_MAX_ATTEMPTS) {
+        const pastDue = await markPastDue(campaign, claimed, chargeError.message, supabase, results)
+        if (pastDue) return pastDue.outbox_state
+      }
+
+      const next = await recordStepFailure(supabase, claimed, 'mailed', chargeError.message, permanent, results)
+      return next?.outbox_state || 'charging'
+    }
+  }
+
+  return current.outbox_state
+}
+
+// ============================================================================
+// PAST DUE
+// ============================================================================
+// A mailed postcard whose charge failed for good is recorded as a receivable
+// and left to process-dunning, which collects it together with the user's
+// other open receivables and moves the mover on to charged.
+
+/**
+ * Move a mover whose charge failed for good to past_due and open a
+ * receivable for it. Returns null (leaving the mover to fail as before) when
+ * the receivable can't be recorded.
+ */
+async function markPastDue(
+  campaign: Campaign,
+  mover: OutboxMover,
+  message: string,
+  supabase: any,
+  results: any
+): Promise<OutboxMover | null> {
+  try {
+    // What the failed charge asked for, or the current price when none was created
+    const paymentIntent = await findMoverPaymentIntent(mover.id)
+    const amountCents = paymentIntent?.amount ||
+      (await getPostcardQuote(supabase, campaign.user_id, campaignQuoteOptions(campaign))).unit_price_cents
+
+    await openReceivable(supabase, {
+      userId: campaign.user_id,
+      campaignId: campaign.id,
+      newMoverId: mover.id,
+      amountCents,
+      failureReason: message,
+    })
+  } catch (error: any) {
+    console.error(`   ⚠️  Failed to record receivable for mover ${mover.id}:`, error.message)
+    return null
+  }
+
+  const pastDue = await transitionMover(supabase, mover, 'past_due', {
+    outbox_last_error: message,
+  })
+
+  if (pastDue) {
+    console.log(`   📒 Charge for ${mover.full_name} is past due, sent to dunning`)
+    results.movers_past_due++
+  }
+
+  return pastDue
+}
+
+/**
+ * Resume movers a previous run left unfinished
+ */
+async function resumeOutbox(supabase: any, results: any): Promise<void> {
+  const now = new Date().toISOString()
+  const staleBefore = new Date(Date.now() - OUTBOX_STALE_MINUTES * 60 * 1000).toISOString()
+
+  const { data: pending, error } = await supabase
+    .from('newmover')
+    .select('*')
+    .or([
+      'outbox_state.in.(discovered,mailed)',
+      `and(outbox_state.in.(mailing,charging),outbox_state_changed_at.lt.${staleBefore})`,
+      `and(outbox_state.eq.queued,queued_until.lte.${now})`,
+    ].join(','))
+    .order('outbox_state_changed_at', { ascending: true })
+    .limit(OUTBOX_RESUME_LIMIT)
+
+  if (error) {
+    console.error('   ⚠️  Failed to load unfinished movers:', error)
+    results.errors.push({ error: `Outbox resume failed: ${error.message}` })
+    return
+  }
+
+  if (!pending || pending.length === 0) {
+    return
+  }
+
+  console.log(`\n♻️  Resuming ${pending.length} unfinished mover(s) from earlier runs`)
+
+  const campaignIds = [...new Set(pending.map((mover: OutboxMover) => mover.campaign_id))]
+  const { data: campaigns } = await supabase
+    .from('campaigns')
+    .select('*')
+    .in('id', campaignIds)
+
+  const campaignsById: Record<string, Campaign & { status: string }> = {}
+  for (const campaign of campaigns || []) {
+    campaignsById[campaign.id] = campaign
+  }
+
+  for (let mover of pending as OutboxMover[]) {
+    const campaign = campaignsById[mover.campaign_id]
+    if (!campaign) continue
+
+    // Nothing has been mailed yet: respect pauses and the test-data guard.
+    // Anything already mailed still gets billed.
+    const notMailed = ['queued', 'discovered', 'mailing'].includes(mover.outbox_state)
+    if (notMailed && campaign.status !== 'active') continue
+    if (notMailed && getMoverProvider(mover.data_provider).isTestData && !postgridApiKey.startsWith('test_')) continue
+
+    console.log(`   ↪️  ${mover.full_name} (${mover.outbox_state})`)
+
+    try {
+      if (mover.outbox_state === 'queued') {
+        // Before anything is reserved for it
+        const { verified } = await screenMover(supabase, campaign, mover, results)
+        if (!verified) continue
+        mover = verified
+
+        const { retryAt, reason, payment } = await reserveSend(supabase, campaign, results)
+
+        if (retryAt) {
+          // Waited too long for a card that can pay: the move is no longer news
+          if (payment?.status === 'deferred' && paymentDeferredTooLong(mover)) {
+            const skipped = await transitionMover(supabase, mover, 'payment_skipped', {
+              queued_until: null,
+              outbox_last_error: reason,
+              ...paymentCheckFields({ status: 'skipped', reason }),
+            })
+
+            if (skipped) {
+              console.log(`   ⏭️  No usable card for ${PAYMENT_MAX_DEFER_DAYS} days, skipping ${mover.full_name}`)
+              results.movers_payment_skipped++
+            }
+            continue
+          }
+
+          // Still blocked: push monthly-capped movers out to the next period
+          const queuedUntil = mover.queued_until && new Date(mover.queued_until) > retryAt
+            ? mover.queued_until
+            : retryAt.toISOString()
+
+          const paymentChanged = payment !== null && payment.status !== mover.payment_check_status
+
+          if (queuedUntil !== mover.queued_until || reason !== mover.outbox_last_error || paymentChanged) {
+            await supabase
+              .from('newmover')
+              .update({
+                queued_until: queuedUntil,
+                outbox_last_error: reason,
+                ...(payment && paymentCheckFields(payment, mover.payment_deferred_since)),
+              })
+              .eq('id', mover.id)
+          }
+
+          if (payment?.status === 'deferred') results.movers_payment_deferred++
+          continue
+        }
+
+        const released = await transitionMover(supabase, mover, 'discovered', {
+          queued_until: null,
+          outbox_last_error: null,
+          ...(payment && paymentCheckFields(payment)),
+        })
+        if (!released) continue
+
+        mover = released
+        results.movers_released++
+      }
+
+      await advanceMover(mover, campaign, supabase, results)
+      results.outbox_resumed++
+    } catch (error: any) {
+      console.error(`   ❌ Error resuming mover ${mover.id}:`, error)
+      results.errors.push({
+        campaign_id: campaign.id,
+        error: `Failed to resume mover: ${error.message}`,
+        mover: mover.full_name,
+      })
+    }
+  }
+}
+
+/**
+ * Save a newly discovered mover and drive it through the outbox
+ * Returns true when a postcard was sent
+ */
+async function processNewMover(
+  mover: NewMoverRecord,
+  campaign: Campaign,
+  supabase: any,
+  results: any
+): Promise<boolean> {
+  try {
+    // One row per household per campaign; other campaigns that found the mover don't count
+    if (await campaignHasHousehold(supabase, campaign.id, mover)) {
+      console.log(`   ⏭️  Skipping household already in this campaign: ${mover.melissa_address_key}`)
+      return false
+    }
+
+    // Save new mover to database, queued (due now) until it has been screened
+    // and reserved; a crash in between leaves it for the next run's resume
+    const { data: savedMover, error: saveError } = await supabase
+      .from('newmover')
+      .insert({
+        ...mover,
+        outbox_state: 'queued',
+        outbox_state_changed_at: new Date().toISOString(),
+        queued_until: new Date().toISOString(),
+      })
+      .select()
+      .single()
+
+    if (saveError) {
+      console.error(`   ❌ Error saving mover:`, saveError)
+      results.errors.push({
+        campaign_id: campaign.id,
+        error: `Failed to save mover: ${saveError.message}`,
+        mover: mover.melissa_address_key,
+      })
+      return false
+    }
+
+    // Lost a race with a concurrent run for the same household
+    if (!(await linkCampaignMover(supabase, campaign.id, savedMover.id))) {
+      console.log(`   ⏭️  Household linked to this campaign by another run: ${mover.melissa_address_key}`)
+      await supabase.from('newmover').delete().eq('id', savedMover.id)
+      return false
+    }
+
+    console.log(`   ✅ Saved new mover: ${savedMover.full_name}`)
+
+    // Undeliverable and suppressed movers never reserve budget or wallet funds
+    const { verified } = await screenMover(supabase, campaign, savedMover, results)
+    if (!verified) return false
+
+    // Check the wallet, the card and the campaign's spend limits before anything is mailed
+    const { retryAt, reason, payment } = await reserveSend(supabase, campaign, results)
+
+    if (retryAt) {
+      await supabase
+        .from('newmover')
+        .update({
+          queued_until: retryAt.toISOString(),
+          outbox_last_error: reason,
+          ...(payment && paymentCheckFields(payment)),
+        })
+        .eq('id', verified.id)
+
+      console.log(`   ⏳ ${reason}, queued until ${retryAt.toISOString()}`)
+      results.movers_queued++
+      if (payment?.status === 'deferred') results.movers_payment_deferred++
+      return false
+    }
+
+    const released = await transitionMover(supabase, verified, 'discovered', {
+      queued_until: null,
+      ...(payment && paymentCheckFields(payment)),
+    })
+    if (!released) return false
+
+    const finalState = await advanceMover(released, campaign, supabase, results)
+    return ['mailed', 'charging', 'batched', 'charged', 'past_due'].includes(finalState)
+  } catch (moverError: any) {
+    console.error(`   ❌ Error processing mover:`, moverError)
+    results.errors.push({
+      campaign_id: campaign.id,
+      error: `Failed to process mover: ${moverError.message}`,
+    })
+    return false
+  }
+}
+
+/**
+ * Process a single campaign
+ */
+async function processCampaign(
+  campaign: Campaign,
+  supabase: any,
+  results: any
+): Promise<void> {
+  console.log(`\n📬 Processing campaign: ${campaign.campaign_name} (${campaign.id})`)
+  console.log(`   ZIP codes: ${campaign.target_zip_codes.join(', ')}`)
+
+  let providerName: MoverProviderName | null = null
+
+  try {
+    const provider = getMoverProvider(campaign.data_provider)
+    providerName = provider.name
+    console.log(`   Data provider: ${provider.name}`)
+
+    if (results.exhausted_providers.includes(provider.name)) {
+      console.log(`   ⏭️  Skipping: ${provider.name} quota exhausted earlier in this run`)
+      return
+    }
+
+    if (results.pages_fetched >= MAX_PAGES_PER_RUN) {
+      console.log(`   ⏭️  Skipping: page cap (${MAX_PAGES_PER_RUN}) reached earlier in this run`)
+      results.page_cap_reached = true
+      return
+    }
+
+    // The editor's Fabric.js JSON cannot be printed; wait for the PDF render
+    if (!getPrintPdfUrl(campaign)) {
+      console.log(`   ⏭️  Skipping: no print-ready PDF (re-save the design or run scripts/renderPostcardPdf.js)`)
+      results.errors.push({
+        campaign_id: campaign.id,
+        error: 'Campaign has no print-ready PDF',
+      })
+      return
+    }
+
+    // Sample data must never be mailed through a live PostGrid account
+    if (provider.isTestData && !postgridApiKey.startsWith('test_')) {
+      throw new Error(`Provider "${provider.name}" serves test data and requires a PostGrid test API key`)
+    }
+
+    // ============================================================================
+    // RESUME OR START A SWEEP
+    // ============================================================================
+    // A sweep walks every page of every ZIP. Progress is persisted per ZIP so a
+    // run that hits the page cap (or crashes) picks up where it stopped.
+    const { data: progressRows, error: progressError } = await supabase
+      .from('campaign_zip_poll_progress')
+      .select('*')
+      .eq('campaign_id', campaign.id)
+
+    if (progressError) {
+      throw new Error(`Failed to load polling progress: ${progressError.message}`)
+    }
+
+    const progressByZip: Record<string, ZipPollProgress> = {}
+    for (const row of progressRows || []) {
+      progressByZip[row.zip_code] = row
+    }
+
+    const resumedSweep = (progressRows || [])[0] as ZipPollProgress | undefined
+    const sweepStartedAt = resumedSweep?.sweep_started_at || new Date().toISOString()
+
+    // Determine cutoff date for new movers
+    // Use last_polled_at if available, otherwise approved_at (to only send to NEW movers after approval)
+    const cutoffDate = resumedSweep?.cutoff_date
+      || campaign.last_polled_at || campaign.approved_at || campaign.created_at
+    const cutoffSource = resumedSweep ? 'resumed sweep'
+      : campaign.last_polled_at ? 'last_polled_at' : campaign.approved_at ? 'approved_at' : 'created_at'
+    console.log(`   Cutoff date (${cutoffSource}): ${cutoffDate}`)
+
+    const campaignPages = {
+      campaign_id: campaign.id,
+      pages_fetched: 0,
+      zips_completed: 0,
+      zips_pending: 0,
+      resumed: !!resumedSweep,
+    }
+    results.pages_by_campaign.push(campaignPages)
+
+    let newMoversCount = 0
+
+    // Process each ZIP code
+    for (const zipCode of campaign.target_zip_codes) {
+      const progress = progressByZip[zipCode]
+
+      if (progress?.completed) {
+        campaignPages.zips_completed++
+        continue
+      }
+
+      let page = progress?.next_page || 1
+      let zipPagesFetched = progress?.pages_fetched || 0
+      let zipCompleted = false
+
+      while (!zipCompleted) {
+        if (results.pages_fetched >= MAX_PAGES_PER_RUN) {
+          results.page_cap_reached = true
+          break
+        }
+
+        console.log(`   🔍 Fetching ${provider.name} data for ZIP: ${zipCode} (page ${page})`)
+
+        const fetchResult = await provider.fetchMovers({
+          zipCode,
+          campaignId: campaign.id,
+          page,
+          pageSize: PAGE_SIZE,
+        })
+        console.log(`   Found ${fetchResult.movers.length} movers from ${provider.name} for ${zipCode}`)
+
+        results.pages_fetched++
+        campaignPages.pages_fetched++
+        zipPagesFetched++
+
+        if (fetchResult.quota) {
+          results.provider_quota[provider.name] = fetchResult.quota
+        }
+
+        // Filter for movers discovered after cutoff date
+        const newMovers = fetchResult.movers.filter(mover => {
+          if (!mover.move_effective_date) return false
+          return new Date(mover.move_effective_date) > new Date(cutoffDate)
+        })
+
+        console.log(`   ${newMovers.length} new movers since last poll`)
+
+        // Process each new mover
+        for (const mover of newMovers) {
+          if (await processNewMover(mover, campaign, supabase, results)) {
+            newMoversCount++
+          }
+        }
+
+        // An empty page ends the walk even if the provider claims more
+        zipCompleted = !fetchResult.hasMore || fetchResult.movers.length === 0
+        page++
+
+        await saveZipProgress(supabase, {
+          campaign_id: campaign.id,
+          zip_code: zipCode,
+          next_page: page,
+          pages_fetched: zipPagesFetched,
+          completed: zipCompleted,
+          cutoff_date: cutoffDate,
+          sweep_started_at: sweepStartedAt,
+        })
+      }
+
+      if (zipCompleted) {
+        campaignPages.zips_completed++
+      } else {
+        campaignPages.zips_pending++
+      }
+    }
+
+    if (campaignPages.zips_pending > 0) {
+      // Leave last_polled_at alone so the next run resumes this sweep with the same cutoff
+      console.log(`   ⏸️  Page cap reached: ${campaignPages.zips_pending} ZIP(s) will resume next run`)
+      results.campaigns_processed++
+      return
+    }
+
+    // Sweep finished: advance last_polled_at to when the sweep began and clear progress
+    await supabase
+      .from('campaigns')
+      .update({ last_polled_at: sweepStartedAt })
+      .eq('id', campaign.id)
+
+    await supabase
+      .from('campaign_zip_poll_progress')
+      .delete()
+      .eq('campaign_id', campaign.id)
+
+    console.log(`   ✨ Campaign processing complete. ${newMoversCount} new postcards sent.`)
+    results.campaigns_processed++
+  } catch (error: any) {
+    console.error(`   ❌ Error processing campaign:`, error)
+
+    if (error instanceof MoverProviderError) {
+      if (error.code === 'quota_exceeded' && !results.exhausted_providers.includes(error.provider)) {
+        results.exhausted_providers.push(error.provider)
+      }
+
+      results.errors.push({
+        campaign_id: campaign.id,
+        provider: error.provider,
+        code: error.code,
+        error: `Mover data fetch failed: ${error.message}`,
+      })
+      return
+    }
+
+    results.errors.push({
+      campaign_id: campaign.id,
+      provider: providerName,
+      error: `Campaign processing failed: ${error.message}`,
+    })
+  }
+}
+
+/**
+ * Main handler
+ */
+serve(async (req) => {
+  const supabase = createClient(supabaseUrl, supabaseServiceKey)
+
+  try {
+    console.log('🚀 Starting Melissa new mover polling...')
+    printPdfCache.clear()
+    console.log(`   Timestamp: ${new Date().toISOString()}`)
+
+    // Validate environment variables
+    // Provider credentials (e.g. MELISSA_CUSTOMER_ID) are checked per campaign by the provider
+    if (!postgridApiKey) {
+      throw new Error('POSTGRID_API_KEY not configured')
+    }
+
+    const results = {
+      campaigns_processed: 0,
+      postcards_sent: 0,
       errors: [] as any[],
+      exhausted_providers: [] as MoverProviderName[],
+      provider_quota: {} as Record<string, unknown>,
+      pages_fetched: 0,
+      page_cap_reached: false,
+      pages_by_campaign: [] as any[],
+      outbox_resumed: 0,
+      outbox_failed: 0,
+      movers_queued: 0,
+      movers_released: 0,
+      movers_suppressed: 0,
+      movers_household_skipped: 0,
+      movers_undeliverable: 0,
+      movers_past_due: 0,
+      movers_payment_deferred: 0,
+      movers_payment_skipped: 0,
+      payment_authorizations: 0,
+      charges_batched: 0,
+      budgets: {} as Record<string, CampaignBudget>,
+      billing_modes: {} as Record<string, BillingMode>,
+      wallets: {} as Record<string, WalletState | null>,
+      dunning: {} as Record<string, DunningAccount | null>,
+      payment_checks: {} as Record<string, PaymentReadiness>,
+      unit_prices: {} as Record<string, number>,
+      senders: {} as Record<string, PostgridContact | null>,
+      wallet_debits: 0,
     }
 
+    // ============================================================================
+    // RESUME UNFINISHED MOVERS FROM EARLIER RUNS
+    // ============================================================================
+    // Runs even when no campaign is pollable: mailed postcards of paused
+    // campaigns still need to be charged.
+    await resumeOutbox(supabase, results)
+
+    // ============================================================================
+    // FETCH ACTIVE CAMPAIGNS WITH POLLING ENABLED
+    // ============================================================================
+    const { data: campaigns, error: fetchError } = await supabase
+      .from('campaigns')
+      .select('*')
+      .eq('status', 'active')
+      .eq('polling_enabled', true)
+      .not('target_zip_codes', 'is', null)
+      .not('postcard_design_url', 'is', null)
+
+    if (fetchError) {
+      console.error('Error fetching campaigns:', fetchError)
+      throw fetchError
+    }
+
+    if (!campaigns || campaigns.length === 0) {
+      console.log('✅ No active campaigns with polling enabled')
+      return new Response(
+        JSON.stringify({
+          success: true,
+          message: 'No campaigns to poll',
+          campaigns_processed: 0,
+          postcards_sent: results.postcards_sent,
+          outbox_resumed: results.outbox_resumed,
+          outbox_failed: results.outbox_failed,
+          movers_released: results.movers_released,
+          errors: results.errors,
+        }),
+        { status: 200, headers: { 'Content-Type': 'application/json' } }
+      )
+    }
+
+    console.log(`📊 Found ${campaigns.length} campaigns to poll`)
+
+    // ============================================================================
+    // PROCESS EACH CAMPAIGN
+    // ============================================================================
     for (const campaign of campaigns) {
       await processCampaign(campaign, supabase, results)
     }
@@ -593,12 +2083,38 @@ serve(async (req) => {
       campaigns_found: campaigns.length,
       campaigns_processed: results.campaigns_processed,
       postcards_sent: results.postcards_sent,
+      pages_fetched: results.pages_fetched,
+      page_cap_reached: results.page_cap_reached,
+      outbox_resumed: results.outbox_resumed,
+      outbox_failed: results.outbox_failed,
+      movers_queued: results.movers_queued,
+      movers_released: results.movers_released,
+      movers_suppressed: results.movers_suppressed,
+      movers_household_skipped: results.movers_household_skipped,
+      movers_undeliverable: results.movers_undeliverable,
+      movers_past_due: results.movers_past_due,
+      movers_payment_deferred: results.movers_payment_deferred,
+      movers_payment_skipped: results.movers_payment_skipped,
+      payment_authorizations: results.payment_authorizations,
+      charges_batched: results.charges_batched,
+      wallet_debits: results.wallet_debits,
+      exhausted_providers: results.exhausted_providers,
       errors: results.errors,
     }
 
     console.log('\n✅ Polling complete!')
     console.log(`   Campaigns processed: ${results.campaigns_processed}`)
     console.log(`   Postcards sent: ${results.postcards_sent}`)
+    console.log(`   Pages fetched: ${results.pages_fetched}${results.page_cap_reached ? ' (page cap reached)' : ''}`)
+    console.log(`   Outbox: ${results.outbox_resumed} resumed, ${results.outbox_failed} failed`)
+    console.log(`   Queue: ${results.movers_queued} queued (budget, wallet or card), ${results.movers_released} released`)
+    console.log(`   Payment check: ${results.movers_payment_deferred} deferred, ${results.movers_payment_skipped} skipped, ${results.payment_authorizations} authorized`)
+    console.log(`   Suppressed (do-not-mail lists): ${results.movers_suppressed}`)
+    console.log(`   Skipped (household already mailed): ${results.movers_household_skipped}`)
+    console.log(`   Undeliverable addresses: ${results.movers_undeliverable}`)
+    console.log(`   Charges deferred to daily batch: ${results.charges_batched}`)
+    console.log(`   Charges past due (sent to dunning): ${results.movers_past_due}`)
+    console.log(`   Postcards paid from wallet: ${results.wallet_debits}`)
     console.log(`   Errors: ${results.errors.length}`)
 
     // ============================================================================
@@ -618,6 +2134,22 @@ serve(async (req) => {
             postcards_sent: results.postcards_sent,
             new_movers_discovered: results.postcards_sent,
             errors_count: results.errors.length,
+            pages_fetched: results.pages_fetched,
+            page_cap: MAX_PAGES_PER_RUN,
+            page_cap_reached: results.page_cap_reached,
+            pages_by_campaign: results.pages_by_campaign,
+            outbox_resumed: results.outbox_resumed,
+            outbox_failed: results.outbox_failed,
+            movers_queued: results.movers_queued,
+            movers_released: results.movers_released,
+            charges_batched: results.charges_batched,
+            movers_past_due: results.movers_past_due,
+            movers_payment_deferred: results.movers_payment_deferred,
+            movers_payment_skipped: results.movers_payment_skipped,
+            payment_authorizations: results.payment_authorizations,
+            wallet_debits: results.wallet_debits,
+            exhausted_providers: results.exhausted_providers.length > 0 ? results.exhausted_providers : undefined,
+            provider_quota: Object.keys(results.provider_quota).length > 0 ? results.provider_quota : undefined,
             timestamp: new Date().toISOString(),
             errors: results.errors.length > 0 ? results.errors : undefined,
           },
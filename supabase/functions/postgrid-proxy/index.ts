@@ -0,0 +1,196 @@
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { POSTGRID_API_URL, isPostgridTestKey } from '../_shared/postgrid.ts'
+import { authenticateRequest, errorStatus, requireAdmin, type AuthenticatedUser } from '../_shared/auth.ts'
+
+/**
+ * POSTGRID PROXY FUNCTION
+ *
+ * PostGrid calls for the app (postgridService), so the PostGrid API key stays
+ * server-side. Postcards are only ever created by the poller and the blast
+ * dispatcher, which bill for them; this function only reads and manages them.
+ *
+ * Actions (body: { action, postcardId?, search?, skip?, limit? }):
+ * - status:   a postcard's status; its campaign owner or an admin
+ * - cancel:   cancel a postcard that hasn't printed; admins only
+ *             (postgrid-webhook credits the cancellation)
+ * - list:     list postcards; admins only
+ * - progress: move a test postcard to its next status; admins only, test keys only
+ * - config:   check the API key works and report test/live mode; admins only
+ */
+
+const supabaseUrl = Deno.env.get('SUPABASE_URL') || ''
+const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') || ''
+const postgridApiKey = Deno.env.get('POSTGRID_API_KEY') || ''
+
+const MAX_LIST_LIMIT = 100
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+}
+
+function jsonResponse(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  })
+}
+
+async function postgridRequest(path: string, method = 'GET'): Promise<any> {
+  const response = await fetch(`${POSTGRID_API_URL}${path}`, {
+    method,
+    headers: {
+      'x-api-key': postgridApiKey,
+    },
+  })
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => null)
+    throw new Error(
+      `PostGrid API error: ${errorData?.error?.message || response.statusText}`
+    )
+  }
+
+  return await response.json()
+}
+
+/**
+ * Whether the user owns the campaign a postcard was mailed for
+ * (new mover postcards and blast postcards)
+ */
+async function ownsPostcard(supabase: any, user: AuthenticatedUser, postcardId: string): Promise<boolean> {
+  const campaignIds: string[] = []
+
+  for (const table of ['newmover', 'blast_recipients']) {
+    const { data, error } = await supabase
+      .from(table)
+      .select('campaign_id')
+      .eq('postgrid_postcard_id', postcardId)
+      .limit(1)
+
+    if (error) {
+      throw new Error(`Failed to look up postcard: ${error.message}`)
+    }
+
+    campaignIds.push(...(data || []).map((row: any) => row.campaign_id))
+  }
+
+  if (campaignIds.length === 0) return false
+
+  const { count, error } = await supabase
+    .from('campaigns')
+    .select('id', { count: 'exact', head: true })
+    .in('id', campaignIds)
+    .eq('user_id', user.id)
+
+  if (error) {
+    throw new Error(`Failed to look up postcard campaign: ${error.message}`)
+  }
+
+  return (count || 0) > 0
+}
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  const supabase = createClient(supabaseUrl, supabaseServiceKey)
+
+  try {
+    const user = await authenticateRequest(req, supabase)
+    const { action, postcardId, search = '', skip = 0, limit = 10 } = await req.json()
+
+    if (action !== 'status') {
+      requireAdmin(user)
+    }
+
+    if (!postgridApiKey) {
+      if (action === 'config') {
+        return jsonResponse({ success: true, valid: false, error: 'PostGrid API key not configured' })
+      }
+      throw new Error('POSTGRID_API_KEY not configured')
+    }
+
+    if (['status', 'cancel', 'progress'].includes(action) && !postcardId) {
+      return jsonResponse({ success: false, error: 'postcardId is required' }, 400)
+    }
+
+    switch (action) {
+      case 'status': {
+        if (!user.isAdmin && !(await ownsPostcard(supabase, user, postcardId))) {
+          return jsonResponse({ success: false, error: 'Postcard not found' }, 404)
+        }
+
+        const postcard = await postgridRequest(`/postcards/${encodeURIComponent(postcardId)}`)
+
+        return jsonResponse({
+          success: true,
+          status: postcard.status,
+          sendDate: postcard.sendDate,
+          url: postcard.url,
+          data: postcard,
+        })
+      }
+
+      case 'cancel': {
+        const result = await postgridRequest(`/postcards/${encodeURIComponent(postcardId)}`, 'DELETE')
+        console.log(`🛑 Admin ${user.id} cancelled postcard ${postcardId}`)
+
+        return jsonResponse({ success: true, deleted: result.deleted, data: result })
+      }
+
+      case 'list': {
+        const params = new URLSearchParams({
+          skip: String(Math.max(0, parseInt(skip) || 0)),
+          limit: String(Math.min(MAX_LIST_LIMIT, Math.max(1, parseInt(limit) || 10))),
+        })
+
+        if (search) {
+          params.append('search', String(search))
+        }
+
+        const data = await postgridRequest(`/postcards?${params}`)
+
+        return jsonResponse({
+          success: true,
+          postcards: data.data || [],
+          totalCount: data.totalCount || 0,
+          data,
+        })
+      }
+
+      case 'progress': {
+        if (!isPostgridTestKey(postgridApiKey)) {
+          return jsonResponse({ success: false, error: 'Progression only works with test mode API keys' }, 409)
+        }
+
+        const result = await postgridRequest(`/postcards/${encodeURIComponent(postcardId)}/progressions`, 'POST')
+
+        return jsonResponse({ success: true, status: result.status, data: result })
+      }
+
+      case 'config': {
+        try {
+          await postgridRequest('/postcards?limit=1')
+        } catch (error: any) {
+          return jsonResponse({ success: true, valid: false, error: error.message })
+        }
+
+        return jsonResponse({
+          success: true,
+          valid: true,
+          mode: isPostgridTestKey(postgridApiKey) ? 'test' : 'live',
+        })
+      }
+
+      default:
+        return jsonResponse({ success: false, error: `Unknown action: ${action}` }, 400)
+    }
+  } catch (error: any) {
+    console.error('❌ PostGrid proxy error:', error)
+    return jsonResponse({ success: false, error: error.message }, errorStatus(error))
+  }
+})
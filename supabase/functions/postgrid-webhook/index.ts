@@ -0,0 +1,214 @@
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import Stripe from 'https://esm.sh/stripe@14?target=denonext'
+import { adjustMailPiece, ADJUSTED_MAIL_PIECE_STATUSES } from '../_shared/mailPieceAdjustments.ts'
+
+/**
+ * POSTGRID WEBHOOK
+ *
+ * Records PostGrid postcard events (postcard.created / postcard.updated) as
+ * mail piece history in mail_piece_events and moves the postcard's current
+ * status on newmover / blast_recipients forward (apply_mail_piece_status).
+ * Cancelled and returned postcards are then refunded or credited according
+ * to mail_piece_adjustment_policies (_shared/mailPieceAdjustments.ts).
+ *
+ * PostGrid signs each delivery: the request body is { "payload": "<JWT>" },
+ * an HS256 token signed with the webhook's secret whose claims are the event.
+ * Register this function's URL as a webhook in the PostGrid dashboard and set
+ * POSTGRID_WEBHOOK_SECRET to its secret.
+ */
+
+const webhookSecret = Deno.env.get('POSTGRID_WEBHOOK_SECRET') || ''
+
+const stripe = new Stripe(Deno.env.get('STRIPE_SECRET_KEY') || '', {
+  apiVersion: '2023-10-16',
+  httpClient: Stripe.createFetchHttpClient(),
+})
+
+// Initialize Supabase client with service role (bypass RLS)
+const supabaseUrl = Deno.env.get('SUPABASE_URL') || ''
+const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') || ''
+
+const MAIL_PIECE_STATUSES = ['ready', 'printing', 'processed_for_delivery', 'completed', 'returned_to_sender', 'cancelled']
+
+interface PostgridEvent {
+  id: string
+  type: string
+  createdAt?: string
+  data: {
+    id: string
+    status: string
+    imbStatus?: string | null
+    imbDate?: string | null
+    updatedAt?: string
+    metadata?: Record<string, string>
+  }
+}
+
+// ============================================================================
+// SIGNATURE
+// ============================================================================
+
+function base64UrlDecode(value: string): Uint8Array {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(value.length / 4) * 4, '=')
+  return Uint8Array.from(atob(base64), c => c.charCodeAt(0))
+}
+
+/**
+ * Verify an HS256 JWT and return its claims; throws when the signature or
+ * algorithm doesn't match
+ */
+async function verifyJwt(token: string, secret: string): Promise<any> {
+  const [header, claims, signature] = token.split('.')
+  if (!header || !claims || !signature) {
+    throw new Error('Malformed payload token')
+  }
+
+  const { alg } = JSON.parse(new TextDecoder().decode(base64UrlDecode(header)))
+  if (alg !== 'HS256') {
+    throw new Error(`Unexpected token algorithm: ${alg}`)
+  }
+
+  const key = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['verify']
+  )
+
+  const valid = await crypto.subtle.verify(
+    'HMAC',
+    key,
+    base64UrlDecode(signature),
+    new TextEncoder().encode(`${header}.${claims}`)
+  )
+
+  if (!valid) {
+    throw new Error('Invalid signature')
+  }
+
+  return JSON.parse(new TextDecoder().decode(base64UrlDecode(claims)))
+}
+
+/**
+ * The mail piece status an event reports. Returned mail keeps PostGrid status
+ * "completed" and is flagged in the USPS tracking (imbStatus) instead.
+ */
+function getMailPieceStatus(postcard: PostgridEvent['data']): string {
+  if (postcard.imbStatus === 'returned_to_sender') return 'returned_to_sender'
+  return postcard.status
+}
+
+// ============================================================================
+// MAIN HANDLER
+// ============================================================================
+
+serve(async (req) => {
+  try {
+    // ============================================================================
+    // VERIFY WEBHOOK SIGNATURE
+    // ============================================================================
+    if (!webhookSecret) {
+      console.error('POSTGRID_WEBHOOK_SECRET is not set')
+      return new Response('Webhook not configured', { status: 500 })
+    }
+
+    let event: PostgridEvent
+    try {
+      const { payload } = await req.json()
+      event = await verifyJwt(payload || '', webhookSecret)
+      console.log(`✅ Webhook verified: ${event.type} ${event.id}`)
+    } catch (err: any) {
+      console.error(`⚠️ Webhook signature verification failed: ${err.message}`)
+      return new Response(`Webhook Error: ${err.message}`, { status: 400 })
+    }
+
+    if (!event.type?.startsWith('postcard.') || !event.data?.id) {
+      console.log(`Unhandled event type: ${event.type}`)
+      return new Response(JSON.stringify({ received: true }), { status: 200 })
+    }
+
+    const postcard = event.data
+    const status = getMailPieceStatus(postcard)
+
+    if (!MAIL_PIECE_STATUSES.includes(status)) {
+      console.log(`Unhandled postcard status: ${status}`)
+      return new Response(JSON.stringify({ received: true }), { status: 200 })
+    }
+
+    const occurredAt = (status === 'returned_to_sender' && postcard.imbDate) ||
+      postcard.updatedAt ||
+      event.createdAt ||
+      new Date().toISOString()
+
+    const supabase = createClient(supabaseUrl, supabaseServiceKey)
+
+    // ============================================================================
+    // MOVE CURRENT STATUS FORWARD
+    // ============================================================================
+    // First, so a failure here is retried: repeating it is harmless, while the
+    // history insert below is skipped for events already recorded
+    const { data: updated, error: statusError } = await supabase.rpc('apply_mail_piece_status', {
+      p_postcard_id: postcard.id,
+      p_status: status,
+      p_occurred_at: occurredAt,
+    })
+
+    if (statusError) {
+      throw new Error(`Failed to update mail piece status: ${statusError.message}`)
+    }
+
+    console.log(`📬 Postcard ${postcard.id}: ${status} (${updated ? 'updated' : 'not newer than current status'})`)
+
+    // ============================================================================
+    // RECORD HISTORY (once per event, PostGrid retries deliveries)
+    // ============================================================================
+    const { data: inserted, error: insertError } = await supabase
+      .from('mail_piece_events')
+      .upsert({
+        postgrid_event_id: event.id,
+        postgrid_postcard_id: postcard.id,
+        campaign_id: postcard.metadata?.campaign_id || null,
+        new_mover_id: postcard.metadata?.new_mover_id || null,
+        event_type: event.type,
+        status,
+        imb_status: postcard.imbStatus || null,
+        occurred_at: occurredAt,
+        payload: event,
+      }, { onConflict: 'postgrid_event_id', ignoreDuplicates: true })
+      .select('id')
+
+    if (insertError) {
+      throw new Error(`Failed to record mail piece event: ${insertError.message}`)
+    }
+
+    const duplicate = !inserted || inserted.length === 0
+    if (duplicate) {
+      console.log(`⏭️  Event ${event.id} already recorded`)
+    }
+
+    // ============================================================================
+    // REFUND OR CREDIT UNDELIVERABLE POSTCARDS
+    // ============================================================================
+    // Also for repeated events: an adjustment that failed is retried, one that
+    // completed is left alone
+    let adjustment = null
+    if (ADJUSTED_MAIL_PIECE_STATUSES.includes(status)) {
+      adjustment = await adjustMailPiece(supabase, stripe, postcard.id, status)
+    }
+
+    return new Response(JSON.stringify({
+      received: true,
+      status,
+      duplicate,
+      adjustment: adjustment ? { method: adjustment.method, status: adjustment.status } : null,
+    }), { status: 200 })
+  } catch (error: any) {
+    console.error('Error processing webhook:', error)
+    return new Response(
+      JSON.stringify({ error: error.message }),
+      { status: 500 }
+    )
+  }
+})
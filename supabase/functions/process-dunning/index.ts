@@ -0,0 +1,1038 @@
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import Stripe from 'https://esm.sh/stripe@14?target=denonext'
+import { centsToDollars } from '../_shared/pricing.ts'
+import type { DunningAccount } from '../_shared/dunning.ts'
+
+/**
+ * PAYMENT DUNNING FUNCTION
+ *
+ * Collects what users owe for postcards that were mailed but could not be
+ * charged (payment_receivables, opened by the poller - see _shared/dunning.ts).
+ * Scheduled hourly via cron.
+ *
+ * Flow:
+ * 1. Load past_due dunning accounts
+ * 2. For each account that is due (next_attempt_at has passed, or the default
+ *    card changed since the last attempt):
+ *    - No open receivables left (e.g. written off): back to current
+ *    - First run: send the first notice (the sendPaymentFailedEmail email)
+ *      and schedule the first retry
+ *    - Otherwise retry the whole open balance as ONE PaymentIntent
+ * 3. On success:
+ *    - Create transaction record (billing_reason 'past_due_collection')
+ *    - Mark the receivables paid and their newmover rows charged
+ *    - Update campaign totals (atomic increment_campaign_totals RPC)
+ *    - Account back to current; resume the campaigns dunning paused
+ * 4. On failure, schedule the next retry (DUNNING_RETRY_DAYS, then weekly) and
+ *    send a reminder; after DUNNING_PAUSE_AFTER_FAILURES failed retries, pause
+ *    the account's active campaigns the way an admin pause does
+ *
+ * The PaymentIntent ID is saved on the receivables as soon as Stripe has
+ * taken the money. If a later step fails, the next run finishes that
+ * PaymentIntent instead of charging again; only a failed charge counts as a
+ * failed retry.
+ */
+
+// Initialize environment variables
+const supabaseUrl = Deno.env.get('SUPABASE_URL') || ''
+const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') || ''
+const frontendUrl = Deno.env.get('FRONTEND_URL') || 'http://localhost:5174'
+
+// Days to wait before each retry; every retry after the last waits a week
+const DUNNING_RETRY_DAYS = (Deno.env.get('DUNNING_RETRY_DAYS') || '1,3,7')
+  .split(',')
+  .map(days => parseInt(days.trim()))
+  .filter(days => days > 0)
+const DUNNING_FALLBACK_RETRY_DAYS = 7
+
+// Failed retries before the account's campaigns are paused
+const DUNNING_PAUSE_AFTER_FAILURES = parseInt(Deno.env.get('DUNNING_PAUSE_AFTER_FAILURES') || '2')
+const DUNNING_ACCOUNT_LIMIT = 200
+
+// Stripe rejects charges below $0.50; smaller balances wait for more receivables
+const STRIPE_MINIMUM_CENTS = 50
+
+const DUNNING_PAUSE_REASON = 'Payment past due. Update your payment method and the campaign resumes automatically once the balance is paid.'
+
+// Initialize Stripe
+const stripe = new Stripe(Deno.env.get('STRIPE_SECRET_KEY') || '', {
+  apiVersion: '2023-10-16',
+  httpClient: Stripe.createFetchHttpClient(),
+})
+
+interface Receivable {
+  id: string
+  campaign_id: string | null
+  new_mover_id: string
+  amount_cents: number
+  failure_reason: string | null
+  stripe_payment_intent_id: string | null
+}
+
+/**
+ * Collection failure. `charged` marks a failure after Stripe took the money:
+ * it is finished on the next run, not counted as a failed retry.
+ */
+class CollectionError extends Error {
+  charged: boolean
+
+  constructor(message: string, charged = false) {
+    super(message)
+    this.name = 'CollectionError'
+    this.charged = charged
+  }
+}
+
+interface BillingDetails {
+  stripeCustomerId: string | null
+  paymentMethodId: string | null
+  paymentMethodUpdatedAt: string | null
+}
+
+function addDays(days: number): Date {
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+}
+
+/**
+ * When to retry after `failedAttempts` failed retries
+ */
+function nextRetryAt(failedAttempts: number): Date {
+  return addDays(DUNNING_RETRY_DAYS[failedAttempts] ?? DUNNING_FALLBACK_RETRY_DAYS)
+}
+
+/**
+ * Stable idempotency key for one attempt at collecting an exact set of
+ * receivables, so a crashed run that is re-triggered reuses its PaymentIntent
+ */
+async function collectionIdempotencyKey(userId: string, receivables: Receivable[], attempt: number): Promise<string> {
+  const ids = receivables.map(r => r.id).sort().join(',')
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(ids))
+  const hash = Array.from(new Uint8Array(digest))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('')
+    .slice(0, 32)
+
+  return `dunning_${userId}_${hash}_${attempt}`
+}
+
+/**
+ * The user's Stripe customer and default card, if they have them
+ */
+async function getBillingDetails(userId: string, supabase: any): Promise<BillingDetails> {
+  const { data: customer } = await supabase
+    .from('customers')
+    .select('id, stripe_customer_id')
+    .eq('user_id', userId)
+    .maybeSingle()
+
+  if (!customer) {
+    return { stripeCustomerId: null, paymentMethodId: null, paymentMethodUpdatedAt: null }
+  }
+
+  const { data: paymentMethod } = await supabase
+    .from('payment_methods')
+    .select('stripe_payment_method_id, updated_at')
+    .eq('customer_id', customer.id)
+    .eq('is_default', true)
+    .maybeSingle()
+
+  return {
+    stripeCustomerId: customer.stripe_customer_id,
+    paymentMethodId: paymentMethod?.stripe_payment_method_id || null,
+    paymentMethodUpdatedAt: paymentMethod?.updated_at || null,
+  }
+}
+
+/**
+ * Whether the account should be worked on this run
+ */
+function isDue(account: DunningAccount, billing: BillingDetails): boolean {
+  if (!account.next_attempt_at || new Date(account.next_attempt_at) <= new Date()) {
+    return true
+  }
+
+  // A card added or made default since the last failure is tried right away
+  return Boolean(
+    account.last_attempt_at &&
+    billing.paymentMethodUpdatedAt &&
+    new Date(billing.paymentMethodUpdatedAt) > new Date(account.last_attempt_at)
+  )
+}
+
+async function updateAccount(userId: string, fields: Record<string, unknown>, supabase: any): Promise<void> {
+  const { error } = await supabase
+    .from('dunning_accounts')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('user_id', userId)
+
+  if (error) {
+    throw new Error(`Failed to update dunning account: ${error.message}`)
+  }
+}
+
+// ============================================================================
+// NOTICES
+// ============================================================================
+
+/**
+ * Email the user about their past-due balance and leave an in-app notification.
+ * Never throws: a notice that fails to send is retried with the next one.
+ */
+async function sendNotice(
+  userId: string,
+  level: 'failed' | 'reminder',
+  amountCents: number,
+  failureReason: string,
+  campaignsPaused: boolean,
+  supabase: any
+): Promise<void> {
+  const amount = `$${centsToDollars(amountCents).toFixed(2)}`
+
+  const { data: user } = await supabase
+    .from('profile')
+    .select('email, full_name')
+    .eq('user_id', userId)
+    .maybeSingle()
+
+  if (user?.email) {
+    const subject = level === 'failed'
+      ? '⚠️ Payment Failed - Action Required'
+      : campaignsPaused
+        ? 'Your Campaigns Are Paused - Payment Past Due'
+        : 'Reminder: Your Payment Is Past Due'
+
+    try {
+      const emailResponse = await fetch(`${supabaseUrl}/functions/v1/send-email`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${supabaseServiceKey}`,
+        },
+        body: JSON.stringify({
+          to: user.email,
+          subject,
+          html: level === 'failed'
+            ? getPaymentFailedEmailTemplate(user.full_name || user.email, amount, failureReason)
+            : getPastDueReminderEmailTemplate(user.full_name || user.email, amount, failureReason, campaignsPaused),
+        })
+      })
+
+      if (!emailResponse.ok) {
+        console.error('   ⚠️  Failed to send dunning email:', await emailResponse.text())
+      } else {
+        console.log(`   📧 Dunning ${level} email sent to ${user.email}`)
+      }
+    } catch (emailError: any) {
+      console.error('   ⚠️  Error sending dunning email:', emailError.message)
+    }
+  }
+
+  const { error: notificationError } = await supabase.from('notifications').insert({
+    user_id: userId,
+    type: 'payment_failed',
+    title: level === 'failed' ? 'Payment Failed' : 'Payment Past Due',
+    message: campaignsPaused
+      ? `We couldn't collect your past-due balance of ${amount}. Your campaigns are paused until it is paid.`
+      : `We couldn't charge ${amount} for postcards already mailed. Please update your payment method.`,
+    action_url: '/settings',
+  })
+
+  if (notificationError) {
+    console.error('   ⚠️  Failed to create notification:', notificationError)
+  }
+}
+
+// ============================================================================
+// PAUSE / RESUME
+// ============================================================================
+// Same changes, activity log, email and notification as pauseCampaign and
+// resumeCampaign in src/supabase/api/adminActions.js, with no admin attached.
+// campaigns.dunning_paused_at marks the campaigns dunning paused, so
+// collecting the balance only resumes those.
+
+/**
+ * Pause the user's active campaigns. Returns how many were paused.
+ */
+async function pauseCampaigns(userId: string, supabase: any): Promise<number> {
+  const pausedAt = new Date().toISOString()
+
+  const { data: campaigns, error } = await supabase
+    .from('campaigns')
+    .update({
+      paused_by: null,
+      paused_at: pausedAt,
+      pause_reason: DUNNING_PAUSE_REASON,
+      status: 'paused',
+      dunning_paused_at: pausedAt,
+    })
+    .eq('user_id', userId)
+    .eq('status', 'active')
+    .is('deleted_at', null)
+    .select('id, campaign_name')
+
+  if (error) {
+    throw new Error(`Failed to pause campaigns: ${error.message}`)
+  }
+
+  const { data: user } = await supabase
+    .from('profile')
+    .select('email')
+    .eq('user_id', userId)
+    .maybeSingle()
+
+  for (const campaign of campaigns || []) {
+    console.log(`   ⏸️  Paused campaign ${campaign.campaign_name} (${campaign.id})`)
+
+    await logCampaignActivity(userId, 'campaign_paused', campaign, { reason: DUNNING_PAUSE_REASON }, supabase)
+
+    if (user?.email) {
+      await sendCampaignEmail(
+        user.email,
+        'Your Campaign Has Been Paused',
+        getCampaignPausedEmailTemplate(campaign.campaign_name, DUNNING_PAUSE_REASON)
+      )
+    }
+
+    await supabase.from('notifications').insert({
+      user_id: userId,
+      type: 'campaign_paused',
+      title: 'Campaign Paused',
+      message: `Your campaign "${campaign.campaign_name}" has been paused.`,
+      action_url: `/campaign/${campaign.id}/details`,
+    })
+  }
+
+  return campaigns?.length || 0
+}
+
+/**
+ * Resume the campaigns dunning paused (not ones an admin or the user paused
+ * since). Returns how many were resumed.
+ */
+async function resumeCampaigns(userId: string, supabase: any): Promise<number> {
+  const { data: campaigns, error } = await supabase
+    .from('campaigns')
+    .update({
+      paused_by: null,
+      paused_at: null,
+      pause_reason: null,
+      status: 'active',
+      dunning_paused_at: null,
+    })
+    .eq('user_id', userId)
+    .eq('status', 'paused')
+    .not('dunning_paused_at', 'is', null)
+    .select('id, campaign_name')
+
+  if (error) {
+    throw new Error(`Failed to resume campaigns: ${error.message}`)
+  }
+
+  // Campaigns that left 'paused' some other way no longer need the marker
+  await supabase
+    .from('campaigns')
+    .update({ dunning_paused_at: null })
+    .eq('user_id', userId)
+    .not('dunning_paused_at', 'is', null)
+
+  const { data: user } = await supabase
+    .from('profile')
+    .select('email')
+    .eq('user_id', userId)
+    .maybeSingle()
+
+  for (const campaign of campaigns || []) {
+    console.log(`   ▶️  Resumed campaign ${campaign.campaign_name} (${campaign.id})`)
+
+    await logCampaignActivity(userId, 'campaign_resumed', campaign, {}, supabase)
+
+    if (user?.email) {
+      await sendCampaignEmail(
+        user.email,
+        'Your Campaign is Active Again',
+        getCampaignResumedEmailTemplate(campaign.campaign_name, campaign.id)
+      )
+    }
+
+    await supabase.from('notifications').insert({
+      user_id: userId,
+      type: 'campaign_resumed',
+      title: 'Campaign Resumed',
+      message: `Your campaign "${campaign.campaign_name}" is active again.`,
+      action_url: `/campaign/${campaign.id}/details`,
+    })
+  }
+
+  return campaigns?.length || 0
+}
+
+async function logCampaignActivity(
+  userId: string,
+  actionType: 'campaign_paused' | 'campaign_resumed',
+  campaign: { id: string; campaign_name: string },
+  metadata: Record<string, unknown>,
+  supabase: any
+): Promise<void> {
+  try {
+    await supabase.from('admin_activity_logs').insert({
+      admin_id: null, // System-generated event
+      user_id: userId,
+      action_type: actionType,
+      target_type: 'campaign',
+      target_id: campaign.id,
+      metadata: {
+        campaign_name: campaign.campaign_name,
+        ...metadata,
+        source: 'dunning',
+        timestamp: new Date().toISOString(),
+      },
+    })
+  } catch (logError: any) {
+    console.error('   ⚠️  Failed to create activity log:', logError.message)
+  }
+}
+
+async function sendCampaignEmail(to: string, subject: string, html: string): Promise<void> {
+  try {
+    const emailResponse = await fetch(`${supabaseUrl}/functions/v1/send-email`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${supabaseServiceKey}`,
+      },
+      body: JSON.stringify({ to, subject, html })
+    })
+
+    if (!emailResponse.ok) {
+      console.error('   ⚠️  Failed to send campaign email:', await emailResponse.text())
+    }
+  } catch (emailError: any) {
+    console.error('   ⚠️  Error sending campaign email:', emailError.message)
+  }
+}
+
+// ============================================================================
+// COLLECTION
+// ============================================================================
+
+/**
+ * The PaymentIntent an earlier run saved on these receivables, if it took the
+ * money. One that didn't go through is cleared and reported as a failed
+ * charge.
+ */
+async function storedPaymentIntent(
+  paymentIntentId: string,
+  receivables: Receivable[],
+  supabase: any
+): Promise<Stripe.PaymentIntent> {
+  let paymentIntent: Stripe.PaymentIntent
+
+  try {
+    paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId)
+  } catch (error: any) {
+    throw new CollectionError(`Failed to retrieve PaymentIntent ${paymentIntentId}: ${error.message}`, true)
+  }
+
+  if (paymentIntent.status === 'succeeded' || paymentIntent.status === 'processing') {
+    console.log(`   ♻️  Reusing PaymentIntent ${paymentIntent.id} (${paymentIntent.status}) from an earlier run`)
+    return paymentIntent
+  }
+
+  const { error } = await supabase
+    .from('payment_receivables')
+    .update({ stripe_payment_intent_id: null, updated_at: new Date().toISOString() })
+    .in('id', receivables.map(r => r.id))
+    .eq('status', 'open')
+
+  if (error) {
+    console.error(`   ⚠️  Failed to clear PaymentIntent from receivables:`, error)
+  }
+
+  throw new CollectionError(`PaymentIntent ${paymentIntent.id} ended in status ${paymentIntent.status}`)
+}
+
+/**
+ * Charge the open balance as a single PaymentIntent, or finish the one
+ * storedIntentId names. Returns the transaction ID; throws CollectionError on
+ * failure.
+ */
+async function collectBalance(
+  userId: string,
+  receivables: Receivable[],
+  billing: BillingDetails,
+  attempt: number,
+  storedIntentId: string | null,
+  supabase: any
+): Promise<{ transactionId: string; paymentIntentId: string }> {
+  const amountCents = receivables.reduce((sum, r) => sum + r.amount_cents, 0)
+
+  let paymentIntent: Stripe.PaymentIntent
+
+  if (storedIntentId) {
+    paymentIntent = await storedPaymentIntent(storedIntentId, receivables, supabase)
+  } else {
+    if (!billing.stripeCustomerId) {
+      throw new CollectionError(`Customer not found for user ${userId}`)
+    }
+
+    if (!billing.paymentMethodId) {
+      throw new CollectionError('No default payment method')
+    }
+
+    console.log(`   💳 Creating Stripe PaymentIntent for $${centsToDollars(amountCents).toFixed(2)} (${receivables.length} receivables)...`)
+
+    try {
+      paymentIntent = await stripe.paymentIntents.create(
+        {
+          amount: amountCents,
+          currency: 'usd',
+          customer: billing.stripeCustomerId,
+          payment_method: billing.paymentMethodId,
+          off_session: true,
+          confirm: true,
+          error_on_requires_action: false,
+          description: `Past-due postcard charges (${receivables.length} postcards)`,
+          metadata: {
+            user_id: userId,
+            billing_reason: 'past_due_collection',
+            receivable_count: receivables.length.toString(),
+            new_mover_count: receivables.length.toString(),
+          },
+        },
+        { idempotencyKey: await collectionIdempotencyKey(userId, receivables, attempt) }
+      )
+    } catch (error: any) {
+      if (error.type === 'StripeCardError') {
+        console.error(`   💳 Card Error: ${error.code} - ${error.message}`)
+        throw new CollectionError(`Card declined: ${error.code || error.message}`)
+      }
+      throw new CollectionError(`Charge failed: ${error.message}`)
+    }
+
+    console.log(`   ✅ PaymentIntent created: ${paymentIntent.id} (${paymentIntent.status})`)
+
+    if (paymentIntent.status !== 'succeeded' && paymentIntent.status !== 'processing') {
+      throw new CollectionError(`PaymentIntent ${paymentIntent.id} ended in status ${paymentIntent.status}`)
+    }
+
+    // Save it before anything else can fail, so the next run reuses it
+    const { error: saveError } = await supabase
+      .from('payment_receivables')
+      .update({ stripe_payment_intent_id: paymentIntent.id, updated_at: new Date().toISOString() })
+      .in('id', receivables.map(r => r.id))
+      .eq('status', 'open')
+
+    if (saveError) {
+      // Not counted as a failed retry, so the next run sends the same idempotency key
+      throw new CollectionError(`Failed to save PaymentIntent ${paymentIntent.id}: ${saveError.message}`, true)
+    }
+  }
+
+  const { data: existingTransaction } = await supabase
+    .from('transactions')
+    .select('id')
+    .eq('stripe_payment_intent_id', paymentIntent.id)
+    .maybeSingle()
+
+  if (existingTransaction) {
+    return { transactionId: existingTransaction.id, paymentIntentId: paymentIntent.id }
+  }
+
+  const { data: transaction, error: txError } = await supabase
+    .from('transactions')
+    .insert({
+      user_id: userId,
+      campaign_id: null, // A balance can span campaigns; see payment_receivables.campaign_id
+      stripe_payment_intent_id: paymentIntent.id,
+      stripe_charge_id: paymentIntent.latest_charge as string || null,
+      stripe_customer_id: billing.stripeCustomerId,
+      amount_cents: amountCents,
+      amount_dollars: centsToDollars(amountCents),
+      currency: 'usd',
+      status: paymentIntent.status === 'succeeded' ? 'succeeded' : 'processing',
+      billing_reason: 'past_due_collection',
+      new_mover_count: receivables.length,
+      is_test_mode: !paymentIntent.livemode,
+      metadata: {
+        receivable_ids: receivables.map(r => r.id),
+        campaign_ids: [...new Set(receivables.map(r => r.campaign_id).filter(Boolean))],
+      },
+    })
+    .select()
+    .single()
+
+  if (txError) {
+    // Payment went through; the next run picks up the saved PaymentIntent
+    throw new CollectionError(`Transaction record creation failed: ${txError.message}`, true)
+  }
+
+  console.log(`   💰 Transaction recorded: ${transaction.id}`)
+
+  return { transactionId: transaction.id, paymentIntentId: paymentIntent.id }
+}
+
+/**
+ * Mark collected receivables paid, their movers charged, and roll them into
+ * campaign totals
+ */
+async function settleReceivables(
+  receivables: Receivable[],
+  transactionId: string,
+  paymentIntentId: string,
+  supabase: any
+): Promise<void> {
+  const paidAt = new Date().toISOString()
+
+  const { error: updateError } = await supabase
+    .from('payment_receivables')
+    .update({
+      status: 'paid',
+      paid_at: paidAt,
+      transaction_id: transactionId,
+      stripe_payment_intent_id: paymentIntentId,
+      updated_at: paidAt,
+    })
+    .in('id', receivables.map(r => r.id))
+    .eq('status', 'open')
+
+  if (updateError) {
+    throw new CollectionError(`Failed to mark receivables paid: ${updateError.message}`, true)
+  }
+
+  const { error: moverError } = await supabase
+    .from('newmover')
+    .update({
+      outbox_state: 'charged',
+      outbox_state_changed_at: paidAt,
+      outbox_last_error: null,
+      transaction_id: transactionId,
+    })
+    .in('id', receivables.map(r => r.new_mover_id))
+    .eq('outbox_state', 'past_due')
+
+  if (moverError) {
+    console.error(`   ⚠️  Failed to mark past-due movers charged:`, moverError)
+  }
+
+  // One increment per campaign in the balance
+  const costByCampaign = new Map<string, number>()
+  for (const receivable of receivables) {
+    if (!receivable.campaign_id) continue
+    costByCampaign.set(receivable.campaign_id, (costByCampaign.get(receivable.campaign_id) || 0) + receivable.amount_cents)
+  }
+
+  for (const [campaignId, cents] of costByCampaign) {
+    const { error } = await supabase.rpc('increment_campaign_totals', {
+      p_campaign_id: campaignId,
+      p_postcards_sent: 0,
+      p_total_cost: centsToDollars(cents),
+    })
+
+    if (error) {
+      console.error(`   ⚠️  Failed to update campaign totals:`, error)
+    }
+  }
+}
+
+/**
+ * Close the account's dunning case and resume what it paused
+ */
+async function resolveAccount(userId: string, supabase: any, results: any): Promise<void> {
+  const now = new Date().toISOString()
+
+  await updateAccount(userId, {
+    status: 'current',
+    resolved_at: now,
+    next_attempt_at: null,
+    last_error: null,
+    campaigns_paused_at: null,
+  }, supabase)
+
+  results.accounts_resolved++
+  results.campaigns_resumed += await resumeCampaigns(userId, supabase)
+}
+
+/**
+ * Work one past-due account
+ */
+async function processAccount(account: DunningAccount, supabase: any, results: any): Promise<void> {
+  const userId = account.user_id
+
+  const { data: open, error: receivableError } = await supabase
+    .from('payment_receivables')
+    .select('id, campaign_id, new_mover_id, amount_cents, failure_reason, stripe_payment_intent_id')
+    .eq('user_id', userId)
+    .eq('status', 'open')
+    .order('created_at', { ascending: true })
+
+  if (receivableError) {
+    throw new Error(`Failed to load receivables: ${receivableError.message}`)
+  }
+
+  const receivables = (open || []) as Receivable[]
+
+  if (receivables.length === 0) {
+    console.log(`\n👤 User ${userId}: nothing left owed, closing dunning`)
+    await resolveAccount(userId, supabase, results)
+    return
+  }
+
+  const billing = await getBillingDetails(userId, supabase)
+  if (!isDue(account, billing)) return
+
+  const amountCents = receivables.reduce((sum, r) => sum + r.amount_cents, 0)
+  const lastFailure = account.last_error || receivables[receivables.length - 1].failure_reason || 'Your payment could not be processed.'
+
+  console.log(`\n👤 User ${userId}: ${receivables.length} receivables, $${centsToDollars(amountCents).toFixed(2)} past due`)
+
+  // ============================================================================
+  // FIRST NOTICE
+  // ============================================================================
+  if (account.notices_sent === 0) {
+    await sendNotice(userId, 'failed', amountCents, lastFailure, false, supabase)
+    await updateAccount(userId, {
+      notices_sent: 1,
+      last_notice_at: new Date().toISOString(),
+      next_attempt_at: nextRetryAt(0).toISOString(),
+    }, supabase)
+
+    results.notices_sent++
+    return
+  }
+
+  if (amountCents < STRIPE_MINIMUM_CENTS) {
+    console.log(`   ⏭️  Below Stripe minimum, waiting for more receivables`)
+    await updateAccount(userId, { next_attempt_at: nextRetryAt(account.failed_attempts).toISOString() }, supabase)
+    return
+  }
+
+  // ============================================================================
+  // RETRY
+  // ============================================================================
+  const attempt = account.failed_attempts + 1
+  results.retries_attempted++
+
+  // Receivables an earlier run charged but couldn't settle are finished first
+  const storedIntentId = receivables.find(r => r.stripe_payment_intent_id)?.stripe_payment_intent_id || null
+  const collecting = storedIntentId
+    ? receivables.filter(r => r.stripe_payment_intent_id === storedIntentId)
+    : receivables
+  const collectingCents = collecting.reduce((sum, r) => sum + r.amount_cents, 0)
+
+  try {
+    const { transactionId, paymentIntentId } = await collectBalance(userId, collecting, billing, attempt, storedIntentId, supabase)
+    await settleReceivables(collecting, transactionId, paymentIntentId, supabase)
+
+    results.accounts_collected++
+    results.amount_collected_cents += collectingCents
+
+    await supabase.from('notifications').insert({
+      user_id: userId,
+      type: 'payment_success',
+      title: 'Payment Received',
+      message: `We collected your past-due balance of $${centsToDollars(collectingCents).toFixed(2)}. Thank you!`,
+      action_url: '/settings',
+    })
+
+    if (collecting.length < receivables.length) {
+      // Receivables opened since that charge are collected on the next run
+      await updateAccount(userId, { next_attempt_at: null, last_error: null }, supabase)
+      return
+    }
+
+    await resolveAccount(userId, supabase, results)
+    return
+  } catch (error: any) {
+    console.error(`   ❌ Collection failed:`, error)
+
+    if (error instanceof CollectionError && error.charged) {
+      // The money was taken: no notice, no failed retry, try again next run
+      await updateAccount(userId, { last_error: error.message.slice(0, 1000), next_attempt_at: null }, supabase)
+      results.errors.push({
+        user_id: userId,
+        attempt,
+        charged: true,
+        error: error.message,
+      })
+      return
+    }
+
+    const now = new Date().toISOString()
+    const shouldPause = attempt >= DUNNING_PAUSE_AFTER_FAILURES && !account.campaigns_paused_at
+
+    let campaignsPaused = Boolean(account.campaigns_paused_at)
+    if (shouldPause) {
+      const paused = await pauseCampaigns(userId, supabase)
+      results.campaigns_paused += paused
+      campaignsPaused = true
+    }
+
+    await updateAccount(userId, {
+      failed_attempts: attempt,
+      last_attempt_at: now,
+      last_error: error.message.slice(0, 1000),
+      next_attempt_at: nextRetryAt(attempt).toISOString(),
+      notices_sent: account.notices_sent + 1,
+      last_notice_at: now,
+      ...(shouldPause && { campaigns_paused_at: now }),
+    }, supabase)
+
+    await sendNotice(userId, 'reminder', amountCents, error.message, campaignsPaused, supabase)
+
+    results.retries_failed++
+    results.notices_sent++
+    results.errors.push({
+      user_id: userId,
+      attempt,
+      campaigns_paused: campaignsPaused,
+      error: error.message,
+    })
+
+    try {
+      await supabase.from('admin_activity_logs').insert({
+        admin_id: null, // System-generated event
+        user_id: userId,
+        action_type: 'dunning_charge_failed',
+        target_type: 'user',
+        target_id: userId,
+        metadata: {
+          attempt,
+          pause_after_failures: DUNNING_PAUSE_AFTER_FAILURES,
+          campaigns_paused: shouldPause,
+          receivable_count: receivables.length,
+          amount_cents: amountCents,
+          error: error.message,
+          timestamp: now,
+        },
+      })
+    } catch (logError: any) {
+      console.error('   ⚠️  Failed to create activity log:', logError.message)
+    }
+  }
+}
+
+/**
+ * Main handler
+ */
+serve(async (req) => {
+  const supabase = createClient(supabaseUrl, supabaseServiceKey)
+
+  try {
+    console.log('🚀 Starting payment dunning...')
+    console.log(`   Timestamp: ${new Date().toISOString()}`)
+
+    const results = {
+      accounts_checked: 0,
+      notices_sent: 0,
+      retries_attempted: 0,
+      retries_failed: 0,
+      accounts_collected: 0,
+      amount_collected_cents: 0,
+      accounts_resolved: 0,
+      campaigns_paused: 0,
+      campaigns_resumed: 0,
+      errors: [] as any[],
+    }
+
+    // ============================================================================
+    // FETCH PAST-DUE ACCOUNTS
+    // ============================================================================
+    // Accounts not yet due are loaded too, to catch a card updated since the
+    // last attempt
+    const { data: accounts, error: fetchError } = await supabase
+      .from('dunning_accounts')
+      .select('*')
+      .eq('status', 'past_due')
+      .order('next_attempt_at', { ascending: true, nullsFirst: true })
+      .limit(DUNNING_ACCOUNT_LIMIT)
+
+    if (fetchError) {
+      console.error('Error fetching dunning accounts:', fetchError)
+      throw fetchError
+    }
+
+    console.log(`📊 ${accounts?.length || 0} past-due accounts`)
+
+    for (const account of (accounts || []) as DunningAccount[]) {
+      results.accounts_checked++
+
+      try {
+        await processAccount(account, supabase, results)
+      } catch (error: any) {
+        console.error(`   ❌ Dunning failed for user ${account.user_id}:`, error)
+        results.errors.push({ user_id: account.user_id, error: error.message })
+      }
+    }
+
+    // ============================================================================
+    // RETURN RESULTS
+    // ============================================================================
+    const response = {
+      success: true,
+      message: 'Dunning completed',
+      timestamp: new Date().toISOString(),
+      accounts_checked: results.accounts_checked,
+      notices_sent: results.notices_sent,
+      retries_attempted: results.retries_attempted,
+      retries_failed: results.retries_failed,
+      accounts_collected: results.accounts_collected,
+      amount_collected: centsToDollars(results.amount_collected_cents),
+      accounts_resolved: results.accounts_resolved,
+      campaigns_paused: results.campaigns_paused,
+      campaigns_resumed: results.campaigns_resumed,
+      errors: results.errors,
+    }
+
+    console.log('\n✅ Dunning complete!')
+    console.log(`   Collected: ${results.accounts_collected} accounts ($${response.amount_collected.toFixed(2)})`)
+    console.log(`   Failed retries: ${results.retries_failed}, campaigns paused: ${results.campaigns_paused}, resumed: ${results.campaigns_resumed}`)
+
+    // ============================================================================
+    // LOG RUN FOR ADMIN DASHBOARD
+    // ============================================================================
+    if (results.notices_sent > 0 || results.retries_attempted > 0 || results.accounts_resolved > 0) {
+      try {
+        await supabase.from('admin_activity_logs').insert({
+          admin_id: null, // System-generated event
+          user_id: null,
+          action_type: 'dunning_completed',
+          target_type: 'system',
+          target_id: null,
+          metadata: {
+            accounts_checked: results.accounts_checked,
+            notices_sent: results.notices_sent,
+            retries_attempted: results.retries_attempted,
+            retries_failed: results.retries_failed,
+            accounts_collected: results.accounts_collected,
+            amount_collected: response.amount_collected,
+            campaigns_paused: results.campaigns_paused,
+            campaigns_resumed: results.campaigns_resumed,
+            errors_count: results.errors.length,
+            timestamp: new Date().toISOString(),
+          },
+        })
+        console.log('   📝 Activity log created')
+      } catch (logError: any) {
+        console.error('   ⚠️  Failed to create activity log:', logError.message)
+      }
+    }
+
+    return new Response(JSON.stringify(response), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+    })
+  } catch (error: any) {
+    console.error('❌ Fatal error:', error)
+    return new Response(
+      JSON.stringify({
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString(),
+      }),
+      { status: 500, headers: { 'Content-Type': 'application/json' } }
+    )
+  }
+})
+
+// ============================================================================
+// EMAIL TEMPLATES
+// ============================================================================
+// Server-side copies of the emailService.js emails (sendPaymentFailedEmail,
+// sendCampaignPausedEmail, sendCampaignResumedEmail), which need a browser
+// session to send.
+
+function getEmailLayout(content: string, color: string): string {
+  return `
+    <!DOCTYPE html>
+    <html>
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <style>
+          body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; line-height: 1.6; color: #2d3748; margin: 0; padding: 0; background-color: #f7fafc; }
+          .container { max-width: 600px; margin: 40px auto; background: white; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 6px rgba(0,0,0,0.1); border-top: 4px solid ${color}; }
+          .content { padding: 40px 30px; }
+          h1 { font-size: 22px; color: #1a202c; margin: 0 0 16px 0; }
+          p, li { color: #4a5568; line-height: 1.8; }
+          .callout { background: #f9fafb; padding: 15px; border-radius: 8px; border-left: 4px solid ${color}; }
+          .cta-button { display: inline-block; background: ${color}; color: white !important; text-decoration: none; padding: 14px 32px; border-radius: 8px; font-weight: 600; margin: 20px 0; }
+          .footer { background: #f9fafb; padding: 30px; text-align: center; color: #6b7280; font-size: 14px; border-top: 1px solid #e5e7eb; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="content">
+            ${content}
+          </div>
+          <div class="footer">
+            © ${new Date().getFullYear()} MovePost. All rights reserved.
+          </div>
+        </div>
+      </body>
+    </html>
+  `
+}
+
+/**
+ * First notice, same content as sendPaymentFailedEmail
+ */
+function getPaymentFailedEmailTemplate(userName: string, amount: string, failureReason: string): string {
+  return getEmailLayout(`
+    <p>Hi ${userName},</p>
+    <h1>⚠️ Payment Failed - Action Required</h1>
+    <p>We were unable to process your payment for your MovePost campaign.</p>
+    <p><strong>Details:</strong></p>
+    <ul>
+      <li>Amount: ${amount}</li>
+      <li>Reason: ${failureReason}</li>
+      <li>Date: ${new Date().toLocaleDateString()}</li>
+    </ul>
+    <p>Please update your payment method to continue your campaign. Your postcards will resume automatically once payment is successful.</p>
+    <a href="${frontendUrl}/settings?tab=billing" class="cta-button">Update Payment Method</a>
+  `, '#EF4444')
+}
+
+/**
+ * Later notices, sent after each failed retry
+ */
+function getPastDueReminderEmailTemplate(
+  userName: string,
+  amount: string,
+  failureReason: string,
+  campaignsPaused: boolean
+): string {
+  const consequence = campaignsPaused
+    ? 'Your campaigns are paused and no new postcards will be sent until the balance is paid. They resume automatically once it is.'
+    : 'If we can\'t collect it soon, your campaigns will be paused until the balance is paid.'
+
+  return getEmailLayout(`
+    <p>Hi ${userName},</p>
+    <h1>Your Payment Is Past Due</h1>
+    <p>We tried again to collect <strong>${amount}</strong> for postcards we've already mailed, but the payment didn't go through.</p>
+    <p class="callout"><strong>Reason:</strong> ${failureReason}</p>
+    <p>${consequence}</p>
+    <p>We'll retry automatically, and right away once you update your payment method.</p>
+    <a href="${frontendUrl}/settings?tab=billing" class="cta-button">Update Payment Method</a>
+  `, campaignsPaused ? '#F59E0B' : '#EF4444')
+}
+
+function getCampaignPausedEmailTemplate(campaignName: string, pauseReason: string): string {
+  return getEmailLayout(`
+    <h1>Your Campaign Has Been Paused</h1>
+    <p>We've paused your campaign "<strong>${campaignName}</strong>".</p>
+    <p><strong>Reason:</strong></p>
+    <p class="callout">${pauseReason}</p>
+    <p>No new postcards will be sent until the campaign is resumed. If you have any questions, please don't hesitate to contact our support team.</p>
+    <a href="${frontendUrl}/contact" class="cta-button">Contact Support</a>
+  `, '#F59E0B')
+}
+
+function getCampaignResumedEmailTemplate(campaignName: string, campaignId: string): string {
+  return getEmailLayout(`
+    <h1>Your Campaign is Active Again</h1>
+    <p>Good news! Your campaign "<strong>${campaignName}</strong>" has been resumed and is now active.</p>
+    <p>We've restarted monitoring for new movers and will continue sending postcards to matching homeowners in your target area.</p>
+    <a href="${frontendUrl}/campaigns/${campaignId}" class="cta-button">View Campaign</a>
+  `, '#0EA5E9')
+}
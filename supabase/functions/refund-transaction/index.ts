@@ -0,0 +1,241 @@
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import Stripe from 'https://esm.sh/stripe@14?target=denonext'
+import { authenticateRequest, errorStatus, requireAdmin } from '../_shared/auth.ts'
+import {
+  REFUND_REASONS,
+  REFUNDABLE_TRANSACTION_STATUSES,
+  describeRefund,
+  isRefundReason,
+  refundableCents,
+  syncChargeRefunds,
+} from '../_shared/transactionRefunds.ts'
+
+/**
+ * REFUND TRANSACTION FUNCTION
+ *
+ * Admin refunds from the transactions page (adminTransactionService.refundTransaction).
+ * Admins only (see _shared/auth.ts). A transaction can be refunded in full or
+ * in part, as many times as there is money left on it.
+ *
+ * Flow:
+ * 1. Check the transaction can be refunded and the amount isn't more than is left
+ * 2. Record a pending transaction_refunds row with the picklist reason
+ * 3. Postcards paid from the prepaid wallet are credited back to the wallet
+ *    (refund_wallet_payment RPC, which completes the row)
+ * 4. Card payments are refunded through Stripe (Idempotency-Key per refund
+ *    row, so a retried request never refunds twice) and reconciled with
+ *    syncChargeRefunds(), as the stripe-webhook charge.refunded handler
+ *    does when Stripe reports the refund
+ * 5. Log the refund to the admin activity log
+ *
+ * Body: { transactionId, amountCents, reason, note? }
+ * The app emails the customer once this succeeds.
+ */
+
+const supabaseUrl = Deno.env.get('SUPABASE_URL') || ''
+const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') || ''
+
+const stripe = new Stripe(Deno.env.get('STRIPE_SECRET_KEY') || '', {
+  apiVersion: '2023-10-16',
+  httpClient: Stripe.createFetchHttpClient(),
+})
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+}
+
+function jsonResponse(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  })
+}
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  const supabase = createClient(supabaseUrl, supabaseServiceKey)
+
+  try {
+    const admin = await authenticateRequest(req, supabase)
+    requireAdmin(admin)
+
+    const { transactionId, amountCents, reason, note } = await req.json()
+    const refundNote = typeof note === 'string' && note.trim() ? note.trim() : null
+
+    if (!transactionId) {
+      return jsonResponse({ success: false, error: 'transactionId is required' }, 400)
+    }
+
+    if (!Number.isInteger(amountCents) || amountCents <= 0) {
+      return jsonResponse({ success: false, error: 'amountCents must be a positive whole number of cents' }, 400)
+    }
+
+    if (!isRefundReason(reason)) {
+      return jsonResponse({ success: false, error: 'Choose a refund reason' }, 400)
+    }
+
+    if (reason === 'other' && !refundNote) {
+      return jsonResponse({ success: false, error: 'Add a note explaining the refund' }, 400)
+    }
+
+    const { data: transaction, error: txError } = await supabase
+      .from('transactions')
+      .select('*')
+      .eq('id', transactionId)
+      .maybeSingle()
+
+    if (txError) {
+      throw new Error(`Failed to load transaction: ${txError.message}`)
+    }
+
+    if (!transaction) {
+      return jsonResponse({ success: false, error: 'Transaction not found' }, 404)
+    }
+
+    if (!REFUNDABLE_TRANSACTION_STATUSES.includes(transaction.status)) {
+      return jsonResponse({ success: false, error: `Cannot refund a ${transaction.status} transaction` }, 409)
+    }
+
+    const isWalletPayment = transaction.billing_reason === 'wallet_debit'
+
+    if (!isWalletPayment && !transaction.stripe_payment_intent_id) {
+      return jsonResponse({ success: false, error: 'Transaction has no Stripe payment to refund' }, 409)
+    }
+
+    const remainingCents = refundableCents(transaction)
+    if (amountCents > remainingCents) {
+      return jsonResponse({
+        success: false,
+        error: `Only $${(remainingCents / 100).toFixed(2)} is left to refund on this transaction`,
+      }, 409)
+    }
+
+    console.log(`💸 Admin ${admin.id} refunding ${amountCents} of ${transaction.amount_cents} cents on transaction ${transaction.id} (${reason})`)
+
+    const { data: refund, error: refundInsertError } = await supabase
+      .from('transaction_refunds')
+      .insert({
+        transaction_id: transaction.id,
+        user_id: transaction.user_id,
+        campaign_id: transaction.campaign_id,
+        amount_cents: amountCents,
+        reason,
+        note: refundNote,
+        method: isWalletPayment ? 'wallet_refund' : 'stripe_refund',
+        refunded_by: admin.id,
+      })
+      .select()
+      .single()
+
+    if (refundInsertError) {
+      throw new Error(`Failed to record refund: ${refundInsertError.message}`)
+    }
+
+    const description = describeRefund(refund)
+    let walletBalanceCents: number | undefined
+
+    try {
+      if (isWalletPayment) {
+        // ============================================================================
+        // WALLET PAYMENTS
+        // ============================================================================
+        const { data: credit, error: walletError } = await supabase.rpc('refund_wallet_payment', {
+          p_refund_id: refund.id,
+        })
+
+        if (walletError) {
+          throw new Error(`Failed to refund to wallet: ${walletError.message}`)
+        }
+
+        walletBalanceCents = credit?.balance_cents
+        console.log(`   👛 Credited back to wallet (balance ${walletBalanceCents} cents)`)
+      } else {
+        // ============================================================================
+        // CARD PAYMENTS
+        // ============================================================================
+        const stripeRefund = await stripe.refunds.create(
+          {
+            payment_intent: transaction.stripe_payment_intent_id,
+            amount: amountCents,
+            reason: REFUND_REASONS[reason].stripeReason as Stripe.RefundCreateParams.Reason,
+            metadata: {
+              transaction_refund_id: refund.id,
+              refund_reason_code: reason,
+              refund_reason: description,
+              refunded_by: 'admin',
+              admin_id: admin.id,
+              transaction_id: transaction.id,
+            },
+          },
+          { idempotencyKey: `transaction_refund_${refund.id}` }
+        )
+
+        console.log(`   💳 Stripe refund ${stripeRefund.id} (${stripeRefund.amount} cents, ${stripeRefund.status})`)
+
+        await syncChargeRefunds(supabase, stripe, transaction, stripeRefund.charge as string)
+      }
+    } catch (error: any) {
+      await supabase
+        .from('transaction_refunds')
+        .update({ status: 'failed', error: error.message, updated_at: new Date().toISOString() })
+        .eq('id', refund.id)
+
+      throw error
+    }
+
+    const { data: updated } = await supabase
+      .from('transactions')
+      .update({ refund_reason: description, updated_at: new Date().toISOString() })
+      .eq('id', transaction.id)
+      .select('id, user_id, campaign_id, amount_cents, refund_amount_cents, status, payment_method_brand, payment_method_last4')
+      .single()
+
+    const { data: completedRefund } = await supabase
+      .from('transaction_refunds')
+      .select('*')
+      .eq('id', refund.id)
+      .single()
+
+    // ============================================================================
+    // LOG REFUND TO ACTIVITY LOGS
+    // ============================================================================
+    try {
+      await supabase.from('admin_activity_logs').insert({
+        admin_id: admin.id,
+        user_id: transaction.user_id,
+        action_type: 'transaction_refunded',
+        target_type: 'transaction',
+        target_id: transaction.id,
+        metadata: {
+          original_amount_dollars: transaction.amount_dollars,
+          refund_amount_dollars: amountCents / 100,
+          refund_status: updated?.status,
+          refund_reason: description,
+          refund_method: refund.method,
+          campaign_id: transaction.campaign_id,
+          stripe_refund_id: completedRefund?.stripe_refund_id || null,
+          timestamp: new Date().toISOString(),
+        },
+      })
+    } catch (logError: any) {
+      console.error('   ⚠️  Failed to create activity log:', logError.message)
+    }
+
+    return jsonResponse({
+      success: true,
+      message: isWalletPayment ? 'Refunded to wallet balance' : 'Refunded to card',
+      refund: completedRefund || refund,
+      transaction: updated,
+      walletBalanceCents,
+    })
+  } catch (error: any) {
+    console.error('❌ Refund failed:', error)
+    return jsonResponse({ success: false, error: error.message }, errorStatus(error))
+  }
+})
@@ -0,0 +1,138 @@
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import Stripe from 'https://esm.sh/stripe@14?target=denonext'
+import { authenticateRequest, errorStatus, requireAdmin } from '../_shared/auth.ts'
+import { claimStripeEvent, finishStripeEvent, processStripeEvent } from '../_shared/stripeEvents.ts'
+
+/**
+ * REPLAY STRIPE EVENT FUNCTION
+ *
+ * Runs an event stored in the stripe_events ledger through the stripe-webhook
+ * handlers again, from the admin Stripe Events page. Admins only (see
+ * _shared/auth.ts). Meant for events that failed or were ignored (e.g. a
+ * refund that arrived before its payment was recorded), but any stored event
+ * can be replayed: the handlers skip work they have already done.
+ *
+ * Flow:
+ * 1. Load the stored event
+ * 2. Claim it (forced, so processed events can be replayed too); refused
+ *    while a webhook delivery or another replay is handling it
+ * 3. Run its handler and record the outcome on the ledger row
+ * 4. Log the replay to the admin activity log
+ *
+ * Body: { eventId }
+ */
+
+const supabaseUrl = Deno.env.get('SUPABASE_URL') || ''
+const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') || ''
+
+// Same client as stripe-webhook, so replayed handlers behave the same way
+const stripe = new Stripe(Deno.env.get('STRIPE_SECRET_KEY') || '', {
+  apiVersion: '2023-10-16',
+  httpClient: Stripe.createFetchHttpClient(),
+})
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+}
+
+function jsonResponse(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  })
+}
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  const supabase = createClient(supabaseUrl, supabaseServiceKey)
+
+  try {
+    const admin = await authenticateRequest(req, supabase)
+    requireAdmin(admin)
+
+    const { eventId } = await req.json()
+
+    if (!eventId || typeof eventId !== 'string') {
+      return jsonResponse({ success: false, error: 'eventId is required' }, 400)
+    }
+
+    const { data: stored, error: loadError } = await supabase
+      .from('stripe_events')
+      .select('id, type, status, payload')
+      .eq('id', eventId)
+      .maybeSingle()
+
+    if (loadError) {
+      throw new Error(`Failed to load Stripe event: ${loadError.message}`)
+    }
+
+    if (!stored) {
+      return jsonResponse({ success: false, error: 'Stripe event not found' }, 404)
+    }
+
+    // ============================================================================
+    // CLAIM AND REPLAY
+    // ============================================================================
+    const claim = await claimStripeEvent(supabase, stored.payload, { force: true })
+
+    if (!claim.claimed) {
+      return jsonResponse({ success: false, error: 'This event is being processed right now; try again shortly' }, 409)
+    }
+
+    console.log(`🔁 Admin ${admin.id} replaying ${stored.type} event ${stored.id} (was ${claim.status}, attempt ${claim.attempts})`)
+
+    let outcome
+    try {
+      outcome = await processStripeEvent(supabase, stripe, stored.payload as Stripe.Event)
+    } catch (error: any) {
+      console.error(`❌ Replay of ${stored.id} failed:`, error)
+      outcome = { status: 'failed' as const, error: error.message }
+    }
+
+    await finishStripeEvent(supabase, stored.id, outcome, { replayedBy: admin.id })
+
+    // ============================================================================
+    // LOG REPLAY TO ACTIVITY LOGS
+    // ============================================================================
+    try {
+      await supabase.from('admin_activity_logs').insert({
+        admin_id: admin.id,
+        user_id: null,
+        action_type: 'stripe_event_replayed',
+        target_type: 'stripe_event',
+        target_id: null,
+        metadata: {
+          event_id: stored.id,
+          event_type: stored.type,
+          previous_status: claim.status,
+          status: outcome.status,
+          error: outcome.error || null,
+          timestamp: new Date().toISOString(),
+        },
+      })
+    } catch (logError: any) {
+      console.error('   ⚠️  Failed to create activity log:', logError.message)
+    }
+
+    const { data: updated } = await supabase
+      .from('stripe_events')
+      .select('*')
+      .eq('id', stored.id)
+      .single()
+
+    return jsonResponse({
+      success: outcome.status !== 'failed',
+      ...(outcome.status === 'failed' && { error: outcome.error }),
+      event: updated,
+    })
+  } catch (error: any) {
+    console.error('❌ Replay failed:', error)
+    return jsonResponse({ success: false, error: error.message }, errorStatus(error))
+  }
+})
@@ -1,14 +1,33 @@
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
-import Stripe from 'https://esm.sh/stripe@11.1.0?target=deno'
+import Stripe from 'https://esm.sh/stripe@14?target=denonext'
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { claimStripeEvent, finishStripeEvent, processStripeEvent } from '../_shared/stripeEvents.ts'
+
+/**
+ * STRIPE WEBHOOK
+ *
+ * Flow:
+ * 1. Verify the Stripe signature
+ * 2. Store the event in the stripe_events ledger and claim it; an event that
+ *    was already processed gets a 200 without being handled again, and one
+ *    another delivery is still handling gets a 409 so Stripe retries later
+ * 3. Run its handler (_shared/stripeEvents.ts) and record the outcome; a
+ *    failed handler returns 500, which Stripe retries
+ *
+ * Stored events can be replayed from the admin Stripe Events page
+ * (replay-stripe-event).
+ */
 
 // Initialize Stripe
 const stripe = new Stripe(Deno.env.get('STRIPE_SECRET_KEY') || '', {
-  apiVersion: '2024-11-20.acacia',
+  apiVersion: '2023-10-16',
+  httpClient: Stripe.createFetchHttpClient(),
 })
 
-// Webhook secret for signature verification
+// Webhook secret for signature verification; Deno only has async
+// (SubtleCrypto) signing, so events are verified with constructEventAsync
 const webhookSecret = Deno.env.get('STRIPE_WEBHOOK_SECRET') || ''
+const cryptoProvider = Stripe.createSubtleCryptoProvider()
 
 // Initialize Supabase client with service role (bypass RLS)
 const supabaseUrl = Deno.env.get('SUPABASE_URL') || ''
@@ -29,7 +48,7 @@ serve(async (req) => {
 
     let event: Stripe.Event
     try {
-      event = stripe.webhooks.constructEvent(body, signature, webhookSecret)
+      event = await stripe.webhooks.constructEventAsync(body, signature, webhookSecret, undefined, cryptoProvider)
       console.log(`✅ Webhook verified: ${event.type}`)
     } catch (err: any) {
       console.error(`⚠️ Webhook signature verification failed: ${err.message}`)
@@ -40,35 +59,29 @@ serve(async (req) => {
     const supabase = createClient(supabaseUrl, supabaseServiceKey)
 
     // ============================================================================
-    // HANDLE DIFFERENT EVENT TYPES
+    // RECORD AND CLAIM EVENT
     // ============================================================================
-    switch (event.type) {
-      case 'payment_intent.succeeded':
-        await handlePaymentSuccess(event.data.object as Stripe.PaymentIntent, supabase)
-        break
-
-      case 'payment_intent.payment_failed':
-        await handlePaymentFailed(event.data.object as Stripe.PaymentIntent, supabase)
-        break
-
-      case 'payment_intent.requires_action':
-        await handleRequiresAction(event.data.object as Stripe.PaymentIntent, supabase)
-        break
+    const claim = await claimStripeEvent(supabase, event)
 
-      case 'charge.refunded':
-        await handleRefund(event.data.object as Stripe.Charge, supabase)
-        break
-
-      case 'payment_method.attached':
-        await handlePaymentMethodAttached(event.data.object as Stripe.PaymentMethod, supabase)
-        break
+    if (!claim.claimed) {
+      if (claim.status === 'processing') {
+        console.log(`⏳ Event ${event.id} is being handled by another delivery`)
+        return new Response(JSON.stringify({ error: 'Event is already being processed' }), { status: 409 })
+      }
 
-      case 'payment_method.detached':
-        await handlePaymentMethodDetached(event.data.object as Stripe.PaymentMethod, supabase)
-        break
+      console.log(`↩️ Event ${event.id} already ${claim.status}, skipping`)
+      return new Response(JSON.stringify({ received: true, duplicate: true }), { status: 200 })
+    }
 
-      default:
-        console.log(`Unhandled event type: ${event.type}`)
+    // ============================================================================
+    // HANDLE EVENT
+    // ============================================================================
+    try {
+      const outcome = await processStripeEvent(supabase, stripe, event)
+      await finishStripeEvent(supabase, event.id, outcome)
+    } catch (error: any) {
+      await finishStripeEvent(supabase, event.id, { status: 'failed', error: error.message })
+      throw error
     }
 
     return new Response(JSON.stringify({ received: true }), { status: 200 })
@@ -80,655 +93,3 @@ serve(async (req) => {
     )
   }
 })
-
-// ============================================================================
-// HANDLER: Payment Intent Succeeded
-// ============================================================================
-async function handlePaymentSuccess(
-  paymentIntent: Stripe.PaymentIntent,
-  supabase: any
-) {
-  console.log(`💰 Payment succeeded: ${paymentIntent.id}`)
-
-  const campaignId = paymentIntent.metadata.campaign_id
-  const userId = paymentIntent.metadata.user_id
-  const billingReason = paymentIntent.metadata.billing_reason || 'campaign_approval'
-  const newMoverCount = parseInt(paymentIntent.metadata.new_mover_count || '0')
-  const isTestMode = paymentIntent.metadata.is_test_mode === 'true'
-
-  const charge = paymentIntent.charges?.data[0]
-  const paymentMethod = charge?.payment_method_details
-
-  try {
-    // ============================================================================
-    // INSERT TRANSACTION RECORD
-    // ============================================================================
-    const { data: transaction, error: txError } = await supabase
-      .from('transactions')
-      .insert({
-        user_id: userId,
-        campaign_id: campaignId || null,
-        stripe_payment_intent_id: paymentIntent.id,
-        stripe_charge_id: charge?.id || null,
-        stripe_customer_id: paymentIntent.customer as string,
-        amount_cents: paymentIntent.amount,
-        amount_dollars: paymentIntent.amount / 100,
-        currency: paymentIntent.currency,
-        status: 'succeeded',
-        billing_reason: billingReason,
-        new_mover_count: newMoverCount > 0 ? newMoverCount : null,
-        payment_method_last4: paymentMethod?.card?.last4 || null,
-        payment_method_brand: paymentMethod?.card?.brand || null,
-        receipt_url: charge?.receipt_url || null,
-        is_test_mode: isTestMode,
-        metadata: paymentIntent.metadata,
-      })
-      .select()
-      .single()
-
-    if (txError) {
-      console.error('Error inserting transaction:', txError)
-      throw txError
-    }
-
-    console.log(`✅ Transaction recorded: ${transaction.id}`)
-
-    // ============================================================================
-    // LOG SUCCESSFUL TRANSACTION TO ACTIVITY LOGS
-    // ============================================================================
-    try {
-      await supabase.from('admin_activity_logs').insert({
-        admin_id: null,
-        user_id: userId,
-        action_type: 'transaction_succeeded',
-        target_type: 'transaction',
-        target_id: transaction.id,
-        metadata: {
-          amount_dollars: transaction.amount_dollars,
-          billing_reason: billingReason,
-          new_mover_count: newMoverCount > 0 ? newMoverCount : null,
-          campaign_id: campaignId,
-          stripe_payment_intent_id: paymentIntent.id,
-          payment_method_last4: paymentMethod?.card?.last4,
-          payment_method_brand: paymentMethod?.card?.brand,
-          is_test_mode: isTestMode,
-          timestamp: new Date().toISOString(),
-        },
-      })
-      console.log('   📝 Activity log created for successful transaction')
-    } catch (logError: any) {
-      console.error('   ⚠️  Failed to create activity log:', logError.message)
-      // Don't fail the transaction if logging fails
-    }
-
-    // ============================================================================
-    // UPDATE CAMPAIGN STATUS
-    // ============================================================================
-    if (campaignId) {
-      const { error: campaignError } = await supabase
-        .from('campaigns')
-        .update({
-          payment_status: 'paid',
-          payment_intent_id: paymentIntent.id,
-          paid_at: new Date().toISOString(),
-          payment_requires_action: false,
-          payment_action_url: null,
-          updated_at: new Date().toISOString(),
-        })
-        .eq('id', campaignId)
-
-      if (campaignError) {
-        console.error('Error updating campaign:', campaignError)
-      } else {
-        console.log(`✅ Campaign ${campaignId} marked as paid`)
-      }
-    }
-
-    // ============================================================================
-    // UPDATE PENDING CHARGES (if this was a batched charge)
-    // ============================================================================
-    if (billingReason === 'new_mover_addition' && campaignId) {
-      const { error: pendingError } = await supabase
-        .from('pending_charges')
-        .update({
-          processed: true,
-          processed_at: new Date().toISOString(),
-          transaction_id: transaction.id,
-        })
-        .eq('campaign_id', campaignId)
-        .eq('processed', false)
-
-      if (pendingError) {
-        console.error('Error updating pending charges:', pendingError)
-      } else {
-        console.log(`✅ Pending charges marked as processed`)
-      }
-    }
-
-    // ============================================================================
-    // SEND EMAIL NOTIFICATION (optional)
-    // ============================================================================
-    // You can implement email notification here using Supabase Auth
-    // or a third-party service like SendGrid
-
-  } catch (error) {
-    console.error('Error handling payment success:', error)
-    throw error
-  }
-}
-
-// ============================================================================
-// HANDLER: Payment Intent Failed
-// ============================================================================
-async function handlePaymentFailed(
-  paymentIntent: Stripe.PaymentIntent,
-  supabase: any
-) {
-  console.log(`❌ Payment failed: ${paymentIntent.id}`)
-
-  const campaignId = paymentIntent.metadata.campaign_id
-  const userId = paymentIntent.metadata.user_id
-  const billingReason = paymentIntent.metadata.billing_reason || 'campaign_approval'
-  const newMoverCount = parseInt(paymentIntent.metadata.new_mover_count || '0')
-  const isTestMode = paymentIntent.metadata.is_test_mode === 'true'
-
-  const charge = paymentIntent.charges?.data[0]
-  const failureCode = charge?.failure_code || paymentIntent.last_payment_error?.code
-  const failureMessage = charge?.failure_message || paymentIntent.last_payment_error?.message
-
-  try {
-    // ============================================================================
-    // INSERT FAILED TRANSACTION RECORD
-    // ============================================================================
-    const { error: txError } = await supabase
-      .from('transactions')
-      .insert({
-        user_id: userId,
-        campaign_id: campaignId || null,
-        stripe_payment_intent_id: paymentIntent.id,
-        stripe_charge_id: charge?.id || null,
-        stripe_customer_id: paymentIntent.customer as string,
-        amount_cents: paymentIntent.amount,
-        amount_dollars: paymentIntent.amount / 100,
-        currency: paymentIntent.currency,
-        status: 'failed',
-        billing_reason: billingReason,
-        new_mover_count: newMoverCount > 0 ? newMoverCount : null,
-        failure_code: failureCode || null,
-        failure_message: failureMessage || null,
-        is_test_mode: isTestMode,
-        metadata: paymentIntent.metadata,
-      })
-
-    if (txError) {
-      console.error('Error inserting failed transaction:', txError)
-    } else {
-      console.log(`✅ Failed transaction recorded`)
-    }
-
-    // ============================================================================
-    // LOG FAILED TRANSACTION TO ACTIVITY LOGS
-    // ============================================================================
-    try {
-      await supabase.from('admin_activity_logs').insert({
-        admin_id: null,
-        user_id: userId,
-        action_type: 'transaction_failed',
-        target_type: 'transaction',
-        target_id: null,
-        metadata: {
-          amount_dollars: paymentIntent.amount / 100,
-          billing_reason: billingReason,
-          new_mover_count: newMoverCount > 0 ? newMoverCount : null,
-          campaign_id: campaignId,
-          stripe_payment_intent_id: paymentIntent.id,
-          failure_code: failureCode,
-          failure_message: failureMessage,
-          is_test_mode: isTestMode,
-          timestamp: new Date().toISOString(),
-        },
-      })
-      console.log('   📝 Activity log created for failed transaction')
-    } catch (logError: any) {
-      console.error('   ⚠️  Failed to create activity log:', logError.message)
-      // Don't fail the webhook if logging fails
-    }
-
-    // ============================================================================
-    // UPDATE CAMPAIGN STATUS TO FAILED
-    // ============================================================================
-    if (campaignId) {
-      const { error: campaignError } = await supabase
-        .from('campaigns')
-        .update({
-          payment_status: 'failed',
-          payment_intent_id: paymentIntent.id,
-          updated_at: new Date().toISOString(),
-        })
-        .eq('id', campaignId)
-
-      if (campaignError) {
-        console.error('Error updating campaign to failed:', campaignError)
-      } else {
-        console.log(`✅ Campaign ${campaignId} marked as payment failed`)
-      }
-
-      // Get user email and campaign for notification
-      const { data: user } = await supabase
-        .from('profile')
-        .select('email, full_name')
-        .eq('user_id', userId)
-        .single()
-
-      if (user) {
-        console.log(`📧 Sending payment failure notification to: ${user.email}`)
-
-        // Get campaign details
-        const { data: campaign } = await supabase
-          .from('campaigns')
-          .select('campaign_name')
-          .eq('id', campaignId)
-          .single()
-
-        // Send payment failed email
-        try {
-          const emailResponse = await fetch(`${supabaseUrl}/functions/v1/send-email`, {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              'Authorization': `Bearer ${supabaseServiceKey}`,
-            },
-            body: JSON.stringify({
-              to: user.email,
-              subject: 'Payment Failed - Action Required',
-              html: getPaymentFailedEmailTemplate(
-                user.full_name || user.email,
-                campaign?.campaign_name || 'your campaign',
-                failureMessage || 'Your payment could not be processed.',
-                campaignId
-              )
-            })
-          })
-
-          if (!emailResponse.ok) {
-            console.error('Failed to send payment failed email:', await emailResponse.text())
-          } else {
-            console.log('✅ Payment failed email sent successfully')
-          }
-        } catch (emailError: any) {
-          console.error('Error sending payment failed email:', emailError.message)
-        }
-      }
-    }
-
-  } catch (error) {
-    console.error('Error handling payment failure:', error)
-    throw error
-  }
-}
-
-// ============================================================================
-// HANDLER: Payment Requires Action (3D Secure)
-// ============================================================================
-async function handleRequiresAction(
-  paymentIntent: Stripe.PaymentIntent,
-  supabase: any
-) {
-  console.log(`🔐 Payment requires action: ${paymentIntent.id}`)
-
-  const campaignId = paymentIntent.metadata.campaign_id
-  const userId = paymentIntent.metadata.user_id
-  const isTestMode = paymentIntent.metadata.is_test_mode === 'true'
-
-  try {
-    // ============================================================================
-    // INSERT PROCESSING TRANSACTION RECORD
-    // ============================================================================
-    const { error: txError } = await supabase
-      .from('transactions')
-      .insert({
-        user_id: userId,
-        campaign_id: campaignId || null,
-        stripe_payment_intent_id: paymentIntent.id,
-        stripe_customer_id: paymentIntent.customer as string,
-        amount_cents: paymentIntent.amount,
-        amount_dollars: paymentIntent.amount / 100,
-        currency: paymentIntent.currency,
-        status: 'processing',
-        billing_reason: paymentIntent.metadata.billing_reason || 'campaign_approval',
-        is_test_mode: isTestMode,
-        metadata: paymentIntent.metadata,
-      })
-
-    if (txError) {
-      console.error('Error inserting processing transaction:', txError)
-    }
-
-    // ============================================================================
-    // UPDATE CAMPAIGN WITH ACTION URL
-    // ============================================================================
-    if (campaignId) {
-      const actionUrl = paymentIntent.next_action?.redirect_to_url?.url
-
-      const { error: campaignError } = await supabase
-        .from('campaigns')
-        .update({
-          payment_status: 'processing',
-          payment_intent_id: paymentIntent.id,
-          payment_requires_action: true,
-          payment_action_url: actionUrl || null,
-          updated_at: new Date().toISOString(),
-        })
-        .eq('id', campaignId)
-
-      if (campaignError) {
-        console.error('Error updating campaign with action required:', campaignError)
-      } else {
-        console.log(`✅ Campaign ${campaignId} marked as requiring action`)
-      }
-
-      // Get user email and campaign for notification
-      const { data: user } = await supabase
-        .from('profile')
-        .select('email, full_name')
-        .eq('user_id', userId)
-        .single()
-
-      if (user && actionUrl) {
-        console.log(`📧 Sending 3D Secure notification to: ${user.email}`)
-        console.log(`🔗 Action URL: ${actionUrl}`)
-
-        // Get campaign details
-        const { data: campaign } = await supabase
-          .from('campaigns')
-          .select('campaign_name')
-          .eq('id', campaignId)
-          .single()
-
-        // Send 3D Secure email
-        try {
-          const emailResponse = await fetch(`${supabaseUrl}/functions/v1/send-email`, {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              'Authorization': `Bearer ${supabaseServiceKey}`,
-            },
-            body: JSON.stringify({
-              to: user.email,
-              subject: 'Action Required: Complete Payment Authentication',
-              html: getPaymentRequiresActionEmailTemplate(
-                user.full_name || user.email,
-                campaign?.campaign_name || 'your campaign',
-                actionUrl
-              )
-            })
-          })
-
-          if (!emailResponse.ok) {
-            console.error('Failed to send 3D Secure email:', await emailResponse.text())
-          } else {
-            console.log('✅ 3D Secure email sent successfully')
-          }
-        } catch (emailError: any) {
-          console.error('Error sending 3D Secure email:', emailError.message)
-        }
-      }
-    }
-
-  } catch (error) {
-    console.error('Error handling requires action:', error)
-    throw error
-  }
-}
-
-// ============================================================================
-// HANDLER: Charge Refunded
-// ============================================================================
-async function handleRefund(charge: Stripe.Charge, supabase: any) {
-  console.log(`💸 Charge refunded: ${charge.id}`)
-
-  const paymentIntentId = charge.payment_intent as string
-
-  try {
-    // Find the transaction
-    const { data: transaction, error: findError } = await supabase
-      .from('transactions')
-      .select('*')
-      .eq('stripe_payment_intent_id', paymentIntentId)
-      .single()
-
-    if (findError || !transaction) {
-      console.error('Transaction not found for refund:', findError)
-      return
-    }
-
-    // Determine refund status
-    const refundStatus = charge.refunded ? 'refunded' : 'partially_refunded'
-    const refundAmount = charge.amount_refunded
-
-    // Update transaction
-    const { error: updateError } = await supabase
-      .from('transactions')
-      .update({
-        status: refundStatus,
-        refunded_at: new Date().toISOString(),
-        refund_amount_cents: refundAmount,
-        updated_at: new Date().toISOString(),
-      })
-      .eq('id', transaction.id)
-
-    if (updateError) {
-      console.error('Error updating transaction refund status:', updateError)
-    } else {
-      console.log(`✅ Transaction ${transaction.id} updated to ${refundStatus}`)
-    }
-
-    // ============================================================================
-    // LOG REFUND TO ACTIVITY LOGS
-    // ============================================================================
-    try {
-      await supabase.from('admin_activity_logs').insert({
-        admin_id: null,
-        user_id: transaction.user_id,
-        action_type: 'transaction_refunded',
-        target_type: 'transaction',
-        target_id: transaction.id,
-        metadata: {
-          original_amount_dollars: transaction.amount_dollars,
-          refund_amount_dollars: refundAmount / 100,
-          refund_status: refundStatus,
-          campaign_id: transaction.campaign_id,
-          stripe_payment_intent_id: paymentIntentId,
-          stripe_charge_id: charge.id,
-          timestamp: new Date().toISOString(),
-        },
-      })
-      console.log('   📝 Activity log created for refund')
-    } catch (logError: any) {
-      console.error('   ⚠️  Failed to create activity log:', logError.message)
-      // Don't fail the webhook if logging fails
-    }
-
-    // If campaign was refunded, update campaign status
-    if (transaction.campaign_id && charge.refunded) {
-      const { error: campaignError } = await supabase
-        .from('campaigns')
-        .update({
-          payment_status: 'refunded',
-          updated_at: new Date().toISOString(),
-        })
-        .eq('id', transaction.campaign_id)
-
-      if (campaignError) {
-        console.error('Error updating campaign refund status:', campaignError)
-      } else {
-        console.log(`✅ Campaign ${transaction.campaign_id} marked as refunded`)
-      }
-    }
-
-  } catch (error) {
-    console.error('Error handling refund:', error)
-    throw error
-  }
-}
-
-// ============================================================================
-// HANDLER: Payment Method Attached
-// ============================================================================
-async function handlePaymentMethodAttached(
-  paymentMethod: Stripe.PaymentMethod,
-  supabase: any
-) {
-  console.log(`💳 Payment method attached: ${paymentMethod.id}`)
-
-  // This event is already handled by the confirm-setup-intent function
-  // We're just logging it here for audit purposes
-
-  // You could implement additional logging or analytics here
-}
-
-// ============================================================================
-// HANDLER: Payment Method Detached
-// ============================================================================
-async function handlePaymentMethodDetached(
-  paymentMethod: Stripe.PaymentMethod,
-  supabase: any
-) {
-  console.log(`🗑️ Payment method detached: ${paymentMethod.id}`)
-
-  // The payment_methods table should be updated via frontend API calls
-  // This is just for logging/audit purposes
-
-  // You could implement additional cleanup or logging here
-}
-
-// ============================================================================
-// EMAIL TEMPLATES
-// ============================================================================
-
-/**
- * Email template for payment failed
- */
-function getPaymentFailedEmailTemplate(
-  userName: string,
-  campaignName: string,
-  failureReason: string,
-  campaignId: string
-): string {
-  const frontendUrl = Deno.env.get('FRONTEND_URL') || 'http://localhost:5174'
-
-  return `
-    <!DOCTYPE html>
-    <html>
-      <head>
-        <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <style>
-          body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; background-color: #f5f5f5; }
-          .container { max-width: 600px; margin: 40px auto; background: white; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 6px rgba(0,0,0,0.1); }
-          .header { background: linear-gradient(135deg, #dc2626 0%, #b91c1c 100%); padding: 40px 30px; text-align: center; }
-          .logo { width: 160px; height: auto; margin-bottom: 20px; }
-          .header-text { color: white; font-size: 24px; font-weight: 600; margin: 0; }
-          .content { padding: 40px 30px; }
-          .card { background: #fee2e2; border-left: 4px solid #dc2626; padding: 20px; border-radius: 8px; margin: 20px 0; }
-          .card-title { font-size: 18px; font-weight: 600; color: #991b1b; margin: 0 0 10px 0; }
-          .card-text { color: #7f1d1d; margin: 0; font-size: 14px; }
-          .greeting { font-size: 16px; margin-bottom: 20px; color: #333; }
-          .message { color: #666; line-height: 1.8; margin: 20px 0; }
-          .cta-button { display: inline-block; background: #dc2626; color: white !important; text-decoration: none; padding: 14px 32px; border-radius: 8px; font-weight: 600; margin: 20px 0; transition: background 0.3s; }
-          .cta-button:hover { background: #b91c1c; }
-          .footer { background: #f9fafb; padding: 30px; text-align: center; color: #6b7280; font-size: 14px; border-top: 1px solid #e5e7eb; }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <div class="header">
-            <div class="header-text">Payment Failed</div>
-          </div>
-          <div class="content">
-            <div class="greeting">Hi ${userName},</div>
-            <div class="message">
-              We attempted to process your payment for <strong>${campaignName}</strong>, but it was unsuccessful.
-            </div>
-            <div class="card">
-              <div class="card-title">Failure Reason:</div>
-              <div class="card-text">${failureReason}</div>
-            </div>
-            <div class="message">
-              To continue with your campaign, please update your payment method or try again.
-            </div>
-            <a href="${frontendUrl}/settings?tab=billing" class="cta-button">Update Payment Method</a>
-            <div class="message" style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #e5e7eb; font-size: 14px; color: #6b7280;">
-              If you need assistance, please contact our support team.
-            </div>
-          </div>
-          <div class="footer">
-            © ${new Date().getFullYear()} MovePost. All rights reserved.
-          </div>
-        </div>
-      </body>
-    </html>
-  `
-}
-
-/**
- * Email template for payment requires action (3D Secure)
- */
-function getPaymentRequiresActionEmailTemplate(
-  userName: string,
-  campaignName: string,
-  actionUrl: string
-): string {
-  return `
-    <!DOCTYPE html>
-    <html>
-      <head>
-        <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <style>
-          body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; background-color: #f5f5f5; }
-          .container { max-width: 600px; margin: 40px auto; background: white; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 6px rgba(0,0,0,0.1); }
-          .header { background: linear-gradient(135deg, #2563eb 0%, #1d4ed8 100%); padding: 40px 30px; text-align: center; }
-          .logo { width: 160px; height: auto; margin-bottom: 20px; }
-          .header-text { color: white; font-size: 24px; font-weight: 600; margin: 0; }
-          .content { padding: 40px 30px; }
-          .card { background: #dbeafe; border-left: 4px solid #2563eb; padding: 20px; border-radius: 8px; margin: 20px 0; }
-          .card-title { font-size: 18px; font-weight: 600; color: #1e40af; margin: 0 0 10px 0; }
-          .card-text { color: #1e3a8a; margin: 0; font-size: 14px; }
-          .greeting { font-size: 16px; margin-bottom: 20px; color: #333; }
-          .message { color: #666; line-height: 1.8; margin: 20px 0; }
-          .cta-button { display: inline-block; background: #2563eb; color: white !important; text-decoration: none; padding: 14px 32px; border-radius: 8px; font-weight: 600; margin: 20px 0; transition: background 0.3s; }
-          .cta-button:hover { background: #1d4ed8; }
-          .footer { background: #f9fafb; padding: 30px; text-align: center; color: #6b7280; font-size: 14px; border-top: 1px solid #e5e7eb; }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <div class="header">
-            <div class="header-text">Action Required</div>
-          </div>
-          <div class="content">
-            <div class="greeting">Hi ${userName},</div>
-            <div class="message">
-              Your payment for <strong>${campaignName}</strong> requires additional authentication to complete the transaction.
-            </div>
-            <div class="card">
-              <div class="card-title">🔐 3D Secure Authentication</div>
-              <div class="card-text">Your bank requires you to verify this payment for security purposes.</div>
-            </div>
-            <div class="message">
-              Please click the button below to complete the authentication process:
-            </div>
-            <a href="${actionUrl}" class="cta-button">Complete Authentication</a>
-            <div class="message" style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #e5e7eb; font-size: 14px; color: #6b7280;">
-              This is a security measure required by your bank to protect your card from unauthorized use.
-            </div>
-          </div>
-          <div class="footer">
-            © ${new Date().getFullYear()} MovePost. All rights reserved.
-          </div>
-        </div>
-      </body>
-    </html>
-  `
-}
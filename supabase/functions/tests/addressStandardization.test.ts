@@ -0,0 +1,84 @@
+import { describe, expect, it } from 'vitest'
+import {
+  UNDELIVERABLE_ADDRESS_ISSUES,
+  standardizeMailingAddress,
+  standardizeStreetLine,
+} from '../_shared/addressStandardization.ts'
+import * as addressFormatter from '../../../src/utils/addressFormatter.js'
+
+// The app (src/utils/addressFormatter.js) and the senders standardize
+// addresses separately; both must produce the same mailing address
+const STREET_LINES = [
+  '123 North Main Street, Apt. 4B',
+  '123 1/2 Elm Avenue',
+  '42 W. Broadway Blvd. Suite 300',
+  '900 Oak St NE #12',
+  '77 Sunset Boulevard Apt',
+  '15 North Street',
+  '500 Market St Unit',
+  '10 Park Ave Ste',
+  '8 Hill Rd Basement',
+  '101 apt5 Main',
+  '1 Center Court Fl 2',
+  "3 O'Brien Lane",
+  '55 Main St #',
+  'P.O. Box 123',
+  'Post Office Box',
+  'Rural Route 2 Box 15',
+  'RR 4',
+  'Highway Contract 3 Box 7',
+  'Main Street',
+  '',
+  null,
+]
+
+const ADDRESSES = [
+  { address_line: '123 North Main Street, Apt. 4B', city: 'Springfield ', state: 'illinois', zip_code: '62704' },
+  { address_line: '9 Elm St', city: 'Boston', state: 'MA', zip_code: '2118' },
+  { address_line: '9 Elm St', city: 'Boston', state: 'Mass.', zip_code: '02118-1234' },
+  { address_line: '9 Elm St', city: 'Boston', state: 'MA', zip_code: '02118', zip_plus4: '1234' },
+  { address_line: 'PO Box 5', city: '', state: 'N.Y.', zip_code: '10001' },
+  { address_line: 'Main Street', city: 'Austin', state: 'TX', zip_code: '787' },
+  { address_line: '1 Beach Rd', city: "Coeur d'Alene", state: 'Idaho', zip_code: '83814' },
+]
+
+describe('address standardization parity', () => {
+  it('shares the undeliverable issues', () => {
+    expect(UNDELIVERABLE_ADDRESS_ISSUES).toEqual(addressFormatter.UNDELIVERABLE_ADDRESS_ISSUES)
+  })
+
+  it.each(STREET_LINES)('standardizes the street line %j the same way', line => {
+    const frontend = addressFormatter.standardizeStreetLine(line)
+    const shared = standardizeStreetLine(line)
+
+    expect(shared).toEqual({
+      line: frontend.line,
+      primary_number: frontend.primaryNumber,
+      unit: frontend.unit,
+      issues: frontend.issues,
+    })
+  })
+
+  it.each(ADDRESSES)('standardizes $address_line, $city $state $zip_code the same way', address => {
+    const frontend = addressFormatter.standardizeAddress({
+      addressLine1: address.address_line,
+      city: address.city,
+      state: address.state,
+      zipCode: `${address.zip_code}${address.zip_plus4 || ''}`,
+    })
+    const shared = standardizeMailingAddress(address)
+    const [zipCode, zipPlus4 = null] = frontend.address.zipCode.split('-')
+
+    expect(shared).toEqual({
+      address: {
+        address_line: [frontend.address.addressLine1, frontend.address.addressLine2].filter(Boolean).join(' '),
+        city: frontend.address.city,
+        state: frontend.address.state,
+        zip_code: zipCode.slice(0, 5),
+        zip_plus4: zipPlus4,
+      },
+      issues: frontend.issues,
+      deliverable: frontend.deliverable,
+    })
+  })
+})
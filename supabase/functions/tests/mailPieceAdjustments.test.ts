@@ -0,0 +1,109 @@
+import { beforeEach, describe, expect, it } from 'vitest'
+import { adjustMailPiece } from '../_shared/mailPieceAdjustments.ts'
+import { createClient, type FakeDatabase } from './support/supabase.ts'
+import Stripe, { stripeState } from './support/stripe.ts'
+
+const USER_ID = 'user-1'
+const POSTCARD_ID = 'postcard_1'
+
+let db: FakeDatabase
+const stripe = new Stripe()
+
+beforeEach(() => {
+  db = createClient()
+
+  db.seed('mail_piece_adjustment_policies', [
+    { mail_piece_status: 'cancelled', action: 'refund' },
+    { mail_piece_status: 'returned_to_sender', action: 'credit' },
+  ])
+  db.seed('campaigns', [{ id: 'campaign-1', user_id: USER_ID }])
+  db.seed('newmover', [{ id: 'mover-1', campaign_id: 'campaign-1', postgrid_postcard_id: POSTCARD_ID }])
+  db.seed('transactions', [{
+    id: 'transaction-1',
+    user_id: USER_ID,
+    billing_reason: 'new_mover_addition',
+    status: 'succeeded',
+    stripe_payment_intent_id: 'pi_1',
+    amount_cents: 150,
+    new_mover_count: 1,
+    metadata: { new_mover_id: 'mover-1' },
+  }])
+
+  db.onRpc('wallet_apply_entry', args => ({
+    applied: true,
+    duplicate: false,
+    entry_id: `entry-${args.p_idempotency_key}`,
+    amount_cents: args.p_amount_cents,
+    balance_cents: args.p_amount_cents,
+  }))
+})
+
+function walletCalls() {
+  return db.rpcCalls.filter(call => call.name === 'wallet_apply_entry')
+}
+
+describe('adjustMailPiece', () => {
+  it('refunds a returned postcard to the card when the user has no wallet', async () => {
+    const adjustment = await adjustMailPiece(db, stripe, POSTCARD_ID, 'returned_to_sender')
+
+    expect(adjustment).toMatchObject({ action: 'credit', method: 'stripe_refund', status: 'completed' })
+    expect(stripeState.refunds).toHaveLength(1)
+    expect(stripeState.refunds[0]).toMatchObject({ payment_intent: 'pi_1', amount: 150 })
+    expect(walletCalls()).toHaveLength(0)
+  })
+
+  it('credits a returned postcard to the wallet of a wallet user', async () => {
+    db.seed('wallets', [{ user_id: USER_ID, balance_cents: 0, card_fallback: false }])
+
+    const adjustment = await adjustMailPiece(db, stripe, POSTCARD_ID, 'returned_to_sender')
+
+    expect(adjustment).toMatchObject({ method: 'wallet_credit', status: 'completed' })
+    expect(walletCalls()).toHaveLength(1)
+    expect(walletCalls()[0].args).toMatchObject({ p_user_id: USER_ID, p_entry_type: 'credit', p_amount_cents: 150 })
+    expect(stripeState.refunds).toHaveLength(0)
+  })
+
+  it('adjusts a postcard only once', async () => {
+    await adjustMailPiece(db, stripe, POSTCARD_ID, 'cancelled')
+    await adjustMailPiece(db, stripe, POSTCARD_ID, 'cancelled')
+
+    expect(stripeState.refunds).toHaveLength(1)
+    expect(db.table('mail_piece_adjustments')).toHaveLength(1)
+  })
+
+  it('takes a postcard out of the daily batch when it has not been billed yet', async () => {
+    db.table('transactions').length = 0
+    db.seed('pending_charges', [{
+      id: 'pending-1',
+      user_id: USER_ID,
+      amount_cents: 150,
+      processed: false,
+      transaction_id: null,
+      metadata: { new_mover_id: 'mover-1' },
+    }])
+
+    const adjustment = await adjustMailPiece(db, stripe, POSTCARD_ID, 'cancelled')
+
+    expect(adjustment).toMatchObject({ action: 'refund', method: 'waived', status: 'completed', pending_charge_id: 'pending-1' })
+    expect(db.table('pending_charges')).toHaveLength(0)
+    expect(stripeState.refunds).toHaveLength(0)
+  })
+
+  it('records a postcard that was never charged as skipped', async () => {
+    db.table('transactions').length = 0
+
+    const adjustment = await adjustMailPiece(db, stripe, POSTCARD_ID, 'returned_to_sender')
+
+    expect(adjustment).toMatchObject({ status: 'skipped', amount_cents: 0 })
+    expect(stripeState.refunds).toHaveLength(0)
+    expect(walletCalls()).toHaveLength(0)
+  })
+
+  it('leaves statuses without a policy alone', async () => {
+    db.table('mail_piece_adjustment_policies')[1].action = 'none'
+
+    expect(await adjustMailPiece(db, stripe, POSTCARD_ID, 'returned_to_sender')).toBeNull()
+    expect(db.table('mail_piece_adjustments')).toHaveLength(0)
+    expect(stripeState.refunds).toHaveLength(0)
+  })
+})
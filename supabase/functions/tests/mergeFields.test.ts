@@ -0,0 +1,67 @@
+import { describe, expect, it } from 'vitest'
+import {
+  MERGE_FIELD_FALLBACKS,
+  applyMergeFields,
+  generateOfferCode,
+  resolveMergeValues,
+} from '../_shared/mergeValues.ts'
+import * as mergeFields from '../../../src/utils/mergeFields.js'
+
+// The editor preview (src/utils/mergeFields.js) and the senders resolve
+// merge fields separately; a postcard must print what the preview showed
+const RECIPIENTS = [
+  ...mergeFields.SAMPLE_MOVERS,
+  {
+    full_name: '  Mary   Ann  Smith-Jones ',
+    address_line: '12 Oak Ln',
+    city: 'Portland',
+    state: 'OR',
+    zip_code: '97201',
+    move_effective_date: '2026-02-01',
+  },
+  { full_name: 'CURRENT OCCUPANT', address_line: '', city: '', state: null, zip_code: null, move_effective_date: 'not a date' },
+  { full_name: 'Cher', address_line: null, city: 'Reno', state: 'NV', zip_code: '89501' },
+  { full_name: null, address_line: '5 Pine Ct', city: null, state: null, zip_code: null, move_effective_date: '2026-12-31T23:30:00-05:00' },
+]
+
+const TEXTS = [
+  'Welcome to {{city}}, {{first_name}}!',
+  'Hi {{ full_name }}, you moved {{move_date}}.',
+  '{{first_name|friend}} {{last_name}} at {{street|your home}}, {{state}} {{zip_code}}',
+  'Use {{offer_code}} or {{offer_code| }} for 10% off',
+  '{{unknown_field}} stays blank, {{city|  }} too',
+  'No merge fields here',
+]
+
+describe('merge field parity', () => {
+  it('uses the same default fallbacks', () => {
+    expect(MERGE_FIELD_FALLBACKS).toEqual(
+      Object.fromEntries(mergeFields.MERGE_FIELDS.map(field => [field.key, field.fallback]))
+    )
+  })
+
+  it.each(RECIPIENTS)('resolves values for $full_name the same way', recipient => {
+    expect(resolveMergeValues(recipient, 'ABCD1234'))
+      .toEqual(mergeFields.resolveMergeValues(recipient, { offerCode: 'ABCD1234' }))
+    expect(resolveMergeValues(recipient)).toEqual(mergeFields.resolveMergeValues(recipient))
+  })
+
+  it('personalizes text the same way', () => {
+    for (const recipient of RECIPIENTS) {
+      const values = resolveMergeValues(recipient, null)
+
+      for (const text of TEXTS) {
+        expect(applyMergeFields(text, values)).toBe(mergeFields.applyMergeFields(text, values))
+      }
+    }
+  })
+
+  it('generates the same offer codes', async () => {
+    for (const [campaignId, moverId] of [['campaign-1', 'mover-1'], ['blast-7', 'mover-1'], ['campaign-1', 'sample-2']]) {
+      const code = await generateOfferCode(campaignId, moverId)
+
+      expect(code).toMatch(/^[0-9A-HJKMNP-TV-Z]{8}$/)
+      expect(code).toBe(await mergeFields.generateOfferCode(campaignId, moverId))
+    }
+  })
+})
@@ -0,0 +1,74 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { getMoverProvider, isMoverProviderName } from '../_shared/moverProviders.ts'
+import { FIXTURE_MOVERS } from '../_shared/fixtures/newMovers.ts'
+import { createClient, type FakeDatabase } from './support/supabase.ts'
+import { PROVIDERS, connectProvider } from '../../../src/supabase/api/adminActions.js'
+
+// The admin actions run against the test database
+vi.mock('../../../src/supabase/integration/client', () => ({
+  get supabase() {
+    return createClient()
+  },
+}))
+
+describe('fixture mover provider', () => {
+  it('pages through the bundled movers for a ZIP', async () => {
+    const provider = getMoverProvider('fixture')
+    const inZip = FIXTURE_MOVERS.filter(mover => mover.zip_code === '10001')
+
+    const first = await provider.fetchMovers({ zipCode: '10001', campaignId: 'campaign-1', page: 1, pageSize: 2 })
+    const second = await provider.fetchMovers({ zipCode: '10001', campaignId: 'campaign-1', page: 2, pageSize: 2 })
+
+    expect(provider.isTestData).toBe(true)
+    expect(first).toMatchObject({ totalRecords: inZip.length, hasMore: true })
+    expect(second.hasMore).toBe(false)
+    expect([...first.movers, ...second.movers].map(m => m.melissa_address_key))
+      .toEqual(inZip.map(mover => mover.address_key))
+    expect(first.movers[0]).toMatchObject({ campaign_id: 'campaign-1', data_provider: 'fixture', postcard_sent: false })
+  })
+
+  it('fills in a name and move date the fixture leaves out', async () => {
+    const { movers } = await getMoverProvider('fixture').fetchMovers({ zipCode: '10001', campaignId: 'campaign-1' })
+    const unnamed = movers.find(m => m.melissa_address_key === 'fixture-10001-0003')!
+
+    expect(unnamed.full_name).toBe('Resident')
+    expect(unnamed.move_effective_date).not.toBeNull()
+  })
+})
+
+describe('connectProvider', () => {
+  let db: FakeDatabase
+
+  beforeEach(() => {
+    db = createClient()
+    db.seed('campaigns', [{ id: 'campaign-1', campaign_name: 'Movers', provider: 'postgrid', data_provider: 'melissa' }])
+  })
+
+  it('offers only data providers the poller knows', () => {
+    expect(PROVIDERS.data.every(isMoverProviderName)).toBe(true)
+  })
+
+  it('switches the mover data provider through the same flow as the mail provider', async () => {
+    const result = await connectProvider('campaign-1', 'admin-1', 'fixture')
+
+    expect(result.success).toBe(true)
+    expect(db.table('campaigns')[0]).toMatchObject({ provider: 'postgrid', data_provider: 'fixture' })
+    expect(db.table('campaigns')[0].data_provider_connected_at).toBeTruthy()
+    expect(db.table('admin_activity_logs')[0]).toMatchObject({
+      action_type: 'provider_connected',
+      metadata: { provider: 'fixture', provider_kind: 'data' },
+    })
+  })
+
+  it('connects a mail provider', async () => {
+    await connectProvider('campaign-1', 'admin-1', 'lob')
+
+    expect(db.table('campaigns')[0]).toMatchObject({ provider: 'lob', data_provider: 'melissa' })
+    expect(db.table('admin_activity_logs')[0].metadata.provider_kind).toBe('mail')
+  })
+
+  it('rejects unknown providers', async () => {
+    expect(await connectProvider('campaign-1', 'admin-1', 'mailchimp')).toEqual({ success: false, error: 'Invalid provider' })
+    expect(db.table('campaigns')[0]).toMatchObject({ provider: 'postgrid', data_provider: 'melissa' })
+  })
+})
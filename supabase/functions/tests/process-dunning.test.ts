@@ -0,0 +1,193 @@
+import { beforeAll, beforeEach, describe, expect, it } from 'vitest'
+import { invoke } from './support/serve.ts'
+import { sentRequests } from './support/setup.ts'
+import { createClient, type FakeDatabase } from './support/supabase.ts'
+import { chargedPaymentIntents, stripeState } from './support/stripe.ts'
+
+const USER_ID = 'user-1'
+
+let db: FakeDatabase
+
+beforeAll(async () => {
+  await import('../process-dunning/index.ts')
+})
+
+beforeEach(() => {
+  db = createClient()
+
+  db.seed('customers', [{ id: 'customer-1', user_id: USER_ID, stripe_customer_id: 'cus_1' }])
+  db.seed('payment_methods', [{
+    customer_id: 'customer-1',
+    stripe_payment_method_id: 'pm_1',
+    is_default: true,
+    updated_at: '2026-10-01T00:00:00Z',
+  }])
+  db.seed('profile', [{ user_id: USER_ID, email: 'owner@example.com', full_name: 'Owner' }])
+  db.seed('campaigns', [{ id: 'campaign-1', user_id: USER_ID, campaign_name: 'Movers', status: 'active', deleted_at: null, dunning_paused_at: null }])
+  db.seed('newmover', [
+    { id: 'mover-1', outbox_state: 'past_due' },
+    { id: 'mover-2', outbox_state: 'past_due' },
+  ])
+  db.seed('payment_receivables', ['mover-1', 'mover-2'].map((moverId, index) => ({
+    id: `receivable-${index + 1}`,
+    user_id: USER_ID,
+    campaign_id: 'campaign-1',
+    new_mover_id: moverId,
+    amount_cents: 150,
+    status: 'open',
+    failure_reason: 'Card declined: insufficient_funds',
+    stripe_payment_intent_id: null,
+    created_at: `2026-10-18T00:00:0${index}Z`,
+  })))
+  db.seed('dunning_accounts', [{
+    user_id: USER_ID,
+    status: 'past_due',
+    failed_attempts: 0,
+    notices_sent: 1,
+    next_attempt_at: null,
+    last_attempt_at: null,
+    last_error: null,
+    campaigns_paused_at: null,
+  }])
+})
+
+function account() {
+  return db.table('dunning_accounts')[0]
+}
+
+function receivables() {
+  return db.table('payment_receivables')
+}
+
+function dunningEmails() {
+  return sentRequests.filter(r => r.url.endsWith('/functions/v1/send-email'))
+}
+
+describe('process-dunning', () => {
+  it('collects the open balance once and closes the account', async () => {
+    const { body } = await invoke()
+
+    expect(body.accounts_collected).toBe(1)
+    expect(chargedPaymentIntents()).toHaveLength(1)
+    expect(chargedPaymentIntents()[0].amount).toBe(300)
+    expect(receivables().every(r => r.status === 'paid')).toBe(true)
+    expect(db.table('newmover').every(m => m.outbox_state === 'charged')).toBe(true)
+    expect(account().status).toBe('current')
+  })
+
+  it('finishes the same PaymentIntent when the transaction insert failed after the charge', async () => {
+    db.failNext('transactions', 'insert', 'connection reset')
+
+    const first = await invoke()
+    expect(first.body.retries_failed).toBe(0)
+    expect(first.body.errors[0].charged).toBe(true)
+
+    const paymentIntentId = chargedPaymentIntents()[0].id
+    expect(receivables().every(r => r.status === 'open' && r.stripe_payment_intent_id === paymentIntentId)).toBe(true)
+    expect(account()).toMatchObject({ status: 'past_due', failed_attempts: 0, notices_sent: 1, next_attempt_at: null })
+    expect(dunningEmails()).toHaveLength(0)
+
+    const second = await invoke()
+    expect(second.body.accounts_collected).toBe(1)
+    expect(stripeState.createCalls).toHaveLength(1)
+    expect(chargedPaymentIntents()).toHaveLength(1)
+    expect(db.table('transactions')).toHaveLength(1)
+    expect(receivables().every(r => r.status === 'paid')).toBe(true)
+    expect(account().status).toBe('current')
+  })
+
+  it('does not pause campaigns when marking receivables paid failed after the charge', async () => {
+    db.table('dunning_accounts')[0].failed_attempts = 1
+    db.failNext('payment_receivables', 'update', 'statement timeout', { when: fields => fields.status === 'paid' })
+
+    await invoke()
+    expect(account().failed_attempts).toBe(1)
+    expect(account().campaigns_paused_at).toBeNull()
+    expect(db.table('campaigns')[0].status).toBe('active')
+    expect(dunningEmails()).toHaveLength(0)
+
+    await invoke()
+    expect(chargedPaymentIntents()).toHaveLength(1)
+    expect(account().status).toBe('current')
+  })
+
+  it('sends the same idempotency key when saving the PaymentIntent failed', async () => {
+    db.failNext('payment_receivables', 'update', 'connection reset')
+
+    await invoke()
+    expect(receivables().every(r => r.stripe_payment_intent_id === null)).toBe(true)
+    expect(account().failed_attempts).toBe(0)
+
+    await invoke()
+    expect(stripeState.createCalls).toHaveLength(2)
+    expect(stripeState.createCalls[1].idempotencyKey).toBe(stripeState.createCalls[0].idempotencyKey)
+    expect(chargedPaymentIntents()).toHaveLength(1)
+    expect(account().status).toBe('current')
+  })
+
+  it('counts a declined card as a failed retry and sends a reminder', async () => {
+    stripeState.declines.push('card_declined')
+
+    const { body } = await invoke()
+    expect(body.retries_failed).toBe(1)
+    expect(account()).toMatchObject({ failed_attempts: 1, notices_sent: 2 })
+    expect(account().next_attempt_at).not.toBeNull()
+    expect(dunningEmails()).toHaveLength(1)
+    expect(receivables().every(r => r.status === 'open')).toBe(true)
+  })
+
+  it('counts a saved PaymentIntent that did not go through as a failed retry', async () => {
+    stripeState.paymentIntents.set('pi_failed', { id: 'pi_failed', status: 'requires_payment_method', amount: 300 })
+    for (const receivable of receivables()) receivable.stripe_payment_intent_id = 'pi_failed'
+
+    const { body } = await invoke()
+    expect(body.retries_failed).toBe(1)
+    expect(account().failed_attempts).toBe(1)
+    expect(receivables().every(r => r.stripe_payment_intent_id === null)).toBe(true)
+    expect(stripeState.createCalls).toHaveLength(0)
+  })
+
+  it('sends the first notice before any retry', async () => {
+    db.table('dunning_accounts')[0].notices_sent = 0
+
+    const { body } = await invoke()
+    expect(body.notices_sent).toBe(1)
+    expect(stripeState.createCalls).toHaveLength(0)
+    expect(dunningEmails()).toHaveLength(1)
+    expect(account()).toMatchObject({ status: 'past_due', failed_attempts: 0, notices_sent: 1 })
+    expect(account().next_attempt_at).not.toBeNull()
+  })
+
+  it('pauses the active campaigns once retries reach the limit', async () => {
+    db.table('dunning_accounts')[0].failed_attempts = 1
+    stripeState.declines.push('card_declined')
+
+    const { body } = await invoke()
+    expect(body.campaigns_paused).toBe(1)
+    expect(account().failed_attempts).toBe(2)
+    expect(account().campaigns_paused_at).not.toBeNull()
+    expect(db.table('campaigns')[0]).toMatchObject({ status: 'paused', paused_by: null })
+    expect(db.table('campaigns')[0].dunning_paused_at).not.toBeNull()
+  })
+
+  it('resumes only the campaigns dunning paused once the balance is collected', async () => {
+    const pausedAt = '2026-10-18T12:00:00Z'
+    db.table('dunning_accounts')[0].campaigns_paused_at = pausedAt
+    Object.assign(db.table('campaigns')[0], { status: 'paused', paused_at: pausedAt, dunning_paused_at: pausedAt })
+    db.seed('campaigns', [{
+      id: 'campaign-2',
+      user_id: USER_ID,
+      campaign_name: 'Paused by admin',
+      status: 'paused',
+      paused_by: 'admin-1',
+      deleted_at: null,
+      dunning_paused_at: null,
+    }])
+
+    const { body } = await invoke()
+    expect(body.accounts_collected).toBe(1)
+    expect(body.campaigns_resumed).toBe(1)
+    expect(db.table('campaigns').map(c => [c.id, c.status])).toEqual([['campaign-1', 'active'], ['campaign-2', 'paused']])
+    expect(account()).toMatchObject({ status: 'current', campaigns_paused_at: null })
+  })
+})
@@ -0,0 +1,173 @@
+import { beforeAll, beforeEach, describe, expect, it } from 'vitest'
+import { invoke } from './support/serve.ts'
+import { createClient, type FakeDatabase } from './support/supabase.ts'
+import { chargedPaymentIntents, stripeState } from './support/stripe.ts'
+
+const USER_ID = 'user-1'
+const CAMPAIGN_ID = 'campaign-1'
+
+let db: FakeDatabase
+
+function yesterday(): string {
+  return new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().split('T')[0]
+}
+
+beforeAll(async () => {
+  await import('../process-pending-charges/index.ts')
+})
+
+beforeEach(() => {
+  db = createClient()
+
+  db.seed('customers', [{ id: 'customer-1', user_id: USER_ID, stripe_customer_id: 'cus_1' }])
+  db.seed('payment_methods', [{ customer_id: 'customer-1', stripe_payment_method_id: 'pm_1', is_default: true }])
+  db.seed('newmover', [
+    { id: 'mover-1', outbox_state: 'batched' },
+    { id: 'mover-2', outbox_state: 'batched' },
+  ])
+  db.seed('pending_charges', ['mover-1', 'mover-2'].map((moverId, index) => ({
+    id: `charge-${index + 1}`,
+    campaign_id: CAMPAIGN_ID,
+    user_id: USER_ID,
+    new_mover_count: 1,
+    amount_cents: 150,
+    amount_dollars: 1.5,
+    scheduled_for: yesterday(),
+    is_test_mode: true,
+    processed: false,
+    failed_at: null,
+    next_attempt_at: null,
+    attempt_count: 0,
+    stripe_payment_intent_id: null,
+    metadata: { new_mover_id: moverId },
+    created_at: `2026-10-18T00:00:0${index}Z`,
+  })))
+})
+
+function pendingCharges() {
+  return db.table('pending_charges')
+}
+
+describe('process-pending-charges', () => {
+  it('charges each user once and settles their pending charges', async () => {
+    const { body } = await invoke()
+
+    expect(body.users_charged).toBe(1)
+    expect(chargedPaymentIntents()).toHaveLength(1)
+    expect(chargedPaymentIntents()[0].amount).toBe(300)
+
+    const [transaction] = db.table('transactions')
+    expect(transaction.billing_reason).toBe('daily_batch')
+    expect(pendingCharges().every(c => c.processed && c.transaction_id === transaction.id)).toBe(true)
+    expect(db.table('newmover').every(m => m.outbox_state === 'charged')).toBe(true)
+  })
+
+  it('reuses the PaymentIntent when the transaction insert failed after the charge', async () => {
+    db.failNext('transactions', 'insert', 'connection reset')
+
+    const first = await invoke()
+    expect(first.body.users_charged).toBe(0)
+    expect(first.body.errors[0].charged).toBe(true)
+
+    const paymentIntentId = chargedPaymentIntents()[0].id
+    expect(pendingCharges().every(c => c.stripe_payment_intent_id === paymentIntentId)).toBe(true)
+    expect(pendingCharges().every(c => c.attempt_count === 0 && c.failed_at === null)).toBe(true)
+    expect(pendingCharges().every(c => c.next_attempt_at === null)).toBe(true)
+
+    const second = await invoke()
+    expect(second.body.users_charged).toBe(1)
+    expect(chargedPaymentIntents()).toHaveLength(1)
+    expect(stripeState.createCalls).toHaveLength(1)
+    expect(db.table('transactions')).toHaveLength(1)
+    expect(db.table('transactions')[0].stripe_payment_intent_id).toBe(paymentIntentId)
+    expect(pendingCharges().every(c => c.processed)).toBe(true)
+  })
+
+  it('reuses the PaymentIntent when settling the pending charges failed after the charge', async () => {
+    db.failNext('pending_charges', 'update', 'statement timeout', { when: fields => fields.processed === true })
+
+    const first = await invoke()
+    expect(first.body.errors[0].charged).toBe(true)
+    expect(pendingCharges().every(c => !c.processed && c.attempt_count === 0)).toBe(true)
+
+    const second = await invoke()
+    expect(second.body.users_charged).toBe(1)
+    expect(chargedPaymentIntents()).toHaveLength(1)
+    expect(db.table('transactions')).toHaveLength(1)
+    expect(pendingCharges().every(c => c.processed)).toBe(true)
+  })
+
+  it('sends the same idempotency key when saving the PaymentIntent failed', async () => {
+    db.failNext('pending_charges', 'update', 'connection reset')
+
+    await invoke()
+    expect(pendingCharges().every(c => c.stripe_payment_intent_id === null && c.attempt_count === 0)).toBe(true)
+
+    await invoke()
+    expect(stripeState.createCalls).toHaveLength(2)
+    expect(stripeState.createCalls[1].idempotencyKey).toBe(stripeState.createCalls[0].idempotencyKey)
+    expect(chargedPaymentIntents()).toHaveLength(1)
+    expect(pendingCharges().every(c => c.processed)).toBe(true)
+  })
+
+  it('settles only the rows a reused PaymentIntent paid for and charges the rest afresh', async () => {
+    stripeState.paymentIntents.set('pi_earlier', { id: 'pi_earlier', status: 'succeeded', amount: 150 })
+    pendingCharges()[0].stripe_payment_intent_id = 'pi_earlier'
+
+    const { body } = await invoke()
+    expect(body.users_charged).toBe(1)
+    expect(stripeState.createCalls).toHaveLength(1)
+    expect(stripeState.createCalls[0].params.amount).toBe(150)
+
+    const [earlier, fresh] = pendingCharges()
+    const transactions = db.table('transactions')
+    expect(transactions).toHaveLength(2)
+
+    const reused = transactions.find(t => t.stripe_payment_intent_id === 'pi_earlier')!
+    expect(reused.amount_cents).toBe(150)
+    expect(reused.metadata.pending_charge_ids).toEqual(['charge-1'])
+    expect(earlier).toMatchObject({ processed: true, transaction_id: reused.id })
+
+    const charged = transactions.find(t => t.stripe_payment_intent_id !== 'pi_earlier')!
+    expect(charged.metadata.pending_charge_ids).toEqual(['charge-2'])
+    expect(fresh).toMatchObject({ processed: true, transaction_id: charged.id, stripe_payment_intent_id: charged.stripe_payment_intent_id })
+  })
+
+  it('keeps a new day\'s rows out of an earlier batch\'s retry', async () => {
+    Object.assign(pendingCharges()[0], { attempt_count: 1, next_attempt_at: new Date(Date.now() - 1000).toISOString() })
+    stripeState.declines.push('card_declined')
+
+    const { body } = await invoke()
+    expect(body.users_charged).toBe(1)
+    expect(body.users_failed).toBe(1)
+    expect(stripeState.createCalls).toHaveLength(2)
+    expect(stripeState.createCalls[0].idempotencyKey).toMatch(/_2$/)
+    expect(stripeState.createCalls[1].idempotencyKey).toMatch(/_1$/)
+
+    const [retried, fresh] = pendingCharges()
+    expect(retried).toMatchObject({ processed: false, attempt_count: 2 })
+    expect(fresh).toMatchObject({ processed: true, attempt_count: 0 })
+  })
+
+  it('counts a saved PaymentIntent that did not go through as a failed attempt', async () => {
+    stripeState.paymentIntents.set('pi_failed', { id: 'pi_failed', status: 'requires_payment_method', amount: 300 })
+    for (const charge of pendingCharges()) charge.stripe_payment_intent_id = 'pi_failed'
+
+    const { body } = await invoke()
+    expect(body.users_failed).toBe(1)
+    expect(stripeState.createCalls).toHaveLength(0)
+    expect(db.table('transactions')).toHaveLength(0)
+    expect(pendingCharges().every(c => c.stripe_payment_intent_id === null && c.attempt_count === 1 && !c.processed)).toBe(true)
+  })
+
+  it('counts a declined card as a failed attempt and backs off', async () => {
+    stripeState.declines.push('card_declined')
+
+    const { body } = await invoke()
+    expect(body.users_failed).toBe(1)
+    expect(body.errors[0].error).toContain('Card declined')
+    expect(chargedPaymentIntents()).toHaveLength(0)
+    expect(pendingCharges().every(c => c.attempt_count === 1 && c.next_attempt_at !== null)).toBe(true)
+    expect(db.table('transactions')).toHaveLength(0)
+  })
+})
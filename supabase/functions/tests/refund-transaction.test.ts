@@ -0,0 +1,96 @@
+import { beforeAll, beforeEach, describe, expect, it } from 'vitest'
+import { invoke } from './support/serve.ts'
+import { createClient, type FakeDatabase } from './support/supabase.ts'
+import { seedCharge, stripeState } from './support/stripe.ts'
+import * as refunds from '../../../src/utils/refunds.js'
+import { REFUND_REASONS, REFUNDABLE_TRANSACTION_STATUSES } from '../_shared/transactionRefunds.ts'
+
+const ADMIN = { Authorization: 'Bearer admin-token' }
+
+let db: FakeDatabase
+
+beforeAll(async () => {
+  await import('../refund-transaction/index.ts')
+})
+
+beforeEach(() => {
+  db = createClient()
+
+  db.signIn('admin-token', { id: 'admin-1', email: 'admin@example.com' })
+  db.signIn('user-token', { id: 'user-1', email: 'owner@example.com' })
+  db.seed('profile', [
+    { user_id: 'admin-1', role: 'admin', is_blocked: false },
+    { user_id: 'user-1', role: 'user', is_blocked: false },
+  ])
+  db.seed('campaigns', [{ id: 'campaign-1', user_id: 'user-1', payment_status: 'paid' }])
+  db.seed('transactions', [{
+    id: 'transaction-1',
+    user_id: 'user-1',
+    campaign_id: 'campaign-1',
+    billing_reason: 'campaign_approval',
+    status: 'succeeded',
+    stripe_payment_intent_id: 'pi_1',
+    amount_cents: 5000,
+    amount_dollars: 50,
+    refund_amount_cents: 0,
+  }])
+  seedCharge({ id: 'ch_1', payment_intent: 'pi_1', amount: 5000 })
+})
+
+function transaction() {
+  return db.table('transactions')[0]
+}
+
+describe('refund-transaction', () => {
+  it('refunds part of a card payment and records it once', async () => {
+    const { status, body } = await invoke({ transactionId: 'transaction-1', amountCents: 1000, reason: 'duplicate_charge' }, ADMIN)
+
+    expect(status).toBe(200)
+    expect(body.success).toBe(true)
+    expect(stripeState.refunds).toHaveLength(1)
+    expect(stripeState.refunds[0]).toMatchObject({ payment_intent: 'pi_1', amount: 1000, reason: 'duplicate' })
+    expect(transaction()).toMatchObject({ status: 'partially_refunded', refund_amount_cents: 1000 })
+    expect(db.table('transaction_refunds')).toHaveLength(1)
+    expect(db.table('transaction_refunds')[0]).toMatchObject({ amount_cents: 1000, status: 'succeeded', refunded_by: 'admin-1' })
+    expect(db.table('campaigns')[0].payment_status).toBe('paid')
+  })
+
+  it('refuses more than is left to refund', async () => {
+    await invoke({ transactionId: 'transaction-1', amountCents: 4000, reason: 'customer_request' }, ADMIN)
+    const { status, body } = await invoke({ transactionId: 'transaction-1', amountCents: 1500, reason: 'customer_request' }, ADMIN)
+
+    expect(status).toBe(409)
+    expect(body.error).toBe('Only $10.00 is left to refund on this transaction')
+    expect(stripeState.refunds).toHaveLength(1)
+  })
+
+  it('marks the campaign refunded once the rest is refunded', async () => {
+    await invoke({ transactionId: 'transaction-1', amountCents: 1000, reason: 'customer_request' }, ADMIN)
+    await invoke({ transactionId: 'transaction-1', amountCents: 4000, reason: 'customer_request' }, ADMIN)
+
+    expect(transaction()).toMatchObject({ status: 'refunded', refund_amount_cents: 5000 })
+    expect(db.table('transaction_refunds')).toHaveLength(2)
+    expect(db.table('campaigns')[0].payment_status).toBe('refunded')
+  })
+
+  it('needs a note for other reasons', async () => {
+    const { status, body } = await invoke({ transactionId: 'transaction-1', amountCents: 1000, reason: 'other', note: ' ' }, ADMIN)
+
+    expect(status).toBe(400)
+    expect(body.error).toBe('Add a note explaining the refund')
+    expect(stripeState.refunds).toHaveLength(0)
+  })
+
+  it('is for admins only', async () => {
+    const { status } = await invoke({ transactionId: 'transaction-1', amountCents: 1000, reason: 'customer_request' }, { Authorization: 'Bearer user-token' })
+
+    expect(status).toBe(403)
+    expect(stripeState.refunds).toHaveLength(0)
+  })
+
+  it('offers the same reasons and refundable statuses as the admin page', () => {
+    expect(Object.fromEntries(Object.entries(REFUND_REASONS).map(([key, { label }]) => [key, label])))
+      .toEqual(refunds.REFUND_REASONS)
+    expect(REFUNDABLE_TRANSACTION_STATUSES).toEqual(refunds.REFUNDABLE_TRANSACTION_STATUSES)
+  })
+})
@@ -0,0 +1,32 @@
+/**
+ * SERVE SHIM
+ *
+ * Replaces std/http serve(): keeps the handler an edge function registers so
+ * a test can call it with a Request.
+ */
+
+type Handler = (request: Request) => Response | Promise<Response>
+
+let servedHandler: Handler | null = null
+
+export function serve(handler: Handler): void {
+  servedHandler = handler
+}
+
+/**
+ * Call the last registered handler and parse its JSON body
+ */
+export async function invoke(
+  body: unknown = {},
+  headers: Record<string, string> = {}
+): Promise<{ status: number; body: any }> {
+  if (!servedHandler) throw new Error('No edge function has called serve()')
+
+  const response = await servedHandler(new Request('http://localhost/', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  }))
+
+  return { status: response.status, body: await response.json() }
+}
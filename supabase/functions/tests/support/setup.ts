@@ -0,0 +1,40 @@
+/**
+ * TEST SETUP
+ *
+ * Gives the edge functions the Deno globals they read at import time, and
+ * records outgoing fetch calls (send-email and the like) instead of sending
+ * them. Every test starts with an empty database and Stripe account.
+ */
+
+import { beforeEach, vi } from 'vitest'
+import { resetDatabase } from './supabase.ts'
+import { resetStripe } from './stripe.ts'
+
+const env: Record<string, string> = {
+  SUPABASE_URL: 'http://supabase.test',
+  SUPABASE_SERVICE_ROLE_KEY: 'service-role-key',
+  STRIPE_SECRET_KEY: 'sk_test_fake',
+  FRONTEND_URL: 'http://app.test',
+}
+
+;(globalThis as any).Deno = {
+  env: {
+    get: (name: string) => env[name],
+  },
+}
+
+export const sentRequests: Array<{ url: string; body: any }> = []
+
+beforeEach(() => {
+  resetDatabase()
+  resetStripe()
+  sentRequests.length = 0
+
+  vi.stubGlobal('fetch', vi.fn(async (url: string, init: RequestInit = {}) => {
+    sentRequests.push({ url: String(url), body: init.body ? JSON.parse(String(init.body)) : null })
+    return new Response('{}', { status: 200, headers: { 'Content-Type': 'application/json' } })
+  }))
+
+  vi.spyOn(console, 'log').mockImplementation(() => {})
+  vi.spyOn(console, 'error').mockImplementation(() => {})
+})
@@ -0,0 +1,174 @@
+/**
+ * FAKE STRIPE CLIENT
+ *
+ * Stands in for the Stripe SDK the edge functions import. PaymentIntents and
+ * refunds are kept in memory; idempotency keys behave like Stripe's (the
+ * same key returns the same object), so a test can tell a retry that reuses
+ * a PaymentIntent from one that charges the card again.
+ */
+
+type StripeObject = Record<string, any>
+
+export interface StripeState {
+  paymentIntents: Map<string, StripeObject>
+  charges: Map<string, StripeObject>
+  refunds: StripeObject[]
+  idempotencyKeys: Map<string, string>
+  /** Every paymentIntents.create call, including idempotent replays */
+  createCalls: Array<{ params: StripeObject; idempotencyKey: string | undefined }>
+  /** Decline the next N new PaymentIntents with this code */
+  declines: string[]
+}
+
+export const stripeState: StripeState = newState()
+
+function newState(): StripeState {
+  return {
+    paymentIntents: new Map(),
+    charges: new Map(),
+    refunds: [],
+    idempotencyKeys: new Map(),
+    createCalls: [],
+    declines: [],
+  }
+}
+
+export function resetStripe(): StripeState {
+  Object.assign(stripeState, newState())
+  return stripeState
+}
+
+/**
+ * Add a succeeded card charge that refunds can be made against
+ */
+export function seedCharge(charge: { id: string; payment_intent: string; amount: number }): void {
+  stripeState.charges.set(charge.id, { object: 'charge', amount_refunded: 0, refunded: false, ...charge })
+}
+
+/**
+ * PaymentIntents that actually took money (not idempotent replays)
+ */
+export function chargedPaymentIntents(): StripeObject[] {
+  return [...stripeState.paymentIntents.values()].filter(pi => pi.status === 'succeeded')
+}
+
+class StripeCardError extends Error {
+  type = 'StripeCardError'
+  constructor(public code: string) {
+    super(`Your card was declined (${code}).`)
+  }
+}
+
+function id(prefix: string): string {
+  return `${prefix}_${crypto.randomUUID().replace(/-/g, '').slice(0, 24)}`
+}
+
+export default class Stripe {
+  static createFetchHttpClient() {
+    return {}
+  }
+
+  static createSubtleCryptoProvider() {
+    return {}
+  }
+
+  paymentIntents = {
+    create: async (params: StripeObject, options: { idempotencyKey?: string } = {}) => {
+      stripeState.createCalls.push({ params, idempotencyKey: options.idempotencyKey })
+
+      const replayed = options.idempotencyKey && stripeState.idempotencyKeys.get(options.idempotencyKey)
+      if (replayed) return structuredClone(stripeState.paymentIntents.get(replayed))
+
+      const decline = stripeState.declines.shift()
+      if (decline) throw new StripeCardError(decline)
+
+      const manual = params.capture_method === 'manual'
+      const paymentIntent = {
+        id: id('pi'),
+        object: 'payment_intent',
+        amount: params.amount,
+        amount_received: manual ? 0 : params.amount,
+        currency: params.currency,
+        customer: params.customer,
+        payment_method: params.payment_method,
+        capture_method: params.capture_method || 'automatic',
+        status: manual ? 'requires_capture' : 'succeeded',
+        latest_charge: id('ch'),
+        livemode: false,
+        metadata: params.metadata || {},
+      }
+
+      stripeState.paymentIntents.set(paymentIntent.id, paymentIntent)
+      if (options.idempotencyKey) stripeState.idempotencyKeys.set(options.idempotencyKey, paymentIntent.id)
+
+      return structuredClone(paymentIntent)
+    },
+
+    retrieve: async (paymentIntentId: string) => {
+      const paymentIntent = stripeState.paymentIntents.get(paymentIntentId)
+      if (!paymentIntent) throw new Error(`No such payment_intent: '${paymentIntentId}'`)
+      return structuredClone(paymentIntent)
+    },
+
+    capture: async (paymentIntentId: string) => {
+      const paymentIntent = stripeState.paymentIntents.get(paymentIntentId)
+      if (!paymentIntent) throw new Error(`No such payment_intent: '${paymentIntentId}'`)
+      paymentIntent.status = 'succeeded'
+      paymentIntent.amount_received = paymentIntent.amount
+      return structuredClone(paymentIntent)
+    },
+
+    cancel: async (paymentIntentId: string) => {
+      const paymentIntent = stripeState.paymentIntents.get(paymentIntentId)
+      if (!paymentIntent) throw new Error(`No such payment_intent: '${paymentIntentId}'`)
+      paymentIntent.status = 'canceled'
+      return structuredClone(paymentIntent)
+    },
+  }
+
+  charges = {
+    retrieve: async (chargeId: string) => {
+      const charge = stripeState.charges.get(chargeId)
+      if (!charge) throw new Error(`No such charge: '${chargeId}'`)
+      return structuredClone(charge)
+    },
+  }
+
+  refunds = {
+    /**
+     * Refunds a charge seeded in stripeState.charges, or just records the
+     * refund when the charge isn't known
+     */
+    create: async (params: StripeObject, options: { idempotencyKey?: string } = {}) => {
+      const charge = [...stripeState.charges.values()].find(c =>
+        c.id === params.charge || (params.payment_intent && c.payment_intent === params.payment_intent)
+      )
+      const amount = params.amount ?? (charge ? charge.amount - charge.amount_refunded : undefined)
+
+      const refund = {
+        id: id('re'),
+        object: 'refund',
+        amount,
+        payment_intent: params.payment_intent || charge?.payment_intent || null,
+        charge: charge?.id || params.charge || null,
+        status: 'succeeded',
+        reason: params.reason || null,
+        metadata: params.metadata || {},
+        created: Math.floor(Date.now() / 1000),
+        idempotencyKey: options.idempotencyKey,
+      }
+      stripeState.refunds.push(refund)
+
+      if (charge) {
+        charge.amount_refunded += amount
+        charge.refunded = charge.amount_refunded >= charge.amount
+      }
+
+      return structuredClone(refund)
+    },
+
+    list: async ({ charge }: { charge: string }) => ({
+      data: stripeState.refunds.filter(refund => refund.charge === charge).map(refund => structuredClone(refund)),
+    }),
+  }
+}
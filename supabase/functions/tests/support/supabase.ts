@@ -0,0 +1,330 @@
+/**
+ * FAKE SUPABASE CLIENT
+ *
+ * In-memory stand-in for the service role client the edge functions create.
+ * Supports the PostgREST calls they make (filters, insert/update/upsert/
+ * delete, single/maybeSingle, rpc) against plain row arrays. Select lists
+ * are not applied: every column of a matching row is returned.
+ *
+ * Tests seed tables, inject errors with failNext(), register RPCs and sign
+ * users in (auth.getUser() accepts their tokens); the functions under test
+ * get the current database from createClient().
+ */
+
+type Row = Record<string, any>
+type Operation = 'select' | 'insert' | 'update' | 'upsert' | 'delete'
+type Filter = (row: Row) => boolean
+type RpcHandler = (args: Record<string, any>, db: FakeDatabase) => any
+
+interface InjectedFailure {
+  table: string
+  operation: Operation
+  message: string
+  skip: number
+  when: ((payload: any) => boolean) | null
+}
+
+interface FailureOptions {
+  /** Let this many matching calls through first */
+  skip?: number
+  /** Only fail calls whose insert/update payload matches */
+  when?: (payload: any) => boolean
+}
+
+export class FakeDatabase {
+  tables: Record<string, Row[]> = {}
+  rpcCalls: Array<{ name: string; args: Record<string, any> }> = []
+  private failures: InjectedFailure[] = []
+  private rpcHandlers: Record<string, RpcHandler> = {}
+  private sessions: Record<string, { id: string; email: string | null }> = {}
+
+  auth = {
+    getUser: async (token: string) => {
+      const user = this.sessions[token] ?? null
+      return { data: { user }, error: user ? null : { message: 'invalid JWT' } }
+    },
+  }
+
+  seed(table: string, rows: Row[]): void {
+    this.tables[table] = [...this.table(table), ...rows.map(row => ({ id: crypto.randomUUID(), ...row }))]
+  }
+
+  table(name: string): Row[] {
+    if (!this.tables[name]) this.tables[name] = []
+    return this.tables[name]
+  }
+
+  /**
+   * Make the next matching `operation` on `table` return a PostgREST-style
+   * error
+   */
+  failNext(table: string, operation: Operation, message = 'injected failure', options: FailureOptions = {}): void {
+    this.failures.push({ table, operation, message, skip: options.skip || 0, when: options.when || null })
+  }
+
+  takeFailure(table: string, operation: Operation, payload: any): { message: string } | null {
+    const index = this.failures.findIndex(f =>
+      f.table === table && f.operation === operation && (!f.when || f.when(payload))
+    )
+    if (index === -1) return null
+    if (this.failures[index].skip > 0) {
+      this.failures[index].skip--
+      return null
+    }
+    const [failure] = this.failures.splice(index, 1)
+    return { message: failure.message }
+  }
+
+  /**
+   * Accept `token` as the user's access token
+   */
+  signIn(token: string, user: { id: string; email?: string | null }): void {
+    this.sessions[token] = { id: user.id, email: user.email ?? null }
+  }
+
+  onRpc(name: string, handler: RpcHandler): void {
+    this.rpcHandlers[name] = handler
+  }
+
+  from(table: string): QueryBuilder {
+    return new QueryBuilder(this, table)
+  }
+
+  async rpc(name: string, args: Record<string, any> = {}): Promise<{ data: any; error: any }> {
+    this.rpcCalls.push({ name, args })
+    const handler = this.rpcHandlers[name]
+    if (!handler) return { data: null, error: null }
+
+    try {
+      return { data: await handler(args, this), error: null }
+    } catch (error: any) {
+      return { data: null, error: { message: error.message } }
+    }
+  }
+}
+
+function columnValue(row: Row, column: string): any {
+  const [base, key] = column.split('->>')
+  return key === undefined ? row[base] : row[base]?.[key]
+}
+
+function parseValue(value: string): any {
+  if (value === 'null') return null
+  if (value === 'true') return true
+  if (value === 'false') return false
+  return value
+}
+
+function compare(operator: string, actual: any, expected: any): boolean {
+  switch (operator) {
+    case 'eq': return actual === expected
+    case 'neq': return actual !== expected
+    case 'is': return expected === null ? actual === null || actual === undefined : actual === expected
+    case 'lt': return actual !== null && actual !== undefined && actual < expected
+    case 'lte': return actual !== null && actual !== undefined && actual <= expected
+    case 'gt': return actual !== null && actual !== undefined && actual > expected
+    case 'gte': return actual !== null && actual !== undefined && actual >= expected
+    case 'in': return (expected as any[]).includes(actual)
+    default: throw new Error(`Fake Supabase: unsupported operator ${operator}`)
+  }
+}
+
+class QueryBuilder implements PromiseLike<{ data: any; error: any; count?: number }> {
+  private filters: Filter[] = []
+  private operation: Operation = 'select'
+  private payload: Row | Row[] | null = null
+  private upsertConflict: string[] = ['id']
+  private returning = false
+  private cardinality: 'many' | 'single' | 'maybeSingle' = 'many'
+  private ordering: Array<{ column: string; ascending: boolean }> = []
+  private rowLimit: number | null = null
+  private rowOffset = 0
+  private wantCount = false
+
+  constructor(private db: FakeDatabase, private tableName: string) {}
+
+  select(_columns = '*', options: { count?: string; head?: boolean } = {}): this {
+    if (this.operation === 'select') {
+      this.wantCount = Boolean(options.count)
+    } else {
+      this.returning = true
+    }
+    return this
+  }
+
+  insert(rows: Row | Row[]): this {
+    this.operation = 'insert'
+    this.payload = rows
+    return this
+  }
+
+  update(fields: Row): this {
+    this.operation = 'update'
+    this.payload = fields
+    return this
+  }
+
+  upsert(rows: Row | Row[], options: { onConflict?: string } = {}): this {
+    this.operation = 'upsert'
+    this.payload = rows
+    if (options.onConflict) this.upsertConflict = options.onConflict.split(',').map(c => c.trim())
+    return this
+  }
+
+  delete(): this {
+    this.operation = 'delete'
+    return this
+  }
+
+  eq(column: string, value: any): this { return this.where(column, 'eq', value) }
+  neq(column: string, value: any): this { return this.where(column, 'neq', value) }
+  is(column: string, value: any): this { return this.where(column, 'is', value) }
+  lt(column: string, value: any): this { return this.where(column, 'lt', value) }
+  lte(column: string, value: any): this { return this.where(column, 'lte', value) }
+  gt(column: string, value: any): this { return this.where(column, 'gt', value) }
+  gte(column: string, value: any): this { return this.where(column, 'gte', value) }
+  in(column: string, values: any[]): this { return this.where(column, 'in', values) }
+
+  not(column: string, operator: string, value: any): this {
+    this.filters.push(row => !compare(operator, columnValue(row, column), value))
+    return this
+  }
+
+  /**
+   * PostgREST or() filter: "col.op.value,col.op.value"
+   */
+  or(expression: string): this {
+    const clauses = expression.split(',').map(clause => {
+      const [column, operator, ...rest] = clause.split('.')
+      return { column, operator, value: parseValue(rest.join('.')) }
+    })
+    this.filters.push(row => clauses.some(c => compare(c.operator, columnValue(row, c.column), c.value)))
+    return this
+  }
+
+  order(column: string, options: { ascending?: boolean } = {}): this {
+    this.ordering.push({ column, ascending: options.ascending !== false })
+    return this
+  }
+
+  limit(count: number): this {
+    this.rowLimit = count
+    return this
+  }
+
+  range(from: number, to: number): this {
+    this.rowOffset = from
+    this.rowLimit = to - from + 1
+    return this
+  }
+
+  single(): this {
+    this.cardinality = 'single'
+    return this
+  }
+
+  maybeSingle(): this {
+    this.cardinality = 'maybeSingle'
+    return this
+  }
+
+  then<TResult1 = any, TResult2 = never>(
+    onfulfilled?: ((value: { data: any; error: any; count?: number }) => TResult1 | PromiseLike<TResult1>) | null,
+    onrejected?: ((reason: any) => TResult2 | PromiseLike<TResult2>) | null
+  ): PromiseLike<TResult1 | TResult2> {
+    return Promise.resolve().then(() => this.execute()).then(onfulfilled, onrejected)
+  }
+
+  private where(column: string, operator: string, value: any): this {
+    this.filters.push(row => compare(operator, columnValue(row, column), value))
+    return this
+  }
+
+  private matching(): Row[] {
+    return this.db.table(this.tableName).filter(row => this.filters.every(filter => filter(row)))
+  }
+
+  private execute(): { data: any; error: any; count?: number } {
+    const failure = this.db.takeFailure(this.tableName, this.operation, this.payload)
+    if (failure) return { data: null, error: failure }
+
+    let rows: Row[]
+
+    switch (this.operation) {
+      case 'select':
+        rows = this.matching()
+        break
+      case 'insert':
+        rows = this.asRows().map(row => {
+          const inserted = { id: crypto.randomUUID(), created_at: new Date().toISOString(), ...row }
+          this.db.table(this.tableName).push(inserted)
+          return inserted
+        })
+        break
+      case 'update':
+        rows = this.matching()
+        for (const row of rows) Object.assign(row, this.payload)
+        break
+      case 'upsert':
+        rows = this.asRows().map(row => {
+          const existing = this.db.table(this.tableName).find(candidate =>
+            this.upsertConflict.every(column => row[column] !== undefined && candidate[column] === row[column])
+          )
+          if (existing) return Object.assign(existing, row)
+          const inserted = { id: crypto.randomUUID(), created_at: new Date().toISOString(), ...row }
+          this.db.table(this.tableName).push(inserted)
+          return inserted
+        })
+        break
+      case 'delete': {
+        rows = this.matching()
+        const table = this.db.table(this.tableName)
+        this.db.tables[this.tableName] = table.filter(row => !rows.includes(row))
+        break
+      }
+    }
+
+    if (this.operation !== 'select' && !this.returning) {
+      return { data: null, error: null }
+    }
+
+    for (const { column, ascending } of [...this.ordering].reverse()) {
+      rows = [...rows].sort((a, b) => {
+        if (a[column] === b[column]) return 0
+        return (a[column] > b[column] ? 1 : -1) * (ascending ? 1 : -1)
+      })
+    }
+
+    const count = rows.length
+    rows = rows.slice(this.rowOffset, this.rowLimit === null ? undefined : this.rowOffset + this.rowLimit)
+    const copies = rows.map(row => structuredClone(row))
+
+    if (this.cardinality === 'many') {
+      return { data: copies, error: null, ...(this.wantCount && { count }) }
+    }
+
+    if (copies.length > 1 || (this.cardinality === 'single' && copies.length === 0)) {
+      return { data: null, error: { message: `JSON object requested, ${copies.length} rows returned`, code: 'PGRST116' } }
+    }
+
+    return { data: copies[0] ?? null, error: null }
+  }
+
+  private asRows(): Row[] {
+    return Array.isArray(this.payload) ? this.payload : [this.payload as Row]
+  }
+}
+
+let currentDatabase = new FakeDatabase()
+
+/**
+ * Start every test from an empty database
+ */
+export function resetDatabase(): FakeDatabase {
+  currentDatabase = new FakeDatabase()
+  return currentDatabase
+}
+
+export function createClient(_url?: string, _key?: string, _options?: unknown): FakeDatabase {
+  return currentDatabase
+}
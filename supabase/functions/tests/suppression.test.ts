@@ -0,0 +1,76 @@
+import { beforeEach, describe, expect, it } from 'vitest'
+import { findSuppression } from '../_shared/suppression.ts'
+import { standardizeMailingAddress } from '../_shared/addressStandardization.ts'
+import { createClient, type FakeDatabase } from './support/supabase.ts'
+import { parseSuppressionCsv } from '../../../src/utils/suppression.js'
+
+// Entries are standardized by the app (src/utils/suppression.js) when they
+// are saved, movers by the senders when they are verified; the database then
+// compares them through the same normalization. These mirror
+// suppression_normalize_address / suppression_normalize_zip4.
+const digits = (value: string | null) => (value || '').replace(/[^0-9]/g, '')
+
+const normalizeAddress = (line: string | null, zip: string | null) => {
+  const street = (line || '').toUpperCase().replace(/[^A-Z0-9]+/g, ' ').trim()
+  const zip5 = digits(zip).slice(0, 5)
+  return street && zip5 ? `${street}|${zip5}` : null
+}
+
+const normalizeZip4 = (zip: string | null) =>
+  /^\d{9}$/.test(digits(zip)) ? `${digits(zip).slice(0, 5)}-${digits(zip).slice(5)}` : null
+
+const ENTRIES_CSV = [
+  'type,address_line,zip_code,melissa_address_key,reason,note',
+  ',123 North Main Street Apartment 4B,62704,,opt_out,',
+  ',Post Office Box 77,10001,,existing_customer,',
+  'zip4,,90210-1234,,legal,',
+].join('\n')
+
+let db: FakeDatabase
+
+beforeEach(() => {
+  db = createClient()
+
+  const { entries, errors } = parseSuppressionCsv(ENTRIES_CSV)
+  expect(errors).toEqual([])
+
+  const saved = entries.map((entry: any, index: number) => ({
+    id: `entry-${index + 1}`,
+    user_id: 'user-1',
+    ...entry,
+    match_value: entry.match_type === 'zip4'
+      ? normalizeZip4(entry.zip_code)
+      : normalizeAddress(entry.address_line, entry.zip_code),
+  }))
+
+  db.onRpc('find_suppression', args => saved
+    .filter(entry => entry.match_type === 'zip4'
+      ? entry.match_value === normalizeZip4(args.p_zip_code)
+      : entry.match_value === normalizeAddress(args.p_address_line, args.p_zip_code))
+    .map(entry => ({ id: entry.id, scope: 'account', match_type: entry.match_type, reason: entry.reason })))
+})
+
+const verifiedMover = (address_line: string, zip_code: string, city = 'Springfield', state = 'IL') => {
+  const { address } = standardizeMailingAddress({ address_line, city, state, zip_code })
+  return { address_line, zip_code, verified_address: address }
+}
+
+describe('suppression matching across the app and the senders', () => {
+  it.each([
+    ['123 N. Main St., Apt 4B', '62704', 'entry-1'],
+    ['123 north main street apt. 4b', '62704-5555', 'entry-1'],
+    ['PO Box 77', '10001', 'entry-2'],
+    ['P.O. Box 77', '10001', 'entry-2'],
+    ['9 Palm Dr', '902101234', 'entry-3'],
+  ])('matches a mover at %s %s to the entry saved by the app', async (line, zip, entryId) => {
+    const match = await findSuppression(db, 'user-1', verifiedMover(line, zip))
+
+    expect(match?.id).toBe(entryId)
+  })
+
+  it('does not match a different unit or ZIP', async () => {
+    expect(await findSuppression(db, 'user-1', verifiedMover('123 N Main St Apt 4C', '62704'))).toBeNull()
+    expect(await findSuppression(db, 'user-1', verifiedMover('123 N Main St Apt 4B', '62705'))).toBeNull()
+    expect(db.rpcCalls.filter(call => call.name === 'find_suppression')).toHaveLength(4)
+  })
+})
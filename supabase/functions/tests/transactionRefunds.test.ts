@@ -0,0 +1,81 @@
+import { beforeEach, describe, expect, it } from 'vitest'
+import { syncChargeRefunds } from '../_shared/transactionRefunds.ts'
+import { createClient, type FakeDatabase } from './support/supabase.ts'
+import Stripe, { seedCharge } from './support/stripe.ts'
+
+const USER_ID = 'user-1'
+const CAMPAIGN_ID = 'campaign-1'
+
+let db: FakeDatabase
+const stripe = new Stripe()
+
+function seedTransaction(fields: Record<string, any>) {
+  db.seed('transactions', [{
+    user_id: USER_ID,
+    campaign_id: CAMPAIGN_ID,
+    status: 'succeeded',
+    refund_amount_cents: 0,
+    ...fields,
+  }])
+  seedCharge({ id: `ch_${fields.id}`, payment_intent: fields.stripe_payment_intent_id, amount: fields.amount_cents })
+  return db.table('transactions').find(t => t.id === fields.id)!
+}
+
+function campaign() {
+  return db.table('campaigns')[0]
+}
+
+beforeEach(() => {
+  db = createClient()
+  db.seed('campaigns', [{ id: CAMPAIGN_ID, user_id: USER_ID, payment_status: 'paid' }])
+})
+
+describe('syncChargeRefunds', () => {
+  it('leaves the campaign paid when a single postcard charge is fully refunded', async () => {
+    const transaction = seedTransaction({
+      id: 'mover-charge',
+      billing_reason: 'new_mover_addition',
+      stripe_payment_intent_id: 'pi_mover',
+      amount_cents: 150,
+    })
+
+    await stripe.refunds.create({ payment_intent: 'pi_mover' })
+    const sync = await syncChargeRefunds(db, stripe, transaction, 'ch_mover-charge')
+
+    expect(sync).toMatchObject({ status: 'refunded', refundAmountCents: 150, fullyRefunded: true })
+    expect(db.table('transactions')[0].status).toBe('refunded')
+    expect(campaign().payment_status).toBe('paid')
+  })
+
+  it('marks the campaign refunded when the charge that paid for it is fully refunded', async () => {
+    const transaction = seedTransaction({
+      id: 'approval-charge',
+      billing_reason: 'campaign_approval',
+      stripe_payment_intent_id: 'pi_approval',
+      amount_cents: 5000,
+    })
+
+    await stripe.refunds.create({ payment_intent: 'pi_approval' })
+    await syncChargeRefunds(db, stripe, transaction, 'ch_approval-charge')
+
+    expect(campaign().payment_status).toBe('refunded')
+  })
+
+  it('records a partial refund made outside the admin page once', async () => {
+    const transaction = seedTransaction({
+      id: 'approval-charge',
+      billing_reason: 'campaign_approval',
+      stripe_payment_intent_id: 'pi_approval',
+      amount_cents: 5000,
+    })
+
+    await stripe.refunds.create({ payment_intent: 'pi_approval', amount: 1000, reason: 'duplicate' })
+    const first = await syncChargeRefunds(db, stripe, transaction, 'ch_approval-charge')
+    await syncChargeRefunds(db, stripe, transaction, 'ch_approval-charge')
+
+    expect(first).toMatchObject({ status: 'partially_refunded', refundAmountCents: 1000, fullyRefunded: false })
+    expect(db.table('transaction_refunds')).toHaveLength(1)
+    expect(db.table('transaction_refunds')[0]).toMatchObject({ amount_cents: 1000, reason: 'duplicate_charge', status: 'succeeded' })
+    expect(campaign().payment_status).toBe('paid')
+  })
+})
@@ -0,0 +1,19 @@
+-- Record which mover data provider each campaign polls
+-- The poller resolves this through supabase/functions/_shared/moverProviders.ts
+
+ALTER TABLE campaigns
+  ADD COLUMN IF NOT EXISTS data_provider TEXT NOT NULL DEFAULT 'melissa',
+  ADD COLUMN IF NOT EXISTS data_provider_connected_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE campaigns
+  DROP CONSTRAINT IF EXISTS campaigns_data_provider_check;
+
+ALTER TABLE campaigns
+  ADD CONSTRAINT campaigns_data_provider_check
+  CHECK (data_provider IN ('melissa', 'fixture'));
+
+-- Keep track of where each mover row came from
+ALTER TABLE newmover
+  ADD COLUMN IF NOT EXISTS data_provider TEXT NOT NULL DEFAULT 'melissa';
+
+CREATE INDEX IF NOT EXISTS idx_campaigns_data_provider ON campaigns(data_provider);
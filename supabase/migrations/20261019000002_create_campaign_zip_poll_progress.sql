@@ -0,0 +1,26 @@
+-- Per-ZIP pagination progress for the poller
+-- A "sweep" walks every result page of every ZIP in a campaign. When a run hits
+-- POLL_MAX_PAGES_PER_RUN (or crashes), these rows let the next run resume with
+-- the same cutoff date instead of starting over. Rows are deleted once every ZIP
+-- in the sweep is completed and campaigns.last_polled_at has been advanced.
+
+CREATE TABLE IF NOT EXISTS campaign_zip_poll_progress (
+  campaign_id UUID NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+  zip_code TEXT NOT NULL,
+  next_page INTEGER NOT NULL DEFAULT 1,
+  pages_fetched INTEGER NOT NULL DEFAULT 0,
+  completed BOOLEAN NOT NULL DEFAULT false,
+  cutoff_date TIMESTAMP WITH TIME ZONE NOT NULL,
+  sweep_started_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (campaign_id, zip_code)
+);
+
+-- Only the service role (poller) reads and writes progress
+ALTER TABLE campaign_zip_poll_progress ENABLE ROW LEVEL SECURITY;
+
+-- Admins can inspect progress from the dashboard
+CREATE POLICY "Admins can view poll progress"
+  ON campaign_zip_poll_progress
+  FOR SELECT
+  USING (is_admin());
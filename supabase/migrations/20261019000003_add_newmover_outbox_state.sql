@@ -0,0 +1,46 @@
+-- Persisted send-then-charge state machine for new movers
+-- The poller moves every mover it discovers through:
+--   discovered -> mailing -> mailed -> charging -> charged
+-- and parks it in 'failed' when a step gives up. Each transition is written
+-- before the side effect runs, so a crash leaves the row in an intermediate
+-- state that the next poll resumes (PostGrid and Stripe calls use per-mover
+-- idempotency keys, so retrying a step never mails or charges twice).
+--
+-- Rows created outside the poller (e.g. the one-off fetch during campaign
+-- creation) keep outbox_state NULL and are ignored by the worker.
+
+ALTER TABLE newmover
+  ADD COLUMN IF NOT EXISTS outbox_state TEXT,
+  ADD COLUMN IF NOT EXISTS outbox_state_changed_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS outbox_attempts INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS outbox_last_error TEXT;
+
+ALTER TABLE newmover
+  DROP CONSTRAINT IF EXISTS newmover_outbox_state_check;
+
+ALTER TABLE newmover
+  ADD CONSTRAINT newmover_outbox_state_check
+  CHECK (outbox_state IS NULL OR outbox_state IN ('discovered', 'mailing', 'mailed', 'charging', 'charged', 'failed'));
+
+-- Backfill rows the poller already handled before the state machine existed.
+-- Mailed rows without a transaction were never billed; mark them failed so they
+-- show up for review instead of being charged automatically months later.
+UPDATE newmover
+SET outbox_state = 'charged',
+    outbox_state_changed_at = COALESCE(postcard_sent_at, NOW())
+WHERE outbox_state IS NULL
+  AND postcard_sent = true
+  AND transaction_id IS NOT NULL;
+
+UPDATE newmover
+SET outbox_state = 'failed',
+    outbox_state_changed_at = COALESCE(postcard_sent_at, NOW()),
+    outbox_last_error = 'Mailed before outbox tracking; no transaction recorded'
+WHERE outbox_state IS NULL
+  AND postcard_sent = true
+  AND transaction_id IS NULL;
+
+-- The worker and the admin outbox view only look at unfinished rows
+CREATE INDEX IF NOT EXISTS idx_newmover_outbox_pending
+  ON newmover(outbox_state, outbox_state_changed_at)
+  WHERE outbox_state IN ('discovered', 'mailing', 'mailed', 'charging', 'failed');
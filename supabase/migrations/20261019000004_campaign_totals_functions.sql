@@ -0,0 +1,112 @@
+-- Atomic campaign counters and reconciliation
+-- campaigns.postcards_sent and campaigns.total_cost used to be written as
+-- "value read at the start of the poll + 1", so every mover after the first in
+-- a run overwrote the same value. The poller now increments them in the
+-- database, and reconcile_campaign_totals() recomputes them from the source
+-- tables:
+--   postcards_sent = newmover rows with postcard_sent = true
+--   total_cost     = amount billed through Stripe (one row per PaymentIntent,
+--                    failed payments excluded, refunds not subtracted)
+
+-- ============================================================================
+-- INCREMENT
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION increment_campaign_totals(
+  p_campaign_id UUID,
+  p_postcards_sent INTEGER DEFAULT 0,
+  p_total_cost NUMERIC DEFAULT 0
+)
+RETURNS TABLE (postcards_sent INTEGER, total_cost NUMERIC)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+#variable_conflict use_column
+BEGIN
+  RETURN QUERY
+  UPDATE campaigns c
+  SET postcards_sent = COALESCE(c.postcards_sent, 0) + p_postcards_sent,
+      total_cost = COALESCE(c.total_cost, 0) + p_total_cost,
+      updated_at = NOW()
+  WHERE c.id = p_campaign_id
+  RETURNING c.postcards_sent::INTEGER, c.total_cost::NUMERIC;
+END;
+$$;
+
+-- Only the service role (poller, scripts) may move counters
+REVOKE ALL ON FUNCTION increment_campaign_totals(UUID, INTEGER, NUMERIC) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION increment_campaign_totals(UUID, INTEGER, NUMERIC) TO service_role;
+
+-- ============================================================================
+-- RECONCILE
+-- ============================================================================
+
+-- Returns every campaign whose stored totals differ from the recomputed ones.
+-- With p_apply = true the stored totals are overwritten with the recomputed values.
+CREATE OR REPLACE FUNCTION reconcile_campaign_totals(p_apply BOOLEAN DEFAULT false)
+RETURNS TABLE (
+  campaign_id UUID,
+  campaign_name TEXT,
+  stored_postcards_sent INTEGER,
+  actual_postcards_sent INTEGER,
+  stored_total_cost NUMERIC,
+  actual_total_cost NUMERIC
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+#variable_conflict use_column
+BEGIN
+  DROP TABLE IF EXISTS campaign_totals_diff;
+
+  CREATE TEMP TABLE campaign_totals_diff ON COMMIT DROP AS
+  WITH mailed AS (
+    SELECT n.campaign_id, COUNT(*)::INTEGER AS postcards_sent
+    FROM newmover n
+    WHERE n.postcard_sent = true
+    GROUP BY n.campaign_id
+  ),
+  -- The webhook and the poller can both record the same PaymentIntent
+  billed_intents AS (
+    SELECT DISTINCT ON (t.stripe_payment_intent_id)
+      t.campaign_id, t.amount_dollars
+    FROM transactions t
+    WHERE t.campaign_id IS NOT NULL
+      AND t.status IN ('succeeded', 'processing', 'refunded', 'partially_refunded')
+    ORDER BY t.stripe_payment_intent_id, t.created_at
+  ),
+  billed AS (
+    SELECT b.campaign_id, SUM(b.amount_dollars)::NUMERIC AS total_cost
+    FROM billed_intents b
+    GROUP BY b.campaign_id
+  )
+  SELECT
+    c.id AS campaign_id,
+    c.campaign_name::TEXT AS campaign_name,
+    COALESCE(c.postcards_sent, 0)::INTEGER AS stored_postcards_sent,
+    COALESCE(m.postcards_sent, 0) AS actual_postcards_sent,
+    COALESCE(c.total_cost, 0)::NUMERIC AS stored_total_cost,
+    COALESCE(b.total_cost, 0) AS actual_total_cost
+  FROM campaigns c
+  LEFT JOIN mailed m ON m.campaign_id = c.id
+  LEFT JOIN billed b ON b.campaign_id = c.id
+  WHERE COALESCE(c.postcards_sent, 0) <> COALESCE(m.postcards_sent, 0)
+     OR COALESCE(c.total_cost, 0) <> COALESCE(b.total_cost, 0);
+
+  IF p_apply THEN
+    UPDATE campaigns c
+    SET postcards_sent = d.actual_postcards_sent,
+        total_cost = d.actual_total_cost,
+        updated_at = NOW()
+    FROM campaign_totals_diff d
+    WHERE c.id = d.campaign_id;
+  END IF;
+
+  RETURN QUERY SELECT * FROM campaign_totals_diff d ORDER BY d.campaign_name;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION reconcile_campaign_totals(BOOLEAN) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION reconcile_campaign_totals(BOOLEAN) TO service_role;
@@ -0,0 +1,48 @@
+-- Per-campaign spend limits for the poller
+-- monthly_budget_cap: dollars a campaign may spend on new mover postcards per
+--   calendar month (UTC). NULL = no cap.
+-- max_postcards_per_poll: postcards a single poll may send for the campaign.
+--   NULL = no limit.
+--
+-- Movers found while a campaign is over a limit are saved in the 'queued'
+-- outbox state instead of being mailed. queued_until is when they become
+-- eligible again: the start of next month for the monthly cap, the next poll
+-- for the per-poll limit. Queued movers are sent oldest first.
+
+ALTER TABLE campaigns
+  ADD COLUMN IF NOT EXISTS monthly_budget_cap NUMERIC(10, 2),
+  ADD COLUMN IF NOT EXISTS max_postcards_per_poll INTEGER;
+
+ALTER TABLE campaigns
+  DROP CONSTRAINT IF EXISTS campaigns_monthly_budget_cap_check;
+
+ALTER TABLE campaigns
+  ADD CONSTRAINT campaigns_monthly_budget_cap_check
+  CHECK (monthly_budget_cap IS NULL OR monthly_budget_cap >= 0);
+
+ALTER TABLE campaigns
+  DROP CONSTRAINT IF EXISTS campaigns_max_postcards_per_poll_check;
+
+ALTER TABLE campaigns
+  ADD CONSTRAINT campaigns_max_postcards_per_poll_check
+  CHECK (max_postcards_per_poll IS NULL OR max_postcards_per_poll > 0);
+
+-- Add 'queued' to the outbox state machine
+ALTER TABLE newmover
+  ADD COLUMN IF NOT EXISTS queued_until TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE newmover
+  DROP CONSTRAINT IF EXISTS newmover_outbox_state_check;
+
+ALTER TABLE newmover
+  ADD CONSTRAINT newmover_outbox_state_check
+  CHECK (outbox_state IS NULL OR outbox_state IN ('queued', 'discovered', 'mailing', 'mailed', 'charging', 'charged', 'failed'));
+
+CREATE INDEX IF NOT EXISTS idx_newmover_queued
+  ON newmover(queued_until, campaign_id)
+  WHERE outbox_state = 'queued';
+
+-- Month-to-date spend is computed from postcards mailed per campaign
+CREATE INDEX IF NOT EXISTS idx_newmover_campaign_sent_at
+  ON newmover(campaign_id, postcard_sent_at)
+  WHERE postcard_sent = true;
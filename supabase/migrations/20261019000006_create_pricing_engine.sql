@@ -0,0 +1,191 @@
+-- Server-side pricing model
+-- Replaces the $3.00 hard-coded across the frontend and edge functions.
+-- quote_postcard_price() is the single source of truth; the frontend
+-- (pricingService.getQuote) and edge functions (_shared/pricing.ts) both call it.
+--
+-- Price resolution for a user:
+--   1. user_pricing_overrides.price_cents, if set (flat per-postcard override)
+--   2. otherwise the price for the postcard size in the user's plan
+--      (user_pricing_overrides.plan_id, or the default plan)
+-- then the plan's volume discount tier is applied, based on the user's
+-- cumulative postcards mailed this calendar month (UTC) including this quote.
+
+-- ============================================================================
+-- TABLES
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS pricing_plans (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  is_default BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- At most one default plan
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pricing_plans_single_default
+  ON pricing_plans(is_default) WHERE is_default;
+
+CREATE TABLE IF NOT EXISTS pricing_plan_prices (
+  plan_id TEXT NOT NULL REFERENCES pricing_plans(id) ON DELETE CASCADE,
+  postcard_size TEXT NOT NULL,
+  price_cents INTEGER NOT NULL CHECK (price_cents > 0),
+  PRIMARY KEY (plan_id, postcard_size)
+);
+
+CREATE TABLE IF NOT EXISTS pricing_discount_tiers (
+  plan_id TEXT NOT NULL REFERENCES pricing_plans(id) ON DELETE CASCADE,
+  min_monthly_volume INTEGER NOT NULL CHECK (min_monthly_volume >= 0),
+  discount_percent NUMERIC(5, 2) NOT NULL CHECK (discount_percent >= 0 AND discount_percent < 100),
+  PRIMARY KEY (plan_id, min_monthly_volume)
+);
+
+CREATE TABLE IF NOT EXISTS user_pricing_overrides (
+  user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  plan_id TEXT REFERENCES pricing_plans(id),
+  price_cents INTEGER CHECK (price_cents IS NULL OR price_cents > 0),
+  note TEXT,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- ============================================================================
+-- SEED: the previous hard-coded pricing (utils/pricing.js PRICING)
+-- ============================================================================
+
+INSERT INTO pricing_plans (id, name, is_default)
+VALUES ('standard', 'Standard', true)
+ON CONFLICT (id) DO NOTHING;
+
+INSERT INTO pricing_plan_prices (plan_id, postcard_size, price_cents)
+VALUES ('standard', '6x4', 300)
+ON CONFLICT (plan_id, postcard_size) DO NOTHING;
+
+INSERT INTO pricing_discount_tiers (plan_id, min_monthly_volume, discount_percent)
+VALUES
+  ('standard', 0, 0),
+  ('standard', 500, 5),
+  ('standard', 1000, 10),
+  ('standard', 5000, 15)
+ON CONFLICT (plan_id, min_monthly_volume) DO NOTHING;
+
+-- ============================================================================
+-- RLS
+-- ============================================================================
+
+ALTER TABLE pricing_plans ENABLE ROW LEVEL SECURITY;
+ALTER TABLE pricing_plan_prices ENABLE ROW LEVEL SECURITY;
+ALTER TABLE pricing_discount_tiers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_pricing_overrides ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Authenticated users can view pricing plans"
+  ON pricing_plans FOR SELECT TO authenticated USING (true);
+
+CREATE POLICY "Authenticated users can view plan prices"
+  ON pricing_plan_prices FOR SELECT TO authenticated USING (true);
+
+CREATE POLICY "Authenticated users can view discount tiers"
+  ON pricing_discount_tiers FOR SELECT TO authenticated USING (true);
+
+CREATE POLICY "Users can view their own pricing override"
+  ON user_pricing_overrides FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Admins can manage pricing plans"
+  ON pricing_plans FOR ALL USING (is_admin()) WITH CHECK (is_admin());
+
+CREATE POLICY "Admins can manage plan prices"
+  ON pricing_plan_prices FOR ALL USING (is_admin()) WITH CHECK (is_admin());
+
+CREATE POLICY "Admins can manage discount tiers"
+  ON pricing_discount_tiers FOR ALL USING (is_admin()) WITH CHECK (is_admin());
+
+CREATE POLICY "Admins can manage pricing overrides"
+  ON user_pricing_overrides FOR ALL USING (is_admin()) WITH CHECK (is_admin());
+
+-- ============================================================================
+-- QUOTE
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION quote_postcard_price(
+  p_user_id UUID,
+  p_quantity INTEGER DEFAULT 1,
+  p_postcard_size TEXT DEFAULT '6x4'
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_override user_pricing_overrides%ROWTYPE;
+  v_plan_id TEXT;
+  v_base_cents INTEGER;
+  v_source TEXT;
+  v_monthly_volume INTEGER;
+  v_discount NUMERIC(5, 2);
+  v_unit_cents INTEGER;
+BEGIN
+  -- Users may only quote for themselves; admins and the service role for anyone
+  IF auth.uid() IS NOT NULL AND auth.uid() <> p_user_id AND NOT is_admin() THEN
+    RAISE EXCEPTION 'Not allowed to quote prices for another user';
+  END IF;
+
+  IF p_quantity IS NULL OR p_quantity < 0 THEN
+    RAISE EXCEPTION 'Quantity must be zero or more';
+  END IF;
+
+  SELECT * INTO v_override FROM user_pricing_overrides WHERE user_id = p_user_id;
+
+  v_plan_id := COALESCE(
+    v_override.plan_id,
+    (SELECT id FROM pricing_plans WHERE is_default LIMIT 1)
+  );
+
+  IF v_override.price_cents IS NOT NULL THEN
+    v_base_cents := v_override.price_cents;
+    v_source := 'override';
+  ELSE
+    SELECT price_cents INTO v_base_cents
+    FROM pricing_plan_prices
+    WHERE plan_id = v_plan_id AND postcard_size = p_postcard_size;
+    v_source := 'plan';
+  END IF;
+
+  IF v_base_cents IS NULL THEN
+    RAISE EXCEPTION 'No price configured for plan % and postcard size %', v_plan_id, p_postcard_size;
+  END IF;
+
+  -- Cumulative postcards mailed this calendar month across all of the user's campaigns
+  SELECT COUNT(*)::INTEGER INTO v_monthly_volume
+  FROM newmover n
+  JOIN campaigns c ON c.id = n.campaign_id
+  WHERE c.user_id = p_user_id
+    AND n.postcard_sent = true
+    AND n.postcard_sent_at >= date_trunc('month', NOW() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC';
+
+  SELECT COALESCE(
+    (SELECT discount_percent
+     FROM pricing_discount_tiers
+     WHERE plan_id = v_plan_id
+       AND min_monthly_volume <= v_monthly_volume + GREATEST(p_quantity, 1)
+     ORDER BY min_monthly_volume DESC
+     LIMIT 1),
+    0
+  ) INTO v_discount;
+
+  v_unit_cents := ROUND(v_base_cents * (1 - v_discount / 100));
+
+  RETURN jsonb_build_object(
+    'plan_id', v_plan_id,
+    'postcard_size', p_postcard_size,
+    'price_source', v_source,
+    'base_price_cents', v_base_cents,
+    'monthly_volume', v_monthly_volume,
+    'discount_percent', v_discount,
+    'unit_price_cents', v_unit_cents,
+    'quantity', p_quantity,
+    'total_cents', v_unit_cents * p_quantity
+  );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION quote_postcard_price(UUID, INTEGER, TEXT) TO authenticated, service_role;
@@ -0,0 +1,191 @@
+-- Daily batch billing
+-- Accounts choose how new mover postcards are billed (customers.billing_mode):
+--   immediate: the poller charges each postcard as soon as it is mailed (default)
+--   daily:     the poller records an unprocessed pending_charges row instead, and
+--              the process-pending-charges function bills each user's rows from
+--              previous days as one Stripe PaymentIntent at 02:00 UTC
+--
+-- Failed batches are retried with backoff (next_attempt_at) until
+-- BATCH_MAX_ATTEMPTS, after which the rows are marked failed_at and left for
+-- an admin.
+
+-- ============================================================================
+-- BILLING MODE
+-- ============================================================================
+
+ALTER TABLE customers
+  ADD COLUMN IF NOT EXISTS billing_mode TEXT NOT NULL DEFAULT 'immediate';
+
+ALTER TABLE customers
+  DROP CONSTRAINT IF EXISTS customers_billing_mode_check;
+
+ALTER TABLE customers
+  ADD CONSTRAINT customers_billing_mode_check
+  CHECK (billing_mode IN ('immediate', 'daily'));
+
+-- Users change only their billing mode, never the rest of their customer row
+CREATE OR REPLACE FUNCTION set_billing_mode(p_billing_mode TEXT)
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF p_billing_mode NOT IN ('immediate', 'daily') THEN
+    RAISE EXCEPTION 'Invalid billing mode: %', p_billing_mode;
+  END IF;
+
+  UPDATE customers
+  SET billing_mode = p_billing_mode,
+      updated_at = NOW()
+  WHERE user_id = auth.uid();
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Customer not found. Add a payment method first.';
+  END IF;
+
+  RETURN p_billing_mode;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION set_billing_mode(TEXT) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION set_billing_mode(TEXT) TO authenticated;
+
+-- ============================================================================
+-- PENDING CHARGE RETRIES
+-- ============================================================================
+
+ALTER TABLE pending_charges
+  ADD COLUMN IF NOT EXISTS attempt_count INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS last_error TEXT,
+  ADD COLUMN IF NOT EXISTS failed_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS stripe_payment_intent_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_pending_charges_unprocessed
+  ON pending_charges(scheduled_for, user_id)
+  WHERE processed = false AND failed_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_pending_charges_payment_intent
+  ON pending_charges(stripe_payment_intent_id)
+  WHERE stripe_payment_intent_id IS NOT NULL;
+
+-- ============================================================================
+-- OUTBOX: 'batched' = mailed, charge deferred to the daily batch
+-- ============================================================================
+
+ALTER TABLE newmover
+  DROP CONSTRAINT IF EXISTS newmover_outbox_state_check;
+
+ALTER TABLE newmover
+  ADD CONSTRAINT newmover_outbox_state_check
+  CHECK (outbox_state IS NULL OR outbox_state IN ('queued', 'discovered', 'mailing', 'mailed', 'charging', 'batched', 'charged', 'failed'));
+
+-- ============================================================================
+-- RECONCILE: count batch-billed pending charges toward campaign totals
+-- ============================================================================
+-- A daily batch PaymentIntent covers several campaigns, so its transaction has
+-- no campaign_id. Each campaign's share is the pending_charges rows it paid for.
+
+CREATE OR REPLACE FUNCTION reconcile_campaign_totals(p_apply BOOLEAN DEFAULT false)
+RETURNS TABLE (
+  campaign_id UUID,
+  campaign_name TEXT,
+  stored_postcards_sent INTEGER,
+  actual_postcards_sent INTEGER,
+  stored_total_cost NUMERIC,
+  actual_total_cost NUMERIC
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+#variable_conflict use_column
+BEGIN
+  DROP TABLE IF EXISTS campaign_totals_diff;
+
+  CREATE TEMP TABLE campaign_totals_diff ON COMMIT DROP AS
+  WITH mailed AS (
+    SELECT n.campaign_id, COUNT(*)::INTEGER AS postcards_sent
+    FROM newmover n
+    WHERE n.postcard_sent = true
+    GROUP BY n.campaign_id
+  ),
+  -- The webhook and the poller can both record the same PaymentIntent
+  billed_intents AS (
+    SELECT DISTINCT ON (t.stripe_payment_intent_id)
+      t.campaign_id, t.amount_dollars
+    FROM transactions t
+    WHERE t.campaign_id IS NOT NULL
+      AND t.status IN ('succeeded', 'processing', 'refunded', 'partially_refunded')
+    ORDER BY t.stripe_payment_intent_id, t.created_at
+  ),
+  batched AS (
+    SELECT pc.campaign_id, pc.amount_dollars
+    FROM pending_charges pc
+    WHERE pc.processed = true
+      AND pc.stripe_payment_intent_id IS NOT NULL
+      AND EXISTS (
+        SELECT 1 FROM transactions t
+        WHERE t.stripe_payment_intent_id = pc.stripe_payment_intent_id
+          AND t.billing_reason = 'daily_batch'
+          AND t.status IN ('succeeded', 'processing', 'refunded', 'partially_refunded')
+      )
+  ),
+  billed AS (
+    SELECT b.campaign_id, SUM(b.amount_dollars)::NUMERIC AS total_cost
+    FROM (
+      SELECT campaign_id, amount_dollars FROM billed_intents
+      UNION ALL
+      SELECT campaign_id, amount_dollars FROM batched
+    ) b
+    GROUP BY b.campaign_id
+  )
+  SELECT
+    c.id AS campaign_id,
+    c.campaign_name::TEXT AS campaign_name,
+    COALESCE(c.postcards_sent, 0)::INTEGER AS stored_postcards_sent,
+    COALESCE(m.postcards_sent, 0) AS actual_postcards_sent,
+    COALESCE(c.total_cost, 0)::NUMERIC AS stored_total_cost,
+    COALESCE(b.total_cost, 0) AS actual_total_cost
+  FROM campaigns c
+  LEFT JOIN mailed m ON m.campaign_id = c.id
+  LEFT JOIN billed b ON b.campaign_id = c.id
+  WHERE COALESCE(c.postcards_sent, 0) <> COALESCE(m.postcards_sent, 0)
+     OR COALESCE(c.total_cost, 0) <> COALESCE(b.total_cost, 0);
+
+  IF p_apply THEN
+    UPDATE campaigns c
+    SET postcards_sent = d.actual_postcards_sent,
+        total_cost = d.actual_total_cost,
+        updated_at = NOW()
+    FROM campaign_totals_diff d
+    WHERE c.id = d.campaign_id;
+  END IF;
+
+  RETURN QUERY SELECT * FROM campaign_totals_diff d ORDER BY d.campaign_name;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION reconcile_campaign_totals(BOOLEAN) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION reconcile_campaign_totals(BOOLEAN) TO service_role;
+
+-- ============================================================================
+-- CRON: run the batch daily at 02:00 UTC
+-- ============================================================================
+
+SELECT cron.unschedule(jobid) FROM cron.job WHERE jobname = 'process-pending-charges';
+
+SELECT cron.schedule(
+  'process-pending-charges',
+  '0 2 * * *',
+  $$
+  SELECT net.http_post(
+    url:='https://cbombaxhlvproggupdrn.supabase.co/functions/v1/process-pending-charges',
+    headers:=jsonb_build_object(
+      'Content-Type', 'application/json'
+    ),
+    body:='{}'::jsonb
+  ) AS request_id;
+  $$
+);
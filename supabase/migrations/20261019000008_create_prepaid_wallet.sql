@@ -0,0 +1,258 @@
+-- Prepaid credit wallet
+-- Users can buy postcard credit upfront (top-ups through create-payment-intent
+-- with billing_reason 'wallet_top_up'). The poller pays for each postcard from
+-- the wallet first and only charges the card when the wallet cannot cover it
+-- and wallets.card_fallback is on. Without card fallback, movers wait in the
+-- 'queued' outbox state until the wallet is topped up.
+--
+-- A user becomes a wallet user with their first top-up (the wallets row).
+--
+-- Every balance change is a wallet_ledger row written by wallet_apply_entry(),
+-- which locks the wallet, keeps the balance from going negative and ignores
+-- repeats of the same idempotency_key (webhook retries, resumed poller runs).
+--
+-- Entry types (amount_cents is signed):
+--   top_up         +  card payment for credit
+--   debit          -  postcard paid from the wallet (one per mover)
+--   refund         +  refunded wallet-paid postcard credited back
+--   top_up_refund  -  top-up refunded to the card through Stripe
+--   adjustment     +/- manual correction by an admin
+
+-- ============================================================================
+-- TABLES
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS wallets (
+  user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  balance_cents INTEGER NOT NULL DEFAULT 0 CHECK (balance_cents >= 0),
+  card_fallback BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS wallet_ledger (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  entry_type TEXT NOT NULL CHECK (entry_type IN ('top_up', 'debit', 'refund', 'top_up_refund', 'adjustment')),
+  amount_cents INTEGER NOT NULL,
+  balance_after_cents INTEGER NOT NULL,
+  idempotency_key TEXT NOT NULL UNIQUE,
+  campaign_id UUID REFERENCES campaigns(id) ON DELETE SET NULL,
+  new_mover_id UUID,
+  transaction_id UUID,
+  stripe_payment_intent_id TEXT,
+  description TEXT,
+  metadata JSONB DEFAULT '{}'::jsonb,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_wallet_ledger_user_created
+  ON wallet_ledger(user_id, created_at DESC);
+
+-- ============================================================================
+-- RLS
+-- ============================================================================
+
+ALTER TABLE wallets ENABLE ROW LEVEL SECURITY;
+ALTER TABLE wallet_ledger ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own wallet"
+  ON wallets FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can view their own wallet ledger"
+  ON wallet_ledger FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Admins can view all wallets"
+  ON wallets FOR SELECT USING (is_admin());
+
+CREATE POLICY "Admins can view all wallet ledgers"
+  ON wallet_ledger FOR SELECT USING (is_admin());
+
+-- ============================================================================
+-- APPLY ENTRY
+-- ============================================================================
+-- Returns { applied, duplicate, entry_id, amount_cents, balance_cents }.
+-- A debit larger than the balance is not applied (applied = false), unless
+-- p_allow_partial, in which case it takes whatever is left.
+
+CREATE OR REPLACE FUNCTION wallet_apply_entry(
+  p_user_id UUID,
+  p_entry_type TEXT,
+  p_amount_cents INTEGER,
+  p_idempotency_key TEXT,
+  p_campaign_id UUID DEFAULT NULL,
+  p_new_mover_id UUID DEFAULT NULL,
+  p_transaction_id UUID DEFAULT NULL,
+  p_stripe_payment_intent_id TEXT DEFAULT NULL,
+  p_description TEXT DEFAULT NULL,
+  p_metadata JSONB DEFAULT '{}'::jsonb,
+  p_allow_partial BOOLEAN DEFAULT false
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_existing wallet_ledger%ROWTYPE;
+  v_balance INTEGER;
+  v_amount INTEGER := p_amount_cents;
+  v_entry_id UUID;
+BEGIN
+  INSERT INTO wallets (user_id) VALUES (p_user_id) ON CONFLICT (user_id) DO NOTHING;
+
+  SELECT balance_cents INTO v_balance FROM wallets WHERE user_id = p_user_id FOR UPDATE;
+
+  SELECT * INTO v_existing FROM wallet_ledger WHERE idempotency_key = p_idempotency_key;
+
+  IF FOUND THEN
+    RETURN jsonb_build_object(
+      'applied', true,
+      'duplicate', true,
+      'entry_id', v_existing.id,
+      'amount_cents', v_existing.amount_cents,
+      'balance_cents', v_balance
+    );
+  END IF;
+
+  IF v_balance + v_amount < 0 THEN
+    IF NOT p_allow_partial OR v_balance = 0 THEN
+      RETURN jsonb_build_object(
+        'applied', false,
+        'duplicate', false,
+        'entry_id', NULL,
+        'amount_cents', 0,
+        'balance_cents', v_balance
+      );
+    END IF;
+
+    v_amount := -v_balance;
+  END IF;
+
+  UPDATE wallets
+  SET balance_cents = balance_cents + v_amount,
+      updated_at = NOW()
+  WHERE user_id = p_user_id
+  RETURNING balance_cents INTO v_balance;
+
+  INSERT INTO wallet_ledger (
+    user_id, entry_type, amount_cents, balance_after_cents, idempotency_key,
+    campaign_id, new_mover_id, transaction_id, stripe_payment_intent_id,
+    description, metadata
+  )
+  VALUES (
+    p_user_id, p_entry_type, v_amount, v_balance, p_idempotency_key,
+    p_campaign_id, p_new_mover_id, p_transaction_id, p_stripe_payment_intent_id,
+    p_description, COALESCE(p_metadata, '{}'::jsonb)
+  )
+  RETURNING id INTO v_entry_id;
+
+  RETURN jsonb_build_object(
+    'applied', true,
+    'duplicate', false,
+    'entry_id', v_entry_id,
+    'amount_cents', v_amount,
+    'balance_cents', v_balance
+  );
+END;
+$$;
+
+-- Only the service role (edge functions) moves money
+REVOKE ALL ON FUNCTION wallet_apply_entry(UUID, TEXT, INTEGER, TEXT, UUID, UUID, UUID, TEXT, TEXT, JSONB, BOOLEAN) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION wallet_apply_entry(UUID, TEXT, INTEGER, TEXT, UUID, UUID, UUID, TEXT, TEXT, JSONB, BOOLEAN) TO service_role;
+
+-- ============================================================================
+-- REFUND A WALLET-PAID POSTCARD
+-- ============================================================================
+-- Wallet debits are recorded as transactions with billing_reason 'wallet_debit'
+-- so they show up (and can be refunded) like card charges. Refunding one
+-- credits the amount back to the wallet instead of going through Stripe.
+
+CREATE OR REPLACE FUNCTION refund_wallet_debit(p_transaction_id UUID, p_reason TEXT DEFAULT NULL)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_transaction transactions%ROWTYPE;
+  v_result JSONB;
+BEGIN
+  IF auth.uid() IS NOT NULL AND NOT is_admin() THEN
+    RAISE EXCEPTION 'Only admins can refund wallet charges';
+  END IF;
+
+  SELECT * INTO v_transaction FROM transactions WHERE id = p_transaction_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Transaction not found';
+  END IF;
+
+  IF v_transaction.billing_reason <> 'wallet_debit' THEN
+    RAISE EXCEPTION 'Transaction was not paid from the wallet';
+  END IF;
+
+  IF v_transaction.status <> 'succeeded' THEN
+    RAISE EXCEPTION 'Transaction already refunded';
+  END IF;
+
+  v_result := wallet_apply_entry(
+    v_transaction.user_id,
+    'refund',
+    v_transaction.amount_cents,
+    'refund:' || v_transaction.id,
+    v_transaction.campaign_id,
+    (v_transaction.metadata->>'new_mover_id')::UUID,
+    v_transaction.id,
+    NULL,
+    COALESCE('Refund: ' || p_reason, 'Postcard refund'),
+    jsonb_build_object('reason', p_reason, 'refunded_by', auth.uid())
+  );
+
+  UPDATE transactions
+  SET status = 'refunded',
+      refunded_at = NOW(),
+      refund_reason = p_reason,
+      refund_amount_cents = v_transaction.amount_cents,
+      updated_at = NOW()
+  WHERE id = v_transaction.id;
+
+  RETURN v_result;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION refund_wallet_debit(UUID, TEXT) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION refund_wallet_debit(UUID, TEXT) TO authenticated, service_role;
+
+-- ============================================================================
+-- CARD FALLBACK OPT-IN
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION set_wallet_card_fallback(p_enabled BOOLEAN)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  -- The wallet row is created by the first top-up; users without one are
+  -- billed by card as before
+  UPDATE wallets
+  SET card_fallback = p_enabled,
+      updated_at = NOW()
+  WHERE user_id = auth.uid();
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Add credit to your balance first';
+  END IF;
+
+  RETURN p_enabled;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION set_wallet_card_fallback(BOOLEAN) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION set_wallet_card_fallback(BOOLEAN) TO authenticated;
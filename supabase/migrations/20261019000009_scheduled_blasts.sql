@@ -0,0 +1,185 @@
+-- Scheduled blasts
+-- A blast is a one-off campaign (campaigns.is_blast) that mails every mover in
+-- new_mover_ids once, at scheduled_send_date. "Send now" blasts are scheduled
+-- for the moment they are created. Approval leaves a blast 'scheduled' (no
+-- polling); the dispatch-scheduled-blasts function, run every 5 minutes, sends
+-- approved blasts that are due and charges once for the postcards mailed.
+--
+-- Dispatch lifecycle (status stays 'scheduled' until the blast is done):
+--   blast_started_at IS NULL        waiting; the owner can reschedule or cancel
+--   blast_started_at set            claimed by the dispatcher, mailing
+--   status 'completed'              all recipients mailed or failed, charged
+--   status 'cancelled'              cancelled by the owner before it started
+--
+-- A dispatcher that dies mid-send stops updating blast_heartbeat_at; the next
+-- run takes the blast over and resumes from blast_recipients.
+--
+-- Users who pay only from their prepaid wallet (no card fallback) must have
+-- enough balance for the whole blast before it starts; until then the blast
+-- waits with blast_last_error explaining why.
+
+-- ============================================================================
+-- CAMPAIGN COLUMNS
+-- ============================================================================
+
+ALTER TABLE campaigns
+  ADD COLUMN IF NOT EXISTS is_blast BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS source_campaign_id UUID REFERENCES campaigns(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS scheduled_send_date TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS scheduled_timezone TEXT,
+  ADD COLUMN IF NOT EXISTS blast_started_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS blast_heartbeat_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS blast_completed_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS blast_last_error TEXT,
+  ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_campaigns_due_blasts
+  ON campaigns(scheduled_send_date)
+  WHERE is_blast = true AND status = 'scheduled';
+
+-- ============================================================================
+-- BLAST RECIPIENTS
+-- ============================================================================
+-- One row per mover per blast. A mover's newmover row belongs to the campaign
+-- that found it, so a blast tracks its own sends here instead of on newmover.
+
+CREATE TABLE IF NOT EXISTS blast_recipients (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  campaign_id UUID NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+  new_mover_id UUID NOT NULL,
+  state TEXT NOT NULL DEFAULT 'pending' CHECK (state IN ('pending', 'mailing', 'mailed', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  postgrid_postcard_id TEXT,
+  mailed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (campaign_id, new_mover_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_blast_recipients_campaign_state
+  ON blast_recipients(campaign_id, state);
+
+ALTER TABLE blast_recipients ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view recipients of their own blasts"
+  ON blast_recipients FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM campaigns c
+      WHERE c.id = blast_recipients.campaign_id
+        AND c.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Admins can view all blast recipients"
+  ON blast_recipients FOR SELECT USING (is_admin());
+
+-- ============================================================================
+-- RECONCILE: count mailed blast recipients toward campaign totals
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION reconcile_campaign_totals(p_apply BOOLEAN DEFAULT false)
+RETURNS TABLE (
+  campaign_id UUID,
+  campaign_name TEXT,
+  stored_postcards_sent INTEGER,
+  actual_postcards_sent INTEGER,
+  stored_total_cost NUMERIC,
+  actual_total_cost NUMERIC
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+#variable_conflict use_column
+BEGIN
+  DROP TABLE IF EXISTS campaign_totals_diff;
+
+  CREATE TEMP TABLE campaign_totals_diff ON COMMIT DROP AS
+  WITH mailed AS (
+    SELECT m.campaign_id, COUNT(*)::INTEGER AS postcards_sent
+    FROM (
+      SELECT n.campaign_id FROM newmover n WHERE n.postcard_sent = true
+      UNION ALL
+      SELECT br.campaign_id FROM blast_recipients br WHERE br.state = 'mailed'
+    ) m
+    GROUP BY m.campaign_id
+  ),
+  -- The webhook and the poller can both record the same PaymentIntent
+  billed_intents AS (
+    SELECT DISTINCT ON (t.stripe_payment_intent_id)
+      t.campaign_id, t.amount_dollars
+    FROM transactions t
+    WHERE t.campaign_id IS NOT NULL
+      AND t.status IN ('succeeded', 'processing', 'refunded', 'partially_refunded')
+    ORDER BY t.stripe_payment_intent_id, t.created_at
+  ),
+  batched AS (
+    SELECT pc.campaign_id, pc.amount_dollars
+    FROM pending_charges pc
+    WHERE pc.processed = true
+      AND pc.stripe_payment_intent_id IS NOT NULL
+      AND EXISTS (
+        SELECT 1 FROM transactions t
+        WHERE t.stripe_payment_intent_id = pc.stripe_payment_intent_id
+          AND t.billing_reason = 'daily_batch'
+          AND t.status IN ('succeeded', 'processing', 'refunded', 'partially_refunded')
+      )
+  ),
+  billed AS (
+    SELECT b.campaign_id, SUM(b.amount_dollars)::NUMERIC AS total_cost
+    FROM (
+      SELECT campaign_id, amount_dollars FROM billed_intents
+      UNION ALL
+      SELECT campaign_id, amount_dollars FROM batched
+    ) b
+    GROUP BY b.campaign_id
+  )
+  SELECT
+    c.id AS campaign_id,
+    c.campaign_name::TEXT AS campaign_name,
+    COALESCE(c.postcards_sent, 0)::INTEGER AS stored_postcards_sent,
+    COALESCE(m.postcards_sent, 0) AS actual_postcards_sent,
+    COALESCE(c.total_cost, 0)::NUMERIC AS stored_total_cost,
+    COALESCE(b.total_cost, 0) AS actual_total_cost
+  FROM campaigns c
+  LEFT JOIN mailed m ON m.campaign_id = c.id
+  LEFT JOIN billed b ON b.campaign_id = c.id
+  WHERE COALESCE(c.postcards_sent, 0) <> COALESCE(m.postcards_sent, 0)
+     OR COALESCE(c.total_cost, 0) <> COALESCE(b.total_cost, 0);
+
+  IF p_apply THEN
+    UPDATE campaigns c
+    SET postcards_sent = d.actual_postcards_sent,
+        total_cost = d.actual_total_cost,
+        updated_at = NOW()
+    FROM campaign_totals_diff d
+    WHERE c.id = d.campaign_id;
+  END IF;
+
+  RETURN QUERY SELECT * FROM campaign_totals_diff d ORDER BY d.campaign_name;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION reconcile_campaign_totals(BOOLEAN) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION reconcile_campaign_totals(BOOLEAN) TO service_role;
+
+-- ============================================================================
+-- CRON: dispatch due blasts every 5 minutes
+-- ============================================================================
+
+SELECT cron.unschedule(jobid) FROM cron.job WHERE jobname = 'dispatch-scheduled-blasts';
+
+SELECT cron.schedule(
+  'dispatch-scheduled-blasts',
+  '*/5 * * * *',
+  $$
+  SELECT net.http_post(
+    url:='https://cbombaxhlvproggupdrn.supabase.co/functions/v1/dispatch-scheduled-blasts',
+    headers:=jsonb_build_object(
+      'Content-Type', 'application/json'
+    ),
+    body:='{}'::jsonb
+  ) AS request_id;
+  $$
+);
@@ -0,0 +1,10 @@
+-- Print-ready postcard PDFs
+-- postcard_design_url is the editable Fabric.js JSON; PostGrid needs a PDF.
+-- Saving a design in the editor now also renders a two-page (front/back),
+-- 300 DPI PDF with 0.125" bleed at the PostGrid size and stores its URL here.
+-- The poller and the blast dispatcher mail only this PDF: campaigns without
+-- one are skipped until the design is re-saved or the PDF is rendered with
+-- scripts/renderPostcardPdf.js.
+
+ALTER TABLE campaigns
+  ADD COLUMN IF NOT EXISTS postcard_print_url TEXT;
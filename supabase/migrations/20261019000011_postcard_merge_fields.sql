@@ -0,0 +1,27 @@
+-- Postcard merge fields (variable data printing)
+-- Design text can contain merge fields such as {{first_name}}, {{city}},
+-- {{move_date}} and {{offer_code}}. The print PDF is rendered without that
+-- text; postcard_merge_layout records where and how to print it, and the
+-- poller / blast dispatcher stamp each recipient's values onto the PDF before
+-- mailing. NULL means the design has no merge fields and the PDF is mailed
+-- as is.
+--
+-- offer_code is the unique code printed for {{offer_code}}, kept so
+-- redemptions can be traced back to the mover and campaign.
+
+ALTER TABLE campaigns
+  ADD COLUMN IF NOT EXISTS postcard_merge_layout JSONB;
+
+ALTER TABLE newmover
+  ADD COLUMN IF NOT EXISTS offer_code TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_newmover_offer_code
+  ON newmover(offer_code)
+  WHERE offer_code IS NOT NULL;
+
+ALTER TABLE blast_recipients
+  ADD COLUMN IF NOT EXISTS offer_code TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_blast_recipients_offer_code
+  ON blast_recipients(offer_code)
+  WHERE offer_code IS NOT NULL;
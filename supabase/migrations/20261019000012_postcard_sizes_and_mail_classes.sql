@@ -0,0 +1,178 @@
+-- Postcard sizes and mail classes
+-- Campaigns choose a PostGrid postcard size (6x4, 9x6 or 11x6) and a mail
+-- class; until now every postcard was sent as a 6x4 at PostGrid's default
+-- class (first class). The editor canvas, print PDF, preflight guides,
+-- price quote and PostGrid request all follow the campaign's choice.
+--
+-- Mail classes:
+--   standard    - USPS Marketing Mail (PostGrid standard_class), cheaper and slower
+--   first_class - USPS First-Class Mail, what every campaign has used so far
+--   express     - First-Class with PostGrid express (priority) production
+--
+-- Prices: pricing_plan_prices gains rows for the larger sizes, and
+-- pricing_mail_class_adjustments adds (or, for standard, subtracts) a
+-- per-postcard amount for the class. Overrides in user_pricing_overrides
+-- replace the size price; the class adjustment still applies.
+-- quote_postcard_price() takes the mail class as a new, optional argument.
+
+-- ============================================================================
+-- CAMPAIGNS
+-- ============================================================================
+
+ALTER TABLE campaigns
+  ADD COLUMN IF NOT EXISTS postcard_size TEXT NOT NULL DEFAULT '6x4',
+  ADD COLUMN IF NOT EXISTS mail_class TEXT NOT NULL DEFAULT 'first_class';
+
+ALTER TABLE campaigns DROP CONSTRAINT IF EXISTS campaigns_postcard_size_check;
+ALTER TABLE campaigns
+  ADD CONSTRAINT campaigns_postcard_size_check
+  CHECK (postcard_size IN ('6x4', '9x6', '11x6'));
+
+ALTER TABLE campaigns DROP CONSTRAINT IF EXISTS campaigns_mail_class_check;
+ALTER TABLE campaigns
+  ADD CONSTRAINT campaigns_mail_class_check
+  CHECK (mail_class IN ('standard', 'first_class', 'express'));
+
+-- ============================================================================
+-- PRICES
+-- ============================================================================
+
+INSERT INTO pricing_plan_prices (plan_id, postcard_size, price_cents)
+VALUES
+  ('standard', '9x6', 400),
+  ('standard', '11x6', 500)
+ON CONFLICT (plan_id, postcard_size) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS pricing_mail_class_adjustments (
+  plan_id TEXT NOT NULL REFERENCES pricing_plans(id) ON DELETE CASCADE,
+  mail_class TEXT NOT NULL CHECK (mail_class IN ('standard', 'first_class', 'express')),
+  adjustment_cents INTEGER NOT NULL,
+  PRIMARY KEY (plan_id, mail_class)
+);
+
+INSERT INTO pricing_mail_class_adjustments (plan_id, mail_class, adjustment_cents)
+VALUES
+  ('standard', 'standard', -40),
+  ('standard', 'first_class', 0),
+  ('standard', 'express', 150)
+ON CONFLICT (plan_id, mail_class) DO NOTHING;
+
+ALTER TABLE pricing_mail_class_adjustments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Authenticated users can view mail class adjustments"
+  ON pricing_mail_class_adjustments FOR SELECT TO authenticated USING (true);
+
+CREATE POLICY "Admins can manage mail class adjustments"
+  ON pricing_mail_class_adjustments FOR ALL USING (is_admin()) WITH CHECK (is_admin());
+
+-- ============================================================================
+-- QUOTE
+-- ============================================================================
+
+DROP FUNCTION IF EXISTS quote_postcard_price(UUID, INTEGER, TEXT);
+
+CREATE OR REPLACE FUNCTION quote_postcard_price(
+  p_user_id UUID,
+  p_quantity INTEGER DEFAULT 1,
+  p_postcard_size TEXT DEFAULT '6x4',
+  p_mail_class TEXT DEFAULT 'first_class'
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_override user_pricing_overrides%ROWTYPE;
+  v_plan_id TEXT;
+  v_size_cents INTEGER;
+  v_adjustment_cents INTEGER;
+  v_base_cents INTEGER;
+  v_source TEXT;
+  v_monthly_volume INTEGER;
+  v_discount NUMERIC(5, 2);
+  v_unit_cents INTEGER;
+BEGIN
+  -- Users may only quote for themselves; admins and the service role for anyone
+  IF auth.uid() IS NOT NULL AND auth.uid() <> p_user_id AND NOT is_admin() THEN
+    RAISE EXCEPTION 'Not allowed to quote prices for another user';
+  END IF;
+
+  IF p_quantity IS NULL OR p_quantity < 0 THEN
+    RAISE EXCEPTION 'Quantity must be zero or more';
+  END IF;
+
+  IF p_mail_class NOT IN ('standard', 'first_class', 'express') THEN
+    RAISE EXCEPTION 'Unknown mail class %', p_mail_class;
+  END IF;
+
+  SELECT * INTO v_override FROM user_pricing_overrides WHERE user_id = p_user_id;
+
+  v_plan_id := COALESCE(
+    v_override.plan_id,
+    (SELECT id FROM pricing_plans WHERE is_default LIMIT 1)
+  );
+
+  IF v_override.price_cents IS NOT NULL THEN
+    v_size_cents := v_override.price_cents;
+    v_source := 'override';
+  ELSE
+    SELECT price_cents INTO v_size_cents
+    FROM pricing_plan_prices
+    WHERE plan_id = v_plan_id AND postcard_size = p_postcard_size;
+    v_source := 'plan';
+  END IF;
+
+  IF v_size_cents IS NULL THEN
+    RAISE EXCEPTION 'No price configured for plan % and postcard size %', v_plan_id, p_postcard_size;
+  END IF;
+
+  SELECT COALESCE(
+    (SELECT adjustment_cents
+     FROM pricing_mail_class_adjustments
+     WHERE plan_id = v_plan_id AND mail_class = p_mail_class),
+    0
+  ) INTO v_adjustment_cents;
+
+  -- A discounted class never makes a postcard free
+  v_base_cents := GREATEST(v_size_cents + v_adjustment_cents, 1);
+
+  -- Cumulative postcards mailed this calendar month across all of the user's campaigns
+  SELECT COUNT(*)::INTEGER INTO v_monthly_volume
+  FROM newmover n
+  JOIN campaigns c ON c.id = n.campaign_id
+  WHERE c.user_id = p_user_id
+    AND n.postcard_sent = true
+    AND n.postcard_sent_at >= date_trunc('month', NOW() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC';
+
+  SELECT COALESCE(
+    (SELECT discount_percent
+     FROM pricing_discount_tiers
+     WHERE plan_id = v_plan_id
+       AND min_monthly_volume <= v_monthly_volume + GREATEST(p_quantity, 1)
+     ORDER BY min_monthly_volume DESC
+     LIMIT 1),
+    0
+  ) INTO v_discount;
+
+  v_unit_cents := ROUND(v_base_cents * (1 - v_discount / 100));
+
+  RETURN jsonb_build_object(
+    'plan_id', v_plan_id,
+    'postcard_size', p_postcard_size,
+    'mail_class', p_mail_class,
+    'price_source', v_source,
+    'size_price_cents', v_size_cents,
+    'mail_class_adjustment_cents', v_adjustment_cents,
+    'base_price_cents', v_base_cents,
+    'monthly_volume', v_monthly_volume,
+    'discount_percent', v_discount,
+    'unit_price_cents', v_unit_cents,
+    'quantity', p_quantity,
+    'total_cents', v_unit_cents * p_quantity
+  );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION quote_postcard_price(UUID, INTEGER, TEXT, TEXT) TO authenticated, service_role;
@@ -0,0 +1,91 @@
+-- Sender profiles (return addresses)
+-- Named return addresses a user mails from, printed by PostGrid as the `from`
+-- block of every postcard. Until now postcards had no `from` and relied on
+-- whatever was set in the PostGrid dashboard.
+--
+-- Profiles start from the company info (companies.name / location) and are
+-- normalized and validated in the browser (utils/addressFormatter.js) before
+-- they are saved. A campaign (or blast) mails from its sender_profile_id, or
+-- from the user's default profile when it has none. At most one profile per
+-- user is the default; set_default_sender_profile() moves it.
+
+-- ============================================================================
+-- TABLES
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS sender_profiles (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  company_name TEXT NOT NULL,
+  contact_name TEXT,
+  address_line1 TEXT NOT NULL,
+  address_line2 TEXT,
+  city TEXT NOT NULL,
+  state TEXT NOT NULL CHECK (state ~ '^[A-Z]{2}$'),
+  zip_code TEXT NOT NULL CHECK (zip_code ~ '^[0-9]{5}(-[0-9]{4})?$'),
+  country_code TEXT NOT NULL DEFAULT 'US' CHECK (country_code = 'US'),
+  is_default BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_sender_profiles_user
+  ON sender_profiles(user_id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sender_profiles_one_default
+  ON sender_profiles(user_id) WHERE is_default;
+
+ALTER TABLE campaigns
+  ADD COLUMN IF NOT EXISTS sender_profile_id UUID REFERENCES sender_profiles(id) ON DELETE SET NULL;
+
+-- ============================================================================
+-- RLS
+-- ============================================================================
+
+ALTER TABLE sender_profiles ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage their own sender profiles"
+  ON sender_profiles FOR ALL
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Admins can view all sender profiles"
+  ON sender_profiles FOR SELECT USING (is_admin());
+
+-- ============================================================================
+-- DEFAULT PROFILE
+-- ============================================================================
+-- Clears the old default before setting the new one, so the one-default
+-- index never sees two.
+
+CREATE OR REPLACE FUNCTION set_default_sender_profile(p_profile_id UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_id UUID;
+BEGIN
+  SELECT user_id INTO v_user_id FROM sender_profiles WHERE id = p_profile_id;
+
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'Sender profile % not found', p_profile_id;
+  END IF;
+
+  IF auth.uid() IS NOT NULL AND auth.uid() <> v_user_id AND NOT is_admin() THEN
+    RAISE EXCEPTION 'Not allowed to change another user''s sender profiles';
+  END IF;
+
+  UPDATE sender_profiles
+  SET is_default = false, updated_at = NOW()
+  WHERE user_id = v_user_id AND is_default AND id <> p_profile_id;
+
+  UPDATE sender_profiles
+  SET is_default = true, updated_at = NOW()
+  WHERE id = p_profile_id;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION set_default_sender_profile(UUID) TO authenticated, service_role;
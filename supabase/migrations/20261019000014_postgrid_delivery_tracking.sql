@@ -0,0 +1,132 @@
+-- PostGrid delivery tracking
+-- The postgrid-webhook Edge Function receives PostGrid's postcard events and
+-- records each one in mail_piece_events, the per-postcard timeline shown on
+-- the campaign details pages. Until now newmover.postgrid_status was written
+-- once, at send time, and never changed.
+--
+-- Statuses, in the order a postcard moves through them:
+--   ready                  - created, waiting for the print run
+--   printing               - in production
+--   processed_for_delivery - handed to USPS
+--   completed              - delivered
+--   returned_to_sender     - USPS returned it (PostGrid imbStatus)
+--   cancelled              - cancelled before printing
+--
+-- PostGrid may deliver events late or out of order. Every event is kept in
+-- the history, but apply_mail_piece_status() only moves a postcard's current
+-- status forward, so a late "printing" never overwrites "completed".
+
+-- ============================================================================
+-- CURRENT STATUS
+-- ============================================================================
+
+ALTER TABLE newmover
+  ADD COLUMN IF NOT EXISTS postgrid_status_updated_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE blast_recipients
+  ADD COLUMN IF NOT EXISTS postgrid_status TEXT,
+  ADD COLUMN IF NOT EXISTS postgrid_status_updated_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_newmover_postgrid_postcard
+  ON newmover(postgrid_postcard_id)
+  WHERE postgrid_postcard_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_blast_recipients_postgrid_postcard
+  ON blast_recipients(postgrid_postcard_id)
+  WHERE postgrid_postcard_id IS NOT NULL;
+
+-- ============================================================================
+-- HISTORY
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS mail_piece_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  postgrid_event_id TEXT NOT NULL UNIQUE,
+  postgrid_postcard_id TEXT NOT NULL,
+  campaign_id UUID REFERENCES campaigns(id) ON DELETE CASCADE,
+  new_mover_id UUID,
+  event_type TEXT NOT NULL,
+  status TEXT NOT NULL,
+  imb_status TEXT,
+  occurred_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  payload JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_mail_piece_events_postcard
+  ON mail_piece_events(postgrid_postcard_id, occurred_at);
+
+CREATE INDEX IF NOT EXISTS idx_mail_piece_events_campaign
+  ON mail_piece_events(campaign_id);
+
+ALTER TABLE mail_piece_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view mail piece events of their own campaigns"
+  ON mail_piece_events FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM campaigns c
+      WHERE c.id = mail_piece_events.campaign_id
+        AND c.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Admins can view all mail piece events"
+  ON mail_piece_events FOR SELECT USING (is_admin());
+
+-- ============================================================================
+-- APPLY STATUS
+-- ============================================================================
+-- Moves the postcard's current status (on newmover or blast_recipients,
+-- whichever mailed it) forward to p_status. Returns the number of rows
+-- updated: 0 when the postcard is unknown or already further along.
+
+CREATE OR REPLACE FUNCTION mail_piece_status_rank(p_status TEXT)
+RETURNS INTEGER
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT CASE p_status
+    WHEN 'ready' THEN 1
+    WHEN 'printing' THEN 2
+    WHEN 'processed_for_delivery' THEN 3
+    WHEN 'completed' THEN 4
+    WHEN 'returned_to_sender' THEN 5
+    WHEN 'cancelled' THEN 5
+    ELSE 0
+  END;
+$$;
+
+CREATE OR REPLACE FUNCTION apply_mail_piece_status(
+  p_postcard_id TEXT,
+  p_status TEXT,
+  p_occurred_at TIMESTAMP WITH TIME ZONE
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_movers INTEGER;
+  v_recipients INTEGER;
+BEGIN
+  UPDATE newmover
+  SET postgrid_status = p_status,
+      postgrid_status_updated_at = p_occurred_at
+  WHERE postgrid_postcard_id = p_postcard_id
+    AND mail_piece_status_rank(p_status) > mail_piece_status_rank(postgrid_status);
+  GET DIAGNOSTICS v_movers = ROW_COUNT;
+
+  UPDATE blast_recipients
+  SET postgrid_status = p_status,
+      postgrid_status_updated_at = p_occurred_at,
+      updated_at = NOW()
+  WHERE postgrid_postcard_id = p_postcard_id
+    AND mail_piece_status_rank(p_status) > mail_piece_status_rank(postgrid_status);
+  GET DIAGNOSTICS v_recipients = ROW_COUNT;
+
+  RETURN v_movers + v_recipients;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION apply_mail_piece_status(TEXT, TEXT, TIMESTAMP WITH TIME ZONE) TO service_role;
@@ -0,0 +1,168 @@
+-- Adjustments for undeliverable postcards
+-- A postcard that is cancelled before printing or comes back
+-- returned_to_sender has already been paid for. When postgrid-webhook sees
+-- either status it adjusts the charge according to the policy for that
+-- status (mail_piece_adjustment_policies):
+--   refund  - back to how the postcard was paid: a Stripe refund of the card
+--             charge, or wallet credit for wallet-paid postcards
+--   credit  - wallet credit, whatever the postcard was paid with
+--   none    - no adjustment
+--
+-- A postcard still waiting in an unbilled daily batch (pending_charges) is
+-- removed from the batch instead.
+--
+-- mail_piece_adjustments links each postcard to its adjustment, one per
+-- postcard, so webhook retries never refund twice.
+
+-- ============================================================================
+-- POLICY
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS mail_piece_adjustment_policies (
+  mail_piece_status TEXT PRIMARY KEY CHECK (mail_piece_status IN ('cancelled', 'returned_to_sender')),
+  action TEXT NOT NULL CHECK (action IN ('refund', 'credit', 'none')),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+INSERT INTO mail_piece_adjustment_policies (mail_piece_status, action)
+VALUES
+  ('cancelled', 'refund'),
+  ('returned_to_sender', 'credit')
+ON CONFLICT (mail_piece_status) DO NOTHING;
+
+ALTER TABLE mail_piece_adjustment_policies ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Authenticated users can view adjustment policies"
+  ON mail_piece_adjustment_policies FOR SELECT TO authenticated USING (true);
+
+CREATE POLICY "Admins can update adjustment policies"
+  ON mail_piece_adjustment_policies FOR UPDATE USING (is_admin()) WITH CHECK (is_admin());
+
+-- ============================================================================
+-- ADJUSTMENTS
+-- ============================================================================
+-- status: pending (in progress), completed, failed (see error; retried on the
+-- postcard's next webhook event), skipped (nothing was charged)
+-- method: stripe_refund, wallet_refund, wallet_credit or waived (removed from
+-- the daily batch)
+
+CREATE TABLE IF NOT EXISTS mail_piece_adjustments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  postgrid_postcard_id TEXT NOT NULL UNIQUE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  campaign_id UUID REFERENCES campaigns(id) ON DELETE SET NULL,
+  new_mover_id UUID,
+  mail_piece_status TEXT NOT NULL,
+  action TEXT NOT NULL CHECK (action IN ('refund', 'credit')),
+  method TEXT CHECK (method IN ('stripe_refund', 'wallet_refund', 'wallet_credit', 'waived')),
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'failed', 'skipped')),
+  amount_cents INTEGER NOT NULL DEFAULT 0,
+  transaction_id UUID,
+  pending_charge_id UUID,
+  stripe_refund_id TEXT,
+  wallet_ledger_id UUID,
+  error TEXT,
+  completed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_mail_piece_adjustments_user_created
+  ON mail_piece_adjustments(user_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_mail_piece_adjustments_unfinished
+  ON mail_piece_adjustments(status)
+  WHERE status IN ('pending', 'failed');
+
+ALTER TABLE mail_piece_adjustments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own mail piece adjustments"
+  ON mail_piece_adjustments FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Admins can view all mail piece adjustments"
+  ON mail_piece_adjustments FOR SELECT USING (is_admin());
+
+-- ============================================================================
+-- WALLET ENTRY TYPE: credit for an undeliverable postcard
+-- ============================================================================
+
+ALTER TABLE wallet_ledger
+  DROP CONSTRAINT IF EXISTS wallet_ledger_entry_type_check;
+
+ALTER TABLE wallet_ledger
+  ADD CONSTRAINT wallet_ledger_entry_type_check
+  CHECK (entry_type IN ('top_up', 'debit', 'refund', 'top_up_refund', 'adjustment', 'credit'));
+
+-- ============================================================================
+-- REFUND PART OF A WALLET PAYMENT
+-- ============================================================================
+-- Credits one postcard's share of a wallet-paid transaction (a single
+-- postcard, or a whole blast) back to the wallet and adds it to the
+-- transaction's refund_amount_cents. Repeats for the same postcard are
+-- ignored. Returns wallet_apply_entry()'s result.
+
+CREATE OR REPLACE FUNCTION refund_mail_piece_to_wallet(
+  p_transaction_id UUID,
+  p_postcard_id TEXT,
+  p_amount_cents INTEGER,
+  p_new_mover_id UUID DEFAULT NULL,
+  p_reason TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_transaction transactions%ROWTYPE;
+  v_refunded INTEGER;
+  v_result JSONB;
+BEGIN
+  SELECT * INTO v_transaction FROM transactions WHERE id = p_transaction_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Transaction not found';
+  END IF;
+
+  IF v_transaction.billing_reason <> 'wallet_debit' THEN
+    RAISE EXCEPTION 'Transaction was not paid from the wallet';
+  END IF;
+
+  v_refunded := COALESCE(v_transaction.refund_amount_cents, 0);
+
+  v_result := wallet_apply_entry(
+    v_transaction.user_id,
+    'refund',
+    p_amount_cents,
+    'mail_piece_refund:' || p_postcard_id,
+    v_transaction.campaign_id,
+    p_new_mover_id,
+    v_transaction.id,
+    NULL,
+    COALESCE('Refund: ' || p_reason, 'Postcard refund'),
+    jsonb_build_object('reason', p_reason, 'postgrid_postcard_id', p_postcard_id)
+  );
+
+  IF (v_result->>'duplicate')::BOOLEAN THEN
+    RETURN v_result;
+  END IF;
+
+  IF v_transaction.status NOT IN ('succeeded', 'partially_refunded')
+     OR v_refunded + p_amount_cents > v_transaction.amount_cents THEN
+    RAISE EXCEPTION 'Transaction already refunded';
+  END IF;
+
+  UPDATE transactions
+  SET status = CASE WHEN v_refunded + p_amount_cents >= amount_cents THEN 'refunded' ELSE 'partially_refunded' END,
+      refunded_at = NOW(),
+      refund_reason = p_reason,
+      refund_amount_cents = v_refunded + p_amount_cents,
+      updated_at = NOW()
+  WHERE id = v_transaction.id;
+
+  RETURN v_result;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION refund_mail_piece_to_wallet(UUID, TEXT, INTEGER, UUID, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION refund_mail_piece_to_wallet(UUID, TEXT, INTEGER, UUID, TEXT) TO service_role;
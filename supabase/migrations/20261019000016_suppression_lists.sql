@@ -0,0 +1,175 @@
+-- Suppression (do-not-mail) lists
+-- Addresses that must never be mailed: opt-outs, existing customers, legal
+-- requests. Each entry belongs to one account (user_id) or, when user_id is
+-- NULL, to the global list admins manage from /admin/suppressions.
+--
+-- An entry matches a mover by one of:
+--   address      - street line + 5-digit ZIP, compared case- and
+--                  punctuation-insensitively ("123 Main St." = "123 MAIN ST")
+--   address_key  - the Melissa address key
+--   zip4         - a ZIP+4 (a building or delivery segment)
+--
+-- match_value holds the normalized key and is set by a trigger from the
+-- entry's columns, so the frontend, CSV imports and find_suppression() all
+-- compare the same way. The poller and dispatch-scheduled-blasts call
+-- find_suppression() before every postcard.
+
+-- ============================================================================
+-- NORMALIZATION
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION suppression_normalize_address(p_address_line TEXT, p_zip_code TEXT)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT NULLIF(TRIM(REGEXP_REPLACE(UPPER(COALESCE(p_address_line, '')), '[^A-Z0-9]+', ' ', 'g')), '')
+    || '|'
+    || NULLIF(LEFT(REGEXP_REPLACE(COALESCE(p_zip_code, ''), '[^0-9]', '', 'g'), 5), '');
+$$;
+
+-- NULL unless the value is a full ZIP+4
+CREATE OR REPLACE FUNCTION suppression_normalize_zip4(p_zip_code TEXT)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT CASE
+    WHEN REGEXP_REPLACE(COALESCE(p_zip_code, ''), '[^0-9]', '', 'g') ~ '^[0-9]{9}$'
+    THEN LEFT(REGEXP_REPLACE(p_zip_code, '[^0-9]', '', 'g'), 5) || '-' || RIGHT(REGEXP_REPLACE(p_zip_code, '[^0-9]', '', 'g'), 4)
+  END;
+$$;
+
+-- ============================================================================
+-- ENTRIES
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS suppression_entries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+  match_type TEXT NOT NULL CHECK (match_type IN ('address', 'address_key', 'zip4')),
+  match_value TEXT NOT NULL,
+  address_line TEXT,
+  zip_code TEXT,
+  melissa_address_key TEXT,
+  reason TEXT NOT NULL DEFAULT 'opt_out' CHECK (reason IN ('opt_out', 'existing_customer', 'legal', 'returned_mail', 'other')),
+  note TEXT,
+  created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  -- One entry per key and list; NULLS NOT DISTINCT so the global list is one list too
+  CONSTRAINT suppression_entries_unique UNIQUE NULLS NOT DISTINCT (user_id, match_type, match_value)
+);
+
+CREATE INDEX IF NOT EXISTS idx_suppression_entries_match
+  ON suppression_entries(match_type, match_value);
+
+CREATE OR REPLACE FUNCTION set_suppression_match_value()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  NEW.match_value := CASE NEW.match_type
+    WHEN 'address' THEN suppression_normalize_address(NEW.address_line, NEW.zip_code)
+    WHEN 'address_key' THEN NULLIF(TRIM(NEW.melissa_address_key), '')
+    WHEN 'zip4' THEN suppression_normalize_zip4(NEW.zip_code)
+  END;
+
+  IF NEW.match_value IS NULL THEN
+    RAISE EXCEPTION 'Invalid % suppression entry', NEW.match_type;
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS suppression_entries_match_value ON suppression_entries;
+CREATE TRIGGER suppression_entries_match_value
+  BEFORE INSERT OR UPDATE ON suppression_entries
+  FOR EACH ROW EXECUTE FUNCTION set_suppression_match_value();
+
+-- ============================================================================
+-- RLS
+-- ============================================================================
+
+ALTER TABLE suppression_entries ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage their own suppression list"
+  ON suppression_entries FOR ALL
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Admins can manage the global suppression list"
+  ON suppression_entries FOR ALL
+  USING (user_id IS NULL AND is_admin())
+  WITH CHECK (user_id IS NULL AND is_admin());
+
+CREATE POLICY "Admins can view all suppression lists"
+  ON suppression_entries FOR SELECT USING (is_admin());
+
+-- ============================================================================
+-- SUPPRESSED MOVERS
+-- ============================================================================
+-- Movers that matched an entry are parked in outbox state 'suppressed' (blast
+-- recipients in state 'suppressed') and never mailed or charged.
+
+ALTER TABLE newmover
+  ADD COLUMN IF NOT EXISTS suppression_entry_id UUID REFERENCES suppression_entries(id) ON DELETE SET NULL;
+
+ALTER TABLE newmover
+  DROP CONSTRAINT IF EXISTS newmover_outbox_state_check;
+
+ALTER TABLE newmover
+  ADD CONSTRAINT newmover_outbox_state_check
+  CHECK (outbox_state IS NULL OR outbox_state IN ('queued', 'discovered', 'mailing', 'mailed', 'charging', 'batched', 'charged', 'failed', 'suppressed'));
+
+ALTER TABLE blast_recipients
+  ADD COLUMN IF NOT EXISTS suppression_entry_id UUID REFERENCES suppression_entries(id) ON DELETE SET NULL;
+
+ALTER TABLE blast_recipients
+  DROP CONSTRAINT IF EXISTS blast_recipients_state_check;
+
+ALTER TABLE blast_recipients
+  ADD CONSTRAINT blast_recipients_state_check
+  CHECK (state IN ('pending', 'mailing', 'mailed', 'failed', 'suppressed'));
+
+-- ============================================================================
+-- LOOKUP
+-- ============================================================================
+-- The entry (account entries first, then global) that stops a mover from
+-- being mailed for p_user_id, or no row.
+
+CREATE OR REPLACE FUNCTION find_suppression(
+  p_user_id UUID,
+  p_address_line TEXT,
+  p_zip_code TEXT,
+  p_address_key TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+  id UUID,
+  scope TEXT,
+  match_type TEXT,
+  reason TEXT
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT
+    s.id,
+    CASE WHEN s.user_id IS NULL THEN 'global' ELSE 'account' END AS scope,
+    s.match_type,
+    s.reason
+  FROM suppression_entries s
+  WHERE (s.user_id = p_user_id OR s.user_id IS NULL)
+    AND (
+      (s.match_type = 'address' AND s.match_value = suppression_normalize_address(p_address_line, p_zip_code))
+      OR (s.match_type = 'address_key' AND s.match_value = NULLIF(TRIM(p_address_key), ''))
+      OR (s.match_type = 'zip4' AND s.match_value = suppression_normalize_zip4(p_zip_code))
+    )
+  ORDER BY s.user_id NULLS LAST
+  LIMIT 1;
+$$;
+
+REVOKE ALL ON FUNCTION find_suppression(UUID, TEXT, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION find_suppression(UUID, TEXT, TEXT, TEXT) TO service_role;
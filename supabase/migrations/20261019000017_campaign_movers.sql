@@ -0,0 +1,262 @@
+-- Campaign movers: household de-duplication per campaign
+-- The poller used to skip any mover whose melissa_address_key was already in
+-- newmover, so a household found first by another campaign (the same user's
+-- or anyone else's, or the one-off fetch during campaign creation) was never
+-- mailed by the next one. campaign_movers links movers to every campaign that
+-- picked them up, one household per campaign:
+--   - the poller links each mover it saves (link_campaign_mover) and skips
+--     movers whose household the campaign already has
+--   - blasts link their recipients as they are recorded
+--   - mailed_at follows newmover.postcard_sent_at / blast_recipients.mailed_at
+--
+-- newmover.campaign_id still names the campaign whose outbox the row is in;
+-- each campaign that finds a mover gets its own newmover row.
+--
+-- Accounts can also opt into "don't mail the same household twice within N
+-- days" (profile.household_mail_window_days) across all their campaigns. The
+-- poller and dispatch-scheduled-blasts check find_household_conflict() before
+-- every postcard and park conflicting movers as 'suppressed', like
+-- suppression list matches.
+
+-- ============================================================================
+-- HOUSEHOLD KEY
+-- ============================================================================
+-- The Melissa address key when there is one, otherwise the normalized street
+-- line and ZIP (see suppression_normalize_address)
+
+CREATE OR REPLACE FUNCTION mover_household_key(p_address_key TEXT, p_address_line TEXT, p_zip_code TEXT)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT COALESCE(
+    'key:' || NULLIF(TRIM(p_address_key), ''),
+    'address:' || suppression_normalize_address(p_address_line, p_zip_code)
+  );
+$$;
+
+-- ============================================================================
+-- LINKS
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS campaign_movers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  campaign_id UUID NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+  new_mover_id UUID NOT NULL,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  household_key TEXT NOT NULL,
+  mailed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT campaign_movers_household_unique UNIQUE (campaign_id, household_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_campaign_movers_new_mover
+  ON campaign_movers(new_mover_id);
+
+CREATE INDEX IF NOT EXISTS idx_campaign_movers_user_household
+  ON campaign_movers(user_id, household_key, mailed_at DESC);
+
+ALTER TABLE campaign_movers ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own campaign movers"
+  ON campaign_movers FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Admins can view all campaign movers"
+  ON campaign_movers FOR SELECT USING (is_admin());
+
+-- Link a mover to a campaign. Returns false when the campaign already has
+-- the mover's household (or the mover doesn't exist).
+CREATE OR REPLACE FUNCTION link_campaign_mover(p_campaign_id UUID, p_new_mover_id UUID)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  INSERT INTO campaign_movers (campaign_id, new_mover_id, user_id, household_key, mailed_at)
+  SELECT c.id, n.id, c.user_id, mover_household_key(n.melissa_address_key, n.address_line, n.zip_code),
+         CASE WHEN n.campaign_id = c.id THEN n.postcard_sent_at END
+  FROM campaigns c, newmover n
+  WHERE c.id = p_campaign_id
+    AND n.id = p_new_mover_id
+  ON CONFLICT (campaign_id, household_key) DO NOTHING;
+
+  RETURN FOUND;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION link_campaign_mover(UUID, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION link_campaign_mover(UUID, UUID) TO service_role;
+
+-- Whether a campaign already has a household, before its mover is saved
+CREATE OR REPLACE FUNCTION campaign_has_household(
+  p_campaign_id UUID,
+  p_address_key TEXT,
+  p_address_line TEXT,
+  p_zip_code TEXT
+)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM campaign_movers
+    WHERE campaign_id = p_campaign_id
+      AND household_key = mover_household_key(p_address_key, p_address_line, p_zip_code)
+  );
+$$;
+
+REVOKE ALL ON FUNCTION campaign_has_household(UUID, TEXT, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION campaign_has_household(UUID, TEXT, TEXT, TEXT) TO service_role;
+
+-- ============================================================================
+-- MAILED_AT
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION sync_campaign_mover_from_newmover()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  UPDATE campaign_movers
+  SET mailed_at = NEW.postcard_sent_at
+  WHERE campaign_id = NEW.campaign_id
+    AND new_mover_id = NEW.id;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS newmover_campaign_mover_mailed ON newmover;
+CREATE TRIGGER newmover_campaign_mover_mailed
+  AFTER UPDATE OF postcard_sent_at ON newmover
+  FOR EACH ROW
+  WHEN (NEW.campaign_id IS NOT NULL AND NEW.postcard_sent_at IS DISTINCT FROM OLD.postcard_sent_at)
+  EXECUTE FUNCTION sync_campaign_mover_from_newmover();
+
+CREATE OR REPLACE FUNCTION sync_campaign_mover_from_blast()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    PERFORM link_campaign_mover(NEW.campaign_id, NEW.new_mover_id);
+  ELSE
+    UPDATE campaign_movers
+    SET mailed_at = NEW.mailed_at
+    WHERE campaign_id = NEW.campaign_id
+      AND new_mover_id = NEW.new_mover_id;
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS blast_recipients_campaign_mover ON blast_recipients;
+CREATE TRIGGER blast_recipients_campaign_mover
+  AFTER INSERT OR UPDATE OF mailed_at ON blast_recipients
+  FOR EACH ROW EXECUTE FUNCTION sync_campaign_mover_from_blast();
+
+-- ============================================================================
+-- BACKFILL
+-- ============================================================================
+-- Mailed rows first, so a household mailed twice by one campaign keeps the
+-- link to the mover that was mailed earliest
+
+INSERT INTO campaign_movers (campaign_id, new_mover_id, user_id, household_key, mailed_at, created_at)
+SELECT n.campaign_id, n.id, c.user_id,
+       mover_household_key(n.melissa_address_key, n.address_line, n.zip_code),
+       n.postcard_sent_at, COALESCE(n.discovered_at, NOW())
+FROM newmover n
+JOIN campaigns c ON c.id = n.campaign_id
+ORDER BY n.postcard_sent_at NULLS LAST, n.discovered_at
+ON CONFLICT (campaign_id, household_key) DO NOTHING;
+
+INSERT INTO campaign_movers (campaign_id, new_mover_id, user_id, household_key, mailed_at, created_at)
+SELECT br.campaign_id, n.id, c.user_id,
+       mover_household_key(n.melissa_address_key, n.address_line, n.zip_code),
+       br.mailed_at, br.created_at
+FROM blast_recipients br
+JOIN campaigns c ON c.id = br.campaign_id
+JOIN newmover n ON n.id = br.new_mover_id
+ORDER BY br.mailed_at NULLS LAST, br.created_at
+ON CONFLICT (campaign_id, household_key) DO NOTHING;
+
+-- ============================================================================
+-- ACCOUNT RULE: don't mail the same household twice within N days
+-- ============================================================================
+
+ALTER TABLE profile
+  ADD COLUMN IF NOT EXISTS household_mail_window_days INTEGER;
+
+ALTER TABLE profile
+  DROP CONSTRAINT IF EXISTS profile_household_mail_window_days_check;
+
+ALTER TABLE profile
+  ADD CONSTRAINT profile_household_mail_window_days_check
+  CHECK (household_mail_window_days IS NULL OR household_mail_window_days BETWEEN 1 AND 365);
+
+-- ============================================================================
+-- LOOKUP
+-- ============================================================================
+-- Why a mover must not be mailed for a campaign, or no row:
+--   campaign - another mover of the same household is already in the campaign
+--   account  - the owner's window is set and another of their campaigns mailed
+--              the household within it
+
+CREATE OR REPLACE FUNCTION find_household_conflict(p_campaign_id UUID, p_new_mover_id UUID)
+RETURNS TABLE (
+  conflict TEXT,
+  campaign_id UUID,
+  campaign_name TEXT,
+  mailed_at TIMESTAMP WITH TIME ZONE,
+  window_days INTEGER
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  WITH mover AS (
+    SELECT mover_household_key(n.melissa_address_key, n.address_line, n.zip_code) AS household_key
+    FROM newmover n
+    WHERE n.id = p_new_mover_id
+  ),
+  owner AS (
+    SELECT c.user_id, p.household_mail_window_days
+    FROM campaigns c
+    LEFT JOIN profile p ON p.user_id = c.user_id
+    WHERE c.id = p_campaign_id
+  )
+  SELECT *
+  FROM (
+    SELECT 'campaign' AS conflict, cm.campaign_id, c.campaign_name, cm.mailed_at, NULL::INTEGER AS window_days
+    FROM campaign_movers cm
+    JOIN mover m ON m.household_key = cm.household_key
+    JOIN campaigns c ON c.id = cm.campaign_id
+    WHERE cm.campaign_id = p_campaign_id
+      AND cm.new_mover_id <> p_new_mover_id
+
+    UNION ALL
+
+    SELECT 'account', cm.campaign_id, c.campaign_name, cm.mailed_at, o.household_mail_window_days
+    FROM campaign_movers cm
+    JOIN mover m ON m.household_key = cm.household_key
+    JOIN owner o ON o.user_id = cm.user_id
+    JOIN campaigns c ON c.id = cm.campaign_id
+    WHERE cm.campaign_id <> p_campaign_id
+      AND o.household_mail_window_days IS NOT NULL
+      AND cm.mailed_at > NOW() - make_interval(days => o.household_mail_window_days)
+  ) conflicts
+  ORDER BY conflicts.conflict = 'campaign' DESC, conflicts.mailed_at DESC NULLS LAST
+  LIMIT 1;
+$$;
+
+REVOKE ALL ON FUNCTION find_household_conflict(UUID, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION find_household_conflict(UUID, UUID) TO service_role;
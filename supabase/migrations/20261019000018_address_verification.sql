@@ -0,0 +1,57 @@
+-- Address verification before mailing
+-- Mover addresses went to PostGrid exactly as the data provider delivered
+-- them, and returned mail was high for unit numbers and rural routes. The
+-- poller and dispatch-scheduled-blasts now verify every mover once before
+-- its first postcard (see supabase/functions/_shared/addressVerification.ts)
+-- and store the outcome on the newmover row:
+--   - verified_address: the standardized address that is mailed, with the
+--     ZIP+4 when the verifier knows it
+--   - address_verification_status: verified / corrected (PostGrid),
+--     standardized (offline USPS rules) or undeliverable
+--   - address_verifier, address_verification_issues, address_verified_at
+--
+-- address_line / city / state / zip_code stay as the provider delivered
+-- them: household keys and suppression entries are matched against them.
+--
+-- Undeliverable movers are parked in outbox state 'undeliverable' (blast
+-- recipients in state 'undeliverable') and never mailed or charged.
+
+-- ============================================================================
+-- VERIFICATION OUTCOME
+-- ============================================================================
+
+ALTER TABLE newmover
+  ADD COLUMN IF NOT EXISTS verified_address JSONB,
+  ADD COLUMN IF NOT EXISTS address_verification_status TEXT,
+  ADD COLUMN IF NOT EXISTS address_verifier TEXT,
+  ADD COLUMN IF NOT EXISTS address_verification_issues TEXT[] NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS address_verified_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE newmover
+  DROP CONSTRAINT IF EXISTS newmover_address_verification_status_check;
+
+ALTER TABLE newmover
+  ADD CONSTRAINT newmover_address_verification_status_check
+  CHECK (address_verification_status IS NULL OR address_verification_status IN ('verified', 'corrected', 'standardized', 'undeliverable'));
+
+CREATE INDEX IF NOT EXISTS idx_newmover_undeliverable
+  ON newmover(campaign_id)
+  WHERE address_verification_status = 'undeliverable';
+
+-- ============================================================================
+-- UNDELIVERABLE MOVERS
+-- ============================================================================
+
+ALTER TABLE newmover
+  DROP CONSTRAINT IF EXISTS newmover_outbox_state_check;
+
+ALTER TABLE newmover
+  ADD CONSTRAINT newmover_outbox_state_check
+  CHECK (outbox_state IS NULL OR outbox_state IN ('queued', 'discovered', 'mailing', 'mailed', 'charging', 'batched', 'charged', 'failed', 'suppressed', 'undeliverable'));
+
+ALTER TABLE blast_recipients
+  DROP CONSTRAINT IF EXISTS blast_recipients_state_check;
+
+ALTER TABLE blast_recipients
+  ADD CONSTRAINT blast_recipients_state_check
+  CHECK (state IN ('pending', 'mailing', 'mailed', 'failed', 'suppressed', 'undeliverable'));
@@ -0,0 +1,133 @@
+-- Partial and repeated refunds
+-- Admins refund a transaction from the transactions page through the
+-- refund-transaction Edge Function: in full or in part, as many times as
+-- the charge allows, with a reason from a fixed picklist. Every refund of a
+-- transaction gets a transaction_refunds row, including refunds made in the
+-- Stripe dashboard and postcard refunds from mail piece adjustments, which
+-- stripe-webhook's charge.refunded handler picks up.
+--
+-- transactions.refund_amount_cents stays the running total and status
+-- becomes partially_refunded or refunded; for card charges both are taken
+-- from Stripe's charge (see supabase/functions/_shared/transactionRefunds.ts).
+
+-- ============================================================================
+-- REFUNDS
+-- ============================================================================
+-- reason: picklist code (REFUND_REASONS in transactionRefunds.ts and
+-- src/utils/refunds.js); note is free text, required for 'other'
+-- method: stripe_refund (back to the card) or wallet_refund (wallet-paid)
+-- status: pending until Stripe or the wallet confirms it; failed keeps error
+-- refunded_by: the admin, or NULL for refunds made outside the admin page
+
+CREATE TABLE IF NOT EXISTS transaction_refunds (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  transaction_id UUID NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  campaign_id UUID REFERENCES campaigns(id) ON DELETE SET NULL,
+  amount_cents INTEGER NOT NULL CHECK (amount_cents > 0),
+  reason TEXT NOT NULL CHECK (reason IN (
+    'customer_request', 'duplicate_charge', 'billing_error', 'postcard_not_delivered',
+    'service_issue', 'fraudulent', 'other'
+  )),
+  note TEXT,
+  method TEXT NOT NULL CHECK (method IN ('stripe_refund', 'wallet_refund')),
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'succeeded', 'failed', 'canceled')),
+  stripe_refund_id TEXT UNIQUE,
+  wallet_ledger_id UUID,
+  refunded_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  error TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_transaction_refunds_transaction
+  ON transaction_refunds(transaction_id, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_transaction_refunds_user_created
+  ON transaction_refunds(user_id, created_at DESC);
+
+ALTER TABLE transaction_refunds ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own refunds"
+  ON transaction_refunds FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Admins can view all refunds"
+  ON transaction_refunds FOR SELECT USING (is_admin());
+
+-- ============================================================================
+-- REFUND PART OF A WALLET PAYMENT
+-- ============================================================================
+-- Completes a pending wallet_refund row: credits its amount back to the
+-- wallet and adds it to the transaction's refund total, under a lock on the
+-- transaction so concurrent refunds can't exceed what was paid. Repeats for
+-- the same row are ignored. Returns wallet_apply_entry()'s result.
+
+CREATE OR REPLACE FUNCTION refund_wallet_payment(p_refund_id UUID)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_refund transaction_refunds%ROWTYPE;
+  v_transaction transactions%ROWTYPE;
+  v_refunded INTEGER;
+  v_result JSONB;
+BEGIN
+  SELECT * INTO v_refund FROM transaction_refunds WHERE id = p_refund_id;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Refund not found';
+  END IF;
+
+  SELECT * INTO v_transaction FROM transactions WHERE id = v_refund.transaction_id FOR UPDATE;
+
+  IF v_transaction.billing_reason <> 'wallet_debit' THEN
+    RAISE EXCEPTION 'Transaction was not paid from the wallet';
+  END IF;
+
+  v_refunded := COALESCE(v_transaction.refund_amount_cents, 0);
+
+  v_result := wallet_apply_entry(
+    v_transaction.user_id,
+    'refund',
+    v_refund.amount_cents,
+    'transaction_refund:' || v_refund.id,
+    v_transaction.campaign_id,
+    (v_transaction.metadata->>'new_mover_id')::UUID,
+    v_transaction.id,
+    NULL,
+    'Refund: ' || COALESCE(v_refund.note, v_refund.reason),
+    jsonb_build_object('reason', v_refund.reason, 'refunded_by', v_refund.refunded_by)
+  );
+
+  IF (v_result->>'duplicate')::BOOLEAN THEN
+    RETURN v_result;
+  END IF;
+
+  IF v_transaction.status NOT IN ('succeeded', 'partially_refunded')
+     OR v_refunded + v_refund.amount_cents > v_transaction.amount_cents THEN
+    RAISE EXCEPTION 'Refund exceeds the amount left on this transaction';
+  END IF;
+
+  UPDATE transactions
+  SET status = CASE WHEN v_refunded + v_refund.amount_cents >= amount_cents THEN 'refunded' ELSE 'partially_refunded' END,
+      refunded_at = NOW(),
+      refund_reason = COALESCE(v_refund.note, v_refund.reason),
+      refund_amount_cents = v_refunded + v_refund.amount_cents,
+      updated_at = NOW()
+  WHERE id = v_transaction.id;
+
+  UPDATE transaction_refunds
+  SET status = 'succeeded',
+      wallet_ledger_id = (v_result->>'entry_id')::UUID,
+      error = NULL,
+      updated_at = NOW()
+  WHERE id = v_refund.id;
+
+  RETURN v_result;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION refund_wallet_payment(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION refund_wallet_payment(UUID) TO service_role;
@@ -0,0 +1,133 @@
+-- Stripe event ledger
+-- stripe-webhook records every event whose signature checks out in
+-- stripe_events, keyed by Stripe's event ID, before handling it. Stripe
+-- delivers at least once and retries anything that didn't get a 2xx, so the
+-- same event can arrive several times (or twice at once): claim_stripe_event()
+-- lets exactly one delivery handle it and turns the rest away once it has
+-- been processed.
+--
+-- Transactions written by the handlers carry the event's ID
+-- (transactions.stripe_event_id, unique), so replaying an event that got
+-- part way never records its payment twice.
+--
+-- Admins see the ledger on the Stripe Events page and can replay a stored
+-- event through the replay-stripe-event Edge Function.
+
+-- ============================================================================
+-- EVENTS
+-- ============================================================================
+-- status: received    - stored, not picked up yet
+--         processing  - a webhook delivery or replay is handling it
+--         processed   - handled
+--         ignored     - nothing to do (unhandled type, unknown transaction);
+--                       note says why
+--         failed      - the handler threw; error keeps the message and
+--                       Stripe's next retry (or a replay) tries again
+-- attempts: how many times it has been claimed, retries and replays included
+
+CREATE TABLE IF NOT EXISTS stripe_events (
+  id TEXT PRIMARY KEY,
+  type TEXT NOT NULL,
+  object_id TEXT,
+  livemode BOOLEAN NOT NULL DEFAULT FALSE,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'received' CHECK (status IN ('received', 'processing', 'processed', 'ignored', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  error TEXT,
+  note TEXT,
+  stripe_created_at TIMESTAMP WITH TIME ZONE,
+  received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  processing_started_at TIMESTAMP WITH TIME ZONE,
+  processed_at TIMESTAMP WITH TIME ZONE,
+  last_replayed_at TIMESTAMP WITH TIME ZONE,
+  last_replayed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_stripe_events_received
+  ON stripe_events(received_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_stripe_events_status_received
+  ON stripe_events(status, received_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_stripe_events_object
+  ON stripe_events(object_id)
+  WHERE object_id IS NOT NULL;
+
+ALTER TABLE stripe_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins can view stripe events"
+  ON stripe_events FOR SELECT USING (is_admin());
+
+-- ============================================================================
+-- TRANSACTIONS
+-- ============================================================================
+
+ALTER TABLE transactions
+  ADD COLUMN IF NOT EXISTS stripe_event_id TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_transactions_stripe_event
+  ON transactions(stripe_event_id)
+  WHERE stripe_event_id IS NOT NULL;
+
+-- ============================================================================
+-- CLAIM AN EVENT
+-- ============================================================================
+-- Stores p_event (the verified event JSON) if it's new, then claims it for
+-- handling under a row lock. Not claimed when it was already processed or
+-- ignored (unless p_force, for replays) or when another delivery started on
+-- it less than p_stale_minutes ago. A claim that old is assumed to have died
+-- with its function and is taken over.
+-- Returns { claimed, status, attempts }; status is the event's status before
+-- this call.
+
+CREATE OR REPLACE FUNCTION claim_stripe_event(
+  p_event JSONB,
+  p_force BOOLEAN DEFAULT FALSE,
+  p_stale_minutes INTEGER DEFAULT 5
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_event stripe_events%ROWTYPE;
+  v_attempts INTEGER;
+BEGIN
+  INSERT INTO stripe_events (id, type, object_id, livemode, payload, stripe_created_at)
+  VALUES (
+    p_event->>'id',
+    p_event->>'type',
+    p_event->'data'->'object'->>'id',
+    COALESCE((p_event->>'livemode')::BOOLEAN, FALSE),
+    p_event,
+    to_timestamp((p_event->>'created')::BIGINT)
+  )
+  ON CONFLICT (id) DO NOTHING;
+
+  SELECT * INTO v_event FROM stripe_events WHERE id = p_event->>'id' FOR UPDATE;
+
+  IF v_event.status = 'processing'
+     AND v_event.processing_started_at > NOW() - make_interval(mins => p_stale_minutes) THEN
+    RETURN jsonb_build_object('claimed', FALSE, 'status', v_event.status, 'attempts', v_event.attempts);
+  END IF;
+
+  IF v_event.status IN ('processed', 'ignored') AND NOT p_force THEN
+    RETURN jsonb_build_object('claimed', FALSE, 'status', v_event.status, 'attempts', v_event.attempts);
+  END IF;
+
+  UPDATE stripe_events
+  SET status = 'processing',
+      attempts = attempts + 1,
+      processing_started_at = NOW(),
+      updated_at = NOW()
+  WHERE id = v_event.id
+  RETURNING attempts INTO v_attempts;
+
+  RETURN jsonb_build_object('claimed', TRUE, 'status', v_event.status, 'attempts', v_attempts);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION claim_stripe_event(JSONB, BOOLEAN, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION claim_stripe_event(JSONB, BOOLEAN, INTEGER) TO service_role;
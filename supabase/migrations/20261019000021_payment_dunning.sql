@@ -0,0 +1,157 @@
+-- Failed-payment dunning
+-- A postcard is mailed before it is charged, so when the poller can't charge
+-- for one (declined card, no payment method, retries used up) the money is
+-- still owed. Instead of leaving the mover in outbox state 'failed', the
+-- poller moves it to 'past_due' and records what is owed in
+-- payment_receivables. The account's dunning_accounts row then drives
+-- collection in the process-dunning function (hourly cron):
+--   - the user is emailed and notified, more firmly each time
+--   - the whole open balance is retried as one PaymentIntent on a schedule
+--     (DUNNING_RETRY_DAYS), and on the next run after the user changes their
+--     default card
+--   - after DUNNING_PAUSE_AFTER_FAILURES failed retries their active campaigns
+--     are paused the way an admin pause does it; campaigns.dunning_paused_at
+--     marks them, and the poller queues new movers while the account is paused
+--   - once the balance is collected the receivables are paid, the movers
+--     charged and the campaigns dunning paused are resumed
+
+-- ============================================================================
+-- RECEIVABLES
+-- ============================================================================
+-- One row per mailed postcard that could not be charged.
+-- status: open until collected (paid) or forgiven by an admin (written_off)
+
+CREATE TABLE IF NOT EXISTS payment_receivables (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  campaign_id UUID REFERENCES campaigns(id) ON DELETE SET NULL,
+  new_mover_id UUID NOT NULL UNIQUE,
+  amount_cents INTEGER NOT NULL CHECK (amount_cents > 0),
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'paid', 'written_off')),
+  failure_reason TEXT,
+  transaction_id UUID,
+  stripe_payment_intent_id TEXT,
+  paid_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_receivables_open
+  ON payment_receivables(user_id, created_at)
+  WHERE status = 'open';
+
+ALTER TABLE payment_receivables ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own receivables"
+  ON payment_receivables FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Admins can view all receivables"
+  ON payment_receivables FOR SELECT USING (is_admin());
+
+-- ============================================================================
+-- DUNNING STATE PER ACCOUNT
+-- ============================================================================
+-- status: past_due while any receivable is open, current once collected
+-- failed_attempts: collection retries that failed since opened_at
+-- notices_sent: dunning emails sent since opened_at (escalation level)
+-- campaigns_paused_at: when process-dunning paused the account's campaigns
+
+CREATE TABLE IF NOT EXISTS dunning_accounts (
+  user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  status TEXT NOT NULL DEFAULT 'past_due' CHECK (status IN ('current', 'past_due')),
+  opened_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  failed_attempts INTEGER NOT NULL DEFAULT 0,
+  notices_sent INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMP WITH TIME ZONE,
+  last_attempt_at TIMESTAMP WITH TIME ZONE,
+  last_error TEXT,
+  last_notice_at TIMESTAMP WITH TIME ZONE,
+  campaigns_paused_at TIMESTAMP WITH TIME ZONE,
+  resolved_at TIMESTAMP WITH TIME ZONE,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dunning_accounts_past_due
+  ON dunning_accounts(next_attempt_at)
+  WHERE status = 'past_due';
+
+ALTER TABLE dunning_accounts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own dunning status"
+  ON dunning_accounts FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Admins can view all dunning status"
+  ON dunning_accounts FOR SELECT USING (is_admin());
+
+ALTER TABLE campaigns
+  ADD COLUMN IF NOT EXISTS dunning_paused_at TIMESTAMP WITH TIME ZONE;
+
+-- ============================================================================
+-- OUTBOX: 'past_due' = mailed, charge failed, owed as a receivable
+-- ============================================================================
+
+ALTER TABLE newmover
+  DROP CONSTRAINT IF EXISTS newmover_outbox_state_check;
+
+ALTER TABLE newmover
+  ADD CONSTRAINT newmover_outbox_state_check
+  CHECK (outbox_state IS NULL OR outbox_state IN ('queued', 'discovered', 'mailing', 'mailed', 'charging', 'batched', 'charged', 'failed', 'suppressed', 'undeliverable', 'past_due'));
+
+-- ============================================================================
+-- OPEN DUNNING
+-- ============================================================================
+-- Puts an account into dunning when it isn't already; the first
+-- process-dunning run after this sends the first notice. Returns the row.
+
+CREATE OR REPLACE FUNCTION open_dunning_account(p_user_id UUID)
+RETURNS dunning_accounts
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_account dunning_accounts%ROWTYPE;
+BEGIN
+  INSERT INTO dunning_accounts (user_id, status, opened_at, next_attempt_at)
+  VALUES (p_user_id, 'past_due', NOW(), NOW())
+  ON CONFLICT (user_id) DO UPDATE
+  SET status = 'past_due',
+      opened_at = NOW(),
+      failed_attempts = 0,
+      notices_sent = 0,
+      next_attempt_at = NOW(),
+      last_attempt_at = NULL,
+      last_error = NULL,
+      last_notice_at = NULL,
+      campaigns_paused_at = NULL,
+      resolved_at = NULL,
+      updated_at = NOW()
+  WHERE dunning_accounts.status = 'current';
+
+  SELECT * INTO v_account FROM dunning_accounts WHERE user_id = p_user_id;
+  RETURN v_account;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION open_dunning_account(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION open_dunning_account(UUID) TO service_role;
+
+-- ============================================================================
+-- CRON: run dunning hourly
+-- ============================================================================
+
+SELECT cron.unschedule(jobid) FROM cron.job WHERE jobname = 'process-dunning';
+
+SELECT cron.schedule(
+  'process-dunning',
+  '15 * * * *',
+  $$
+  SELECT net.http_post(
+    url:='https://cbombaxhlvproggupdrn.supabase.co/functions/v1/process-dunning',
+    headers:=jsonb_build_object(
+      'Content-Type', 'application/json'
+    ),
+    body:='{}'::jsonb
+  ) AS request_id;
+  $$
+);
@@ -0,0 +1,45 @@
+-- Pre-send payment check
+-- The poller mails a postcard before charging for it, so a card that can't be
+-- charged still costs printing and postage. Before a mover the card pays for
+-- is mailed, the poller now checks the account's default card:
+--   - there must be one, and it must not be expired
+--   - it must not have been declined within CARD_FAILURE_HOLD_HOURS
+--     (payment_methods.last_failed_at, below)
+--   - with PRESEND_AUTHORIZATION on, the price is authorized on the card
+--     (a manual-capture PaymentIntent) and captured after mailing
+-- A mover that fails the check is queued and checked again every poll
+-- ('deferred'); after PAYMENT_MAX_DEFER_DAYS it is given up on (outbox state
+-- 'payment_skipped'). The outcome and reason are kept on the mover row.
+
+-- ============================================================================
+-- MOVER: LAST PAYMENT CHECK
+-- ============================================================================
+-- payment_check_status: passed | authorized | deferred | skipped
+-- payment_deferred_since: first deferral in the current run of deferrals
+-- payment_authorization_id: the PaymentIntent holding the price, captured by the charge step
+
+ALTER TABLE newmover
+  ADD COLUMN IF NOT EXISTS payment_check_status TEXT
+    CHECK (payment_check_status IS NULL OR payment_check_status IN ('passed', 'authorized', 'deferred', 'skipped')),
+  ADD COLUMN IF NOT EXISTS payment_check_reason TEXT,
+  ADD COLUMN IF NOT EXISTS payment_checked_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS payment_deferred_since TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS payment_authorization_id TEXT;
+
+ALTER TABLE newmover
+  DROP CONSTRAINT IF EXISTS newmover_outbox_state_check;
+
+ALTER TABLE newmover
+  ADD CONSTRAINT newmover_outbox_state_check
+  CHECK (outbox_state IS NULL OR outbox_state IN ('queued', 'discovered', 'mailing', 'mailed', 'charging', 'batched', 'charged', 'failed', 'suppressed', 'undeliverable', 'past_due', 'payment_skipped'));
+
+-- ============================================================================
+-- PAYMENT METHODS: LAST DECLINE
+-- ============================================================================
+-- Set when a charge or authorization on the card is declined (poller and
+-- stripe-webhook), cleared when a payment on it succeeds or the user makes it
+-- their default again.
+
+ALTER TABLE payment_methods
+  ADD COLUMN IF NOT EXISTS last_failed_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS last_failure_reason TEXT;
@@ -0,0 +1,8 @@
+-- Restrict apply_mail_piece_status()
+-- 20261019000014 created apply_mail_piece_status() as SECURITY DEFINER and
+-- only granted it to service_role, but functions are executable by PUBLIC
+-- by default, so any signed-in (or anonymous) client could move a
+-- postcard's delivery status. Only postgrid-webhook (service role) calls it.
+
+REVOKE ALL ON FUNCTION apply_mail_piece_status(TEXT, TEXT, TIMESTAMP WITH TIME ZONE) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION apply_mail_piece_status(TEXT, TEXT, TIMESTAMP WITH TIME ZONE) TO service_role;
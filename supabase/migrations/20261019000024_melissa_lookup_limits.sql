@@ -0,0 +1,83 @@
+-- Melissa lookup limits
+-- melissa-lookup calls the paid Melissa New Movers API for the app (ZIP
+-- checks and mover fetches in onboarding and the campaign and blast
+-- wizards). Each call is a billed lookup, so customers are limited to a
+-- number of lookups per user per window (MELISSA_LOOKUP_LIMIT per
+-- MELISSA_LOOKUP_WINDOW_MINUTES in the function). Admins are not limited.
+
+-- ============================================================================
+-- USAGE
+-- ============================================================================
+-- One row per user per fixed window; window_start is the window's start
+-- (NOW() rounded down to a multiple of the window length).
+
+CREATE TABLE IF NOT EXISTS melissa_lookup_usage (
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  window_start TIMESTAMP WITH TIME ZONE NOT NULL,
+  lookups INTEGER NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (user_id, window_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_melissa_lookup_usage_window
+  ON melissa_lookup_usage(window_start DESC);
+
+ALTER TABLE melissa_lookup_usage ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins can view melissa lookup usage"
+  ON melissa_lookup_usage FOR SELECT USING (is_admin());
+
+-- ============================================================================
+-- COUNT A LOOKUP
+-- ============================================================================
+-- Counts one lookup for p_user_id in the current window unless the user has
+-- already made p_limit there. The upsert locks the row, so concurrent calls
+-- can't both take the last lookup. Windows older than a day are dropped.
+-- Returns { allowed, lookups, limit, retry_after_seconds }; lookups is the
+-- count after this call, retry_after_seconds the time until the window ends.
+
+CREATE OR REPLACE FUNCTION consume_melissa_lookup(
+  p_user_id UUID,
+  p_limit INTEGER,
+  p_window_minutes INTEGER DEFAULT 60
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_window_seconds INTEGER := GREATEST(p_window_minutes, 1) * 60;
+  v_window_start TIMESTAMP WITH TIME ZONE;
+  v_lookups INTEGER;
+  v_retry_after INTEGER;
+BEGIN
+  v_window_start := to_timestamp(floor(extract(epoch FROM NOW()) / v_window_seconds) * v_window_seconds);
+  v_retry_after := CEIL(extract(epoch FROM v_window_start + make_interval(secs => v_window_seconds) - NOW()))::INTEGER;
+
+  DELETE FROM melissa_lookup_usage
+  WHERE user_id = p_user_id
+    AND window_start < NOW() - INTERVAL '1 day';
+
+  INSERT INTO melissa_lookup_usage (user_id, window_start, lookups)
+  VALUES (p_user_id, v_window_start, 1)
+  ON CONFLICT (user_id, window_start) DO UPDATE
+  SET lookups = melissa_lookup_usage.lookups + 1,
+      updated_at = NOW()
+  WHERE melissa_lookup_usage.lookups < p_limit
+  RETURNING lookups INTO v_lookups;
+
+  IF v_lookups IS NULL OR v_lookups > p_limit THEN
+    SELECT lookups INTO v_lookups
+    FROM melissa_lookup_usage
+    WHERE user_id = p_user_id AND window_start = v_window_start;
+
+    RETURN jsonb_build_object('allowed', FALSE, 'lookups', v_lookups, 'limit', p_limit, 'retry_after_seconds', v_retry_after);
+  END IF;
+
+  RETURN jsonb_build_object('allowed', TRUE, 'lookups', v_lookups, 'limit', p_limit, 'retry_after_seconds', v_retry_after);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION consume_melissa_lookup(UUID, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION consume_melissa_lookup(UUID, INTEGER, INTEGER) TO service_role;
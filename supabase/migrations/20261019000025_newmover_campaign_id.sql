@@ -0,0 +1,17 @@
+-- newmover.campaign_id stays next to campaign_movers
+-- campaign_movers answers "which campaigns have this household" for the
+-- de-duplication checks, but a newmover row is also one campaign's postcard:
+-- outbox_state and outbox_attempts, postcard_sent / postcard_sent_at, the
+-- PostGrid letter and delivery status, the offer code, the pending charge and
+-- the receivable (payment_receivables.new_mover_id is unique) all belong to
+-- the campaign that mails it. Two campaigns mailing the same household need
+-- two of each, so every campaign that finds a mover gets its own newmover
+-- row and campaign_id names the campaign that row is mailed for. Moving reads
+-- to campaign_movers alone would mean moving all of that per-send state
+-- there too.
+
+COMMENT ON COLUMN newmover.campaign_id IS
+  'Campaign this row is mailed for; outbox, postcard, delivery and billing state on the row belong to it. Other campaigns that picked up the household are in campaign_movers.';
+
+COMMENT ON TABLE campaign_movers IS
+  'Every campaign that picked up a mover, one household per campaign. Used for household de-duplication; the per-send state stays on newmover (see newmover.campaign_id).';
@@ -0,0 +1,20 @@
+import { fileURLToPath } from 'node:url'
+import { defineConfig } from 'vitest/config'
+
+// Edge functions import Deno-style URLs; tests swap in the fakes under
+// supabase/functions/tests/support
+const support = (file) => fileURLToPath(new URL(`./supabase/functions/tests/support/${file}`, import.meta.url))
+
+export default defineConfig({
+  resolve: {
+    alias: [
+      { find: /^https:\/\/deno\.land\/std@[^/]+\/http\/server\.ts$/, replacement: support('serve.ts') },
+      { find: /^https:\/\/esm\.sh\/@supabase\/supabase-js@2$/, replacement: support('supabase.ts') },
+      { find: /^https:\/\/esm\.sh\/stripe@[^/]+$/, replacement: support('stripe.ts') },
+    ],
+  },
+  test: {
+    include: ['supabase/functions/tests/**/*.test.ts'],
+    setupFiles: [support('setup.ts')],
+  },
+})